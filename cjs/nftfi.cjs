@@ -4,6 +4,48 @@ var _interopRequireDefault = require("@babel/runtime/helpers/interopRequireDefau
 Object.defineProperty(exports, "__esModule", {
   value: true
 });
+Object.defineProperty(exports, "ApiError", {
+  enumerable: true,
+  get: function get() {
+    return _errors.ApiError;
+  }
+});
+Object.defineProperty(exports, "AuthError", {
+  enumerable: true,
+  get: function get() {
+    return _errors.AuthError;
+  }
+});
+Object.defineProperty(exports, "ContractRevertError", {
+  enumerable: true,
+  get: function get() {
+    return _errors.ContractRevertError;
+  }
+});
+Object.defineProperty(exports, "InsufficientFundsError", {
+  enumerable: true,
+  get: function get() {
+    return _errors.InsufficientFundsError;
+  }
+});
+Object.defineProperty(exports, "NFTfiError", {
+  enumerable: true,
+  get: function get() {
+    return _errors.NFTfiError;
+  }
+});
+Object.defineProperty(exports, "UnsupportedContractError", {
+  enumerable: true,
+  get: function get() {
+    return _errors.UnsupportedContractError;
+  }
+});
+Object.defineProperty(exports, "ValidationError", {
+  enumerable: true,
+  get: function get() {
+    return _errors.ValidationError;
+  }
+});
 exports["default"] = void 0;
 var _regenerator = _interopRequireDefault(require("@babel/runtime/regenerator"));
 var _defineProperty2 = _interopRequireDefault(require("@babel/runtime/helpers/defineProperty"));
@@ -17,20 +59,23 @@ var _websocket = _interopRequireDefault(require("./nftfi/websocket.cjs"));
 var _auth = _interopRequireDefault(require("./nftfi/auth.cjs"));
 var _api = _interopRequireDefault(require("./nftfi/api.cjs"));
 var _listings = _interopRequireDefault(require("./nftfi/listings.cjs"));
+var _helper = _interopRequireDefault(require("./nftfi/listings/helper.cjs"));
 var _offers = _interopRequireDefault(require("./nftfi/offers.cjs"));
 var _signatures = _interopRequireDefault(require("./nftfi/offers/signatures.cjs"));
-var _helper = _interopRequireDefault(require("./nftfi/offers/helper.cjs"));
+var _helper2 = _interopRequireDefault(require("./nftfi/offers/helper.cjs"));
 var _validation = _interopRequireDefault(require("./nftfi/offers/validation.cjs"));
+var _cache = _interopRequireDefault(require("./nftfi/offers/cache.cjs"));
 var _requests = _interopRequireDefault(require("./nftfi/offers/requests.cjs"));
 var _events = _interopRequireDefault(require("./nftfi/events.cjs"));
 var _loans = _interopRequireDefault(require("./nftfi/loans.cjs"));
+var _helper3 = _interopRequireDefault(require("./nftfi/loans/helper.cjs"));
 var _index = _interopRequireDefault(require("./nftfi/loans/fixed/index.cjs"));
 var _index2 = _interopRequireDefault(require("./nftfi/loans/fixed/v1/index.cjs"));
 var _index3 = _interopRequireDefault(require("./nftfi/loans/fixed/v2/index.cjs"));
 var _index4 = _interopRequireDefault(require("./nftfi/loans/fixed/v2_1/index.cjs"));
 var _index5 = _interopRequireDefault(require("./nftfi/loans/fixed/v2_3/index.cjs"));
 var _bundles = _interopRequireDefault(require("./nftfi/bundles.cjs"));
-var _helper2 = _interopRequireDefault(require("./nftfi/bundles/helper.cjs"));
+var _helper4 = _interopRequireDefault(require("./nftfi/bundles/helper.cjs"));
 var _index6 = _interopRequireDefault(require("./nftfi/loans/fixed/collection/index.cjs"));
 var _immutables = _interopRequireDefault(require("./nftfi/immutables.cjs"));
 var _index7 = _interopRequireDefault(require("./nftfi/loans/fixed/collection/v2/index.cjs"));
@@ -44,11 +89,17 @@ var _eoa = _interopRequireDefault(require("./nftfi/account/eoa.cjs"));
 var _multisig = _interopRequireDefault(require("./nftfi/account/multisig.cjs"));
 var _gnosis = _interopRequireDefault(require("./nftfi/account/multisig/gnosis.cjs"));
 var _owner = _interopRequireDefault(require("./nftfi/account/multisig/gnosis/owner.cjs"));
+var _lifecycle = _interopRequireDefault(require("./nftfi/account/lifecycle.cjs"));
+var _nonce = _interopRequireDefault(require("./nftfi/account/nonce.cjs"));
 var _factory = _interopRequireDefault(require("./nftfi/contract/factory.cjs"));
+var _registry = _interopRequireDefault(require("./nftfi/contract/registry.cjs"));
+var _multicall = _interopRequireDefault(require("./nftfi/contract/multicall.cjs"));
+var _fee = _interopRequireDefault(require("./nftfi/contract/fee.cjs"));
 var _contract = _interopRequireDefault(require("./nftfi/contract.cjs"));
-var _helper3 = _interopRequireDefault(require("./nftfi/shared/helper.cjs"));
+var _helper5 = _interopRequireDefault(require("./nftfi/shared/helper.cjs"));
 var _result = _interopRequireDefault(require("./nftfi/result.cjs"));
 var _error = _interopRequireDefault(require("./nftfi/error.cjs"));
+var _errors = require("./nftfi/errors.cjs");
 var _index9 = _interopRequireDefault(require("./nftfi/index.cjs"));
 var _storage = _interopRequireDefault(require("./nftfi/storage.cjs"));
 var _safeEthersAdapters = require("@safe-global/safe-ethers-adapters");
@@ -68,12 +119,14 @@ var _index12 = _interopRequireDefault(require("./nftfi/rewards/og/allocations/in
 var _index13 = _interopRequireDefault(require("./nftfi/rewards/earn/allocations/index.cjs"));
 var _index14 = _interopRequireDefault(require("./nftfi/rewards/earn/points/index.cjs"));
 var _rewards = _interopRequireDefault(require("./nftfi/rewards.cjs"));
+var _transactions = _interopRequireDefault(require("./nftfi/transactions.cjs"));
+var _terms = _interopRequireDefault(require("./nftfi/terms.cjs"));
 function ownKeys(object, enumerableOnly) { var keys = Object.keys(object); if (Object.getOwnPropertySymbols) { var symbols = Object.getOwnPropertySymbols(object); enumerableOnly && (symbols = symbols.filter(function (sym) { return Object.getOwnPropertyDescriptor(object, sym).enumerable; })), keys.push.apply(keys, symbols); } return keys; }
 function _objectSpread(target) { for (var i = 1; i < arguments.length; i++) { var source = null != arguments[i] ? arguments[i] : {}; i % 2 ? ownKeys(Object(source), !0).forEach(function (key) { (0, _defineProperty2["default"])(target, key, source[key]); }) : Object.getOwnPropertyDescriptors ? Object.defineProperties(target, Object.getOwnPropertyDescriptors(source)) : ownKeys(Object(source)).forEach(function (key) { Object.defineProperty(target, key, Object.getOwnPropertyDescriptor(source, key)); }); } return target; }
 var _default = {
   init: function () {
     var _init = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee() {
-      var _options$config, _options$config$api, _options$config2, _options$config2$api, _options$ethereum, _options$ethereum$acc, _options$ethereum$acc2, _options$ethereum$acc3, _options$ethereum$acc4, _options$ethereum$acc5, _options$ethereum2, _options$ethereum2$ac, _options$ethereum2$ac2, _options$ethereum2$ac3, _options$ethereum2$ac4, _options$ethereum3, _options$ethereum3$ac, _options$ethereum4, _options$ethereum4$we, _window, _options$dependencies, _options$ethereum5, _options$ethereum5$pr, _options$ethereum7, _options$ethereum7$we, _options$ethereum9, _options$ethereum9$ch, _provider, _options$ethereum10, _options$ethereum10$c, _options$ethereum11, _options$ethereum11$a, _options$ethereum11$a2, _options$dependencies4, _options$dependencies5, _options$dependencies6, _options$dependencies7, _options$logging;
+      var _options$config, _options$config$api, _options$config2, _options$config2$api, _options$ethereum, _options$ethereum$acc, _options$ethereum$acc2, _options$ethereum$acc3, _options$ethereum$acc4, _options$ethereum$acc5, _options$ethereum2, _options$ethereum2$ac, _options$ethereum2$ac2, _options$ethereum2$ac3, _options$ethereum2$ac4, _options$ethereum3, _options$ethereum3$ac, _options$ethereum4, _options$ethereum4$we, _window, _options$dependencies, _options$ethereum5, _options$ethereum5$pr, _options$ethereum7, _options$ethereum7$we, _options$ethereum9, _options$ethereum9$ch, _provider, _options$ethereum10, _options$ethereum10$c, _options$ethereum11, _options$ethereum11$a, _options$ethereum11$a2, _options$dependencies4, _options$dependencies5, _options$dependencies6, _options$dependencies7, _options$dependencies8, _implementations, _config$response, _options$logging;
       var options,
         _options$api,
         hasApiKey,
@@ -90,6 +143,7 @@ var _default = {
         _options$ethereum8$we,
         network,
         config,
+        lifecycle,
         account,
         signer,
         address,
@@ -113,32 +167,27 @@ var _default = {
         _options$ethereum13,
         _options$ethereum13$a,
         _options$ethereum14,
-        _options$ethereum14$w,
-        _options$ethereum15,
-        _options$ethereum15$a,
-        _options$ethereum16,
-        _options$ethereum16$a,
-        _options$ethereum18,
-        _options$ethereum18$w,
+        _options$ethereum14$a,
         _options$dependencies3,
         pk,
-        providerAddresses,
-        _options$ethereum17,
-        _options$ethereum17$a,
+        _address,
+        nonceManager,
         eoa,
+        registry,
         mutex,
         assertion,
         websocket,
         http,
+        feePolicy,
+        multicall,
         contractFactory,
+        helper,
+        error,
         utils,
         storage,
         auth,
         api,
-        error,
         result,
-        helper,
-        listings,
         loanFixedV1,
         loanFixedV2,
         loanFixedV2_1,
@@ -147,16 +196,22 @@ var _default = {
         loanFixedCollectionV2_3,
         loanFixedCollection,
         loanFixed,
+        erc20,
+        erc721,
+        erc1155,
+        cryptoPunks,
+        nft,
+        offersValidationCache,
+        offersValidator,
+        loansHelper,
         loans,
         offersSignatures,
-        erc20,
         offersHelper,
-        offersValidator,
         offersRequests,
+        terms,
         offers,
-        erc721,
-        erc1155,
-        cryptoPunks,
+        listingsHelper,
+        listings,
         immutables,
         bundlesHelper,
         bundles,
@@ -167,7 +222,8 @@ var _default = {
         pointsEarn,
         rewardsEarn,
         rewards,
-        nft,
+        transactions,
+        envelope,
         nftfi,
         _args = arguments;
       return _regenerator["default"].wrap(function _callee$(_context) {
@@ -188,19 +244,19 @@ var _default = {
               _context.next = 10;
               break;
             }
-            throw 'Please provide a value for the api.key field in the options parameter.';
+            throw new _errors.ValidationError('Please provide a value for the api.key field in the options parameter.');
           case 10:
             if (!(hasGnosisSafePks && !hasGnosisSafeAddress)) {
               _context.next = 12;
               break;
             }
-            throw 'Please provide a value for the ethereum.account.multisig.gnosis.safe.address field in the options parameter.';
+            throw new _errors.ValidationError('Please provide a value for the ethereum.account.multisig.gnosis.safe.address field in the options parameter.');
           case 12:
             if (!(hasGnosisSafePks && (hasWeb3Provider || hasAccountPk) || hasWeb3Provider && (hasGnosisSafePks || hasAccountPk) || hasAccountPk && (hasGnosisSafePks || hasWeb3Provider))) {
               _context.next = 14;
               break;
             }
-            throw 'Please supply values for either account.privateKey, account.web3.provider, or account.multisig.';
+            throw new _errors.ValidationError('Please supply values for either account.privateKey, account.web3.provider, or account.multisig.');
           case 14:
             ethers = (options === null || options === void 0 ? void 0 : (_options$dependencies = options.dependencies) === null || _options$dependencies === void 0 ? void 0 : _options$dependencies.ethers) || _ethers.ethers;
             provider = null;
@@ -214,7 +270,7 @@ var _default = {
               _context.next = 20;
               break;
             }
-            throw 'Please provide a value for either ethereum.provider.url, ethereum.web3.provider or ethereum.chain.id.';
+            throw new _errors.ValidationError('Please provide a value for either ethereum.provider.url, ethereum.web3.provider or ethereum.chain.id.');
           case 20:
             _context.next = 22;
             return (_provider = provider) === null || _provider === void 0 ? void 0 : _provider.getNetwork();
@@ -234,8 +290,9 @@ var _default = {
               chainId: network === null || network === void 0 ? void 0 : network.chainId,
               config: _objectSpread({}, options.config)
             }); // Create an account, which is either an EOA or Multisig (Gnosis)
+            lifecycle = new _lifecycle["default"]();
             if (!((_options$ethereum11 = options.ethereum) !== null && _options$ethereum11 !== void 0 && (_options$ethereum11$a = _options$ethereum11.account) !== null && _options$ethereum11$a !== void 0 && (_options$ethereum11$a2 = _options$ethereum11$a.multisig) !== null && _options$ethereum11$a2 !== void 0 && _options$ethereum11$a2.gnosis)) {
-              _context.next = 44;
+              _context.next = 45;
               break;
             }
             gnosisOptions = (_options$ethereum12 = options.ethereum) === null || _options$ethereum12 === void 0 ? void 0 : (_options$ethereum12$a = _options$ethereum12.account) === null || _options$ethereum12$a === void 0 ? void 0 : (_options$ethereum12$a2 = _options$ethereum12$a.multisig) === null || _options$ethereum12$a2 === void 0 ? void 0 : _options$ethereum12$a2.gnosis;
@@ -247,12 +304,12 @@ var _default = {
               signerOrProvider: signer
             });
             safeAddress = gnosisOptions === null || gnosisOptions === void 0 ? void 0 : (_gnosisOptions$safe2 = gnosisOptions.safe) === null || _gnosisOptions$safe2 === void 0 ? void 0 : _gnosisOptions$safe2.address;
-            _context.next = 36;
+            _context.next = 37;
             return _safeCoreSdk["default"]["default"].create({
               ethAdapter: ethAdapter,
               safeAddress: safeAddress
             });
-          case 36:
+          case 37:
             safe = _context.sent;
             safeSigner = new _safeEthersAdapters.SafeEthersSigner(safe, service, provider);
             owners = privateKeys.map(function (privateKey) {
@@ -275,7 +332,8 @@ var _default = {
               owners: owners,
               signer: safeSigner,
               provider: provider,
-              ethers: ethers
+              ethers: ethers,
+              lifecycle: lifecycle
             });
             multisig = new _multisig["default"]({
               multisig: gnosis
@@ -283,55 +341,36 @@ var _default = {
             account = new _account["default"]({
               account: (options === null || options === void 0 ? void 0 : (_options$dependencies2 = options.dependencies) === null || _options$dependencies2 === void 0 ? void 0 : _options$dependencies2.account) || multisig
             });
-            _context.next = 62;
+            _context.next = 53;
             break;
-          case 44:
+          case 45:
             pk = options === null || options === void 0 ? void 0 : (_options$ethereum13 = options.ethereum) === null || _options$ethereum13 === void 0 ? void 0 : (_options$ethereum13$a = _options$ethereum13.account) === null || _options$ethereum13$a === void 0 ? void 0 : _options$ethereum13$a.privateKey;
-            if (!(pk && !_ethers.ethers.utils.isHexString(pk, 32))) {
-              _context.next = 47;
-              break;
-            }
-            throw "Please provide a valid private key. It should start with '0x'.";
-          case 47:
-            providerAddresses = []; // Address is first address managed by provider if possible
-            if (!(options !== null && options !== void 0 && (_options$ethereum14 = options.ethereum) !== null && _options$ethereum14 !== void 0 && (_options$ethereum14$w = _options$ethereum14.web3) !== null && _options$ethereum14$w !== void 0 && _options$ethereum14$w.provider)) {
-              _context.next = 53;
-              break;
-            }
-            _context.next = 51;
-            return provider.listAccounts();
-          case 51:
-            providerAddresses = _context.sent;
-            address = providerAddresses[0];
-          case 53:
-            // Address is options.ethereum.account.address if it belongs to addresses managed by provider or provider doesn't manage any addresses
-            if (options !== null && options !== void 0 && (_options$ethereum15 = options.ethereum) !== null && _options$ethereum15 !== void 0 && (_options$ethereum15$a = _options$ethereum15.account) !== null && _options$ethereum15$a !== void 0 && _options$ethereum15$a.address && (providerAddresses.length > 0 && providerAddresses.includes(options === null || options === void 0 ? void 0 : (_options$ethereum16 = options.ethereum) === null || _options$ethereum16 === void 0 ? void 0 : (_options$ethereum16$a = _options$ethereum16.account) === null || _options$ethereum16$a === void 0 ? void 0 : _options$ethereum16$a.address) || providerAddresses.length === 0)) {
-              address = options === null || options === void 0 ? void 0 : (_options$ethereum17 = options.ethereum) === null || _options$ethereum17 === void 0 ? void 0 : (_options$ethereum17$a = _options$ethereum17.account) === null || _options$ethereum17$a === void 0 ? void 0 : _options$ethereum17$a.address;
-            }
-
-            // Address is derived from private key if private key is provided
-            if (pk) address = _ethers.ethers.utils.computeAddress(pk);
-            if (!(!pk && options !== null && options !== void 0 && (_options$ethereum18 = options.ethereum) !== null && _options$ethereum18 !== void 0 && (_options$ethereum18$w = _options$ethereum18.web3) !== null && _options$ethereum18$w !== void 0 && _options$ethereum18$w.provider && address)) {
-              _context.next = 59;
-              break;
-            }
-            _context.next = 58;
-            return provider.getSigner(address);
-          case 58:
+            _address = (options === null || options === void 0 ? void 0 : (_options$ethereum14 = options.ethereum) === null || _options$ethereum14 === void 0 ? void 0 : (_options$ethereum14$a = _options$ethereum14.account) === null || _options$ethereum14$a === void 0 ? void 0 : _options$ethereum14$a.address) || _ethers.ethers.utils.computeAddress(pk); //impersonate account in test mode
+            _context.next = 49;
+            return provider.getSigner(_address);
+          case 49:
             signer = _context.sent;
-          case 59:
-            if (pk) {
-              signer = new _ethers.ethers.Wallet(pk, provider);
-            }
+            // Injected wallets (eg. MetaMask) manage their own nonces, and reject or override explicit ones
+            nonceManager = pk ? new _nonce["default"]({
+              address: _address,
+              provider: provider,
+              mutex: new _asyncMutex.Mutex()
+            }) : null;
             eoa = new _eoa["default"]({
-              address: address,
+              address: _address,
               signer: signer,
-              provider: provider
+              provider: provider,
+              lifecycle: lifecycle,
+              nonceManager: nonceManager
             });
             account = new _account["default"]({
               account: (options === null || options === void 0 ? void 0 : (_options$dependencies3 = options.dependencies) === null || _options$dependencies3 === void 0 ? void 0 : _options$dependencies3.account) || eoa
             });
-          case 62:
+          case 53:
+            registry = (options === null || options === void 0 ? void 0 : (_options$dependencies4 = options.dependencies) === null || _options$dependencies4 === void 0 ? void 0 : _options$dependencies4.registry) || new _registry["default"]({
+              config: config,
+              contracts: options === null || options === void 0 ? void 0 : options.contracts
+            });
             mutex = new _asyncMutex.Mutex();
             assertion = new _assertion["default"]({
               account: account,
@@ -344,15 +383,32 @@ var _default = {
             http = new _http["default"]({
               axios: _axios["default"]
             });
-            contractFactory = (options === null || options === void 0 ? void 0 : (_options$dependencies4 = options.dependencies) === null || _options$dependencies4 === void 0 ? void 0 : _options$dependencies4.contractFactory) || new _factory["default"]({
+            feePolicy = new _fee["default"]({
+              config: config,
+              provider: provider,
+              ethers: ethers
+            });
+            multicall = new _multicall["default"]({
+              config: config,
+              provider: provider,
+              ethers: ethers
+            });
+            contractFactory = (options === null || options === void 0 ? void 0 : (_options$dependencies5 = options.dependencies) === null || _options$dependencies5 === void 0 ? void 0 : _options$dependencies5.contractFactory) || new _factory["default"]({
               signer: signer,
               ethers: ethers,
               account: account,
               Contract: _contract["default"],
               provider: provider,
-              assertion: assertion
+              assertion: assertion,
+              feePolicy: feePolicy,
+              multicall: multicall
             });
-            utils = (options === null || options === void 0 ? void 0 : (_options$dependencies5 = options.dependencies) === null || _options$dependencies5 === void 0 ? void 0 : _options$dependencies5.utils) || new _utils["default"]({
+            helper = new _helper5["default"]({
+              config: config,
+              ethers: ethers
+            });
+            error = new _error["default"]();
+            utils = (options === null || options === void 0 ? void 0 : (_options$dependencies6 = options.dependencies) === null || _options$dependencies6 === void 0 ? void 0 : _options$dependencies6.utils) || new _utils["default"]({
               ethers: ethers,
               BN: _bn["default"],
               Date: Date,
@@ -360,9 +416,11 @@ var _default = {
               Number: Number,
               web3: _web["default"],
               contractFactory: contractFactory,
-              config: config
+              config: config,
+              helper: helper,
+              error: error
             });
-            storage = (options === null || options === void 0 ? void 0 : (_options$dependencies6 = options.dependencies) === null || _options$dependencies6 === void 0 ? void 0 : _options$dependencies6.storage) || new _storage["default"]({
+            storage = (options === null || options === void 0 ? void 0 : (_options$dependencies7 = options.dependencies) === null || _options$dependencies7 === void 0 ? void 0 : _options$dependencies7.storage) || new _storage["default"]({
               storage: localStorage,
               config: config
             });
@@ -373,47 +431,51 @@ var _default = {
               utils: utils,
               storage: storage
             });
-            api = (options === null || options === void 0 ? void 0 : (_options$dependencies7 = options.dependencies) === null || _options$dependencies7 === void 0 ? void 0 : _options$dependencies7.api) || new _api["default"]({
+            api = (options === null || options === void 0 ? void 0 : (_options$dependencies8 = options.dependencies) === null || _options$dependencies8 === void 0 ? void 0 : _options$dependencies8.api) || new _api["default"]({
               config: config,
               auth: auth,
               http: http,
               assertion: assertion,
               mutex: mutex
             });
-            error = new _error["default"]();
-            result = new _result["default"]();
-            helper = new _helper3["default"]({
-              config: config
-            });
-            listings = new _listings["default"]({
-              api: api,
-              config: config,
-              helper: helper,
+            result = new _result["default"]({
               error: error
             });
             loanFixedV1 = new _index2["default"]({
               config: config,
-              contractFactory: contractFactory
+              contractFactory: contractFactory,
+              registry: registry,
+              helper: helper
             });
             loanFixedV2 = new _index3["default"]({
               config: config,
-              contractFactory: contractFactory
+              contractFactory: contractFactory,
+              registry: registry,
+              helper: helper
             });
             loanFixedV2_1 = new _index4["default"]({
               config: config,
-              contractFactory: contractFactory
+              contractFactory: contractFactory,
+              registry: registry,
+              helper: helper
             });
             loanFixedV2_3 = new _index5["default"]({
               config: config,
-              contractFactory: contractFactory
+              contractFactory: contractFactory,
+              registry: registry,
+              helper: helper
             });
             loanFixedCollectionV2 = new _index7["default"]({
               config: config,
-              contractFactory: contractFactory
+              contractFactory: contractFactory,
+              registry: registry,
+              helper: helper
             });
             loanFixedCollectionV2_3 = new _index8["default"]({
               config: config,
-              contractFactory: contractFactory
+              contractFactory: contractFactory,
+              registry: registry,
+              helper: helper
             });
             loanFixedCollection = new _index6["default"]({
               v2: loanFixedCollectionV2,
@@ -424,51 +486,128 @@ var _default = {
               v2: loanFixedV2,
               v2_1: loanFixedV2_1,
               v2_3: loanFixedV2_3,
-              collection: loanFixedCollection
+              collection: loanFixedCollection,
+              implementations: (_implementations = {}, (0, _defineProperty2["default"])(_implementations, config.loan.fixed.v1.name, _index2["default"]), (0, _defineProperty2["default"])(_implementations, config.loan.fixed.v2.name, _index3["default"]), (0, _defineProperty2["default"])(_implementations, config.loan.fixed.v2_1.name, _index4["default"]), (0, _defineProperty2["default"])(_implementations, config.loan.fixed.v2_3.name, _index5["default"]), (0, _defineProperty2["default"])(_implementations, config.loan.fixed.collection.v2.name, _index7["default"]), (0, _defineProperty2["default"])(_implementations, config.loan.fixed.collection.v2_3.name, _index8["default"]), _implementations),
+              config: config,
+              contractFactory: contractFactory,
+              registry: registry,
+              helper: helper
             });
-            loans = new _loans["default"]({
-              api: api,
+            erc20 = new _erc["default"]({
+              config: config,
+              utils: utils,
               account: account,
-              fixed: loanFixed,
+              contractFactory: contractFactory,
+              BN: _bn["default"],
+              error: error,
+              assertion: assertion,
+              registry: registry,
+              helper: helper
+            });
+            erc721 = new _erc2["default"]({
               config: config,
-              helper: helper,
+              contractFactory: contractFactory,
+              account: account,
               error: error,
-              assertion: assertion
+              assertion: assertion,
+              registry: registry
             });
-            offersSignatures = new _signatures["default"]({
+            erc1155 = new _erc3["default"]({
+              config: config,
+              contractFactory: contractFactory,
               account: account,
-              ethers: ethers,
-              config: config
+              registry: registry
             });
-            erc20 = new _erc["default"]({
+            cryptoPunks = new _cryptoPunks["default"]({
               config: config,
               utils: utils,
+              error: error,
+              result: result,
+              contractFactory: contractFactory,
+              registry: registry
+            });
+            nft = new _nft["default"]({
+              config: config,
+              result: result,
+              nft: {
+                erc1155: erc1155,
+                cryptoPunks: cryptoPunks,
+                erc721: erc721
+              },
+              ethers: _ethers.ethers,
               account: account,
               contractFactory: contractFactory,
-              BN: _bn["default"],
+              utils: utils,
               error: error,
               assertion: assertion
             });
-            offersHelper = new _helper["default"]({
-              BN: _bn["default"],
-              Number: Number,
-              utils: utils,
-              offersSignatures: offersSignatures,
+            offersValidationCache = new _cache["default"]({
               config: config,
-              account: account,
-              assertion: assertion
+              provider: provider,
+              ethers: ethers
             });
             offersValidator = new _validation["default"]({
               erc20: erc20,
               ethers: ethers,
               config: config,
-              contractFactory: contractFactory
+              contractFactory: contractFactory,
+              registry: registry,
+              nft: nft,
+              helper: helper,
+              cache: offersValidationCache
+            });
+            loansHelper = new _helper3["default"]({
+              config: config,
+              account: account,
+              assertion: assertion
+            });
+            loans = new _loans["default"]({
+              api: api,
+              account: account,
+              loansHelper: loansHelper,
+              fixed: loanFixed,
+              config: config,
+              helper: helper,
+              error: error,
+              result: result,
+              assertion: assertion,
+              registry: registry,
+              nft: nft,
+              offersValidator: offersValidator
+            });
+            offersSignatures = new _signatures["default"]({
+              account: account,
+              ethers: ethers,
+              config: config,
+              registry: registry,
+              helper: helper
+            });
+            offersHelper = new _helper2["default"]({
+              helper: helper,
+              utils: utils,
+              offersSignatures: offersSignatures,
+              config: config,
+              account: account,
+              assertion: assertion,
+              registry: registry
             });
             offersRequests = new _requests["default"]({
               api: api,
               account: account,
               config: config,
               result: result,
+              error: error,
+              assertion: assertion,
+              offersHelper: offersHelper,
+              registry: registry,
+              ethers: ethers,
+              helper: helper
+            });
+            terms = new _terms["default"]({
+              config: config,
+              contractFactory: contractFactory,
+              ethers: ethers,
+              result: result,
               error: error
             });
             offers = new _offers["default"]({
@@ -477,31 +616,32 @@ var _default = {
               offersHelper: offersHelper,
               offersValidator: offersValidator,
               offersRequests: offersRequests,
+              offersSignatures: offersSignatures,
               loans: loans,
               config: config,
               result: result,
               error: error,
               helper: helper,
-              assertion: assertion
+              assertion: assertion,
+              terms: terms,
+              utils: utils
             });
-            erc721 = new _erc2["default"]({
+            listingsHelper = new _helper["default"]({
               config: config,
-              contractFactory: contractFactory,
-              account: account,
-              error: error,
-              assertion: assertion
+              helper: helper
             });
-            erc1155 = new _erc3["default"]({
-              config: config,
-              contractFactory: contractFactory,
-              account: account
-            });
-            cryptoPunks = new _cryptoPunks["default"]({
+            listings = new _listings["default"]({
+              api: api,
               config: config,
-              utils: utils,
-              error: error,
+              helper: helper,
+              listingsHelper: listingsHelper,
+              offers: offers,
+              nft: nft,
+              account: account,
+              registry: registry,
+              assertion: assertion,
               result: result,
-              contractFactory: contractFactory
+              error: error
             });
             immutables = new _immutables["default"]({
               config: config,
@@ -511,7 +651,7 @@ var _default = {
               contractFactory: contractFactory,
               assertion: assertion
             });
-            bundlesHelper = new _helper2["default"]({
+            bundlesHelper = new _helper4["default"]({
               config: config,
               contractFactory: contractFactory,
               ethers: ethers
@@ -558,35 +698,38 @@ var _default = {
               og: rewardsOg,
               earn: rewardsEarn
             });
-            nft = new _nft["default"]({
-              config: config,
-              result: result,
-              nft: {
-                erc1155: erc1155,
-                cryptoPunks: cryptoPunks,
-                erc721: erc721
-              },
-              ethers: _ethers.ethers,
+            transactions = new _transactions["default"]({
               account: account,
-              contractFactory: contractFactory,
-              utils: utils,
-              error: error,
-              assertion: assertion
-            });
+              provider: provider,
+              ethers: ethers,
+              feePolicy: feePolicy,
+              assertion: assertion,
+              result: result,
+              error: error
+            }); // Opt-in envelope, so that every public method responds in the same shape
+            envelope = (config === null || config === void 0 ? void 0 : (_config$response = config.response) === null || _config$response === void 0 ? void 0 : _config$response.envelope) === 'v1' ? function (module) {
+              return result.wrap(module);
+            } : function (module) {
+              return module;
+            };
             nftfi = new _index9["default"]({
               config: config,
               account: account,
-              listings: listings,
-              offers: offers,
-              loans: loans,
-              erc20: erc20,
-              erc721: erc721,
-              bundles: bundles,
-              immutables: immutables,
+              listings: envelope(listings),
+              offers: envelope(offers),
+              loans: envelope(loans),
+              erc20: envelope(erc20),
+              erc721: envelope(erc721),
+              bundles: envelope(bundles),
+              immutables: envelope(immutables),
               events: events,
-              rewards: rewards,
-              nft: nft,
-              utils: utils
+              rewards: envelope(rewards),
+              transactions: envelope(transactions),
+              terms: envelope(terms),
+              nft: envelope(nft),
+              utils: utils,
+              api: api,
+              offersSignatures: offersSignatures
             });
             if ((options === null || options === void 0 ? void 0 : (_options$logging = options.logging) === null || _options$logging === void 0 ? void 0 : _options$logging.verbose) !== false) {
               console.log('NFTfi SDK initialised.');
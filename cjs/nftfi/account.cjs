@@ -66,41 +66,60 @@ var Account = /*#__PURE__*/function () {
       return sign;
     }()
   }, {
-    key: "authSign",
+    key: "signMany",
     value: function () {
-      var _authSign = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee2(msg) {
-        var signedMsg;
+      var _signMany = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee2(msgs) {
         return _regenerator["default"].wrap(function _callee2$(_context2) {
           while (1) switch (_context2.prev = _context2.next) {
             case 0:
-              signedMsg = (0, _classPrivateFieldGet2["default"])(this, _account).authSign(msg);
-              return _context2.abrupt("return", signedMsg);
-            case 2:
+              return _context2.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _account).signMany(msgs));
+            case 1:
             case "end":
               return _context2.stop();
           }
         }, _callee2, this);
       }));
-      function authSign(_x2) {
-        return _authSign.apply(this, arguments);
+      function signMany(_x2) {
+        return _signMany.apply(this, arguments);
       }
-      return authSign;
+      return signMany;
     }()
   }, {
-    key: "execTransaction",
+    key: "authSign",
     value: function () {
-      var _execTransaction = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee3(tx) {
+      var _authSign = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee3(msg) {
+        var signedMsg;
         return _regenerator["default"].wrap(function _callee3$(_context3) {
           while (1) switch (_context3.prev = _context3.next) {
             case 0:
-              return _context3.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _account).execTransaction(tx));
-            case 1:
+              signedMsg = (0, _classPrivateFieldGet2["default"])(this, _account).authSign(msg);
+              return _context3.abrupt("return", signedMsg);
+            case 2:
             case "end":
               return _context3.stop();
           }
         }, _callee3, this);
       }));
-      function execTransaction(_x3) {
+      function authSign(_x3) {
+        return _authSign.apply(this, arguments);
+      }
+      return authSign;
+    }()
+  }, {
+    key: "execTransaction",
+    value: function () {
+      var _execTransaction = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee4(tx, options) {
+        return _regenerator["default"].wrap(function _callee4$(_context4) {
+          while (1) switch (_context4.prev = _context4.next) {
+            case 0:
+              return _context4.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _account).execTransaction(tx, options));
+            case 1:
+            case "end":
+              return _context4.stop();
+          }
+        }, _callee4, this);
+      }));
+      function execTransaction(_x4, _x5) {
         return _execTransaction.apply(this, arguments);
       }
       return execTransaction;
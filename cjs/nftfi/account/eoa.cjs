@@ -6,16 +6,24 @@ Object.defineProperty(exports, "__esModule", {
 });
 exports["default"] = void 0;
 var _regenerator = _interopRequireDefault(require("@babel/runtime/regenerator"));
+var _defineProperty2 = _interopRequireDefault(require("@babel/runtime/helpers/defineProperty"));
 var _asyncToGenerator2 = _interopRequireDefault(require("@babel/runtime/helpers/asyncToGenerator"));
 var _classCallCheck2 = _interopRequireDefault(require("@babel/runtime/helpers/classCallCheck"));
 var _createClass2 = _interopRequireDefault(require("@babel/runtime/helpers/createClass"));
 var _classPrivateFieldGet2 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldGet"));
 var _classPrivateFieldSet2 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldSet"));
+function ownKeys(object, enumerableOnly) { var keys = Object.keys(object); if (Object.getOwnPropertySymbols) { var symbols = Object.getOwnPropertySymbols(object); enumerableOnly && (symbols = symbols.filter(function (sym) { return Object.getOwnPropertyDescriptor(object, sym).enumerable; })), keys.push.apply(keys, symbols); } return keys; }
+function _objectSpread(target) { for (var i = 1; i < arguments.length; i++) { var source = null != arguments[i] ? arguments[i] : {}; i % 2 ? ownKeys(Object(source), !0).forEach(function (key) { (0, _defineProperty2["default"])(target, key, source[key]); }) : Object.getOwnPropertyDescriptors ? Object.defineProperties(target, Object.getOwnPropertyDescriptors(source)) : ownKeys(Object(source)).forEach(function (key) { Object.defineProperty(target, key, Object.getOwnPropertyDescriptor(source, key)); }); } return target; }
+function _createForOfIteratorHelper(o, allowArrayLike) { var it = typeof Symbol !== "undefined" && o[Symbol.iterator] || o["@@iterator"]; if (!it) { if (Array.isArray(o) || (it = _unsupportedIterableToArray(o)) || allowArrayLike && o && typeof o.length === "number") { if (it) o = it; var i = 0; var F = function F() {}; return { s: F, n: function n() { if (i >= o.length) return { done: true }; return { done: false, value: o[i++] }; }, e: function e(_e) { throw _e; }, f: F }; } throw new TypeError("Invalid attempt to iterate non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method."); } var normalCompletion = true, didErr = false, err; return { s: function s() { it = it.call(o); }, n: function n() { var step = it.next(); normalCompletion = step.done; return step; }, e: function e(_e2) { didErr = true; err = _e2; }, f: function f() { try { if (!normalCompletion && it["return"] != null) it["return"](); } finally { if (didErr) throw err; } } }; }
+function _unsupportedIterableToArray(o, minLen) { if (!o) return; if (typeof o === "string") return _arrayLikeToArray(o, minLen); var n = Object.prototype.toString.call(o).slice(8, -1); if (n === "Object" && o.constructor) n = o.constructor.name; if (n === "Map" || n === "Set") return Array.from(o); if (n === "Arguments" || /^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n)) return _arrayLikeToArray(o, minLen); }
+function _arrayLikeToArray(arr, len) { if (len == null || len > arr.length) len = arr.length; for (var i = 0, arr2 = new Array(len); i < len; i++) arr2[i] = arr[i]; return arr2; }
 function _classPrivateFieldInitSpec(obj, privateMap, value) { _checkPrivateRedeclaration(obj, privateMap); privateMap.set(obj, value); }
 function _checkPrivateRedeclaration(obj, privateCollection) { if (privateCollection.has(obj)) { throw new TypeError("Cannot initialize the same private elements twice on an object"); } }
 var _address = /*#__PURE__*/new WeakMap();
 var _signer = /*#__PURE__*/new WeakMap();
 var _provider = /*#__PURE__*/new WeakMap();
+var _lifecycle = /*#__PURE__*/new WeakMap();
+var _nonceManager = /*#__PURE__*/new WeakMap();
 var EOA = /*#__PURE__*/function () {
   function EOA() {
     var options = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : {};
@@ -32,9 +40,19 @@ var EOA = /*#__PURE__*/function () {
       writable: true,
       value: void 0
     });
+    _classPrivateFieldInitSpec(this, _lifecycle, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _nonceManager, {
+      writable: true,
+      value: void 0
+    });
     (0, _classPrivateFieldSet2["default"])(this, _address, options === null || options === void 0 ? void 0 : options.address);
     (0, _classPrivateFieldSet2["default"])(this, _signer, options === null || options === void 0 ? void 0 : options.signer);
     (0, _classPrivateFieldSet2["default"])(this, _provider, options === null || options === void 0 ? void 0 : options.provider);
+    (0, _classPrivateFieldSet2["default"])(this, _lifecycle, options === null || options === void 0 ? void 0 : options.lifecycle);
+    (0, _classPrivateFieldSet2["default"])(this, _nonceManager, options === null || options === void 0 ? void 0 : options.nonceManager);
   }
   (0, _createClass2["default"])(EOA, [{
     key: "isMultisig",
@@ -76,46 +94,132 @@ var EOA = /*#__PURE__*/function () {
         return _sign.apply(this, arguments);
       }
       return sign;
-    }()
+    }() // Messages are signed one after the other, so that wallets prompt for them in order
   }, {
-    key: "authSign",
+    key: "signMany",
     value: function () {
-      var _authSign = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee2(msg) {
+      var _signMany = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee2(msgs) {
+        var signedMsgs, _iterator, _step, msg;
         return _regenerator["default"].wrap(function _callee2$(_context2) {
           while (1) switch (_context2.prev = _context2.next) {
             case 0:
-              return _context2.abrupt("return", this.sign(msg));
-            case 1:
+              signedMsgs = [];
+              _iterator = _createForOfIteratorHelper(msgs);
+              _context2.prev = 2;
+              _iterator.s();
+            case 4:
+              if ((_step = _iterator.n()).done) {
+                _context2.next = 13;
+                break;
+              }
+              msg = _step.value;
+              _context2.t0 = signedMsgs;
+              _context2.next = 9;
+              return this.sign(msg);
+            case 9:
+              _context2.t1 = _context2.sent;
+              _context2.t0.push.call(_context2.t0, _context2.t1);
+            case 11:
+              _context2.next = 4;
+              break;
+            case 13:
+              _context2.next = 18;
+              break;
+            case 15:
+              _context2.prev = 15;
+              _context2.t2 = _context2["catch"](2);
+              _iterator.e(_context2.t2);
+            case 18:
+              _context2.prev = 18;
+              _iterator.f();
+              return _context2.finish(18);
+            case 21:
+              return _context2.abrupt("return", signedMsgs);
+            case 22:
             case "end":
               return _context2.stop();
           }
-        }, _callee2, this);
+        }, _callee2, this, [[2, 15, 18, 21]]);
       }));
-      function authSign(_x2) {
-        return _authSign.apply(this, arguments);
+      function signMany(_x2) {
+        return _signMany.apply(this, arguments);
       }
-      return authSign;
+      return signMany;
     }()
   }, {
-    key: "execTransaction",
+    key: "authSign",
     value: function () {
-      var _execTransaction = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee3(tx) {
-        var receipt;
+      var _authSign = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee3(msg) {
         return _regenerator["default"].wrap(function _callee3$(_context3) {
           while (1) switch (_context3.prev = _context3.next) {
             case 0:
-              _context3.next = 2;
-              return (0, _classPrivateFieldGet2["default"])(this, _signer).sendTransaction(tx);
-            case 2:
-              receipt = _context3.sent;
-              return _context3.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _provider).waitForTransaction(receipt.hash));
-            case 4:
+              return _context3.abrupt("return", this.sign(msg));
+            case 1:
             case "end":
               return _context3.stop();
           }
         }, _callee3, this);
       }));
-      function execTransaction(_x3) {
+      function authSign(_x3) {
+        return _authSign.apply(this, arguments);
+      }
+      return authSign;
+    }()
+  }, {
+    key: "execTransaction",
+    value: function () {
+      var _execTransaction = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee4(tx) {
+        var options,
+          response,
+          isManaged,
+          nonce,
+          _args4 = arguments;
+        return _regenerator["default"].wrap(function _callee4$(_context4) {
+          while (1) switch (_context4.prev = _context4.next) {
+            case 0:
+              options = _args4.length > 1 && _args4[1] !== undefined ? _args4[1] : {};
+              // Transactions that come with a nonce (eg. replacements) are sent as they are
+              isManaged = !!(0, _classPrivateFieldGet2["default"])(this, _nonceManager) && tx.nonce === undefined;
+              if (!isManaged) {
+                _context4.next = 8;
+                break;
+              }
+              _context4.next = 5;
+              return (0, _classPrivateFieldGet2["default"])(this, _nonceManager).next();
+            case 5:
+              _context4.t0 = _context4.sent;
+              _context4.next = 9;
+              break;
+            case 8:
+              _context4.t0 = tx.nonce;
+            case 9:
+              nonce = _context4.t0;
+              _context4.prev = 10;
+              _context4.next = 13;
+              return (0, _classPrivateFieldGet2["default"])(this, _signer).sendTransaction(_objectSpread(_objectSpread({}, tx), {}, {
+                nonce: nonce
+              }));
+            case 13:
+              response = _context4.sent;
+              _context4.next = 21;
+              break;
+            case 16:
+              _context4.prev = 16;
+              _context4.t1 = _context4["catch"](10);
+              if (isManaged) (0, _classPrivateFieldGet2["default"])(this, _nonceManager).release(nonce);
+              (0, _classPrivateFieldGet2["default"])(this, _lifecycle).failed(_context4.t1, options);
+              throw _context4.t1;
+            case 21:
+              if (isManaged) (0, _classPrivateFieldGet2["default"])(this, _nonceManager).submitted(nonce, response.hash);
+              (0, _classPrivateFieldGet2["default"])(this, _lifecycle).signed(response, options);
+              return _context4.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _lifecycle).submitted(response, options));
+            case 24:
+            case "end":
+              return _context4.stop();
+          }
+        }, _callee4, this, [[10, 16]]);
+      }));
+      function execTransaction(_x4) {
         return _execTransaction.apply(this, arguments);
       }
       return execTransaction;
@@ -0,0 +1,130 @@
+"use strict";
+
+var _interopRequireDefault = require("@babel/runtime/helpers/interopRequireDefault");
+Object.defineProperty(exports, "__esModule", {
+  value: true
+});
+exports["default"] = void 0;
+var _regenerator = _interopRequireDefault(require("@babel/runtime/regenerator"));
+var _asyncToGenerator2 = _interopRequireDefault(require("@babel/runtime/helpers/asyncToGenerator"));
+var _classCallCheck2 = _interopRequireDefault(require("@babel/runtime/helpers/classCallCheck"));
+var _createClass2 = _interopRequireDefault(require("@babel/runtime/helpers/createClass"));
+/**
+ * @class
+ * Reports the progress of a sent transaction through the lifecycle callbacks passed to `Contract.call`:
+ * `onSigned`, `onSubmitted(hash)`, `onConfirmed(receipt, confirmations)`, `onReplaced(replacement)` and `onFailed(reason)`.
+ */
+var TransactionLifecycle = /*#__PURE__*/function () {
+  function TransactionLifecycle() {
+    (0, _classCallCheck2["default"])(this, TransactionLifecycle);
+  }
+  (0, _createClass2["default"])(TransactionLifecycle, [{
+    key: "signed",
+    value: function signed(transaction, options) {
+      var _options$callbacks, _options$callbacks$on;
+      options === null || options === void 0 ? void 0 : (_options$callbacks = options.callbacks) === null || _options$callbacks === void 0 ? void 0 : (_options$callbacks$on = _options$callbacks.onSigned) === null || _options$callbacks$on === void 0 ? void 0 : _options$callbacks$on.call(_options$callbacks, transaction);
+    }
+  }, {
+    key: "failed",
+    value: function failed(e, options) {
+      var _options$callbacks2, _options$callbacks2$o;
+      options === null || options === void 0 ? void 0 : (_options$callbacks2 = options.callbacks) === null || _options$callbacks2 === void 0 ? void 0 : (_options$callbacks2$o = _options$callbacks2.onFailed) === null || _options$callbacks2$o === void 0 ? void 0 : _options$callbacks2$o.call(_options$callbacks2, (e === null || e === void 0 ? void 0 : e.reason) || (e === null || e === void 0 ? void 0 : e.message) || e);
+    }
+
+    // Waits for the broadcast transaction to be mined, or returns it straight away when `wait` is false.
+  }, {
+    key: "submitted",
+    value: function () {
+      var _submitted = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee(response, options) {
+        var _options$callbacks3, _options$callbacks3$o;
+        var mined;
+        return _regenerator["default"].wrap(function _callee$(_context) {
+          while (1) switch (_context.prev = _context.next) {
+            case 0:
+              options === null || options === void 0 ? void 0 : (_options$callbacks3 = options.callbacks) === null || _options$callbacks3 === void 0 ? void 0 : (_options$callbacks3$o = _options$callbacks3.onSubmitted) === null || _options$callbacks3$o === void 0 ? void 0 : _options$callbacks3$o.call(_options$callbacks3, response.hash);
+              mined = this._wait(response, options);
+              if (!((options === null || options === void 0 ? void 0 : options.wait) === false)) {
+                _context.next = 5;
+                break;
+              }
+              // Nobody awaits the receipt anymore, failures are reported through `onFailed` only
+              mined["catch"](function () {});
+              return _context.abrupt("return", response);
+            case 5:
+              return _context.abrupt("return", mined);
+            case 6:
+            case "end":
+              return _context.stop();
+          }
+        }, _callee, this);
+      }));
+      function submitted(_x, _x2) {
+        return _submitted.apply(this, arguments);
+      }
+      return submitted;
+    }()
+  }, {
+    key: "_wait",
+    value: function () {
+      var _wait2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee2(response, options) {
+        var callbacks, _callbacks$onConfirme, receipt, _callbacks$onReplaced, _e$replacement, _callbacks$onConfirme2;
+        return _regenerator["default"].wrap(function _callee2$(_context2) {
+          while (1) switch (_context2.prev = _context2.next) {
+            case 0:
+              callbacks = (options === null || options === void 0 ? void 0 : options.callbacks) || {};
+              _context2.prev = 1;
+              _context2.next = 4;
+              return response.wait((options === null || options === void 0 ? void 0 : options.confirmations) || 1);
+            case 4:
+              receipt = _context2.sent;
+              (_callbacks$onConfirme = callbacks.onConfirmed) === null || _callbacks$onConfirme === void 0 ? void 0 : _callbacks$onConfirme.call(callbacks, receipt, receipt.confirmations);
+              return _context2.abrupt("return", receipt);
+            case 9:
+              _context2.prev = 9;
+              _context2.t0 = _context2["catch"](1);
+              _context2.t1 = _context2.t0 === null || _context2.t0 === void 0 ? void 0 : _context2.t0.code;
+              _context2.next = _context2.t1 === 'TRANSACTION_REPLACED' ? 14 : _context2.t1 === 'CALL_EXCEPTION' ? 19 : 23;
+              break;
+            case 14:
+              (_callbacks$onReplaced = callbacks.onReplaced) === null || _callbacks$onReplaced === void 0 ? void 0 : _callbacks$onReplaced.call(callbacks, {
+                hash: (_e$replacement = _context2.t0.replacement) === null || _e$replacement === void 0 ? void 0 : _e$replacement.hash,
+                reason: _context2.t0.reason,
+                receipt: _context2.t0.receipt
+              });
+              // A repriced transaction is the same transaction with a higher fee, anything else did not go through
+              if (!_context2.t0.cancelled) {
+                _context2.next = 17;
+                break;
+              }
+              return _context2.abrupt("break", 23);
+            case 17:
+              (_callbacks$onConfirme2 = callbacks.onConfirmed) === null || _callbacks$onConfirme2 === void 0 ? void 0 : _callbacks$onConfirme2.call(callbacks, _context2.t0.receipt, _context2.t0.receipt.confirmations);
+              return _context2.abrupt("return", _context2.t0.receipt);
+            case 19:
+              if (_context2.t0 !== null && _context2.t0 !== void 0 && _context2.t0.receipt) {
+                _context2.next = 21;
+                break;
+              }
+              return _context2.abrupt("break", 23);
+            case 21:
+              this.failed(_context2.t0, options);
+              return _context2.abrupt("return", _context2.t0.receipt);
+            case 23:
+              this.failed(_context2.t0, options);
+              throw _context2.t0;
+            case 25:
+            case "end":
+              return _context2.stop();
+          }
+        }, _callee2, this, [[1, 9]]);
+      }));
+      function _wait(_x3, _x4) {
+        return _wait2.apply(this, arguments);
+      }
+      return _wait;
+    }()
+  }]);
+  return TransactionLifecycle;
+}();
+var _default = TransactionLifecycle;
+exports["default"] = _default;
\ No newline at end of file
@@ -6,11 +6,14 @@ Object.defineProperty(exports, "__esModule", {
 });
 exports["default"] = void 0;
 var _regenerator = _interopRequireDefault(require("@babel/runtime/regenerator"));
+var _slicedToArray2 = _interopRequireDefault(require("@babel/runtime/helpers/slicedToArray"));
+var _objectWithoutProperties2 = _interopRequireDefault(require("@babel/runtime/helpers/objectWithoutProperties"));
 var _asyncToGenerator2 = _interopRequireDefault(require("@babel/runtime/helpers/asyncToGenerator"));
 var _classCallCheck2 = _interopRequireDefault(require("@babel/runtime/helpers/classCallCheck"));
 var _createClass2 = _interopRequireDefault(require("@babel/runtime/helpers/createClass"));
 var _classPrivateFieldGet2 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldGet"));
 var _classPrivateFieldSet2 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldSet"));
+var _excluded = ["gasLimit", "maxFeePerGas", "maxPriorityFeePerGas"];
 function _createForOfIteratorHelper(o, allowArrayLike) { var it = typeof Symbol !== "undefined" && o[Symbol.iterator] || o["@@iterator"]; if (!it) { if (Array.isArray(o) || (it = _unsupportedIterableToArray(o)) || allowArrayLike && o && typeof o.length === "number") { if (it) o = it; var i = 0; var F = function F() {}; return { s: F, n: function n() { if (i >= o.length) return { done: true }; return { done: false, value: o[i++] }; }, e: function e(_e) { throw _e; }, f: F }; } throw new TypeError("Invalid attempt to iterate non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method."); } var normalCompletion = true, didErr = false, err; return { s: function s() { it = it.call(o); }, n: function n() { var step = it.next(); normalCompletion = step.done; return step; }, e: function e(_e2) { didErr = true; err = _e2; }, f: function f() { try { if (!normalCompletion && it["return"] != null) it["return"](); } finally { if (didErr) throw err; } } }; }
 function _unsupportedIterableToArray(o, minLen) { if (!o) return; if (typeof o === "string") return _arrayLikeToArray(o, minLen); var n = Object.prototype.toString.call(o).slice(8, -1); if (n === "Object" && o.constructor) n = o.constructor.name; if (n === "Map" || n === "Set") return Array.from(o); if (n === "Arguments" || /^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n)) return _arrayLikeToArray(o, minLen); }
 function _arrayLikeToArray(arr, len) { if (len == null || len > arr.length) len = arr.length; for (var i = 0, arr2 = new Array(len); i < len; i++) arr2[i] = arr[i]; return arr2; }
@@ -21,6 +24,7 @@ var _owners = /*#__PURE__*/new WeakMap();
 var _signer = /*#__PURE__*/new WeakMap();
 var _provider = /*#__PURE__*/new WeakMap();
 var _ethers = /*#__PURE__*/new WeakMap();
+var _lifecycle = /*#__PURE__*/new WeakMap();
 var MultisigGnosis = /*#__PURE__*/function () {
   function MultisigGnosis(options) {
     (0, _classCallCheck2["default"])(this, MultisigGnosis);
@@ -44,11 +48,16 @@ var MultisigGnosis = /*#__PURE__*/function () {
       writable: true,
       value: void 0
     });
+    _classPrivateFieldInitSpec(this, _lifecycle, {
+      writable: true,
+      value: void 0
+    });
     (0, _classPrivateFieldSet2["default"])(this, _address, options === null || options === void 0 ? void 0 : options.address);
     (0, _classPrivateFieldSet2["default"])(this, _owners, options === null || options === void 0 ? void 0 : options.owners);
     (0, _classPrivateFieldSet2["default"])(this, _signer, options === null || options === void 0 ? void 0 : options.signer);
     (0, _classPrivateFieldSet2["default"])(this, _provider, options === null || options === void 0 ? void 0 : options.provider);
     (0, _classPrivateFieldSet2["default"])(this, _ethers, options === null || options === void 0 ? void 0 : options.ethers);
+    (0, _classPrivateFieldSet2["default"])(this, _lifecycle, options === null || options === void 0 ? void 0 : options.lifecycle);
   }
   (0, _createClass2["default"])(MultisigGnosis, [{
     key: "isMultisig",
@@ -79,14 +88,29 @@ var MultisigGnosis = /*#__PURE__*/function () {
     key: "execTransaction",
     value: function () {
       var _execTransaction = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee3(tx) {
-        var safeSDKs, baseSafeSDK, otherSafeSDKs, safeTransaction, receipt, response;
+        var options,
+          receipt,
+          gasLimit,
+          maxFeePerGas,
+          maxPriorityFeePerGas,
+          safeTransactionData,
+          safeSDKs,
+          baseSafeSDK,
+          otherSafeSDKs,
+          safeTransaction,
+          _args3 = arguments;
         return _regenerator["default"].wrap(function _callee3$(_context3) {
           while (1) switch (_context3.prev = _context3.next) {
             case 0:
-              // Always make sure that value is never undefined
-              tx.value = tx.value || '0';
+              options = _args3.length > 1 && _args3[1] !== undefined ? _args3[1] : {};
+              _context3.prev = 1;
+              // Fees apply to the execution of the safe transaction, not to the transaction it wraps.
+              // The gas limit is left to the safe sdk, as it was estimated for the wrapped transaction only.
+              // eslint-disable-next-line no-unused-vars
+              gasLimit = tx.gasLimit, maxFeePerGas = tx.maxFeePerGas, maxPriorityFeePerGas = tx.maxPriorityFeePerGas, safeTransactionData = (0, _objectWithoutProperties2["default"])(tx, _excluded); // Always make sure that value is never undefined
+              safeTransactionData.value = safeTransactionData.value || '0';
               // Get all safe SDKs
-              _context3.next = 3;
+              _context3.next = 6;
               return Promise.all((0, _classPrivateFieldGet2["default"])(this, _owners).map( /*#__PURE__*/function () {
                 var _ref = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee(owner) {
                   return _regenerator["default"].wrap(function _callee$(_context) {
@@ -103,17 +127,17 @@ var MultisigGnosis = /*#__PURE__*/function () {
                   return _ref.apply(this, arguments);
                 };
               }()));
-            case 3:
+            case 6:
               safeSDKs = _context3.sent;
               baseSafeSDK = safeSDKs[0];
               otherSafeSDKs = safeSDKs.slice(1); // Create a safe transaction using the base safe sdk
-              _context3.next = 8;
+              _context3.next = 11;
               return baseSafeSDK.createTransaction({
-                safeTransactionData: tx
+                safeTransactionData: safeTransactionData
               });
-            case 8:
+            case 11:
               safeTransaction = _context3.sent;
-              _context3.next = 11;
+              _context3.next = 14;
               return Promise.all(otherSafeSDKs.map( /*#__PURE__*/function () {
                 var _ref2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee2(safeSDK) {
                   return _regenerator["default"].wrap(function _callee2$(_context2) {
@@ -130,18 +154,30 @@ var MultisigGnosis = /*#__PURE__*/function () {
                   return _ref2.apply(this, arguments);
                 };
               }()));
-            case 11:
-              _context3.next = 13;
-              return baseSafeSDK.executeTransaction(safeTransaction);
-            case 13:
+            case 14:
+              (0, _classPrivateFieldGet2["default"])(this, _lifecycle).signed(safeTransaction, options);
+              // Execute the transaction using the base sdk
+              _context3.next = 17;
+              return baseSafeSDK.executeTransaction(safeTransaction, maxFeePerGas ? {
+                maxFeePerGas: maxFeePerGas,
+                maxPriorityFeePerGas: maxPriorityFeePerGas
+              } : undefined);
+            case 17:
               receipt = _context3.sent;
-              response = receipt.transactionResponse.wait();
-              return _context3.abrupt("return", response);
-            case 16:
+              _context3.next = 24;
+              break;
+            case 20:
+              _context3.prev = 20;
+              _context3.t0 = _context3["catch"](1);
+              (0, _classPrivateFieldGet2["default"])(this, _lifecycle).failed(_context3.t0, options);
+              throw _context3.t0;
+            case 24:
+              return _context3.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _lifecycle).submitted(receipt.transactionResponse, options));
+            case 25:
             case "end":
               return _context3.stop();
           }
-        }, _callee3, this);
+        }, _callee3, this, [[1, 20]]);
       }));
       function execTransaction(_x) {
         return _execTransaction.apply(this, arguments);
@@ -172,29 +208,113 @@ var MultisigGnosis = /*#__PURE__*/function () {
         return _sign.apply(this, arguments);
       }
       return sign;
+    }() // Each owner signs all the messages in one round, rather than all the owners signing one message at a time
+  }, {
+    key: "signMany",
+    value: function () {
+      var _signMany = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee5(messages) {
+        var _this = this;
+        var signatures, _iterator, _step, owner, _iterator2, _step2, _step2$value, i, message;
+        return _regenerator["default"].wrap(function _callee5$(_context5) {
+          while (1) switch (_context5.prev = _context5.next) {
+            case 0:
+              signatures = messages.map(function () {
+                return [];
+              });
+              _iterator = _createForOfIteratorHelper((0, _classPrivateFieldGet2["default"])(this, _owners));
+              _context5.prev = 2;
+              _iterator.s();
+            case 4:
+              if ((_step = _iterator.n()).done) {
+                _context5.next = 30;
+                break;
+              }
+              owner = _step.value;
+              _iterator2 = _createForOfIteratorHelper(messages.entries());
+              _context5.prev = 7;
+              _iterator2.s();
+            case 9:
+              if ((_step2 = _iterator2.n()).done) {
+                _context5.next = 20;
+                break;
+              }
+              _step2$value = (0, _slicedToArray2["default"])(_step2.value, 2), i = _step2$value[0], message = _step2$value[1];
+              _context5.t0 = signatures[i];
+              _context5.t1 = owner.getAddress();
+              _context5.next = 15;
+              return owner.sign(message);
+            case 15:
+              _context5.t2 = _context5.sent;
+              _context5.t3 = {
+                address: _context5.t1,
+                data: _context5.t2
+              };
+              _context5.t0.push.call(_context5.t0, _context5.t3);
+            case 18:
+              _context5.next = 9;
+              break;
+            case 20:
+              _context5.next = 25;
+              break;
+            case 22:
+              _context5.prev = 22;
+              _context5.t4 = _context5["catch"](7);
+              _iterator2.e(_context5.t4);
+            case 25:
+              _context5.prev = 25;
+              _iterator2.f();
+              return _context5.finish(25);
+            case 28:
+              _context5.next = 4;
+              break;
+            case 30:
+              _context5.next = 35;
+              break;
+            case 32:
+              _context5.prev = 32;
+              _context5.t5 = _context5["catch"](2);
+              _iterator.e(_context5.t5);
+            case 35:
+              _context5.prev = 35;
+              _iterator.f();
+              return _context5.finish(35);
+            case 38:
+              return _context5.abrupt("return", signatures.map(function (ownerSignatures) {
+                return _this._concatSignatures(ownerSignatures);
+              }));
+            case 39:
+            case "end":
+              return _context5.stop();
+          }
+        }, _callee5, this, [[2, 32, 35, 38], [7, 22, 25, 28]]);
+      }));
+      function signMany(_x5) {
+        return _signMany.apply(this, arguments);
+      }
+      return signMany;
     }()
   }, {
     key: "authSign",
     value: function () {
-      var _authSign = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee5(message) {
+      var _authSign = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee6(message) {
         var owner, signer, signedMsg;
-        return _regenerator["default"].wrap(function _callee5$(_context5) {
-          while (1) switch (_context5.prev = _context5.next) {
+        return _regenerator["default"].wrap(function _callee6$(_context6) {
+          while (1) switch (_context6.prev = _context6.next) {
             case 0:
               owner = (0, _classPrivateFieldGet2["default"])(this, _owners)[0];
               signer = new ((0, _classPrivateFieldGet2["default"])(this, _ethers).Wallet)(owner.getPrivateKey(), (0, _classPrivateFieldGet2["default"])(this, _provider));
-              _context5.next = 4;
+              _context6.next = 4;
               return signer.signMessage(message);
             case 4:
-              signedMsg = _context5.sent;
-              return _context5.abrupt("return", signedMsg);
+              signedMsg = _context6.sent;
+              return _context6.abrupt("return", signedMsg);
             case 6:
             case "end":
-              return _context5.stop();
+              return _context6.stop();
           }
-        }, _callee5, this);
+        }, _callee6, this);
       }));
-      function authSign(_x5) {
+      function authSign(_x6) {
         return _authSign.apply(this, arguments);
       }
       return authSign;
@@ -202,48 +322,48 @@ var MultisigGnosis = /*#__PURE__*/function () {
   }, {
     key: "_getMultiSignatures",
     value: function () {
-      var _getMultiSignatures2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee7(message) {
+      var _getMultiSignatures2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee8(message) {
         var signatures;
-        return _regenerator["default"].wrap(function _callee7$(_context7) {
-          while (1) switch (_context7.prev = _context7.next) {
+        return _regenerator["default"].wrap(function _callee8$(_context8) {
+          while (1) switch (_context8.prev = _context8.next) {
             case 0:
-              _context7.next = 2;
+              _context8.next = 2;
               return Promise.all((0, _classPrivateFieldGet2["default"])(this, _owners).map( /*#__PURE__*/function () {
-                var _ref3 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee6(owner) {
+                var _ref3 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee7(owner) {
                   var signature;
-                  return _regenerator["default"].wrap(function _callee6$(_context6) {
-                    while (1) switch (_context6.prev = _context6.next) {
+                  return _regenerator["default"].wrap(function _callee7$(_context7) {
+                    while (1) switch (_context7.prev = _context7.next) {
                       case 0:
-                        _context6.t0 = owner.getAddress();
-                        _context6.next = 3;
+                        _context7.t0 = owner.getAddress();
+                        _context7.next = 3;
                         return owner.sign(message);
                       case 3:
-                        _context6.t1 = _context6.sent;
+                        _context7.t1 = _context7.sent;
                         signature = {
-                          address: _context6.t0,
-                          data: _context6.t1
+                          address: _context7.t0,
+                          data: _context7.t1
                         };
-                        return _context6.abrupt("return", signature);
+                        return _context7.abrupt("return", signature);
                       case 6:
                       case "end":
-                        return _context6.stop();
+                        return _context7.stop();
                     }
-                  }, _callee6);
+                  }, _callee7);
                 }));
-                return function (_x7) {
+                return function (_x8) {
                   return _ref3.apply(this, arguments);
                 };
               }()));
             case 2:
-              signatures = _context7.sent;
-              return _context7.abrupt("return", signatures);
+              signatures = _context8.sent;
+              return _context8.abrupt("return", signatures);
             case 4:
             case "end":
-              return _context7.stop();
+              return _context8.stop();
           }
-        }, _callee7, this);
+        }, _callee8, this);
       }));
-      function _getMultiSignatures(_x6) {
+      function _getMultiSignatures(_x7) {
         return _getMultiSignatures2.apply(this, arguments);
       }
       return _getMultiSignatures;
@@ -256,17 +376,17 @@ var MultisigGnosis = /*#__PURE__*/function () {
         return left.address.localeCompare(right.address);
       });
       var signatureBytes = '0x';
-      var _iterator = _createForOfIteratorHelper(signatures),
-        _step;
+      var _iterator3 = _createForOfIteratorHelper(signatures),
+        _step3;
       try {
-        for (_iterator.s(); !(_step = _iterator.n()).done;) {
-          var signature = _step.value;
+        for (_iterator3.s(); !(_step3 = _iterator3.n()).done;) {
+          var signature = _step3.value;
           signatureBytes += signature.data.slice(2);
         }
       } catch (err) {
-        _iterator.e(err);
+        _iterator3.e(err);
       } finally {
-        _iterator.f();
+        _iterator3.f();
       }
       return signatureBytes;
     }
@@ -0,0 +1,216 @@
+"use strict";
+
+var _interopRequireDefault = require("@babel/runtime/helpers/interopRequireDefault");
+Object.defineProperty(exports, "__esModule", {
+  value: true
+});
+exports["default"] = void 0;
+var _regenerator = _interopRequireDefault(require("@babel/runtime/regenerator"));
+var _toConsumableArray2 = _interopRequireDefault(require("@babel/runtime/helpers/toConsumableArray"));
+var _slicedToArray2 = _interopRequireDefault(require("@babel/runtime/helpers/slicedToArray"));
+var _asyncToGenerator2 = _interopRequireDefault(require("@babel/runtime/helpers/asyncToGenerator"));
+var _classCallCheck2 = _interopRequireDefault(require("@babel/runtime/helpers/classCallCheck"));
+var _createClass2 = _interopRequireDefault(require("@babel/runtime/helpers/createClass"));
+var _classPrivateFieldGet3 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldGet"));
+var _classPrivateFieldSet2 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldSet"));
+function _createForOfIteratorHelper(o, allowArrayLike) { var it = typeof Symbol !== "undefined" && o[Symbol.iterator] || o["@@iterator"]; if (!it) { if (Array.isArray(o) || (it = _unsupportedIterableToArray(o)) || allowArrayLike && o && typeof o.length === "number") { if (it) o = it; var i = 0; var F = function F() {}; return { s: F, n: function n() { if (i >= o.length) return { done: true }; return { done: false, value: o[i++] }; }, e: function e(_e) { throw _e; }, f: F }; } throw new TypeError("Invalid attempt to iterate non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method."); } var normalCompletion = true, didErr = false, err; return { s: function s() { it = it.call(o); }, n: function n() { var step = it.next(); normalCompletion = step.done; return step; }, e: function e(_e2) { didErr = true; err = _e2; }, f: function f() { try { if (!normalCompletion && it["return"] != null) it["return"](); } finally { if (didErr) throw err; } } }; }
+function _unsupportedIterableToArray(o, minLen) { if (!o) return; if (typeof o === "string") return _arrayLikeToArray(o, minLen); var n = Object.prototype.toString.call(o).slice(8, -1); if (n === "Object" && o.constructor) n = o.constructor.name; if (n === "Map" || n === "Set") return Array.from(o); if (n === "Arguments" || /^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n)) return _arrayLikeToArray(o, minLen); }
+function _arrayLikeToArray(arr, len) { if (len == null || len > arr.length) len = arr.length; for (var i = 0, arr2 = new Array(len); i < len; i++) arr2[i] = arr[i]; return arr2; }
+function _classPrivateFieldInitSpec(obj, privateMap, value) { _checkPrivateRedeclaration(obj, privateMap); privateMap.set(obj, value); }
+function _checkPrivateRedeclaration(obj, privateCollection) { if (privateCollection.has(obj)) { throw new TypeError("Cannot initialize the same private elements twice on an object"); } }
+var _address = /*#__PURE__*/new WeakMap();
+var _provider = /*#__PURE__*/new WeakMap();
+var _mutex = /*#__PURE__*/new WeakMap();
+var _inFlight = /*#__PURE__*/new WeakMap();
+var _settled = /*#__PURE__*/new WeakMap();
+var _settle = /*#__PURE__*/new WeakMap();
+/**
+ * @class
+ * Hands out sequential nonces to the transactions sent by an EOA, so that concurrent calls don't collide.
+ * Nonces are tracked from the moment they are handed out until their transaction is mined, and the
+ * manager resyncs with the provider's pending nonce every time, so dropped and replaced transactions free up their nonce.
+ * A nonce is only handed out once the previous one was broadcast or released, so a failed send is refilled by the
+ * next transaction instead of leaving a gap that holds back the transactions sent after it.
+ */
+var NonceManager = /*#__PURE__*/function () {
+  function NonceManager() {
+    var options = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : {};
+    (0, _classCallCheck2["default"])(this, NonceManager);
+    _classPrivateFieldInitSpec(this, _address, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _provider, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _mutex, {
+      writable: true,
+      value: void 0
+    });
+    // Nonces of the transactions in flight, mapped to their hash once broadcast
+    _classPrivateFieldInitSpec(this, _inFlight, {
+      writable: true,
+      value: new Map()
+    });
+    // Settles once the last nonce handed out was either broadcast or released
+    _classPrivateFieldInitSpec(this, _settled, {
+      writable: true,
+      value: Promise.resolve()
+    });
+    _classPrivateFieldInitSpec(this, _settle, {
+      writable: true,
+      value: new Map()
+    });
+    (0, _classPrivateFieldSet2["default"])(this, _address, options === null || options === void 0 ? void 0 : options.address);
+    (0, _classPrivateFieldSet2["default"])(this, _provider, options === null || options === void 0 ? void 0 : options.provider);
+    (0, _classPrivateFieldSet2["default"])(this, _mutex, options === null || options === void 0 ? void 0 : options.mutex);
+  }
+  (0, _createClass2["default"])(NonceManager, [{
+    key: "next",
+    value: function () {
+      var _next = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee2() {
+        var _this = this;
+        return _regenerator["default"].wrap(function _callee2$(_context2) {
+          while (1) switch (_context2.prev = _context2.next) {
+            case 0:
+              return _context2.abrupt("return", (0, _classPrivateFieldGet3["default"])(this, _mutex).runExclusive( /*#__PURE__*/(0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee() {
+                var _yield$Promise$all, _yield$Promise$all2, latest, pending, _iterator, _step, _nonce, nonce;
+                return _regenerator["default"].wrap(function _callee$(_context) {
+                  while (1) switch (_context.prev = _context.next) {
+                    case 0:
+                      _context.next = 2;
+                      return (0, _classPrivateFieldGet3["default"])(_this, _settled);
+                    case 2:
+                      _context.next = 4;
+                      return Promise.all([(0, _classPrivateFieldGet3["default"])(_this, _provider).getTransactionCount((0, _classPrivateFieldGet3["default"])(_this, _address), 'latest'), (0, _classPrivateFieldGet3["default"])(_this, _provider).getTransactionCount((0, _classPrivateFieldGet3["default"])(_this, _address), 'pending')]);
+                    case 4:
+                      _yield$Promise$all = _context.sent;
+                      _yield$Promise$all2 = (0, _slicedToArray2["default"])(_yield$Promise$all, 2);
+                      latest = _yield$Promise$all2[0];
+                      pending = _yield$Promise$all2[1];
+                      _iterator = _createForOfIteratorHelper((0, _classPrivateFieldGet3["default"])(_this, _inFlight).keys());
+                      try {
+                        for (_iterator.s(); !(_step = _iterator.n()).done;) {
+                          _nonce = _step.value;
+                          if (_nonce < latest) (0, _classPrivateFieldGet3["default"])(_this, _inFlight)["delete"](_nonce);
+                        }
+                      } catch (err) {
+                        _iterator.e(err);
+                      } finally {
+                        _iterator.f();
+                      }
+                      _context.next = 12;
+                      return _this._releaseDropped(pending);
+                    case 12:
+                      nonce = pending;
+                      while ((0, _classPrivateFieldGet3["default"])(_this, _inFlight).has(nonce)) nonce++;
+                      (0, _classPrivateFieldGet3["default"])(_this, _inFlight).set(nonce, null);
+                      (0, _classPrivateFieldSet2["default"])(_this, _settled, new Promise(function (resolve) {
+                        return (0, _classPrivateFieldGet3["default"])(_this, _settle).set(nonce, resolve);
+                      }));
+                      return _context.abrupt("return", nonce);
+                    case 17:
+                    case "end":
+                      return _context.stop();
+                  }
+                }, _callee);
+              }))));
+            case 1:
+            case "end":
+              return _context2.stop();
+          }
+        }, _callee2, this);
+      }));
+      function next() {
+        return _next.apply(this, arguments);
+      }
+      return next;
+    }() // The provider knows of every broadcast transaction below its pending nonce, so a transaction sent
+    // with the pending nonce or above that the provider doesn't know of has been dropped
+  }, {
+    key: "_releaseDropped",
+    value: function () {
+      var _releaseDropped2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee4(pending) {
+        var _this2 = this;
+        var broadcast;
+        return _regenerator["default"].wrap(function _callee4$(_context4) {
+          while (1) switch (_context4.prev = _context4.next) {
+            case 0:
+              broadcast = (0, _toConsumableArray2["default"])((0, _classPrivateFieldGet3["default"])(this, _inFlight)).filter(function (_ref2) {
+                var _ref3 = (0, _slicedToArray2["default"])(_ref2, 2),
+                  nonce = _ref3[0],
+                  hash = _ref3[1];
+                return nonce >= pending && hash;
+              });
+              _context4.next = 3;
+              return Promise.all(broadcast.map( /*#__PURE__*/function () {
+                var _ref5 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee3(_ref4) {
+                  var _ref6, nonce, hash;
+                  return _regenerator["default"].wrap(function _callee3$(_context3) {
+                    while (1) switch (_context3.prev = _context3.next) {
+                      case 0:
+                        _ref6 = (0, _slicedToArray2["default"])(_ref4, 2), nonce = _ref6[0], hash = _ref6[1];
+                        _context3.next = 3;
+                        return (0, _classPrivateFieldGet3["default"])(_this2, _provider).getTransaction(hash);
+                      case 3:
+                        if (_context3.sent) {
+                          _context3.next = 5;
+                          break;
+                        }
+                        (0, _classPrivateFieldGet3["default"])(_this2, _inFlight)["delete"](nonce);
+                      case 5:
+                      case "end":
+                        return _context3.stop();
+                    }
+                  }, _callee3);
+                }));
+                return function (_x3) {
+                  return _ref5.apply(this, arguments);
+                };
+              }()));
+            case 3:
+            case "end":
+              return _context4.stop();
+          }
+        }, _callee4, this);
+      }));
+      function _releaseDropped(_x2) {
+        return _releaseDropped2.apply(this, arguments);
+      }
+      return _releaseDropped;
+    }()
+  }, {
+    key: "submitted",
+    value: function submitted(nonce, hash) {
+      if ((0, _classPrivateFieldGet3["default"])(this, _inFlight).has(nonce)) (0, _classPrivateFieldGet3["default"])(this, _inFlight).set(nonce, hash);
+      this._settle(nonce);
+    }
+
+    // Frees up the nonce of a transaction that failed to be sent, for the next transaction to reuse
+  }, {
+    key: "release",
+    value: function release(nonce) {
+      (0, _classPrivateFieldGet3["default"])(this, _inFlight)["delete"](nonce);
+      this._settle(nonce);
+    }
+  }, {
+    key: "_settle",
+    value: function (_settle2) {
+      function _settle(_x) {
+        return _settle2.apply(this, arguments);
+      }
+      _settle.toString = function () {
+        return _settle2.toString();
+      };
+      return _settle;
+    }(function (nonce) {
+      var _classPrivateFieldGet2;
+      (_classPrivateFieldGet2 = (0, _classPrivateFieldGet3["default"])(this, _settle).get(nonce)) === null || _classPrivateFieldGet2 === void 0 ? void 0 : _classPrivateFieldGet2();
+      (0, _classPrivateFieldGet3["default"])(this, _settle)["delete"](nonce);
+    })
+  }]);
+  return NonceManager;
+}();
+var _default = NonceManager;
+exports["default"] = _default;
\ No newline at end of file
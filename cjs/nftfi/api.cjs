@@ -11,6 +11,7 @@ var _classCallCheck2 = _interopRequireDefault(require("@babel/runtime/helpers/cl
 var _createClass2 = _interopRequireDefault(require("@babel/runtime/helpers/createClass"));
 var _classPrivateFieldGet2 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldGet"));
 var _classPrivateFieldSet2 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldSet"));
+var _errors = require("./errors.cjs");
 function _classPrivateFieldInitSpec(obj, privateMap, value) { _checkPrivateRedeclaration(obj, privateMap); privateMap.set(obj, value); }
 function _checkPrivateRedeclaration(obj, privateCollection) { if (privateCollection.has(obj)) { throw new TypeError("Cannot initialize the same private elements twice on an object"); } }
 var _config = /*#__PURE__*/new WeakMap();
@@ -127,7 +128,7 @@ var API = /*#__PURE__*/function () {
               return (0, _classPrivateFieldGet2["default"])(this, _http).get(uri, opts, httpOptions);
             case 10:
               result = _context2.sent;
-              return _context2.abrupt("return", result.data);
+              return _context2.abrupt("return", this._getData(result));
             case 12:
             case "end":
               return _context2.stop();
@@ -158,7 +159,7 @@ var API = /*#__PURE__*/function () {
               });
             case 6:
               result = _context3.sent;
-              return _context3.abrupt("return", result.data);
+              return _context3.abrupt("return", this._getData(result));
             case 8:
             case "end":
               return _context3.stop();
@@ -171,9 +172,9 @@ var API = /*#__PURE__*/function () {
       return post;
     }()
   }, {
-    key: "delete",
+    key: "put",
     value: function () {
-      var _delete2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee4(options) {
+      var _put = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee4(options) {
         var uri, headers, result;
         return _regenerator["default"].wrap(function _callee4$(_context4) {
           while (1) switch (_context4.prev = _context4.next) {
@@ -184,23 +185,69 @@ var API = /*#__PURE__*/function () {
             case 3:
               headers = _context4.sent;
               _context4.next = 6;
-              return (0, _classPrivateFieldGet2["default"])(this, _http)["delete"](uri, {
+              return (0, _classPrivateFieldGet2["default"])(this, _http).put(uri, options.payload, {
                 headers: headers
               });
             case 6:
               result = _context4.sent;
-              return _context4.abrupt("return", result.data);
+              return _context4.abrupt("return", this._getData(result));
             case 8:
             case "end":
               return _context4.stop();
           }
         }, _callee4, this);
       }));
-      function _delete(_x4) {
+      function put(_x4) {
+        return _put.apply(this, arguments);
+      }
+      return put;
+    }()
+  }, {
+    key: "delete",
+    value: function () {
+      var _delete2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee5(options) {
+        var uri, headers, result;
+        return _regenerator["default"].wrap(function _callee5$(_context5) {
+          while (1) switch (_context5.prev = _context5.next) {
+            case 0:
+              uri = this.concatUri(options.uri);
+              _context5.next = 3;
+              return this.getAuthHeader(options);
+            case 3:
+              headers = _context5.sent;
+              _context5.next = 6;
+              return (0, _classPrivateFieldGet2["default"])(this, _http)["delete"](uri, {
+                headers: headers
+              });
+            case 6:
+              result = _context5.sent;
+              return _context5.abrupt("return", this._getData(result));
+            case 8:
+            case "end":
+              return _context5.stop();
+          }
+        }, _callee5, this);
+      }));
+      function _delete(_x5) {
         return _delete2.apply(this, arguments);
       }
       return _delete;
-    }()
+    }() // Error responses are returned by Http, rather than thrown
+  }, {
+    key: "_getData",
+    value: function _getData(result) {
+      var status = (result === null || result === void 0 ? void 0 : result.status) || null;
+      if (!status || status >= 400) {
+        var body = (result === null || result === void 0 ? void 0 : result.data) || null;
+        var message = (body === null || body === void 0 ? void 0 : body.message) || (status ? "request failed with status ".concat(status) : 'request failed');
+        var ApiErrorType = status === 401 || status === 403 ? _errors.AuthError : _errors.ApiError;
+        throw new ApiErrorType(message, {
+          status: status,
+          body: body
+        });
+      }
+      return result.data;
+    }
   }, {
     key: "concatUri",
     value: function concatUri(path) {
@@ -9,6 +9,7 @@ var _classCallCheck2 = _interopRequireDefault(require("@babel/runtime/helpers/cl
 var _createClass2 = _interopRequireDefault(require("@babel/runtime/helpers/createClass"));
 var _classPrivateFieldGet4 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldGet"));
 var _classPrivateFieldSet2 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldSet"));
+var _errors = require("./errors.cjs");
 function _classPrivateFieldInitSpec(obj, privateMap, value) { _checkPrivateRedeclaration(obj, privateMap); privateMap.set(obj, value); }
 function _checkPrivateRedeclaration(obj, privateCollection) { if (privateCollection.has(obj)) { throw new TypeError("Cannot initialize the same private elements twice on an object"); } }
 var _account = /*#__PURE__*/new WeakMap();
@@ -33,7 +34,7 @@ var Assertion = /*#__PURE__*/function () {
     value: function hasSigner(message) {
       var _classPrivateFieldGet2;
       if (!((_classPrivateFieldGet2 = (0, _classPrivateFieldGet4["default"])(this, _account)) !== null && _classPrivateFieldGet2 !== void 0 && _classPrivateFieldGet2.getSigner())) {
-        throw new Error(message || 'Authentication required, please provide values for either account.privateKey, account.multisig or web3.provider on initialization.');
+        throw new _errors.AuthError(message || 'Authentication required, please provide values for either account.privateKey, account.multisig or web3.provider on initialization.');
       }
     }
   }, {
@@ -41,14 +42,14 @@ var Assertion = /*#__PURE__*/function () {
     value: function hasAddress(message) {
       var _classPrivateFieldGet3;
       if (!((_classPrivateFieldGet3 = (0, _classPrivateFieldGet4["default"])(this, _account)) !== null && _classPrivateFieldGet3 !== void 0 && _classPrivateFieldGet3.getAddress())) {
-        throw new Error(message || 'Account address required, please provide values for either account.address, account.privateKey, web3.provider or account.multisig on initialization.');
+        throw new _errors.ValidationError(message || 'Account address required, please provide values for either account.address, account.privateKey, web3.provider or account.multisig on initialization.');
       }
     }
   }, {
     key: "hasProvider",
     value: function hasProvider(message) {
       if (!(0, _classPrivateFieldGet4["default"])(this, _provider)) {
-        throw new Error(message || 'Web3 provider required, please provide values for either options.ethereum.web3.provider or options.ethereum.provider.url on initialization.');
+        throw new _errors.ValidationError(message || 'Web3 provider required, please provide values for either options.ethereum.web3.provider or options.ethereum.provider.url on initialization.');
       }
     }
   }]);
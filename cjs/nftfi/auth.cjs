@@ -111,7 +111,7 @@ var Auth = /*#__PURE__*/function () {
               }
               (0, _classPrivateFieldGet2["default"])(this, _storage).set((0, _classPrivateFieldGet2["default"])(this, _config).auth.token.key, token);
               (0, _classPrivateFieldGet2["default"])(this, _storage).set((0, _classPrivateFieldGet2["default"])(this, _config).auth.refreshToken.key, refreshToken);
-              (0, _classPrivateFieldSet2["default"])(this, _token, sdkToken);
+              (0, _classPrivateFieldSet2["default"])(this, _token, token);
               return _context.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _token));
             case 20:
               _context.prev = 20;
@@ -16,37 +16,45 @@ var _classCallCheck2 = _interopRequireDefault(require("@babel/runtime/helpers/cl
 var _inherits2 = _interopRequireDefault(require("@babel/runtime/helpers/inherits"));
 var _possibleConstructorReturn2 = _interopRequireDefault(require("@babel/runtime/helpers/possibleConstructorReturn"));
 var _getPrototypeOf2 = _interopRequireDefault(require("@babel/runtime/helpers/getPrototypeOf"));
-var _wrapNativeSuper2 = _interopRequireDefault(require("@babel/runtime/helpers/wrapNativeSuper"));
+var _errors = require("./errors.cjs");
 function ownKeys(object, enumerableOnly) { var keys = Object.keys(object); if (Object.getOwnPropertySymbols) { var symbols = Object.getOwnPropertySymbols(object); enumerableOnly && (symbols = symbols.filter(function (sym) { return Object.getOwnPropertyDescriptor(object, sym).enumerable; })), keys.push.apply(keys, symbols); } return keys; }
 function _objectSpread(target) { for (var i = 1; i < arguments.length; i++) { var source = null != arguments[i] ? arguments[i] : {}; i % 2 ? ownKeys(Object(source), !0).forEach(function (key) { (0, _defineProperty2["default"])(target, key, source[key]); }) : Object.getOwnPropertyDescriptors ? Object.defineProperties(target, Object.getOwnPropertyDescriptors(source)) : ownKeys(Object(source)).forEach(function (key) { Object.defineProperty(target, key, Object.getOwnPropertyDescriptor(source, key)); }); } return target; }
 function _classPrivateFieldInitSpec(obj, privateMap, value) { _checkPrivateRedeclaration(obj, privateMap); privateMap.set(obj, value); }
 function _checkPrivateRedeclaration(obj, privateCollection) { if (privateCollection.has(obj)) { throw new TypeError("Cannot initialize the same private elements twice on an object"); } }
 function _createSuper(Derived) { var hasNativeReflectConstruct = _isNativeReflectConstruct(); return function _createSuperInternal() { var Super = (0, _getPrototypeOf2["default"])(Derived), result; if (hasNativeReflectConstruct) { var NewTarget = (0, _getPrototypeOf2["default"])(this).constructor; result = Reflect.construct(Super, arguments, NewTarget); } else { result = Super.apply(this, arguments); } return (0, _possibleConstructorReturn2["default"])(this, result); }; }
 function _isNativeReflectConstruct() { if (typeof Reflect === "undefined" || !Reflect.construct) return false; if (Reflect.construct.sham) return false; if (typeof Proxy === "function") return true; try { Boolean.prototype.valueOf.call(Reflect.construct(Boolean, [], function () {})); return true; } catch (e) { return false; } }
-var ContractNameNotSupportedError = /*#__PURE__*/function (_Error) {
-  (0, _inherits2["default"])(ContractNameNotSupportedError, _Error);
+var ContractNameNotSupportedError = /*#__PURE__*/function (_UnsupportedContractE) {
+  (0, _inherits2["default"])(ContractNameNotSupportedError, _UnsupportedContractE);
   var _super = _createSuper(ContractNameNotSupportedError);
   function ContractNameNotSupportedError(msg) {
     var _this;
     (0, _classCallCheck2["default"])(this, ContractNameNotSupportedError);
-    _this = _super.call(this, msg);
+    _this = _super.call(this, msg, {
+      errors: {
+        'nftfi.contract.name': [msg]
+      }
+    });
     _this.name = 'ContractNameNotSupportedError';
     return _this;
   }
   return (0, _createClass2["default"])(ContractNameNotSupportedError);
-}( /*#__PURE__*/(0, _wrapNativeSuper2["default"])(Error));
-var MigrationNotSupportedError = /*#__PURE__*/function (_Error2) {
-  (0, _inherits2["default"])(MigrationNotSupportedError, _Error2);
+}(_errors.UnsupportedContractError);
+var MigrationNotSupportedError = /*#__PURE__*/function (_UnsupportedContractE2) {
+  (0, _inherits2["default"])(MigrationNotSupportedError, _UnsupportedContractE2);
   var _super2 = _createSuper(MigrationNotSupportedError);
   function MigrationNotSupportedError(msg) {
     var _this2;
     (0, _classCallCheck2["default"])(this, MigrationNotSupportedError);
-    _this2 = _super2.call(this, msg);
+    _this2 = _super2.call(this, msg, {
+      errors: {
+        'nftfi.contract.name': [msg]
+      }
+    });
     _this2.name = 'MigrationNotSupportedError';
     return _this2;
   }
   return (0, _createClass2["default"])(MigrationNotSupportedError);
-}( /*#__PURE__*/(0, _wrapNativeSuper2["default"])(Error));
+}(_errors.UnsupportedContractError);
 /**
  * @class
  * Class for working with bundles.
@@ -168,6 +176,9 @@ var Bundles = /*#__PURE__*/function () {
     /**
      * Mint a new bundle.
      *
+     * @param {Object} [options] - An object containing options for the mint operation.
+     * @param {boolean} [options.dryRun=false] - If true, returns the populated transaction, its gas estimate and revert reason (if any) instead of sending it.
+     *
      * @returns {Object} An object containing information about the minted bundle.
      *
      * @example
@@ -178,7 +189,7 @@ var Bundles = /*#__PURE__*/function () {
   }, {
     key: "mint",
     value: function () {
-      var _mint = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee() {
+      var _mint = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee(options) {
         var result, contractName, contractFactoryParams, bundlerContract, transfer, bundleId;
         return _regenerator["default"].wrap(function _callee$(_context) {
           while (1) switch (_context.prev = _context.next) {
@@ -191,10 +202,17 @@ var Bundles = /*#__PURE__*/function () {
               _context.next = 7;
               return bundlerContract.call({
                 "function": 'safeMint',
-                args: [(0, _classPrivateFieldGet2["default"])(this, _account).getAddress()]
+                args: [(0, _classPrivateFieldGet2["default"])(this, _account).getAddress()],
+                dryRun: options === null || options === void 0 ? void 0 : options.dryRun
               });
             case 7:
               result = _context.sent;
+              if (!(options !== null && options !== void 0 && options.dryRun)) {
+                _context.next = 10;
+                break;
+              }
+              return _context.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _result).handle(result));
+            case 10:
               transfer = result.logs.filter(function (log) {
                 return log.name === 'Transfer';
               })[0];
@@ -209,17 +227,17 @@ var Bundles = /*#__PURE__*/function () {
                   }
                 }
               }));
-            case 13:
-              _context.prev = 13;
+            case 15:
+              _context.prev = 15;
               _context.t0 = _context["catch"](0);
               return _context.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle(_context.t0));
-            case 16:
+            case 18:
             case "end":
               return _context.stop();
           }
-        }, _callee, this, [[0, 13]]);
+        }, _callee, this, [[0, 15]]);
       }));
-      function mint() {
+      function mint(_x) {
         return _mint.apply(this, arguments);
       }
       return mint;
@@ -234,6 +252,7 @@ var Bundles = /*#__PURE__*/function () {
      * @param {Object} options.elements[].token - An object containing information about the token associated with the element.
      * @param {string} options.elements[].token.address - The address of the token contract associated with the element.
      * @param {Array<string>} options.elements[].token.ids - An array of token IDs associated with the element.
+     * @param {boolean} [options.dryRun=false] - If true, returns the populated transaction, its gas estimate and revert reason (if any) instead of sending it.
      *
      * @returns {Object} An object containing information about the updated bundle.
      *
@@ -257,7 +276,7 @@ var Bundles = /*#__PURE__*/function () {
     key: "add",
     value: function () {
       var _add = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee4(options) {
-        var _options$nftfi, _options$nftfi$contra, contractName, unsupportedContractNames, contractFactoryParams, bundlerContract, elements, addressErrors;
+        var _options$nftfi, _options$nftfi$contra, contractName, unsupportedContractNames, contractFactoryParams, bundlerContract, elements, addressErrors, result;
         return _regenerator["default"].wrap(function _callee4$(_context4) {
           while (1) switch (_context4.prev = _context4.next) {
             case 0:
@@ -289,7 +308,7 @@ var Bundles = /*#__PURE__*/function () {
                     }
                   }, _callee2, this);
                 }));
-                return function (_x2) {
+                return function (_x3) {
                   return _ref.apply(this, arguments);
                 };
               }(), this));
@@ -312,8 +331,10 @@ var Bundles = /*#__PURE__*/function () {
                 break;
               }
               return _context4.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle({
-                elements: {
-                  'token.address': addressErrors
+                errors: {
+                  elements: {
+                    'token.address': addressErrors
+                  }
                 }
               }));
             case 12:
@@ -334,7 +355,7 @@ var Bundles = /*#__PURE__*/function () {
                     }
                   }, _callee3);
                 }));
-                return function (_x3) {
+                return function (_x4) {
                   return _ref2.apply(this, arguments);
                 };
               }()));
@@ -343,9 +364,17 @@ var Bundles = /*#__PURE__*/function () {
               _context4.next = 17;
               return bundlerContract.call({
                 "function": 'addBundleElements',
-                args: [options.bundle.id, elements]
+                args: [options.bundle.id, elements],
+                dryRun: options === null || options === void 0 ? void 0 : options.dryRun
               });
             case 17:
+              result = _context4.sent;
+              if (!(options !== null && options !== void 0 && options.dryRun)) {
+                _context4.next = 20;
+                break;
+              }
+              return _context4.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _result).handle(result));
+            case 20:
               return _context4.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _result).handle({
                 bundle: {
                   id: options.bundle.id
@@ -359,29 +388,17 @@ var Bundles = /*#__PURE__*/function () {
                   }
                 }
               }));
-            case 20:
-              _context4.prev = 20;
+            case 23:
+              _context4.prev = 23;
               _context4.t0 = _context4["catch"](0);
-              if (!(_context4.t0 instanceof ContractNameNotSupportedError)) {
-                _context4.next = 26;
-                break;
-              }
-              return _context4.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle({
-                nftfi: {
-                  contract: {
-                    name: _context4.t0.message
-                  }
-                }
-              }));
-            case 26:
               return _context4.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle(_context4.t0));
-            case 27:
+            case 26:
             case "end":
               return _context4.stop();
           }
-        }, _callee4, this, [[0, 20]]);
+        }, _callee4, this, [[0, 23]]);
       }));
-      function add(_x) {
+      function add(_x2) {
         return _add.apply(this, arguments);
       }
       return add;
@@ -396,6 +413,7 @@ var Bundles = /*#__PURE__*/function () {
      * @param {Object} options.elements[].token - An object containing information about the token associated with the element.
      * @param {string} options.elements[].token.address - The address of the token contract associated with the element.
      * @param {Array<string>} options.elements[].token.ids - An array of token IDs associated with the element.
+     * @param {boolean} [options.dryRun=false] - If true, returns the populated transaction, its gas estimate and revert reason (if any) instead of sending it.
      *
      * @returns {Object} An object containing information about the updated bundle.
      *
@@ -422,7 +440,7 @@ var Bundles = /*#__PURE__*/function () {
     key: "remove",
     value: function () {
       var _remove = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee6(options) {
-        var _options$nftfi2, _options$nftfi2$contr, contractName, contractFactoryParams, bundlerContract, elements;
+        var _options$nftfi2, _options$nftfi2$contr, contractName, contractFactoryParams, bundlerContract, elements, result;
         return _regenerator["default"].wrap(function _callee6$(_context6) {
           while (1) switch (_context6.prev = _context6.next) {
             case 0:
@@ -453,7 +471,7 @@ var Bundles = /*#__PURE__*/function () {
                     }
                   }, _callee5, this);
                 }));
-                return function (_x5) {
+                return function (_x6) {
                   return _ref3.apply(this, arguments);
                 };
               }(), this));
@@ -471,9 +489,17 @@ var Bundles = /*#__PURE__*/function () {
               _context6.next = 11;
               return bundlerContract.call({
                 "function": 'removeBundleElements',
-                args: [options.bundle.id, elements]
+                args: [options.bundle.id, elements],
+                dryRun: options === null || options === void 0 ? void 0 : options.dryRun
               });
             case 11:
+              result = _context6.sent;
+              if (!(options !== null && options !== void 0 && options.dryRun)) {
+                _context6.next = 14;
+                break;
+              }
+              return _context6.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _result).handle(result));
+            case 14:
               return _context6.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _result).handle({
                 bundle: {
                   id: options.bundle.id
@@ -487,29 +513,17 @@ var Bundles = /*#__PURE__*/function () {
                   }
                 }
               }));
-            case 14:
-              _context6.prev = 14;
+            case 17:
+              _context6.prev = 17;
               _context6.t0 = _context6["catch"](0);
-              if (!(_context6.t0 instanceof ContractNameNotSupportedError)) {
-                _context6.next = 20;
-                break;
-              }
-              return _context6.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle({
-                nftfi: {
-                  contract: {
-                    name: _context6.t0.message
-                  }
-                }
-              }));
-            case 20:
               return _context6.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle(_context6.t0));
-            case 21:
+            case 20:
             case "end":
               return _context6.stop();
           }
-        }, _callee6, this, [[0, 14]]);
+        }, _callee6, this, [[0, 17]]);
       }));
-      function remove(_x4) {
+      function remove(_x5) {
         return _remove.apply(this, arguments);
       }
       return remove;
@@ -520,6 +534,7 @@ var Bundles = /*#__PURE__*/function () {
      * @param {Object} options - An object containing options for the seal operation.
      * @param {string} options.bundle.id - The ID of the bundle to be sealed.
      * @param {string} options.nftfi.contract.name - Name of the contract used for sealing the bundle.
+     * @param {boolean} [options.dryRun=false] - If true, returns the populated transaction, its gas estimate and revert reason (if any) instead of sending it.
      *
      * @returns {Object} A promise that resolves to an object containing information about the newly minted immutable object.
      *
@@ -552,10 +567,17 @@ var Bundles = /*#__PURE__*/function () {
               _context7.next = 8;
               return bundlerContract.call({
                 "function": 'safeTransferFrom(address,address,uint256)',
-                args: [(0, _classPrivateFieldGet2["default"])(this, _account).getAddress(), bundlerContractFactoryParams.immutable.address, options.bundle.id]
+                args: [(0, _classPrivateFieldGet2["default"])(this, _account).getAddress(), bundlerContractFactoryParams.immutable.address, options.bundle.id],
+                dryRun: options === null || options === void 0 ? void 0 : options.dryRun
               });
             case 8:
               transferred = _context7.sent;
+              if (!(options !== null && options !== void 0 && options.dryRun)) {
+                _context7.next = 11;
+                break;
+              }
+              return _context7.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _result).handle(transferred));
+            case 11:
               log = transferred.logs.find(function (log) {
                 return log.name === 'ImmutableMinted';
               });
@@ -569,29 +591,17 @@ var Bundles = /*#__PURE__*/function () {
                   }
                 }
               }));
-            case 13:
-              _context7.prev = 13;
+            case 15:
+              _context7.prev = 15;
               _context7.t0 = _context7["catch"](0);
-              if (!(_context7.t0 instanceof ContractNameNotSupportedError)) {
-                _context7.next = 19;
-                break;
-              }
-              return _context7.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle({
-                nftfi: {
-                  contract: {
-                    name: _context7.t0.message
-                  }
-                }
-              }));
-            case 19:
               return _context7.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle(_context7.t0));
-            case 20:
+            case 18:
             case "end":
               return _context7.stop();
           }
-        }, _callee7, this, [[0, 13]]);
+        }, _callee7, this, [[0, 15]]);
       }));
-      function seal(_x6) {
+      function seal(_x7) {
         return _seal.apply(this, arguments);
       }
       return seal;
@@ -602,6 +612,7 @@ var Bundles = /*#__PURE__*/function () {
      * @param {Object} options - An object containing options for the empty operation.
      * @param {string} options.bundle.id - The ID of the bundle to be emptied.
      * @param {string} options.nftfi.contract.name - Name of the contract used for emptying the bundle.
+     * @param {boolean} [options.dryRun=false] - If true, returns the populated transaction, its gas estimate and revert reason (if any) instead of sending it.
      *
      * @returns {Object} An object containing the status of the empty operation.
      *
@@ -653,7 +664,8 @@ var Bundles = /*#__PURE__*/function () {
               _context8.next = 10;
               return contract.call({
                 "function": contractFactoryParams.migrate.empty["function"],
-                args: [contractFactoryParams.bundler.address, options.bundle.id, (0, _classPrivateFieldGet2["default"])(this, _account).getAddress()]
+                args: [contractFactoryParams.bundler.address, options.bundle.id, (0, _classPrivateFieldGet2["default"])(this, _account).getAddress()],
+                dryRun: options === null || options === void 0 ? void 0 : options.dryRun
               });
             case 10:
               response = _context8.sent;
@@ -663,39 +675,34 @@ var Bundles = /*#__PURE__*/function () {
               _context8.next = 15;
               return _contract.call({
                 "function": contractFactoryParams.bundler.empty["function"],
-                args: [options.bundle.id, (0, _classPrivateFieldGet2["default"])(this, _account).getAddress()]
+                args: [options.bundle.id, (0, _classPrivateFieldGet2["default"])(this, _account).getAddress()],
+                dryRun: options === null || options === void 0 ? void 0 : options.dryRun
               });
             case 15:
               response = _context8.sent;
               return _context8.abrupt("break", 17);
             case 17:
+              if (!(options !== null && options !== void 0 && options.dryRun)) {
+                _context8.next = 19;
+                break;
+              }
+              return _context8.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _result).handle(response));
+            case 19:
               result = {
                 success: ((_response = response) === null || _response === void 0 ? void 0 : _response.status) === 1 || false
               };
               return _context8.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _result).handle(result));
-            case 21:
-              _context8.prev = 21;
+            case 23:
+              _context8.prev = 23;
               _context8.t1 = _context8["catch"](0);
-              if (!(_context8.t1 instanceof ContractNameNotSupportedError)) {
-                _context8.next = 27;
-                break;
-              }
-              return _context8.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle({
-                nftfi: {
-                  contract: {
-                    name: _context8.t1.message
-                  }
-                }
-              }));
-            case 27:
               return _context8.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle(_context8.t1));
-            case 28:
+            case 26:
             case "end":
               return _context8.stop();
           }
-        }, _callee8, this, [[0, 21]]);
+        }, _callee8, this, [[0, 23]]);
       }));
-      function empty(_x7) {
+      function empty(_x8) {
         return _empty.apply(this, arguments);
       }
       return empty;
@@ -801,15 +808,7 @@ var Bundles = /*#__PURE__*/function () {
           return (0, _classPrivateFieldGet2["default"])(_this3, _error).handle(e);
         });
       } catch (e) {
-        if (e instanceof ContractNameNotSupportedError) {
-          return (0, _classPrivateFieldGet2["default"])(this, _error).handle({
-            nftfi: {
-              contract: {
-                name: e.message
-              }
-            }
-          });
-        }
+        return (0, _classPrivateFieldGet2["default"])(this, _error).handle(e);
       }
     }
 
@@ -820,6 +819,7 @@ var Bundles = /*#__PURE__*/function () {
      * @param {string} options.bundle.id - The ID of the bundle to be migrated.
      * @param {string} options.from.nftfi.contract.name - Name of the source contract.
      * @param {string} options.to.nftfi.contract.name - Name of the destination contract.
+     * @param {boolean} [options.dryRun=false] - If true, returns the populated transaction, its gas estimate and revert reason (if any) instead of sending it.
      *
      * @returns {Object} An object containing information about the migrated bundle.
      *
@@ -864,9 +864,11 @@ var Bundles = /*#__PURE__*/function () {
               migrateContract = (0, _classPrivateFieldGet2["default"])(this, _contractFactory).create(migrateContractParams.migrate);
               return _context9.abrupt("return", migrateContract.call({
                 "function": 'migrateBundle',
-                args: [migrateContractParams.from.address, migrateContractParams.to.address, bundleId]
+                args: [migrateContractParams.from.address, migrateContractParams.to.address, bundleId],
+                dryRun: options === null || options === void 0 ? void 0 : options.dryRun
               }).then(function (result) {
                 var _options$to3, _options$to3$nftfi, _options$to3$nftfi$co;
+                if (options !== null && options !== void 0 && options.dryRun) return (0, _classPrivateFieldGet2["default"])(_this4, _result).handle(result);
                 var log = result.logs.find(function (l) {
                   return l.name === 'BundleMigrated';
                 });
@@ -887,26 +889,14 @@ var Bundles = /*#__PURE__*/function () {
             case 8:
               _context9.prev = 8;
               _context9.t0 = _context9["catch"](0);
-              if (!(_context9.t0 instanceof MigrationNotSupportedError)) {
-                _context9.next = 14;
-                break;
-              }
-              return _context9.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle({
-                nftfi: {
-                  contract: {
-                    name: _context9.t0.message
-                  }
-                }
-              }));
-            case 14:
               return _context9.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle(_context9.t0));
-            case 15:
+            case 11:
             case "end":
               return _context9.stop();
           }
         }, _callee9, this, [[0, 8]]);
       }));
-      function migrate(_x8) {
+      function migrate(_x9) {
         return _migrate.apply(this, arguments);
       }
       return migrate;
@@ -964,26 +954,14 @@ var Bundles = /*#__PURE__*/function () {
             case 10:
               _context10.prev = 10;
               _context10.t0 = _context10["catch"](0);
-              if (!(_context10.t0 instanceof ContractNameNotSupportedError)) {
-                _context10.next = 16;
-                break;
-              }
-              return _context10.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle({
-                nftfi: {
-                  contract: {
-                    name: _context10.t0.message
-                  }
-                }
-              }));
-            case 16:
               return _context10.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle(_context10.t0));
-            case 17:
+            case 13:
             case "end":
               return _context10.stop();
           }
         }, _callee10, this, [[0, 10]]);
       }));
-      function getImmutable(_x9) {
+      function getImmutable(_x10) {
         return _getImmutable.apply(this, arguments);
       }
       return getImmutable;
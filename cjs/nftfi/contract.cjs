@@ -6,16 +6,22 @@ Object.defineProperty(exports, "__esModule", {
 });
 exports["default"] = void 0;
 var _regenerator = _interopRequireDefault(require("@babel/runtime/regenerator"));
+var _defineProperty2 = _interopRequireDefault(require("@babel/runtime/helpers/defineProperty"));
 var _toConsumableArray2 = _interopRequireDefault(require("@babel/runtime/helpers/toConsumableArray"));
 var _asyncToGenerator2 = _interopRequireDefault(require("@babel/runtime/helpers/asyncToGenerator"));
 var _classCallCheck2 = _interopRequireDefault(require("@babel/runtime/helpers/classCallCheck"));
 var _createClass2 = _interopRequireDefault(require("@babel/runtime/helpers/createClass"));
-var _classPrivateFieldGet5 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldGet"));
+var _classPrivateFieldGet9 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldGet"));
 var _classPrivateFieldSet2 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldSet"));
+var _errors = require("./errors.cjs");
+function ownKeys(object, enumerableOnly) { var keys = Object.keys(object); if (Object.getOwnPropertySymbols) { var symbols = Object.getOwnPropertySymbols(object); enumerableOnly && (symbols = symbols.filter(function (sym) { return Object.getOwnPropertyDescriptor(object, sym).enumerable; })), keys.push.apply(keys, symbols); } return keys; }
+function _objectSpread(target) { for (var i = 1; i < arguments.length; i++) { var source = null != arguments[i] ? arguments[i] : {}; i % 2 ? ownKeys(Object(source), !0).forEach(function (key) { (0, _defineProperty2["default"])(target, key, source[key]); }) : Object.getOwnPropertyDescriptors ? Object.defineProperties(target, Object.getOwnPropertyDescriptors(source)) : ownKeys(Object(source)).forEach(function (key) { Object.defineProperty(target, key, Object.getOwnPropertyDescriptor(source, key)); }); } return target; }
 function _classPrivateFieldInitSpec(obj, privateMap, value) { _checkPrivateRedeclaration(obj, privateMap); privateMap.set(obj, value); }
 function _checkPrivateRedeclaration(obj, privateCollection) { if (privateCollection.has(obj)) { throw new TypeError("Cannot initialize the same private elements twice on an object"); } }
 var _account = /*#__PURE__*/new WeakMap();
 var _contract = /*#__PURE__*/new WeakMap();
+var _feePolicy = /*#__PURE__*/new WeakMap();
+var _multicall = /*#__PURE__*/new WeakMap();
 var Contract = /*#__PURE__*/function () {
   function Contract(options) {
     (0, _classCallCheck2["default"])(this, Contract);
@@ -27,8 +33,18 @@ var Contract = /*#__PURE__*/function () {
       writable: true,
       value: void 0
     });
+    _classPrivateFieldInitSpec(this, _feePolicy, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _multicall, {
+      writable: true,
+      value: void 0
+    });
     (0, _classPrivateFieldSet2["default"])(this, _account, options === null || options === void 0 ? void 0 : options.account);
     (0, _classPrivateFieldSet2["default"])(this, _contract, options === null || options === void 0 ? void 0 : options.contract);
+    (0, _classPrivateFieldSet2["default"])(this, _feePolicy, options === null || options === void 0 ? void 0 : options.feePolicy);
+    (0, _classPrivateFieldSet2["default"])(this, _multicall, options === null || options === void 0 ? void 0 : options.multicall);
   }
   (0, _createClass2["default"])(Contract, [{
     key: "_parseLogs",
@@ -37,7 +53,7 @@ var Contract = /*#__PURE__*/function () {
       if (logs && logs.length > 0) {
         return logs.map(function (log) {
           try {
-            var event = (0, _classPrivateFieldGet5["default"])(this, _contract)["interface"].parseLog(log);
+            var event = (0, _classPrivateFieldGet9["default"])(this, _contract)["interface"].parseLog(log);
             return {
               name: event.name,
               args: event.args,
@@ -58,7 +74,7 @@ var Contract = /*#__PURE__*/function () {
     key: "call",
     value: function () {
       var _call = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee(options) {
-        var result, isViewFn, _classPrivateFieldGet2, _classPrivateFieldGet3, _result, tx;
+        var result, isViewFn, _classPrivateFieldGet2, tx, _result;
         return _regenerator["default"].wrap(function _callee$(_context) {
           while (1) switch (_context.prev = _context.next) {
             case 0:
@@ -67,22 +83,41 @@ var Contract = /*#__PURE__*/function () {
                 _context.next = 5;
                 break;
               }
-              result = (_classPrivateFieldGet2 = (0, _classPrivateFieldGet5["default"])(this, _contract))[options["function"]].apply(_classPrivateFieldGet2, (0, _toConsumableArray2["default"])(options.args));
-              _context.next = 12;
+              // Concurrent view calls are batched into a single request
+              result = (0, _classPrivateFieldGet9["default"])(this, _multicall) ? (0, _classPrivateFieldGet9["default"])(this, _multicall).call((0, _classPrivateFieldGet9["default"])(this, _contract), options["function"], options.args) : (_classPrivateFieldGet2 = (0, _classPrivateFieldGet9["default"])(this, _contract))[options["function"]].apply(_classPrivateFieldGet2, (0, _toConsumableArray2["default"])(options.args));
+              _context.next = 18;
               break;
             case 5:
-              _context.next = 7;
-              return (_classPrivateFieldGet3 = (0, _classPrivateFieldGet5["default"])(this, _contract).populateTransaction)[options["function"]].apply(_classPrivateFieldGet3, (0, _toConsumableArray2["default"])(options.args));
-            case 7:
+              if (!(options !== null && options !== void 0 && options.dryRun)) {
+                _context.next = 11;
+                break;
+              }
+              _context.next = 8;
+              return this._dryRun(options);
+            case 8:
+              result = _context.sent;
+              _context.next = 18;
+              break;
+            case 11:
+              _context.next = 13;
+              return this._populateTransaction(options);
+            case 13:
               tx = _context.sent;
-              _context.next = 10;
-              return (0, _classPrivateFieldGet5["default"])(this, _account).execTransaction(tx);
-            case 10:
+              _context.next = 16;
+              return (0, _classPrivateFieldGet9["default"])(this, _account).execTransaction(tx, {
+                callbacks: options === null || options === void 0 ? void 0 : options.callbacks,
+                wait: options === null || options === void 0 ? void 0 : options.wait,
+                confirmations: options === null || options === void 0 ? void 0 : options.confirmations
+              });
+            case 16:
               result = _context.sent;
-              result.logs = this._parseLogs((_result = result) === null || _result === void 0 ? void 0 : _result.logs);
-            case 12:
+              // Without waiting, the result is the pending transaction, which has no logs yet
+              if ((options === null || options === void 0 ? void 0 : options.wait) !== false) {
+                result.logs = this._parseLogs((_result = result) === null || _result === void 0 ? void 0 : _result.logs);
+              }
+            case 18:
               return _context.abrupt("return", result);
-            case 13:
+            case 19:
             case "end":
               return _context.stop();
           }
@@ -92,37 +127,161 @@ var Contract = /*#__PURE__*/function () {
         return _call.apply(this, arguments);
       }
       return call;
-    }()
+    }() // Simulates a state-changing function without sending a transaction, throwing if it would revert.
   }, {
-    key: "events",
+    key: "callStatic",
     value: function () {
-      var _events = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee2(options) {
-        var events, _classPrivateFieldGet4, _options$pagination, _options$pagination2, filter;
+      var _callStatic = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee2(options) {
+        var _classPrivateFieldGet3;
         return _regenerator["default"].wrap(function _callee2$(_context2) {
           while (1) switch (_context2.prev = _context2.next) {
+            case 0:
+              return _context2.abrupt("return", (_classPrivateFieldGet3 = (0, _classPrivateFieldGet9["default"])(this, _contract).callStatic)[options["function"]].apply(_classPrivateFieldGet3, (0, _toConsumableArray2["default"])(options.args)));
+            case 1:
+            case "end":
+              return _context2.stop();
+          }
+        }, _callee2, this);
+      }));
+      function callStatic(_x2) {
+        return _callStatic.apply(this, arguments);
+      }
+      return callStatic;
+    }() // Populates the transaction, with the fees and gas limit set by the fee policy.
+  }, {
+    key: "_populateTransaction",
+    value: function () {
+      var _populateTransaction2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee3(options) {
+        var _classPrivateFieldGet4,
+          _this = this;
+        var tx;
+        return _regenerator["default"].wrap(function _callee3$(_context3) {
+          while (1) switch (_context3.prev = _context3.next) {
+            case 0:
+              _context3.next = 2;
+              return (_classPrivateFieldGet4 = (0, _classPrivateFieldGet9["default"])(this, _contract).populateTransaction)[options["function"]].apply(_classPrivateFieldGet4, (0, _toConsumableArray2["default"])(options.args));
+            case 2:
+              tx = _context3.sent;
+              if ((0, _classPrivateFieldGet9["default"])(this, _feePolicy)) {
+                _context3.next = 5;
+                break;
+              }
+              return _context3.abrupt("return", tx);
+            case 5:
+              return _context3.abrupt("return", (0, _classPrivateFieldGet9["default"])(this, _feePolicy).apply(tx, {
+                fee: options === null || options === void 0 ? void 0 : options.fee,
+                gas: options === null || options === void 0 ? void 0 : options.gas,
+                estimateGas: function estimateGas() {
+                  var _classPrivateFieldGet5;
+                  return (_classPrivateFieldGet5 = (0, _classPrivateFieldGet9["default"])(_this, _contract).estimateGas)[options["function"]].apply(_classPrivateFieldGet5, (0, _toConsumableArray2["default"])(options.args));
+                }
+              }));
+            case 6:
+            case "end":
+              return _context3.stop();
+          }
+        }, _callee3, this);
+      }));
+      function _populateTransaction(_x3) {
+        return _populateTransaction2.apply(this, arguments);
+      }
+      return _populateTransaction;
+    }() // Simulates the transaction, then populates it and estimates its gas, without broadcasting anything.
+    // A call that would revert is reported in `revert` rather than thrown, along with the bare transaction.
+  }, {
+    key: "_dryRun",
+    value: function () {
+      var _dryRun2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee4(options) {
+        var revert, _classPrivateFieldGet6, _e$error, _e$error2, _e$error2$data, tx, gas, _classPrivateFieldGet7;
+        return _regenerator["default"].wrap(function _callee4$(_context4) {
+          while (1) switch (_context4.prev = _context4.next) {
+            case 0:
+              revert = null;
+              _context4.prev = 1;
+              _context4.next = 4;
+              return (_classPrivateFieldGet6 = (0, _classPrivateFieldGet9["default"])(this, _contract).callStatic)[options["function"]].apply(_classPrivateFieldGet6, (0, _toConsumableArray2["default"])(options.args));
+            case 4:
+              _context4.next = 9;
+              break;
+            case 6:
+              _context4.prev = 6;
+              _context4.t0 = _context4["catch"](1);
+              revert = {
+                reason: (_context4.t0 === null || _context4.t0 === void 0 ? void 0 : _context4.t0.reason) || (_context4.t0 === null || _context4.t0 === void 0 ? void 0 : (_e$error = _context4.t0.error) === null || _e$error === void 0 ? void 0 : _e$error.reason) || (_context4.t0 === null || _context4.t0 === void 0 ? void 0 : (_e$error2 = _context4.t0.error) === null || _e$error2 === void 0 ? void 0 : (_e$error2$data = _e$error2.data) === null || _e$error2$data === void 0 ? void 0 : _e$error2$data.message) || (_context4.t0 === null || _context4.t0 === void 0 ? void 0 : _context4.t0.message) || null
+              };
+            case 9:
+              gas = null;
+              if (!revert) {
+                _context4.next = 14;
+                break;
+              }
+              tx = {
+                to: (0, _classPrivateFieldGet9["default"])(this, _contract).address,
+                data: (0, _classPrivateFieldGet9["default"])(this, _contract)["interface"].encodeFunctionData(options["function"], options.args)
+              };
+              _context4.next = 20;
+              break;
+            case 14:
+              _context4.next = 16;
+              return this._populateTransaction(options);
+            case 16:
+              tx = _context4.sent;
+              _context4.next = 19;
+              return (_classPrivateFieldGet7 = (0, _classPrivateFieldGet9["default"])(this, _contract).estimateGas)[options["function"]].apply(_classPrivateFieldGet7, (0, _toConsumableArray2["default"])(options.args));
+            case 19:
+              gas = _context4.sent;
+            case 20:
+              return _context4.abrupt("return", {
+                dryRun: true,
+                transaction: _objectSpread(_objectSpread({}, tx), {}, {
+                  from: (0, _classPrivateFieldGet9["default"])(this, _account).getAddress()
+                }),
+                gas: {
+                  estimate: gas ? gas.toString() : null
+                },
+                revert: revert
+              });
+            case 21:
+            case "end":
+              return _context4.stop();
+          }
+        }, _callee4, this, [[1, 6]]);
+      }));
+      function _dryRun(_x4) {
+        return _dryRun2.apply(this, arguments);
+      }
+      return _dryRun;
+    }()
+  }, {
+    key: "events",
+    value: function () {
+      var _events = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee5(options) {
+        var events, _classPrivateFieldGet8, _options$pagination, _options$pagination2, filter;
+        return _regenerator["default"].wrap(function _callee5$(_context5) {
+          while (1) switch (_context5.prev = _context5.next) {
             case 0:
               events = [];
-              _context2.prev = 1;
-              filter = (_classPrivateFieldGet4 = (0, _classPrivateFieldGet5["default"])(this, _contract).filters)[options.type].apply(_classPrivateFieldGet4, (0, _toConsumableArray2["default"])(options.args));
-              _context2.next = 5;
-              return (0, _classPrivateFieldGet5["default"])(this, _contract).queryFilter(filter);
+              _context5.prev = 1;
+              filter = (_classPrivateFieldGet8 = (0, _classPrivateFieldGet9["default"])(this, _contract).filters)[options.type].apply(_classPrivateFieldGet8, (0, _toConsumableArray2["default"])(options.args));
+              _context5.next = 5;
+              return (0, _classPrivateFieldGet9["default"])(this, _contract).queryFilter(filter);
             case 5:
-              events = _context2.sent;
+              events = _context5.sent;
               events = !(options !== null && options !== void 0 && options.pagination) ? events : this._paginate(events, options === null || options === void 0 ? void 0 : (_options$pagination = options.pagination) === null || _options$pagination === void 0 ? void 0 : _options$pagination.page, options === null || options === void 0 ? void 0 : (_options$pagination2 = options.pagination) === null || _options$pagination2 === void 0 ? void 0 : _options$pagination2.limit);
-              _context2.next = 11;
+              _context5.next = 11;
               break;
             case 9:
-              _context2.prev = 9;
-              _context2.t0 = _context2["catch"](1);
+              _context5.prev = 9;
+              _context5.t0 = _context5["catch"](1);
             case 11:
-              return _context2.abrupt("return", events);
+              return _context5.abrupt("return", events);
             case 12:
             case "end":
-              return _context2.stop();
+              return _context5.stop();
           }
-        }, _callee2, this, [[1, 9]]);
+        }, _callee5, this, [[1, 9]]);
       }));
-      function events(_x2) {
+      function events(_x5) {
         return _events.apply(this, arguments);
       }
       return events;
@@ -140,13 +299,13 @@ var Contract = /*#__PURE__*/function () {
         var stateMutability = fragment.stateMutability;
         return stateMutability === 'view';
       } catch (e) {
-        throw "".concat(fn, " is not a function");
+        throw new _errors.UnsupportedContractError("".concat(fn, " is not a function"));
       }
     }
   }, {
     key: "_getFnFragment",
     value: function _getFnFragment(fn) {
-      return (0, _classPrivateFieldGet5["default"])(this, _contract)["interface"].fragments.filter(function (fragment) {
+      return (0, _classPrivateFieldGet9["default"])(this, _contract)["interface"].fragments.filter(function (fragment) {
         return fn.startsWith(fragment.name);
       })[0];
     }
@@ -17,6 +17,8 @@ var _account = /*#__PURE__*/new WeakMap();
 var _Contract = /*#__PURE__*/new WeakMap();
 var _provider = /*#__PURE__*/new WeakMap();
 var _assertion = /*#__PURE__*/new WeakMap();
+var _feePolicy = /*#__PURE__*/new WeakMap();
+var _multicall = /*#__PURE__*/new WeakMap();
 var ContractFactory = /*#__PURE__*/function () {
   function ContractFactory(options) {
     (0, _classCallCheck2["default"])(this, ContractFactory);
@@ -44,12 +46,22 @@ var ContractFactory = /*#__PURE__*/function () {
       writable: true,
       value: void 0
     });
+    _classPrivateFieldInitSpec(this, _feePolicy, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _multicall, {
+      writable: true,
+      value: void 0
+    });
     (0, _classPrivateFieldSet2["default"])(this, _signer, options === null || options === void 0 ? void 0 : options.signer);
     (0, _classPrivateFieldSet2["default"])(this, _ethers, options === null || options === void 0 ? void 0 : options.ethers);
     (0, _classPrivateFieldSet2["default"])(this, _account, options === null || options === void 0 ? void 0 : options.account);
     (0, _classPrivateFieldSet2["default"])(this, _Contract, options === null || options === void 0 ? void 0 : options.Contract);
     (0, _classPrivateFieldSet2["default"])(this, _provider, options === null || options === void 0 ? void 0 : options.provider);
     (0, _classPrivateFieldSet2["default"])(this, _assertion, options === null || options === void 0 ? void 0 : options.assertion);
+    (0, _classPrivateFieldSet2["default"])(this, _feePolicy, options === null || options === void 0 ? void 0 : options.feePolicy);
+    (0, _classPrivateFieldSet2["default"])(this, _multicall, options === null || options === void 0 ? void 0 : options.multicall);
   }
   (0, _createClass2["default"])(ContractFactory, [{
     key: "create",
@@ -63,7 +75,9 @@ var ContractFactory = /*#__PURE__*/function () {
       }
       var contract = new ((0, _classPrivateFieldGet2["default"])(this, _Contract))({
         account: (0, _classPrivateFieldGet2["default"])(this, _account),
-        contract: ethersContract
+        contract: ethersContract,
+        feePolicy: (0, _classPrivateFieldGet2["default"])(this, _feePolicy),
+        multicall: (0, _classPrivateFieldGet2["default"])(this, _multicall)
       });
       return contract;
     }
@@ -0,0 +1,208 @@
+"use strict";
+
+var _interopRequireDefault = require("@babel/runtime/helpers/interopRequireDefault");
+Object.defineProperty(exports, "__esModule", {
+  value: true
+});
+exports["default"] = exports.FeeCeilingExceededError = void 0;
+var _regenerator = _interopRequireDefault(require("@babel/runtime/regenerator"));
+var _asyncToGenerator2 = _interopRequireDefault(require("@babel/runtime/helpers/asyncToGenerator"));
+var _classPrivateFieldGet4 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldGet"));
+var _classPrivateFieldSet2 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldSet"));
+var _createClass2 = _interopRequireDefault(require("@babel/runtime/helpers/createClass"));
+var _classCallCheck2 = _interopRequireDefault(require("@babel/runtime/helpers/classCallCheck"));
+var _assertThisInitialized2 = _interopRequireDefault(require("@babel/runtime/helpers/assertThisInitialized"));
+var _inherits2 = _interopRequireDefault(require("@babel/runtime/helpers/inherits"));
+var _possibleConstructorReturn2 = _interopRequireDefault(require("@babel/runtime/helpers/possibleConstructorReturn"));
+var _getPrototypeOf2 = _interopRequireDefault(require("@babel/runtime/helpers/getPrototypeOf"));
+var _defineProperty2 = _interopRequireDefault(require("@babel/runtime/helpers/defineProperty"));
+var _errors = require("../errors.cjs");
+function ownKeys(object, enumerableOnly) { var keys = Object.keys(object); if (Object.getOwnPropertySymbols) { var symbols = Object.getOwnPropertySymbols(object); enumerableOnly && (symbols = symbols.filter(function (sym) { return Object.getOwnPropertyDescriptor(object, sym).enumerable; })), keys.push.apply(keys, symbols); } return keys; }
+function _objectSpread(target) { for (var i = 1; i < arguments.length; i++) { var source = null != arguments[i] ? arguments[i] : {}; i % 2 ? ownKeys(Object(source), !0).forEach(function (key) { (0, _defineProperty2["default"])(target, key, source[key]); }) : Object.getOwnPropertyDescriptors ? Object.defineProperties(target, Object.getOwnPropertyDescriptors(source)) : ownKeys(Object(source)).forEach(function (key) { Object.defineProperty(target, key, Object.getOwnPropertyDescriptor(source, key)); }); } return target; }
+function _classPrivateFieldInitSpec(obj, privateMap, value) { _checkPrivateRedeclaration(obj, privateMap); privateMap.set(obj, value); }
+function _checkPrivateRedeclaration(obj, privateCollection) { if (privateCollection.has(obj)) { throw new TypeError("Cannot initialize the same private elements twice on an object"); } }
+function _createSuper(Derived) { var hasNativeReflectConstruct = _isNativeReflectConstruct(); return function _createSuperInternal() { var Super = (0, _getPrototypeOf2["default"])(Derived), result; if (hasNativeReflectConstruct) { var NewTarget = (0, _getPrototypeOf2["default"])(this).constructor; result = Reflect.construct(Super, arguments, NewTarget); } else { result = Super.apply(this, arguments); } return (0, _possibleConstructorReturn2["default"])(this, result); }; }
+function _isNativeReflectConstruct() { if (typeof Reflect === "undefined" || !Reflect.construct) return false; if (Reflect.construct.sham) return false; if (typeof Proxy === "function") return true; try { Boolean.prototype.valueOf.call(Reflect.construct(Boolean, [], function () {})); return true; } catch (e) { return false; } }
+var FeeCeilingExceededError = /*#__PURE__*/function (_NFTfiError) {
+  (0, _inherits2["default"])(FeeCeilingExceededError, _NFTfiError);
+  var _super = _createSuper(FeeCeilingExceededError);
+  function FeeCeilingExceededError(fee, max) {
+    var _this;
+    (0, _classCallCheck2["default"])(this, FeeCeilingExceededError);
+    _this = _super.call(this, "fee of ".concat(fee, " wei per gas is above the fee ceiling of ").concat(max, " wei"));
+    (0, _defineProperty2["default"])((0, _assertThisInitialized2["default"])(_this), "code", 'FEE_CEILING_EXCEEDED');
+    return _this;
+  }
+  return (0, _createClass2["default"])(FeeCeilingExceededError);
+}(_errors.NFTfiError);
+/**
+ * @class
+ * Sets the EIP-1559 fees and gas limit of state-changing transactions, following the `ethereum.transaction`
+ * config and the `fee` and `gas` options passed to `Contract.call`, which take precedence.
+ */
+exports.FeeCeilingExceededError = FeeCeilingExceededError;
+var _config = /*#__PURE__*/new WeakMap();
+var _provider = /*#__PURE__*/new WeakMap();
+var _ethers = /*#__PURE__*/new WeakMap();
+var ContractFeePolicy = /*#__PURE__*/function () {
+  function ContractFeePolicy() {
+    var options = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : {};
+    (0, _classCallCheck2["default"])(this, ContractFeePolicy);
+    _classPrivateFieldInitSpec(this, _config, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _provider, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _ethers, {
+      writable: true,
+      value: void 0
+    });
+    (0, _classPrivateFieldSet2["default"])(this, _config, options === null || options === void 0 ? void 0 : options.config);
+    (0, _classPrivateFieldSet2["default"])(this, _provider, options === null || options === void 0 ? void 0 : options.provider);
+    (0, _classPrivateFieldSet2["default"])(this, _ethers, options === null || options === void 0 ? void 0 : options.ethers);
+  }
+  (0, _createClass2["default"])(ContractFeePolicy, [{
+    key: "_getPolicy",
+    value: function _getPolicy(options) {
+      var _classPrivateFieldGet2, _classPrivateFieldGet3;
+      var transaction = (_classPrivateFieldGet2 = (0, _classPrivateFieldGet4["default"])(this, _config)) === null || _classPrivateFieldGet2 === void 0 ? void 0 : (_classPrivateFieldGet3 = _classPrivateFieldGet2.ethereum) === null || _classPrivateFieldGet3 === void 0 ? void 0 : _classPrivateFieldGet3.transaction;
+      return {
+        fee: _objectSpread(_objectSpread({}, transaction === null || transaction === void 0 ? void 0 : transaction.fee), options === null || options === void 0 ? void 0 : options.fee),
+        gas: _objectSpread(_objectSpread({}, transaction === null || transaction === void 0 ? void 0 : transaction.gas), options === null || options === void 0 ? void 0 : options.gas)
+      };
+    }
+  }, {
+    key: "_multiply",
+    value: function _multiply(value, multiplier) {
+      // BigNumbers only hold integers, so the multiplier is applied with a precision of 1/1000
+      return (0, _classPrivateFieldGet4["default"])(this, _ethers).BigNumber.from(value).mul(Math.round(Number(multiplier) * 1000)).div(1000);
+    }
+
+    /**
+     * Throws a `FeeCeilingExceededError` if the `maxFeePerGas` (or `gasPrice`) of the transaction is above the fee ceiling.
+     *
+     * @param {object} tx - The transaction
+     * @param {object} [options] - Options
+     * @param {object} [options.fee] - Fee overrides, see `apply`
+     */
+  }, {
+    key: "check",
+    value: function check(tx) {
+      var options = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : {};
+      var _this$_getPolicy = this._getPolicy(options),
+        fee = _this$_getPolicy.fee;
+      var perGas = (tx === null || tx === void 0 ? void 0 : tx.maxFeePerGas) || (tx === null || tx === void 0 ? void 0 : tx.gasPrice);
+      if (fee.max && perGas && (0, _classPrivateFieldGet4["default"])(this, _ethers).BigNumber.from(perGas).gt(fee.max)) {
+        throw new FeeCeilingExceededError(perGas.toString(), fee.max.toString());
+      }
+    }
+
+    /**
+     * Returns the transaction with its `maxFeePerGas`, `maxPriorityFeePerGas` and `gasLimit` set by the policy.
+     * On chains without EIP-1559 fees, the policy sets its `gasPrice` instead.
+     * When nothing is configured, the transaction is returned untouched and the signer picks the fees as usual.
+     *
+     * @param {object} tx - The populated transaction
+     * @param {object} [options] - Options
+     * @param {object} [options.fee] - Fee overrides: `maxFeePerGas`, `maxPriorityFeePerGas` (fixed fees, in wei), `multiplier` (applied to provider-estimated fees) and `max` (fee ceiling, in wei)
+     * @param {object} [options.gas] - Gas overrides: `limit` (fixed gas limit) and `multiplier` (applied to the estimated gas limit)
+     * @param {Function} [options.estimateGas] - Estimates the gas limit of the transaction, used when a gas multiplier is set
+     * @returns {object} The transaction
+     */
+  }, {
+    key: "apply",
+    value: function () {
+      var _apply = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee(tx) {
+        var options,
+          _this$_getPolicy2,
+          fee,
+          gas,
+          isFixed,
+          isMultiplied,
+          isCapped,
+          result,
+          estimated,
+          multiplier,
+          maxFeePerGas,
+          maxPriorityFeePerGas,
+          _args = arguments;
+        return _regenerator["default"].wrap(function _callee$(_context) {
+          while (1) switch (_context.prev = _context.next) {
+            case 0:
+              options = _args.length > 1 && _args[1] !== undefined ? _args[1] : {};
+              _this$_getPolicy2 = this._getPolicy(options), fee = _this$_getPolicy2.fee, gas = _this$_getPolicy2.gas;
+              isFixed = !!fee.maxFeePerGas && !!fee.maxPriorityFeePerGas;
+              isMultiplied = !!fee.multiplier && Number(fee.multiplier) !== 1;
+              isCapped = !!fee.max;
+              result = _objectSpread({}, tx);
+              if (!(fee.maxFeePerGas || fee.maxPriorityFeePerGas || isMultiplied || isCapped)) {
+                _context.next = 18;
+                break;
+              }
+              if (!isFixed) {
+                _context.next = 11;
+                break;
+              }
+              _context.t0 = {};
+              _context.next = 14;
+              break;
+            case 11:
+              _context.next = 13;
+              return (0, _classPrivateFieldGet4["default"])(this, _provider).getFeeData();
+            case 13:
+              _context.t0 = _context.sent;
+            case 14:
+              estimated = _context.t0;
+              multiplier = fee.multiplier || 1;
+              if (!isFixed && !estimated.maxFeePerGas) {
+                // Chains without EIP-1559 only estimate a gas price, which then stands in for the max fee
+                result.gasPrice = (0, _classPrivateFieldGet4["default"])(this, _ethers).BigNumber.from(fee.maxFeePerGas || this._multiply(estimated.gasPrice, multiplier));
+              } else {
+                maxFeePerGas = fee.maxFeePerGas || this._multiply(estimated.maxFeePerGas, multiplier);
+                maxPriorityFeePerGas = fee.maxPriorityFeePerGas || this._multiply(estimated.maxPriorityFeePerGas, multiplier);
+                result.maxFeePerGas = (0, _classPrivateFieldGet4["default"])(this, _ethers).BigNumber.from(maxFeePerGas);
+                // The priority fee can never be above the max fee, nodes reject such transactions
+                result.maxPriorityFeePerGas = (0, _classPrivateFieldGet4["default"])(this, _ethers).BigNumber.from(maxPriorityFeePerGas).gt(result.maxFeePerGas) ? result.maxFeePerGas : (0, _classPrivateFieldGet4["default"])(this, _ethers).BigNumber.from(maxPriorityFeePerGas);
+              }
+              this.check(result, options);
+            case 18:
+              if (!gas.limit) {
+                _context.next = 22;
+                break;
+              }
+              result.gasLimit = (0, _classPrivateFieldGet4["default"])(this, _ethers).BigNumber.from(gas.limit);
+              _context.next = 29;
+              break;
+            case 22:
+              if (!(gas.multiplier && Number(gas.multiplier) !== 1 && options !== null && options !== void 0 && options.estimateGas)) {
+                _context.next = 29;
+                break;
+              }
+              _context.t1 = this;
+              _context.next = 26;
+              return options.estimateGas();
+            case 26:
+              _context.t2 = _context.sent;
+              _context.t3 = gas.multiplier;
+              result.gasLimit = _context.t1._multiply.call(_context.t1, _context.t2, _context.t3);
+            case 29:
+              return _context.abrupt("return", result);
+            case 30:
+            case "end":
+              return _context.stop();
+          }
+        }, _callee, this);
+      }));
+      function apply(_x) {
+        return _apply.apply(this, arguments);
+      }
+      return apply;
+    }()
+  }]);
+  return ContractFeePolicy;
+}();
+var _default = ContractFeePolicy;
+exports["default"] = _default;
\ No newline at end of file
@@ -0,0 +1,285 @@
+"use strict";
+
+var _interopRequireDefault = require("@babel/runtime/helpers/interopRequireDefault");
+Object.defineProperty(exports, "__esModule", {
+  value: true
+});
+exports["default"] = void 0;
+var _regenerator = _interopRequireDefault(require("@babel/runtime/regenerator"));
+var _toConsumableArray2 = _interopRequireDefault(require("@babel/runtime/helpers/toConsumableArray"));
+var _asyncToGenerator2 = _interopRequireDefault(require("@babel/runtime/helpers/asyncToGenerator"));
+var _classCallCheck2 = _interopRequireDefault(require("@babel/runtime/helpers/classCallCheck"));
+var _createClass2 = _interopRequireDefault(require("@babel/runtime/helpers/createClass"));
+var _classPrivateFieldGet5 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldGet"));
+var _classPrivateFieldSet2 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldSet"));
+function _createForOfIteratorHelper(o, allowArrayLike) { var it = typeof Symbol !== "undefined" && o[Symbol.iterator] || o["@@iterator"]; if (!it) { if (Array.isArray(o) || (it = _unsupportedIterableToArray(o)) || allowArrayLike && o && typeof o.length === "number") { if (it) o = it; var i = 0; var F = function F() {}; return { s: F, n: function n() { if (i >= o.length) return { done: true }; return { done: false, value: o[i++] }; }, e: function e(_e) { throw _e; }, f: F }; } throw new TypeError("Invalid attempt to iterate non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method."); } var normalCompletion = true, didErr = false, err; return { s: function s() { it = it.call(o); }, n: function n() { var step = it.next(); normalCompletion = step.done; return step; }, e: function e(_e2) { didErr = true; err = _e2; }, f: function f() { try { if (!normalCompletion && it["return"] != null) it["return"](); } finally { if (didErr) throw err; } } }; }
+function _unsupportedIterableToArray(o, minLen) { if (!o) return; if (typeof o === "string") return _arrayLikeToArray(o, minLen); var n = Object.prototype.toString.call(o).slice(8, -1); if (n === "Object" && o.constructor) n = o.constructor.name; if (n === "Map" || n === "Set") return Array.from(o); if (n === "Arguments" || /^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n)) return _arrayLikeToArray(o, minLen); }
+function _arrayLikeToArray(arr, len) { if (len == null || len > arr.length) len = arr.length; for (var i = 0, arr2 = new Array(len); i < len; i++) arr2[i] = arr[i]; return arr2; }
+function _classPrivateFieldInitSpec(obj, privateMap, value) { _checkPrivateRedeclaration(obj, privateMap); privateMap.set(obj, value); }
+function _checkPrivateRedeclaration(obj, privateCollection) { if (privateCollection.has(obj)) { throw new TypeError("Cannot initialize the same private elements twice on an object"); } }
+// Selector of `Error(string)`, the revert reason of `require` and `revert`
+var ERROR_SELECTOR = '0x08c379a0';
+
+/**
+ * @class
+ * Batches the view calls made through `Contract.call` into Multicall3 `aggregate3` requests.
+ * Calls made while a batch is pending are queued and sent together, at most `batch.size` at a time.
+ * On chains without Multicall3 (no code at `multicall.address`), calls are made one by one instead.
+ */
+var _config = /*#__PURE__*/new WeakMap();
+var _provider = /*#__PURE__*/new WeakMap();
+var _ethers = /*#__PURE__*/new WeakMap();
+var _contract = /*#__PURE__*/new WeakMap();
+var _queue = /*#__PURE__*/new WeakMap();
+var _timer = /*#__PURE__*/new WeakMap();
+var _isSupported = /*#__PURE__*/new WeakMap();
+var ContractMulticall = /*#__PURE__*/function () {
+  function ContractMulticall() {
+    var options = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : {};
+    (0, _classCallCheck2["default"])(this, ContractMulticall);
+    _classPrivateFieldInitSpec(this, _config, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _provider, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _ethers, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _contract, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _queue, {
+      writable: true,
+      value: []
+    });
+    _classPrivateFieldInitSpec(this, _timer, {
+      writable: true,
+      value: null
+    });
+    _classPrivateFieldInitSpec(this, _isSupported, {
+      writable: true,
+      value: true
+    });
+    (0, _classPrivateFieldSet2["default"])(this, _config, options === null || options === void 0 ? void 0 : options.config);
+    (0, _classPrivateFieldSet2["default"])(this, _provider, options === null || options === void 0 ? void 0 : options.provider);
+    (0, _classPrivateFieldSet2["default"])(this, _ethers, options === null || options === void 0 ? void 0 : options.ethers);
+  }
+  (0, _createClass2["default"])(ContractMulticall, [{
+    key: "_contract",
+    get: function get() {
+      if (!(0, _classPrivateFieldGet5["default"])(this, _contract)) {
+        var _classPrivateFieldGet2 = (0, _classPrivateFieldGet5["default"])(this, _config).multicall,
+          address = _classPrivateFieldGet2.address,
+          abi = _classPrivateFieldGet2.abi;
+        (0, _classPrivateFieldSet2["default"])(this, _contract, new ((0, _classPrivateFieldGet5["default"])(this, _ethers).Contract)(address, abi, (0, _classPrivateFieldGet5["default"])(this, _provider)));
+      }
+      return (0, _classPrivateFieldGet5["default"])(this, _contract);
+    }
+  }, {
+    key: "_isEnabled",
+    value: function _isEnabled() {
+      var _classPrivateFieldGet3, _classPrivateFieldGet4;
+      return (0, _classPrivateFieldGet5["default"])(this, _isSupported) && !!(0, _classPrivateFieldGet5["default"])(this, _provider) && !!((_classPrivateFieldGet3 = (0, _classPrivateFieldGet5["default"])(this, _config)) !== null && _classPrivateFieldGet3 !== void 0 && (_classPrivateFieldGet4 = _classPrivateFieldGet3.multicall) !== null && _classPrivateFieldGet4 !== void 0 && _classPrivateFieldGet4.address);
+    }
+
+    /**
+     * Calls a view function, as part of the next batch.
+     *
+     * @param {object} contract - The ethers contract
+     * @param {string} fn - Name or signature of the function
+     * @param {Array} args - Arguments of the function
+     * @returns {Promise<*>} The decoded result, as the ethers contract would return it
+     */
+  }, {
+    key: "call",
+    value: function () {
+      var _call = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee(contract, fn) {
+        var _this = this;
+        var args,
+          fragment,
+          _args = arguments;
+        return _regenerator["default"].wrap(function _callee$(_context) {
+          while (1) switch (_context.prev = _context.next) {
+            case 0:
+              args = _args.length > 2 && _args[2] !== undefined ? _args[2] : [];
+              fragment = contract["interface"].getFunction(fn); // Calls with overrides (eg. a block tag) can't be batched
+              if (!(!this._isEnabled() || args.length > fragment.inputs.length)) {
+                _context.next = 4;
+                break;
+              }
+              return _context.abrupt("return", contract[fn].apply(contract, (0, _toConsumableArray2["default"])(args)));
+            case 4:
+              return _context.abrupt("return", new Promise(function (resolve, reject) {
+                (0, _classPrivateFieldGet5["default"])(_this, _queue).push({
+                  contract: contract,
+                  fn: fn,
+                  args: args,
+                  fragment: fragment,
+                  callData: contract["interface"].encodeFunctionData(fragment, args),
+                  resolve: resolve,
+                  reject: reject
+                });
+                if (!(0, _classPrivateFieldGet5["default"])(_this, _timer)) {
+                  (0, _classPrivateFieldSet2["default"])(_this, _timer, setTimeout(function () {
+                    return _this._flush();
+                  }, (0, _classPrivateFieldGet5["default"])(_this, _config).multicall.batch.wait));
+                }
+              }));
+            case 5:
+            case "end":
+              return _context.stop();
+          }
+        }, _callee, this);
+      }));
+      function call(_x, _x2) {
+        return _call.apply(this, arguments);
+      }
+      return call;
+    }()
+  }, {
+    key: "_flush",
+    value: function _flush() {
+      var queue = (0, _classPrivateFieldGet5["default"])(this, _queue);
+      (0, _classPrivateFieldSet2["default"])(this, _queue, []);
+      (0, _classPrivateFieldSet2["default"])(this, _timer, null);
+      var size = (0, _classPrivateFieldGet5["default"])(this, _config).multicall.batch.size;
+      for (var i = 0; i < queue.length; i += size) {
+        this._aggregate(queue.slice(i, i + size));
+      }
+    }
+  }, {
+    key: "_aggregate",
+    value: function () {
+      var _aggregate2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee2(calls) {
+        var _this2 = this;
+        var results;
+        return _regenerator["default"].wrap(function _callee2$(_context2) {
+          while (1) switch (_context2.prev = _context2.next) {
+            case 0:
+              _context2.prev = 0;
+              _context2.next = 3;
+              return this._contract.callStatic.aggregate3(calls.map(function (call) {
+                return {
+                  target: call.contract.address,
+                  allowFailure: true,
+                  callData: call.callData
+                };
+              }));
+            case 3:
+              results = _context2.sent;
+              _context2.next = 11;
+              break;
+            case 6:
+              _context2.prev = 6;
+              _context2.t0 = _context2["catch"](0);
+              _context2.next = 10;
+              return this._checkSupport();
+            case 10:
+              return _context2.abrupt("return", this._fallback(calls));
+            case 11:
+              calls.forEach(function (call, i) {
+                var _results$i = results[i],
+                  success = _results$i.success,
+                  returnData = _results$i.returnData;
+                try {
+                  if (!success) throw _this2._getRevertError(call, returnData);
+                  var decoded = call.contract["interface"].decodeFunctionResult(call.fragment, returnData);
+                  // Like ethers contracts, unwrap functions with a single output
+                  call.resolve(call.fragment.outputs.length === 1 ? decoded[0] : decoded);
+                } catch (e) {
+                  call.reject(e);
+                }
+              });
+            case 12:
+            case "end":
+              return _context2.stop();
+          }
+        }, _callee2, this, [[0, 6]]);
+      }));
+      function _aggregate(_x3) {
+        return _aggregate2.apply(this, arguments);
+      }
+      return _aggregate;
+    }() // A failed batch may be down to the chain, or to a single call, so the calls are retried one by one
+  }, {
+    key: "_fallback",
+    value: function _fallback(calls) {
+      var _iterator = _createForOfIteratorHelper(calls),
+        _step;
+      try {
+        for (_iterator.s(); !(_step = _iterator.n()).done;) {
+          var _call$contract;
+          var call = _step.value;
+          (_call$contract = call.contract)[call.fn].apply(_call$contract, (0, _toConsumableArray2["default"])(call.args)).then(call.resolve, call.reject);
+        }
+      } catch (err) {
+        _iterator.e(err);
+      } finally {
+        _iterator.f();
+      }
+    }
+  }, {
+    key: "_checkSupport",
+    value: function () {
+      var _checkSupport2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee3() {
+        var code;
+        return _regenerator["default"].wrap(function _callee3$(_context3) {
+          while (1) switch (_context3.prev = _context3.next) {
+            case 0:
+              _context3.prev = 0;
+              _context3.next = 3;
+              return (0, _classPrivateFieldGet5["default"])(this, _provider).getCode((0, _classPrivateFieldGet5["default"])(this, _config).multicall.address);
+            case 3:
+              code = _context3.sent;
+              (0, _classPrivateFieldSet2["default"])(this, _isSupported, code !== '0x');
+              _context3.next = 9;
+              break;
+            case 7:
+              _context3.prev = 7;
+              _context3.t0 = _context3["catch"](0);
+            case 9:
+            case "end":
+              return _context3.stop();
+          }
+        }, _callee3, this, [[0, 7]]);
+      }));
+      function _checkSupport() {
+        return _checkSupport2.apply(this, arguments);
+      }
+      return _checkSupport;
+    }() // Matches the errors thrown by ethers contracts for reverted calls
+  }, {
+    key: "_getRevertError",
+    value: function _getRevertError(call, data) {
+      var reason = null;
+      // Only `Error(string)` reverts have a reason, unlike custom errors and empty reverts
+      if (data !== null && data !== void 0 && data.startsWith(ERROR_SELECTOR)) {
+        try {
+          reason = (0, _classPrivateFieldGet5["default"])(this, _ethers).utils.defaultAbiCoder.decode(['string'], "0x".concat(data.slice(10)))[0];
+        } catch (e) {
+          // Malformed reason
+        }
+      }
+      var error = new Error(reason ? "execution reverted: ".concat(reason) : 'call revert exception');
+      return Object.assign(error, {
+        code: 'CALL_EXCEPTION',
+        reason: reason,
+        method: call.fragment.format(),
+        args: call.args,
+        data: data,
+        transaction: {
+          to: call.contract.address,
+          data: call.callData
+        }
+      });
+    }
+  }]);
+  return ContractMulticall;
+}();
+var _default = ContractMulticall;
+exports["default"] = _default;
\ No newline at end of file
@@ -0,0 +1,209 @@
+"use strict";
+
+var _interopRequireDefault = require("@babel/runtime/helpers/interopRequireDefault");
+Object.defineProperty(exports, "__esModule", {
+  value: true
+});
+exports["default"] = exports.ContractNotSupportedError = void 0;
+var _defineProperty2 = _interopRequireDefault(require("@babel/runtime/helpers/defineProperty"));
+var _classPrivateFieldGet2 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldGet"));
+var _classPrivateFieldSet2 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldSet"));
+var _createClass2 = _interopRequireDefault(require("@babel/runtime/helpers/createClass"));
+var _classCallCheck2 = _interopRequireDefault(require("@babel/runtime/helpers/classCallCheck"));
+var _inherits2 = _interopRequireDefault(require("@babel/runtime/helpers/inherits"));
+var _possibleConstructorReturn2 = _interopRequireDefault(require("@babel/runtime/helpers/possibleConstructorReturn"));
+var _getPrototypeOf2 = _interopRequireDefault(require("@babel/runtime/helpers/getPrototypeOf"));
+var _errors = require("../errors.cjs");
+function ownKeys(object, enumerableOnly) { var keys = Object.keys(object); if (Object.getOwnPropertySymbols) { var symbols = Object.getOwnPropertySymbols(object); enumerableOnly && (symbols = symbols.filter(function (sym) { return Object.getOwnPropertyDescriptor(object, sym).enumerable; })), keys.push.apply(keys, symbols); } return keys; }
+function _objectSpread(target) { for (var i = 1; i < arguments.length; i++) { var source = null != arguments[i] ? arguments[i] : {}; i % 2 ? ownKeys(Object(source), !0).forEach(function (key) { (0, _defineProperty2["default"])(target, key, source[key]); }) : Object.getOwnPropertyDescriptors ? Object.defineProperties(target, Object.getOwnPropertyDescriptors(source)) : ownKeys(Object(source)).forEach(function (key) { Object.defineProperty(target, key, Object.getOwnPropertyDescriptor(source, key)); }); } return target; }
+function _createForOfIteratorHelper(o, allowArrayLike) { var it = typeof Symbol !== "undefined" && o[Symbol.iterator] || o["@@iterator"]; if (!it) { if (Array.isArray(o) || (it = _unsupportedIterableToArray(o)) || allowArrayLike && o && typeof o.length === "number") { if (it) o = it; var i = 0; var F = function F() {}; return { s: F, n: function n() { if (i >= o.length) return { done: true }; return { done: false, value: o[i++] }; }, e: function e(_e) { throw _e; }, f: F }; } throw new TypeError("Invalid attempt to iterate non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method."); } var normalCompletion = true, didErr = false, err; return { s: function s() { it = it.call(o); }, n: function n() { var step = it.next(); normalCompletion = step.done; return step; }, e: function e(_e2) { didErr = true; err = _e2; }, f: function f() { try { if (!normalCompletion && it["return"] != null) it["return"](); } finally { if (didErr) throw err; } } }; }
+function _unsupportedIterableToArray(o, minLen) { if (!o) return; if (typeof o === "string") return _arrayLikeToArray(o, minLen); var n = Object.prototype.toString.call(o).slice(8, -1); if (n === "Object" && o.constructor) n = o.constructor.name; if (n === "Map" || n === "Set") return Array.from(o); if (n === "Arguments" || /^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n)) return _arrayLikeToArray(o, minLen); }
+function _arrayLikeToArray(arr, len) { if (len == null || len > arr.length) len = arr.length; for (var i = 0, arr2 = new Array(len); i < len; i++) arr2[i] = arr[i]; return arr2; }
+function _classPrivateFieldInitSpec(obj, privateMap, value) { _checkPrivateRedeclaration(obj, privateMap); privateMap.set(obj, value); }
+function _checkPrivateRedeclaration(obj, privateCollection) { if (privateCollection.has(obj)) { throw new TypeError("Cannot initialize the same private elements twice on an object"); } }
+function _createSuper(Derived) { var hasNativeReflectConstruct = _isNativeReflectConstruct(); return function _createSuperInternal() { var Super = (0, _getPrototypeOf2["default"])(Derived), result; if (hasNativeReflectConstruct) { var NewTarget = (0, _getPrototypeOf2["default"])(this).constructor; result = Reflect.construct(Super, arguments, NewTarget); } else { result = Super.apply(this, arguments); } return (0, _possibleConstructorReturn2["default"])(this, result); }; }
+function _isNativeReflectConstruct() { if (typeof Reflect === "undefined" || !Reflect.construct) return false; if (Reflect.construct.sham) return false; if (typeof Proxy === "function") return true; try { Boolean.prototype.valueOf.call(Reflect.construct(Boolean, [], function () {})); return true; } catch (e) { return false; } }
+var ContractNotSupportedError = /*#__PURE__*/function (_UnsupportedContractE) {
+  (0, _inherits2["default"])(ContractNotSupportedError, _UnsupportedContractE);
+  var _super = _createSuper(ContractNotSupportedError);
+  function ContractNotSupportedError(name, operation) {
+    var _this;
+    (0, _classCallCheck2["default"])(this, ContractNotSupportedError);
+    var msg = operation ? "".concat(name, " does not support ").concat(operation) : "".concat(name, " not supported");
+    _this = _super.call(this, msg, {
+      errors: {
+        'nftfi.contract.name': [msg]
+      }
+    });
+    _this.name = 'ContractNotSupportedError';
+    return _this;
+  }
+  return (0, _createClass2["default"])(ContractNotSupportedError);
+}(_errors.UnsupportedContractError);
+/**
+ * @class
+ * Registry of the NFTfi contracts the SDK can interact with, keyed by contract name (eg. `v2-3.loan.fixed`).
+ */
+exports.ContractNotSupportedError = ContractNotSupportedError;
+var _config = /*#__PURE__*/new WeakMap();
+var _contracts = /*#__PURE__*/new WeakMap();
+var ContractRegistry = /*#__PURE__*/function () {
+  function ContractRegistry() {
+    var options = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : {};
+    (0, _classCallCheck2["default"])(this, ContractRegistry);
+    _classPrivateFieldInitSpec(this, _config, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _contracts, {
+      writable: true,
+      value: {}
+    });
+    (0, _classPrivateFieldSet2["default"])(this, _config, options === null || options === void 0 ? void 0 : options.config);
+    this._registerDefaults();
+    var _iterator = _createForOfIteratorHelper((options === null || options === void 0 ? void 0 : options.contracts) || []),
+      _step;
+    try {
+      for (_iterator.s(); !(_step = _iterator.n()).done;) {
+        var contract = _step.value;
+        this.register(contract);
+      }
+    } catch (err) {
+      _iterator.e(err);
+    } finally {
+      _iterator.f();
+    }
+  }
+  (0, _createClass2["default"])(ContractRegistry, [{
+    key: "_registerDefaults",
+    value: function _registerDefaults() {
+      var loan = (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed;
+      var signingUtils = (0, _classPrivateFieldGet2["default"])(this, _config).signingUtils;
+      var signature = {
+        scheme: 'keccak256'
+      };
+      var operations = ['begin', 'liquidate', 'repay', 'revoke', 'offer', 'get'];
+      this._add(_objectSpread(_objectSpread({}, loan.v1), {}, {
+        implementation: loan.v1.name,
+        operations: ['liquidate', 'repay', 'revoke']
+      }));
+      this._add(_objectSpread(_objectSpread({}, loan.v2), {}, {
+        implementation: loan.v2.name,
+        operations: ['liquidate', 'repay', 'revoke', 'get']
+      }));
+      this._add(_objectSpread(_objectSpread({}, loan.v2_1), {}, {
+        implementation: loan.v2_1.name,
+        signingUtils: signingUtils.v2,
+        offer: {
+          type: 'nft'
+        },
+        signature: signature,
+        operations: operations
+      }));
+      this._add(_objectSpread(_objectSpread({}, loan.v2_3), {}, {
+        implementation: loan.v2_3.name,
+        signingUtils: signingUtils.v2_3,
+        offer: {
+          type: 'nft'
+        },
+        signature: signature,
+        operations: operations
+      }));
+      this._add(_objectSpread(_objectSpread({}, loan.collection.v2), {}, {
+        implementation: loan.collection.v2.name,
+        signingUtils: signingUtils.v2,
+        offer: {
+          type: 'collection'
+        },
+        signature: signature,
+        operations: operations
+      }));
+      this._add(_objectSpread(_objectSpread({}, loan.collection.v2_3), {}, {
+        implementation: loan.collection.v2_3.name,
+        signingUtils: signingUtils.v2_3,
+        offer: {
+          type: 'collection'
+        },
+        signature: signature,
+        operations: operations
+      }));
+      this._add(_objectSpread(_objectSpread({}, (0, _classPrivateFieldGet2["default"])(this, _config).bundler.v1), {}, {
+        operations: []
+      }));
+      this._add(_objectSpread(_objectSpread({}, (0, _classPrivateFieldGet2["default"])(this, _config).bundler.v1_1), {}, {
+        operations: []
+      }));
+      this._add(_objectSpread(_objectSpread({}, (0, _classPrivateFieldGet2["default"])(this, _config).bundler.migrate.v1), {}, {
+        operations: []
+      }));
+    }
+  }, {
+    key: "_add",
+    value: function _add(contract) {
+      if (contract !== null && contract !== void 0 && contract.name && contract !== null && contract !== void 0 && contract.address) {
+        (0, _classPrivateFieldGet2["default"])(this, _contracts)[contract.name] = contract;
+      }
+    }
+
+    /**
+     * Registers a contract, or replaces an existing one with the same name.
+     * Fields that are not provided are inherited from the contract named in `implementation`.
+     *
+     * @param {object} contract - The contract entry
+     * @param {string} contract.name - Name of the contract (eg. `v2-4.loan.fixed`)
+     * @param {string} contract.address - Address of the contract
+     * @param {Array} [contract.abi] - ABI of the contract (optional)
+     * @param {string} [contract.implementation] - Name of a registered contract that this one behaves like (optional)
+     * @param {object} [contract.signingUtils] - Address and ABI of the signing utils contract (optional)
+     * @param {Array<string>} [contract.operations] - Supported operations: `begin`, `liquidate`, `repay`, `revoke`, `offer`, `get` (optional)
+     * @param {object} [contract.signature] - Signature scheme used for offers, eg. `{ scheme: 'keccak256' }` (optional)
+     * @returns {ContractRegistry} The registry
+     *
+     * @example
+     * // Register a new loan contract version that behaves like `v2-3.loan.fixed`
+     * registry.register({
+     *   name: 'v2-4.loan.fixed',
+     *   address: '0x00000000',
+     *   implementation: 'v2-3.loan.fixed'
+     * });
+     */
+  }, {
+    key: "register",
+    value: function register(contract) {
+      if (!(contract !== null && contract !== void 0 && contract.name) || !(contract !== null && contract !== void 0 && contract.address)) {
+        throw new _errors.ValidationError('Please provide a value for both the name and address fields of the contract.');
+      }
+      var base = contract !== null && contract !== void 0 && contract.implementation ? this.get(contract.implementation) : {};
+      (0, _classPrivateFieldGet2["default"])(this, _contracts)[contract.name] = _objectSpread(_objectSpread(_objectSpread({}, base), contract), {}, {
+        implementation: base.implementation || contract.implementation || contract.name
+      });
+      return this;
+    }
+  }, {
+    key: "has",
+    value: function has(name, operation) {
+      var _contract$operations;
+      var contract = (0, _classPrivateFieldGet2["default"])(this, _contracts)[name];
+      return !!contract && (!operation || ((_contract$operations = contract.operations) === null || _contract$operations === void 0 ? void 0 : _contract$operations.includes(operation)));
+    }
+  }, {
+    key: "get",
+    value: function get(name, operation) {
+      if (!this.has(name, operation)) {
+        throw new ContractNotSupportedError(name, (0, _classPrivateFieldGet2["default"])(this, _contracts)[name] ? operation : undefined);
+      }
+      return (0, _classPrivateFieldGet2["default"])(this, _contracts)[name];
+    }
+  }, {
+    key: "names",
+    value: function names(operation) {
+      var _this2 = this;
+      return Object.keys((0, _classPrivateFieldGet2["default"])(this, _contracts)).filter(function (name) {
+        return _this2.has(name, operation);
+      });
+    }
+  }]);
+  return ContractRegistry;
+}();
+var _default = ContractRegistry;
+exports["default"] = _default;
\ No newline at end of file
@@ -22,6 +22,8 @@ var _account = /*#__PURE__*/new WeakMap();
 var _BN = /*#__PURE__*/new WeakMap();
 var _error = /*#__PURE__*/new WeakMap();
 var _assertion = /*#__PURE__*/new WeakMap();
+var _registry = /*#__PURE__*/new WeakMap();
+var _helper = /*#__PURE__*/new WeakMap();
 /**
  * @class
  * Class for working with ERC20 tokens.
@@ -53,32 +55,27 @@ var Erc20 = /*#__PURE__*/function () {
       writable: true,
       value: void 0
     });
+    _classPrivateFieldInitSpec(this, _registry, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _helper, {
+      writable: true,
+      value: void 0
+    });
     (0, _classPrivateFieldSet2["default"])(this, _config, options === null || options === void 0 ? void 0 : options.config);
     (0, _classPrivateFieldSet2["default"])(this, _contractFactory, options === null || options === void 0 ? void 0 : options.contractFactory);
     (0, _classPrivateFieldSet2["default"])(this, _account, options === null || options === void 0 ? void 0 : options.account);
     (0, _classPrivateFieldSet2["default"])(this, _BN, options === null || options === void 0 ? void 0 : options.BN);
     (0, _classPrivateFieldSet2["default"])(this, _error, options === null || options === void 0 ? void 0 : options.error);
     (0, _classPrivateFieldSet2["default"])(this, _assertion, options === null || options === void 0 ? void 0 : options.assertion);
+    (0, _classPrivateFieldSet2["default"])(this, _registry, options === null || options === void 0 ? void 0 : options.registry);
+    (0, _classPrivateFieldSet2["default"])(this, _helper, options === null || options === void 0 ? void 0 : options.helper);
   }
   (0, _createClass2["default"])(Erc20, [{
     key: "_getContractAddress",
     value: function _getContractAddress(contractName) {
-      switch (contractName) {
-        case 'v1.loan.fixed':
-          return (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.v1.address;
-        case 'v2.loan.fixed':
-          return (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.v2.address;
-        case 'v2-1.loan.fixed':
-          return (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.v2_1.address;
-        case 'v2-3.loan.fixed':
-          return (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.v2_3.address;
-        case 'v1.bundler':
-          return (0, _classPrivateFieldGet2["default"])(this, _config).bundler.v1.address;
-        case 'v2.loan.fixed.collection':
-          return (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.collection.v2.address;
-        case 'v2-3.loan.fixed.collection':
-          return (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.collection.v2_3.address;
-      }
+      return (0, _classPrivateFieldGet2["default"])(this, _registry).get(contractName).address;
     }
 
     /**
@@ -143,12 +140,14 @@ var Erc20 = /*#__PURE__*/function () {
      * @param {object} options - Hashmap of config options for this method
      * @param {string} options.token.address - The ERC20 token address
      * @param {string} options.nftfi.contract.name - The name of the contract NFTfi contract (eg. `v2-3.loan.fixed`, `v2-3.loan.fixed.collection`)
-     * @param {number} options.amount - The token amount to approve, in base units (eg. 1000000000000000000 wei)
+     * @param {string|bigint|BigNumber} options.amount - The token amount to approve, in base units (eg. '1000000000000000000' wei)
+     * @param {boolean} [options.dryRun=false] - Return the populated transaction, its gas estimate and revert reason (if any), without sending it (optional).
+     * The `transaction` is `null` when the allowance already covers the amount, as no approval would be sent.
      * @returns {boolean} Boolean value indicating whether the operation succeeded
      *
      * @example
      * const results = await nftfi.erc20.approve({
-     *   amount: 1000000000000000000,
+     *   amount: '1000000000000000000',
      *   token: { address: '0x00000000' },
      *   nftfi: { contract: { name: 'v2-3.loan.fixed' } }
      * });
@@ -173,37 +172,55 @@ var Erc20 = /*#__PURE__*/function () {
               return this.allowance(options);
             case 7:
               allowance = _context2.sent;
-              amount = options.amount.toLocaleString('fullwide', {
-                useGrouping: false
-              });
+              amount = (0, _classPrivateFieldGet2["default"])(this, _helper).toAmount(options.amount);
               if (!(allowance.lt(amount) || amount === '0')) {
-                _context2.next = 17;
+                _context2.next = 19;
                 break;
               }
               (0, _classPrivateFieldGet2["default"])(this, _assertion).hasSigner();
               _context2.next = 13;
               return contract.call({
                 "function": 'approve',
-                args: [contractAddress, amount]
+                args: [contractAddress, amount],
+                dryRun: options === null || options === void 0 ? void 0 : options.dryRun
               });
             case 13:
               result = _context2.sent;
+              if (!(options !== null && options !== void 0 && options.dryRun)) {
+                _context2.next = 16;
+                break;
+              }
+              return _context2.abrupt("return", result);
+            case 16:
               success = (result === null || result === void 0 ? void 0 : result.status) === 1;
-              _context2.next = 18;
+              _context2.next = 24;
               break;
-            case 17:
+            case 19:
+              if (!(options !== null && options !== void 0 && options.dryRun)) {
+                _context2.next = 23;
+                break;
+              }
+              return _context2.abrupt("return", {
+                dryRun: true,
+                transaction: null,
+                gas: {
+                  estimate: null
+                },
+                revert: null
+              });
+            case 23:
               success = true;
-            case 18:
+            case 24:
               return _context2.abrupt("return", success);
-            case 21:
-              _context2.prev = 21;
+            case 27:
+              _context2.prev = 27;
               _context2.t0 = _context2["catch"](0);
               return _context2.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle(_context2.t0));
-            case 24:
+            case 30:
             case "end":
               return _context2.stop();
           }
-        }, _callee2, this, [[0, 21]]);
+        }, _callee2, this, [[0, 27]]);
       }));
       function approve(_x2) {
         return _approve.apply(this, arguments);
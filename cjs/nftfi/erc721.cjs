@@ -18,6 +18,7 @@ var _contractFactory = /*#__PURE__*/new WeakMap();
 var _account = /*#__PURE__*/new WeakMap();
 var _assertion = /*#__PURE__*/new WeakMap();
 var _error = /*#__PURE__*/new WeakMap();
+var _registry = /*#__PURE__*/new WeakMap();
 /**
  * @class
  * Class for working with ERC721 non-fungible tokens.
@@ -45,35 +46,21 @@ var Erc721 = /*#__PURE__*/function () {
       writable: true,
       value: void 0
     });
+    _classPrivateFieldInitSpec(this, _registry, {
+      writable: true,
+      value: void 0
+    });
     (0, _classPrivateFieldSet2["default"])(this, _config, options === null || options === void 0 ? void 0 : options.config);
     (0, _classPrivateFieldSet2["default"])(this, _contractFactory, options === null || options === void 0 ? void 0 : options.contractFactory);
     (0, _classPrivateFieldSet2["default"])(this, _account, options === null || options === void 0 ? void 0 : options.account);
     (0, _classPrivateFieldSet2["default"])(this, _assertion, options === null || options === void 0 ? void 0 : options.assertion);
     (0, _classPrivateFieldSet2["default"])(this, _error, options === null || options === void 0 ? void 0 : options.error);
+    (0, _classPrivateFieldSet2["default"])(this, _registry, options === null || options === void 0 ? void 0 : options.registry);
   }
   (0, _createClass2["default"])(Erc721, [{
     key: "_getContractAddress",
     value: function _getContractAddress(contractName) {
-      switch (contractName) {
-        case 'v1.loan.fixed':
-          return (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.v1.address;
-        case 'v2.loan.fixed':
-          return (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.v2.address;
-        case 'v2-1.loan.fixed':
-          return (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.v2_1.address;
-        case 'v2-3.loan.fixed':
-          return (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.v2_3.address;
-        case 'v1.bundler':
-          return (0, _classPrivateFieldGet2["default"])(this, _config).bundler.v1.address;
-        case 'v1-1.bundler':
-          return (0, _classPrivateFieldGet2["default"])(this, _config).bundler.v1_1.address;
-        case 'v2.loan.fixed.collection':
-          return (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.collection.v2.address;
-        case 'v2-3.loan.fixed.collection':
-          return (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.collection.v2_3.address;
-        case 'v1.bundler.migrate':
-          return (0, _classPrivateFieldGet2["default"])(this, _config).bundler.migrate.v1.address;
-      }
+      return (0, _classPrivateFieldGet2["default"])(this, _registry).get(contractName).address;
     }
 
     /**
@@ -141,6 +128,7 @@ var Erc721 = /*#__PURE__*/function () {
      * @param {object} options - Options
      * @param {string} options.token.address - The ERC721 token address
      * @param {string} options.nftfi.contract.name - The name of the NFTfi contract (eg. `v2-3.loan.fixed`, `v2-3.loan.fixed.collection`)
+     * @param {boolean} [options.dryRun=false] - Return the populated transaction, its gas estimate and revert reason (if any), without sending it (optional)
      * @returns {boolean} Boolean value indicating whether the operation succeeded
      *
      * @example
@@ -170,27 +158,33 @@ var Erc721 = /*#__PURE__*/function () {
               _context2.next = 7;
               return contract.call({
                 "function": 'setApprovalForAll',
-                args: [contractAddress, true]
+                args: [contractAddress, true],
+                dryRun: options === null || options === void 0 ? void 0 : options.dryRun
               });
             case 7:
               result = _context2.sent;
-              success = (result === null || result === void 0 ? void 0 : result.status) === 1;
-              return _context2.abrupt("return", success);
-            case 12:
-              _context2.prev = 12;
+              if (!(options !== null && options !== void 0 && options.dryRun)) {
+                _context2.next = 10;
+                break;
+              }
+              return _context2.abrupt("return", result);
+            case 10:
+              return _context2.abrupt("return", (result === null || result === void 0 ? void 0 : result.status) === 1);
+            case 13:
+              _context2.prev = 13;
               _context2.t0 = _context2["catch"](0);
               if (!(options !== null && options !== void 0 && options.rethrow)) {
-                _context2.next = 16;
+                _context2.next = 17;
                 break;
               }
               throw _context2.t0;
-            case 16:
-              return _context2.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle(_context2.t0));
             case 17:
+              return _context2.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle(_context2.t0));
+            case 18:
             case "end":
               return _context2.stop();
           }
-        }, _callee2, this, [[0, 12]]);
+        }, _callee2, this, [[0, 13]]);
       }));
       function setApprovalForAll(_x2) {
         return _setApprovalForAll.apply(this, arguments);
@@ -7,45 +7,96 @@ Object.defineProperty(exports, "__esModule", {
 exports["default"] = void 0;
 var _classCallCheck2 = _interopRequireDefault(require("@babel/runtime/helpers/classCallCheck"));
 var _createClass2 = _interopRequireDefault(require("@babel/runtime/helpers/createClass"));
+var _errors = require("./errors.cjs");
 var Error = /*#__PURE__*/function () {
   function Error() {
     (0, _classCallCheck2["default"])(this, Error);
   }
+
+  /**
+   * Turns a failure into the response object returned by the SDK methods: `{ error }`, where `error` is one of
+   * the typed errors (see `errors.js`). Field-level errors are also exposed as `errors`, as they used to be.
+   *
+   * @param {*} e - The failure, eg. a typed error, an ethers or axios error, a map of field errors or a message
+   * @param {string} [message] - Message of a `ValidationError` to return instead (optional)
+   * @returns {object} Response object
+   */
   (0, _createClass2["default"])(Error, [{
     key: "handle",
     value: function handle(e, message) {
-      var _e$error, _e$error2, _e$response, _e$response$data, _e$response2, _e$response2$data, _e$response3, _e$response3$data, _e$response4, _e$response4$data, _e$error3, _e$error3$data, _e$error3$data$origin, _e$error4, _e$error4$data, _e$error4$data$origin, _e$error5, _e$error5$data;
-      if (message) return {
-        error: message
-      };
-      if (e !== null && e !== void 0 && e.errors) return {
-        errors: e === null || e === void 0 ? void 0 : e.errors
-      };
-      if (e !== null && e !== void 0 && (_e$error = e.error) !== null && _e$error !== void 0 && _e$error.reason) return {
-        error: e === null || e === void 0 ? void 0 : (_e$error2 = e.error) === null || _e$error2 === void 0 ? void 0 : _e$error2.reason
-      };
-      if (e !== null && e !== void 0 && (_e$response = e.response) !== null && _e$response !== void 0 && (_e$response$data = _e$response.data) !== null && _e$response$data !== void 0 && _e$response$data.message) return {
-        error: e === null || e === void 0 ? void 0 : (_e$response2 = e.response) === null || _e$response2 === void 0 ? void 0 : (_e$response2$data = _e$response2.data) === null || _e$response2$data === void 0 ? void 0 : _e$response2$data.message
-      };
-      if (e !== null && e !== void 0 && (_e$response3 = e.response) !== null && _e$response3 !== void 0 && (_e$response3$data = _e$response3.data) !== null && _e$response3$data !== void 0 && _e$response3$data.errors) return {
-        error: e === null || e === void 0 ? void 0 : (_e$response4 = e.response) === null || _e$response4 === void 0 ? void 0 : (_e$response4$data = _e$response4.data) === null || _e$response4$data === void 0 ? void 0 : _e$response4$data.errors
-      };
-      if (e !== null && e !== void 0 && (_e$error3 = e.error) !== null && _e$error3 !== void 0 && (_e$error3$data = _e$error3.data) !== null && _e$error3$data !== void 0 && (_e$error3$data$origin = _e$error3$data.originalError) !== null && _e$error3$data$origin !== void 0 && _e$error3$data$origin.message) return {
-        error: e === null || e === void 0 ? void 0 : (_e$error4 = e.error) === null || _e$error4 === void 0 ? void 0 : (_e$error4$data = _e$error4.data) === null || _e$error4$data === void 0 ? void 0 : (_e$error4$data$origin = _e$error4$data.originalError) === null || _e$error4$data$origin === void 0 ? void 0 : _e$error4$data$origin.message
-      };
-      if (e !== null && e !== void 0 && (_e$error5 = e.error) !== null && _e$error5 !== void 0 && (_e$error5$data = _e$error5.data) !== null && _e$error5$data !== void 0 && _e$error5$data.message) return {
-        error: e.error.data.message
-      };
-      if (e !== null && e !== void 0 && e.code) return {
-        error: e.code
-      };
-      if (e !== null && e !== void 0 && e.message) return {
-        error: e.message
-      };
-      return {
-        error: e
+      var _error$body;
+      var error = message ? new _errors.ValidationError(message) : this.toTyped(e);
+      var errors = (error === null || error === void 0 ? void 0 : error.errors) || (error === null || error === void 0 ? void 0 : (_error$body = error.body) === null || _error$body === void 0 ? void 0 : _error$body.errors);
+      return errors ? {
+        error: error,
+        errors: errors
+      } : {
+        error: error
       };
     }
+  }, {
+    key: "toTyped",
+    value: function toTyped(e) {
+      if (e instanceof _errors.NFTfiError) return e;
+      if (typeof e === 'string') return new _errors.ValidationError(e);
+      if (e !== null && e !== void 0 && e.errors) return new _errors.ValidationError('validation failed', {
+        errors: e.errors
+      });
+      if (e !== null && e !== void 0 && e.isAxiosError || e !== null && e !== void 0 && e.response) return this._toApiError(e);
+      if (this._isInsufficientFunds(e)) {
+        return new _errors.InsufficientFundsError('insufficient funds for gas * price + value', {
+          transaction: (e === null || e === void 0 ? void 0 : e.transaction) || (e === null || e === void 0 ? void 0 : e.tx),
+          cause: e
+        });
+      }
+      if (this._isRevert(e)) {
+        var reason = this._getRevertReason(e);
+        return new _errors.ContractRevertError(reason ? "transaction reverted: ".concat(reason) : 'transaction reverted', {
+          reason: reason,
+          transaction: (e === null || e === void 0 ? void 0 : e.transaction) || (e === null || e === void 0 ? void 0 : e.tx),
+          receipt: e === null || e === void 0 ? void 0 : e.receipt,
+          cause: e
+        });
+      }
+      return new _errors.NFTfiError((e === null || e === void 0 ? void 0 : e.message) || (e === null || e === void 0 ? void 0 : e.code) || String(e), {
+        cause: e
+      });
+    }
+  }, {
+    key: "_toApiError",
+    value: function _toApiError(e) {
+      var _e$response, _e$response2;
+      var status = (e === null || e === void 0 ? void 0 : (_e$response = e.response) === null || _e$response === void 0 ? void 0 : _e$response.status) || (e === null || e === void 0 ? void 0 : e.status) || null;
+      var body = (e === null || e === void 0 ? void 0 : (_e$response2 = e.response) === null || _e$response2 === void 0 ? void 0 : _e$response2.data) || (e === null || e === void 0 ? void 0 : e.body) || null;
+      var message = (body === null || body === void 0 ? void 0 : body.message) || (e === null || e === void 0 ? void 0 : e.message) || "request failed with status ".concat(status);
+      var ApiErrorType = status === 401 || status === 403 ? _errors.AuthError : _errors.ApiError;
+      return new ApiErrorType(message, {
+        status: status,
+        body: body,
+        cause: e
+      });
+    }
+  }, {
+    key: "_isInsufficientFunds",
+    value: function _isInsufficientFunds(e) {
+      var _e$error, _e$error2;
+      var message = (e === null || e === void 0 ? void 0 : (_e$error = e.error) === null || _e$error === void 0 ? void 0 : _e$error.message) || (e === null || e === void 0 ? void 0 : e.message) || '';
+      return [e === null || e === void 0 ? void 0 : e.code, e === null || e === void 0 ? void 0 : (_e$error2 = e.error) === null || _e$error2 === void 0 ? void 0 : _e$error2.code].includes('INSUFFICIENT_FUNDS') || /insufficient funds/i.test(message);
+    }
+  }, {
+    key: "_isRevert",
+    value: function _isRevert(e) {
+      var _e$error3;
+      var message = (e === null || e === void 0 ? void 0 : (_e$error3 = e.error) === null || _e$error3 === void 0 ? void 0 : _e$error3.message) || (e === null || e === void 0 ? void 0 : e.message) || '';
+      return ['CALL_EXCEPTION', 'UNPREDICTABLE_GAS_LIMIT'].includes(e === null || e === void 0 ? void 0 : e.code) || /revert/i.test(message);
+    }
+  }, {
+    key: "_getRevertReason",
+    value: function _getRevertReason(e) {
+      var _e$error4, _e$error5, _e$error5$data, _e$error5$data$origin, _e$error6, _e$error6$data, _e$error7, _e$error7$error;
+      var reason = (e === null || e === void 0 ? void 0 : e.reason) || (e === null || e === void 0 ? void 0 : (_e$error4 = e.error) === null || _e$error4 === void 0 ? void 0 : _e$error4.reason) || (e === null || e === void 0 ? void 0 : (_e$error5 = e.error) === null || _e$error5 === void 0 ? void 0 : (_e$error5$data = _e$error5.data) === null || _e$error5$data === void 0 ? void 0 : (_e$error5$data$origin = _e$error5$data.originalError) === null || _e$error5$data$origin === void 0 ? void 0 : _e$error5$data$origin.message) || (e === null || e === void 0 ? void 0 : (_e$error6 = e.error) === null || _e$error6 === void 0 ? void 0 : (_e$error6$data = _e$error6.data) === null || _e$error6$data === void 0 ? void 0 : _e$error6$data.message) || (e === null || e === void 0 ? void 0 : (_e$error7 = e.error) === null || _e$error7 === void 0 ? void 0 : (_e$error7$error = _e$error7.error) === null || _e$error7$error === void 0 ? void 0 : _e$error7$error.message) || null;
+      return reason ? reason.replace(/^execution reverted:\s*/, '') : null;
+    }
   }]);
   return Error;
 }();
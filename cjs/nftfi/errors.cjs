@@ -0,0 +1,173 @@
+"use strict";
+
+var _interopRequireDefault = require("@babel/runtime/helpers/interopRequireDefault");
+Object.defineProperty(exports, "__esModule", {
+  value: true
+});
+exports.ValidationError = exports.UnsupportedContractError = exports.NFTfiError = exports.InsufficientFundsError = exports.ContractRevertError = exports.AuthError = exports.ApiError = void 0;
+var _objectWithoutProperties2 = _interopRequireDefault(require("@babel/runtime/helpers/objectWithoutProperties"));
+var _classCallCheck2 = _interopRequireDefault(require("@babel/runtime/helpers/classCallCheck"));
+var _createClass2 = _interopRequireDefault(require("@babel/runtime/helpers/createClass"));
+var _assertThisInitialized2 = _interopRequireDefault(require("@babel/runtime/helpers/assertThisInitialized"));
+var _inherits2 = _interopRequireDefault(require("@babel/runtime/helpers/inherits"));
+var _possibleConstructorReturn2 = _interopRequireDefault(require("@babel/runtime/helpers/possibleConstructorReturn"));
+var _getPrototypeOf2 = _interopRequireDefault(require("@babel/runtime/helpers/getPrototypeOf"));
+var _wrapNativeSuper2 = _interopRequireDefault(require("@babel/runtime/helpers/wrapNativeSuper"));
+var _defineProperty2 = _interopRequireDefault(require("@babel/runtime/helpers/defineProperty"));
+var _excluded = ["cause"];
+function ownKeys(object, enumerableOnly) { var keys = Object.keys(object); if (Object.getOwnPropertySymbols) { var symbols = Object.getOwnPropertySymbols(object); enumerableOnly && (symbols = symbols.filter(function (sym) { return Object.getOwnPropertyDescriptor(object, sym).enumerable; })), keys.push.apply(keys, symbols); } return keys; }
+function _objectSpread(target) { for (var i = 1; i < arguments.length; i++) { var source = null != arguments[i] ? arguments[i] : {}; i % 2 ? ownKeys(Object(source), !0).forEach(function (key) { (0, _defineProperty2["default"])(target, key, source[key]); }) : Object.getOwnPropertyDescriptors ? Object.defineProperties(target, Object.getOwnPropertyDescriptors(source)) : ownKeys(Object(source)).forEach(function (key) { Object.defineProperty(target, key, Object.getOwnPropertyDescriptor(source, key)); }); } return target; }
+function _createSuper(Derived) { var hasNativeReflectConstruct = _isNativeReflectConstruct(); return function _createSuperInternal() { var Super = (0, _getPrototypeOf2["default"])(Derived), result; if (hasNativeReflectConstruct) { var NewTarget = (0, _getPrototypeOf2["default"])(this).constructor; result = Reflect.construct(Super, arguments, NewTarget); } else { result = Super.apply(this, arguments); } return (0, _possibleConstructorReturn2["default"])(this, result); }; }
+function _isNativeReflectConstruct() { if (typeof Reflect === "undefined" || !Reflect.construct) return false; if (Reflect.construct.sham) return false; if (typeof Proxy === "function") return true; try { Boolean.prototype.valueOf.call(Reflect.construct(Boolean, [], function () {})); return true; } catch (e) { return false; } }
+/**
+ * @class
+ * Base class of the errors returned and thrown by the SDK. Every error carries a stable `code` to branch on.
+ */
+var NFTfiError = /*#__PURE__*/function (_Error) {
+  (0, _inherits2["default"])(NFTfiError, _Error);
+  var _super = _createSuper(NFTfiError);
+  function NFTfiError(message) {
+    var _this;
+    var options = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : {};
+    (0, _classCallCheck2["default"])(this, NFTfiError);
+    _this = _super.call(this, message);
+    (0, _defineProperty2["default"])((0, _assertThisInitialized2["default"])(_this), "code", 'NFTFI_ERROR');
+    _this.name = _this.constructor.name;
+    if (options !== null && options !== void 0 && options.cause) _this.cause = options.cause;
+    return _this;
+  }
+
+  // Keeps the message when serialised, eg. when logged as JSON
+  (0, _createClass2["default"])(NFTfiError, [{
+    key: "toJSON",
+    value: function toJSON() {
+      // eslint-disable-next-line no-unused-vars
+      var cause = this.cause,
+        fields = (0, _objectWithoutProperties2["default"])(this, _excluded);
+      return _objectSpread({
+        name: this.name,
+        message: this.message
+      }, fields);
+    }
+  }]);
+  return NFTfiError;
+}( /*#__PURE__*/(0, _wrapNativeSuper2["default"])(Error));
+/**
+ * @class
+ * Invalid input or configuration. `errors` maps the invalid fields to their messages, when known.
+ */
+exports.NFTfiError = NFTfiError;
+var ValidationError = /*#__PURE__*/function (_NFTfiError) {
+  (0, _inherits2["default"])(ValidationError, _NFTfiError);
+  var _super2 = _createSuper(ValidationError);
+  function ValidationError(message) {
+    var _this2;
+    var options = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : {};
+    (0, _classCallCheck2["default"])(this, ValidationError);
+    _this2 = _super2.call(this, message, options);
+    (0, _defineProperty2["default"])((0, _assertThisInitialized2["default"])(_this2), "code", 'VALIDATION_ERROR');
+    _this2.errors = (options === null || options === void 0 ? void 0 : options.errors) || null;
+    return _this2;
+  }
+  return (0, _createClass2["default"])(ValidationError);
+}(NFTfiError);
+/**
+ * @class
+ * The NFTfi API responded with an error, or could not be reached (`status` is then null).
+ */
+exports.ValidationError = ValidationError;
+var ApiError = /*#__PURE__*/function (_NFTfiError2) {
+  (0, _inherits2["default"])(ApiError, _NFTfiError2);
+  var _super3 = _createSuper(ApiError);
+  function ApiError(message) {
+    var _this3;
+    var options = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : {};
+    (0, _classCallCheck2["default"])(this, ApiError);
+    _this3 = _super3.call(this, message, options);
+    (0, _defineProperty2["default"])((0, _assertThisInitialized2["default"])(_this3), "code", 'API_ERROR');
+    _this3.status = (options === null || options === void 0 ? void 0 : options.status) || null;
+    _this3.body = (options === null || options === void 0 ? void 0 : options.body) || null;
+    return _this3;
+  }
+  return (0, _createClass2["default"])(ApiError);
+}(NFTfiError);
+/**
+ * @class
+ * Authentication is required but missing, or was rejected by the NFTfi API.
+ */
+exports.ApiError = ApiError;
+var AuthError = /*#__PURE__*/function (_ApiError) {
+  (0, _inherits2["default"])(AuthError, _ApiError);
+  var _super4 = _createSuper(AuthError);
+  function AuthError() {
+    var _this4;
+    (0, _classCallCheck2["default"])(this, AuthError);
+    for (var _len = arguments.length, args = new Array(_len), _key = 0; _key < _len; _key++) {
+      args[_key] = arguments[_key];
+    }
+    _this4 = _super4.call.apply(_super4, [this].concat(args));
+    (0, _defineProperty2["default"])((0, _assertThisInitialized2["default"])(_this4), "code", 'AUTH_ERROR');
+    return _this4;
+  }
+  return (0, _createClass2["default"])(AuthError);
+}(ApiError);
+/**
+ * @class
+ * A contract call reverted, or would revert. `reason` is the decoded revert reason, when known.
+ */
+exports.AuthError = AuthError;
+var ContractRevertError = /*#__PURE__*/function (_NFTfiError3) {
+  (0, _inherits2["default"])(ContractRevertError, _NFTfiError3);
+  var _super5 = _createSuper(ContractRevertError);
+  function ContractRevertError(message) {
+    var _this5;
+    var options = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : {};
+    (0, _classCallCheck2["default"])(this, ContractRevertError);
+    _this5 = _super5.call(this, message, options);
+    (0, _defineProperty2["default"])((0, _assertThisInitialized2["default"])(_this5), "code", 'CONTRACT_REVERT');
+    _this5.reason = (options === null || options === void 0 ? void 0 : options.reason) || null;
+    _this5.transaction = (options === null || options === void 0 ? void 0 : options.transaction) || null;
+    _this5.receipt = (options === null || options === void 0 ? void 0 : options.receipt) || null;
+    return _this5;
+  }
+  return (0, _createClass2["default"])(ContractRevertError);
+}(NFTfiError);
+/**
+ * @class
+ * The contract, or the operation on it, is not supported by the SDK.
+ */
+exports.ContractRevertError = ContractRevertError;
+var UnsupportedContractError = /*#__PURE__*/function (_NFTfiError4) {
+  (0, _inherits2["default"])(UnsupportedContractError, _NFTfiError4);
+  var _super6 = _createSuper(UnsupportedContractError);
+  function UnsupportedContractError(message) {
+    var _this6;
+    var options = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : {};
+    (0, _classCallCheck2["default"])(this, UnsupportedContractError);
+    _this6 = _super6.call(this, message, options);
+    (0, _defineProperty2["default"])((0, _assertThisInitialized2["default"])(_this6), "code", 'UNSUPPORTED_CONTRACT');
+    _this6.errors = (options === null || options === void 0 ? void 0 : options.errors) || null;
+    return _this6;
+  }
+  return (0, _createClass2["default"])(UnsupportedContractError);
+}(NFTfiError);
+/**
+ * @class
+ * The account cannot pay for the value or the gas of a transaction.
+ */
+exports.UnsupportedContractError = UnsupportedContractError;
+var InsufficientFundsError = /*#__PURE__*/function (_NFTfiError5) {
+  (0, _inherits2["default"])(InsufficientFundsError, _NFTfiError5);
+  var _super7 = _createSuper(InsufficientFundsError);
+  function InsufficientFundsError(message) {
+    var _this7;
+    var options = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : {};
+    (0, _classCallCheck2["default"])(this, InsufficientFundsError);
+    _this7 = _super7.call(this, message, options);
+    (0, _defineProperty2["default"])((0, _assertThisInitialized2["default"])(_this7), "code", 'INSUFFICIENT_FUNDS');
+    _this7.transaction = (options === null || options === void 0 ? void 0 : options.transaction) || null;
+    return _this7;
+  }
+  return (0, _createClass2["default"])(InsufficientFundsError);
+}(NFTfiError);
+exports.InsufficientFundsError = InsufficientFundsError;
\ No newline at end of file
@@ -138,6 +138,41 @@ var Http = /*#__PURE__*/function () {
       }
       return post;
     }()
+  }, {
+    key: "put",
+    value: function () {
+      var _put = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee4(uri, body) {
+        var options,
+          result,
+          _args4 = arguments;
+        return _regenerator["default"].wrap(function _callee4$(_context4) {
+          while (1) switch (_context4.prev = _context4.next) {
+            case 0:
+              options = _args4.length > 2 && _args4[2] !== undefined ? _args4[2] : {};
+              _context4.prev = 1;
+              _context4.next = 4;
+              return (0, _classPrivateFieldGet2["default"])(this, _axios).put(uri, body, options);
+            case 4:
+              result = _context4.sent;
+              _context4.next = 10;
+              break;
+            case 7:
+              _context4.prev = 7;
+              _context4.t0 = _context4["catch"](1);
+              result = _context4.t0.response;
+            case 10:
+              return _context4.abrupt("return", result);
+            case 11:
+            case "end":
+              return _context4.stop();
+          }
+        }, _callee4, this, [[1, 7]]);
+      }));
+      function put(_x5, _x6) {
+        return _put.apply(this, arguments);
+      }
+      return put;
+    }()
   }]);
   return Http;
 }();
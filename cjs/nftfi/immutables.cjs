@@ -14,35 +14,43 @@ var _classCallCheck2 = _interopRequireDefault(require("@babel/runtime/helpers/cl
 var _inherits2 = _interopRequireDefault(require("@babel/runtime/helpers/inherits"));
 var _possibleConstructorReturn2 = _interopRequireDefault(require("@babel/runtime/helpers/possibleConstructorReturn"));
 var _getPrototypeOf2 = _interopRequireDefault(require("@babel/runtime/helpers/getPrototypeOf"));
-var _wrapNativeSuper2 = _interopRequireDefault(require("@babel/runtime/helpers/wrapNativeSuper"));
+var _errors = require("./errors.cjs");
 function _classPrivateFieldInitSpec(obj, privateMap, value) { _checkPrivateRedeclaration(obj, privateMap); privateMap.set(obj, value); }
 function _checkPrivateRedeclaration(obj, privateCollection) { if (privateCollection.has(obj)) { throw new TypeError("Cannot initialize the same private elements twice on an object"); } }
 function _createSuper(Derived) { var hasNativeReflectConstruct = _isNativeReflectConstruct(); return function _createSuperInternal() { var Super = (0, _getPrototypeOf2["default"])(Derived), result; if (hasNativeReflectConstruct) { var NewTarget = (0, _getPrototypeOf2["default"])(this).constructor; result = Reflect.construct(Super, arguments, NewTarget); } else { result = Super.apply(this, arguments); } return (0, _possibleConstructorReturn2["default"])(this, result); }; }
 function _isNativeReflectConstruct() { if (typeof Reflect === "undefined" || !Reflect.construct) return false; if (Reflect.construct.sham) return false; if (typeof Proxy === "function") return true; try { Boolean.prototype.valueOf.call(Reflect.construct(Boolean, [], function () {})); return true; } catch (e) { return false; } }
-var ContractNameNotSupportedError = /*#__PURE__*/function (_Error) {
-  (0, _inherits2["default"])(ContractNameNotSupportedError, _Error);
+var ContractNameNotSupportedError = /*#__PURE__*/function (_UnsupportedContractE) {
+  (0, _inherits2["default"])(ContractNameNotSupportedError, _UnsupportedContractE);
   var _super = _createSuper(ContractNameNotSupportedError);
   function ContractNameNotSupportedError(msg) {
     var _this;
     (0, _classCallCheck2["default"])(this, ContractNameNotSupportedError);
-    _this = _super.call(this, msg);
+    _this = _super.call(this, msg, {
+      errors: {
+        'nftfi.contract.name': [msg]
+      }
+    });
     _this.name = 'ContractNameNotSupportedError';
     return _this;
   }
   return (0, _createClass2["default"])(ContractNameNotSupportedError);
-}( /*#__PURE__*/(0, _wrapNativeSuper2["default"])(Error));
-var MigrationNotSupportedError = /*#__PURE__*/function (_Error2) {
-  (0, _inherits2["default"])(MigrationNotSupportedError, _Error2);
+}(_errors.UnsupportedContractError);
+var MigrationNotSupportedError = /*#__PURE__*/function (_UnsupportedContractE2) {
+  (0, _inherits2["default"])(MigrationNotSupportedError, _UnsupportedContractE2);
   var _super2 = _createSuper(MigrationNotSupportedError);
   function MigrationNotSupportedError(msg) {
     var _this2;
     (0, _classCallCheck2["default"])(this, MigrationNotSupportedError);
-    _this2 = _super2.call(this, msg);
+    _this2 = _super2.call(this, msg, {
+      errors: {
+        'nftfi.contract.name': [msg]
+      }
+    });
     _this2.name = 'MigrationNotSupportedError';
     return _this2;
   }
   return (0, _createClass2["default"])(MigrationNotSupportedError);
-}( /*#__PURE__*/(0, _wrapNativeSuper2["default"])(Error));
+}(_errors.UnsupportedContractError);
 /**
  * @class
  * Class for working with immutables.
@@ -160,6 +168,7 @@ var Immutables = /*#__PURE__*/function () {
      * @param {string} options.immutable.id - The ID of the immutable bundle to unseal.
      * @param {Object} options.nftfi.contract - An object containing information about the contract used to facilitate the bundle.
      * @param {string} options.nftfi.contract.name - Name of the contract used to facilitate the bundle: `v1.immutable.bundle` (deprecated), `v1-1.immutable.bundle`.
+     * @param {boolean} [options.dryRun=false] - If true, returns the populated transaction, its gas estimate and revert reason (if any) instead of sending it.
      *
      * @returns {Object} An object containing information about the bundle that was released from the immutable.
      *
@@ -190,13 +199,20 @@ var Immutables = /*#__PURE__*/function () {
         var immutableContract = (0, _classPrivateFieldGet2["default"])(this, _contractFactory).create(contractFactoryParams.immutable);
         return immutableContract.call({
           "function": 'withdraw',
-          args: [options.immutable.id, (0, _classPrivateFieldGet2["default"])(this, _account).getAddress()]
+          args: [options.immutable.id, (0, _classPrivateFieldGet2["default"])(this, _account).getAddress()],
+          dryRun: options === null || options === void 0 ? void 0 : options.dryRun
         }).then( /*#__PURE__*/function () {
           var _ref = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee(result) {
             var transfer;
             return _regenerator["default"].wrap(function _callee$(_context) {
               while (1) switch (_context.prev = _context.next) {
                 case 0:
+                  if (!(options !== null && options !== void 0 && options.dryRun)) {
+                    _context.next = 2;
+                    break;
+                  }
+                  return _context.abrupt("return", (0, _classPrivateFieldGet2["default"])(_this3, _result).handle(result));
+                case 2:
                   transfer = result.logs.filter(function (log) {
                     return log.name === 'Transfer' && log.args.from.toLowerCase() === contractFactoryParams.immutable.address.toLowerCase() && log.args.to.toLowerCase() === (0, _classPrivateFieldGet2["default"])(this, _account).getAddress().toLowerCase();
                   }, _this3)[0];
@@ -210,7 +226,7 @@ var Immutables = /*#__PURE__*/function () {
                       }
                     }
                   }));
-                case 2:
+                case 4:
                 case "end":
                   return _context.stop();
               }
@@ -223,17 +239,7 @@ var Immutables = /*#__PURE__*/function () {
           return (0, _classPrivateFieldGet2["default"])(_this3, _error).handle(e);
         });
       } catch (e) {
-        if (e instanceof ContractNameNotSupportedError) {
-          return (0, _classPrivateFieldGet2["default"])(this, _error).handle({
-            nftfi: {
-              contract: {
-                name: e.message
-              }
-            }
-          });
-        } else {
-          return (0, _classPrivateFieldGet2["default"])(this, _error).handle(e);
-        }
+        return (0, _classPrivateFieldGet2["default"])(this, _error).handle(e);
       }
     }
 
@@ -301,20 +307,8 @@ var Immutables = /*#__PURE__*/function () {
             case 10:
               _context2.prev = 10;
               _context2.t0 = _context2["catch"](0);
-              if (!(_context2.t0 instanceof ContractNameNotSupportedError)) {
-                _context2.next = 16;
-                break;
-              }
-              return _context2.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle({
-                nftfi: {
-                  contract: {
-                    name: _context2.t0.message
-                  }
-                }
-              }));
-            case 16:
               return _context2.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle(_context2.t0));
-            case 17:
+            case 13:
             case "end":
               return _context2.stop();
           }
@@ -331,6 +325,7 @@ var Immutables = /*#__PURE__*/function () {
      * @param {Object} options - An object containing options for the empty operation.
      * @param {string} options.immutable.id - The ID of the immutable object to be emptied.
      * @param {string} options.nftfi.contract.name - Name of the contract used for emptying the immutable object: `v1.immutable.bundle`, `v1-1.immutable.bundle`.
+     * @param {boolean} [options.dryRun=false] - If true, returns the populated transaction, its gas estimate and revert reason (if any) instead of sending it.
      *
      * @returns {Object} An object containing the success status of the empty operation.
      *
@@ -382,7 +377,8 @@ var Immutables = /*#__PURE__*/function () {
               _context3.next = 10;
               return contract.call({
                 "function": contractFactoryParams.migrate.empty["function"],
-                args: [contractFactoryParams.immutable.address, options.immutable.id, (0, _classPrivateFieldGet2["default"])(this, _account).getAddress()]
+                args: [contractFactoryParams.immutable.address, options.immutable.id, (0, _classPrivateFieldGet2["default"])(this, _account).getAddress()],
+                dryRun: options === null || options === void 0 ? void 0 : options.dryRun
               });
             case 10:
               response = _context3.sent;
@@ -392,37 +388,32 @@ var Immutables = /*#__PURE__*/function () {
               _context3.next = 15;
               return _contract.call({
                 "function": contractFactoryParams.immutable.empty["function"],
-                args: [options.immutable.id, (0, _classPrivateFieldGet2["default"])(this, _account).getAddress()]
+                args: [options.immutable.id, (0, _classPrivateFieldGet2["default"])(this, _account).getAddress()],
+                dryRun: options === null || options === void 0 ? void 0 : options.dryRun
               });
             case 15:
               response = _context3.sent;
               return _context3.abrupt("break", 17);
             case 17:
+              if (!(options !== null && options !== void 0 && options.dryRun)) {
+                _context3.next = 19;
+                break;
+              }
+              return _context3.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _result).handle(response));
+            case 19:
               result = {
                 success: ((_response = response) === null || _response === void 0 ? void 0 : _response.status) === 1 || false
               };
               return _context3.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _result).handle(result));
-            case 21:
-              _context3.prev = 21;
+            case 23:
+              _context3.prev = 23;
               _context3.t1 = _context3["catch"](0);
-              if (!(_context3.t1 instanceof ContractNameNotSupportedError)) {
-                _context3.next = 27;
-                break;
-              }
-              return _context3.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle({
-                nftfi: {
-                  contract: {
-                    name: _context3.t1.message
-                  }
-                }
-              }));
-            case 27:
               return _context3.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle(_context3.t1));
-            case 28:
+            case 26:
             case "end":
               return _context3.stop();
           }
-        }, _callee3, this, [[0, 21]]);
+        }, _callee3, this, [[0, 23]]);
       }));
       function empty(_x3) {
         return _empty.apply(this, arguments);
@@ -436,6 +427,7 @@ var Immutables = /*#__PURE__*/function () {
      * @param {string} options.immutable.id - The ID of the immutable object to be migrated.
      * @param {string} options.from.nftfi.contract.name - Name of the source immutable contract.
      * @param {string} options.to.nftfi.contract.name - Name of the destination immutable contract.
+     * @param {boolean} [options.dryRun=false] - If true, returns the populated transaction, its gas estimate and revert reason (if any) instead of sending it.
      *
      * @returns {Object} An object containing information about the migrated immutable object.
      *
@@ -482,9 +474,11 @@ var Immutables = /*#__PURE__*/function () {
               migrateContract = (0, _classPrivateFieldGet2["default"])(this, _contractFactory).create(migrateContractParams.migrate);
               return _context4.abrupt("return", migrateContract.call({
                 "function": 'migrateImmutable',
-                args: [migrateContractParams.from.address, migrateContractParams.to.address, immutableId]
+                args: [migrateContractParams.from.address, migrateContractParams.to.address, immutableId],
+                dryRun: options === null || options === void 0 ? void 0 : options.dryRun
               }).then(function (result) {
                 var _options$to3, _options$to3$nftfi, _options$to3$nftfi$co;
+                if (options !== null && options !== void 0 && options.dryRun) return (0, _classPrivateFieldGet2["default"])(_this4, _result).handle(result);
                 var log = result.logs.find(function (l) {
                   return l.name === 'ImmutableMigrated';
                 });
@@ -505,20 +499,8 @@ var Immutables = /*#__PURE__*/function () {
             case 8:
               _context4.prev = 8;
               _context4.t0 = _context4["catch"](0);
-              if (!(_context4.t0 instanceof MigrationNotSupportedError)) {
-                _context4.next = 14;
-                break;
-              }
-              return _context4.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle({
-                nftfi: {
-                  contract: {
-                    name: _context4.t0.message
-                  }
-                }
-              }));
-            case 14:
               return _context4.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle(_context4.t0));
-            case 15:
+            case 11:
             case "end":
               return _context4.stop();
           }
@@ -24,6 +24,10 @@ var NFTfi = /*#__PURE__*/(0, _createClass2["default"])(function NFTfi() {
   (0, _defineProperty2["default"])(this, "utils", void 0);
   (0, _defineProperty2["default"])(this, "events", void 0);
   (0, _defineProperty2["default"])(this, "rewards", void 0);
+  (0, _defineProperty2["default"])(this, "transactions", void 0);
+  (0, _defineProperty2["default"])(this, "terms", void 0);
+  (0, _defineProperty2["default"])(this, "api", void 0);
+  (0, _defineProperty2["default"])(this, "offersSignatures", void 0);
   this.config = options.config;
   this.account = options.account;
   this.listings = options.listings;
@@ -37,6 +41,10 @@ var NFTfi = /*#__PURE__*/(0, _createClass2["default"])(function NFTfi() {
   this.utils = options.utils;
   this.events = options.events;
   this.rewards = options.rewards;
+  this.transactions = options.transactions;
+  this.terms = options.terms;
+  this.offersSignatures = options.offersSignatures;
+  this.api = options.api;
 });
 var _default = NFTfi;
 exports["default"] = _default;
\ No newline at end of file
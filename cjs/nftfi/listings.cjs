@@ -6,21 +6,35 @@ Object.defineProperty(exports, "__esModule", {
 });
 exports["default"] = void 0;
 var _regenerator = _interopRequireDefault(require("@babel/runtime/regenerator"));
+var _defineProperty2 = _interopRequireDefault(require("@babel/runtime/helpers/defineProperty"));
 var _asyncToGenerator2 = _interopRequireDefault(require("@babel/runtime/helpers/asyncToGenerator"));
 var _classCallCheck2 = _interopRequireDefault(require("@babel/runtime/helpers/classCallCheck"));
 var _createClass2 = _interopRequireDefault(require("@babel/runtime/helpers/createClass"));
 var _classPrivateFieldGet2 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldGet"));
 var _classPrivateFieldSet2 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldSet"));
+var _errors = require("./errors.cjs");
+function ownKeys(object, enumerableOnly) { var keys = Object.keys(object); if (Object.getOwnPropertySymbols) { var symbols = Object.getOwnPropertySymbols(object); enumerableOnly && (symbols = symbols.filter(function (sym) { return Object.getOwnPropertyDescriptor(object, sym).enumerable; })), keys.push.apply(keys, symbols); } return keys; }
+function _objectSpread(target) { for (var i = 1; i < arguments.length; i++) { var source = null != arguments[i] ? arguments[i] : {}; i % 2 ? ownKeys(Object(source), !0).forEach(function (key) { (0, _defineProperty2["default"])(target, key, source[key]); }) : Object.getOwnPropertyDescriptors ? Object.defineProperties(target, Object.getOwnPropertyDescriptors(source)) : ownKeys(Object(source)).forEach(function (key) { Object.defineProperty(target, key, Object.getOwnPropertyDescriptor(source, key)); }); } return target; }
 function _classPrivateFieldInitSpec(obj, privateMap, value) { _checkPrivateRedeclaration(obj, privateMap); privateMap.set(obj, value); }
 function _checkPrivateRedeclaration(obj, privateCollection) { if (privateCollection.has(obj)) { throw new TypeError("Cannot initialize the same private elements twice on an object"); } }
-var _api = /*#__PURE__*/new WeakMap();
-var _config = /*#__PURE__*/new WeakMap();
-var _helper = /*#__PURE__*/new WeakMap();
-var _error = /*#__PURE__*/new WeakMap();
+// Offers attached to each listing with `include: ['offers']`, unless specified
+var DEFAULT_OFFERS_LIMIT = 5;
+
 /**
  * @class
  * Class for working with listings.
  */
+var _api = /*#__PURE__*/new WeakMap();
+var _config = /*#__PURE__*/new WeakMap();
+var _helper = /*#__PURE__*/new WeakMap();
+var _listingsHelper = /*#__PURE__*/new WeakMap();
+var _offers = /*#__PURE__*/new WeakMap();
+var _nft = /*#__PURE__*/new WeakMap();
+var _account = /*#__PURE__*/new WeakMap();
+var _registry = /*#__PURE__*/new WeakMap();
+var _assertion = /*#__PURE__*/new WeakMap();
+var _result = /*#__PURE__*/new WeakMap();
+var _error = /*#__PURE__*/new WeakMap();
 var Listings = /*#__PURE__*/function () {
   function Listings() {
     var options = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : {};
@@ -37,6 +51,34 @@ var Listings = /*#__PURE__*/function () {
       writable: true,
       value: void 0
     });
+    _classPrivateFieldInitSpec(this, _listingsHelper, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _offers, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _nft, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _account, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _registry, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _assertion, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _result, {
+      writable: true,
+      value: void 0
+    });
     _classPrivateFieldInitSpec(this, _error, {
       writable: true,
       value: void 0
@@ -44,6 +86,13 @@ var Listings = /*#__PURE__*/function () {
     (0, _classPrivateFieldSet2["default"])(this, _api, options === null || options === void 0 ? void 0 : options.api);
     (0, _classPrivateFieldSet2["default"])(this, _config, options === null || options === void 0 ? void 0 : options.config);
     (0, _classPrivateFieldSet2["default"])(this, _helper, options === null || options === void 0 ? void 0 : options.helper);
+    (0, _classPrivateFieldSet2["default"])(this, _listingsHelper, options === null || options === void 0 ? void 0 : options.listingsHelper);
+    (0, _classPrivateFieldSet2["default"])(this, _offers, options === null || options === void 0 ? void 0 : options.offers);
+    (0, _classPrivateFieldSet2["default"])(this, _nft, options === null || options === void 0 ? void 0 : options.nft);
+    (0, _classPrivateFieldSet2["default"])(this, _account, options === null || options === void 0 ? void 0 : options.account);
+    (0, _classPrivateFieldSet2["default"])(this, _registry, options === null || options === void 0 ? void 0 : options.registry);
+    (0, _classPrivateFieldSet2["default"])(this, _assertion, options === null || options === void 0 ? void 0 : options.assertion);
+    (0, _classPrivateFieldSet2["default"])(this, _result, options === null || options === void 0 ? void 0 : options.result);
     (0, _classPrivateFieldSet2["default"])(this, _error, options === null || options === void 0 ? void 0 : options.error);
   }
 
@@ -52,8 +101,18 @@ var Listings = /*#__PURE__*/function () {
    *
    * @param {object} [options] - Hashmap of config options for this method
    * @param {Array<string>} [options.filters.nftAddresses] - NFT contract addresses (optional)
+   * @param {string} [options.filters.borrower.address.eq] - Borrower wallet address to filter by (optional)
+   * @param {string} [options.filters.nftfi.contract.name] - Contract name to filter by (optional)
+   * @param {string} [options.filters.desired.currency.address.eq] - Desired loan currency to filter by (optional)
+   * @param {string|bigint|BigNumber} [options.filters.desired.principal.gte] - Min desired principal to filter by, in base units (optional)
+   * @param {string|bigint|BigNumber} [options.filters.desired.principal.lte] - Max desired principal to filter by, in base units (optional)
+   * @param {number} [options.filters.desired.duration.eq] - Desired loan duration to filter by (optional)
    * @param {number} [options.pagination.page] - Pagination page (optional)
    * @param {number} [options.pagination.limit] - Pagination limit (optional)
+   * @param {'date.listed' | 'desired.principal'} [options.pagination.sort] - Field to sort by (optional)
+   * @param {'asc' | 'desc'} [options.pagination.direction] - Direction to sort by (optional)
+   * @param {Array<string>} [options.include] - Related data to attach to each listing: `offers`, the current offers on the listed NFT (optional)
+   * @param {object} [options.offers] - Options of `offers.get`, used to get the offers of each listing. By default, the first 5 offers. (optional)
    * @returns {Array<object>} Array of listings hashmaps
    *
    * @example
@@ -71,43 +130,52 @@ var Listings = /*#__PURE__*/function () {
    *     limit: 20
    *   }
    * });
+   *
+   * @example
+   * // get the most recent listings asking for USDC, with the best 3 offers on each
+   * const listings = await nftfi.listings.get({
+   *   filters: {
+   *     desired: { currency: { address: { eq: nftfi.config.erc20.usdc.address } } }
+   *   },
+   *   pagination: {
+   *     sort: 'date.listed',
+   *     direction: 'desc'
+   *   },
+   *   include: ['offers'],
+   *   offers: {
+   *     pagination: { limit: 3 }
+   *   }
+   * });
    */
   (0, _createClass2["default"])(Listings, [{
     key: "get",
     value: function () {
       var _get = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee() {
         var options,
-          _options$pagination,
-          _options$pagination2,
-          _options$filters,
-          limit,
-          page,
-          nftAddresses,
-          response,
-          listings,
+          _options$include,
+          _yield$this$_getPage,
+          results,
           _args = arguments;
         return _regenerator["default"].wrap(function _callee$(_context) {
           while (1) switch (_context.prev = _context.next) {
             case 0:
               options = _args.length > 0 && _args[0] !== undefined ? _args[0] : {};
               _context.prev = 1;
-              limit = (options === null || options === void 0 ? void 0 : (_options$pagination = options.pagination) === null || _options$pagination === void 0 ? void 0 : _options$pagination.limit) || (0, _classPrivateFieldGet2["default"])(this, _config).pagination.limit;
-              page = (options === null || options === void 0 ? void 0 : (_options$pagination2 = options.pagination) === null || _options$pagination2 === void 0 ? void 0 : _options$pagination2.page) || (0, _classPrivateFieldGet2["default"])(this, _config).pagination.page;
-              nftAddresses = (options === null || options === void 0 ? void 0 : (_options$filters = options.filters) === null || _options$filters === void 0 ? void 0 : _options$filters.nftAddresses) || [];
-              _context.next = 7;
-              return (0, _classPrivateFieldGet2["default"])(this, _api).get({
-                uri: 'v0.1/listings',
-                params: {
-                  nftAddresses: nftAddresses.join(),
-                  page: page,
-                  limit: limit
-                }
-              });
-            case 7:
-              response = _context.sent;
-              listings = response['results'];
-              listings = listings.map((0, _classPrivateFieldGet2["default"])(this, _helper).addCurrencyUnit);
-              return _context.abrupt("return", listings);
+              _context.next = 4;
+              return this._getPage(options);
+            case 4:
+              _yield$this$_getPage = _context.sent;
+              results = _yield$this$_getPage.results;
+              if (!(options !== null && options !== void 0 && (_options$include = options.include) !== null && _options$include !== void 0 && _options$include.includes('offers'))) {
+                _context.next = 10;
+                break;
+              }
+              _context.next = 9;
+              return this._addOffers(results, options === null || options === void 0 ? void 0 : options.offers);
+            case 9:
+              return _context.abrupt("return", _context.sent);
+            case 10:
+              return _context.abrupt("return", results);
             case 13:
               _context.prev = 13;
               _context.t0 = _context["catch"](1);
@@ -123,6 +191,463 @@ var Listings = /*#__PURE__*/function () {
       }
       return get;
     }()
+    /**
+     * Iterates over all current listings, fetching their pages as they are needed.
+     *
+     * @param {object} [options] - Hashmap of config options for this method, as in `listings.get`
+     * @param {number} [options.pagination.page] - Page to start from (optional)
+     * @param {number} [options.pagination.limit] - Page size (optional)
+     * @param {number} [options.concurrency=1] - How many pages are fetched at the same time (optional)
+     * @returns {AsyncGenerator<object>} Async iterator of listings
+     *
+     * @example
+     * // Iterate over the listings of a collection, 100 at a time
+     * for await (const listing of nftfi.listings.iterate({
+     *   filters: { nftAddresses: ['0x11111111'] },
+     *   pagination: { limit: 100 }
+     * })) {
+     *   console.log(listing);
+     * }
+     */
+  }, {
+    key: "iterate",
+    value: function iterate() {
+      var _this = this;
+      var options = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : {};
+      return (0, _classPrivateFieldGet2["default"])(this, _helper).paginate(function (page, limit) {
+        return _this._getPage(_objectSpread(_objectSpread({}, options), {}, {
+          pagination: _objectSpread(_objectSpread({}, options === null || options === void 0 ? void 0 : options.pagination), {}, {
+            page: page,
+            limit: limit
+          })
+        }));
+      }, options);
+    }
+
+    /**
+     * Lists a NFT owned by your account, so that lenders can make offers on it.
+     *
+     * @param {object} options - Hashmap of config options for this method
+     * @param {string} options.nft.address - NFT contract address
+     * @param {string} options.nft.id - NFT id of the asset
+     * @param {string} [options.desiredTerms.currency] - Desired term currency (optional)
+     * @param {string|bigint|BigNumber} [options.desiredTerms.principal] - Desired term principal, in base units (optional)
+     * @param {string|bigint|BigNumber} [options.desiredTerms.repayment] - Desired term repayment, in base units (optional)
+     * @param {number} [options.desiredTerms.duration] - Desired term duration (optional)
+     * @param {string} [options.desiredTerms.contract.name] - Name of the contract to borrow with: `v2-3.loan.fixed` (optional)
+     * @param {boolean} [options.approve=false] - Also approve the NFT to the loan contract of the desired terms (optional)
+     * @returns {object} Response object, with the listing
+     *
+     * @example
+     * // List a NFT, asking for 1 WETH over 30 days, and approve it to the loan contract
+     * const listing = await nftfi.listings.create({
+     *   nft: {
+     *     address: '0x00000000',
+     *     id: '42'
+     *   },
+     *   desiredTerms: {
+     *     currency: nftfi.config.erc20.weth.address,
+     *     principal: '1000000000000000000',
+     *     duration: 86400 * 30, // 30 days (in seconds)
+     *     contract: {
+     *       name: 'v2-3.loan.fixed'
+     *     }
+     *   },
+     *   approve: true
+     * });
+     */
+  }, {
+    key: "create",
+    value: function () {
+      var _create = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee2(options) {
+        var payload, response;
+        return _regenerator["default"].wrap(function _callee2$(_context2) {
+          while (1) switch (_context2.prev = _context2.next) {
+            case 0:
+              _context2.prev = 0;
+              (0, _classPrivateFieldGet2["default"])(this, _assertion).hasSigner();
+              // Invalid desired terms are rejected before the NFT is approved
+              payload = this._getPayload(options.nft, options === null || options === void 0 ? void 0 : options.desiredTerms);
+              _context2.next = 5;
+              return this._prepare(options.nft, options);
+            case 5:
+              _context2.next = 7;
+              return (0, _classPrivateFieldGet2["default"])(this, _api).post({
+                uri: 'v0.1/listings',
+                auth: {
+                  token: 'required'
+                },
+                payload: payload
+              });
+            case 7:
+              response = _context2.sent;
+              return _context2.abrupt("return", this._handleResponse(response));
+            case 11:
+              _context2.prev = 11;
+              _context2.t0 = _context2["catch"](0);
+              return _context2.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle(_context2.t0));
+            case 14:
+            case "end":
+              return _context2.stop();
+          }
+        }, _callee2, this, [[0, 11]]);
+      }));
+      function create(_x) {
+        return _create.apply(this, arguments);
+      }
+      return create;
+    }()
+    /**
+     * Updates the desired terms of a listing of your account.
+     *
+     * @param {object} options - Hashmap of config options for this method
+     * @param {object} options.listing - The listing, as returned by `listings.get`, with its `id` and `nft`
+     * @param {object} [options.desiredTerms] - Desired terms, as in `listings.create` (optional)
+     * @param {boolean} [options.approve=false] - Also approve the NFT to the loan contract of the desired terms (optional)
+     * @returns {object} Response object, with the listing
+     *
+     * @example
+     * // Ask for a longer loan
+     * const listing = await nftfi.listings.update({
+     *   listing,
+     *   desiredTerms: {
+     *     ...listing.desiredTerms,
+     *     duration: 86400 * 60 // 60 days (in seconds)
+     *   }
+     * });
+     */
+  }, {
+    key: "update",
+    value: function () {
+      var _update = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee3(options) {
+        var listing, payload, response;
+        return _regenerator["default"].wrap(function _callee3$(_context3) {
+          while (1) switch (_context3.prev = _context3.next) {
+            case 0:
+              _context3.prev = 0;
+              (0, _classPrivateFieldGet2["default"])(this, _assertion).hasSigner();
+              listing = options.listing;
+              payload = this._getPayload(listing.nft, options === null || options === void 0 ? void 0 : options.desiredTerms);
+              _context3.next = 6;
+              return this._prepare(listing.nft, options);
+            case 6:
+              _context3.next = 8;
+              return (0, _classPrivateFieldGet2["default"])(this, _api).put({
+                uri: "v0.1/listings/".concat(listing.id),
+                auth: {
+                  token: 'required'
+                },
+                payload: payload
+              });
+            case 8:
+              response = _context3.sent;
+              return _context3.abrupt("return", this._handleResponse(response));
+            case 12:
+              _context3.prev = 12;
+              _context3.t0 = _context3["catch"](0);
+              return _context3.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle(_context3.t0));
+            case 15:
+            case "end":
+              return _context3.stop();
+          }
+        }, _callee3, this, [[0, 12]]);
+      }));
+      function update(_x2) {
+        return _update.apply(this, arguments);
+      }
+      return update;
+    }()
+    /**
+     * Deletes a listing of your account, so that the NFT is no longer listed.
+     *
+     * @param {object} options - Hashmap of config options for this method
+     * @param {object} options.listing - The listing, as returned by `listings.get`, with its `id` and `nft`
+     * @returns {object} Response object
+     *
+     * @example
+     * // Delist a NFT
+     * const deleted = await nftfi.listings.delete({ listing });
+     */
+  }, {
+    key: "delete",
+    value: function () {
+      var _delete2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee4(options) {
+        var listing, response;
+        return _regenerator["default"].wrap(function _callee4$(_context4) {
+          while (1) switch (_context4.prev = _context4.next) {
+            case 0:
+              _context4.prev = 0;
+              (0, _classPrivateFieldGet2["default"])(this, _assertion).hasSigner();
+              listing = options.listing;
+              _context4.next = 5;
+              return this._assertOwner(listing.nft);
+            case 5:
+              _context4.next = 7;
+              return (0, _classPrivateFieldGet2["default"])(this, _api)["delete"]({
+                uri: "v0.1/listings/".concat(listing.id),
+                auth: {
+                  token: 'required'
+                }
+              });
+            case 7:
+              response = _context4.sent;
+              return _context4.abrupt("return", this._handleResponse(response));
+            case 11:
+              _context4.prev = 11;
+              _context4.t0 = _context4["catch"](0);
+              return _context4.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle(_context4.t0));
+            case 14:
+            case "end":
+              return _context4.stop();
+          }
+        }, _callee4, this, [[0, 11]]);
+      }));
+      function _delete(_x3) {
+        return _delete2.apply(this, arguments);
+      }
+      return _delete;
+    }() // Only the owner of a NFT can list it, who can also approve it to the loan contract in the same call
+  }, {
+    key: "_prepare",
+    value: function () {
+      var _prepare2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee5(nft, options) {
+        var _options$desiredTerms, _options$desiredTerms2;
+        var contractName, approval;
+        return _regenerator["default"].wrap(function _callee5$(_context5) {
+          while (1) switch (_context5.prev = _context5.next) {
+            case 0:
+              _context5.next = 2;
+              return this._assertOwner(nft);
+            case 2:
+              if (options !== null && options !== void 0 && options.approve) {
+                _context5.next = 4;
+                break;
+              }
+              return _context5.abrupt("return");
+            case 4:
+              contractName = options === null || options === void 0 ? void 0 : (_options$desiredTerms = options.desiredTerms) === null || _options$desiredTerms === void 0 ? void 0 : (_options$desiredTerms2 = _options$desiredTerms.contract) === null || _options$desiredTerms2 === void 0 ? void 0 : _options$desiredTerms2.name;
+              if (contractName) {
+                _context5.next = 7;
+                break;
+              }
+              throw new _errors.ValidationError('Please provide a value for desiredTerms.contract.name to approve the nft to.');
+            case 7:
+              _context5.next = 9;
+              return (0, _classPrivateFieldGet2["default"])(this, _nft).approve({
+                token: {
+                  address: nft.address,
+                  id: nft.id
+                },
+                nftfi: {
+                  contract: {
+                    name: contractName
+                  }
+                }
+              });
+            case 9:
+              approval = _context5.sent;
+              if (!(approval !== null && approval !== void 0 && approval.error)) {
+                _context5.next = 12;
+                break;
+              }
+              throw approval.error;
+            case 12:
+            case "end":
+              return _context5.stop();
+          }
+        }, _callee5, this);
+      }));
+      function _prepare(_x4, _x5) {
+        return _prepare2.apply(this, arguments);
+      }
+      return _prepare;
+    }()
+  }, {
+    key: "_assertOwner",
+    value: function () {
+      var _assertOwner2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee6(nft) {
+        var _owner$data;
+        var owner;
+        return _regenerator["default"].wrap(function _callee6$(_context6) {
+          while (1) switch (_context6.prev = _context6.next) {
+            case 0:
+              _context6.next = 2;
+              return (0, _classPrivateFieldGet2["default"])(this, _nft).isOwner({
+                token: {
+                  address: nft.address,
+                  id: nft.id
+                }
+              });
+            case 2:
+              owner = _context6.sent;
+              if (!(owner !== null && owner !== void 0 && owner.error)) {
+                _context6.next = 5;
+                break;
+              }
+              throw owner.error;
+            case 5:
+              if (!((owner === null || owner === void 0 ? void 0 : (_owner$data = owner.data) === null || _owner$data === void 0 ? void 0 : _owner$data.result) !== true)) {
+                _context6.next = 7;
+                break;
+              }
+              throw new _errors.ValidationError("nft ".concat(nft.address, " ").concat(nft.id, " is not owned by your account"));
+            case 7:
+            case "end":
+              return _context6.stop();
+          }
+        }, _callee6, this);
+      }));
+      function _assertOwner(_x6) {
+        return _assertOwner2.apply(this, arguments);
+      }
+      return _assertOwner;
+    }()
+  }, {
+    key: "_getPayload",
+    value: function _getPayload(nft, desiredTerms) {
+      var _desiredTerms$contrac;
+      var contractName = desiredTerms === null || desiredTerms === void 0 ? void 0 : (_desiredTerms$contrac = desiredTerms.contract) === null || _desiredTerms$contrac === void 0 ? void 0 : _desiredTerms$contrac.name;
+      var contract = contractName ? (0, _classPrivateFieldGet2["default"])(this, _registry).get(contractName, 'begin') : null;
+      return {
+        data: {
+          desiredTerms: desiredTerms && {
+            currency: desiredTerms.currency,
+            principal: desiredTerms.principal === undefined ? undefined : (0, _classPrivateFieldGet2["default"])(this, _helper).toAmount(desiredTerms.principal, 'desiredTerms.principal'),
+            repayment: desiredTerms.repayment === undefined ? undefined : (0, _classPrivateFieldGet2["default"])(this, _helper).toAmount(desiredTerms.repayment, 'desiredTerms.repayment'),
+            duration: desiredTerms.duration,
+            contract: contract && {
+              name: contract.name,
+              address: contract.address,
+              fee: {
+                bps: (0, _classPrivateFieldGet2["default"])(this, _config).loan.adminFeeInBasisPoints
+              }
+            }
+          },
+          nft: {
+            id: nft.id,
+            address: nft.address
+          },
+          borrower: {
+            address: (0, _classPrivateFieldGet2["default"])(this, _account).getAddress()
+          },
+          chain: {
+            id: (0, _classPrivateFieldGet2["default"])(this, _config).chainId
+          }
+        },
+        schema: {
+          version: '0.1'
+        }
+      };
+    }
+  }, {
+    key: "_handleResponse",
+    value: function _handleResponse(response) {
+      if (response !== null && response !== void 0 && response.errors) {
+        return (0, _classPrivateFieldGet2["default"])(this, _error).handle({
+          errors: response === null || response === void 0 ? void 0 : response.errors
+        });
+      }
+      return (0, _classPrivateFieldGet2["default"])(this, _result).handle(response === null || response === void 0 ? void 0 : response.result);
+    }
+  }, {
+    key: "_getPage",
+    value: function () {
+      var _getPage2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee7() {
+        var _response$pagination$, _response$pagination;
+        var options,
+          response,
+          listings,
+          _args7 = arguments;
+        return _regenerator["default"].wrap(function _callee7$(_context7) {
+          while (1) switch (_context7.prev = _context7.next) {
+            case 0:
+              options = _args7.length > 0 && _args7[0] !== undefined ? _args7[0] : {};
+              _context7.next = 3;
+              return (0, _classPrivateFieldGet2["default"])(this, _api).get({
+                uri: 'v0.1/listings',
+                params: (0, _classPrivateFieldGet2["default"])(this, _listingsHelper).getParams(options)
+              });
+            case 3:
+              response = _context7.sent;
+              listings = response['results'];
+              listings = listings.map((0, _classPrivateFieldGet2["default"])(this, _helper).addCurrencyUnit);
+              return _context7.abrupt("return", {
+                results: listings,
+                total: (_response$pagination$ = response === null || response === void 0 ? void 0 : (_response$pagination = response.pagination) === null || _response$pagination === void 0 ? void 0 : _response$pagination.total) !== null && _response$pagination$ !== void 0 ? _response$pagination$ : null
+              });
+            case 7:
+            case "end":
+              return _context7.stop();
+          }
+        }, _callee7, this);
+      }));
+      function _getPage() {
+        return _getPage2.apply(this, arguments);
+      }
+      return _getPage;
+    }()
+  }, {
+    key: "_addOffers",
+    value: function () {
+      var _addOffers2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee9(listings) {
+        var _this2 = this;
+        var options,
+          _args9 = arguments;
+        return _regenerator["default"].wrap(function _callee9$(_context9) {
+          while (1) switch (_context9.prev = _context9.next) {
+            case 0:
+              options = _args9.length > 1 && _args9[1] !== undefined ? _args9[1] : {};
+              return _context9.abrupt("return", Promise.all(listings.map( /*#__PURE__*/function () {
+                var _ref = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee8(listing) {
+                  var response;
+                  return _regenerator["default"].wrap(function _callee8$(_context8) {
+                    while (1) switch (_context8.prev = _context8.next) {
+                      case 0:
+                        _context8.next = 2;
+                        return (0, _classPrivateFieldGet2["default"])(_this2, _offers).get(_objectSpread(_objectSpread({}, options), {}, {
+                          filters: _objectSpread(_objectSpread({}, options === null || options === void 0 ? void 0 : options.filters), {}, {
+                            nft: {
+                              address: listing.nft.address,
+                              id: listing.nft.id
+                            }
+                          }),
+                          pagination: _objectSpread({
+                            page: 1,
+                            limit: DEFAULT_OFFERS_LIMIT
+                          }, options === null || options === void 0 ? void 0 : options.pagination)
+                        }));
+                      case 2:
+                        response = _context8.sent;
+                        if (!(response !== null && response !== void 0 && response.error)) {
+                          _context8.next = 5;
+                          break;
+                        }
+                        throw response.error;
+                      case 5:
+                        return _context8.abrupt("return", _objectSpread(_objectSpread({}, listing), {}, {
+                          offers: response.data.results
+                        }));
+                      case 6:
+                      case "end":
+                        return _context8.stop();
+                    }
+                  }, _callee8);
+                }));
+                return function (_x8) {
+                  return _ref.apply(this, arguments);
+                };
+              }())));
+            case 2:
+            case "end":
+              return _context9.stop();
+          }
+        }, _callee9);
+      }));
+      function _addOffers(_x7) {
+        return _addOffers2.apply(this, arguments);
+      }
+      return _addOffers;
+    }()
   }]);
   return Listings;
 }();
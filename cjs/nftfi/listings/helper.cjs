@@ -0,0 +1,134 @@
+"use strict";
+
+var _interopRequireDefault = require("@babel/runtime/helpers/interopRequireDefault");
+Object.defineProperty(exports, "__esModule", {
+  value: true
+});
+exports["default"] = void 0;
+var _defineProperty2 = _interopRequireDefault(require("@babel/runtime/helpers/defineProperty"));
+var _classCallCheck2 = _interopRequireDefault(require("@babel/runtime/helpers/classCallCheck"));
+var _createClass2 = _interopRequireDefault(require("@babel/runtime/helpers/createClass"));
+var _classPrivateFieldGet2 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldGet"));
+var _classPrivateFieldSet2 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldSet"));
+function ownKeys(object, enumerableOnly) { var keys = Object.keys(object); if (Object.getOwnPropertySymbols) { var symbols = Object.getOwnPropertySymbols(object); enumerableOnly && (symbols = symbols.filter(function (sym) { return Object.getOwnPropertyDescriptor(object, sym).enumerable; })), keys.push.apply(keys, symbols); } return keys; }
+function _objectSpread(target) { for (var i = 1; i < arguments.length; i++) { var source = null != arguments[i] ? arguments[i] : {}; i % 2 ? ownKeys(Object(source), !0).forEach(function (key) { (0, _defineProperty2["default"])(target, key, source[key]); }) : Object.getOwnPropertyDescriptors ? Object.defineProperties(target, Object.getOwnPropertyDescriptors(source)) : ownKeys(Object(source)).forEach(function (key) { Object.defineProperty(target, key, Object.getOwnPropertyDescriptor(source, key)); }); } return target; }
+function _classPrivateFieldInitSpec(obj, privateMap, value) { _checkPrivateRedeclaration(obj, privateMap); privateMap.set(obj, value); }
+function _checkPrivateRedeclaration(obj, privateCollection) { if (privateCollection.has(obj)) { throw new TypeError("Cannot initialize the same private elements twice on an object"); } }
+var _config = /*#__PURE__*/new WeakMap();
+var _helper = /*#__PURE__*/new WeakMap();
+var ListingsHelper = /*#__PURE__*/function () {
+  function ListingsHelper() {
+    var options = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : {};
+    (0, _classCallCheck2["default"])(this, ListingsHelper);
+    _classPrivateFieldInitSpec(this, _config, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _helper, {
+      writable: true,
+      value: void 0
+    });
+    (0, _classPrivateFieldSet2["default"])(this, _config, options === null || options === void 0 ? void 0 : options.config);
+    (0, _classPrivateFieldSet2["default"])(this, _helper, options === null || options === void 0 ? void 0 : options.helper);
+  }
+  (0, _createClass2["default"])(ListingsHelper, [{
+    key: "_addNftAddresses",
+    value: function _addNftAddresses(options, params) {
+      var _options$filters;
+      var nftAddresses = (options === null || options === void 0 ? void 0 : (_options$filters = options.filters) === null || _options$filters === void 0 ? void 0 : _options$filters.nftAddresses) || [];
+      return _objectSpread(_objectSpread({}, params), {}, {
+        nftAddresses: nftAddresses.join()
+      });
+    }
+  }, {
+    key: "_addBorrower",
+    value: function _addBorrower(options, params) {
+      var _options$filters2, _options$filters2$bor, _options$filters2$bor2;
+      if (options !== null && options !== void 0 && (_options$filters2 = options.filters) !== null && _options$filters2 !== void 0 && (_options$filters2$bor = _options$filters2.borrower) !== null && _options$filters2$bor !== void 0 && (_options$filters2$bor2 = _options$filters2$bor.address) !== null && _options$filters2$bor2 !== void 0 && _options$filters2$bor2.eq) {
+        return _objectSpread(_objectSpread({}, params), {}, {
+          borrowerAddress: options.filters.borrower.address.eq
+        });
+      }
+      return params;
+    }
+  }, {
+    key: "_addContract",
+    value: function _addContract(options, params) {
+      var _options$filters3, _options$filters3$nft, _options$filters3$nft2;
+      if (options !== null && options !== void 0 && (_options$filters3 = options.filters) !== null && _options$filters3 !== void 0 && (_options$filters3$nft = _options$filters3.nftfi) !== null && _options$filters3$nft !== void 0 && (_options$filters3$nft2 = _options$filters3$nft.contract) !== null && _options$filters3$nft2 !== void 0 && _options$filters3$nft2.name) {
+        var _options$filters4, _options$filters4$nft, _options$filters4$nft2;
+        return _objectSpread(_objectSpread({}, params), {}, {
+          contractName: options === null || options === void 0 ? void 0 : (_options$filters4 = options.filters) === null || _options$filters4 === void 0 ? void 0 : (_options$filters4$nft = _options$filters4.nftfi) === null || _options$filters4$nft === void 0 ? void 0 : (_options$filters4$nft2 = _options$filters4$nft.contract) === null || _options$filters4$nft2 === void 0 ? void 0 : _options$filters4$nft2.name
+        });
+      }
+      return params;
+    }
+
+    // desired terms are the loan terms the borrower asks for when listing
+  }, {
+    key: "_addFilters",
+    value: function _addFilters(options, params) {
+      var _options$filters5, _options$filters5$des, _options$filters5$des2, _options$filters5$des3, _options$filters7, _options$filters7$des, _options$filters7$des2, _options$filters8, _options$filters8$des, _options$filters8$des2, _options$filters9, _options$filters9$des, _options$filters9$des2;
+      if (options !== null && options !== void 0 && (_options$filters5 = options.filters) !== null && _options$filters5 !== void 0 && (_options$filters5$des = _options$filters5.desired) !== null && _options$filters5$des !== void 0 && (_options$filters5$des2 = _options$filters5$des.currency) !== null && _options$filters5$des2 !== void 0 && (_options$filters5$des3 = _options$filters5$des2.address) !== null && _options$filters5$des3 !== void 0 && _options$filters5$des3.eq) {
+        var _options$filters6, _options$filters6$des, _options$filters6$des2, _options$filters6$des3;
+        params = _objectSpread(_objectSpread({}, params), {}, {
+          desiredCurrencyAddress: options === null || options === void 0 ? void 0 : (_options$filters6 = options.filters) === null || _options$filters6 === void 0 ? void 0 : (_options$filters6$des = _options$filters6.desired) === null || _options$filters6$des === void 0 ? void 0 : (_options$filters6$des2 = _options$filters6$des.currency) === null || _options$filters6$des2 === void 0 ? void 0 : (_options$filters6$des3 = _options$filters6$des2.address) === null || _options$filters6$des3 === void 0 ? void 0 : _options$filters6$des3.eq
+        });
+      }
+      if (options !== null && options !== void 0 && (_options$filters7 = options.filters) !== null && _options$filters7 !== void 0 && (_options$filters7$des = _options$filters7.desired) !== null && _options$filters7$des !== void 0 && (_options$filters7$des2 = _options$filters7$des.principal) !== null && _options$filters7$des2 !== void 0 && _options$filters7$des2.gte) {
+        var gte = (0, _classPrivateFieldGet2["default"])(this, _helper).toAmount(options.filters.desired.principal.gte, 'filters.desired.principal.gte');
+        params = _objectSpread(_objectSpread({}, params), {}, {
+          desiredPrincipalGte: gte
+        });
+      }
+      if (options !== null && options !== void 0 && (_options$filters8 = options.filters) !== null && _options$filters8 !== void 0 && (_options$filters8$des = _options$filters8.desired) !== null && _options$filters8$des !== void 0 && (_options$filters8$des2 = _options$filters8$des.principal) !== null && _options$filters8$des2 !== void 0 && _options$filters8$des2.lte) {
+        var lte = (0, _classPrivateFieldGet2["default"])(this, _helper).toAmount(options.filters.desired.principal.lte, 'filters.desired.principal.lte');
+        params = _objectSpread(_objectSpread({}, params), {}, {
+          desiredPrincipalLte: lte
+        });
+      }
+      if (options !== null && options !== void 0 && (_options$filters9 = options.filters) !== null && _options$filters9 !== void 0 && (_options$filters9$des = _options$filters9.desired) !== null && _options$filters9$des !== void 0 && (_options$filters9$des2 = _options$filters9$des.duration) !== null && _options$filters9$des2 !== void 0 && _options$filters9$des2.eq) {
+        var _options$filters10, _options$filters10$de, _options$filters10$de2;
+        params = _objectSpread(_objectSpread({}, params), {}, {
+          desiredDuration: options === null || options === void 0 ? void 0 : (_options$filters10 = options.filters) === null || _options$filters10 === void 0 ? void 0 : (_options$filters10$de = _options$filters10.desired) === null || _options$filters10$de === void 0 ? void 0 : (_options$filters10$de2 = _options$filters10$de.duration) === null || _options$filters10$de2 === void 0 ? void 0 : _options$filters10$de2.eq
+        });
+      }
+      return params;
+    }
+  }, {
+    key: "_addPagination",
+    value: function _addPagination(options, params) {
+      var _options$pagination, _options$pagination2, _options$pagination3, _options$pagination4;
+      var limit = (options === null || options === void 0 ? void 0 : (_options$pagination = options.pagination) === null || _options$pagination === void 0 ? void 0 : _options$pagination.limit) || (0, _classPrivateFieldGet2["default"])(this, _config).pagination.limit;
+      var page = (options === null || options === void 0 ? void 0 : (_options$pagination2 = options.pagination) === null || _options$pagination2 === void 0 ? void 0 : _options$pagination2.page) || (0, _classPrivateFieldGet2["default"])(this, _config).pagination.page;
+      var sort = (options === null || options === void 0 ? void 0 : (_options$pagination3 = options.pagination) === null || _options$pagination3 === void 0 ? void 0 : _options$pagination3.sort) || null;
+      var direction = (options === null || options === void 0 ? void 0 : (_options$pagination4 = options.pagination) === null || _options$pagination4 === void 0 ? void 0 : _options$pagination4.direction) || null;
+      if (sort && direction) {
+        return _objectSpread(_objectSpread({}, params), {}, {
+          page: page,
+          limit: limit,
+          sort: sort,
+          direction: direction
+        });
+      }
+      return _objectSpread(_objectSpread({}, params), {}, {
+        page: page,
+        limit: limit
+      });
+    }
+  }, {
+    key: "getParams",
+    value: function getParams(options) {
+      var params = {};
+      params = this._addNftAddresses(options, params);
+      params = this._addBorrower(options, params);
+      params = this._addContract(options, params);
+      params = this._addFilters(options, params);
+      params = this._addPagination(options, params);
+      return params;
+    }
+  }]);
+  return ListingsHelper;
+}();
+var _default = ListingsHelper;
+exports["default"] = _default;
\ No newline at end of file
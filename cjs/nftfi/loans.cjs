@@ -6,11 +6,15 @@ Object.defineProperty(exports, "__esModule", {
 });
 exports["default"] = void 0;
 var _regenerator = _interopRequireDefault(require("@babel/runtime/regenerator"));
+var _slicedToArray2 = _interopRequireDefault(require("@babel/runtime/helpers/slicedToArray"));
+var _defineProperty2 = _interopRequireDefault(require("@babel/runtime/helpers/defineProperty"));
 var _asyncToGenerator2 = _interopRequireDefault(require("@babel/runtime/helpers/asyncToGenerator"));
 var _classCallCheck2 = _interopRequireDefault(require("@babel/runtime/helpers/classCallCheck"));
 var _createClass2 = _interopRequireDefault(require("@babel/runtime/helpers/createClass"));
-var _classPrivateFieldGet2 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldGet"));
+var _classPrivateFieldGet3 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldGet"));
 var _classPrivateFieldSet2 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldSet"));
+function ownKeys(object, enumerableOnly) { var keys = Object.keys(object); if (Object.getOwnPropertySymbols) { var symbols = Object.getOwnPropertySymbols(object); enumerableOnly && (symbols = symbols.filter(function (sym) { return Object.getOwnPropertyDescriptor(object, sym).enumerable; })), keys.push.apply(keys, symbols); } return keys; }
+function _objectSpread(target) { for (var i = 1; i < arguments.length; i++) { var source = null != arguments[i] ? arguments[i] : {}; i % 2 ? ownKeys(Object(source), !0).forEach(function (key) { (0, _defineProperty2["default"])(target, key, source[key]); }) : Object.getOwnPropertyDescriptors ? Object.defineProperties(target, Object.getOwnPropertyDescriptors(source)) : ownKeys(Object(source)).forEach(function (key) { Object.defineProperty(target, key, Object.getOwnPropertyDescriptor(source, key)); }); } return target; }
 function _classPrivateFieldInitSpec(obj, privateMap, value) { _checkPrivateRedeclaration(obj, privateMap); privateMap.set(obj, value); }
 function _checkPrivateRedeclaration(obj, privateCollection) { if (privateCollection.has(obj)) { throw new TypeError("Cannot initialize the same private elements twice on an object"); } }
 var _api = /*#__PURE__*/new WeakMap();
@@ -20,6 +24,11 @@ var _config = /*#__PURE__*/new WeakMap();
 var _helper = /*#__PURE__*/new WeakMap();
 var _assertion = /*#__PURE__*/new WeakMap();
 var _error = /*#__PURE__*/new WeakMap();
+var _result = /*#__PURE__*/new WeakMap();
+var _registry = /*#__PURE__*/new WeakMap();
+var _nft = /*#__PURE__*/new WeakMap();
+var _validator = /*#__PURE__*/new WeakMap();
+var _loansHelper = /*#__PURE__*/new WeakMap();
 /**
  * @class
  * Class for working with loans.
@@ -56,6 +65,26 @@ var Loans = /*#__PURE__*/function () {
       writable: true,
       value: void 0
     });
+    _classPrivateFieldInitSpec(this, _result, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _registry, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _nft, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _validator, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _loansHelper, {
+      writable: true,
+      value: void 0
+    });
     (0, _classPrivateFieldSet2["default"])(this, _api, options === null || options === void 0 ? void 0 : options.api);
     (0, _classPrivateFieldSet2["default"])(this, _config, options === null || options === void 0 ? void 0 : options.config);
     (0, _classPrivateFieldSet2["default"])(this, _account, options === null || options === void 0 ? void 0 : options.account);
@@ -63,15 +92,35 @@ var Loans = /*#__PURE__*/function () {
     (0, _classPrivateFieldSet2["default"])(this, _helper, options === null || options === void 0 ? void 0 : options.helper);
     (0, _classPrivateFieldSet2["default"])(this, _assertion, options === null || options === void 0 ? void 0 : options.assertion);
     (0, _classPrivateFieldSet2["default"])(this, _error, options === null || options === void 0 ? void 0 : options.error);
+    (0, _classPrivateFieldSet2["default"])(this, _result, options === null || options === void 0 ? void 0 : options.result);
+    (0, _classPrivateFieldSet2["default"])(this, _registry, options === null || options === void 0 ? void 0 : options.registry);
+    (0, _classPrivateFieldSet2["default"])(this, _nft, options === null || options === void 0 ? void 0 : options.nft);
+    (0, _classPrivateFieldSet2["default"])(this, _validator, options === null || options === void 0 ? void 0 : options.offersValidator);
+    (0, _classPrivateFieldSet2["default"])(this, _loansHelper, options === null || options === void 0 ? void 0 : options.loansHelper);
   }
 
   /**
-   * Gets loans in which your account is a participant.
+   * Gets loans in which your account, or the accounts specified, is a participant.
    *
    * @param {object} options - Hashmap of config options for this method
    * @param {string} options.filters.counterparty - Loans where the counterparty is: `lender` or `borrower`
    * @param {string} options.filters.status - Loan status: `escrow`, `defaulted`, `repaid` or `liquidated`
-   * @returns {Array<object>} Array of listing objects
+   * @param {string|Array<string>} [options.filters.account.address] - Account address(es) to get the loans of, defaults to your account address (optional)
+   * @param {string} [options.filters.nft.address] - NFT contract address to filter by (optional)
+   * @param {string} [options.filters.nft.id] - NFT id of the asset to filter by (optional)
+   * @param {string} [options.filters.loan.currency.address.eq] - Loan currency to filter by (optional)
+   * @param {string} [options.filters.loan.principal.gte] - Min principal to filter by (optional)
+   * @param {string} [options.filters.loan.principal.lte] - Max principal to filter by (optional)
+   * @param {string} [options.filters.nftfi.contract.name] - Contract name to filter by (optional)
+   * @param {number} [options.filters.date.started.gte] - Earliest start date (timestamp in seconds) to filter by (optional)
+   * @param {number} [options.filters.date.started.lte] - Latest start date (timestamp in seconds) to filter by (optional)
+   * @param {number} [options.filters.date.due.gte] - Earliest due date (timestamp in seconds) to filter by (optional)
+   * @param {number} [options.filters.date.due.lte] - Latest due date (timestamp in seconds) to filter by (optional)
+   * @param {number} [options.pagination.page] - Pagination page (optional)
+   * @param {number} [options.pagination.limit] - Pagination limit (optional)
+   * @param {string} [options.pagination.sort] - Field to sort by, eg. `date.due` (optional)
+   * @param {'asc' | 'desc'} [options.pagination.direction] - Direction to sort by (optional)
+   * @returns {Array<object>} Array of loan objects, or a response object with the `results` and `pagination.total` when paginated
    *
    * @example
    * // Get loans in `escrow` where your account is the `lender`
@@ -81,46 +130,247 @@ var Loans = /*#__PURE__*/function () {
    *     status: 'escrow'
    *   }
    * });
+   *
+   * @example
+   * // Get the loans of several accounts that are due in the next 48 hours, the soonest first
+   * const now = Math.floor(Date.now() / 1000);
+   * const loans = await nftfi.loans.get({
+   *   filters: {
+   *     account: { address: ['0x11111111', '0x22222222'] },
+   *     counterparty: 'lender',
+   *     status: 'escrow',
+   *     date: { due: { gte: now, lte: now + 48 * 60 * 60 } }
+   *   },
+   *   pagination: {
+   *     page: 1,
+   *     limit: 100,
+   *     sort: 'date.due',
+   *     direction: 'asc'
+   *   }
+   * });
    */
   (0, _createClass2["default"])(Loans, [{
     key: "get",
     value: function () {
       var _get = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee(options) {
-        var response, loans;
+        var _yield$this$_getPage, results, total;
         return _regenerator["default"].wrap(function _callee$(_context) {
           while (1) switch (_context.prev = _context.next) {
             case 0:
               _context.prev = 0;
-              (0, _classPrivateFieldGet2["default"])(this, _assertion).hasAddress();
-              _context.next = 4;
-              return (0, _classPrivateFieldGet2["default"])(this, _api).get({
-                uri: 'v0.1/loans',
-                params: {
-                  accountAddress: (0, _classPrivateFieldGet2["default"])(this, _account).getAddress(),
-                  counterparty: options.filters.counterparty,
-                  status: options.filters.status
-                }
-              });
-            case 4:
-              response = _context.sent;
-              loans = response['results'];
-              loans = loans.map((0, _classPrivateFieldGet2["default"])(this, _helper).addCurrencyUnit);
-              return _context.abrupt("return", loans);
-            case 10:
-              _context.prev = 10;
+              _context.next = 3;
+              return this._getPage(options);
+            case 3:
+              _yield$this$_getPage = _context.sent;
+              results = _yield$this$_getPage.results;
+              total = _yield$this$_getPage.total;
+              if (!(options !== null && options !== void 0 && options.pagination)) {
+                _context.next = 8;
+                break;
+              }
+              return _context.abrupt("return", (0, _classPrivateFieldGet3["default"])(this, _result).handle({
+                pagination: {
+                  total: total
+                },
+                results: results
+              }));
+            case 8:
+              return _context.abrupt("return", results);
+            case 11:
+              _context.prev = 11;
               _context.t0 = _context["catch"](0);
-              return _context.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle(_context.t0));
-            case 13:
+              return _context.abrupt("return", (0, _classPrivateFieldGet3["default"])(this, _error).handle(_context.t0));
+            case 14:
             case "end":
               return _context.stop();
           }
-        }, _callee, this, [[0, 10]]);
+        }, _callee, this, [[0, 11]]);
       }));
       function get(_x) {
         return _get.apply(this, arguments);
       }
       return get;
     }()
+    /**
+     * Iterates over the loans in which your account is a participant, fetching their pages as they are needed.
+     *
+     * @param {object} [options] - Hashmap of config options for this method, as in `loans.get`
+     * @param {number} [options.pagination.page] - Page to start from (optional)
+     * @param {number} [options.pagination.limit] - Page size (optional)
+     * @param {number} [options.concurrency=1] - How many pages are fetched at the same time (optional)
+     * @returns {AsyncGenerator<object>} Async iterator of loans
+     *
+     * @example
+     * // Iterate over the loans in `escrow` where your account is the `lender`
+     * for await (const loan of nftfi.loans.iterate({
+     *   filters: {
+     *     counterparty: 'lender',
+     *     status: 'escrow'
+     *   }
+     * })) {
+     *   console.log(loan);
+     * }
+     */
+  }, {
+    key: "iterate",
+    value: function iterate() {
+      var _this = this;
+      var options = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : {};
+      return (0, _classPrivateFieldGet3["default"])(this, _helper).paginate(function (page, limit) {
+        return _this._getPage(_objectSpread(_objectSpread({}, options), {}, {
+          pagination: _objectSpread(_objectSpread({}, options === null || options === void 0 ? void 0 : options.pagination), {}, {
+            page: page,
+            limit: limit
+          })
+        }));
+      }, options);
+    }
+  }, {
+    key: "_getPage",
+    value: function () {
+      var _getPage2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee2(options) {
+        var _response$pagination$, _response$pagination;
+        var response, loans;
+        return _regenerator["default"].wrap(function _callee2$(_context2) {
+          while (1) switch (_context2.prev = _context2.next) {
+            case 0:
+              _context2.next = 2;
+              return (0, _classPrivateFieldGet3["default"])(this, _api).get({
+                uri: 'v0.1/loans',
+                params: (0, _classPrivateFieldGet3["default"])(this, _loansHelper).getParams(options)
+              });
+            case 2:
+              response = _context2.sent;
+              loans = response['results'];
+              loans = loans.map((0, _classPrivateFieldGet3["default"])(this, _helper).addCurrencyUnit);
+              return _context2.abrupt("return", {
+                results: loans,
+                total: (_response$pagination$ = response === null || response === void 0 ? void 0 : (_response$pagination = response.pagination) === null || _response$pagination === void 0 ? void 0 : _response$pagination.total) !== null && _response$pagination$ !== void 0 ? _response$pagination$ : null
+              });
+            case 6:
+            case "end":
+              return _context2.stop();
+          }
+        }, _callee2, this);
+      }));
+      function _getPage(_x2) {
+        return _getPage2.apply(this, arguments);
+      }
+      return _getPage;
+    }()
+    /**
+     * Gets a loan by reading its state directly from the loan contract, in the same shape as `loans.get`.
+     * Useful for cross-checking the loans returned by the API against the chain.
+     *
+     * @param {object} options - Hashmap of config options for this method
+     * @param {string} options.loan.id - The ID of the loan
+     * @param {string} options.nftfi.contract.name - Name of contract which facilitated the loan: `v2-3.loan.fixed`, `v2-3.loan.fixed.collection`
+     * @returns {object} Loan object, with `status` being one of `escrow`, `defaulted`, `repaid` or `liquidated`,
+     * and `lender` being the current holder of the promissory note, or the lender when the loan was resolved
+     *
+     * @example
+     * // Get a v2-3 fixed loan from the chain
+     * const loan = await nftfi.loans.getOnChain({
+     *   loan: { id: 2 },
+     *   nftfi: {
+     *     contract: {
+     *       name: 'v2-3.loan.fixed'
+     *     }
+     *   }
+     * });
+     */
+  }, {
+    key: "getOnChain",
+    value: function () {
+      var _getOnChain = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee3(options) {
+        var contractName, loan, _yield$loan$getLoan, terms, lender, repaid, liquidated, started, due, status;
+        return _regenerator["default"].wrap(function _callee3$(_context3) {
+          while (1) switch (_context3.prev = _context3.next) {
+            case 0:
+              _context3.prev = 0;
+              (0, _classPrivateFieldGet3["default"])(this, _assertion).hasProvider();
+              contractName = options.nftfi.contract.name;
+              loan = (0, _classPrivateFieldGet3["default"])(this, _fixed).get(contractName, 'get');
+              _context3.next = 6;
+              return loan.getLoan({
+                loan: {
+                  id: options.loan.id
+                }
+              });
+            case 6:
+              _yield$loan$getLoan = _context3.sent;
+              terms = _yield$loan$getLoan.terms;
+              lender = _yield$loan$getLoan.lender;
+              repaid = _yield$loan$getLoan.repaid;
+              liquidated = _yield$loan$getLoan.liquidated;
+              if (!((repaid || liquidated) && !terms)) {
+                _context3.next = 13;
+                break;
+              }
+              return _context3.abrupt("return", (0, _classPrivateFieldGet3["default"])(this, _error).handle(null, "could not read how loan ".concat(options.loan.id, " started on ").concat(contractName)));
+            case 13:
+              if (!(!terms || Number(terms.loanStartTime) === 0)) {
+                _context3.next = 15;
+                break;
+              }
+              return _context3.abrupt("return", (0, _classPrivateFieldGet3["default"])(this, _error).handle(null, "loan ".concat(options.loan.id, " not found on ").concat(contractName)));
+            case 15:
+              started = Number(terms.loanStartTime);
+              due = started + Number(terms.loanDuration);
+              status = 'escrow';
+              if (repaid) status = 'repaid';else if (liquidated) status = 'liquidated';else if (Math.floor(Date.now() / 1000) > due) status = 'defaulted';
+              return _context3.abrupt("return", (0, _classPrivateFieldGet3["default"])(this, _helper).addCurrencyUnit({
+                id: String(options.loan.id),
+                status: status,
+                date: {
+                  started: started,
+                  due: due
+                },
+                nft: {
+                  address: terms.nftCollateralContract,
+                  id: terms.nftCollateralId.toString()
+                },
+                borrower: {
+                  address: terms.borrower
+                },
+                lender: {
+                  address: lender
+                },
+                terms: {
+                  loan: {
+                    principal: terms.loanPrincipalAmount.toString(),
+                    repayment: terms.maximumRepaymentAmount.toString(),
+                    duration: Number(terms.loanDuration),
+                    currency: terms.loanERC20Denomination.toLowerCase(),
+                    interest: {
+                      bps: Number(terms.loanInterestRateForDurationInBasisPoints)
+                    }
+                  }
+                },
+                nftfi: {
+                  contract: {
+                    name: contractName
+                  },
+                  fee: {
+                    bps: Number(terms.loanAdminFeeInBasisPoints)
+                  }
+                }
+              }));
+            case 22:
+              _context3.prev = 22;
+              _context3.t0 = _context3["catch"](0);
+              return _context3.abrupt("return", (0, _classPrivateFieldGet3["default"])(this, _error).handle(_context3.t0));
+            case 25:
+            case "end":
+              return _context3.stop();
+          }
+        }, _callee3, this, [[0, 22]]);
+      }));
+      function getOnChain(_x3) {
+        return _getOnChain.apply(this, arguments);
+      }
+      return getOnChain;
+    }()
     /**
      * Begin a loan. Called by the borrower when accepting a lender's offer.
      *
@@ -128,8 +378,8 @@ var Loans = /*#__PURE__*/function () {
      * @param {string} options.offer.nft.address - Address of the NFT being used as collateral
      * @param {string} options.offer.nft.id - ID of NFT being used as collateral
      * @param {string} options.offer.terms.loan.currency - Address of the ERC20 contract being used as principal/interest
-     * @param {number} options.offer.terms.loan.principal - Sum of money transferred from lender to borrower at the beginning of the loan
-     * @param {number} options.offer.terms.loan.repayment - Maximum amount of money that the borrower would be required to retrieve their collateral
+     * @param {string|bigint|BigNumber} options.offer.terms.loan.principal - Sum of money transferred from lender to borrower at the beginning of the loan, in base units
+     * @param {string|bigint|BigNumber} options.offer.terms.loan.repayment - Maximum amount of money that the borrower would be required to retrieve their collateral, in base units
      * @param {number} options.offer.terms.loan.duration - Amount of time (measured in seconds) that may elapse before the lender can liquidate the loan
      * @param {number} options.offer.terms.loan.expiry - Timestamp (in seconds) of when the signature expires
      * @param {string} options.offer.lender.address - Address of the lender that signed the offer
@@ -137,7 +387,13 @@ var Loans = /*#__PURE__*/function () {
      * @param {string} options.offer.signature - ECDSA signature of the lender
      * @param {number} options.offer.nftfi.fee.bps - Percent (measured in basis points) of the interest earned that will be taken as a fee by the contract admins when the loan is repaid
      * @param {string} options.offer.nftfi.contract.name - Name of contract used to facilitate the loan: `v2-3.loan.fixed`, `v2-3.loan.fixed.collection`
-     * @returns {object} Response object
+     * @param {boolean} [options.preflight=true] - Run the `loans.preflight` checks first, and don't send the transaction if any of them fail (optional)
+     * @param {boolean} [options.dryRun=false] - Return the populated transaction, its gas estimate and revert reason (if any), without sending it (optional)
+     * @param {object} [options.callbacks] - Transaction lifecycle callbacks: `onSigned`, `onSubmitted(hash)`, `onConfirmed(receipt, confirmations)`, `onReplaced` and `onFailed(reason)` (optional)
+     * @param {boolean} [options.wait=true] - Wait for the transaction to be mined; if false, return the pending transaction as soon as it is broadcast (optional)
+     * @param {object} [options.fee] - Overrides the configured fee policy: `maxFeePerGas`, `maxPriorityFeePerGas`, `multiplier` and `max` (optional)
+     * @param {object} [options.gas] - Overrides the configured gas `limit` and `multiplier` (optional)
+     * @returns {object} Response object, or the list of blocking `errors` found by the pre-flight checks
      *
      * @example
      * // Begin a loan on a lender's offer.
@@ -153,8 +409,8 @@ var Loans = /*#__PURE__*/function () {
      *     },
      *     terms: {
      *       loan: {
-     *         principal: 1000000000000000000,
-     *         repayment: 1100000000000000000,
+     *         principal: '1000000000000000000',
+     *         repayment: '1100000000000000000',
      *         duration: 86400 * 7, // 7 days (in seconds)
      *         currency: "0x00000000",
      *         expiry: 1690548548 // Friday, 28 July 2023 14:49:08 GMT+02:00
@@ -171,77 +427,233 @@ var Loans = /*#__PURE__*/function () {
   }, {
     key: "begin",
     value: function () {
-      var _begin = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee2(options) {
-        var errors, response, contractName, success, _success, _success2, _success3;
-        return _regenerator["default"].wrap(function _callee2$(_context2) {
-          while (1) switch (_context2.prev = _context2.next) {
+      var _begin = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee4(options) {
+        var loan, problems, response;
+        return _regenerator["default"].wrap(function _callee4$(_context4) {
+          while (1) switch (_context4.prev = _context4.next) {
             case 0:
-              _context2.prev = 0;
-              (0, _classPrivateFieldGet2["default"])(this, _assertion).hasSigner();
-              contractName = options.offer.nftfi.contract.name;
-              _context2.t0 = contractName;
-              _context2.next = _context2.t0 === 'v2-1.loan.fixed' ? 6 : _context2.t0 === 'v2-3.loan.fixed' ? 11 : _context2.t0 === 'v2.loan.fixed.collection' ? 16 : _context2.t0 === 'v2-3.loan.fixed.collection' ? 21 : 26;
-              break;
+              _context4.prev = 0;
+              (0, _classPrivateFieldGet3["default"])(this, _assertion).hasSigner();
+              loan = (0, _classPrivateFieldGet3["default"])(this, _fixed).get(options.offer.nftfi.contract.name, 'begin');
+              if (!((options === null || options === void 0 ? void 0 : options.preflight) !== false && !(options !== null && options !== void 0 && options.dryRun))) {
+                _context4.next = 9;
+                break;
+              }
+              _context4.next = 6;
+              return this._getPreflightProblems(options);
             case 6:
-              _context2.next = 8;
-              return (0, _classPrivateFieldGet2["default"])(this, _fixed).v2_1.acceptOffer(options);
-            case 8:
-              success = _context2.sent;
-              response = {
-                success: success
-              };
-              return _context2.abrupt("break", 29);
+              problems = _context4.sent;
+              if (!(problems.length > 0)) {
+                _context4.next = 9;
+                break;
+              }
+              return _context4.abrupt("return", (0, _classPrivateFieldGet3["default"])(this, _error).handle({
+                errors: problems
+              }));
+            case 9:
+              _context4.next = 11;
+              return loan.acceptOffer(options);
             case 11:
-              _context2.next = 13;
-              return (0, _classPrivateFieldGet2["default"])(this, _fixed).v2_3.acceptOffer(options);
-            case 13:
-              _success = _context2.sent;
-              response = {
-                success: _success
-              };
-              return _context2.abrupt("break", 29);
-            case 16:
-              _context2.next = 18;
-              return (0, _classPrivateFieldGet2["default"])(this, _fixed).collection.v2.acceptOffer(options);
+              response = _context4.sent;
+              return _context4.abrupt("return", response);
+            case 15:
+              _context4.prev = 15;
+              _context4.t0 = _context4["catch"](0);
+              return _context4.abrupt("return", (0, _classPrivateFieldGet3["default"])(this, _error).handle(_context4.t0));
             case 18:
-              _success2 = _context2.sent;
-              response = {
-                success: _success2
-              };
-              return _context2.abrupt("break", 29);
-            case 21:
-              _context2.next = 23;
-              return (0, _classPrivateFieldGet2["default"])(this, _fixed).collection.v2_3.acceptOffer(options);
-            case 23:
-              _success3 = _context2.sent;
-              response = {
-                success: _success3
+            case "end":
+              return _context4.stop();
+          }
+        }, _callee4, this, [[0, 15]]);
+      }));
+      function begin(_x4) {
+        return _begin.apply(this, arguments);
+      }
+      return begin;
+    }()
+    /**
+     * Runs the pre-flight checks for beginning a loan, without sending any transaction.
+     * Checks that your account owns the NFT and has approved it to the loan contract, that the offer has not expired,
+     * that the offer passes `offers.validate` (signature, nonce, lender balance and allowance), and that the transaction would not revert.
+     *
+     * @param {object} options - Hashmap of config options for this method
+     * @param {object} options.offer - The offer to begin a loan on, as passed to `loans.begin`
+     * @returns {object} Response object, with `valid` and the list of blocking `problems` (each with `key`, `status`, `type` and `msg`)
+     *
+     * @example
+     * // Check whether a loan can begin on an offer
+     * const offers = await nftfi.offers.get({
+     *   filters: {
+     *     nft: { address: '0x00000000', id: '42' }
+     *   }
+     * });
+     * const preflight = await nftfi.loans.preflight({ offer: offers[0] });
+     */
+  }, {
+    key: "preflight",
+    value: function () {
+      var _preflight = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee5(options) {
+        var problems;
+        return _regenerator["default"].wrap(function _callee5$(_context5) {
+          while (1) switch (_context5.prev = _context5.next) {
+            case 0:
+              _context5.prev = 0;
+              (0, _classPrivateFieldGet3["default"])(this, _assertion).hasSigner();
+              _context5.next = 4;
+              return this._getPreflightProblems(options);
+            case 4:
+              problems = _context5.sent;
+              return _context5.abrupt("return", (0, _classPrivateFieldGet3["default"])(this, _result).handle({
+                valid: problems.length === 0,
+                problems: problems
+              }));
+            case 8:
+              _context5.prev = 8;
+              _context5.t0 = _context5["catch"](0);
+              return _context5.abrupt("return", (0, _classPrivateFieldGet3["default"])(this, _error).handle(_context5.t0));
+            case 11:
+            case "end":
+              return _context5.stop();
+          }
+        }, _callee5, this, [[0, 8]]);
+      }));
+      function preflight(_x5) {
+        return _preflight.apply(this, arguments);
+      }
+      return preflight;
+    }()
+  }, {
+    key: "_getPreflightProblems",
+    value: function () {
+      var _getPreflightProblems2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee6(options) {
+        var _contract$offer, _owner$data, _approval$data;
+        var offer, contractName, contract, loan, problems, addProblem, token, nftfi, signedOffer, _yield$Promise$all, _yield$Promise$all2, owner, approval, errors, revert, msg, _msg, _loop, _i, _Object$entries, _classPrivateFieldGet2, reason, _msg2;
+        return _regenerator["default"].wrap(function _callee6$(_context7) {
+          while (1) switch (_context7.prev = _context7.next) {
+            case 0:
+              offer = options.offer;
+              contractName = offer.nftfi.contract.name;
+              contract = (0, _classPrivateFieldGet3["default"])(this, _registry).get(contractName, 'begin');
+              loan = (0, _classPrivateFieldGet3["default"])(this, _fixed).get(contractName, 'begin');
+              problems = [];
+              addProblem = function addProblem(key, status, type, msg) {
+                return problems.push({
+                  key: key,
+                  status: status,
+                  type: type,
+                  msg: msg
+                });
+              }; // Early return if offer is expired, the remaining checks would fail anyway
+              if (!(Date.now() > offer.terms.loan.expiry * 1000)) {
+                _context7.next = 9;
+                break;
+              }
+              addProblem('terms.expiry', 'invalid', 'expiry', 'offer expiry is in the past');
+              return _context7.abrupt("return", problems);
+            case 9:
+              token = {
+                address: offer.nft.address,
+                id: offer.nft.id
               };
-              return _context2.abrupt("break", 29);
+              nftfi = {
+                contract: {
+                  name: contractName
+                }
+              }; // Collection offers are signed without a specific NFT, so they are validated against the signed NFT id
+              signedOffer = _objectSpread(_objectSpread({
+                referrer: {
+                  address: '0x0000000000000000000000000000000000000000'
+                }
+              }, offer), {}, {
+                nft: ((_contract$offer = contract.offer) === null || _contract$offer === void 0 ? void 0 : _contract$offer.type) === 'collection' ? _objectSpread(_objectSpread({}, offer.nft), {}, {
+                  id: 0
+                }) : offer.nft
+              });
+              _context7.next = 14;
+              return Promise.all([(0, _classPrivateFieldGet3["default"])(this, _nft).isOwner({
+                token: token
+              }), (0, _classPrivateFieldGet3["default"])(this, _nft).isApproved({
+                token: token,
+                nftfi: nftfi
+              }),
+              // The offer is about to be accepted, so it is validated against the chain rather than the cache
+              (0, _classPrivateFieldGet3["default"])(this, _validator).validate({
+                offer: signedOffer,
+                cache: false
+              })["catch"](function () {
+                return {
+                  offer: [{
+                    status: 'error',
+                    type: 'validation',
+                    msg: 'failed to validate offer'
+                  }]
+                };
+              }), loan.simulateAcceptOffer(options).then(function () {
+                return null;
+              }, function (e) {
+                return e;
+              })]);
+            case 14:
+              _yield$Promise$all = _context7.sent;
+              _yield$Promise$all2 = (0, _slicedToArray2["default"])(_yield$Promise$all, 4);
+              owner = _yield$Promise$all2[0];
+              approval = _yield$Promise$all2[1];
+              errors = _yield$Promise$all2[2];
+              revert = _yield$Promise$all2[3];
+              if ((owner === null || owner === void 0 ? void 0 : (_owner$data = owner.data) === null || _owner$data === void 0 ? void 0 : _owner$data.result) !== true) {
+                msg = owner !== null && owner !== void 0 && owner.error ? 'failed to check nft ownership' : 'nft is not owned by the borrower account';
+                addProblem('nft', owner !== null && owner !== void 0 && owner.error ? 'error' : 'invalid', 'nft.isOwner', msg);
+              }
+              if ((approval === null || approval === void 0 ? void 0 : (_approval$data = approval.data) === null || _approval$data === void 0 ? void 0 : _approval$data.approved) !== true) {
+                _msg = approval !== null && approval !== void 0 && approval.error ? 'failed to check nft approval' : 'nft is not approved to the loan contract';
+                addProblem('nft', approval !== null && approval !== void 0 && approval.error ? 'error' : 'invalid', 'nft.isApproved', _msg);
+              }
+              _loop = /*#__PURE__*/_regenerator["default"].mark(function _loop() {
+                var _Object$entries$_i, key, keyErrors;
+                return _regenerator["default"].wrap(function _loop$(_context6) {
+                  while (1) switch (_context6.prev = _context6.next) {
+                    case 0:
+                      _Object$entries$_i = (0, _slicedToArray2["default"])(_Object$entries[_i], 2), key = _Object$entries$_i[0], keyErrors = _Object$entries$_i[1];
+                      keyErrors.forEach(function (_ref) {
+                        var status = _ref.status,
+                          type = _ref.type,
+                          msg = _ref.msg;
+                        return addProblem(key, status, type, msg);
+                      });
+                    case 2:
+                    case "end":
+                      return _context6.stop();
+                  }
+                }, _loop);
+              });
+              _i = 0, _Object$entries = Object.entries(errors || {});
+            case 24:
+              if (!(_i < _Object$entries.length)) {
+                _context7.next = 29;
+                break;
+              }
+              return _context7.delegateYield(_loop(), "t0", 26);
             case 26:
-              errors = {
-                'nftfi.contract.name': ["".concat(contractName, " not supported")]
-              };
-              response = {
-                errors: errors
-              };
-              return _context2.abrupt("break", 29);
+              _i++;
+              _context7.next = 24;
+              break;
             case 29:
-              return _context2.abrupt("return", response);
-            case 32:
-              _context2.prev = 32;
-              _context2.t1 = _context2["catch"](0);
-              return _context2.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle(_context2.t1));
-            case 35:
+              if (revert) {
+                reason = (_classPrivateFieldGet2 = (0, _classPrivateFieldGet3["default"])(this, _error).handle(revert).error) === null || _classPrivateFieldGet2 === void 0 ? void 0 : _classPrivateFieldGet2.reason;
+                _msg2 = reason ? "transaction would revert: ".concat(reason) : 'transaction would revert';
+                addProblem('transaction', 'invalid', "".concat(contractName, ".callStatic"), _msg2);
+              }
+              return _context7.abrupt("return", problems);
+            case 31:
             case "end":
-              return _context2.stop();
+              return _context7.stop();
           }
-        }, _callee2, this, [[0, 32]]);
+        }, _callee6, this);
       }));
-      function begin(_x2) {
-        return _begin.apply(this, arguments);
+      function _getPreflightProblems(_x6) {
+        return _getPreflightProblems2.apply(this, arguments);
       }
-      return begin;
+      return _getPreflightProblems;
     }()
     /**
      * Liquidate `defaulted` loans in which your account is a participant.
@@ -250,6 +662,11 @@ var Loans = /*#__PURE__*/function () {
      * @param {object} options - Hashmap of config options for this method
      * @param {string} options.loan.id - The ID of the loan being liquidated
      * @param {string} options.nftfi.contract.name - Name of contract used to facilitate the liquidation: `v2-3.loan.fixed`, `v2-3.loan.fixed.collection`
+     * @param {boolean} [options.dryRun=false] - Return the populated transaction, its gas estimate and revert reason (if any), without sending it (optional)
+     * @param {object} [options.callbacks] - Transaction lifecycle callbacks: `onSigned`, `onSubmitted(hash)`, `onConfirmed(receipt, confirmations)`, `onReplaced` and `onFailed(reason)` (optional)
+     * @param {boolean} [options.wait=true] - Wait for the transaction to be mined; if false, return the pending transaction as soon as it is broadcast (optional)
+     * @param {object} [options.fee] - Overrides the configured fee policy: `maxFeePerGas`, `maxPriorityFeePerGas`, `multiplier` and `max` (optional)
+     * @param {object} [options.gas] - Overrides the configured gas `limit` and `multiplier` (optional)
      * @returns {object} Response object
      *
      * @example
@@ -273,96 +690,63 @@ var Loans = /*#__PURE__*/function () {
      *     }
      *   }
      * });
+     *
+     * @example
+     * // Liquidate a v2-3 fixed loan, outbidding on fees without paying more than 300 gwei per gas
+     * const result = await nftfi.loans.liquidate({
+     *   loan: { id: 2 },
+     *   nftfi: {
+     *     contract: {
+     *       name: 'v2-3.loan.fixed'
+     *     }
+     *   },
+     *   fee: { multiplier: 1.5, max: '300000000000' }
+     * });
      */
   }, {
     key: "liquidate",
     value: function () {
-      var _liquidate = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee3(options) {
-        var success;
-        return _regenerator["default"].wrap(function _callee3$(_context3) {
-          while (1) switch (_context3.prev = _context3.next) {
+      var _liquidate = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee7(options) {
+        var loan, success;
+        return _regenerator["default"].wrap(function _callee7$(_context8) {
+          while (1) switch (_context8.prev = _context8.next) {
             case 0:
-              _context3.prev = 0;
-              (0, _classPrivateFieldGet2["default"])(this, _assertion).hasSigner();
-              success = false;
-              _context3.t0 = options.nftfi.contract.name;
-              _context3.next = _context3.t0 === 'v1.loan.fixed' ? 6 : _context3.t0 === 'v2.loan.fixed' ? 10 : _context3.t0 === 'v2.loan.fixed.collection' ? 14 : _context3.t0 === 'v2-3.loan.fixed.collection' ? 18 : _context3.t0 === 'v2-1.loan.fixed' ? 22 : _context3.t0 === 'v2-3.loan.fixed' ? 26 : 30;
-              break;
-            case 6:
-              _context3.next = 8;
-              return (0, _classPrivateFieldGet2["default"])(this, _fixed).v1.liquidateOverdueLoan({
+              _context8.prev = 0;
+              (0, _classPrivateFieldGet3["default"])(this, _assertion).hasSigner();
+              loan = (0, _classPrivateFieldGet3["default"])(this, _fixed).get(options.nftfi.contract.name, 'liquidate');
+              _context8.next = 5;
+              return loan.liquidateOverdueLoan({
                 loan: {
                   id: options.loan.id
-                }
+                },
+                dryRun: options === null || options === void 0 ? void 0 : options.dryRun,
+                callbacks: options === null || options === void 0 ? void 0 : options.callbacks,
+                wait: options === null || options === void 0 ? void 0 : options.wait,
+                fee: options === null || options === void 0 ? void 0 : options.fee,
+                gas: options === null || options === void 0 ? void 0 : options.gas
               });
+            case 5:
+              success = _context8.sent;
+              if (!(options !== null && options !== void 0 && options.dryRun || (options === null || options === void 0 ? void 0 : options.wait) === false)) {
+                _context8.next = 8;
+                break;
+              }
+              return _context8.abrupt("return", success);
             case 8:
-              success = _context3.sent;
-              return _context3.abrupt("break", 30);
-            case 10:
-              _context3.next = 12;
-              return (0, _classPrivateFieldGet2["default"])(this, _fixed).v2.liquidateOverdueLoan({
-                loan: {
-                  id: options.loan.id
-                }
-              });
-            case 12:
-              success = _context3.sent;
-              return _context3.abrupt("break", 30);
-            case 14:
-              _context3.next = 16;
-              return (0, _classPrivateFieldGet2["default"])(this, _fixed).collection.v2.liquidateOverdueLoan({
-                loan: {
-                  id: options.loan.id
-                }
-              });
-            case 16:
-              success = _context3.sent;
-              return _context3.abrupt("break", 30);
-            case 18:
-              _context3.next = 20;
-              return (0, _classPrivateFieldGet2["default"])(this, _fixed).collection.v2_3.liquidateOverdueLoan({
-                loan: {
-                  id: options.loan.id
-                }
-              });
-            case 20:
-              success = _context3.sent;
-              return _context3.abrupt("break", 30);
-            case 22:
-              _context3.next = 24;
-              return (0, _classPrivateFieldGet2["default"])(this, _fixed).v2_1.liquidateOverdueLoan({
-                loan: {
-                  id: options.loan.id
-                }
-              });
-            case 24:
-              success = _context3.sent;
-              return _context3.abrupt("break", 30);
-            case 26:
-              _context3.next = 28;
-              return (0, _classPrivateFieldGet2["default"])(this, _fixed).v2_3.liquidateOverdueLoan({
-                loan: {
-                  id: options.loan.id
-                }
-              });
-            case 28:
-              success = _context3.sent;
-              return _context3.abrupt("break", 30);
-            case 30:
-              return _context3.abrupt("return", {
+              return _context8.abrupt("return", {
                 success: success
               });
-            case 33:
-              _context3.prev = 33;
-              _context3.t1 = _context3["catch"](0);
-              return _context3.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle(_context3.t1));
-            case 36:
+            case 11:
+              _context8.prev = 11;
+              _context8.t0 = _context8["catch"](0);
+              return _context8.abrupt("return", (0, _classPrivateFieldGet3["default"])(this, _error).handle(_context8.t0));
+            case 14:
             case "end":
-              return _context3.stop();
+              return _context8.stop();
           }
-        }, _callee3, this, [[0, 33]]);
+        }, _callee7, this, [[0, 11]]);
       }));
-      function liquidate(_x3) {
+      function liquidate(_x7) {
         return _liquidate.apply(this, arguments);
       }
       return liquidate;
@@ -373,6 +757,11 @@ var Loans = /*#__PURE__*/function () {
      * @param {object} options - Hashmap of config options for this method
      * @param {string} options.loan.id - The ID of the loan being repaid
      * @param {string} options.nftfi.contract.name - Name of contract used to facilitate the repayment: `v2-3.loan.fixed`, `v2-3.loan.fixed.collection`
+     * @param {boolean} [options.dryRun=false] - Return the populated transaction, its gas estimate and revert reason (if any), without sending it (optional)
+     * @param {object} [options.callbacks] - Transaction lifecycle callbacks: `onSigned`, `onSubmitted(hash)`, `onConfirmed(receipt, confirmations)`, `onReplaced` and `onFailed(reason)` (optional)
+     * @param {boolean} [options.wait=true] - Wait for the transaction to be mined; if false, return the pending transaction as soon as it is broadcast (optional)
+     * @param {object} [options.fee] - Overrides the configured fee policy: `maxFeePerGas`, `maxPriorityFeePerGas`, `multiplier` and `max` (optional)
+     * @param {object} [options.gas] - Overrides the configured gas `limit` and `multiplier` (optional)
      * @returns {object} Response object
      *
      * @example
@@ -396,96 +785,60 @@ var Loans = /*#__PURE__*/function () {
      *     }
      *   }
      * });
+     *
+     * @example
+     * // Repay a v2-3 fixed loan without waiting for it to be mined, following its progress through callbacks
+     * const pending = await nftfi.loans.repay({
+     *   loan: { id: 2 },
+     *   nftfi: {
+     *     contract: {
+     *       name: 'v2-3.loan.fixed'
+     *     }
+     *   },
+     *   wait: false,
+     *   callbacks: {
+     *     onSubmitted: hash => console.log(`Repayment pending: ${hash}`),
+     *     onConfirmed: receipt => console.log(`Repayment mined in block ${receipt.blockNumber}`),
+     *     onFailed: reason => console.log(`Repayment failed: ${reason}`)
+     *   }
+     * });
      */
   }, {
     key: "repay",
     value: function () {
-      var _repay = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee4(options) {
-        var success;
-        return _regenerator["default"].wrap(function _callee4$(_context4) {
-          while (1) switch (_context4.prev = _context4.next) {
+      var _repay = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee8(options) {
+        var loan, response;
+        return _regenerator["default"].wrap(function _callee8$(_context9) {
+          while (1) switch (_context9.prev = _context9.next) {
             case 0:
-              _context4.prev = 0;
-              (0, _classPrivateFieldGet2["default"])(this, _assertion).hasSigner();
-              success = false;
-              _context4.t0 = options.nftfi.contract.name;
-              _context4.next = _context4.t0 === 'v1.loan.fixed' ? 6 : _context4.t0 === 'v2.loan.fixed' ? 10 : _context4.t0 === 'v2-1.loan.fixed' ? 14 : _context4.t0 === 'v2-3.loan.fixed' ? 18 : _context4.t0 === 'v2.loan.fixed.collection' ? 22 : _context4.t0 === 'v2-3.loan.fixed.collection' ? 26 : 30;
-              break;
-            case 6:
-              _context4.next = 8;
-              return (0, _classPrivateFieldGet2["default"])(this, _fixed).v1.payBackLoan({
+              _context9.prev = 0;
+              (0, _classPrivateFieldGet3["default"])(this, _assertion).hasSigner();
+              loan = (0, _classPrivateFieldGet3["default"])(this, _fixed).get(options.nftfi.contract.name, 'repay');
+              _context9.next = 5;
+              return loan.payBackLoan({
                 loan: {
                   id: options.loan.id
-                }
-              });
-            case 8:
-              success = _context4.sent;
-              return _context4.abrupt("break", 30);
-            case 10:
-              _context4.next = 12;
-              return (0, _classPrivateFieldGet2["default"])(this, _fixed).v2.payBackLoan({
-                loan: {
-                  id: options.loan.id
-                }
+                },
+                dryRun: options === null || options === void 0 ? void 0 : options.dryRun,
+                callbacks: options === null || options === void 0 ? void 0 : options.callbacks,
+                wait: options === null || options === void 0 ? void 0 : options.wait,
+                fee: options === null || options === void 0 ? void 0 : options.fee,
+                gas: options === null || options === void 0 ? void 0 : options.gas
               });
+            case 5:
+              response = _context9.sent;
+              return _context9.abrupt("return", response);
+            case 9:
+              _context9.prev = 9;
+              _context9.t0 = _context9["catch"](0);
+              return _context9.abrupt("return", (0, _classPrivateFieldGet3["default"])(this, _error).handle(_context9.t0));
             case 12:
-              success = _context4.sent;
-              return _context4.abrupt("break", 30);
-            case 14:
-              _context4.next = 16;
-              return (0, _classPrivateFieldGet2["default"])(this, _fixed).v2_1.payBackLoan({
-                loan: {
-                  id: options.loan.id
-                }
-              });
-            case 16:
-              success = _context4.sent;
-              return _context4.abrupt("break", 30);
-            case 18:
-              _context4.next = 20;
-              return (0, _classPrivateFieldGet2["default"])(this, _fixed).v2_3.payBackLoan({
-                loan: {
-                  id: options.loan.id
-                }
-              });
-            case 20:
-              success = _context4.sent;
-              return _context4.abrupt("break", 30);
-            case 22:
-              _context4.next = 24;
-              return (0, _classPrivateFieldGet2["default"])(this, _fixed).collection.v2.payBackLoan({
-                loan: {
-                  id: options.loan.id
-                }
-              });
-            case 24:
-              success = _context4.sent;
-              return _context4.abrupt("break", 30);
-            case 26:
-              _context4.next = 28;
-              return (0, _classPrivateFieldGet2["default"])(this, _fixed).collection.v2_3.payBackLoan({
-                loan: {
-                  id: options.loan.id
-                }
-              });
-            case 28:
-              success = _context4.sent;
-              return _context4.abrupt("break", 30);
-            case 30:
-              return _context4.abrupt("return", {
-                success: success
-              });
-            case 33:
-              _context4.prev = 33;
-              _context4.t1 = _context4["catch"](0);
-              return _context4.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle(_context4.t1));
-            case 36:
             case "end":
-              return _context4.stop();
+              return _context9.stop();
           }
-        }, _callee4, this, [[0, 33]]);
+        }, _callee8, this, [[0, 9]]);
       }));
-      function repay(_x4) {
+      function repay(_x8) {
         return _repay.apply(this, arguments);
       }
       return repay;
@@ -496,6 +849,11 @@ var Loans = /*#__PURE__*/function () {
      * @param {object} options - Hashmap of config options for this method
      * @param {object} options.offer.nonce - The nonce of the offer to be deleted
      * @param {string} options.nftfi.contract.name - Name of contract which the offer was created for: `v2-3.loan.fixed`, `v2-3.loan.fixed.collection`
+     * @param {boolean} [options.dryRun=false] - Return the populated transaction, its gas estimate and revert reason (if any), without sending it (optional)
+     * @param {object} [options.callbacks] - Transaction lifecycle callbacks: `onSigned`, `onSubmitted(hash)`, `onConfirmed(receipt, confirmations)`, `onReplaced` and `onFailed(reason)` (optional)
+     * @param {boolean} [options.wait=true] - Wait for the transaction to be mined; if false, return the pending transaction as soon as it is broadcast (optional)
+     * @param {object} [options.fee] - Overrides the configured fee policy: `maxFeePerGas`, `maxPriorityFeePerGas`, `multiplier` and `max` (optional)
+     * @param {object} [options.gas] - Overrides the configured gas `limit` and `multiplier` (optional)
      * @returns {object} Response object
      *
      * @example
@@ -514,92 +872,47 @@ var Loans = /*#__PURE__*/function () {
   }, {
     key: "revokeOffer",
     value: function () {
-      var _revokeOffer = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee5(options) {
-        var success;
-        return _regenerator["default"].wrap(function _callee5$(_context5) {
-          while (1) switch (_context5.prev = _context5.next) {
+      var _revokeOffer = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee9(options) {
+        var loan, success;
+        return _regenerator["default"].wrap(function _callee9$(_context10) {
+          while (1) switch (_context10.prev = _context10.next) {
             case 0:
-              _context5.prev = 0;
-              (0, _classPrivateFieldGet2["default"])(this, _assertion).hasSigner();
-              success = false;
-              _context5.t0 = options.nftfi.contract.name;
-              _context5.next = _context5.t0 === 'v1.loan.fixed' ? 6 : _context5.t0 === 'v2.loan.fixed' ? 10 : _context5.t0 === 'v2-1.loan.fixed' ? 14 : _context5.t0 === 'v2-3.loan.fixed' ? 18 : _context5.t0 === 'v2.loan.fixed.collection' ? 22 : _context5.t0 === 'v2-3.loan.fixed.collection' ? 26 : 30;
-              break;
-            case 6:
-              _context5.next = 8;
-              return (0, _classPrivateFieldGet2["default"])(this, _fixed).v1.cancelLoanCommitmentBeforeLoanHasBegun({
+              _context10.prev = 0;
+              (0, _classPrivateFieldGet3["default"])(this, _assertion).hasSigner();
+              loan = (0, _classPrivateFieldGet3["default"])(this, _fixed).get(options.nftfi.contract.name, 'revoke');
+              _context10.next = 5;
+              return loan.cancelLoanCommitmentBeforeLoanHasBegun({
                 offer: {
                   nonce: options.offer.nonce
-                }
+                },
+                dryRun: options === null || options === void 0 ? void 0 : options.dryRun,
+                callbacks: options === null || options === void 0 ? void 0 : options.callbacks,
+                wait: options === null || options === void 0 ? void 0 : options.wait,
+                fee: options === null || options === void 0 ? void 0 : options.fee,
+                gas: options === null || options === void 0 ? void 0 : options.gas
               });
+            case 5:
+              success = _context10.sent;
+              if (!(options !== null && options !== void 0 && options.dryRun || (options === null || options === void 0 ? void 0 : options.wait) === false)) {
+                _context10.next = 8;
+                break;
+              }
+              return _context10.abrupt("return", success);
             case 8:
-              success = _context5.sent;
-              return _context5.abrupt("break", 30);
-            case 10:
-              _context5.next = 12;
-              return (0, _classPrivateFieldGet2["default"])(this, _fixed).v2.cancelLoanCommitmentBeforeLoanHasBegun({
-                offer: {
-                  nonce: options.offer.nonce
-                }
-              });
-            case 12:
-              success = _context5.sent;
-              return _context5.abrupt("break", 30);
-            case 14:
-              _context5.next = 16;
-              return (0, _classPrivateFieldGet2["default"])(this, _fixed).v2_1.cancelLoanCommitmentBeforeLoanHasBegun({
-                offer: {
-                  nonce: options.offer.nonce
-                }
-              });
-            case 16:
-              success = _context5.sent;
-              return _context5.abrupt("break", 30);
-            case 18:
-              _context5.next = 20;
-              return (0, _classPrivateFieldGet2["default"])(this, _fixed).v2_3.cancelLoanCommitmentBeforeLoanHasBegun({
-                offer: {
-                  nonce: options.offer.nonce
-                }
-              });
-            case 20:
-              success = _context5.sent;
-              return _context5.abrupt("break", 30);
-            case 22:
-              _context5.next = 24;
-              return (0, _classPrivateFieldGet2["default"])(this, _fixed).collection.v2.cancelLoanCommitmentBeforeLoanHasBegun({
-                offer: {
-                  nonce: options.offer.nonce
-                }
-              });
-            case 24:
-              success = _context5.sent;
-              return _context5.abrupt("break", 30);
-            case 26:
-              _context5.next = 28;
-              return (0, _classPrivateFieldGet2["default"])(this, _fixed).collection.v2_3.cancelLoanCommitmentBeforeLoanHasBegun({
-                offer: {
-                  nonce: options.offer.nonce
-                }
-              });
-            case 28:
-              success = _context5.sent;
-              return _context5.abrupt("break", 30);
-            case 30:
-              return _context5.abrupt("return", {
+              return _context10.abrupt("return", {
                 success: success
               });
-            case 33:
-              _context5.prev = 33;
-              _context5.t1 = _context5["catch"](0);
-              return _context5.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle(_context5.t1));
-            case 36:
+            case 11:
+              _context10.prev = 11;
+              _context10.t0 = _context10["catch"](0);
+              return _context10.abrupt("return", (0, _classPrivateFieldGet3["default"])(this, _error).handle(_context10.t0));
+            case 14:
             case "end":
-              return _context5.stop();
+              return _context10.stop();
           }
-        }, _callee5, this, [[0, 33]]);
+        }, _callee9, this, [[0, 11]]);
       }));
-      function revokeOffer(_x5) {
+      function revokeOffer(_x9) {
         return _revokeOffer.apply(this, arguments);
       }
       return revokeOffer;
@@ -5,21 +5,89 @@ Object.defineProperty(exports, "__esModule", {
   value: true
 });
 exports["default"] = void 0;
-var _createClass2 = _interopRequireDefault(require("@babel/runtime/helpers/createClass"));
 var _classCallCheck2 = _interopRequireDefault(require("@babel/runtime/helpers/classCallCheck"));
+var _createClass2 = _interopRequireDefault(require("@babel/runtime/helpers/createClass"));
 var _defineProperty2 = _interopRequireDefault(require("@babel/runtime/helpers/defineProperty"));
-var LoansFixed = /*#__PURE__*/(0, _createClass2["default"])(function LoansFixed(options) {
-  (0, _classCallCheck2["default"])(this, LoansFixed);
-  (0, _defineProperty2["default"])(this, "v1", void 0);
-  (0, _defineProperty2["default"])(this, "v2", void 0);
-  (0, _defineProperty2["default"])(this, "v2_1", void 0);
-  (0, _defineProperty2["default"])(this, "v2_3", void 0);
-  (0, _defineProperty2["default"])(this, "collection", void 0);
-  this.v1 = options === null || options === void 0 ? void 0 : options.v1;
-  this.v2 = options === null || options === void 0 ? void 0 : options.v2;
-  this.v2_1 = options === null || options === void 0 ? void 0 : options.v2_1;
-  this.v2_3 = options === null || options === void 0 ? void 0 : options.v2_3;
-  this.collection = options === null || options === void 0 ? void 0 : options.collection;
-});
+var _classPrivateFieldGet4 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldGet"));
+var _classPrivateFieldSet3 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldSet"));
+var _registry2 = require("../../contract/registry.cjs");
+function _classPrivateFieldInitSpec(obj, privateMap, value) { _checkPrivateRedeclaration(obj, privateMap); privateMap.set(obj, value); }
+function _checkPrivateRedeclaration(obj, privateCollection) { if (privateCollection.has(obj)) { throw new TypeError("Cannot initialize the same private elements twice on an object"); } }
+var _config = /*#__PURE__*/new WeakMap();
+var _contractFactory = /*#__PURE__*/new WeakMap();
+var _registry = /*#__PURE__*/new WeakMap();
+var _helper = /*#__PURE__*/new WeakMap();
+var _implementations = /*#__PURE__*/new WeakMap();
+var _loans = /*#__PURE__*/new WeakMap();
+var LoansFixed = /*#__PURE__*/function () {
+  function LoansFixed(options) {
+    var _classPrivateFieldGet2, _classPrivateFieldGet3, _fixed$v, _fixed$v2, _fixed$v2_, _fixed$v2_2, _fixed$collection, _fixed$collection$v, _this$collection, _fixed$collection2, _fixed$collection2$v, _this$collection2, _classPrivateFieldSet2;
+    (0, _classCallCheck2["default"])(this, LoansFixed);
+    (0, _defineProperty2["default"])(this, "v1", void 0);
+    (0, _defineProperty2["default"])(this, "v2", void 0);
+    (0, _defineProperty2["default"])(this, "v2_1", void 0);
+    (0, _defineProperty2["default"])(this, "v2_3", void 0);
+    (0, _defineProperty2["default"])(this, "collection", void 0);
+    _classPrivateFieldInitSpec(this, _config, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _contractFactory, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _registry, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _helper, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _implementations, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _loans, {
+      writable: true,
+      value: void 0
+    });
+    this.v1 = options === null || options === void 0 ? void 0 : options.v1;
+    this.v2 = options === null || options === void 0 ? void 0 : options.v2;
+    this.v2_1 = options === null || options === void 0 ? void 0 : options.v2_1;
+    this.v2_3 = options === null || options === void 0 ? void 0 : options.v2_3;
+    this.collection = options === null || options === void 0 ? void 0 : options.collection;
+    (0, _classPrivateFieldSet3["default"])(this, _config, options === null || options === void 0 ? void 0 : options.config);
+    (0, _classPrivateFieldSet3["default"])(this, _contractFactory, options === null || options === void 0 ? void 0 : options.contractFactory);
+    (0, _classPrivateFieldSet3["default"])(this, _registry, options === null || options === void 0 ? void 0 : options.registry);
+    (0, _classPrivateFieldSet3["default"])(this, _helper, options === null || options === void 0 ? void 0 : options.helper);
+    (0, _classPrivateFieldSet3["default"])(this, _implementations, (options === null || options === void 0 ? void 0 : options.implementations) || {});
+    var fixed = (_classPrivateFieldGet2 = (0, _classPrivateFieldGet4["default"])(this, _config)) === null || _classPrivateFieldGet2 === void 0 ? void 0 : (_classPrivateFieldGet3 = _classPrivateFieldGet2.loan) === null || _classPrivateFieldGet3 === void 0 ? void 0 : _classPrivateFieldGet3.fixed;
+    (0, _classPrivateFieldSet3["default"])(this, _loans, (_classPrivateFieldSet2 = {}, (0, _defineProperty2["default"])(_classPrivateFieldSet2, fixed === null || fixed === void 0 ? void 0 : (_fixed$v = fixed.v1) === null || _fixed$v === void 0 ? void 0 : _fixed$v.name, this.v1), (0, _defineProperty2["default"])(_classPrivateFieldSet2, fixed === null || fixed === void 0 ? void 0 : (_fixed$v2 = fixed.v2) === null || _fixed$v2 === void 0 ? void 0 : _fixed$v2.name, this.v2), (0, _defineProperty2["default"])(_classPrivateFieldSet2, fixed === null || fixed === void 0 ? void 0 : (_fixed$v2_ = fixed.v2_1) === null || _fixed$v2_ === void 0 ? void 0 : _fixed$v2_.name, this.v2_1), (0, _defineProperty2["default"])(_classPrivateFieldSet2, fixed === null || fixed === void 0 ? void 0 : (_fixed$v2_2 = fixed.v2_3) === null || _fixed$v2_2 === void 0 ? void 0 : _fixed$v2_2.name, this.v2_3), (0, _defineProperty2["default"])(_classPrivateFieldSet2, fixed === null || fixed === void 0 ? void 0 : (_fixed$collection = fixed.collection) === null || _fixed$collection === void 0 ? void 0 : (_fixed$collection$v = _fixed$collection.v2) === null || _fixed$collection$v === void 0 ? void 0 : _fixed$collection$v.name, (_this$collection = this.collection) === null || _this$collection === void 0 ? void 0 : _this$collection.v2), (0, _defineProperty2["default"])(_classPrivateFieldSet2, fixed === null || fixed === void 0 ? void 0 : (_fixed$collection2 = fixed.collection) === null || _fixed$collection2 === void 0 ? void 0 : (_fixed$collection2$v = _fixed$collection2.v2_3) === null || _fixed$collection2$v === void 0 ? void 0 : _fixed$collection2$v.name, (_this$collection2 = this.collection) === null || _this$collection2 === void 0 ? void 0 : _this$collection2.v2_3), _classPrivateFieldSet2));
+  }
+
+  // Contracts registered at init time reuse the class of the contract named in their `implementation` field.
+  (0, _createClass2["default"])(LoansFixed, [{
+    key: "get",
+    value: function get(name, operation) {
+      var contract = (0, _classPrivateFieldGet4["default"])(this, _registry).get(name, operation);
+      if (!(0, _classPrivateFieldGet4["default"])(this, _loans)[contract.name]) {
+        var Implementation = (0, _classPrivateFieldGet4["default"])(this, _implementations)[contract.implementation];
+        if (!Implementation) {
+          throw new _registry2.ContractNotSupportedError(name);
+        }
+        (0, _classPrivateFieldGet4["default"])(this, _loans)[contract.name] = new Implementation({
+          config: (0, _classPrivateFieldGet4["default"])(this, _config),
+          contractFactory: (0, _classPrivateFieldGet4["default"])(this, _contractFactory),
+          registry: (0, _classPrivateFieldGet4["default"])(this, _registry),
+          helper: (0, _classPrivateFieldGet4["default"])(this, _helper),
+          name: contract.name
+        });
+      }
+      return (0, _classPrivateFieldGet4["default"])(this, _loans)[contract.name];
+    }
+  }]);
+  return LoansFixed;
+}();
 var _default = LoansFixed;
 exports["default"] = _default;
\ No newline at end of file
@@ -9,12 +9,14 @@ var _regenerator = _interopRequireDefault(require("@babel/runtime/regenerator"))
 var _asyncToGenerator2 = _interopRequireDefault(require("@babel/runtime/helpers/asyncToGenerator"));
 var _classCallCheck2 = _interopRequireDefault(require("@babel/runtime/helpers/classCallCheck"));
 var _createClass2 = _interopRequireDefault(require("@babel/runtime/helpers/createClass"));
-var _classPrivateFieldGet2 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldGet"));
+var _classPrivateFieldGet3 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldGet"));
 var _classPrivateFieldSet2 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldSet"));
 function _classPrivateFieldInitSpec(obj, privateMap, value) { _checkPrivateRedeclaration(obj, privateMap); privateMap.set(obj, value); }
 function _checkPrivateRedeclaration(obj, privateCollection) { if (privateCollection.has(obj)) { throw new TypeError("Cannot initialize the same private elements twice on an object"); } }
 var _config = /*#__PURE__*/new WeakMap();
 var _contractFactory = /*#__PURE__*/new WeakMap();
+var _registry = /*#__PURE__*/new WeakMap();
+var _name = /*#__PURE__*/new WeakMap();
 var _contract = /*#__PURE__*/new WeakMap();
 var LoansFixedV1 = /*#__PURE__*/function () {
   function LoansFixedV1(options) {
@@ -27,54 +29,69 @@ var LoansFixedV1 = /*#__PURE__*/function () {
       writable: true,
       value: void 0
     });
+    _classPrivateFieldInitSpec(this, _registry, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _name, {
+      writable: true,
+      value: void 0
+    });
     _classPrivateFieldInitSpec(this, _contract, {
       writable: true,
       value: void 0
     });
     (0, _classPrivateFieldSet2["default"])(this, _config, options === null || options === void 0 ? void 0 : options.config);
     (0, _classPrivateFieldSet2["default"])(this, _contractFactory, options === null || options === void 0 ? void 0 : options.contractFactory);
+    (0, _classPrivateFieldSet2["default"])(this, _registry, options === null || options === void 0 ? void 0 : options.registry);
+    (0, _classPrivateFieldSet2["default"])(this, _name, (options === null || options === void 0 ? void 0 : options.name) || (0, _classPrivateFieldGet3["default"])(this, _config).loan.fixed.v1.name);
   }
   (0, _createClass2["default"])(LoansFixedV1, [{
     key: "_contract",
     get: function get() {
-      if (!(0, _classPrivateFieldGet2["default"])(this, _contract)) {
-        (0, _classPrivateFieldSet2["default"])(this, _contract, (0, _classPrivateFieldGet2["default"])(this, _contractFactory).create({
-          address: (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.v1.address,
-          abi: (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.v1.abi
+      if (!(0, _classPrivateFieldGet3["default"])(this, _contract)) {
+        var _classPrivateFieldGet2 = (0, _classPrivateFieldGet3["default"])(this, _registry).get((0, _classPrivateFieldGet3["default"])(this, _name)),
+          address = _classPrivateFieldGet2.address,
+          abi = _classPrivateFieldGet2.abi;
+        (0, _classPrivateFieldSet2["default"])(this, _contract, (0, _classPrivateFieldGet3["default"])(this, _contractFactory).create({
+          address: address,
+          abi: abi
         }));
       }
-      return (0, _classPrivateFieldGet2["default"])(this, _contract);
+      return (0, _classPrivateFieldGet3["default"])(this, _contract);
     }
   }, {
     key: "liquidateOverdueLoan",
     value: function () {
       var _liquidateOverdueLoan = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee(options) {
-        var success, result;
+        var result;
         return _regenerator["default"].wrap(function _callee$(_context) {
           while (1) switch (_context.prev = _context.next) {
             case 0:
-              _context.prev = 0;
-              _context.next = 3;
+              _context.next = 2;
               return this._contract.call({
                 "function": 'liquidateOverdueLoan',
-                args: [options.loan.id]
+                args: [options.loan.id],
+                dryRun: options === null || options === void 0 ? void 0 : options.dryRun,
+                callbacks: options === null || options === void 0 ? void 0 : options.callbacks,
+                wait: options === null || options === void 0 ? void 0 : options.wait,
+                fee: options === null || options === void 0 ? void 0 : options.fee,
+                gas: options === null || options === void 0 ? void 0 : options.gas
               });
-            case 3:
+            case 2:
               result = _context.sent;
-              success = (result === null || result === void 0 ? void 0 : result.status) === 1;
-              _context.next = 10;
-              break;
-            case 7:
-              _context.prev = 7;
-              _context.t0 = _context["catch"](0);
-              success = false;
-            case 10:
-              return _context.abrupt("return", success);
-            case 11:
+              if (!(options !== null && options !== void 0 && options.dryRun || (options === null || options === void 0 ? void 0 : options.wait) === false)) {
+                _context.next = 5;
+                break;
+              }
+              return _context.abrupt("return", result);
+            case 5:
+              return _context.abrupt("return", (result === null || result === void 0 ? void 0 : result.status) === 1);
+            case 6:
             case "end":
               return _context.stop();
           }
-        }, _callee, this, [[0, 7]]);
+        }, _callee, this);
       }));
       function liquidateOverdueLoan(_x) {
         return _liquidateOverdueLoan.apply(this, arguments);
@@ -85,32 +102,34 @@ var LoansFixedV1 = /*#__PURE__*/function () {
     key: "payBackLoan",
     value: function () {
       var _payBackLoan = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee2(options) {
-        var success, result;
+        var result;
         return _regenerator["default"].wrap(function _callee2$(_context2) {
           while (1) switch (_context2.prev = _context2.next) {
             case 0:
-              _context2.prev = 0;
-              _context2.next = 3;
+              _context2.next = 2;
               return this._contract.call({
                 "function": 'payBackLoan',
-                args: [options.loan.id]
+                args: [options.loan.id],
+                dryRun: options === null || options === void 0 ? void 0 : options.dryRun,
+                callbacks: options === null || options === void 0 ? void 0 : options.callbacks,
+                wait: options === null || options === void 0 ? void 0 : options.wait,
+                fee: options === null || options === void 0 ? void 0 : options.fee,
+                gas: options === null || options === void 0 ? void 0 : options.gas
               });
-            case 3:
+            case 2:
               result = _context2.sent;
-              success = (result === null || result === void 0 ? void 0 : result.status) === 1;
-              _context2.next = 10;
-              break;
-            case 7:
-              _context2.prev = 7;
-              _context2.t0 = _context2["catch"](0);
-              success = false;
-            case 10:
-              return _context2.abrupt("return", success);
-            case 11:
+              if (!(options !== null && options !== void 0 && options.dryRun || (options === null || options === void 0 ? void 0 : options.wait) === false)) {
+                _context2.next = 5;
+                break;
+              }
+              return _context2.abrupt("return", result);
+            case 5:
+              return _context2.abrupt("return", (result === null || result === void 0 ? void 0 : result.status) === 1);
+            case 6:
             case "end":
               return _context2.stop();
           }
-        }, _callee2, this, [[0, 7]]);
+        }, _callee2, this);
       }));
       function payBackLoan(_x2) {
         return _payBackLoan.apply(this, arguments);
@@ -121,32 +140,34 @@ var LoansFixedV1 = /*#__PURE__*/function () {
     key: "cancelLoanCommitmentBeforeLoanHasBegun",
     value: function () {
       var _cancelLoanCommitmentBeforeLoanHasBegun = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee3(options) {
-        var success, result;
+        var result;
         return _regenerator["default"].wrap(function _callee3$(_context3) {
           while (1) switch (_context3.prev = _context3.next) {
             case 0:
-              _context3.prev = 0;
-              _context3.next = 3;
+              _context3.next = 2;
               return this._contract.call({
                 "function": 'cancelLoanCommitmentBeforeLoanHasBegun',
-                args: [options.offer.nonce]
+                args: [options.offer.nonce],
+                dryRun: options === null || options === void 0 ? void 0 : options.dryRun,
+                callbacks: options === null || options === void 0 ? void 0 : options.callbacks,
+                wait: options === null || options === void 0 ? void 0 : options.wait,
+                fee: options === null || options === void 0 ? void 0 : options.fee,
+                gas: options === null || options === void 0 ? void 0 : options.gas
               });
-            case 3:
+            case 2:
               result = _context3.sent;
-              success = (result === null || result === void 0 ? void 0 : result.status) === 1;
-              _context3.next = 10;
-              break;
-            case 7:
-              _context3.prev = 7;
-              _context3.t0 = _context3["catch"](0);
-              success = false;
-            case 10:
-              return _context3.abrupt("return", success);
-            case 11:
+              if (!(options !== null && options !== void 0 && options.dryRun || (options === null || options === void 0 ? void 0 : options.wait) === false)) {
+                _context3.next = 5;
+                break;
+              }
+              return _context3.abrupt("return", result);
+            case 5:
+              return _context3.abrupt("return", (result === null || result === void 0 ? void 0 : result.status) === 1);
+            case 6:
             case "end":
               return _context3.stop();
           }
-        }, _callee3, this, [[0, 7]]);
+        }, _callee3, this);
       }));
       function cancelLoanCommitmentBeforeLoanHasBegun(_x3) {
         return _cancelLoanCommitmentBeforeLoanHasBegun.apply(this, arguments);
@@ -6,15 +6,19 @@ Object.defineProperty(exports, "__esModule", {
 });
 exports["default"] = void 0;
 var _regenerator = _interopRequireDefault(require("@babel/runtime/regenerator"));
+var _slicedToArray2 = _interopRequireDefault(require("@babel/runtime/helpers/slicedToArray"));
 var _asyncToGenerator2 = _interopRequireDefault(require("@babel/runtime/helpers/asyncToGenerator"));
 var _classCallCheck2 = _interopRequireDefault(require("@babel/runtime/helpers/classCallCheck"));
 var _createClass2 = _interopRequireDefault(require("@babel/runtime/helpers/createClass"));
-var _classPrivateFieldGet2 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldGet"));
+var _classPrivateFieldGet3 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldGet"));
 var _classPrivateFieldSet2 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldSet"));
 function _classPrivateFieldInitSpec(obj, privateMap, value) { _checkPrivateRedeclaration(obj, privateMap); privateMap.set(obj, value); }
 function _checkPrivateRedeclaration(obj, privateCollection) { if (privateCollection.has(obj)) { throw new TypeError("Cannot initialize the same private elements twice on an object"); } }
 var _config = /*#__PURE__*/new WeakMap();
 var _contractFactory = /*#__PURE__*/new WeakMap();
+var _registry = /*#__PURE__*/new WeakMap();
+var _helper = /*#__PURE__*/new WeakMap();
+var _name = /*#__PURE__*/new WeakMap();
 var _contract = /*#__PURE__*/new WeakMap();
 var LoansFixedV2_3 = /*#__PURE__*/function () {
   function LoansFixedV2_3(options) {
@@ -27,74 +31,102 @@ var LoansFixedV2_3 = /*#__PURE__*/function () {
       writable: true,
       value: void 0
     });
+    _classPrivateFieldInitSpec(this, _registry, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _helper, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _name, {
+      writable: true,
+      value: void 0
+    });
     _classPrivateFieldInitSpec(this, _contract, {
       writable: true,
       value: void 0
     });
     (0, _classPrivateFieldSet2["default"])(this, _config, options === null || options === void 0 ? void 0 : options.config);
     (0, _classPrivateFieldSet2["default"])(this, _contractFactory, options === null || options === void 0 ? void 0 : options.contractFactory);
+    (0, _classPrivateFieldSet2["default"])(this, _registry, options === null || options === void 0 ? void 0 : options.registry);
+    (0, _classPrivateFieldSet2["default"])(this, _helper, options === null || options === void 0 ? void 0 : options.helper);
+    (0, _classPrivateFieldSet2["default"])(this, _name, (options === null || options === void 0 ? void 0 : options.name) || (0, _classPrivateFieldGet3["default"])(this, _config).loan.fixed.v2_3.name);
   }
   (0, _createClass2["default"])(LoansFixedV2_3, [{
     key: "_contract",
     get: function get() {
-      if (!(0, _classPrivateFieldGet2["default"])(this, _contract)) {
-        (0, _classPrivateFieldSet2["default"])(this, _contract, (0, _classPrivateFieldGet2["default"])(this, _contractFactory).create({
-          address: (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.v2_3.address,
-          abi: (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.v2_3.abi
+      if (!(0, _classPrivateFieldGet3["default"])(this, _contract)) {
+        var _classPrivateFieldGet2 = (0, _classPrivateFieldGet3["default"])(this, _registry).get((0, _classPrivateFieldGet3["default"])(this, _name)),
+          address = _classPrivateFieldGet2.address,
+          abi = _classPrivateFieldGet2.abi;
+        (0, _classPrivateFieldSet2["default"])(this, _contract, (0, _classPrivateFieldGet3["default"])(this, _contractFactory).create({
+          address: address,
+          abi: abi
         }));
       }
-      return (0, _classPrivateFieldGet2["default"])(this, _contract);
+      return (0, _classPrivateFieldGet3["default"])(this, _contract);
+    }
+  }, {
+    key: "_getAcceptOfferArgs",
+    value: function _getAcceptOfferArgs(options) {
+      var offer = {
+        loanERC20Denomination: options.offer.terms.loan.currency,
+        loanPrincipalAmount: (0, _classPrivateFieldGet3["default"])(this, _helper).toAmount(options.offer.terms.loan.principal, 'offer.terms.loan.principal'),
+        maximumRepaymentAmount: (0, _classPrivateFieldGet3["default"])(this, _helper).toAmount(options.offer.terms.loan.repayment, 'offer.terms.loan.repayment'),
+        nftCollateralContract: options.offer.nft.address,
+        nftCollateralId: options.offer.nft.id,
+        referrer: '0x0000000000000000000000000000000000000000',
+        loanDuration: options.offer.terms.loan.duration,
+        loanAdminFeeInBasisPoints: options.offer.nftfi.fee.bps
+      };
+      var signature = {
+        signer: options.offer.lender.address,
+        nonce: options.offer.lender.nonce,
+        expiry: options.offer.terms.loan.expiry,
+        signature: options.offer.signature
+      };
+      var borrowerSettings = {
+        revenueSharePartner: '0x0000000000000000000000000000000000000000',
+        referralFeeInBasisPoints: 0
+      };
+      return [offer, signature, borrowerSettings];
     }
   }, {
     key: "acceptOffer",
     value: function () {
       var _acceptOffer = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee(options) {
-        var success, offer, signature, borrowerSettings, result;
+        var result;
         return _regenerator["default"].wrap(function _callee$(_context) {
           while (1) switch (_context.prev = _context.next) {
             case 0:
-              _context.prev = 0;
-              offer = {
-                loanERC20Denomination: options.offer.terms.loan.currency,
-                loanPrincipalAmount: String(options.offer.terms.loan.principal),
-                maximumRepaymentAmount: String(options.offer.terms.loan.repayment),
-                nftCollateralContract: options.offer.nft.address,
-                nftCollateralId: options.offer.nft.id,
-                referrer: '0x0000000000000000000000000000000000000000',
-                loanDuration: options.offer.terms.loan.duration,
-                loanAdminFeeInBasisPoints: options.offer.nftfi.fee.bps
-              };
-              signature = {
-                signer: options.offer.lender.address,
-                nonce: options.offer.lender.nonce,
-                expiry: options.offer.terms.loan.expiry,
-                signature: options.offer.signature
-              };
-              borrowerSettings = {
-                revenueSharePartner: '0x0000000000000000000000000000000000000000',
-                referralFeeInBasisPoints: 0
-              };
-              _context.next = 6;
+              _context.next = 2;
               return this._contract.call({
                 "function": 'acceptOffer',
-                args: [offer, signature, borrowerSettings]
+                args: this._getAcceptOfferArgs(options),
+                dryRun: options === null || options === void 0 ? void 0 : options.dryRun,
+                callbacks: options === null || options === void 0 ? void 0 : options.callbacks,
+                wait: options === null || options === void 0 ? void 0 : options.wait,
+                fee: options === null || options === void 0 ? void 0 : options.fee,
+                gas: options === null || options === void 0 ? void 0 : options.gas
               });
-            case 6:
+            case 2:
               result = _context.sent;
-              success = (result === null || result === void 0 ? void 0 : result.status) === 1;
-              _context.next = 13;
-              break;
-            case 10:
-              _context.prev = 10;
-              _context.t0 = _context["catch"](0);
-              success = false;
-            case 13:
-              return _context.abrupt("return", success);
-            case 14:
+              if (!(options !== null && options !== void 0 && options.dryRun || (options === null || options === void 0 ? void 0 : options.wait) === false)) {
+                _context.next = 5;
+                break;
+              }
+              return _context.abrupt("return", result);
+            case 5:
+              return _context.abrupt("return", {
+                receipt: result,
+                status: (result === null || result === void 0 ? void 0 : result.status) === 1
+              });
+            case 6:
             case "end":
               return _context.stop();
           }
-        }, _callee, this, [[0, 10]]);
+        }, _callee, this);
       }));
       function acceptOffer(_x) {
         return _acceptOffer.apply(this, arguments);
@@ -102,37 +134,61 @@ var LoansFixedV2_3 = /*#__PURE__*/function () {
       return acceptOffer;
     }()
   }, {
-    key: "liquidateOverdueLoan",
+    key: "simulateAcceptOffer",
     value: function () {
-      var _liquidateOverdueLoan = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee2(options) {
-        var success, result;
+      var _simulateAcceptOffer = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee2(options) {
         return _regenerator["default"].wrap(function _callee2$(_context2) {
           while (1) switch (_context2.prev = _context2.next) {
             case 0:
-              _context2.prev = 0;
-              _context2.next = 3;
+              return _context2.abrupt("return", this._contract.callStatic({
+                "function": 'acceptOffer',
+                args: this._getAcceptOfferArgs(options)
+              }));
+            case 1:
+            case "end":
+              return _context2.stop();
+          }
+        }, _callee2, this);
+      }));
+      function simulateAcceptOffer(_x2) {
+        return _simulateAcceptOffer.apply(this, arguments);
+      }
+      return simulateAcceptOffer;
+    }()
+  }, {
+    key: "liquidateOverdueLoan",
+    value: function () {
+      var _liquidateOverdueLoan = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee3(options) {
+        var result;
+        return _regenerator["default"].wrap(function _callee3$(_context3) {
+          while (1) switch (_context3.prev = _context3.next) {
+            case 0:
+              _context3.next = 2;
               return this._contract.call({
                 "function": 'liquidateOverdueLoan',
-                args: [options.loan.id]
+                args: [options.loan.id],
+                dryRun: options === null || options === void 0 ? void 0 : options.dryRun,
+                callbacks: options === null || options === void 0 ? void 0 : options.callbacks,
+                wait: options === null || options === void 0 ? void 0 : options.wait,
+                fee: options === null || options === void 0 ? void 0 : options.fee,
+                gas: options === null || options === void 0 ? void 0 : options.gas
               });
-            case 3:
-              result = _context2.sent;
-              success = (result === null || result === void 0 ? void 0 : result.status) === 1;
-              _context2.next = 10;
-              break;
-            case 7:
-              _context2.prev = 7;
-              _context2.t0 = _context2["catch"](0);
-              success = false;
-            case 10:
-              return _context2.abrupt("return", success);
-            case 11:
+            case 2:
+              result = _context3.sent;
+              if (!(options !== null && options !== void 0 && options.dryRun || (options === null || options === void 0 ? void 0 : options.wait) === false)) {
+                _context3.next = 5;
+                break;
+              }
+              return _context3.abrupt("return", result);
+            case 5:
+              return _context3.abrupt("return", (result === null || result === void 0 ? void 0 : result.status) === 1);
+            case 6:
             case "end":
-              return _context2.stop();
+              return _context3.stop();
           }
-        }, _callee2, this, [[0, 7]]);
+        }, _callee3, this);
       }));
-      function liquidateOverdueLoan(_x2) {
+      function liquidateOverdueLoan(_x3) {
         return _liquidateOverdueLoan.apply(this, arguments);
       }
       return liquidateOverdueLoan;
@@ -140,35 +196,40 @@ var LoansFixedV2_3 = /*#__PURE__*/function () {
   }, {
     key: "payBackLoan",
     value: function () {
-      var _payBackLoan = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee3(options) {
-        var success, result;
-        return _regenerator["default"].wrap(function _callee3$(_context3) {
-          while (1) switch (_context3.prev = _context3.next) {
+      var _payBackLoan = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee4(options) {
+        var result;
+        return _regenerator["default"].wrap(function _callee4$(_context4) {
+          while (1) switch (_context4.prev = _context4.next) {
             case 0:
-              _context3.prev = 0;
-              _context3.next = 3;
+              _context4.next = 2;
               return this._contract.call({
                 "function": 'payBackLoan',
-                args: [options.loan.id]
+                args: [options.loan.id],
+                dryRun: options === null || options === void 0 ? void 0 : options.dryRun,
+                callbacks: options === null || options === void 0 ? void 0 : options.callbacks,
+                wait: options === null || options === void 0 ? void 0 : options.wait,
+                fee: options === null || options === void 0 ? void 0 : options.fee,
+                gas: options === null || options === void 0 ? void 0 : options.gas
               });
-            case 3:
-              result = _context3.sent;
-              success = (result === null || result === void 0 ? void 0 : result.status) === 1;
-              _context3.next = 10;
-              break;
-            case 7:
-              _context3.prev = 7;
-              _context3.t0 = _context3["catch"](0);
-              success = false;
-            case 10:
-              return _context3.abrupt("return", success);
-            case 11:
+            case 2:
+              result = _context4.sent;
+              if (!(options !== null && options !== void 0 && options.dryRun || (options === null || options === void 0 ? void 0 : options.wait) === false)) {
+                _context4.next = 5;
+                break;
+              }
+              return _context4.abrupt("return", result);
+            case 5:
+              return _context4.abrupt("return", {
+                receipt: result,
+                status: (result === null || result === void 0 ? void 0 : result.status) === 1
+              });
+            case 6:
             case "end":
-              return _context3.stop();
+              return _context4.stop();
           }
-        }, _callee3, this, [[0, 7]]);
+        }, _callee4, this);
       }));
-      function payBackLoan(_x3) {
+      function payBackLoan(_x4) {
         return _payBackLoan.apply(this, arguments);
       }
       return payBackLoan;
@@ -176,38 +237,196 @@ var LoansFixedV2_3 = /*#__PURE__*/function () {
   }, {
     key: "cancelLoanCommitmentBeforeLoanHasBegun",
     value: function () {
-      var _cancelLoanCommitmentBeforeLoanHasBegun = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee4(options) {
-        var success, result;
-        return _regenerator["default"].wrap(function _callee4$(_context4) {
-          while (1) switch (_context4.prev = _context4.next) {
+      var _cancelLoanCommitmentBeforeLoanHasBegun = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee5(options) {
+        var result;
+        return _regenerator["default"].wrap(function _callee5$(_context5) {
+          while (1) switch (_context5.prev = _context5.next) {
             case 0:
-              _context4.prev = 0;
-              _context4.next = 3;
+              _context5.next = 2;
               return this._contract.call({
                 "function": 'cancelLoanCommitmentBeforeLoanHasBegun',
-                args: [options.offer.nonce]
+                args: [options.offer.nonce],
+                dryRun: options === null || options === void 0 ? void 0 : options.dryRun,
+                callbacks: options === null || options === void 0 ? void 0 : options.callbacks,
+                wait: options === null || options === void 0 ? void 0 : options.wait,
+                fee: options === null || options === void 0 ? void 0 : options.fee,
+                gas: options === null || options === void 0 ? void 0 : options.gas
               });
+            case 2:
+              result = _context5.sent;
+              if (!(options !== null && options !== void 0 && options.dryRun || (options === null || options === void 0 ? void 0 : options.wait) === false)) {
+                _context5.next = 5;
+                break;
+              }
+              return _context5.abrupt("return", result);
+            case 5:
+              return _context5.abrupt("return", (result === null || result === void 0 ? void 0 : result.status) === 1);
+            case 6:
+            case "end":
+              return _context5.stop();
+          }
+        }, _callee5, this);
+      }));
+      function cancelLoanCommitmentBeforeLoanHasBegun(_x5) {
+        return _cancelLoanCommitmentBeforeLoanHasBegun.apply(this, arguments);
+      }
+      return cancelLoanCommitmentBeforeLoanHasBegun;
+    }()
+  }, {
+    key: "getLoan",
+    value: function () {
+      var _getLoan = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee6(options) {
+        var _started$, _started$$args, _resolved$args, _started$2, _started$2$args;
+        var id, _yield$Promise$all, _yield$Promise$all2, terms, repaidOrLiquidated, started, exists, _yield$Promise$all3, _yield$Promise$all4, repaid, liquidated, resolved;
+        return _regenerator["default"].wrap(function _callee6$(_context6) {
+          while (1) switch (_context6.prev = _context6.next) {
+            case 0:
+              id = options.loan.id;
+              _context6.next = 3;
+              return Promise.all([this._contract.call({
+                "function": 'loanIdToLoan',
+                args: [id]
+              }), this._contract.call({
+                "function": 'loanRepaidOrLiquidated',
+                args: [id]
+              }), this._contract.events({
+                type: 'LoanStarted',
+                args: [id]
+              })]);
             case 3:
-              result = _context4.sent;
-              success = (result === null || result === void 0 ? void 0 : result.status) === 1;
-              _context4.next = 10;
+              _yield$Promise$all = _context6.sent;
+              _yield$Promise$all2 = (0, _slicedToArray2["default"])(_yield$Promise$all, 3);
+              terms = _yield$Promise$all2[0];
+              repaidOrLiquidated = _yield$Promise$all2[1];
+              started = _yield$Promise$all2[2];
+              if (repaidOrLiquidated) {
+                _context6.next = 20;
+                break;
+              }
+              exists = Number(terms === null || terms === void 0 ? void 0 : terms.loanStartTime) > 0;
+              _context6.t0 = terms;
+              if (!exists) {
+                _context6.next = 17;
+                break;
+              }
+              _context6.next = 14;
+              return this._getNoteOwner(id);
+            case 14:
+              _context6.t1 = _context6.sent;
+              _context6.next = 18;
               break;
-            case 7:
-              _context4.prev = 7;
-              _context4.t0 = _context4["catch"](0);
-              success = false;
+            case 17:
+              _context6.t1 = null;
+            case 18:
+              _context6.t2 = _context6.t1;
+              return _context6.abrupt("return", {
+                terms: _context6.t0,
+                lender: _context6.t2,
+                repaid: false,
+                liquidated: false
+              });
+            case 20:
+              _context6.next = 22;
+              return Promise.all([this._contract.events({
+                type: 'LoanRepaid',
+                args: [id]
+              }), this._contract.events({
+                type: 'LoanLiquidated',
+                args: [id]
+              })]);
+            case 22:
+              _yield$Promise$all3 = _context6.sent;
+              _yield$Promise$all4 = (0, _slicedToArray2["default"])(_yield$Promise$all3, 2);
+              repaid = _yield$Promise$all4[0];
+              liquidated = _yield$Promise$all4[1];
+              resolved = repaid[0] || liquidated[0];
+              return _context6.abrupt("return", {
+                terms: ((_started$ = started[0]) === null || _started$ === void 0 ? void 0 : (_started$$args = _started$.args) === null || _started$$args === void 0 ? void 0 : _started$$args.loanTerms) || null,
+                lender: (resolved === null || resolved === void 0 ? void 0 : (_resolved$args = resolved.args) === null || _resolved$args === void 0 ? void 0 : _resolved$args.lender) || ((_started$2 = started[0]) === null || _started$2 === void 0 ? void 0 : (_started$2$args = _started$2.args) === null || _started$2$args === void 0 ? void 0 : _started$2$args.lender) || null,
+                repaid: liquidated.length === 0,
+                liquidated: liquidated.length > 0
+              });
+            case 28:
+            case "end":
+              return _context6.stop();
+          }
+        }, _callee6, this);
+      }));
+      function getLoan(_x6) {
+        return _getLoan.apply(this, arguments);
+      }
+      return getLoan;
+    }() // The lender of an active loan is whoever holds its promissory note, as the note can change hands
+  }, {
+    key: "_getNoteOwner",
+    value: function () {
+      var _getNoteOwner2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee7(loanId) {
+        var _yield$Promise$all5, _yield$Promise$all6, hub, key, registry, coordinator, _yield$Promise$all7, _yield$Promise$all8, loan, note, promissoryNote;
+        return _regenerator["default"].wrap(function _callee7$(_context7) {
+          while (1) switch (_context7.prev = _context7.next) {
+            case 0:
+              _context7.next = 2;
+              return Promise.all([this._contract.call({
+                "function": 'hub',
+                args: []
+              }), this._contract.call({
+                "function": 'LOAN_COORDINATOR',
+                args: []
+              })]);
+            case 2:
+              _yield$Promise$all5 = _context7.sent;
+              _yield$Promise$all6 = (0, _slicedToArray2["default"])(_yield$Promise$all5, 2);
+              hub = _yield$Promise$all6[0];
+              key = _yield$Promise$all6[1];
+              registry = (0, _classPrivateFieldGet3["default"])(this, _contractFactory).create({
+                address: hub,
+                abi: (0, _classPrivateFieldGet3["default"])(this, _config).loan.hub.abi
+              });
+              _context7.t0 = (0, _classPrivateFieldGet3["default"])(this, _contractFactory);
+              _context7.next = 10;
+              return registry.call({
+                "function": 'getContract',
+                args: [key]
+              });
             case 10:
-              return _context4.abrupt("return", success);
-            case 11:
+              _context7.t1 = _context7.sent;
+              _context7.t2 = (0, _classPrivateFieldGet3["default"])(this, _config).loan.coordinator.abi;
+              _context7.t3 = {
+                address: _context7.t1,
+                abi: _context7.t2
+              };
+              coordinator = _context7.t0.create.call(_context7.t0, _context7.t3);
+              _context7.next = 16;
+              return Promise.all([coordinator.call({
+                "function": 'getLoanData',
+                args: [loanId]
+              }), coordinator.call({
+                "function": 'promissoryNoteToken',
+                args: []
+              })]);
+            case 16:
+              _yield$Promise$all7 = _context7.sent;
+              _yield$Promise$all8 = (0, _slicedToArray2["default"])(_yield$Promise$all7, 2);
+              loan = _yield$Promise$all8[0];
+              note = _yield$Promise$all8[1];
+              promissoryNote = (0, _classPrivateFieldGet3["default"])(this, _contractFactory).create({
+                address: note,
+                abi: (0, _classPrivateFieldGet3["default"])(this, _config).erc721.abi
+              });
+              return _context7.abrupt("return", promissoryNote.call({
+                "function": 'ownerOf',
+                args: [loan.smartNftId]
+              }));
+            case 22:
             case "end":
-              return _context4.stop();
+              return _context7.stop();
           }
-        }, _callee4, this, [[0, 7]]);
+        }, _callee7, this);
       }));
-      function cancelLoanCommitmentBeforeLoanHasBegun(_x4) {
-        return _cancelLoanCommitmentBeforeLoanHasBegun.apply(this, arguments);
+      function _getNoteOwner(_x7) {
+        return _getNoteOwner2.apply(this, arguments);
       }
-      return cancelLoanCommitmentBeforeLoanHasBegun;
+      return _getNoteOwner;
     }()
   }]);
   return LoansFixedV2_3;
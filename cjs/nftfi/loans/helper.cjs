@@ -0,0 +1,180 @@
+"use strict";
+
+var _interopRequireDefault = require("@babel/runtime/helpers/interopRequireDefault");
+Object.defineProperty(exports, "__esModule", {
+  value: true
+});
+exports["default"] = void 0;
+var _slicedToArray2 = _interopRequireDefault(require("@babel/runtime/helpers/slicedToArray"));
+var _defineProperty2 = _interopRequireDefault(require("@babel/runtime/helpers/defineProperty"));
+var _classCallCheck2 = _interopRequireDefault(require("@babel/runtime/helpers/classCallCheck"));
+var _createClass2 = _interopRequireDefault(require("@babel/runtime/helpers/createClass"));
+var _classPrivateFieldGet2 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldGet"));
+var _classPrivateFieldSet2 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldSet"));
+function ownKeys(object, enumerableOnly) { var keys = Object.keys(object); if (Object.getOwnPropertySymbols) { var symbols = Object.getOwnPropertySymbols(object); enumerableOnly && (symbols = symbols.filter(function (sym) { return Object.getOwnPropertyDescriptor(object, sym).enumerable; })), keys.push.apply(keys, symbols); } return keys; }
+function _objectSpread(target) { for (var i = 1; i < arguments.length; i++) { var source = null != arguments[i] ? arguments[i] : {}; i % 2 ? ownKeys(Object(source), !0).forEach(function (key) { (0, _defineProperty2["default"])(target, key, source[key]); }) : Object.getOwnPropertyDescriptors ? Object.defineProperties(target, Object.getOwnPropertyDescriptors(source)) : ownKeys(Object(source)).forEach(function (key) { Object.defineProperty(target, key, Object.getOwnPropertyDescriptor(source, key)); }); } return target; }
+function _classPrivateFieldInitSpec(obj, privateMap, value) { _checkPrivateRedeclaration(obj, privateMap); privateMap.set(obj, value); }
+function _checkPrivateRedeclaration(obj, privateCollection) { if (privateCollection.has(obj)) { throw new TypeError("Cannot initialize the same private elements twice on an object"); } }
+var _config = /*#__PURE__*/new WeakMap();
+var _account = /*#__PURE__*/new WeakMap();
+var _assertion = /*#__PURE__*/new WeakMap();
+var LoansHelper = /*#__PURE__*/function () {
+  function LoansHelper() {
+    var options = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : {};
+    (0, _classCallCheck2["default"])(this, LoansHelper);
+    _classPrivateFieldInitSpec(this, _config, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _account, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _assertion, {
+      writable: true,
+      value: void 0
+    });
+    (0, _classPrivateFieldSet2["default"])(this, _config, options === null || options === void 0 ? void 0 : options.config);
+    (0, _classPrivateFieldSet2["default"])(this, _account, options === null || options === void 0 ? void 0 : options.account);
+    (0, _classPrivateFieldSet2["default"])(this, _assertion, options === null || options === void 0 ? void 0 : options.assertion);
+  }
+
+  // if no account address is provided, we default to the account address of the sdk
+  (0, _createClass2["default"])(LoansHelper, [{
+    key: "_addAccount",
+    value: function _addAccount(options, params) {
+      var _options$filters, _options$filters$acco;
+      var address = options === null || options === void 0 ? void 0 : (_options$filters = options.filters) === null || _options$filters === void 0 ? void 0 : (_options$filters$acco = _options$filters.account) === null || _options$filters$acco === void 0 ? void 0 : _options$filters$acco.address;
+      if (address) {
+        return _objectSpread(_objectSpread({}, params), {}, {
+          accountAddress: Array.isArray(address) ? address.join(',') : address
+        });
+      }
+      (0, _classPrivateFieldGet2["default"])(this, _assertion).hasAddress('Account address required, please provide a value in options.filters.account.address or on sdk initialization.');
+      return _objectSpread(_objectSpread({}, params), {}, {
+        accountAddress: (0, _classPrivateFieldGet2["default"])(this, _account).getAddress()
+      });
+    }
+  }, {
+    key: "_addCounterpartyAndStatus",
+    value: function _addCounterpartyAndStatus(options, params) {
+      var _options$filters2, _options$filters3;
+      return _objectSpread(_objectSpread({}, params), {}, {
+        counterparty: options === null || options === void 0 ? void 0 : (_options$filters2 = options.filters) === null || _options$filters2 === void 0 ? void 0 : _options$filters2.counterparty,
+        status: options === null || options === void 0 ? void 0 : (_options$filters3 = options.filters) === null || _options$filters3 === void 0 ? void 0 : _options$filters3.status
+      });
+    }
+  }, {
+    key: "_addNft",
+    value: function _addNft(options, params) {
+      var _options$filters4, _options$filters4$nft, _options$filters5, _options$filters5$nft, _options$filters6, _options$filters6$nft;
+      if (options !== null && options !== void 0 && (_options$filters4 = options.filters) !== null && _options$filters4 !== void 0 && (_options$filters4$nft = _options$filters4.nft) !== null && _options$filters4$nft !== void 0 && _options$filters4$nft.address) {
+        params = _objectSpread(_objectSpread({}, params), {}, {
+          nftAddress: options.filters.nft.address
+        });
+      }
+      if (options !== null && options !== void 0 && (_options$filters5 = options.filters) !== null && _options$filters5 !== void 0 && (_options$filters5$nft = _options$filters5.nft) !== null && _options$filters5$nft !== void 0 && _options$filters5$nft.address && options !== null && options !== void 0 && (_options$filters6 = options.filters) !== null && _options$filters6 !== void 0 && (_options$filters6$nft = _options$filters6.nft) !== null && _options$filters6$nft !== void 0 && _options$filters6$nft.id) {
+        params = _objectSpread(_objectSpread({}, params), {}, {
+          nftId: options.filters.nft.id
+        });
+      }
+      return params;
+    }
+  }, {
+    key: "_addContract",
+    value: function _addContract(options, params) {
+      var _options$filters7, _options$filters7$nft, _options$filters7$nft2;
+      if (options !== null && options !== void 0 && (_options$filters7 = options.filters) !== null && _options$filters7 !== void 0 && (_options$filters7$nft = _options$filters7.nftfi) !== null && _options$filters7$nft !== void 0 && (_options$filters7$nft2 = _options$filters7$nft.contract) !== null && _options$filters7$nft2 !== void 0 && _options$filters7$nft2.name) {
+        var _options$filters8, _options$filters8$nft, _options$filters8$nft2;
+        return _objectSpread(_objectSpread({}, params), {}, {
+          contractName: options === null || options === void 0 ? void 0 : (_options$filters8 = options.filters) === null || _options$filters8 === void 0 ? void 0 : (_options$filters8$nft = _options$filters8.nftfi) === null || _options$filters8$nft === void 0 ? void 0 : (_options$filters8$nft2 = _options$filters8$nft.contract) === null || _options$filters8$nft2 === void 0 ? void 0 : _options$filters8$nft2.name
+        });
+      }
+      return params;
+    }
+
+    // date ranges are timestamps in seconds, like the `date` of loans
+  }, {
+    key: "_addDates",
+    value: function _addDates(options, params) {
+      var _options$filters9, _options$filters9$dat, _options$filters9$dat2, _options$filters10, _options$filters10$da, _options$filters10$da2, _options$filters11, _options$filters11$da, _options$filters11$da2, _options$filters12, _options$filters12$da, _options$filters12$da2;
+      var ranges = {
+        dateStartedGte: options === null || options === void 0 ? void 0 : (_options$filters9 = options.filters) === null || _options$filters9 === void 0 ? void 0 : (_options$filters9$dat = _options$filters9.date) === null || _options$filters9$dat === void 0 ? void 0 : (_options$filters9$dat2 = _options$filters9$dat.started) === null || _options$filters9$dat2 === void 0 ? void 0 : _options$filters9$dat2.gte,
+        dateStartedLte: options === null || options === void 0 ? void 0 : (_options$filters10 = options.filters) === null || _options$filters10 === void 0 ? void 0 : (_options$filters10$da = _options$filters10.date) === null || _options$filters10$da === void 0 ? void 0 : (_options$filters10$da2 = _options$filters10$da.started) === null || _options$filters10$da2 === void 0 ? void 0 : _options$filters10$da2.lte,
+        dateDueGte: options === null || options === void 0 ? void 0 : (_options$filters11 = options.filters) === null || _options$filters11 === void 0 ? void 0 : (_options$filters11$da = _options$filters11.date) === null || _options$filters11$da === void 0 ? void 0 : (_options$filters11$da2 = _options$filters11$da.due) === null || _options$filters11$da2 === void 0 ? void 0 : _options$filters11$da2.gte,
+        dateDueLte: options === null || options === void 0 ? void 0 : (_options$filters12 = options.filters) === null || _options$filters12 === void 0 ? void 0 : (_options$filters12$da = _options$filters12.date) === null || _options$filters12$da === void 0 ? void 0 : (_options$filters12$da2 = _options$filters12$da.due) === null || _options$filters12$da2 === void 0 ? void 0 : _options$filters12$da2.lte
+      };
+      for (var _i = 0, _Object$entries = Object.entries(ranges); _i < _Object$entries.length; _i++) {
+        var _Object$entries$_i = (0, _slicedToArray2["default"])(_Object$entries[_i], 2),
+          param = _Object$entries$_i[0],
+          value = _Object$entries$_i[1];
+        if (value !== undefined) params = _objectSpread(_objectSpread({}, params), {}, (0, _defineProperty2["default"])({}, param, value));
+      }
+      return params;
+    }
+  }, {
+    key: "_addFilters",
+    value: function _addFilters(options, params) {
+      var _options$filters13, _options$filters13$lo, _options$filters13$lo2, _options$filters13$lo3, _options$filters15, _options$filters15$lo, _options$filters15$lo2, _options$filters17, _options$filters17$lo, _options$filters17$lo2;
+      if (options !== null && options !== void 0 && (_options$filters13 = options.filters) !== null && _options$filters13 !== void 0 && (_options$filters13$lo = _options$filters13.loan) !== null && _options$filters13$lo !== void 0 && (_options$filters13$lo2 = _options$filters13$lo.currency) !== null && _options$filters13$lo2 !== void 0 && (_options$filters13$lo3 = _options$filters13$lo2.address) !== null && _options$filters13$lo3 !== void 0 && _options$filters13$lo3.eq) {
+        var _options$filters14, _options$filters14$lo, _options$filters14$lo2, _options$filters14$lo3;
+        params = _objectSpread(_objectSpread({}, params), {}, {
+          termsCurrencyAddress: options === null || options === void 0 ? void 0 : (_options$filters14 = options.filters) === null || _options$filters14 === void 0 ? void 0 : (_options$filters14$lo = _options$filters14.loan) === null || _options$filters14$lo === void 0 ? void 0 : (_options$filters14$lo2 = _options$filters14$lo.currency) === null || _options$filters14$lo2 === void 0 ? void 0 : (_options$filters14$lo3 = _options$filters14$lo2.address) === null || _options$filters14$lo3 === void 0 ? void 0 : _options$filters14$lo3.eq
+        });
+      }
+      if (options !== null && options !== void 0 && (_options$filters15 = options.filters) !== null && _options$filters15 !== void 0 && (_options$filters15$lo = _options$filters15.loan) !== null && _options$filters15$lo !== void 0 && (_options$filters15$lo2 = _options$filters15$lo.principal) !== null && _options$filters15$lo2 !== void 0 && _options$filters15$lo2.gte) {
+        var _options$filters16, _options$filters16$lo, _options$filters16$lo2;
+        params = _objectSpread(_objectSpread({}, params), {}, {
+          termsPrincipalGte: options === null || options === void 0 ? void 0 : (_options$filters16 = options.filters) === null || _options$filters16 === void 0 ? void 0 : (_options$filters16$lo = _options$filters16.loan) === null || _options$filters16$lo === void 0 ? void 0 : (_options$filters16$lo2 = _options$filters16$lo.principal) === null || _options$filters16$lo2 === void 0 ? void 0 : _options$filters16$lo2.gte
+        });
+      }
+      if (options !== null && options !== void 0 && (_options$filters17 = options.filters) !== null && _options$filters17 !== void 0 && (_options$filters17$lo = _options$filters17.loan) !== null && _options$filters17$lo !== void 0 && (_options$filters17$lo2 = _options$filters17$lo.principal) !== null && _options$filters17$lo2 !== void 0 && _options$filters17$lo2.lte) {
+        var _options$filters18, _options$filters18$lo, _options$filters18$lo2;
+        params = _objectSpread(_objectSpread({}, params), {}, {
+          termsPrincipalLte: options === null || options === void 0 ? void 0 : (_options$filters18 = options.filters) === null || _options$filters18 === void 0 ? void 0 : (_options$filters18$lo = _options$filters18.loan) === null || _options$filters18$lo === void 0 ? void 0 : (_options$filters18$lo2 = _options$filters18$lo.principal) === null || _options$filters18$lo2 === void 0 ? void 0 : _options$filters18$lo2.lte
+        });
+      }
+      return params;
+    }
+  }, {
+    key: "_addPagination",
+    value: function _addPagination(options, params) {
+      if (options !== null && options !== void 0 && options.pagination) {
+        var _options$pagination, _options$pagination2, _options$pagination3, _options$pagination4;
+        var limit = (options === null || options === void 0 ? void 0 : (_options$pagination = options.pagination) === null || _options$pagination === void 0 ? void 0 : _options$pagination.limit) || (0, _classPrivateFieldGet2["default"])(this, _config).pagination.limit;
+        var page = (options === null || options === void 0 ? void 0 : (_options$pagination2 = options.pagination) === null || _options$pagination2 === void 0 ? void 0 : _options$pagination2.page) || (0, _classPrivateFieldGet2["default"])(this, _config).pagination.page;
+        var sort = (options === null || options === void 0 ? void 0 : (_options$pagination3 = options.pagination) === null || _options$pagination3 === void 0 ? void 0 : _options$pagination3.sort) || null;
+        var direction = (options === null || options === void 0 ? void 0 : (_options$pagination4 = options.pagination) === null || _options$pagination4 === void 0 ? void 0 : _options$pagination4.direction) || null;
+        if (sort && direction) {
+          return _objectSpread(_objectSpread({}, params), {}, {
+            page: page,
+            limit: limit,
+            sort: sort,
+            direction: direction
+          });
+        }
+        return _objectSpread(_objectSpread({}, params), {}, {
+          page: page,
+          limit: limit
+        });
+      }
+      return params;
+    }
+  }, {
+    key: "getParams",
+    value: function getParams(options) {
+      var params = {};
+      params = this._addAccount(options, params);
+      params = this._addCounterpartyAndStatus(options, params);
+      params = this._addNft(options, params);
+      params = this._addContract(options, params);
+      params = this._addDates(options, params);
+      params = this._addFilters(options, params);
+      params = this._addPagination(options, params);
+      return params;
+    }
+  }]);
+  return LoansHelper;
+}();
+var _default = LoansHelper;
+exports["default"] = _default;
\ No newline at end of file
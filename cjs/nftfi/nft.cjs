@@ -12,6 +12,7 @@ var _createClass2 = _interopRequireDefault(require("@babel/runtime/helpers/creat
 var _defineProperty2 = _interopRequireDefault(require("@babel/runtime/helpers/defineProperty"));
 var _classPrivateFieldGet2 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldGet"));
 var _classPrivateFieldSet2 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldSet"));
+var _errors = require("./errors.cjs");
 function ownKeys(object, enumerableOnly) { var keys = Object.keys(object); if (Object.getOwnPropertySymbols) { var symbols = Object.getOwnPropertySymbols(object); enumerableOnly && (symbols = symbols.filter(function (sym) { return Object.getOwnPropertyDescriptor(object, sym).enumerable; })), keys.push.apply(keys, symbols); } return keys; }
 function _objectSpread(target) { for (var i = 1; i < arguments.length; i++) { var source = null != arguments[i] ? arguments[i] : {}; i % 2 ? ownKeys(Object(source), !0).forEach(function (key) { (0, _defineProperty2["default"])(target, key, source[key]); }) : Object.getOwnPropertyDescriptors ? Object.defineProperties(target, Object.getOwnPropertyDescriptors(source)) : ownKeys(Object(source)).forEach(function (key) { Object.defineProperty(target, key, Object.getOwnPropertyDescriptor(source, key)); }); } return target; }
 function _classPrivateFieldInitSpec(obj, privateMap, value) { _checkPrivateRedeclaration(obj, privateMap); privateMap.set(obj, value); }
@@ -114,20 +115,26 @@ var Nft = /*#__PURE__*/function () {
               success = _context.sent;
               return _context.abrupt("break", 26);
             case 25:
-              throw 'specified contract is not supported';
+              throw new _errors.UnsupportedContractError('specified contract is not supported');
             case 26:
+              if (!(options !== null && options !== void 0 && options.dryRun)) {
+                _context.next = 28;
+                break;
+              }
+              return _context.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _result).handle(success));
+            case 28:
               return _context.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _result).handle({
                 success: success
               }));
-            case 29:
-              _context.prev = 29;
+            case 31:
+              _context.prev = 31;
               _context.t2 = _context["catch"](0);
               return _context.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle(_context.t2));
-            case 32:
+            case 34:
             case "end":
               return _context.stop();
           }
-        }, _callee, this, [[0, 29]]);
+        }, _callee, this, [[0, 31]]);
       }));
       function approve(_x) {
         return _approve.apply(this, arguments);
@@ -180,7 +187,7 @@ var Nft = /*#__PURE__*/function () {
               approved = _context2.sent;
               return _context2.abrupt("break", 26);
             case 25:
-              throw 'specified contract is not supported';
+              throw new _errors.UnsupportedContractError('specified contract is not supported');
             case 26:
               return _context2.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _result).handle({
                 approved: approved
@@ -239,7 +246,7 @@ var Nft = /*#__PURE__*/function () {
               ownerAddress = _context3.sent;
               return _context3.abrupt("break", 21);
             case 20:
-              throw 'specified contract is not supported';
+              throw new _errors.UnsupportedContractError('specified contract is not supported');
             case 21:
               return _context3.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _result).handle({
                 address: ownerAddress
@@ -308,7 +315,7 @@ var Nft = /*#__PURE__*/function () {
               result = (0, _classPrivateFieldGet2["default"])(this, _ethers).utils.getAddress(ownerAddress) === accountAddress;
               return _context4.abrupt("break", 29);
             case 28:
-              throw 'specified contract is not supported';
+              throw new _errors.UnsupportedContractError('specified contract is not supported');
             case 29:
               return _context4.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _result).handle({
                 result: result
@@ -351,7 +358,7 @@ var Nft = /*#__PURE__*/function () {
               balance = _context5.sent;
               return _context5.abrupt("break", 12);
             case 11:
-              throw 'specified contract is not supported';
+              throw new _errors.UnsupportedContractError('specified contract is not supported');
             case 12:
               return _context5.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _result).handle({
                 result: balance
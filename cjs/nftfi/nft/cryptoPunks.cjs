@@ -16,6 +16,7 @@ function _checkPrivateRedeclaration(obj, privateCollection) { if (privateCollect
 var _config = /*#__PURE__*/new WeakMap();
 var _contractFactory = /*#__PURE__*/new WeakMap();
 var _contract = /*#__PURE__*/new WeakMap();
+var _registry = /*#__PURE__*/new WeakMap();
 var CryptoPunks = /*#__PURE__*/function () {
   function CryptoPunks(options) {
     (0, _classCallCheck2["default"])(this, CryptoPunks);
@@ -31,8 +32,13 @@ var CryptoPunks = /*#__PURE__*/function () {
       writable: true,
       value: void 0
     });
+    _classPrivateFieldInitSpec(this, _registry, {
+      writable: true,
+      value: void 0
+    });
     (0, _classPrivateFieldSet2["default"])(this, _config, options === null || options === void 0 ? void 0 : options.config);
     (0, _classPrivateFieldSet2["default"])(this, _contractFactory, options === null || options === void 0 ? void 0 : options.contractFactory);
+    (0, _classPrivateFieldSet2["default"])(this, _registry, options === null || options === void 0 ? void 0 : options.registry);
   }
   (0, _createClass2["default"])(CryptoPunks, [{
     key: "_contract",
@@ -48,16 +54,7 @@ var CryptoPunks = /*#__PURE__*/function () {
   }, {
     key: "_getContractAddress",
     value: function _getContractAddress(contractName) {
-      switch (contractName) {
-        case 'v2-1.loan.fixed':
-          return (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.v2_1.address;
-        case 'v2-3.loan.fixed':
-          return (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.v2_3.address;
-        case 'v2.loan.fixed.collection':
-          return (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.collection.v2.address;
-        case 'v2-3.loan.fixed.collection':
-          return (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.collection.v2_3.address;
-      }
+      return (0, _classPrivateFieldGet2["default"])(this, _registry).get(contractName).address;
     }
   }, {
     key: "approve",
@@ -73,13 +70,20 @@ var CryptoPunks = /*#__PURE__*/function () {
               _context.next = 5;
               return this._contract.call({
                 "function": 'offerPunkForSaleToAddress',
-                args: [punkIndex, minSalePriceInWei, toAddress]
+                args: [punkIndex, minSalePriceInWei, toAddress],
+                dryRun: options === null || options === void 0 ? void 0 : options.dryRun
               });
             case 5:
               result = _context.sent;
+              if (!(options !== null && options !== void 0 && options.dryRun)) {
+                _context.next = 8;
+                break;
+              }
+              return _context.abrupt("return", result);
+            case 8:
               success = (result === null || result === void 0 ? void 0 : result.status) === 1;
               return _context.abrupt("return", success);
-            case 8:
+            case 10:
             case "end":
               return _context.stop();
           }
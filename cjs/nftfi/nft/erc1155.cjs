@@ -16,6 +16,7 @@ function _checkPrivateRedeclaration(obj, privateCollection) { if (privateCollect
 var _config = /*#__PURE__*/new WeakMap();
 var _contractFactory = /*#__PURE__*/new WeakMap();
 var _account = /*#__PURE__*/new WeakMap();
+var _registry = /*#__PURE__*/new WeakMap();
 /**
  * @class
  * Class for working with ERC1155 multi token standard.
@@ -35,27 +36,19 @@ var Erc1155 = /*#__PURE__*/function () {
       writable: true,
       value: void 0
     });
+    _classPrivateFieldInitSpec(this, _registry, {
+      writable: true,
+      value: void 0
+    });
     (0, _classPrivateFieldSet2["default"])(this, _config, options === null || options === void 0 ? void 0 : options.config);
     (0, _classPrivateFieldSet2["default"])(this, _contractFactory, options === null || options === void 0 ? void 0 : options.contractFactory);
     (0, _classPrivateFieldSet2["default"])(this, _account, options === null || options === void 0 ? void 0 : options.account);
+    (0, _classPrivateFieldSet2["default"])(this, _registry, options === null || options === void 0 ? void 0 : options.registry);
   }
   (0, _createClass2["default"])(Erc1155, [{
     key: "_getContractAddress",
     value: function _getContractAddress(contractName) {
-      switch (contractName) {
-        case 'v1.loan.fixed':
-          return (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.v1.address;
-        case 'v2.loan.fixed':
-          return (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.v2.address;
-        case 'v2-1.loan.fixed':
-          return (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.v2_1.address;
-        case 'v2-3.loan.fixed':
-          return (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.v2_3.address;
-        case 'v2.loan.fixed.collection':
-          return (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.collection.v2.address;
-        case 'v2-3.loan.fixed.collection':
-          return (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.collection.v2_3.address;
-      }
+      return (0, _classPrivateFieldGet2["default"])(this, _registry).get(contractName).address;
     }
 
     /**
@@ -65,6 +58,7 @@ var Erc1155 = /*#__PURE__*/function () {
      * @param {object} options - Options
      * @param {string} options.token.address - The ERC1155 token address
      * @param {string} options.nftfi.contract.name - The name of the NFTfi contract (eg. `v2-3.loan.fixed`, `v2-3.loan.fixed.collection`)
+     * @param {boolean} [options.dryRun=false] - Return the populated transaction, its gas estimate and revert reason (if any), without sending it (optional)
      * @returns {boolean} Boolean value indicating whether the operation succeeded
      *
      * @example
@@ -92,13 +86,20 @@ var Erc1155 = /*#__PURE__*/function () {
               _context.next = 5;
               return contract.call({
                 "function": 'setApprovalForAll',
-                args: [contractAddress, true]
+                args: [contractAddress, true],
+                dryRun: options === null || options === void 0 ? void 0 : options.dryRun
               });
             case 5:
               result = _context.sent;
+              if (!(options !== null && options !== void 0 && options.dryRun)) {
+                _context.next = 8;
+                break;
+              }
+              return _context.abrupt("return", result);
+            case 8:
               success = (result === null || result === void 0 ? void 0 : result.status) === 1;
               return _context.abrupt("return", success);
-            case 8:
+            case 10:
             case "end":
               return _context.stop();
           }
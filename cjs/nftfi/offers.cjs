@@ -6,16 +6,31 @@ Object.defineProperty(exports, "__esModule", {
 });
 exports["default"] = void 0;
 var _regenerator = _interopRequireDefault(require("@babel/runtime/regenerator"));
+var _slicedToArray2 = _interopRequireDefault(require("@babel/runtime/helpers/slicedToArray"));
+var _toConsumableArray2 = _interopRequireDefault(require("@babel/runtime/helpers/toConsumableArray"));
 var _defineProperty2 = _interopRequireDefault(require("@babel/runtime/helpers/defineProperty"));
 var _asyncToGenerator2 = _interopRequireDefault(require("@babel/runtime/helpers/asyncToGenerator"));
 var _classCallCheck2 = _interopRequireDefault(require("@babel/runtime/helpers/classCallCheck"));
 var _createClass2 = _interopRequireDefault(require("@babel/runtime/helpers/createClass"));
 var _classPrivateFieldGet2 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldGet"));
 var _classPrivateFieldSet2 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldSet"));
+var _errors = require("./errors.cjs");
+function _createForOfIteratorHelper(o, allowArrayLike) { var it = typeof Symbol !== "undefined" && o[Symbol.iterator] || o["@@iterator"]; if (!it) { if (Array.isArray(o) || (it = _unsupportedIterableToArray(o)) || allowArrayLike && o && typeof o.length === "number") { if (it) o = it; var i = 0; var F = function F() {}; return { s: F, n: function n() { if (i >= o.length) return { done: true }; return { done: false, value: o[i++] }; }, e: function e(_e) { throw _e; }, f: F }; } throw new TypeError("Invalid attempt to iterate non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method."); } var normalCompletion = true, didErr = false, err; return { s: function s() { it = it.call(o); }, n: function n() { var step = it.next(); normalCompletion = step.done; return step; }, e: function e(_e2) { didErr = true; err = _e2; }, f: function f() { try { if (!normalCompletion && it["return"] != null) it["return"](); } finally { if (didErr) throw err; } } }; }
+function _unsupportedIterableToArray(o, minLen) { if (!o) return; if (typeof o === "string") return _arrayLikeToArray(o, minLen); var n = Object.prototype.toString.call(o).slice(8, -1); if (n === "Object" && o.constructor) n = o.constructor.name; if (n === "Map" || n === "Set") return Array.from(o); if (n === "Arguments" || /^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n)) return _arrayLikeToArray(o, minLen); }
+function _arrayLikeToArray(arr, len) { if (len == null || len > arr.length) len = arr.length; for (var i = 0, arr2 = new Array(len); i < len; i++) arr2[i] = arr[i]; return arr2; }
 function ownKeys(object, enumerableOnly) { var keys = Object.keys(object); if (Object.getOwnPropertySymbols) { var symbols = Object.getOwnPropertySymbols(object); enumerableOnly && (symbols = symbols.filter(function (sym) { return Object.getOwnPropertyDescriptor(object, sym).enumerable; })), keys.push.apply(keys, symbols); } return keys; }
 function _objectSpread(target) { for (var i = 1; i < arguments.length; i++) { var source = null != arguments[i] ? arguments[i] : {}; i % 2 ? ownKeys(Object(source), !0).forEach(function (key) { (0, _defineProperty2["default"])(target, key, source[key]); }) : Object.getOwnPropertyDescriptors ? Object.defineProperties(target, Object.getOwnPropertyDescriptors(source)) : ownKeys(Object(source)).forEach(function (key) { Object.defineProperty(target, key, Object.getOwnPropertyDescriptor(source, key)); }); } return target; }
 function _classPrivateFieldInitSpec(obj, privateMap, value) { _checkPrivateRedeclaration(obj, privateMap); privateMap.set(obj, value); }
 function _checkPrivateRedeclaration(obj, privateCollection) { if (privateCollection.has(obj)) { throw new TypeError("Cannot initialize the same private elements twice on an object"); } }
+function _asyncIterator(iterable) { var method, async, sync, retry = 2; for ("undefined" != typeof Symbol && (async = Symbol.asyncIterator, sync = Symbol.iterator); retry--;) { if (async && null != (method = iterable[async])) return method.call(iterable); if (sync && null != (method = iterable[sync])) return new AsyncFromSyncIterator(method.call(iterable)); async = "@@asyncIterator", sync = "@@iterator"; } throw new TypeError("Object is not async iterable"); }
+function AsyncFromSyncIterator(s) { function AsyncFromSyncIteratorContinuation(r) { if (Object(r) !== r) return Promise.reject(new TypeError(r + " is not an object.")); var done = r.done; return Promise.resolve(r.value).then(function (value) { return { value: value, done: done }; }); } return AsyncFromSyncIterator = function AsyncFromSyncIterator(s) { this.s = s, this.n = s.next; }, AsyncFromSyncIterator.prototype = { s: null, n: null, next: function next() { return AsyncFromSyncIteratorContinuation(this.n.apply(this.s, arguments)); }, "return": function _return(value) { var ret = this.s["return"]; return void 0 === ret ? Promise.resolve({ value: value, done: !0 }) : AsyncFromSyncIteratorContinuation(ret.apply(this.s, arguments)); }, "throw": function _throw(value) { var thr = this.s["return"]; return void 0 === thr ? Promise.reject(value) : AsyncFromSyncIteratorContinuation(thr.apply(this.s, arguments)); } }, new AsyncFromSyncIterator(s); }
+// Offers posted at the same time by `createMany`, unless specified
+var DEFAULT_CONCURRENCY = 5;
+
+/**
+ * @class
+ * Class for working with offers.
+ */
 var _account = /*#__PURE__*/new WeakMap();
 var _api = /*#__PURE__*/new WeakMap();
 var _offersHelper = /*#__PURE__*/new WeakMap();
@@ -23,14 +38,13 @@ var _loans = /*#__PURE__*/new WeakMap();
 var _config = /*#__PURE__*/new WeakMap();
 var _validator = /*#__PURE__*/new WeakMap();
 var _requests = /*#__PURE__*/new WeakMap();
+var _signatures = /*#__PURE__*/new WeakMap();
 var _result = /*#__PURE__*/new WeakMap();
 var _error = /*#__PURE__*/new WeakMap();
 var _helper = /*#__PURE__*/new WeakMap();
 var _assertion = /*#__PURE__*/new WeakMap();
-/**
- * @class
- * Class for working with offers.
- */
+var _terms = /*#__PURE__*/new WeakMap();
+var _utils = /*#__PURE__*/new WeakMap();
 var Offers = /*#__PURE__*/function () {
   function Offers() {
     var options = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : {};
@@ -63,6 +77,10 @@ var Offers = /*#__PURE__*/function () {
       writable: true,
       value: void 0
     });
+    _classPrivateFieldInitSpec(this, _signatures, {
+      writable: true,
+      value: void 0
+    });
     _classPrivateFieldInitSpec(this, _result, {
       writable: true,
       value: void 0
@@ -79,6 +97,14 @@ var Offers = /*#__PURE__*/function () {
       writable: true,
       value: void 0
     });
+    _classPrivateFieldInitSpec(this, _terms, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _utils, {
+      writable: true,
+      value: void 0
+    });
     (0, _classPrivateFieldSet2["default"])(this, _account, options === null || options === void 0 ? void 0 : options.account);
     (0, _classPrivateFieldSet2["default"])(this, _api, options === null || options === void 0 ? void 0 : options.api);
     (0, _classPrivateFieldSet2["default"])(this, _offersHelper, options === null || options === void 0 ? void 0 : options.offersHelper);
@@ -86,10 +112,13 @@ var Offers = /*#__PURE__*/function () {
     (0, _classPrivateFieldSet2["default"])(this, _config, options === null || options === void 0 ? void 0 : options.config);
     (0, _classPrivateFieldSet2["default"])(this, _validator, options === null || options === void 0 ? void 0 : options.offersValidator);
     (0, _classPrivateFieldSet2["default"])(this, _requests, options === null || options === void 0 ? void 0 : options.offersRequests);
+    (0, _classPrivateFieldSet2["default"])(this, _signatures, options === null || options === void 0 ? void 0 : options.offersSignatures);
     (0, _classPrivateFieldSet2["default"])(this, _error, options === null || options === void 0 ? void 0 : options.error);
     (0, _classPrivateFieldSet2["default"])(this, _result, options === null || options === void 0 ? void 0 : options.result);
     (0, _classPrivateFieldSet2["default"])(this, _helper, options === null || options === void 0 ? void 0 : options.helper);
     (0, _classPrivateFieldSet2["default"])(this, _assertion, options === null || options === void 0 ? void 0 : options.assertion);
+    (0, _classPrivateFieldSet2["default"])(this, _terms, options === null || options === void 0 ? void 0 : options.terms);
+    (0, _classPrivateFieldSet2["default"])(this, _utils, options === null || options === void 0 ? void 0 : options.utils);
   }
 
   /**
@@ -112,6 +141,7 @@ var Offers = /*#__PURE__*/function () {
    * @param {string} [options.pagination.sort] - Field to sort by (optional)
    * @param {'asc' | 'desc'} [options.pagination.direction] - Direction to sort by (optional)
    * @param {boolean} [options.validation.check=true] - Validate offers and append error info (optional)
+   * @param {boolean} [options.validation.cache=true] - Reuse cached validation results, when `validation.cache.enabled` is set in config (optional)
    * @param {'required' | 'optional' | 'none'} [options.auth.token] - Specify if call to fetch offers should be authed, un-authed calls will always redact offers signature. By default, auth is optional. (optional)
    * @returns {Array<object>} Array of offers
    *
@@ -216,13 +246,15 @@ var Offers = /*#__PURE__*/function () {
               _context2.next = 11;
               return Promise.all(results.map( /*#__PURE__*/function () {
                 var _ref = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee(offer) {
+                  var _options$validation2;
                   var errors;
                   return _regenerator["default"].wrap(function _callee$(_context) {
                     while (1) switch (_context.prev = _context.next) {
                       case 0:
                         _context.next = 2;
                         return (0, _classPrivateFieldGet2["default"])(_this, _validator).validate({
-                          offer: offer
+                          offer: offer,
+                          cache: options === null || options === void 0 ? void 0 : (_options$validation2 = options.validation) === null || _options$validation2 === void 0 ? void 0 : _options$validation2.cache
                         });
                       case 2:
                         errors = _context.sent;
@@ -269,11 +301,72 @@ var Offers = /*#__PURE__*/function () {
       }
       return get;
     }()
+    /**
+     * Iterates over offers, fetching their pages as they are needed. Takes the same filters as `offers.get`.
+     *
+     * @param {object} [options] - Hashmap of config options for this method, as in `offers.get`
+     * @param {number} [options.pagination.page] - Page to start from (optional)
+     * @param {number} [options.pagination.limit] - Page size (optional)
+     * @param {number} [options.concurrency=1] - How many pages are fetched at the same time (optional)
+     * @returns {AsyncGenerator<object>} Async iterator of offers
+     *
+     * @example
+     * // Iterate over every offer on a collection, 100 at a time
+     * for await (const offer of nftfi.offers.iterate({
+     *   filters: { nft: { address: '0x00000000' } },
+     *   pagination: { limit: 100 }
+     * })) {
+     *   console.log(offer);
+     * }
+     */
+  }, {
+    key: "iterate",
+    value: function iterate() {
+      var _this2 = this;
+      var options = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : {};
+      return (0, _classPrivateFieldGet2["default"])(this, _helper).paginate( /*#__PURE__*/function () {
+        var _ref2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee3(page, limit) {
+          var _response$data$pagina;
+          var response;
+          return _regenerator["default"].wrap(function _callee3$(_context3) {
+            while (1) switch (_context3.prev = _context3.next) {
+              case 0:
+                _context3.next = 2;
+                return _this2.get(_objectSpread(_objectSpread({}, options), {}, {
+                  pagination: _objectSpread(_objectSpread({}, options === null || options === void 0 ? void 0 : options.pagination), {}, {
+                    page: page,
+                    limit: limit
+                  })
+                }));
+              case 2:
+                response = _context3.sent;
+                if (!(response !== null && response !== void 0 && response.error)) {
+                  _context3.next = 5;
+                  break;
+                }
+                throw response.error;
+              case 5:
+                return _context3.abrupt("return", {
+                  results: response.data.results,
+                  total: (_response$data$pagina = response.data.pagination.total) !== null && _response$data$pagina !== void 0 ? _response$data$pagina : null
+                });
+              case 6:
+              case "end":
+                return _context3.stop();
+            }
+          }, _callee3);
+        }));
+        return function (_x2, _x3) {
+          return _ref2.apply(this, arguments);
+        };
+      }(), options);
+    }
+
     /**
      * Creates a new offer on a NFT or collection.
      *
      * @param {object} options - Config options for this method
-     * @param {object} options.terms - Terms of the offer
+     * @param {object} options.terms - Terms of the offer, with the `principal` and `repayment` in base units, as strings, bigints or BigNumbers
      * @param {object} options.nft - NFT to place an offer on
      * @param {object} options.borrower - Owner of the NFT
      * @param {object} options.nftfi - NFTfi options
@@ -283,8 +376,8 @@ var Offers = /*#__PURE__*/function () {
      * // Create an offer on a NFT
      * const offer = await nftfi.offers.create({
      *   terms: {
-     *     principal: 1000000000000000000,
-     *     repayment: 1100000000000000000,
+     *     principal: '1000000000000000000',
+     *     repayment: '1100000000000000000',
      *     duration: 86400 * 7, // 7 days (in seconds)
      *     currency: "0x00000000",
      *     expiry: 21600 // 6 hours (in seconds)
@@ -306,94 +399,346 @@ var Offers = /*#__PURE__*/function () {
   }, {
     key: "create",
     value: function () {
-      var _create = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee3(options) {
-        var errors, response, contractName, payload, _payload, _payload2, _payload3;
-        return _regenerator["default"].wrap(function _callee3$(_context3) {
-          while (1) switch (_context3.prev = _context3.next) {
+      var _create = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee4(options) {
+        var payload, response;
+        return _regenerator["default"].wrap(function _callee4$(_context4) {
+          while (1) switch (_context4.prev = _context4.next) {
             case 0:
-              _context3.prev = 0;
+              _context4.prev = 0;
               (0, _classPrivateFieldGet2["default"])(this, _assertion).hasSigner();
               options = _objectSpread(_objectSpread({}, options.listing), options); // copying options.listing fields onto the root, for backwards compatibility.
-              contractName = options.nftfi.contract.name;
-              _context3.t0 = contractName;
-              _context3.next = _context3.t0 === 'v2-1.loan.fixed' ? 7 : _context3.t0 === 'v2-3.loan.fixed' ? 14 : _context3.t0 === 'v2.loan.fixed.collection' ? 21 : _context3.t0 === 'v2-3.loan.fixed.collection' ? 28 : 35;
-              break;
-            case 7:
-              _context3.next = 9;
-              return (0, _classPrivateFieldGet2["default"])(this, _offersHelper).constructV2Offer(options);
-            case 9:
-              payload = _context3.sent;
-              _context3.next = 12;
+              _context4.next = 5;
+              return (0, _classPrivateFieldGet2["default"])(this, _offersHelper).constructOffer(options);
+            case 5:
+              payload = _context4.sent;
+              _context4.next = 8;
               return (0, _classPrivateFieldGet2["default"])(this, _api).post({
                 uri: 'v0.1/offers',
                 payload: payload
               });
+            case 8:
+              response = _context4.sent;
+              return _context4.abrupt("return", response);
             case 12:
-              response = _context3.sent;
-              return _context3.abrupt("break", 38);
+              _context4.prev = 12;
+              _context4.t0 = _context4["catch"](0);
+              return _context4.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle(_context4.t0));
+            case 15:
+            case "end":
+              return _context4.stop();
+          }
+        }, _callee4, this, [[0, 12]]);
+      }));
+      function create(_x4) {
+        return _create.apply(this, arguments);
+      }
+      return create;
+    }()
+    /**
+     * Creates many offers in one call, eg. to refresh the offers of a market-making strategy. The offers are all
+     * signed first, in one batch (one signing round of the owners, for multisig accounts), then posted.
+     *
+     * @param {object} options - Config options for this method
+     * @param {Array<object>} options.offers - The offers to create, each with the options of `offers.create`: `terms`, `nft`, `borrower` and `nftfi`
+     * @param {number} [options.concurrency=5] - How many offers are posted at the same time (optional)
+     * @param {boolean} [options.stopOnError=false] - Stop posting offers after the first one that fails (optional)
+     * @returns {object} Response object, with the `results` of each offer in the order given (as returned by `offers.create`, or null for the offers not posted), and a `summary` with the number of offers `created`, `failed` and `skipped`
+     *
+     * @example
+     * // Make the same offer on a few NFTs of a collection
+     * const terms = {
+     *   principal: '1000000000000000000',
+     *   repayment: '1100000000000000000',
+     *   duration: 86400 * 7, // 7 days (in seconds)
+     *   currency: nftfi.config.erc20.weth.address,
+     *   expiry: 21600 // 6 hours (in seconds)
+     * };
+     * const created = await nftfi.offers.createMany({
+     *   offers: listings.map(listing => ({
+     *     terms,
+     *     nft: listing.nft,
+     *     borrower: listing.borrower,
+     *     nftfi: { contract: { name: 'v2-3.loan.fixed' } }
+     *   })),
+     *   concurrency: 10
+     * });
+     * console.log(created.data.summary); // { total: 50, created: 50, failed: 0, skipped: 0 }
+     */
+  }, {
+    key: "createMany",
+    value: function () {
+      var _createMany = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee6(options) {
+        var _this3 = this;
+        var offers, constructed, results, isFailed, isStopped, next, postNext, concurrency, summary;
+        return _regenerator["default"].wrap(function _callee6$(_context6) {
+          while (1) switch (_context6.prev = _context6.next) {
+            case 0:
+              _context6.prev = 0;
+              (0, _classPrivateFieldGet2["default"])(this, _assertion).hasSigner();
+              // copying the listing fields onto the root of each offer, as in `create`
+              offers = ((options === null || options === void 0 ? void 0 : options.offers) || []).map(function (offer) {
+                return _objectSpread(_objectSpread({}, offer.listing), offer);
+              });
+              _context6.next = 5;
+              return (0, _classPrivateFieldGet2["default"])(this, _offersHelper).constructOffers(offers);
+            case 5:
+              constructed = _context6.sent;
+              results = constructed.map(function (_ref3) {
+                var error = _ref3.error;
+                return error ? (0, _classPrivateFieldGet2["default"])(_this3, _error).handle(error) : null;
+              });
+              isFailed = function isFailed(result) {
+                return !!(result !== null && result !== void 0 && result.error || result !== null && result !== void 0 && result.errors);
+              };
+              isStopped = false;
+              next = 0;
+              postNext = /*#__PURE__*/function () {
+                var _ref4 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee5() {
+                  var i;
+                  return _regenerator["default"].wrap(function _callee5$(_context5) {
+                    while (1) switch (_context5.prev = _context5.next) {
+                      case 0:
+                        if (!(next < constructed.length && !isStopped)) {
+                          _context5.next = 9;
+                          break;
+                        }
+                        i = next++;
+                        if (results[i]) {
+                          _context5.next = 6;
+                          break;
+                        }
+                        _context5.next = 5;
+                        return (0, _classPrivateFieldGet2["default"])(_this3, _api).post({
+                          uri: 'v0.1/offers',
+                          payload: constructed[i].offer
+                        })["catch"](function (e) {
+                          return (0, _classPrivateFieldGet2["default"])(_this3, _error).handle(e);
+                        });
+                      case 5:
+                        results[i] = _context5.sent;
+                      case 6:
+                        if (isFailed(results[i]) && options !== null && options !== void 0 && options.stopOnError) isStopped = true;
+                        _context5.next = 0;
+                        break;
+                      case 9:
+                      case "end":
+                        return _context5.stop();
+                    }
+                  }, _callee5);
+                }));
+                return function postNext() {
+                  return _ref4.apply(this, arguments);
+                };
+              }();
+              concurrency = (options === null || options === void 0 ? void 0 : options.concurrency) || DEFAULT_CONCURRENCY;
+              _context6.next = 14;
+              return Promise.all((0, _toConsumableArray2["default"])(Array(Math.min(concurrency, constructed.length)).keys()).map(postNext));
             case 14:
-              _context3.next = 16;
-              return (0, _classPrivateFieldGet2["default"])(this, _offersHelper).constructV2_3Offer(options);
-            case 16:
-              _payload = _context3.sent;
-              _context3.next = 19;
-              return (0, _classPrivateFieldGet2["default"])(this, _api).post({
-                uri: 'v0.1/offers',
-                payload: _payload
+              summary = {
+                total: results.length,
+                created: 0,
+                failed: 0,
+                skipped: 0
+              };
+              results.forEach(function (result) {
+                return summary[!result ? 'skipped' : isFailed(result) ? 'failed' : 'created']++;
               });
+              return _context6.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _result).handle({
+                results: results,
+                summary: summary
+              }));
             case 19:
-              response = _context3.sent;
-              return _context3.abrupt("break", 38);
-            case 21:
-              _context3.next = 23;
-              return (0, _classPrivateFieldGet2["default"])(this, _offersHelper).constructV2FixedCollectionOffer(options);
-            case 23:
-              _payload2 = _context3.sent;
-              _context3.next = 26;
-              return (0, _classPrivateFieldGet2["default"])(this, _api).post({
-                uri: 'v0.1/offers',
-                payload: _payload2
+              _context6.prev = 19;
+              _context6.t0 = _context6["catch"](0);
+              return _context6.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle(_context6.t0));
+            case 22:
+            case "end":
+              return _context6.stop();
+          }
+        }, _callee6, this, [[0, 19]]);
+      }));
+      function createMany(_x5) {
+        return _createMany.apply(this, arguments);
+      }
+      return createMany;
+    }()
+    /**
+     * Creates a ladder of offers on a NFT or collection: one offer per tier, each with its own trade-off between
+     * principal, APR and duration. The terms of each tier are built as in `terms.build`, and the offers are created
+     * with `createMany`, for `v2-3.loan.fixed` on a NFT or `v2-3.loan.fixed.collection` on a collection.
+     * The offers share a group id in their `metadata.group`, and the returned `group` lists the offers created,
+     * to delete or revoke them together.
+     *
+     * @param {object} options - Config options for this method
+     * @param {object} options.nft - NFT, or collection (without `id`), to place the offers on
+     * @param {object} [options.borrower] - Owner of the NFT, required for offers on a NFT
+     * @param {string} options.currency - Currency of the offers, as in `terms.build`: a key of `config.erc20` (eg. `'weth'`), its symbol or an address
+     * @param {Array<object>} options.tiers - Tiers of the ladder: `principal` (in whole tokens), `apr` (or `repayment`), `duration` and `expiry` (optional), as in `terms.build`
+     * @param {string|number} [options.expiry] - Expiry of the tiers that have none, as in `terms.build` (optional)
+     * @param {string} [options.group.id] - Group id of the offers, generated if not provided (optional)
+     * @param {string} [options.nftfi.contract.name] - Name of the contract to make the offers for, if not the default one (optional)
+     * @param {number} [options.concurrency=5] - How many offers are posted at the same time (optional)
+     * @param {boolean} [options.stopOnError=false] - Stop posting offers after the first one that fails (optional)
+     * @returns {object} Response object, with the `group` (its `id`, and the `id`, `lender.nonce` and contract of the `offers` created), the built `tiers`, and the `results` and `summary` of `createMany`
+     *
+     * @example
+     * // Ladder of two collection offers: 30 days at 30% APR and 14 days at 25% APR
+     * const ladder = await nftfi.offers.createLadder({
+     *   nft: { address: '0x00000000' },
+     *   currency: 'weth',
+     *   expiry: '1d',
+     *   tiers: [
+     *     { principal: '6', apr: 30, duration: '30d' },
+     *     { principal: '5', apr: 25, duration: '14d' }
+     *   ]
+     * });
+     * // Withdraw the whole ladder later on
+     * await nftfi.offers.deleteGroup({ group: ladder.data.group });
+     */
+  }, {
+    key: "createLadder",
+    value: function () {
+      var _createLadder = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee7(options) {
+        var _options$borrower, _options$tiers, _options$nftfi, _options$nftfi$contra, _options$group, nft, contractName, group, tiers, _iterator2, _step2, _step2$value, i, tier, built, created, offers;
+        return _regenerator["default"].wrap(function _callee7$(_context7) {
+          while (1) switch (_context7.prev = _context7.next) {
+            case 0:
+              _context7.prev = 0;
+              (0, _classPrivateFieldGet2["default"])(this, _assertion).hasSigner();
+              nft = options === null || options === void 0 ? void 0 : options.nft;
+              if (nft !== null && nft !== void 0 && nft.address) {
+                _context7.next = 5;
+                break;
+              }
+              throw new _errors.ValidationError('Please provide the address of the NFT, or collection, to make the offers on.');
+            case 5:
+              if (!((nft === null || nft === void 0 ? void 0 : nft.id) !== undefined && !(options !== null && options !== void 0 && (_options$borrower = options.borrower) !== null && _options$borrower !== void 0 && _options$borrower.address))) {
+                _context7.next = 7;
+                break;
+              }
+              throw new _errors.ValidationError('Please provide the address of the borrower, the owner of the NFT.');
+            case 7:
+              if (options !== null && options !== void 0 && (_options$tiers = options.tiers) !== null && _options$tiers !== void 0 && _options$tiers.length) {
+                _context7.next = 9;
+                break;
+              }
+              throw new _errors.ValidationError('Please provide at least one tier.');
+            case 9:
+              contractName = (options === null || options === void 0 ? void 0 : (_options$nftfi = options.nftfi) === null || _options$nftfi === void 0 ? void 0 : (_options$nftfi$contra = _options$nftfi.contract) === null || _options$nftfi$contra === void 0 ? void 0 : _options$nftfi$contra.name) || ((nft === null || nft === void 0 ? void 0 : nft.id) === undefined ? (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.collection.v2_3.name : (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.v2_3.name);
+              group = {
+                id: (options === null || options === void 0 ? void 0 : (_options$group = options.group) === null || _options$group === void 0 ? void 0 : _options$group.id) || (0, _classPrivateFieldGet2["default"])(this, _utils).getNonce()
+              };
+              tiers = [];
+              _iterator2 = _createForOfIteratorHelper(options.tiers.entries());
+              _context7.prev = 13;
+              _iterator2.s();
+            case 15:
+              if ((_step2 = _iterator2.n()).done) {
+                _context7.next = 25;
+                break;
+              }
+              _step2$value = (0, _slicedToArray2["default"])(_step2.value, 2), i = _step2$value[0], tier = _step2$value[1];
+              _context7.next = 19;
+              return (0, _classPrivateFieldGet2["default"])(this, _terms).build(_objectSpread(_objectSpread({
+                expiry: options === null || options === void 0 ? void 0 : options.expiry
+              }, tier), {}, {
+                currency: options.currency
+              }));
+            case 19:
+              built = _context7.sent;
+              if (!built.error) {
+                _context7.next = 22;
+                break;
+              }
+              throw new _errors.ValidationError("tier ".concat(i, ": ").concat(built.error.message), {
+                errors: built.error.errors
               });
-            case 26:
-              response = _context3.sent;
-              return _context3.abrupt("break", 38);
-            case 28:
-              _context3.next = 30;
-              return (0, _classPrivateFieldGet2["default"])(this, _offersHelper).constructV2_3FixedCollectionOffer(options);
+            case 22:
+              tiers.push(built.data);
+            case 23:
+              _context7.next = 15;
+              break;
+            case 25:
+              _context7.next = 30;
+              break;
+            case 27:
+              _context7.prev = 27;
+              _context7.t0 = _context7["catch"](13);
+              _iterator2.e(_context7.t0);
             case 30:
-              _payload3 = _context3.sent;
-              _context3.next = 33;
-              return (0, _classPrivateFieldGet2["default"])(this, _api).post({
-                uri: 'v0.1/offers',
-                payload: _payload3
-              });
+              _context7.prev = 30;
+              _iterator2.f();
+              return _context7.finish(30);
             case 33:
-              response = _context3.sent;
-              return _context3.abrupt("break", 38);
+              _context7.next = 35;
+              return this.createMany({
+                offers: tiers.map(function (tier, i) {
+                  return {
+                    terms: tier.terms,
+                    nft: nft,
+                    borrower: options === null || options === void 0 ? void 0 : options.borrower,
+                    nftfi: {
+                      contract: {
+                        name: contractName
+                      }
+                    },
+                    metadata: {
+                      group: _objectSpread(_objectSpread({}, group), {}, {
+                        type: 'ladder',
+                        tier: i
+                      })
+                    }
+                  };
+                }),
+                concurrency: options === null || options === void 0 ? void 0 : options.concurrency,
+                stopOnError: options === null || options === void 0 ? void 0 : options.stopOnError
+              });
             case 35:
-              errors = {
-                'nftfi.contract.name': ["".concat(contractName, " not supported")]
-              };
-              response = {
-                errors: errors
-              };
-              return _context3.abrupt("break", 38);
+              created = _context7.sent;
+              if (!created.error) {
+                _context7.next = 38;
+                break;
+              }
+              return _context7.abrupt("return", created);
             case 38:
-              return _context3.abrupt("return", response);
-            case 41:
-              _context3.prev = 41;
-              _context3.t1 = _context3["catch"](0);
-              return _context3.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle(_context3.t1));
-            case 44:
+              // The API responds to each offer created with the offer, in `result`
+              offers = created.data.results.filter(function (response) {
+                return response === null || response === void 0 ? void 0 : response.result;
+              }).map(function (_ref5) {
+                var _offer$lender;
+                var offer = _ref5.result;
+                return {
+                  id: offer.id,
+                  lender: {
+                    nonce: (_offer$lender = offer.lender) === null || _offer$lender === void 0 ? void 0 : _offer$lender.nonce
+                  },
+                  nftfi: {
+                    contract: {
+                      name: contractName
+                    }
+                  }
+                };
+              });
+              return _context7.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _result).handle(_objectSpread({
+                group: _objectSpread(_objectSpread({}, group), {}, {
+                  offers: offers
+                }),
+                tiers: tiers
+              }, created.data)));
+            case 42:
+              _context7.prev = 42;
+              _context7.t1 = _context7["catch"](0);
+              return _context7.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle(_context7.t1));
+            case 45:
             case "end":
-              return _context3.stop();
+              return _context7.stop();
           }
-        }, _callee3, this, [[0, 41]]);
+        }, _callee7, this, [[0, 42], [13, 27, 30, 33]]);
       }));
-      function create(_x2) {
-        return _create.apply(this, arguments);
+      function createLadder(_x6) {
+        return _createLadder.apply(this, arguments);
       }
-      return create;
+      return createLadder;
     }()
     /**
      * Deletes an active offer made by your account.
@@ -416,14 +761,14 @@ var Offers = /*#__PURE__*/function () {
   }, {
     key: "delete",
     value: function () {
-      var _delete2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee4(options) {
+      var _delete2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee8(options) {
         var uri;
-        return _regenerator["default"].wrap(function _callee4$(_context4) {
-          while (1) switch (_context4.prev = _context4.next) {
+        return _regenerator["default"].wrap(function _callee8$(_context8) {
+          while (1) switch (_context8.prev = _context8.next) {
             case 0:
-              _context4.prev = 0;
+              _context8.prev = 0;
               uri = "v0.1/offers/".concat(options.offer.id);
-              _context4.next = 4;
+              _context8.next = 4;
               return (0, _classPrivateFieldGet2["default"])(this, _api)["delete"]({
                 uri: uri,
                 auth: {
@@ -431,28 +776,105 @@ var Offers = /*#__PURE__*/function () {
                 }
               });
             case 4:
-              return _context4.abrupt("return", _context4.sent);
+              return _context8.abrupt("return", _context8.sent);
             case 7:
-              _context4.prev = 7;
-              _context4.t0 = _context4["catch"](0);
-              return _context4.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle(_context4.t0));
+              _context8.prev = 7;
+              _context8.t0 = _context8["catch"](0);
+              return _context8.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle(_context8.t0));
             case 10:
             case "end":
-              return _context4.stop();
+              return _context8.stop();
           }
-        }, _callee4, this, [[0, 7]]);
+        }, _callee8, this, [[0, 7]]);
       }));
-      function _delete(_x3) {
+      function _delete(_x7) {
         return _delete2.apply(this, arguments);
       }
       return _delete;
     }()
+    /**
+     * Deletes the active offers of a group made by your account, eg. a ladder made with `createLadder`.
+     *
+     * @param {object} options - Hashmap of config options for this method
+     * @param {string} options.group.id - The group id, from the `metadata.group` of the offers
+     * @param {Array<object>} [options.group.offers] - The offers of the group, as returned by `createLadder`; if not provided, they are looked up by their `metadata.group` (optional)
+     * @param {object} [options.filters] - Filters to narrow down the search for the offers of the group, as in `offers.get` (optional)
+     * @returns {object} Response object, with the `results` of deleting each offer of the group, and a `summary` with the number of offers `deleted` and `failed`
+     *
+     * @example
+     * // Delete a ladder of offers
+     * const deleted = await nftfi.offers.deleteGroup({
+     *   group: ladder.data.group
+     * });
+     */
+  }, {
+    key: "deleteGroup",
+    value: function () {
+      var _deleteGroup = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee9(options) {
+        var _this4 = this;
+        var offers, results, failed;
+        return _regenerator["default"].wrap(function _callee9$(_context9) {
+          while (1) switch (_context9.prev = _context9.next) {
+            case 0:
+              _context9.prev = 0;
+              _context9.next = 3;
+              return this._getGroupOffers(options);
+            case 3:
+              offers = _context9.sent;
+              _context9.next = 6;
+              return Promise.all(offers.map(function (offer) {
+                return _this4["delete"]({
+                  offer: {
+                    id: offer.id
+                  }
+                });
+              }));
+            case 6:
+              results = _context9.sent;
+              failed = results.filter(function (result) {
+                return (result === null || result === void 0 ? void 0 : result.error) || (result === null || result === void 0 ? void 0 : result.errors);
+              }).length;
+              return _context9.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _result).handle({
+                results: results.map(function (result, i) {
+                  return {
+                    offer: {
+                      id: offers[i].id
+                    },
+                    result: result
+                  };
+                }),
+                summary: {
+                  total: offers.length,
+                  deleted: offers.length - failed,
+                  failed: failed
+                }
+              }));
+            case 11:
+              _context9.prev = 11;
+              _context9.t0 = _context9["catch"](0);
+              return _context9.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle(_context9.t0));
+            case 14:
+            case "end":
+              return _context9.stop();
+          }
+        }, _callee9, this, [[0, 11]]);
+      }));
+      function deleteGroup(_x8) {
+        return _deleteGroup.apply(this, arguments);
+      }
+      return deleteGroup;
+    }()
     /**
      * Revokes an active offer made by your account.
      *
      * @param {object} options - Hashmap of config options for this method
      * @param {object} options.offer.nonce - The nonce of the offer to be deleted
      * @param {string} options.nftfi.contract.name - Name of contract which the offer was created for: `v2-3.loan.fixed`, `v2-3.loan.fixed.collection`
+     * @param {boolean} [options.dryRun=false] - Return the populated transaction, its gas estimate and revert reason (if any), without sending it (optional)
+     * @param {object} [options.callbacks] - Transaction lifecycle callbacks: `onSigned`, `onSubmitted(hash)`, `onConfirmed(receipt, confirmations)`, `onReplaced` and `onFailed(reason)` (optional)
+     * @param {boolean} [options.wait=true] - Wait for the transaction to be mined; if false, return the pending transaction as soon as it is broadcast (optional)
+     * @param {object} [options.fee] - Overrides the configured fee policy: `maxFeePerGas`, `maxPriorityFeePerGas`, `multiplier` and `max` (optional)
+     * @param {object} [options.gas] - Overrides the configured gas `limit` and `multiplier` (optional)
      * @returns {object} Response object
      *
      * @example
@@ -469,31 +891,242 @@ var Offers = /*#__PURE__*/function () {
   }, {
     key: "revoke",
     value: function () {
-      var _revoke = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee5(options) {
-        return _regenerator["default"].wrap(function _callee5$(_context5) {
-          while (1) switch (_context5.prev = _context5.next) {
+      var _revoke = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee10(options) {
+        return _regenerator["default"].wrap(function _callee10$(_context10) {
+          while (1) switch (_context10.prev = _context10.next) {
             case 0:
-              _context5.next = 2;
+              _context10.next = 2;
               return (0, _classPrivateFieldGet2["default"])(this, _loans).revokeOffer(options);
             case 2:
-              return _context5.abrupt("return", _context5.sent);
+              return _context10.abrupt("return", _context10.sent);
             case 3:
             case "end":
-              return _context5.stop();
+              return _context10.stop();
           }
-        }, _callee5, this);
+        }, _callee10, this);
       }));
-      function revoke(_x4) {
+      function revoke(_x9) {
         return _revoke.apply(this, arguments);
       }
       return revoke;
     }()
+    /**
+     * Revokes the active offers of a group made by your account, eg. a ladder made with `createLadder`.
+     * Each offer is revoked with its own transaction, one after the other.
+     *
+     * @param {object} options - Hashmap of config options for this method
+     * @param {string} options.group.id - The group id, from the `metadata.group` of the offers
+     * @param {Array<object>} [options.group.offers] - The offers of the group, as returned by `createLadder`; if not provided, they are looked up by their `metadata.group` (optional)
+     * @param {object} [options.filters] - Filters to narrow down the search for the offers of the group, as in `offers.get` (optional)
+     * @param {object} [options.callbacks] - Transaction lifecycle callbacks, as in `offers.revoke`, called for each transaction (optional)
+     * @param {object} [options.fee] - Overrides the configured fee policy, as in `offers.revoke` (optional)
+     * @param {object} [options.gas] - Overrides the configured gas `limit` and `multiplier`, as in `offers.revoke` (optional)
+     * @returns {object} Response object, with the `results` of revoking each offer of the group, and a `summary` with the number of offers `revoked` and `failed`
+     *
+     * @example
+     * // Revoke a ladder of offers
+     * const revoked = await nftfi.offers.revokeGroup({
+     *   group: ladder.data.group
+     * });
+     */
+  }, {
+    key: "revokeGroup",
+    value: function () {
+      var _revokeGroup = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee11(options) {
+        var offers, results, _iterator3, _step3, offer, failed;
+        return _regenerator["default"].wrap(function _callee11$(_context11) {
+          while (1) switch (_context11.prev = _context11.next) {
+            case 0:
+              _context11.prev = 0;
+              (0, _classPrivateFieldGet2["default"])(this, _assertion).hasSigner();
+              _context11.next = 4;
+              return this._getGroupOffers(options);
+            case 4:
+              offers = _context11.sent;
+              results = []; // One after the other, as each revocation is a transaction sent by your account
+              _iterator3 = _createForOfIteratorHelper(offers);
+              _context11.prev = 7;
+              _iterator3.s();
+            case 9:
+              if ((_step3 = _iterator3.n()).done) {
+                _context11.next = 20;
+                break;
+              }
+              offer = _step3.value;
+              _context11.t0 = results;
+              _context11.t1 = {
+                id: offer.id,
+                nonce: offer.lender.nonce
+              };
+              _context11.next = 15;
+              return this.revoke({
+                offer: {
+                  nonce: offer.lender.nonce
+                },
+                nftfi: {
+                  contract: {
+                    name: offer.nftfi.contract.name
+                  }
+                },
+                callbacks: options === null || options === void 0 ? void 0 : options.callbacks,
+                fee: options === null || options === void 0 ? void 0 : options.fee,
+                gas: options === null || options === void 0 ? void 0 : options.gas
+              });
+            case 15:
+              _context11.t2 = _context11.sent;
+              _context11.t3 = {
+                offer: _context11.t1,
+                result: _context11.t2
+              };
+              _context11.t0.push.call(_context11.t0, _context11.t3);
+            case 18:
+              _context11.next = 9;
+              break;
+            case 20:
+              _context11.next = 25;
+              break;
+            case 22:
+              _context11.prev = 22;
+              _context11.t4 = _context11["catch"](7);
+              _iterator3.e(_context11.t4);
+            case 25:
+              _context11.prev = 25;
+              _iterator3.f();
+              return _context11.finish(25);
+            case 28:
+              failed = results.filter(function (_ref6) {
+                var result = _ref6.result;
+                return (result === null || result === void 0 ? void 0 : result.error) || !(result !== null && result !== void 0 && result.success);
+              }).length;
+              return _context11.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _result).handle({
+                results: results,
+                summary: {
+                  total: offers.length,
+                  revoked: offers.length - failed,
+                  failed: failed
+                }
+              }));
+            case 32:
+              _context11.prev = 32;
+              _context11.t5 = _context11["catch"](0);
+              return _context11.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle(_context11.t5));
+            case 35:
+            case "end":
+              return _context11.stop();
+          }
+        }, _callee11, this, [[0, 32], [7, 22, 25, 28]]);
+      }));
+      function revokeGroup(_x10) {
+        return _revokeGroup.apply(this, arguments);
+      }
+      return revokeGroup;
+    }() // Offers of a group are only looked up among the offers made by your account, unless they are given
+  }, {
+    key: "_getGroupOffers",
+    value: function () {
+      var _getGroupOffers2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee12(options) {
+        var _options$group2, _options$group3;
+        var offers, filters, _iteratorAbruptCompletion, _didIteratorError, _iteratorError, _iterator, _step, offer, _offer$metadata, _offer$metadata$group;
+        return _regenerator["default"].wrap(function _callee12$(_context12) {
+          while (1) switch (_context12.prev = _context12.next) {
+            case 0:
+              if (options !== null && options !== void 0 && (_options$group2 = options.group) !== null && _options$group2 !== void 0 && _options$group2.id) {
+                _context12.next = 2;
+                break;
+              }
+              throw new _errors.ValidationError('Please provide the id of the group.');
+            case 2:
+              (0, _classPrivateFieldGet2["default"])(this, _assertion).hasAddress();
+              offers = options === null || options === void 0 ? void 0 : (_options$group3 = options.group) === null || _options$group3 === void 0 ? void 0 : _options$group3.offers;
+              if (offers) {
+                _context12.next = 35;
+                break;
+              }
+              offers = [];
+              filters = _objectSpread(_objectSpread({}, options === null || options === void 0 ? void 0 : options.filters), {}, {
+                lender: {
+                  address: {
+                    eq: (0, _classPrivateFieldGet2["default"])(this, _account).getAddress()
+                  }
+                }
+              });
+              _iteratorAbruptCompletion = false;
+              _didIteratorError = false;
+              _context12.prev = 9;
+              _iterator = _asyncIterator(this.iterate({
+                filters: filters,
+                validation: {
+                  check: false
+                }
+              }));
+            case 11:
+              _context12.next = 13;
+              return _iterator.next();
+            case 13:
+              if (!(_iteratorAbruptCompletion = !(_step = _context12.sent).done)) {
+                _context12.next = 19;
+                break;
+              }
+              offer = _step.value;
+              if (String(offer === null || offer === void 0 ? void 0 : (_offer$metadata = offer.metadata) === null || _offer$metadata === void 0 ? void 0 : (_offer$metadata$group = _offer$metadata.group) === null || _offer$metadata$group === void 0 ? void 0 : _offer$metadata$group.id) === String(options.group.id)) offers.push(offer);
+            case 16:
+              _iteratorAbruptCompletion = false;
+              _context12.next = 11;
+              break;
+            case 19:
+              _context12.next = 25;
+              break;
+            case 21:
+              _context12.prev = 21;
+              _context12.t0 = _context12["catch"](9);
+              _didIteratorError = true;
+              _iteratorError = _context12.t0;
+            case 25:
+              _context12.prev = 25;
+              _context12.prev = 26;
+              if (!(_iteratorAbruptCompletion && _iterator["return"] != null)) {
+                _context12.next = 30;
+                break;
+              }
+              _context12.next = 30;
+              return _iterator["return"]();
+            case 30:
+              _context12.prev = 30;
+              if (!_didIteratorError) {
+                _context12.next = 33;
+                break;
+              }
+              throw _iteratorError;
+            case 33:
+              return _context12.finish(30);
+            case 34:
+              return _context12.finish(25);
+            case 35:
+              if (offers.length) {
+                _context12.next = 37;
+                break;
+              }
+              throw new _errors.ValidationError("No active offers of your account were found in group ".concat(options.group.id, "."));
+            case 37:
+              return _context12.abrupt("return", offers);
+            case 38:
+            case "end":
+              return _context12.stop();
+          }
+        }, _callee12, this, [[9, 21, 25, 35], [26,, 30, 34]]);
+      }));
+      function _getGroupOffers(_x11) {
+        return _getGroupOffers2.apply(this, arguments);
+      }
+      return _getGroupOffers;
+    }()
     /**
      * Validates an offer based on specified checks.
      *
      * @param {object} options - Parameters for the validation.
      * @param {object} options.offer - The offer object to validate.
-     * @param {string[]} [options.checks] - An array of checks to validate against. If not provided or empty, all supported checks are performed. (optional)
+     * @param {string[]} [options.checks] - An array of checks to validate against: `signature`, `terms.principal` and `lender.nonce`, which are performed by default, and the opt-in `nft.owner`, `nft.approval`, `terms.currency`, `terms.duration` and `nftfi.fee`. If not provided or empty, all default checks are performed. (optional)
+     * @param {boolean} [options.cache=true] - Reuse cached validation results, when `validation.cache.enabled` is set in config (optional)
      * @returns {object} Response object
      *
      * @example
@@ -502,8 +1135,8 @@ var Offers = /*#__PURE__*/function () {
      *   offer: {
      *     terms: {
      *       loan: {
-     *         principal: 2000000000000000000,
-     *         repayment: 1100000000000000000,
+     *         principal: '2000000000000000000',
+     *         repayment: '1100000000000000000',
      *         currency: "0x07865c6e87b9f70255377e024ace6630c1eaa37f",
      *         duration: 604800,
      *         expiry: 1760696014,
@@ -540,38 +1173,126 @@ var Offers = /*#__PURE__*/function () {
   }, {
     key: "validate",
     value: function () {
-      var _validate = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee6(options) {
+      var _validate = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee13(options) {
         var warnings, result;
-        return _regenerator["default"].wrap(function _callee6$(_context6) {
-          while (1) switch (_context6.prev = _context6.next) {
+        return _regenerator["default"].wrap(function _callee13$(_context13) {
+          while (1) switch (_context13.prev = _context13.next) {
             case 0:
-              _context6.prev = 0;
+              _context13.prev = 0;
               (0, _classPrivateFieldGet2["default"])(this, _assertion).hasProvider();
-              _context6.next = 4;
+              _context13.next = 4;
               return (0, _classPrivateFieldGet2["default"])(this, _validator).validate(options);
             case 4:
-              warnings = _context6.sent;
+              warnings = _context13.sent;
               result = {};
               result.valid = warnings === null;
               if (warnings) {
                 result.warnings = warnings;
               }
-              return _context6.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _result).handle(_objectSpread({}, result)));
+              return _context13.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _result).handle(_objectSpread({}, result)));
             case 11:
-              _context6.prev = 11;
-              _context6.t0 = _context6["catch"](0);
-              return _context6.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle(_context6.t0));
+              _context13.prev = 11;
+              _context13.t0 = _context13["catch"](0);
+              return _context13.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle(_context13.t0));
             case 14:
             case "end":
-              return _context6.stop();
+              return _context13.stop();
           }
-        }, _callee6, this, [[0, 11]]);
+        }, _callee13, this, [[0, 11]]);
       }));
-      function validate(_x5) {
+      function validate(_x12) {
         return _validate.apply(this, arguments);
       }
       return validate;
     }()
+    /**
+     * Validates many offers in one call, eg. to clean out an order book. Reads that offers have in common are made once:
+     * one balance and allowance read per lender and currency, and one nonce read per lender and nonce.
+     *
+     * @param {object} options - Parameters for the validation.
+     * @param {Array<object>} options.offers - The offers to validate.
+     * @param {string[]} [options.checks] - An array of checks to validate against, as in `offers.validate`. (optional)
+     * @param {number} [options.concurrency=20] - How many offers are validated at the same time. (optional)
+     * @param {boolean} [options.cache=true] - Reuse cached validation results, when `validation.cache.enabled` is set in config (optional)
+     * @returns {object} Response object, with the `results` of each offer keyed by offer id (or index, for offers without an id), and a `summary` with the number of `valid` and `invalid` offers and the count of each error type.
+     *
+     * @example
+     * // Validate the offers made by your account
+     * const offers = await nftfi.offers.get({ validation: { check: false } });
+     * const validation = await nftfi.offers.validateMany({ offers });
+     * const invalid = Object.entries(validation.data.results).filter(([, result]) => !result.valid);
+     */
+  }, {
+    key: "validateMany",
+    value: function () {
+      var _validateMany = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee14(options) {
+        return _regenerator["default"].wrap(function _callee14$(_context14) {
+          while (1) switch (_context14.prev = _context14.next) {
+            case 0:
+              _context14.prev = 0;
+              (0, _classPrivateFieldGet2["default"])(this, _assertion).hasProvider();
+              _context14.t0 = (0, _classPrivateFieldGet2["default"])(this, _result);
+              _context14.next = 5;
+              return (0, _classPrivateFieldGet2["default"])(this, _validator).validateMany(options);
+            case 5:
+              _context14.t1 = _context14.sent;
+              return _context14.abrupt("return", _context14.t0.handle.call(_context14.t0, _context14.t1));
+            case 9:
+              _context14.prev = 9;
+              _context14.t2 = _context14["catch"](0);
+              return _context14.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle(_context14.t2));
+            case 12:
+            case "end":
+              return _context14.stop();
+          }
+        }, _callee14, this, [[0, 9]]);
+      }));
+      function validateMany(_x13) {
+        return _validateMany.apply(this, arguments);
+      }
+      return validateMany;
+    }()
+    /**
+     * Verifies the signature of an offer offline, by recovering its signer locally, without calling the loan contract.
+     * Signatures of multisig lenders can only be verified on-chain, with `offers.validate`.
+     *
+     * @param {object} options - Hashmap of config options for this method
+     * @param {object} options.offer - The signed offer, as returned by `offers.get` or `offers.create`
+     * @param {string} [options.signer] - Expected signer, defaults to the lender of the offer (optional)
+     * @returns {object} Object with a `valid` boolean, true when the offer was signed by the expected signer
+     *
+     * @example
+     * // Verify the signature of an offer
+     * const { valid } = await nftfi.offers.verifySignature({ offer });
+     */
+  }, {
+    key: "verifySignature",
+    value: function () {
+      var _verifySignature = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee15(options) {
+        var valid;
+        return _regenerator["default"].wrap(function _callee15$(_context15) {
+          while (1) switch (_context15.prev = _context15.next) {
+            case 0:
+              _context15.prev = 0;
+              valid = (0, _classPrivateFieldGet2["default"])(this, _signatures).verifyOfferSignature(options);
+              return _context15.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _result).handle({
+                valid: valid
+              }));
+            case 5:
+              _context15.prev = 5;
+              _context15.t0 = _context15["catch"](0);
+              return _context15.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle(_context15.t0));
+            case 8:
+            case "end":
+              return _context15.stop();
+          }
+        }, _callee15, this, [[0, 5]]);
+      }));
+      function verifySignature(_x14) {
+        return _verifySignature.apply(this, arguments);
+      }
+      return verifySignature;
+    }()
   }, {
     key: "requests",
     get: function get() {
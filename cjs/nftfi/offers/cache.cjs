@@ -0,0 +1,328 @@
+"use strict";
+
+var _interopRequireDefault = require("@babel/runtime/helpers/interopRequireDefault");
+Object.defineProperty(exports, "__esModule", {
+  value: true
+});
+exports["default"] = void 0;
+var _regenerator = _interopRequireDefault(require("@babel/runtime/regenerator"));
+var _slicedToArray2 = _interopRequireDefault(require("@babel/runtime/helpers/slicedToArray"));
+var _toConsumableArray2 = _interopRequireDefault(require("@babel/runtime/helpers/toConsumableArray"));
+var _asyncToGenerator2 = _interopRequireDefault(require("@babel/runtime/helpers/asyncToGenerator"));
+var _classCallCheck2 = _interopRequireDefault(require("@babel/runtime/helpers/classCallCheck"));
+var _createClass2 = _interopRequireDefault(require("@babel/runtime/helpers/createClass"));
+var _classPrivateFieldGet10 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldGet"));
+var _classPrivateFieldSet2 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldSet"));
+function _createForOfIteratorHelper(o, allowArrayLike) { var it = typeof Symbol !== "undefined" && o[Symbol.iterator] || o["@@iterator"]; if (!it) { if (Array.isArray(o) || (it = _unsupportedIterableToArray(o)) || allowArrayLike && o && typeof o.length === "number") { if (it) o = it; var i = 0; var F = function F() {}; return { s: F, n: function n() { if (i >= o.length) return { done: true }; return { done: false, value: o[i++] }; }, e: function e(_e) { throw _e; }, f: F }; } throw new TypeError("Invalid attempt to iterate non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method."); } var normalCompletion = true, didErr = false, err; return { s: function s() { it = it.call(o); }, n: function n() { var step = it.next(); normalCompletion = step.done; return step; }, e: function e(_e2) { didErr = true; err = _e2; }, f: function f() { try { if (!normalCompletion && it["return"] != null) it["return"](); } finally { if (didErr) throw err; } } }; }
+function _unsupportedIterableToArray(o, minLen) { if (!o) return; if (typeof o === "string") return _arrayLikeToArray(o, minLen); var n = Object.prototype.toString.call(o).slice(8, -1); if (n === "Object" && o.constructor) n = o.constructor.name; if (n === "Map" || n === "Set") return Array.from(o); if (n === "Arguments" || /^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n)) return _arrayLikeToArray(o, minLen); }
+function _arrayLikeToArray(arr, len) { if (len == null || len > arr.length) len = arr.length; for (var i = 0, arr2 = new Array(len); i < len; i++) arr2[i] = arr[i]; return arr2; }
+function _classPrivateFieldInitSpec(obj, privateMap, value) { _checkPrivateRedeclaration(obj, privateMap); privateMap.set(obj, value); }
+function _checkPrivateRedeclaration(obj, privateCollection) { if (privateCollection.has(obj)) { throw new TypeError("Cannot initialize the same private elements twice on an object"); } }
+// Block numbers are fetched at most once a second, so that concurrent validations share a request
+var BLOCK_NUMBER_MAX_AGE = 1000;
+
+/**
+ * @class
+ * Caches the results of `OffersValidator`, when `validation.cache.enabled` is set.
+ * Entries have one of three scopes:
+ * - `block`: valid until a new block is mined, or `ttl` seconds pass
+ * - `lender`: valid until the lender has ERC20 Transfer or Approval logs (or WETH Deposit or Withdrawal logs)
+ *   for the token, or `blocks` blocks are mined
+ * - `permanent`: valid for good, eg. used nonces
+ */
+var _config = /*#__PURE__*/new WeakMap();
+var _provider = /*#__PURE__*/new WeakMap();
+var _ethers = /*#__PURE__*/new WeakMap();
+var _entries = /*#__PURE__*/new WeakMap();
+var _block = /*#__PURE__*/new WeakMap();
+var _blockNumber = /*#__PURE__*/new WeakMap();
+var OffersValidationCache = /*#__PURE__*/function () {
+  function OffersValidationCache() {
+    var options = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : {};
+    (0, _classCallCheck2["default"])(this, OffersValidationCache);
+    _classPrivateFieldInitSpec(this, _config, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _provider, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _ethers, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _entries, {
+      writable: true,
+      value: new Map()
+    });
+    _classPrivateFieldInitSpec(this, _block, {
+      writable: true,
+      value: null
+    });
+    _classPrivateFieldInitSpec(this, _blockNumber, {
+      writable: true,
+      value: null
+    });
+    (0, _classPrivateFieldSet2["default"])(this, _config, options === null || options === void 0 ? void 0 : options.config);
+    (0, _classPrivateFieldSet2["default"])(this, _provider, options === null || options === void 0 ? void 0 : options.provider);
+    (0, _classPrivateFieldSet2["default"])(this, _ethers, options === null || options === void 0 ? void 0 : options.ethers);
+  }
+  (0, _createClass2["default"])(OffersValidationCache, [{
+    key: "isEnabled",
+    value: function isEnabled() {
+      var _classPrivateFieldGet2, _classPrivateFieldGet3, _classPrivateFieldGet4;
+      return !!((_classPrivateFieldGet2 = (0, _classPrivateFieldGet10["default"])(this, _config)) !== null && _classPrivateFieldGet2 !== void 0 && (_classPrivateFieldGet3 = _classPrivateFieldGet2.validation) !== null && _classPrivateFieldGet3 !== void 0 && (_classPrivateFieldGet4 = _classPrivateFieldGet3.cache) !== null && _classPrivateFieldGet4 !== void 0 && _classPrivateFieldGet4.enabled) && !!(0, _classPrivateFieldGet10["default"])(this, _provider);
+    }
+  }, {
+    key: "get",
+    value: function get(key) {
+      var _classPrivateFieldGet6, _classPrivateFieldGet7;
+      var entry = (0, _classPrivateFieldGet10["default"])(this, _entries).get(key);
+      if (!entry) return undefined;
+      var _classPrivateFieldGet5 = (0, _classPrivateFieldGet10["default"])(this, _config).validation.cache,
+        ttl = _classPrivateFieldGet5.ttl,
+        blocks = _classPrivateFieldGet5.blocks;
+      var isExpired = entry.scope === 'block' && (entry.blockNumber !== ((_classPrivateFieldGet6 = (0, _classPrivateFieldGet10["default"])(this, _block)) === null || _classPrivateFieldGet6 === void 0 ? void 0 : _classPrivateFieldGet6.number) || Date.now() - entry.createdAt > ttl * 1000) || entry.scope === 'lender' && ((_classPrivateFieldGet7 = (0, _classPrivateFieldGet10["default"])(this, _block)) === null || _classPrivateFieldGet7 === void 0 ? void 0 : _classPrivateFieldGet7.number) - entry.blockNumber >= blocks;
+      if (isExpired) {
+        (0, _classPrivateFieldGet10["default"])(this, _entries)["delete"](key);
+        return undefined;
+      }
+      return entry.value;
+    }
+
+    // `blockNumber` is the block the value was read at, defaults to the last synced block
+  }, {
+    key: "set",
+    value: function set(key, value) {
+      var _options$lender, _options$token, _options$blockNumber, _classPrivateFieldGet8;
+      var options = arguments.length > 2 && arguments[2] !== undefined ? arguments[2] : {};
+      (0, _classPrivateFieldGet10["default"])(this, _entries).set(key, {
+        value: value,
+        scope: (options === null || options === void 0 ? void 0 : options.scope) || 'block',
+        lender: options === null || options === void 0 ? void 0 : (_options$lender = options.lender) === null || _options$lender === void 0 ? void 0 : _options$lender.toLowerCase(),
+        token: options === null || options === void 0 ? void 0 : (_options$token = options.token) === null || _options$token === void 0 ? void 0 : _options$token.toLowerCase(),
+        blockNumber: (_options$blockNumber = options === null || options === void 0 ? void 0 : options.blockNumber) !== null && _options$blockNumber !== void 0 ? _options$blockNumber : (_classPrivateFieldGet8 = (0, _classPrivateFieldGet10["default"])(this, _block)) === null || _classPrivateFieldGet8 === void 0 ? void 0 : _classPrivateFieldGet8.number,
+        createdAt: Date.now()
+      });
+    }
+  }, {
+    key: "clear",
+    value: function clear() {
+      (0, _classPrivateFieldGet10["default"])(this, _entries).clear();
+    }
+
+    /**
+     * Catches up with the chain, invalidating the lender balances and allowances that changed since the last sync.
+     * Called before every validation.
+     *
+     * @returns {number} The current block number
+     */
+  }, {
+    key: "sync",
+    value: function () {
+      var _sync = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee() {
+        var _classPrivateFieldGet9;
+        var number, previous, lenders;
+        return _regenerator["default"].wrap(function _callee$(_context) {
+          while (1) switch (_context.prev = _context.next) {
+            case 0:
+              _context.next = 2;
+              return this._getBlockNumber();
+            case 2:
+              number = _context.sent;
+              previous = (_classPrivateFieldGet9 = (0, _classPrivateFieldGet10["default"])(this, _block)) === null || _classPrivateFieldGet9 === void 0 ? void 0 : _classPrivateFieldGet9.number;
+              (0, _classPrivateFieldSet2["default"])(this, _block, {
+                number: number
+              });
+              if (!(previous === undefined || number <= previous)) {
+                _context.next = 7;
+                break;
+              }
+              return _context.abrupt("return", number);
+            case 7:
+              lenders = (0, _toConsumableArray2["default"])(new Set((0, _toConsumableArray2["default"])((0, _classPrivateFieldGet10["default"])(this, _entries).values()).map(function (entry) {
+                return entry.lender;
+              }).filter(Boolean)));
+              if (!(lenders.length > 0)) {
+                _context.next = 11;
+                break;
+              }
+              _context.next = 11;
+              return this._invalidateLenders(lenders, previous + 1, number);
+            case 11:
+              return _context.abrupt("return", number);
+            case 12:
+            case "end":
+              return _context.stop();
+          }
+        }, _callee, this);
+      }));
+      function sync() {
+        return _sync.apply(this, arguments);
+      }
+      return sync;
+    }()
+  }, {
+    key: "_invalidateLenders",
+    value: function () {
+      var _invalidateLenders2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee2(lenders, fromBlock, toBlock) {
+        var _this = this;
+        var logs, changes;
+        return _regenerator["default"].wrap(function _callee2$(_context2) {
+          while (1) switch (_context2.prev = _context2.next) {
+            case 0:
+              if (!(toBlock - fromBlock >= (0, _classPrivateFieldGet10["default"])(this, _config).validation.cache.blocks)) {
+                _context2.next = 2;
+                break;
+              }
+              return _context2.abrupt("return", this._invalidate(function () {
+                return true;
+              }));
+            case 2:
+              _context2.prev = 2;
+              _context2.next = 5;
+              return this._getLenderLogs(lenders, fromBlock, toBlock);
+            case 5:
+              logs = _context2.sent;
+              changes = new Set(logs.flatMap(function (log) {
+                return _this._getAddresses(log).map(function (address) {
+                  return "".concat(log.address.toLowerCase(), ":").concat(address);
+                });
+              }));
+              this._invalidate(function (entry) {
+                return changes.has("".concat(entry.token, ":").concat(entry.lender));
+              });
+              _context2.next = 13;
+              break;
+            case 10:
+              _context2.prev = 10;
+              _context2.t0 = _context2["catch"](2);
+              // Without the logs, any lender may have changed
+              this._invalidate(function () {
+                return true;
+              });
+            case 13:
+            case "end":
+              return _context2.stop();
+          }
+        }, _callee2, this, [[2, 10]]);
+      }));
+      function _invalidateLenders(_x, _x2, _x3) {
+        return _invalidateLenders2.apply(this, arguments);
+      }
+      return _invalidateLenders;
+    }()
+  }, {
+    key: "_getBlockNumber",
+    value: function () {
+      var _getBlockNumber2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee3() {
+        var _this2 = this;
+        return _regenerator["default"].wrap(function _callee3$(_context3) {
+          while (1) switch (_context3.prev = _context3.next) {
+            case 0:
+              if (!(0, _classPrivateFieldGet10["default"])(this, _blockNumber) || Date.now() - (0, _classPrivateFieldGet10["default"])(this, _blockNumber).fetchedAt > BLOCK_NUMBER_MAX_AGE) {
+                (0, _classPrivateFieldSet2["default"])(this, _blockNumber, {
+                  promise: (0, _classPrivateFieldGet10["default"])(this, _provider).getBlockNumber(),
+                  fetchedAt: Date.now()
+                });
+                // Don't keep a failed request around
+                (0, _classPrivateFieldGet10["default"])(this, _blockNumber).promise["catch"](function () {
+                  return (0, _classPrivateFieldSet2["default"])(_this2, _blockNumber, null);
+                });
+              }
+              return _context3.abrupt("return", (0, _classPrivateFieldGet10["default"])(this, _blockNumber).promise);
+            case 2:
+            case "end":
+              return _context3.stop();
+          }
+        }, _callee3, this);
+      }));
+      function _getBlockNumber() {
+        return _getBlockNumber2.apply(this, arguments);
+      }
+      return _getBlockNumber;
+    }()
+  }, {
+    key: "_getTopics",
+    value: function _getTopics() {
+      var id = (0, _classPrivateFieldGet10["default"])(this, _ethers).utils.id;
+      return {
+        transfer: id('Transfer(address,address,uint256)'),
+        approval: id('Approval(address,address,uint256)'),
+        deposit: id('Deposit(address,uint256)'),
+        withdrawal: id('Withdrawal(address,uint256)')
+      };
+    }
+
+    // Logs where the lender is the sender, owner or recipient
+  }, {
+    key: "_getLenderLogs",
+    value: function () {
+      var _getLenderLogs2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee4(lenders, fromBlock, toBlock) {
+        var _this3 = this;
+        var topics, lenderTopics, _yield$Promise$all, _yield$Promise$all2, fromLender, toLender;
+        return _regenerator["default"].wrap(function _callee4$(_context4) {
+          while (1) switch (_context4.prev = _context4.next) {
+            case 0:
+              topics = this._getTopics();
+              lenderTopics = lenders.map(function (lender) {
+                return (0, _classPrivateFieldGet10["default"])(_this3, _ethers).utils.hexZeroPad(lender, 32);
+              });
+              _context4.next = 4;
+              return Promise.all([(0, _classPrivateFieldGet10["default"])(this, _provider).getLogs({
+                fromBlock: fromBlock,
+                toBlock: toBlock,
+                topics: [[topics.transfer, topics.approval, topics.deposit, topics.withdrawal], lenderTopics]
+              }), (0, _classPrivateFieldGet10["default"])(this, _provider).getLogs({
+                fromBlock: fromBlock,
+                toBlock: toBlock,
+                topics: [topics.transfer, null, lenderTopics]
+              })]);
+            case 4:
+              _yield$Promise$all = _context4.sent;
+              _yield$Promise$all2 = (0, _slicedToArray2["default"])(_yield$Promise$all, 2);
+              fromLender = _yield$Promise$all2[0];
+              toLender = _yield$Promise$all2[1];
+              return _context4.abrupt("return", [].concat((0, _toConsumableArray2["default"])(fromLender), (0, _toConsumableArray2["default"])(toLender)));
+            case 9:
+            case "end":
+              return _context4.stop();
+          }
+        }, _callee4, this);
+      }));
+      function _getLenderLogs(_x4, _x5, _x6) {
+        return _getLenderLogs2.apply(this, arguments);
+      }
+      return _getLenderLogs;
+    }() // Indexed addresses of the log: sender and recipient, owner and spender, or the WETH account
+  }, {
+    key: "_getAddresses",
+    value: function _getAddresses(log) {
+      return log.topics.slice(1, 3).map(function (topic) {
+        return "0x".concat(topic.slice(26)).toLowerCase();
+      });
+    }
+  }, {
+    key: "_invalidate",
+    value: function _invalidate(predicate) {
+      var _iterator = _createForOfIteratorHelper((0, _classPrivateFieldGet10["default"])(this, _entries)),
+        _step;
+      try {
+        for (_iterator.s(); !(_step = _iterator.n()).done;) {
+          var _step$value = (0, _slicedToArray2["default"])(_step.value, 2),
+            key = _step$value[0],
+            entry = _step$value[1];
+          if (entry.scope === 'lender' && predicate(entry)) (0, _classPrivateFieldGet10["default"])(this, _entries)["delete"](key);
+        }
+      } catch (err) {
+        _iterator.e(err);
+      } finally {
+        _iterator.f();
+      }
+    }
+  }]);
+  return OffersValidationCache;
+}();
+var _default = OffersValidationCache;
+exports["default"] = _default;
\ No newline at end of file
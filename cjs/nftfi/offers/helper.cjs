@@ -6,6 +6,7 @@ Object.defineProperty(exports, "__esModule", {
 });
 exports["default"] = void 0;
 var _regenerator = _interopRequireDefault(require("@babel/runtime/regenerator"));
+var _toConsumableArray2 = _interopRequireDefault(require("@babel/runtime/helpers/toConsumableArray"));
 var _asyncToGenerator2 = _interopRequireDefault(require("@babel/runtime/helpers/asyncToGenerator"));
 var _defineProperty2 = _interopRequireDefault(require("@babel/runtime/helpers/defineProperty"));
 var _classCallCheck2 = _interopRequireDefault(require("@babel/runtime/helpers/classCallCheck"));
@@ -16,22 +17,18 @@ function ownKeys(object, enumerableOnly) { var keys = Object.keys(object); if (O
 function _objectSpread(target) { for (var i = 1; i < arguments.length; i++) { var source = null != arguments[i] ? arguments[i] : {}; i % 2 ? ownKeys(Object(source), !0).forEach(function (key) { (0, _defineProperty2["default"])(target, key, source[key]); }) : Object.getOwnPropertyDescriptors ? Object.defineProperties(target, Object.getOwnPropertyDescriptors(source)) : ownKeys(Object(source)).forEach(function (key) { Object.defineProperty(target, key, Object.getOwnPropertyDescriptor(source, key)); }); } return target; }
 function _classPrivateFieldInitSpec(obj, privateMap, value) { _checkPrivateRedeclaration(obj, privateMap); privateMap.set(obj, value); }
 function _checkPrivateRedeclaration(obj, privateCollection) { if (privateCollection.has(obj)) { throw new TypeError("Cannot initialize the same private elements twice on an object"); } }
-var _BN = /*#__PURE__*/new WeakMap();
-var _Number = /*#__PURE__*/new WeakMap();
+var _helper = /*#__PURE__*/new WeakMap();
 var _utils = /*#__PURE__*/new WeakMap();
 var _signatures = /*#__PURE__*/new WeakMap();
 var _config = /*#__PURE__*/new WeakMap();
 var _account = /*#__PURE__*/new WeakMap();
 var _assertion = /*#__PURE__*/new WeakMap();
+var _registry = /*#__PURE__*/new WeakMap();
 var OffersHelper = /*#__PURE__*/function () {
   function OffersHelper() {
     var options = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : {};
     (0, _classCallCheck2["default"])(this, OffersHelper);
-    _classPrivateFieldInitSpec(this, _BN, {
-      writable: true,
-      value: void 0
-    });
-    _classPrivateFieldInitSpec(this, _Number, {
+    _classPrivateFieldInitSpec(this, _helper, {
       writable: true,
       value: void 0
     });
@@ -55,13 +52,17 @@ var OffersHelper = /*#__PURE__*/function () {
       writable: true,
       value: void 0
     });
-    (0, _classPrivateFieldSet2["default"])(this, _BN, options === null || options === void 0 ? void 0 : options.BN);
-    (0, _classPrivateFieldSet2["default"])(this, _Number, options === null || options === void 0 ? void 0 : options.Number);
+    _classPrivateFieldInitSpec(this, _registry, {
+      writable: true,
+      value: void 0
+    });
+    (0, _classPrivateFieldSet2["default"])(this, _helper, options === null || options === void 0 ? void 0 : options.helper);
     (0, _classPrivateFieldSet2["default"])(this, _utils, options === null || options === void 0 ? void 0 : options.utils);
     (0, _classPrivateFieldSet2["default"])(this, _signatures, options === null || options === void 0 ? void 0 : options.offersSignatures);
     (0, _classPrivateFieldSet2["default"])(this, _config, options === null || options === void 0 ? void 0 : options.config);
     (0, _classPrivateFieldSet2["default"])(this, _account, options === null || options === void 0 ? void 0 : options.account);
     (0, _classPrivateFieldSet2["default"])(this, _assertion, options === null || options === void 0 ? void 0 : options.assertion);
+    (0, _classPrivateFieldSet2["default"])(this, _registry, options === null || options === void 0 ? void 0 : options.registry);
   }
   (0, _createClass2["default"])(OffersHelper, [{
     key: "_addCollectionAddress",
@@ -206,297 +207,193 @@ var OffersHelper = /*#__PURE__*/function () {
       return params;
     }
   }, {
-    key: "constructV2Offer",
+    key: "constructOffer",
     value: function () {
-      var _constructV2Offer = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee(options) {
-        var _options$terms;
-        var repayment, principal, loanInterestRateForDurationInBasisPoints, lenderNonce, expiry, offer;
+      var _constructOffer = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee(options) {
+        var offer;
         return _regenerator["default"].wrap(function _callee$(_context) {
           while (1) switch (_context.prev = _context.next) {
             case 0:
-              repayment = (0, _classPrivateFieldGet2["default"])(this, _Number).call(this, options.terms.repayment).toLocaleString('fullwide', {
-                useGrouping: false
-              });
-              principal = (0, _classPrivateFieldGet2["default"])(this, _Number).call(this, options.terms.principal).toLocaleString('fullwide', {
-                useGrouping: false
-              });
-              loanInterestRateForDurationInBasisPoints = 0;
-              lenderNonce = (0, _classPrivateFieldGet2["default"])(this, _utils).getNonce();
-              expiry = (0, _classPrivateFieldGet2["default"])(this, _utils).getExpiry(options === null || options === void 0 ? void 0 : (_options$terms = options.terms) === null || _options$terms === void 0 ? void 0 : _options$terms.expiry);
-              offer = {
-                nft: {
-                  id: options.nft.id,
-                  address: options.nft.address
-                },
-                lender: {
-                  address: (0, _classPrivateFieldGet2["default"])(this, _account).getAddress(),
-                  nonce: lenderNonce
-                },
-                borrower: {
-                  address: options.borrower.address
-                },
-                referrer: {
-                  address: '0x0000000000000000000000000000000000000000'
-                },
-                terms: {
-                  loan: {
-                    duration: options.terms.duration,
-                    repayment: repayment,
-                    principal: principal,
-                    currency: options.terms.currency,
-                    expiry: expiry,
-                    interest: {
-                      prorated: false,
-                      bps: loanInterestRateForDurationInBasisPoints
-                    }
-                  }
-                },
-                nftfi: {
-                  contract: {
-                    name: options.nftfi.contract.name
-                  },
-                  fee: {
-                    bps: (0, _classPrivateFieldGet2["default"])(this, _config).loan.adminFeeInBasisPoints
-                  }
-                },
-                metadata: options.metadata
-              };
-              _context.next = 8;
-              return (0, _classPrivateFieldGet2["default"])(this, _signatures).getV2OfferSignature(_objectSpread(_objectSpread({}, options), {}, {
+              offer = this._getOffer(options);
+              _context.next = 3;
+              return (0, _classPrivateFieldGet2["default"])(this, _signatures).getOfferSignature(_objectSpread(_objectSpread({}, options), {}, {
                 offer: offer
               }));
-            case 8:
-              offer['signature'] = _context.sent;
+            case 3:
+              offer.signature = _context.sent;
               return _context.abrupt("return", offer);
-            case 10:
+            case 5:
             case "end":
               return _context.stop();
           }
         }, _callee, this);
       }));
-      function constructV2Offer(_x) {
-        return _constructV2Offer.apply(this, arguments);
+      function constructOffer(_x) {
+        return _constructOffer.apply(this, arguments);
       }
-      return constructV2Offer;
-    }()
+      return constructOffer;
+    }() // Offers are all built before being signed together, so that the account signs them in one round
   }, {
-    key: "constructV2_3Offer",
+    key: "constructOffers",
     value: function () {
-      var _constructV2_3Offer = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee2(options) {
-        var _options$terms2;
-        var repayment, principal, loanInterestRateForDurationInBasisPoints, lenderNonce, expiry, offer;
+      var _constructOffers = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee2(optionsList) {
+        var _this = this;
+        var built, signable, signatures;
         return _regenerator["default"].wrap(function _callee2$(_context2) {
           while (1) switch (_context2.prev = _context2.next) {
             case 0:
-              repayment = (0, _classPrivateFieldGet2["default"])(this, _Number).call(this, options.terms.repayment).toLocaleString('fullwide', {
-                useGrouping: false
+              built = optionsList.map(function (options) {
+                try {
+                  return {
+                    offer: _this._getOffer(options)
+                  };
+                } catch (error) {
+                  return {
+                    error: error
+                  };
+                }
               });
-              principal = (0, _classPrivateFieldGet2["default"])(this, _Number).call(this, options.terms.principal).toLocaleString('fullwide', {
-                useGrouping: false
+              signable = (0, _toConsumableArray2["default"])(built.keys()).filter(function (i) {
+                return built[i].offer;
               });
-              loanInterestRateForDurationInBasisPoints = 0;
-              lenderNonce = (0, _classPrivateFieldGet2["default"])(this, _utils).getNonce();
-              expiry = (0, _classPrivateFieldGet2["default"])(this, _utils).getExpiry(options === null || options === void 0 ? void 0 : (_options$terms2 = options.terms) === null || _options$terms2 === void 0 ? void 0 : _options$terms2.expiry);
-              offer = {
-                nft: {
-                  id: options.nft.id,
-                  address: options.nft.address
-                },
-                lender: {
-                  address: (0, _classPrivateFieldGet2["default"])(this, _account).getAddress(),
-                  nonce: lenderNonce
-                },
-                borrower: {
-                  address: options.borrower.address
-                },
-                referrer: {
-                  address: '0x0000000000000000000000000000000000000000'
-                },
-                terms: {
-                  loan: {
-                    duration: options.terms.duration,
-                    repayment: repayment,
-                    principal: principal,
-                    currency: options.terms.currency,
-                    expiry: expiry,
-                    interest: {
-                      prorated: false,
-                      bps: loanInterestRateForDurationInBasisPoints
-                    }
-                  }
-                },
-                nftfi: {
-                  contract: {
-                    name: options.nftfi.contract.name
-                  },
-                  fee: {
-                    bps: (0, _classPrivateFieldGet2["default"])(this, _config).loan.adminFeeInBasisPoints
-                  }
-                },
-                metadata: options.metadata
-              };
-              _context2.next = 8;
-              return (0, _classPrivateFieldGet2["default"])(this, _signatures).getV2_3OfferSignature(_objectSpread(_objectSpread({}, options), {}, {
-                offer: offer
+              _context2.next = 4;
+              return (0, _classPrivateFieldGet2["default"])(this, _signatures).getOfferSignatures(signable.map(function (i) {
+                return _objectSpread(_objectSpread({}, optionsList[i]), {}, {
+                  offer: built[i].offer
+                });
               }));
-            case 8:
-              offer['signature'] = _context2.sent;
-              return _context2.abrupt("return", offer);
-            case 10:
+            case 4:
+              signatures = _context2.sent;
+              signable.forEach(function (i, j) {
+                if (signatures[j] instanceof Error) {
+                  built[i] = {
+                    error: signatures[j]
+                  };
+                } else {
+                  built[i].offer.signature = signatures[j];
+                }
+              });
+              return _context2.abrupt("return", built);
+            case 7:
             case "end":
               return _context2.stop();
           }
         }, _callee2, this);
       }));
-      function constructV2_3Offer(_x2) {
-        return _constructV2_3Offer.apply(this, arguments);
+      function constructOffers(_x2) {
+        return _constructOffers.apply(this, arguments);
       }
-      return constructV2_3Offer;
+      return constructOffers;
     }()
   }, {
-    key: "constructV2FixedCollectionOffer",
-    value: function () {
-      var _constructV2FixedCollectionOffer = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee3(options) {
-        var _options$terms3, _options$terms3$expir;
-        var repayment, principal, loanInterestRateForDurationInBasisPoints, lenderNonce, expiry, nftId, offer;
-        return _regenerator["default"].wrap(function _callee3$(_context3) {
-          while (1) switch (_context3.prev = _context3.next) {
-            case 0:
-              repayment = (0, _classPrivateFieldGet2["default"])(this, _Number).call(this, options.terms.repayment).toLocaleString('fullwide', {
-                useGrouping: false
-              });
-              principal = (0, _classPrivateFieldGet2["default"])(this, _Number).call(this, options.terms.principal).toLocaleString('fullwide', {
-                useGrouping: false
-              });
-              loanInterestRateForDurationInBasisPoints = 0;
-              lenderNonce = (0, _classPrivateFieldGet2["default"])(this, _utils).getNonce();
-              expiry = (0, _classPrivateFieldGet2["default"])(this, _utils).getExpiry(options === null || options === void 0 ? void 0 : (_options$terms3 = options.terms) === null || _options$terms3 === void 0 ? void 0 : (_options$terms3$expir = _options$terms3.expiry) === null || _options$terms3$expir === void 0 ? void 0 : _options$terms3$expir.seconds);
-              nftId = 0;
-              offer = {
-                nft: {
-                  id: nftId,
-                  address: options.nft.address
-                },
-                lender: {
-                  address: (0, _classPrivateFieldGet2["default"])(this, _account).getAddress(),
-                  nonce: lenderNonce
-                },
-                referrer: {
-                  address: '0x0000000000000000000000000000000000000000'
-                },
-                terms: {
-                  loan: {
-                    duration: options.terms.duration,
-                    repayment: repayment,
-                    principal: principal,
-                    currency: options.terms.currency,
-                    expiry: expiry,
-                    interest: {
-                      prorated: false,
-                      bps: loanInterestRateForDurationInBasisPoints
-                    }
-                  }
-                },
-                nftfi: {
-                  contract: {
-                    name: options.nftfi.contract.name
-                  },
-                  fee: {
-                    bps: (0, _classPrivateFieldGet2["default"])(this, _config).loan.adminFeeInBasisPoints
-                  }
-                },
-                metadata: options.metadata
-              };
-              _context3.next = 9;
-              return (0, _classPrivateFieldGet2["default"])(this, _signatures).getV2FixedCollectionOfferSignature(_objectSpread(_objectSpread({}, options), {}, {
-                offer: offer
-              }));
-            case 9:
-              offer.signature = _context3.sent;
-              return _context3.abrupt("return", offer);
-            case 11:
-            case "end":
-              return _context3.stop();
-          }
-        }, _callee3, this);
-      }));
-      function constructV2FixedCollectionOffer(_x3) {
-        return _constructV2FixedCollectionOffer.apply(this, arguments);
+    key: "_getOffer",
+    value: function _getOffer(options) {
+      var _contract$offer;
+      var contract = (0, _classPrivateFieldGet2["default"])(this, _registry).get(options.nftfi.contract.name, 'offer');
+      switch ((_contract$offer = contract.offer) === null || _contract$offer === void 0 ? void 0 : _contract$offer.type) {
+        case 'collection':
+          return this._getCollectionOffer(options);
+        default:
+          return this._getNftOffer(options);
       }
-      return constructV2FixedCollectionOffer;
-    }()
+    }
   }, {
-    key: "constructV2_3FixedCollectionOffer",
-    value: function () {
-      var _constructV2_3FixedCollectionOffer = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee4(options) {
-        var _options$terms4, _options$terms4$expir;
-        var repayment, principal, loanInterestRateForDurationInBasisPoints, lenderNonce, expiry, nftId, offer;
-        return _regenerator["default"].wrap(function _callee4$(_context4) {
-          while (1) switch (_context4.prev = _context4.next) {
-            case 0:
-              repayment = (0, _classPrivateFieldGet2["default"])(this, _Number).call(this, options.terms.repayment).toLocaleString('fullwide', {
-                useGrouping: false
-              });
-              principal = (0, _classPrivateFieldGet2["default"])(this, _Number).call(this, options.terms.principal).toLocaleString('fullwide', {
-                useGrouping: false
-              });
-              loanInterestRateForDurationInBasisPoints = 0;
-              lenderNonce = (0, _classPrivateFieldGet2["default"])(this, _utils).getNonce();
-              expiry = (0, _classPrivateFieldGet2["default"])(this, _utils).getExpiry(options === null || options === void 0 ? void 0 : (_options$terms4 = options.terms) === null || _options$terms4 === void 0 ? void 0 : (_options$terms4$expir = _options$terms4.expiry) === null || _options$terms4$expir === void 0 ? void 0 : _options$terms4$expir.seconds);
-              nftId = 0;
-              offer = {
-                nft: {
-                  id: nftId,
-                  address: options.nft.address
-                },
-                lender: {
-                  address: (0, _classPrivateFieldGet2["default"])(this, _account).getAddress(),
-                  nonce: lenderNonce
-                },
-                referrer: {
-                  address: '0x0000000000000000000000000000000000000000'
-                },
-                terms: {
-                  loan: {
-                    duration: options.terms.duration,
-                    repayment: repayment,
-                    principal: principal,
-                    currency: options.terms.currency,
-                    expiry: expiry,
-                    interest: {
-                      prorated: false,
-                      bps: loanInterestRateForDurationInBasisPoints
-                    }
-                  }
-                },
-                nftfi: {
-                  contract: {
-                    name: options.nftfi.contract.name
-                  },
-                  fee: {
-                    bps: (0, _classPrivateFieldGet2["default"])(this, _config).loan.adminFeeInBasisPoints
-                  }
-                },
-                metadata: options.metadata
-              };
-              _context4.next = 9;
-              return (0, _classPrivateFieldGet2["default"])(this, _signatures).getV2_3FixedCollectionOfferSignature(_objectSpread(_objectSpread({}, options), {}, {
-                offer: offer
-              }));
-            case 9:
-              offer.signature = _context4.sent;
-              return _context4.abrupt("return", offer);
-            case 11:
-            case "end":
-              return _context4.stop();
+    key: "_getNftOffer",
+    value: function _getNftOffer(options) {
+      var _options$terms;
+      var repayment = (0, _classPrivateFieldGet2["default"])(this, _helper).toAmount(options.terms.repayment, 'terms.repayment');
+      var principal = (0, _classPrivateFieldGet2["default"])(this, _helper).toAmount(options.terms.principal, 'terms.principal');
+      var loanInterestRateForDurationInBasisPoints = 0;
+      var lenderNonce = (0, _classPrivateFieldGet2["default"])(this, _utils).getNonce();
+      var expiry = (0, _classPrivateFieldGet2["default"])(this, _utils).getExpiry(options === null || options === void 0 ? void 0 : (_options$terms = options.terms) === null || _options$terms === void 0 ? void 0 : _options$terms.expiry);
+      var offer = {
+        nft: {
+          id: options.nft.id,
+          address: options.nft.address
+        },
+        lender: {
+          address: (0, _classPrivateFieldGet2["default"])(this, _account).getAddress(),
+          nonce: lenderNonce
+        },
+        borrower: {
+          address: options.borrower.address
+        },
+        referrer: {
+          address: '0x0000000000000000000000000000000000000000'
+        },
+        terms: {
+          loan: {
+            duration: options.terms.duration,
+            repayment: repayment,
+            principal: principal,
+            currency: options.terms.currency,
+            expiry: expiry,
+            interest: {
+              prorated: false,
+              bps: loanInterestRateForDurationInBasisPoints
+            }
           }
-        }, _callee4, this);
-      }));
-      function constructV2_3FixedCollectionOffer(_x4) {
-        return _constructV2_3FixedCollectionOffer.apply(this, arguments);
-      }
-      return constructV2_3FixedCollectionOffer;
-    }()
+        },
+        nftfi: {
+          contract: {
+            name: options.nftfi.contract.name
+          },
+          fee: {
+            bps: (0, _classPrivateFieldGet2["default"])(this, _config).loan.adminFeeInBasisPoints
+          }
+        },
+        metadata: options.metadata
+      };
+      return offer;
+    }
+  }, {
+    key: "_getCollectionOffer",
+    value: function _getCollectionOffer(options) {
+      var _options$terms$expiry, _options$terms2, _options$terms2$expir, _options$terms3;
+      var repayment = (0, _classPrivateFieldGet2["default"])(this, _helper).toAmount(options.terms.repayment, 'terms.repayment');
+      var principal = (0, _classPrivateFieldGet2["default"])(this, _helper).toAmount(options.terms.principal, 'terms.principal');
+      var loanInterestRateForDurationInBasisPoints = 0;
+      var lenderNonce = (0, _classPrivateFieldGet2["default"])(this, _utils).getNonce();
+      // Collection offers used to take the expiry as `{ seconds }`
+      var expiry = (0, _classPrivateFieldGet2["default"])(this, _utils).getExpiry((_options$terms$expiry = options === null || options === void 0 ? void 0 : (_options$terms2 = options.terms) === null || _options$terms2 === void 0 ? void 0 : (_options$terms2$expir = _options$terms2.expiry) === null || _options$terms2$expir === void 0 ? void 0 : _options$terms2$expir.seconds) !== null && _options$terms$expiry !== void 0 ? _options$terms$expiry : options === null || options === void 0 ? void 0 : (_options$terms3 = options.terms) === null || _options$terms3 === void 0 ? void 0 : _options$terms3.expiry);
+      var nftId = 0;
+      var offer = {
+        nft: {
+          id: nftId,
+          address: options.nft.address
+        },
+        lender: {
+          address: (0, _classPrivateFieldGet2["default"])(this, _account).getAddress(),
+          nonce: lenderNonce
+        },
+        referrer: {
+          address: '0x0000000000000000000000000000000000000000'
+        },
+        terms: {
+          loan: {
+            duration: options.terms.duration,
+            repayment: repayment,
+            principal: principal,
+            currency: options.terms.currency,
+            expiry: expiry,
+            interest: {
+              prorated: false,
+              bps: loanInterestRateForDurationInBasisPoints
+            }
+          }
+        },
+        nftfi: {
+          contract: {
+            name: options.nftfi.contract.name
+          },
+          fee: {
+            bps: (0, _classPrivateFieldGet2["default"])(this, _config).loan.adminFeeInBasisPoints
+          }
+        },
+        metadata: options.metadata
+      };
+      return offer;
+    }
   }]);
   return OffersHelper;
 }();
@@ -6,12 +6,15 @@ Object.defineProperty(exports, "__esModule", {
 });
 exports["default"] = void 0;
 var _regenerator = _interopRequireDefault(require("@babel/runtime/regenerator"));
-var _asyncToGenerator2 = _interopRequireDefault(require("@babel/runtime/helpers/asyncToGenerator"));
 var _defineProperty2 = _interopRequireDefault(require("@babel/runtime/helpers/defineProperty"));
+var _asyncToGenerator2 = _interopRequireDefault(require("@babel/runtime/helpers/asyncToGenerator"));
 var _classCallCheck2 = _interopRequireDefault(require("@babel/runtime/helpers/classCallCheck"));
 var _createClass2 = _interopRequireDefault(require("@babel/runtime/helpers/createClass"));
-var _classPrivateFieldGet2 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldGet"));
-var _classPrivateFieldSet3 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldSet"));
+var _classPrivateFieldGet4 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldGet"));
+var _classPrivateFieldSet2 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldSet"));
+var _errors = require("../errors.cjs");
+function ownKeys(object, enumerableOnly) { var keys = Object.keys(object); if (Object.getOwnPropertySymbols) { var symbols = Object.getOwnPropertySymbols(object); enumerableOnly && (symbols = symbols.filter(function (sym) { return Object.getOwnPropertyDescriptor(object, sym).enumerable; })), keys.push.apply(keys, symbols); } return keys; }
+function _objectSpread(target) { for (var i = 1; i < arguments.length; i++) { var source = null != arguments[i] ? arguments[i] : {}; i % 2 ? ownKeys(Object(source), !0).forEach(function (key) { (0, _defineProperty2["default"])(target, key, source[key]); }) : Object.getOwnPropertyDescriptors ? Object.defineProperties(target, Object.getOwnPropertyDescriptors(source)) : ownKeys(Object(source)).forEach(function (key) { Object.defineProperty(target, key, Object.getOwnPropertyDescriptor(source, key)); }); } return target; }
 function _classPrivateFieldInitSpec(obj, privateMap, value) { _checkPrivateRedeclaration(obj, privateMap); privateMap.set(obj, value); }
 function _checkPrivateRedeclaration(obj, privateCollection) { if (privateCollection.has(obj)) { throw new TypeError("Cannot initialize the same private elements twice on an object"); } }
 var _api = /*#__PURE__*/new WeakMap();
@@ -19,10 +22,13 @@ var _account = /*#__PURE__*/new WeakMap();
 var _config = /*#__PURE__*/new WeakMap();
 var _result = /*#__PURE__*/new WeakMap();
 var _error = /*#__PURE__*/new WeakMap();
-var _contractsAddresses = /*#__PURE__*/new WeakMap();
+var _assertion = /*#__PURE__*/new WeakMap();
+var _offersHelper = /*#__PURE__*/new WeakMap();
+var _registry = /*#__PURE__*/new WeakMap();
+var _ethers = /*#__PURE__*/new WeakMap();
+var _helper = /*#__PURE__*/new WeakMap();
 var OffersRequests = /*#__PURE__*/function () {
   function OffersRequests() {
-    var _classPrivateFieldSet2;
     var options = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : {};
     (0, _classCallCheck2["default"])(this, OffersRequests);
     _classPrivateFieldInitSpec(this, _api, {
@@ -45,29 +51,51 @@ var OffersRequests = /*#__PURE__*/function () {
       writable: true,
       value: void 0
     });
-    _classPrivateFieldInitSpec(this, _contractsAddresses, {
+    _classPrivateFieldInitSpec(this, _assertion, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _offersHelper, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _registry, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _ethers, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _helper, {
       writable: true,
       value: void 0
     });
-    (0, _classPrivateFieldSet3["default"])(this, _api, options === null || options === void 0 ? void 0 : options.api);
-    (0, _classPrivateFieldSet3["default"])(this, _account, options === null || options === void 0 ? void 0 : options.account);
-    (0, _classPrivateFieldSet3["default"])(this, _config, options === null || options === void 0 ? void 0 : options.config);
-    (0, _classPrivateFieldSet3["default"])(this, _error, options === null || options === void 0 ? void 0 : options.error);
-    (0, _classPrivateFieldSet3["default"])(this, _result, options === null || options === void 0 ? void 0 : options.result);
-    (0, _classPrivateFieldSet3["default"])(this, _contractsAddresses, (_classPrivateFieldSet2 = {}, (0, _defineProperty2["default"])(_classPrivateFieldSet2, (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.collection.v2.name, (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.collection.v2.address), (0, _defineProperty2["default"])(_classPrivateFieldSet2, (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.v2_1.name, (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.v2_1.address), _classPrivateFieldSet2));
+    (0, _classPrivateFieldSet2["default"])(this, _api, options === null || options === void 0 ? void 0 : options.api);
+    (0, _classPrivateFieldSet2["default"])(this, _account, options === null || options === void 0 ? void 0 : options.account);
+    (0, _classPrivateFieldSet2["default"])(this, _config, options === null || options === void 0 ? void 0 : options.config);
+    (0, _classPrivateFieldSet2["default"])(this, _error, options === null || options === void 0 ? void 0 : options.error);
+    (0, _classPrivateFieldSet2["default"])(this, _result, options === null || options === void 0 ? void 0 : options.result);
+    (0, _classPrivateFieldSet2["default"])(this, _assertion, options === null || options === void 0 ? void 0 : options.assertion);
+    (0, _classPrivateFieldSet2["default"])(this, _offersHelper, options === null || options === void 0 ? void 0 : options.offersHelper);
+    (0, _classPrivateFieldSet2["default"])(this, _registry, options === null || options === void 0 ? void 0 : options.registry);
+    (0, _classPrivateFieldSet2["default"])(this, _ethers, options === null || options === void 0 ? void 0 : options.ethers);
+    (0, _classPrivateFieldSet2["default"])(this, _helper, options === null || options === void 0 ? void 0 : options.helper);
   }
 
   /**
-   * Creates a new offer request for a NFT.
+   * Creates a new offer request, for a NFT or for any of a list of candidate NFTs from a collection.
+   * The desired terms are validated locally before the request is sent.
    *
    * @param {object} [options] - Hashmap of config options for this method
    * @param {string} [options.nft.address] - NFT contract address
    * @param {string} [options.nft.id] - NFT id of the asset
+   * @param {Array<string>} [options.nft.ids] - NFT ids of the candidate assets, for a collection-level request made for a collection contract (optional)
    * @param {string} [options.desiredTerms.currency] - Desired term currency (optional)
-   * @param {string} [options.desiredTerms.principal] - Desired term principal (optional)
-   * @param {number} [options.desiredTerms.repayment] - Desired term repayment (optional)
-   * @param {string} [options.desiredTerms.duration] - Desired term duration (optional)
-   * @param {string} [options.desiredTerms.contract.name] - Name of contract which the offer was created for: `v2-3.loan.fixed`
+   * @param {string} [options.desiredTerms.principal] - Desired term principal, in base units (optional)
+   * @param {string} [options.desiredTerms.repayment] - Desired term repayment, in base units, no lower than the principal (optional)
+   * @param {string} [options.desiredTerms.duration] - Desired term duration, within `config.loan.duration` (optional)
+   * @param {string} [options.desiredTerms.contract.name] - Name of a contract offers can be created for, eg. `v2-3.loan.fixed` or `v2-3.loan.fixed.collection`
    * @returns {object} Offer request
    *
    * @example
@@ -87,88 +115,480 @@ var OffersRequests = /*#__PURE__*/function () {
    *    id: "42"
    *  }
    * });
+   *
+   * @example
+   * // Create an Offer Request for any of three NFTs from a collection
+   * const offerRequest = await nftfi.offers.requests.create({
+   *  desiredTerms: {
+   *    currency: nftfi.config.erc20.weth.address,
+   *    principal: '1000000000000000000',
+   *    repayment: '1100000000000000000',
+   *    duration: 86400 * 30, // 30 days (in seconds)
+   *    contract: {
+   *      name: 'v2-3.loan.fixed.collection'
+   *    }
+   *  },
+   *  nft: {
+   *    address: "0x00000000",
+   *    ids: ["42", "43", "44"]
+   *  }
+   * });
    */
   (0, _createClass2["default"])(OffersRequests, [{
     key: "create",
     value: function () {
       var _create = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee(_ref) {
-        var desiredTerms, nft, contractAddress, payload, response;
+        var desiredTerms, nft, contract, _desiredTerms$contrac, errors, payload, response;
         return _regenerator["default"].wrap(function _callee$(_context) {
           while (1) switch (_context.prev = _context.next) {
             case 0:
               desiredTerms = _ref.desiredTerms, nft = _ref.nft;
-              contractAddress = (0, _classPrivateFieldGet2["default"])(this, _contractsAddresses)[desiredTerms.contract.name];
-              if (contractAddress) {
-                _context.next = 4;
+              _context.prev = 1;
+              contract = (0, _classPrivateFieldGet4["default"])(this, _registry).get(desiredTerms === null || desiredTerms === void 0 ? void 0 : (_desiredTerms$contrac = desiredTerms.contract) === null || _desiredTerms$contrac === void 0 ? void 0 : _desiredTerms$contrac.name, 'offer');
+              _context.next = 8;
+              break;
+            case 5:
+              _context.prev = 5;
+              _context.t0 = _context["catch"](1);
+              return _context.abrupt("return", (0, _classPrivateFieldGet4["default"])(this, _error).handle(_context.t0));
+            case 8:
+              errors = _objectSpread(_objectSpread({}, this._getNftErrors(nft, contract)), this._getDesiredTermsErrors(desiredTerms));
+              if (!(Object.keys(errors).length > 0)) {
+                _context.next = 11;
                 break;
               }
-              return _context.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle('Invalid contract name specified!'));
-            case 4:
+              return _context.abrupt("return", (0, _classPrivateFieldGet4["default"])(this, _error).handle({
+                errors: errors
+              }));
+            case 11:
               payload = {
                 data: {
                   desiredTerms: {
                     currency: desiredTerms.currency,
-                    principal: desiredTerms.principal,
-                    repayment: desiredTerms.repayment,
+                    principal: desiredTerms.principal === undefined ? undefined : (0, _classPrivateFieldGet4["default"])(this, _helper).toAmount(desiredTerms.principal),
+                    repayment: desiredTerms.repayment === undefined ? undefined : (0, _classPrivateFieldGet4["default"])(this, _helper).toAmount(desiredTerms.repayment),
                     duration: desiredTerms.duration,
                     contract: {
-                      name: desiredTerms.contract.name,
-                      address: contractAddress,
+                      name: contract.name,
+                      address: contract.address,
                       fee: {
-                        bps: (0, _classPrivateFieldGet2["default"])(this, _config).loan.adminFeeInBasisPoints
+                        bps: (0, _classPrivateFieldGet4["default"])(this, _config).loan.adminFeeInBasisPoints
                       }
                     }
                   },
-                  nft: {
+                  nft: nft.ids ? {
+                    ids: nft.ids.map(String),
+                    address: nft.address
+                  } : {
                     id: nft.id,
                     address: nft.address
                   },
                   borrower: {
-                    address: (0, _classPrivateFieldGet2["default"])(this, _account).getAddress()
+                    address: (0, _classPrivateFieldGet4["default"])(this, _account).getAddress()
                   },
                   chain: {
-                    id: (0, _classPrivateFieldGet2["default"])(this, _config).chainId
+                    id: (0, _classPrivateFieldGet4["default"])(this, _config).chainId
                   }
                 },
                 schema: {
                   version: '0.1'
                 }
               };
-              _context.prev = 5;
-              _context.next = 8;
-              return (0, _classPrivateFieldGet2["default"])(this, _api).post({
+              _context.prev = 12;
+              _context.next = 15;
+              return (0, _classPrivateFieldGet4["default"])(this, _api).post({
                 uri: 'v0.1/offer-requests',
                 payload: payload
               });
-            case 8:
+            case 15:
               response = _context.sent;
               if (!(response !== null && response !== void 0 && response.errors)) {
-                _context.next = 13;
+                _context.next = 20;
                 break;
               }
-              return _context.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle({
+              return _context.abrupt("return", (0, _classPrivateFieldGet4["default"])(this, _error).handle({
                 errors: response === null || response === void 0 ? void 0 : response.errors
               }));
-            case 13:
-              return _context.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _result).handle(response === null || response === void 0 ? void 0 : response.result));
-            case 14:
-              _context.next = 19;
+            case 20:
+              return _context.abrupt("return", (0, _classPrivateFieldGet4["default"])(this, _result).handle(response === null || response === void 0 ? void 0 : response.result));
+            case 21:
+              _context.next = 26;
               break;
-            case 16:
-              _context.prev = 16;
-              _context.t0 = _context["catch"](5);
-              return _context.abrupt("return", (0, _classPrivateFieldGet2["default"])(this, _error).handle(_context.t0));
-            case 19:
+            case 23:
+              _context.prev = 23;
+              _context.t1 = _context["catch"](12);
+              return _context.abrupt("return", (0, _classPrivateFieldGet4["default"])(this, _error).handle(_context.t1));
+            case 26:
             case "end":
               return _context.stop();
           }
-        }, _callee, this, [[5, 16]]);
+        }, _callee, this, [[1, 5], [12, 23]]);
       }));
       function create(_x) {
         return _create.apply(this, arguments);
       }
       return create;
     }()
+    /**
+     * Gets offer requests. When called without filters, gets the offer requests made by your account.
+     *
+     * @param {object} [options] - Hashmap of config options for this method
+     * @param {string} [options.filters.nft.address] - NFT contract address to filter by (optional)
+     * @param {string} [options.filters.nft.id] - NFT id of the asset to filter by (optional)
+     * @param {string} [options.filters.borrower.address.eq] - Borrower wallet address to filter by (optional)
+     * @param {string} [options.filters.desiredTerms.currency.address.eq] - Desired term currency to filter by (optional)
+     * @param {string} [options.filters.nftfi.contract.name] - Contract name to filter by (optional)
+     * @param {number} [options.pagination.page] - Pagination page (optional)
+     * @param {number} [options.pagination.limit] - Pagination limit (optional)
+     * @param {string} [options.pagination.sort] - Field to sort by (optional)
+     * @param {'asc' | 'desc'} [options.pagination.direction] - Direction to sort by (optional)
+     * @returns {Array<object>} Array of offer requests, or a response object with the `results` and `pagination.total` when paginated
+     *
+     * @example
+     * // Get the offer requests made by your account
+     * const offerRequests = await nftfi.offers.requests.get();
+     *
+     * @example
+     * // Get the first page of offer requests for WETH loans on a collection
+     * const offerRequests = await nftfi.offers.requests.get({
+     *   filters: {
+     *     nft: { address: '0x00000000' },
+     *     desiredTerms: { currency: { address: { eq: nftfi.config.erc20.weth.address } } }
+     *   },
+     *   pagination: {
+     *     page: 1,
+     *     limit: 20
+     *   }
+     * });
+     */
+  }, {
+    key: "get",
+    value: function () {
+      var _get = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee2() {
+        var options,
+          response,
+          results,
+          _response$pagination,
+          _args2 = arguments;
+        return _regenerator["default"].wrap(function _callee2$(_context2) {
+          while (1) switch (_context2.prev = _context2.next) {
+            case 0:
+              options = _args2.length > 0 && _args2[0] !== undefined ? _args2[0] : {};
+              _context2.prev = 1;
+              _context2.next = 4;
+              return (0, _classPrivateFieldGet4["default"])(this, _api).get({
+                uri: 'v0.1/offer-requests',
+                auth: {
+                  token: 'optional'
+                },
+                params: this._getParams(options)
+              });
+            case 4:
+              response = _context2.sent;
+              results = (response === null || response === void 0 ? void 0 : response.results) || [];
+              if (!(options !== null && options !== void 0 && options.pagination)) {
+                _context2.next = 8;
+                break;
+              }
+              return _context2.abrupt("return", (0, _classPrivateFieldGet4["default"])(this, _result).handle({
+                pagination: {
+                  total: response === null || response === void 0 ? void 0 : (_response$pagination = response.pagination) === null || _response$pagination === void 0 ? void 0 : _response$pagination.total
+                },
+                results: results
+              }));
+            case 8:
+              return _context2.abrupt("return", results);
+            case 11:
+              _context2.prev = 11;
+              _context2.t0 = _context2["catch"](1);
+              return _context2.abrupt("return", (0, _classPrivateFieldGet4["default"])(this, _error).handle(_context2.t0));
+            case 14:
+            case "end":
+              return _context2.stop();
+          }
+        }, _callee2, this, [[1, 11]]);
+      }));
+      function get() {
+        return _get.apply(this, arguments);
+      }
+      return get;
+    }()
+    /**
+     * Deletes an open offer request made by your account.
+     *
+     * @param {object} options - Hashmap of config options for this method
+     * @param {string} options.request.id - The Id of the offer request to be deleted
+     * @returns {object} Response object
+     *
+     * @example
+     * // Withdraw the first offer request made by your account
+     * const offerRequests = await nftfi.offers.requests.get();
+     * const deleted = await nftfi.offers.requests.delete({
+     *   request: {
+     *     id: offerRequests[0].id
+     *   }
+     * });
+     */
+  }, {
+    key: "delete",
+    value: function () {
+      var _delete2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee3(options) {
+        var response;
+        return _regenerator["default"].wrap(function _callee3$(_context3) {
+          while (1) switch (_context3.prev = _context3.next) {
+            case 0:
+              _context3.prev = 0;
+              _context3.next = 3;
+              return (0, _classPrivateFieldGet4["default"])(this, _api)["delete"]({
+                uri: "v0.1/offer-requests/".concat(options.request.id),
+                auth: {
+                  token: 'required'
+                }
+              });
+            case 3:
+              response = _context3.sent;
+              return _context3.abrupt("return", (0, _classPrivateFieldGet4["default"])(this, _result).handle(response === null || response === void 0 ? void 0 : response.result));
+            case 7:
+              _context3.prev = 7;
+              _context3.t0 = _context3["catch"](0);
+              return _context3.abrupt("return", (0, _classPrivateFieldGet4["default"])(this, _error).handle(_context3.t0));
+            case 10:
+            case "end":
+              return _context3.stop();
+          }
+        }, _callee3, this, [[0, 7]]);
+      }));
+      function _delete(_x2) {
+        return _delete2.apply(this, arguments);
+      }
+      return _delete;
+    }()
+    /**
+     * Makes an offer in response to an offer request. Terms that are not specified are the desired terms of the request.
+     * The offer is linked back to the request through its `metadata.forEvent`.
+     *
+     * @param {object} options - Hashmap of config options for this method
+     * @param {object} options.request - The offer request, as returned by `offers.requests.get` or sent with its websocket event
+     * @param {object} [options.terms] - Terms of the offer: `principal`, `repayment`, `duration`, `currency` and `expiry`, as in `offers.create` (optional)
+     * @param {string} [options.nftfi.contract.name] - Name of the contract to make the offer for, defaults to the one of the request (optional)
+     * @returns {object} Response object, with the offer
+     *
+     * @example
+     * // Make an offer on the desired terms of an offer request, valid for 6 hours
+     * const offer = await nftfi.offers.requests.respond({
+     *   request: offerRequest,
+     *   terms: {
+     *     expiry: 21600 // 6 hours (in seconds)
+     *   }
+     * });
+     */
+  }, {
+    key: "respond",
+    value: function () {
+      var _respond = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee4(options) {
+        var _options$nftfi, _options$nftfi$contra, _request$desiredTerms, _request$desiredTerms2, _request$nft, _classPrivateFieldGet2, request, terms, contractName, payload, response;
+        return _regenerator["default"].wrap(function _callee4$(_context4) {
+          while (1) switch (_context4.prev = _context4.next) {
+            case 0:
+              _context4.prev = 0;
+              (0, _classPrivateFieldGet4["default"])(this, _assertion).hasSigner();
+              request = options.request;
+              terms = _objectSpread(_objectSpread({}, request.desiredTerms), options === null || options === void 0 ? void 0 : options.terms);
+              delete terms.contract;
+              contractName = (options === null || options === void 0 ? void 0 : (_options$nftfi = options.nftfi) === null || _options$nftfi === void 0 ? void 0 : (_options$nftfi$contra = _options$nftfi.contract) === null || _options$nftfi$contra === void 0 ? void 0 : _options$nftfi$contra.name) || ((_request$desiredTerms = request.desiredTerms) === null || _request$desiredTerms === void 0 ? void 0 : (_request$desiredTerms2 = _request$desiredTerms.contract) === null || _request$desiredTerms2 === void 0 ? void 0 : _request$desiredTerms2.name);
+              if (contractName) {
+                _context4.next = 8;
+                break;
+              }
+              throw new _errors.ValidationError('Please provide a value for nftfi.contract.name, the offer request has none.');
+            case 8:
+              if (!(!terms.principal || !terms.repayment || !terms.duration || !terms.currency)) {
+                _context4.next = 10;
+                break;
+              }
+              throw new _errors.ValidationError('Please provide the principal, repayment, duration and currency terms of the offer.');
+            case 10:
+              if (!(!((_request$nft = request.nft) !== null && _request$nft !== void 0 && _request$nft.id) && ((_classPrivateFieldGet2 = (0, _classPrivateFieldGet4["default"])(this, _registry).get(contractName, 'offer').offer) === null || _classPrivateFieldGet2 === void 0 ? void 0 : _classPrivateFieldGet2.type) !== 'collection')) {
+                _context4.next = 12;
+                break;
+              }
+              throw new _errors.ValidationError("The offer request is for a collection, ".concat(contractName, " is not a collection contract."));
+            case 12:
+              _context4.next = 14;
+              return (0, _classPrivateFieldGet4["default"])(this, _offersHelper).constructOffer({
+                terms: terms,
+                nft: request.nft,
+                borrower: request.borrower,
+                nftfi: {
+                  contract: {
+                    name: contractName
+                  }
+                },
+                metadata: {
+                  forEvent: {
+                    id: request.id,
+                    type: 'OfferRequest'
+                  }
+                }
+              });
+            case 14:
+              payload = _context4.sent;
+              _context4.next = 17;
+              return (0, _classPrivateFieldGet4["default"])(this, _api).post({
+                uri: 'v0.1/offers',
+                payload: payload
+              });
+            case 17:
+              response = _context4.sent;
+              if (!(response !== null && response !== void 0 && response.errors)) {
+                _context4.next = 20;
+                break;
+              }
+              return _context4.abrupt("return", (0, _classPrivateFieldGet4["default"])(this, _error).handle({
+                errors: response === null || response === void 0 ? void 0 : response.errors
+              }));
+            case 20:
+              return _context4.abrupt("return", (0, _classPrivateFieldGet4["default"])(this, _result).handle(response));
+            case 23:
+              _context4.prev = 23;
+              _context4.t0 = _context4["catch"](0);
+              return _context4.abrupt("return", (0, _classPrivateFieldGet4["default"])(this, _error).handle(_context4.t0));
+            case 26:
+            case "end":
+              return _context4.stop();
+          }
+        }, _callee4, this, [[0, 23]]);
+      }));
+      function respond(_x3) {
+        return _respond.apply(this, arguments);
+      }
+      return respond;
+    }()
+  }, {
+    key: "_getNftErrors",
+    value: function _getNftErrors(nft, contract) {
+      var _contract$offer;
+      if (!(nft !== null && nft !== void 0 && nft.address)) {
+        return {
+          'nft.address': ['Please provide the address of the NFT.']
+        };
+      }
+      if ((nft === null || nft === void 0 ? void 0 : nft.ids) === undefined) {
+        if ((nft === null || nft === void 0 ? void 0 : nft.id) === undefined) {
+          return {
+            'nft.id': ['Please provide the id of the NFT, or the ids of candidate NFTs.']
+          };
+        }
+        return {};
+      }
+      if (!Array.isArray(nft.ids) || nft.ids.length === 0) {
+        return {
+          'nft.ids': ['Please provide at least one candidate NFT id.']
+        };
+      }
+      if (((_contract$offer = contract.offer) === null || _contract$offer === void 0 ? void 0 : _contract$offer.type) !== 'collection') {
+        return {
+          'nft.ids': ["Requests for candidate NFTs need a collection contract, ".concat(contract.name, " is not one.")]
+        };
+      }
+      return {};
+    }
+  }, {
+    key: "_getDesiredTermsErrors",
+    value: function _getDesiredTermsErrors(desiredTerms) {
+      var errors = {};
+      var duration = desiredTerms.duration,
+        currency = desiredTerms.currency;
+      var amounts = {};
+      for (var _i = 0, _arr = ['principal', 'repayment']; _i < _arr.length; _i++) {
+        var field = _arr[_i];
+        if (desiredTerms[field] === undefined) continue;
+        try {
+          amounts[field] = (0, _classPrivateFieldGet4["default"])(this, _helper).toAmount(desiredTerms[field]);
+        } catch (e) {
+          errors["desiredTerms.".concat(field)] = ["The ".concat(field, " must be a whole amount in base units.")];
+        }
+      }
+      var principal = amounts.principal,
+        repayment = amounts.repayment;
+      if (principal && repayment && (0, _classPrivateFieldGet4["default"])(this, _ethers).BigNumber.from(repayment).lt(principal)) {
+        errors['desiredTerms.repayment'] = ['The repayment must be greater than or equal to the principal.'];
+      }
+      if (duration !== undefined) {
+        var _classPrivateFieldGet3 = (0, _classPrivateFieldGet4["default"])(this, _config).loan.duration,
+          min = _classPrivateFieldGet3.min,
+          max = _classPrivateFieldGet3.max;
+        if (!Number.isInteger(Number(duration)) || Number(duration) < min || Number(duration) > max) {
+          errors['desiredTerms.duration'] = ["The duration must be between ".concat(min, " and ").concat(max, " seconds.")];
+        }
+      }
+      if (currency !== undefined) {
+        var currencies = Object.values((0, _classPrivateFieldGet4["default"])(this, _config).erc20).map(function (erc20) {
+          var _erc20$address;
+          return erc20 === null || erc20 === void 0 ? void 0 : (_erc20$address = erc20.address) === null || _erc20$address === void 0 ? void 0 : _erc20$address.toLowerCase();
+        }).filter(Boolean);
+        if (!currencies.includes(String(currency).toLowerCase())) {
+          errors['desiredTerms.currency'] = ["".concat(currency, " is not a known currency.")];
+        }
+      }
+      return errors;
+    }
+  }, {
+    key: "_getParams",
+    value: function _getParams(options) {
+      var _filters$nft, _filters$borrower, _filters$borrower$add, _filters$nft2, _filters$nft3, _filters$nft4, _filters$borrower2, _filters$borrower2$ad, _filters$desiredTerms, _filters$desiredTerms2, _filters$desiredTerms3, _filters$nftfi, _filters$nftfi$contra;
+      var filters = options === null || options === void 0 ? void 0 : options.filters;
+      var params = {};
+      // if no filter is provided, we default to the offer requests made by the account
+      if (!(filters !== null && filters !== void 0 && (_filters$nft = filters.nft) !== null && _filters$nft !== void 0 && _filters$nft.address) && !(filters !== null && filters !== void 0 && (_filters$borrower = filters.borrower) !== null && _filters$borrower !== void 0 && (_filters$borrower$add = _filters$borrower.address) !== null && _filters$borrower$add !== void 0 && _filters$borrower$add.eq) && !(filters !== null && filters !== void 0 && filters.desiredTerms) && !(filters !== null && filters !== void 0 && filters.nftfi)) {
+        (0, _classPrivateFieldGet4["default"])(this, _assertion).hasAddress('Please provide at least a filter, or an account address on sdk initialization.');
+        params = {
+          borrowerAddress: (0, _classPrivateFieldGet4["default"])(this, _account).getAddress()
+        };
+      }
+      if (filters !== null && filters !== void 0 && (_filters$nft2 = filters.nft) !== null && _filters$nft2 !== void 0 && _filters$nft2.address) {
+        params = _objectSpread(_objectSpread({}, params), {}, {
+          nftAddress: filters.nft.address
+        });
+      }
+      if (filters !== null && filters !== void 0 && (_filters$nft3 = filters.nft) !== null && _filters$nft3 !== void 0 && _filters$nft3.address && filters !== null && filters !== void 0 && (_filters$nft4 = filters.nft) !== null && _filters$nft4 !== void 0 && _filters$nft4.id) {
+        params = _objectSpread(_objectSpread({}, params), {}, {
+          nftId: filters.nft.id
+        });
+      }
+      if (filters !== null && filters !== void 0 && (_filters$borrower2 = filters.borrower) !== null && _filters$borrower2 !== void 0 && (_filters$borrower2$ad = _filters$borrower2.address) !== null && _filters$borrower2$ad !== void 0 && _filters$borrower2$ad.eq) {
+        params = _objectSpread(_objectSpread({}, params), {}, {
+          borrowerAddress: filters.borrower.address.eq
+        });
+      }
+      if (filters !== null && filters !== void 0 && (_filters$desiredTerms = filters.desiredTerms) !== null && _filters$desiredTerms !== void 0 && (_filters$desiredTerms2 = _filters$desiredTerms.currency) !== null && _filters$desiredTerms2 !== void 0 && (_filters$desiredTerms3 = _filters$desiredTerms2.address) !== null && _filters$desiredTerms3 !== void 0 && _filters$desiredTerms3.eq) {
+        params = _objectSpread(_objectSpread({}, params), {}, {
+          desiredTermsCurrencyAddress: filters.desiredTerms.currency.address.eq
+        });
+      }
+      if (filters !== null && filters !== void 0 && (_filters$nftfi = filters.nftfi) !== null && _filters$nftfi !== void 0 && (_filters$nftfi$contra = _filters$nftfi.contract) !== null && _filters$nftfi$contra !== void 0 && _filters$nftfi$contra.name) {
+        params = _objectSpread(_objectSpread({}, params), {}, {
+          contractName: filters.nftfi.contract.name
+        });
+      }
+      if (options !== null && options !== void 0 && options.pagination) {
+        var _options$pagination, _options$pagination2, _options$pagination3, _options$pagination4;
+        var limit = (options === null || options === void 0 ? void 0 : (_options$pagination = options.pagination) === null || _options$pagination === void 0 ? void 0 : _options$pagination.limit) || (0, _classPrivateFieldGet4["default"])(this, _config).pagination.limit;
+        var page = (options === null || options === void 0 ? void 0 : (_options$pagination2 = options.pagination) === null || _options$pagination2 === void 0 ? void 0 : _options$pagination2.page) || (0, _classPrivateFieldGet4["default"])(this, _config).pagination.page;
+        var sort = (options === null || options === void 0 ? void 0 : (_options$pagination3 = options.pagination) === null || _options$pagination3 === void 0 ? void 0 : _options$pagination3.sort) || null;
+        var direction = (options === null || options === void 0 ? void 0 : (_options$pagination4 = options.pagination) === null || _options$pagination4 === void 0 ? void 0 : _options$pagination4.direction) || null;
+        params = sort && direction ? _objectSpread(_objectSpread({}, params), {}, {
+          page: page,
+          limit: limit,
+          sort: sort,
+          direction: direction
+        }) : _objectSpread(_objectSpread({}, params), {}, {
+          page: page,
+          limit: limit
+        });
+      }
+      return params;
+    }
   }]);
   return OffersRequests;
 }();
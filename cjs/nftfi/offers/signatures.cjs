@@ -6,16 +6,23 @@ Object.defineProperty(exports, "__esModule", {
 });
 exports["default"] = void 0;
 var _regenerator = _interopRequireDefault(require("@babel/runtime/regenerator"));
+var _slicedToArray2 = _interopRequireDefault(require("@babel/runtime/helpers/slicedToArray"));
 var _asyncToGenerator2 = _interopRequireDefault(require("@babel/runtime/helpers/asyncToGenerator"));
 var _classCallCheck2 = _interopRequireDefault(require("@babel/runtime/helpers/classCallCheck"));
 var _createClass2 = _interopRequireDefault(require("@babel/runtime/helpers/createClass"));
 var _classPrivateFieldGet2 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldGet"));
 var _classPrivateFieldSet2 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldSet"));
+var _registry2 = require("../contract/registry.cjs");
+function _createForOfIteratorHelper(o, allowArrayLike) { var it = typeof Symbol !== "undefined" && o[Symbol.iterator] || o["@@iterator"]; if (!it) { if (Array.isArray(o) || (it = _unsupportedIterableToArray(o)) || allowArrayLike && o && typeof o.length === "number") { if (it) o = it; var i = 0; var F = function F() {}; return { s: F, n: function n() { if (i >= o.length) return { done: true }; return { done: false, value: o[i++] }; }, e: function e(_e) { throw _e; }, f: F }; } throw new TypeError("Invalid attempt to iterate non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method."); } var normalCompletion = true, didErr = false, err; return { s: function s() { it = it.call(o); }, n: function n() { var step = it.next(); normalCompletion = step.done; return step; }, e: function e(_e2) { didErr = true; err = _e2; }, f: function f() { try { if (!normalCompletion && it["return"] != null) it["return"](); } finally { if (didErr) throw err; } } }; }
+function _unsupportedIterableToArray(o, minLen) { if (!o) return; if (typeof o === "string") return _arrayLikeToArray(o, minLen); var n = Object.prototype.toString.call(o).slice(8, -1); if (n === "Object" && o.constructor) n = o.constructor.name; if (n === "Map" || n === "Set") return Array.from(o); if (n === "Arguments" || /^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n)) return _arrayLikeToArray(o, minLen); }
+function _arrayLikeToArray(arr, len) { if (len == null || len > arr.length) len = arr.length; for (var i = 0, arr2 = new Array(len); i < len; i++) arr2[i] = arr[i]; return arr2; }
 function _classPrivateFieldInitSpec(obj, privateMap, value) { _checkPrivateRedeclaration(obj, privateMap); privateMap.set(obj, value); }
 function _checkPrivateRedeclaration(obj, privateCollection) { if (privateCollection.has(obj)) { throw new TypeError("Cannot initialize the same private elements twice on an object"); } }
 var _account = /*#__PURE__*/new WeakMap();
 var _ethers = /*#__PURE__*/new WeakMap();
 var _config = /*#__PURE__*/new WeakMap();
+var _registry = /*#__PURE__*/new WeakMap();
+var _helper = /*#__PURE__*/new WeakMap();
 var OffersSignatures = /*#__PURE__*/function () {
   function OffersSignatures() {
     var options = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : {};
@@ -32,93 +39,313 @@ var OffersSignatures = /*#__PURE__*/function () {
       writable: true,
       value: void 0
     });
+    _classPrivateFieldInitSpec(this, _registry, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _helper, {
+      writable: true,
+      value: void 0
+    });
     (0, _classPrivateFieldSet2["default"])(this, _account, options === null || options === void 0 ? void 0 : options.account);
     (0, _classPrivateFieldSet2["default"])(this, _ethers, options === null || options === void 0 ? void 0 : options.ethers);
     (0, _classPrivateFieldSet2["default"])(this, _config, options === null || options === void 0 ? void 0 : options.config);
+    (0, _classPrivateFieldSet2["default"])(this, _registry, options === null || options === void 0 ? void 0 : options.registry);
+    (0, _classPrivateFieldSet2["default"])(this, _helper, options === null || options === void 0 ? void 0 : options.helper);
   }
   (0, _createClass2["default"])(OffersSignatures, [{
-    key: "getV2OfferSignature",
+    key: "getOfferSignature",
     value: function () {
-      var _getV2OfferSignature = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee(options) {
-        var signature;
+      var _getOfferSignature = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee(options) {
+        var _contract$signature;
+        var contractName, contract;
         return _regenerator["default"].wrap(function _callee$(_context) {
           while (1) switch (_context.prev = _context.next) {
             case 0:
-              signature = (0, _classPrivateFieldGet2["default"])(this, _account).sign((0, _classPrivateFieldGet2["default"])(this, _ethers).utils.arrayify((0, _classPrivateFieldGet2["default"])(this, _ethers).utils.solidityKeccak256(['address', 'uint256', 'uint256', 'address', 'uint256', 'address', 'uint32', 'uint16', 'address', 'uint256', 'uint256', 'address', 'uint256'], [options.offer.terms.loan.currency, options.offer.terms.loan.principal, options.offer.terms.loan.repayment, options.offer.nft.address, options.offer.nft.id, options.offer.referrer.address, options.offer.terms.loan.duration, options.offer.nftfi.fee.bps, (0, _classPrivateFieldGet2["default"])(this, _account).getAddress(), options.offer.lender.nonce, options.offer.terms.loan.expiry, (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.v2_1.address, (0, _classPrivateFieldGet2["default"])(this, _config).chainId])));
-              return _context.abrupt("return", signature);
-            case 2:
+              contractName = options.offer.nftfi.contract.name;
+              contract = (0, _classPrivateFieldGet2["default"])(this, _registry).get(contractName, 'offer');
+              _context.t0 = (_contract$signature = contract.signature) === null || _contract$signature === void 0 ? void 0 : _contract$signature.scheme;
+              _context.next = _context.t0 === 'keccak256' ? 5 : 6;
+              break;
+            case 5:
+              return _context.abrupt("return", this._getKeccak256OfferSignature(options, contract.address));
+            case 6:
+              throw new _registry2.ContractNotSupportedError(contractName, 'offer signatures');
+            case 7:
             case "end":
               return _context.stop();
           }
         }, _callee, this);
       }));
-      function getV2OfferSignature(_x) {
-        return _getV2OfferSignature.apply(this, arguments);
+      function getOfferSignature(_x) {
+        return _getOfferSignature.apply(this, arguments);
       }
-      return getV2OfferSignature;
-    }()
+      return getOfferSignature;
+    }() // Offers are signed in one batch, eg. in one signing round of the multisig owners.
+    // Offers that can't be signed get the error instead of a signature.
   }, {
-    key: "getV2FixedCollectionOfferSignature",
+    key: "getOfferSignatures",
     value: function () {
-      var _getV2FixedCollectionOfferSignature = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee2(options) {
-        var signature;
+      var _getOfferSignatures = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee2(optionsList) {
+        var signatures, messages, _iterator, _step, _step$value, i, options, _contract$signature2, contractName, contract, signed;
         return _regenerator["default"].wrap(function _callee2$(_context2) {
           while (1) switch (_context2.prev = _context2.next) {
             case 0:
-              signature = (0, _classPrivateFieldGet2["default"])(this, _account).sign((0, _classPrivateFieldGet2["default"])(this, _ethers).utils.arrayify((0, _classPrivateFieldGet2["default"])(this, _ethers).utils.solidityKeccak256(['address', 'uint256', 'uint256', 'address', 'uint256', 'address', 'uint32', 'uint16', 'address', 'uint256', 'uint256', 'address', 'uint256'], [options.offer.terms.loan.currency, options.offer.terms.loan.principal, options.offer.terms.loan.repayment, options.offer.nft.address, options.offer.nft.id, options.offer.referrer.address, options.offer.terms.loan.duration, options.offer.nftfi.fee.bps, (0, _classPrivateFieldGet2["default"])(this, _account).getAddress(), options.offer.lender.nonce, options.offer.terms.loan.expiry, (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.collection.v2.address, (0, _classPrivateFieldGet2["default"])(this, _config).chainId])));
-              return _context2.abrupt("return", signature);
-            case 2:
+              signatures = new Array(optionsList.length);
+              messages = [];
+              _iterator = _createForOfIteratorHelper(optionsList.entries());
+              _context2.prev = 3;
+              _iterator.s();
+            case 5:
+              if ((_step = _iterator.n()).done) {
+                _context2.next = 23;
+                break;
+              }
+              _step$value = (0, _slicedToArray2["default"])(_step.value, 2), i = _step$value[0], options = _step$value[1];
+              _context2.prev = 7;
+              contractName = options.offer.nftfi.contract.name;
+              contract = (0, _classPrivateFieldGet2["default"])(this, _registry).get(contractName, 'offer');
+              _context2.t0 = (_contract$signature2 = contract.signature) === null || _contract$signature2 === void 0 ? void 0 : _contract$signature2.scheme;
+              _context2.next = _context2.t0 === 'keccak256' ? 13 : 15;
+              break;
+            case 13:
+              messages.push({
+                i: i,
+                message: this._getKeccak256OfferHash(options.offer, (0, _classPrivateFieldGet2["default"])(this, _account).getAddress(), contract.address)
+              });
+              return _context2.abrupt("break", 16);
+            case 15:
+              throw new _registry2.ContractNotSupportedError(contractName, 'offer signatures');
+            case 16:
+              _context2.next = 21;
+              break;
+            case 18:
+              _context2.prev = 18;
+              _context2.t1 = _context2["catch"](7);
+              signatures[i] = _context2.t1;
+            case 21:
+              _context2.next = 5;
+              break;
+            case 23:
+              _context2.next = 28;
+              break;
+            case 25:
+              _context2.prev = 25;
+              _context2.t2 = _context2["catch"](3);
+              _iterator.e(_context2.t2);
+            case 28:
+              _context2.prev = 28;
+              _iterator.f();
+              return _context2.finish(28);
+            case 31:
+              _context2.next = 33;
+              return (0, _classPrivateFieldGet2["default"])(this, _account).signMany(messages.map(function (_ref) {
+                var message = _ref.message;
+                return message;
+              }));
+            case 33:
+              signed = _context2.sent;
+              messages.forEach(function (_ref2, j) {
+                var i = _ref2.i;
+                return signatures[i] = signed[j];
+              });
+              return _context2.abrupt("return", signatures);
+            case 36:
             case "end":
               return _context2.stop();
           }
-        }, _callee2, this);
+        }, _callee2, this, [[3, 25, 28, 31], [7, 18]]);
       }));
-      function getV2FixedCollectionOfferSignature(_x2) {
-        return _getV2FixedCollectionOfferSignature.apply(this, arguments);
+      function getOfferSignatures(_x2) {
+        return _getOfferSignatures.apply(this, arguments);
       }
-      return getV2FixedCollectionOfferSignature;
+      return getOfferSignatures;
     }()
   }, {
-    key: "getV2_3OfferSignature",
+    key: "getV2OfferSignature",
     value: function () {
-      var _getV2_3OfferSignature = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee3(options) {
-        var signature;
+      var _getV2OfferSignature = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee3(options) {
         return _regenerator["default"].wrap(function _callee3$(_context3) {
           while (1) switch (_context3.prev = _context3.next) {
             case 0:
-              signature = (0, _classPrivateFieldGet2["default"])(this, _account).sign((0, _classPrivateFieldGet2["default"])(this, _ethers).utils.arrayify((0, _classPrivateFieldGet2["default"])(this, _ethers).utils.solidityKeccak256(['address', 'uint256', 'uint256', 'address', 'uint256', 'address', 'uint32', 'uint16', 'address', 'uint256', 'uint256', 'address', 'uint256'], [options.offer.terms.loan.currency, options.offer.terms.loan.principal, options.offer.terms.loan.repayment, options.offer.nft.address, options.offer.nft.id, options.offer.referrer.address, options.offer.terms.loan.duration, options.offer.nftfi.fee.bps, (0, _classPrivateFieldGet2["default"])(this, _account).getAddress(), options.offer.lender.nonce, options.offer.terms.loan.expiry, (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.v2_3.address, (0, _classPrivateFieldGet2["default"])(this, _config).chainId])));
-              return _context3.abrupt("return", signature);
-            case 2:
+              return _context3.abrupt("return", this._getKeccak256OfferSignature(options, (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.v2_1.address));
+            case 1:
             case "end":
               return _context3.stop();
           }
         }, _callee3, this);
       }));
-      function getV2_3OfferSignature(_x3) {
-        return _getV2_3OfferSignature.apply(this, arguments);
+      function getV2OfferSignature(_x3) {
+        return _getV2OfferSignature.apply(this, arguments);
       }
-      return getV2_3OfferSignature;
+      return getV2OfferSignature;
     }()
   }, {
-    key: "getV2_3FixedCollectionOfferSignature",
+    key: "getV2FixedCollectionOfferSignature",
     value: function () {
-      var _getV2_3FixedCollectionOfferSignature = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee4(options) {
-        var signature;
+      var _getV2FixedCollectionOfferSignature = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee4(options) {
         return _regenerator["default"].wrap(function _callee4$(_context4) {
           while (1) switch (_context4.prev = _context4.next) {
             case 0:
-              signature = (0, _classPrivateFieldGet2["default"])(this, _account).sign((0, _classPrivateFieldGet2["default"])(this, _ethers).utils.arrayify((0, _classPrivateFieldGet2["default"])(this, _ethers).utils.solidityKeccak256(['address', 'uint256', 'uint256', 'address', 'uint256', 'address', 'uint32', 'uint16', 'address', 'uint256', 'uint256', 'address', 'uint256'], [options.offer.terms.loan.currency, options.offer.terms.loan.principal, options.offer.terms.loan.repayment, options.offer.nft.address, options.offer.nft.id, options.offer.referrer.address, options.offer.terms.loan.duration, options.offer.nftfi.fee.bps, (0, _classPrivateFieldGet2["default"])(this, _account).getAddress(), options.offer.lender.nonce, options.offer.terms.loan.expiry, (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.collection.v2_3.address, (0, _classPrivateFieldGet2["default"])(this, _config).chainId])));
-              return _context4.abrupt("return", signature);
-            case 2:
+              return _context4.abrupt("return", this._getKeccak256OfferSignature(options, (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.collection.v2.address));
+            case 1:
             case "end":
               return _context4.stop();
           }
         }, _callee4, this);
       }));
-      function getV2_3FixedCollectionOfferSignature(_x4) {
+      function getV2FixedCollectionOfferSignature(_x4) {
+        return _getV2FixedCollectionOfferSignature.apply(this, arguments);
+      }
+      return getV2FixedCollectionOfferSignature;
+    }()
+  }, {
+    key: "getV2_3OfferSignature",
+    value: function () {
+      var _getV2_3OfferSignature = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee5(options) {
+        return _regenerator["default"].wrap(function _callee5$(_context5) {
+          while (1) switch (_context5.prev = _context5.next) {
+            case 0:
+              return _context5.abrupt("return", this._getKeccak256OfferSignature(options, (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.v2_3.address));
+            case 1:
+            case "end":
+              return _context5.stop();
+          }
+        }, _callee5, this);
+      }));
+      function getV2_3OfferSignature(_x5) {
+        return _getV2_3OfferSignature.apply(this, arguments);
+      }
+      return getV2_3OfferSignature;
+    }()
+  }, {
+    key: "getV2_3FixedCollectionOfferSignature",
+    value: function () {
+      var _getV2_3FixedCollectionOfferSignature = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee6(options) {
+        return _regenerator["default"].wrap(function _callee6$(_context6) {
+          while (1) switch (_context6.prev = _context6.next) {
+            case 0:
+              return _context6.abrupt("return", this._getKeccak256OfferSignature(options, (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.collection.v2_3.address));
+            case 1:
+            case "end":
+              return _context6.stop();
+          }
+        }, _callee6, this);
+      }));
+      function getV2_3FixedCollectionOfferSignature(_x6) {
         return _getV2_3FixedCollectionOfferSignature.apply(this, arguments);
       }
       return getV2_3FixedCollectionOfferSignature;
+    }() // Recovers the signer of an offer locally, without calling the loan contract, so only EOA signatures can be verified
+  }, {
+    key: "verifyOfferSignature",
+    value: function verifyOfferSignature(options) {
+      var _contract$signature3;
+      var offer = options.offer;
+      var signer = (options === null || options === void 0 ? void 0 : options.signer) || offer.lender.address;
+      var contractName = offer.nftfi.contract.name;
+      var contract = (0, _classPrivateFieldGet2["default"])(this, _registry).get(contractName, 'offer');
+      if (((_contract$signature3 = contract.signature) === null || _contract$signature3 === void 0 ? void 0 : _contract$signature3.scheme) !== 'keccak256') {
+        throw new _registry2.ContractNotSupportedError(contractName, 'offer signatures');
+      }
+      var recovered;
+      try {
+        recovered = (0, _classPrivateFieldGet2["default"])(this, _ethers).utils.verifyMessage(this._getKeccak256OfferHash(offer, signer, contract.address), offer.signature);
+      } catch (e) {
+        // Malformed signatures can't be recovered
+        return false;
+      }
+      return recovered.toLowerCase() === signer.toLowerCase();
+    }
+
+    // Fields that are signed, in the order the loan contracts hash them
+  }, {
+    key: "_getOfferFields",
+    value: function _getOfferFields(offer, signer, loanContractAddress) {
+      return [{
+        name: 'loanERC20Denomination',
+        type: 'address',
+        value: offer.terms.loan.currency
+      }, {
+        name: 'loanPrincipalAmount',
+        type: 'uint256',
+        value: (0, _classPrivateFieldGet2["default"])(this, _helper).toAmount(offer.terms.loan.principal)
+      }, {
+        name: 'maximumRepaymentAmount',
+        type: 'uint256',
+        value: (0, _classPrivateFieldGet2["default"])(this, _helper).toAmount(offer.terms.loan.repayment)
+      }, {
+        name: 'nftCollateralContract',
+        type: 'address',
+        value: offer.nft.address
+      }, {
+        name: 'nftCollateralId',
+        type: 'uint256',
+        value: offer.nft.id
+      }, {
+        name: 'referrer',
+        type: 'address',
+        value: offer.referrer.address
+      }, {
+        name: 'loanDuration',
+        type: 'uint32',
+        value: offer.terms.loan.duration
+      }, {
+        name: 'loanAdminFeeInBasisPoints',
+        type: 'uint16',
+        value: offer.nftfi.fee.bps
+      }, {
+        name: 'signer',
+        type: 'address',
+        value: signer
+      }, {
+        name: 'nonce',
+        type: 'uint256',
+        value: offer.lender.nonce
+      }, {
+        name: 'expiry',
+        type: 'uint256',
+        value: offer.terms.loan.expiry
+      }, {
+        name: 'verifyingContract',
+        type: 'address',
+        value: loanContractAddress
+      }, {
+        name: 'chainId',
+        type: 'uint256',
+        value: (0, _classPrivateFieldGet2["default"])(this, _config).chainId
+      }];
+    }
+  }, {
+    key: "_getKeccak256OfferHash",
+    value: function _getKeccak256OfferHash(offer, signer, loanContractAddress) {
+      var fields = this._getOfferFields(offer, signer, loanContractAddress);
+      return (0, _classPrivateFieldGet2["default"])(this, _ethers).utils.arrayify((0, _classPrivateFieldGet2["default"])(this, _ethers).utils.solidityKeccak256(fields.map(function (field) {
+        return field.type;
+      }), fields.map(function (field) {
+        return field.value;
+      })));
+    }
+  }, {
+    key: "_getKeccak256OfferSignature",
+    value: function () {
+      var _getKeccak256OfferSignature2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee7(options, loanContractAddress) {
+        var signature;
+        return _regenerator["default"].wrap(function _callee7$(_context7) {
+          while (1) switch (_context7.prev = _context7.next) {
+            case 0:
+              signature = (0, _classPrivateFieldGet2["default"])(this, _account).sign(this._getKeccak256OfferHash(options.offer, (0, _classPrivateFieldGet2["default"])(this, _account).getAddress(), loanContractAddress));
+              return _context7.abrupt("return", signature);
+            case 2:
+            case "end":
+              return _context7.stop();
+          }
+        }, _callee7, this);
+      }));
+      function _getKeccak256OfferSignature(_x7, _x8) {
+        return _getKeccak256OfferSignature2.apply(this, arguments);
+      }
+      return _getKeccak256OfferSignature;
     }()
   }]);
   return OffersSignatures;
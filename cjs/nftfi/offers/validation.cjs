@@ -6,17 +6,27 @@ Object.defineProperty(exports, "__esModule", {
 });
 exports["default"] = void 0;
 var _regenerator = _interopRequireDefault(require("@babel/runtime/regenerator"));
+var _toConsumableArray2 = _interopRequireDefault(require("@babel/runtime/helpers/toConsumableArray"));
 var _asyncToGenerator2 = _interopRequireDefault(require("@babel/runtime/helpers/asyncToGenerator"));
 var _classCallCheck2 = _interopRequireDefault(require("@babel/runtime/helpers/classCallCheck"));
 var _createClass2 = _interopRequireDefault(require("@babel/runtime/helpers/createClass"));
-var _classPrivateFieldGet2 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldGet"));
+var _classPrivateFieldGet6 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldGet"));
 var _classPrivateFieldSet2 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldSet"));
+function _createForOfIteratorHelper(o, allowArrayLike) { var it = typeof Symbol !== "undefined" && o[Symbol.iterator] || o["@@iterator"]; if (!it) { if (Array.isArray(o) || (it = _unsupportedIterableToArray(o)) || allowArrayLike && o && typeof o.length === "number") { if (it) o = it; var i = 0; var F = function F() {}; return { s: F, n: function n() { if (i >= o.length) return { done: true }; return { done: false, value: o[i++] }; }, e: function e(_e) { throw _e; }, f: F }; } throw new TypeError("Invalid attempt to iterate non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method."); } var normalCompletion = true, didErr = false, err; return { s: function s() { it = it.call(o); }, n: function n() { var step = it.next(); normalCompletion = step.done; return step; }, e: function e(_e2) { didErr = true; err = _e2; }, f: function f() { try { if (!normalCompletion && it["return"] != null) it["return"](); } finally { if (didErr) throw err; } } }; }
+function _unsupportedIterableToArray(o, minLen) { if (!o) return; if (typeof o === "string") return _arrayLikeToArray(o, minLen); var n = Object.prototype.toString.call(o).slice(8, -1); if (n === "Object" && o.constructor) n = o.constructor.name; if (n === "Map" || n === "Set") return Array.from(o); if (n === "Arguments" || /^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n)) return _arrayLikeToArray(o, minLen); }
+function _arrayLikeToArray(arr, len) { if (len == null || len > arr.length) len = arr.length; for (var i = 0, arr2 = new Array(len); i < len; i++) arr2[i] = arr[i]; return arr2; }
 function _classPrivateFieldInitSpec(obj, privateMap, value) { _checkPrivateRedeclaration(obj, privateMap); privateMap.set(obj, value); }
 function _checkPrivateRedeclaration(obj, privateCollection) { if (privateCollection.has(obj)) { throw new TypeError("Cannot initialize the same private elements twice on an object"); } }
+// Offers validated at the same time by `validateMany`, unless specified
+var DEFAULT_CONCURRENCY = 20;
 var _erc = /*#__PURE__*/new WeakMap();
 var _ethers = /*#__PURE__*/new WeakMap();
 var _config = /*#__PURE__*/new WeakMap();
 var _contractFactory = /*#__PURE__*/new WeakMap();
+var _registry = /*#__PURE__*/new WeakMap();
+var _cache = /*#__PURE__*/new WeakMap();
+var _nft = /*#__PURE__*/new WeakMap();
+var _helper = /*#__PURE__*/new WeakMap();
 var OffersValidator = /*#__PURE__*/function () {
   function OffersValidator() {
     var options = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : {};
@@ -37,109 +47,165 @@ var OffersValidator = /*#__PURE__*/function () {
       writable: true,
       value: void 0
     });
+    _classPrivateFieldInitSpec(this, _registry, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _cache, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _nft, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _helper, {
+      writable: true,
+      value: void 0
+    });
     (0, _classPrivateFieldSet2["default"])(this, _erc, options === null || options === void 0 ? void 0 : options.erc20);
     (0, _classPrivateFieldSet2["default"])(this, _ethers, options === null || options === void 0 ? void 0 : options.ethers);
     (0, _classPrivateFieldSet2["default"])(this, _config, options === null || options === void 0 ? void 0 : options.config);
     (0, _classPrivateFieldSet2["default"])(this, _contractFactory, options === null || options === void 0 ? void 0 : options.contractFactory);
+    (0, _classPrivateFieldSet2["default"])(this, _registry, options === null || options === void 0 ? void 0 : options.registry);
+    (0, _classPrivateFieldSet2["default"])(this, _cache, options === null || options === void 0 ? void 0 : options.cache);
+    (0, _classPrivateFieldSet2["default"])(this, _nft, options === null || options === void 0 ? void 0 : options.nft);
+    (0, _classPrivateFieldSet2["default"])(this, _helper, options === null || options === void 0 ? void 0 : options.helper);
   }
   (0, _createClass2["default"])(OffersValidator, [{
     key: "_getContractAddressAndAbi",
     value: function _getContractAddressAndAbi(contractName) {
-      switch (contractName) {
-        case 'v2-1.loan.fixed':
-          return {
-            address: (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.v2_1.address,
-            abi: (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.v2_1.abi
-          };
-        case 'v2-3.loan.fixed':
-          return {
-            address: (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.v2_3.address,
-            abi: (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.v2_3.abi
-          };
-        case 'v2.loan.fixed.collection':
-          return {
-            address: (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.collection.v2.address,
-            abi: (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.collection.v2.abi
-          };
-        case 'v2-3.loan.fixed.collection':
-          return {
-            address: (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.collection.v2_3.address,
-            abi: (0, _classPrivateFieldGet2["default"])(this, _config).loan.fixed.collection.v2_3.abi
-          };
-      }
+      var _classPrivateFieldGet2 = (0, _classPrivateFieldGet6["default"])(this, _registry).get(contractName),
+        address = _classPrivateFieldGet2.address,
+        abi = _classPrivateFieldGet2.abi;
+      return {
+        address: address,
+        abi: abi
+      };
     }
   }, {
     key: "_getSigningUtilsContractAddressAndAbi",
     value: function _getSigningUtilsContractAddressAndAbi(contractName) {
-      switch (contractName) {
-        case 'v2.loan.fixed.collection':
-        case 'v2-1.loan.fixed':
-          return {
-            address: (0, _classPrivateFieldGet2["default"])(this, _config).signingUtils.v2.address,
-            abi: (0, _classPrivateFieldGet2["default"])(this, _config).signingUtils.v2.abi
-          };
-        case 'v2-3.loan.fixed':
-        case 'v2-3.loan.fixed.collection':
-          return {
-            address: (0, _classPrivateFieldGet2["default"])(this, _config).signingUtils.v2_3.address,
-            abi: (0, _classPrivateFieldGet2["default"])(this, _config).signingUtils.v2_3.abi
-          };
-      }
+      var _classPrivateFieldGet3 = (0, _classPrivateFieldGet6["default"])(this, _registry).get(contractName, 'offer').signingUtils,
+        address = _classPrivateFieldGet3.address,
+        abi = _classPrivateFieldGet3.abi;
+      return {
+        address: address,
+        abi: abi
+      };
     }
+
+    // Shares the reads of a batch of validations, eg. one balance read per lender and currency
   }, {
-    key: "_isValidAllowance",
+    key: "_share",
+    value: function _share(lookups, key, read) {
+      if (!lookups) return read();
+      if (!lookups.has(key)) lookups.set(key, read());
+      return lookups.get(key);
+    }
+
+    // Reads a lender balance or allowance through the cache, which only keeps successful reads
+  }, {
+    key: "_getLenderValue",
     value: function () {
-      var _isValidAllowance2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee(options) {
-        var _options$gte, allowance;
+      var _getLenderValue2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee(key, options, read) {
+        var cached, value;
         return _regenerator["default"].wrap(function _callee$(_context) {
           while (1) switch (_context.prev = _context.next) {
             case 0:
-              _context.prev = 0;
-              _context.next = 3;
-              return (0, _classPrivateFieldGet2["default"])(this, _erc).allowance(options);
+              cached = options !== null && options !== void 0 && options.cache ? (0, _classPrivateFieldGet6["default"])(this, _cache).get(key) : undefined;
+              if (!(cached !== undefined)) {
+                _context.next = 3;
+                break;
+              }
+              return _context.abrupt("return", cached);
             case 3:
-              allowance = _context.sent;
-              return _context.abrupt("return", (options === null || options === void 0 ? void 0 : (_options$gte = options.gte) === null || _options$gte === void 0 ? void 0 : _options$gte.amount) && allowance.gte(options.gte.amount));
-            case 7:
-              _context.prev = 7;
-              _context.t0 = _context["catch"](0);
-              return _context.abrupt("return", _context.t0);
-            case 10:
+              _context.next = 5;
+              return this._share(options === null || options === void 0 ? void 0 : options.lookups, key, read);
+            case 5:
+              value = _context.sent;
+              if (options !== null && options !== void 0 && options.cache && (0, _classPrivateFieldGet6["default"])(this, _ethers).BigNumber.isBigNumber(value)) {
+                (0, _classPrivateFieldGet6["default"])(this, _cache).set(key, value, {
+                  scope: 'lender',
+                  lender: options.account.address,
+                  token: options.token.address,
+                  blockNumber: options.cache.blockNumber
+                });
+              }
+              return _context.abrupt("return", value);
+            case 8:
             case "end":
               return _context.stop();
           }
-        }, _callee, this, [[0, 7]]);
+        }, _callee, this);
       }));
-      function _isValidAllowance(_x) {
-        return _isValidAllowance2.apply(this, arguments);
+      function _getLenderValue(_x, _x2, _x3) {
+        return _getLenderValue2.apply(this, arguments);
       }
-      return _isValidAllowance;
+      return _getLenderValue;
     }()
   }, {
-    key: "_isValidBalance",
+    key: "_isValidAllowance",
     value: function () {
-      var _isValidBalance2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee2(options) {
-        var _options$gte2, balance;
+      var _isValidAllowance2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee2(options) {
+        var _this = this;
+        var _options$gte, key, allowance;
         return _regenerator["default"].wrap(function _callee2$(_context2) {
           while (1) switch (_context2.prev = _context2.next) {
             case 0:
               _context2.prev = 0;
-              _context2.next = 3;
-              return (0, _classPrivateFieldGet2["default"])(this, _erc).balanceOf(options);
-            case 3:
-              balance = _context2.sent;
-              return _context2.abrupt("return", !(options !== null && options !== void 0 && (_options$gte2 = options.gte) !== null && _options$gte2 !== void 0 && _options$gte2.amount && !balance.gte(options.gte.amount)));
-            case 7:
-              _context2.prev = 7;
+              key = ['allowance', options.nftfi.contract.name, options.token.address, options.account.address].join(':');
+              _context2.next = 4;
+              return this._getLenderValue(key.toLowerCase(), options, function () {
+                return (0, _classPrivateFieldGet6["default"])(_this, _erc).allowance(options);
+              });
+            case 4:
+              allowance = _context2.sent;
+              return _context2.abrupt("return", (options === null || options === void 0 ? void 0 : (_options$gte = options.gte) === null || _options$gte === void 0 ? void 0 : _options$gte.amount) && allowance.gte(options.gte.amount));
+            case 8:
+              _context2.prev = 8;
               _context2.t0 = _context2["catch"](0);
               return _context2.abrupt("return", _context2.t0);
-            case 10:
+            case 11:
             case "end":
               return _context2.stop();
           }
-        }, _callee2, this, [[0, 7]]);
+        }, _callee2, this, [[0, 8]]);
       }));
-      function _isValidBalance(_x2) {
+      function _isValidAllowance(_x4) {
+        return _isValidAllowance2.apply(this, arguments);
+      }
+      return _isValidAllowance;
+    }()
+  }, {
+    key: "_isValidBalance",
+    value: function () {
+      var _isValidBalance2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee3(options) {
+        var _this2 = this;
+        var _options$gte2, key, balance;
+        return _regenerator["default"].wrap(function _callee3$(_context3) {
+          while (1) switch (_context3.prev = _context3.next) {
+            case 0:
+              _context3.prev = 0;
+              key = ['balance', options.token.address, options.account.address].join(':');
+              _context3.next = 4;
+              return this._getLenderValue(key.toLowerCase(), options, function () {
+                return (0, _classPrivateFieldGet6["default"])(_this2, _erc).balanceOf(options);
+              });
+            case 4:
+              balance = _context3.sent;
+              return _context3.abrupt("return", !(options !== null && options !== void 0 && (_options$gte2 = options.gte) !== null && _options$gte2 !== void 0 && _options$gte2.amount && !balance.gte(options.gte.amount)));
+            case 8:
+              _context3.prev = 8;
+              _context3.t0 = _context3["catch"](0);
+              return _context3.abrupt("return", _context3.t0);
+            case 11:
+            case "end":
+              return _context3.stop();
+          }
+        }, _callee3, this, [[0, 8]]);
+      }));
+      function _isValidBalance(_x5) {
         return _isValidBalance2.apply(this, arguments);
       }
       return _isValidBalance;
@@ -147,25 +213,21 @@ var OffersValidator = /*#__PURE__*/function () {
   }, {
     key: "_isValidSignature",
     value: function () {
-      var _isValidSignature2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee3(offer) {
+      var _isValidSignature2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee4(offer) {
         var _this$_getContractAdd, loanContract, _this$_getSigningUtil, signingUtilsContract, signingUtilsContractAbi, contract, offerTerms, signature;
-        return _regenerator["default"].wrap(function _callee3$(_context3) {
-          while (1) switch (_context3.prev = _context3.next) {
+        return _regenerator["default"].wrap(function _callee4$(_context4) {
+          while (1) switch (_context4.prev = _context4.next) {
             case 0:
-              _context3.prev = 0;
+              _context4.prev = 0;
               _this$_getContractAdd = this._getContractAddressAndAbi(offer.nftfi.contract.name), loanContract = _this$_getContractAdd.address;
               _this$_getSigningUtil = this._getSigningUtilsContractAddressAndAbi(offer.nftfi.contract.name), signingUtilsContract = _this$_getSigningUtil.address, signingUtilsContractAbi = _this$_getSigningUtil.abi;
-              contract = (0, _classPrivateFieldGet2["default"])(this, _contractFactory).create({
+              contract = (0, _classPrivateFieldGet6["default"])(this, _contractFactory).create({
                 address: signingUtilsContract,
                 abi: signingUtilsContractAbi
               });
               offerTerms = {
-                loanPrincipalAmount: offer.terms.loan.principal.toLocaleString('fullwide', {
-                  useGrouping: false
-                }),
-                maximumRepaymentAmount: offer.terms.loan.repayment.toLocaleString('fullwide', {
-                  useGrouping: false
-                }),
+                loanPrincipalAmount: (0, _classPrivateFieldGet6["default"])(this, _helper).toAmount(offer.terms.loan.principal, 'terms.loan.principal'),
+                maximumRepaymentAmount: (0, _classPrivateFieldGet6["default"])(this, _helper).toAmount(offer.terms.loan.repayment, 'terms.loan.repayment'),
                 nftCollateralId: offer.nft.id,
                 nftCollateralContract: offer.nft.address,
                 loanDuration: offer.terms.loan.duration,
@@ -179,24 +241,24 @@ var OffersValidator = /*#__PURE__*/function () {
                 signer: offer.lender.address,
                 signature: offer.signature
               };
-              _context3.next = 8;
+              _context4.next = 8;
               return contract.call({
                 "function": 'isValidLenderSignature',
                 args: [offerTerms, signature, loanContract]
               });
             case 8:
-              return _context3.abrupt("return", _context3.sent);
+              return _context4.abrupt("return", _context4.sent);
             case 11:
-              _context3.prev = 11;
-              _context3.t0 = _context3["catch"](0);
-              return _context3.abrupt("return", _context3.t0);
+              _context4.prev = 11;
+              _context4.t0 = _context4["catch"](0);
+              return _context4.abrupt("return", _context4.t0);
             case 14:
             case "end":
-              return _context3.stop();
+              return _context4.stop();
           }
-        }, _callee3, this, [[0, 11]]);
+        }, _callee4, this, [[0, 11]]);
       }));
-      function _isValidSignature(_x3) {
+      function _isValidSignature(_x6) {
         return _isValidSignature2.apply(this, arguments);
       }
       return _isValidSignature;
@@ -204,39 +266,351 @@ var OffersValidator = /*#__PURE__*/function () {
   }, {
     key: "_isValidNonce",
     value: function () {
-      var _isValidNonce2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee4(offer) {
-        var _this$_getContractAdd2, loanContract, loanContractAbi, contract, isUsedNonce;
-        return _regenerator["default"].wrap(function _callee4$(_context4) {
-          while (1) switch (_context4.prev = _context4.next) {
+      var _isValidNonce2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee5(offer, cache, lookups) {
+        var key, _this$_getContractAdd2, loanContract, loanContractAbi, contract, isUsedNonce;
+        return _regenerator["default"].wrap(function _callee5$(_context5) {
+          while (1) switch (_context5.prev = _context5.next) {
             case 0:
-              _context4.prev = 0;
+              _context5.prev = 0;
+              // A used nonce never becomes unused, so it is cached for good
+              key = ['nonce', offer.nftfi.contract.name, offer.lender.address, offer.lender.nonce].join(':');
+              if (!(cache && (0, _classPrivateFieldGet6["default"])(this, _cache).get(key.toLowerCase()))) {
+                _context5.next = 4;
+                break;
+              }
+              return _context5.abrupt("return", false);
+            case 4:
               _this$_getContractAdd2 = this._getContractAddressAndAbi(offer.nftfi.contract.name), loanContract = _this$_getContractAdd2.address, loanContractAbi = _this$_getContractAdd2.abi;
-              contract = (0, _classPrivateFieldGet2["default"])(this, _contractFactory).create({
+              contract = (0, _classPrivateFieldGet6["default"])(this, _contractFactory).create({
                 address: loanContract,
                 abi: loanContractAbi
               });
-              _context4.next = 5;
-              return contract.call({
-                "function": 'getWhetherNonceHasBeenUsedForUser',
-                args: [offer.lender.address, offer.lender.nonce]
+              _context5.next = 8;
+              return this._share(lookups, key.toLowerCase(), function () {
+                return contract.call({
+                  "function": 'getWhetherNonceHasBeenUsedForUser',
+                  args: [offer.lender.address, offer.lender.nonce]
+                });
+              });
+            case 8:
+              isUsedNonce = _context5.sent;
+              if (cache && isUsedNonce === true) (0, _classPrivateFieldGet6["default"])(this, _cache).set(key.toLowerCase(), true, {
+                scope: 'permanent'
+              });
+              return _context5.abrupt("return", !isUsedNonce);
+            case 13:
+              _context5.prev = 13;
+              _context5.t0 = _context5["catch"](0);
+              return _context5.abrupt("return", _context5.t0);
+            case 16:
+            case "end":
+              return _context5.stop();
+          }
+        }, _callee5, this, [[0, 13]]);
+      }));
+      function _isValidNonce(_x7, _x8, _x9) {
+        return _isValidNonce2.apply(this, arguments);
+      }
+      return _isValidNonce;
+    }()
+  }, {
+    key: "_callLoanContract",
+    value: function () {
+      var _callLoanContract2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee6(offer, fn) {
+        var args,
+          _this$_getContractAdd3,
+          address,
+          abi,
+          contract,
+          _args6 = arguments;
+        return _regenerator["default"].wrap(function _callee6$(_context6) {
+          while (1) switch (_context6.prev = _context6.next) {
+            case 0:
+              args = _args6.length > 2 && _args6[2] !== undefined ? _args6[2] : [];
+              _this$_getContractAdd3 = this._getContractAddressAndAbi(offer.nftfi.contract.name), address = _this$_getContractAdd3.address, abi = _this$_getContractAdd3.abi;
+              contract = (0, _classPrivateFieldGet6["default"])(this, _contractFactory).create({
+                address: address,
+                abi: abi
+              });
+              return _context6.abrupt("return", contract.call({
+                "function": fn,
+                args: args
+              }));
+            case 4:
+            case "end":
+              return _context6.stop();
+          }
+        }, _callee6, this);
+      }));
+      function _callLoanContract(_x10, _x11) {
+        return _callLoanContract2.apply(this, arguments);
+      }
+      return _callLoanContract;
+    }() // Collection offers are made before there is a borrower, so their NFT can't be checked
+  }, {
+    key: "_hasBorrowerNft",
+    value: function _hasBorrowerNft(offer) {
+      var _offer$borrower;
+      var _classPrivateFieldGet4 = (0, _classPrivateFieldGet6["default"])(this, _registry).get(offer.nftfi.contract.name),
+        contractOffer = _classPrivateFieldGet4.offer;
+      return (contractOffer === null || contractOffer === void 0 ? void 0 : contractOffer.type) !== 'collection' && !!((_offer$borrower = offer.borrower) !== null && _offer$borrower !== void 0 && _offer$borrower.address);
+    }
+  }, {
+    key: "_isNftOwner",
+    value: function () {
+      var _isNftOwner2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee7(offer) {
+        var _owner$data;
+        var owner;
+        return _regenerator["default"].wrap(function _callee7$(_context7) {
+          while (1) switch (_context7.prev = _context7.next) {
+            case 0:
+              if (this._hasBorrowerNft(offer)) {
+                _context7.next = 2;
+                break;
+              }
+              return _context7.abrupt("return", true);
+            case 2:
+              _context7.next = 4;
+              return (0, _classPrivateFieldGet6["default"])(this, _nft).isOwner({
+                token: {
+                  address: offer.nft.address,
+                  id: offer.nft.id
+                },
+                account: {
+                  address: offer.borrower.address
+                }
               });
+            case 4:
+              owner = _context7.sent;
+              return _context7.abrupt("return", (owner === null || owner === void 0 ? void 0 : owner.error) || (owner === null || owner === void 0 ? void 0 : (_owner$data = owner.data) === null || _owner$data === void 0 ? void 0 : _owner$data.result));
+            case 6:
+            case "end":
+              return _context7.stop();
+          }
+        }, _callee7, this);
+      }));
+      function _isNftOwner(_x12) {
+        return _isNftOwner2.apply(this, arguments);
+      }
+      return _isNftOwner;
+    }()
+  }, {
+    key: "_isNftApproved",
+    value: function () {
+      var _isNftApproved2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee8(offer) {
+        var _approval$data;
+        var approval;
+        return _regenerator["default"].wrap(function _callee8$(_context8) {
+          while (1) switch (_context8.prev = _context8.next) {
+            case 0:
+              if (this._hasBorrowerNft(offer)) {
+                _context8.next = 2;
+                break;
+              }
+              return _context8.abrupt("return", true);
+            case 2:
+              _context8.next = 4;
+              return (0, _classPrivateFieldGet6["default"])(this, _nft).isApproved({
+                token: {
+                  address: offer.nft.address,
+                  id: offer.nft.id
+                },
+                account: {
+                  address: offer.borrower.address
+                },
+                nftfi: {
+                  contract: {
+                    name: offer.nftfi.contract.name
+                  }
+                }
+              });
+            case 4:
+              approval = _context8.sent;
+              return _context8.abrupt("return", (approval === null || approval === void 0 ? void 0 : approval.error) || (approval === null || approval === void 0 ? void 0 : (_approval$data = approval.data) === null || _approval$data === void 0 ? void 0 : _approval$data.approved));
+            case 6:
+            case "end":
+              return _context8.stop();
+          }
+        }, _callee8, this);
+      }));
+      function _isNftApproved(_x13) {
+        return _isNftApproved2.apply(this, arguments);
+      }
+      return _isNftApproved;
+    }()
+  }, {
+    key: "_isWhitelistedCurrency",
+    value: function () {
+      var _isWhitelistedCurrency2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee9(offer) {
+        return _regenerator["default"].wrap(function _callee9$(_context9) {
+          while (1) switch (_context9.prev = _context9.next) {
+            case 0:
+              _context9.prev = 0;
+              _context9.next = 3;
+              return this._callLoanContract(offer, 'getERC20Permit', [offer.terms.loan.currency]);
+            case 3:
+              return _context9.abrupt("return", _context9.sent);
+            case 6:
+              _context9.prev = 6;
+              _context9.t0 = _context9["catch"](0);
+              return _context9.abrupt("return", _context9.t0);
+            case 9:
+            case "end":
+              return _context9.stop();
+          }
+        }, _callee9, this, [[0, 6]]);
+      }));
+      function _isWhitelistedCurrency(_x14) {
+        return _isWhitelistedCurrency2.apply(this, arguments);
+      }
+      return _isWhitelistedCurrency;
+    }()
+  }, {
+    key: "_isValidDuration",
+    value: function () {
+      var _isValidDuration2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee10(offer) {
+        var maximumLoanDuration, duration;
+        return _regenerator["default"].wrap(function _callee10$(_context10) {
+          while (1) switch (_context10.prev = _context10.next) {
+            case 0:
+              _context10.prev = 0;
+              _context10.next = 3;
+              return this._callLoanContract(offer, 'maximumLoanDuration');
+            case 3:
+              maximumLoanDuration = _context10.sent;
+              duration = Number(offer.terms.loan.duration);
+              return _context10.abrupt("return", duration > 0 && maximumLoanDuration.gte(duration));
+            case 8:
+              _context10.prev = 8;
+              _context10.t0 = _context10["catch"](0);
+              return _context10.abrupt("return", _context10.t0);
+            case 11:
+            case "end":
+              return _context10.stop();
+          }
+        }, _callee10, this, [[0, 8]]);
+      }));
+      function _isValidDuration(_x15) {
+        return _isValidDuration2.apply(this, arguments);
+      }
+      return _isValidDuration;
+    }()
+  }, {
+    key: "_isValidFee",
+    value: function () {
+      var _isValidFee2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee11(offer) {
+        return _regenerator["default"].wrap(function _callee11$(_context11) {
+          while (1) switch (_context11.prev = _context11.next) {
+            case 0:
+              return _context11.abrupt("return", String(offer.nftfi.fee.bps) === String((0, _classPrivateFieldGet6["default"])(this, _config).loan.adminFeeInBasisPoints));
+            case 1:
+            case "end":
+              return _context11.stop();
+          }
+        }, _callee11, this);
+      }));
+      function _isValidFee(_x16) {
+        return _isValidFee2.apply(this, arguments);
+      }
+      return _isValidFee;
+    }() // Opt-in checks, only performed when listed in `options.checks`
+  }, {
+    key: "_getOptionalChecks",
+    value: function _getOptionalChecks(offer, checks) {
+      var _this3 = this;
+      var contract = offer.nftfi.contract.name;
+      return [{
+        key: 'nft.owner',
+        type: 'nft.isOwner',
+        check: function check() {
+          return _this3._isNftOwner(offer);
+        },
+        msgs: {
+          error: 'failed to check nft ownership',
+          invalid: 'nft is no longer owned by the borrower'
+        }
+      }, {
+        key: 'nft.approval',
+        type: 'nft.isApproved',
+        check: function check() {
+          return _this3._isNftApproved(offer);
+        },
+        msgs: {
+          error: 'failed to check nft approval',
+          invalid: 'nft is not approved to the loan contract'
+        }
+      }, {
+        key: 'terms.currency',
+        type: contract + '.getERC20Permit',
+        check: function check() {
+          return _this3._isWhitelistedCurrency(offer);
+        },
+        msgs: {
+          error: 'failed to check currency',
+          invalid: 'currency is not whitelisted on the loan contract'
+        }
+      }, {
+        key: 'terms.duration',
+        type: contract + '.maximumLoanDuration',
+        check: function check() {
+          return _this3._isValidDuration(offer);
+        },
+        msgs: {
+          error: 'failed to check duration',
+          invalid: 'duration is outside of the loan contract limits'
+        }
+      }, {
+        key: 'nftfi.fee',
+        type: 'config.loan.adminFeeInBasisPoints',
+        check: function check() {
+          return _this3._isValidFee(offer);
+        },
+        msgs: {
+          error: 'failed to check fee',
+          invalid: 'fee does not match the nftfi admin fee'
+        }
+      }].filter(function (optionalCheck) {
+        return checks === null || checks === void 0 ? void 0 : checks.includes(optionalCheck.key);
+      });
+    }
+
+    // Returns the block the validation reads from, or null when the cache is disabled for this validation
+  }, {
+    key: "_syncCache",
+    value: function () {
+      var _syncCache2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee12(options) {
+        var _classPrivateFieldGet5;
+        return _regenerator["default"].wrap(function _callee12$(_context12) {
+          while (1) switch (_context12.prev = _context12.next) {
+            case 0:
+              if (!((options === null || options === void 0 ? void 0 : options.cache) === false || !((_classPrivateFieldGet5 = (0, _classPrivateFieldGet6["default"])(this, _cache)) !== null && _classPrivateFieldGet5 !== void 0 && _classPrivateFieldGet5.isEnabled()))) {
+                _context12.next = 2;
+                break;
+              }
+              return _context12.abrupt("return", null);
+            case 2:
+              _context12.prev = 2;
+              _context12.next = 5;
+              return (0, _classPrivateFieldGet6["default"])(this, _cache).sync();
             case 5:
-              isUsedNonce = _context4.sent;
-              return _context4.abrupt("return", !isUsedNonce);
+              _context12.t0 = _context12.sent;
+              return _context12.abrupt("return", {
+                blockNumber: _context12.t0
+              });
             case 9:
-              _context4.prev = 9;
-              _context4.t0 = _context4["catch"](0);
-              return _context4.abrupt("return", _context4.t0);
+              _context12.prev = 9;
+              _context12.t1 = _context12["catch"](2);
+              return _context12.abrupt("return", null);
             case 12:
             case "end":
-              return _context4.stop();
+              return _context12.stop();
           }
-        }, _callee4, this, [[0, 9]]);
+        }, _callee12, this, [[2, 9]]);
       }));
-      function _isValidNonce(_x4) {
-        return _isValidNonce2.apply(this, arguments);
+      function _syncCache(_x17) {
+        return _syncCache2.apply(this, arguments);
       }
-      return _isValidNonce;
+      return _syncCache;
     }()
   }, {
     key: "_addError",
@@ -259,31 +633,52 @@ var OffersValidator = /*#__PURE__*/function () {
   }, {
     key: "validate",
     value: function () {
-      var _validate = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee5(options) {
+      var _validate = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee13(options) {
         var _options$checks,
           _options$checks2,
           _options$checks3,
           _options$checks4,
-          _this = this;
-        var offer, errors, contract, currency, lender, principalBn, isValidSignature, performAllChecks, isValidNonce, isValidAllowance, isValidBalance;
-        return _regenerator["default"].wrap(function _callee5$(_context5) {
-          while (1) switch (_context5.prev = _context5.next) {
+          _this4 = this;
+        var offer, errors, cache, resultKey, cachedResult, contract, currency, lender, principal, principalBn, isValidSignature, performAllChecks, isValidNonce, isValidAllowance, isValidBalance, optionalChecks;
+        return _regenerator["default"].wrap(function _callee13$(_context13) {
+          while (1) switch (_context13.prev = _context13.next) {
             case 0:
               offer = options.offer;
               errors = {}; // Early return if offer is expired, no need to proceed with other async calls
               if (!(Date.now() > offer.terms.loan.expiry * 1000)) {
-                _context5.next = 5;
+                _context13.next = 5;
                 break;
               }
               this._addError('terms.expiry', 'invalid', 'expiry', 'offer expiry is in the past', errors);
-              return _context5.abrupt("return", errors);
+              return _context13.abrupt("return", errors);
             case 5:
+              _context13.next = 7;
+              return this._syncCache(options);
+            case 7:
+              cache = _context13.sent;
+              resultKey = cache && offer.id && ['result', offer.id, (0, _toConsumableArray2["default"])((options === null || options === void 0 ? void 0 : options.checks) || []).sort()].join(':');
+              cachedResult = resultKey ? (0, _classPrivateFieldGet6["default"])(this, _cache).get(resultKey) : undefined;
+              if (!(cachedResult !== undefined)) {
+                _context13.next = 12;
+                break;
+              }
+              return _context13.abrupt("return", cachedResult);
+            case 12:
               contract = offer.nftfi.contract.name;
               currency = offer.terms.loan.currency;
               lender = offer.lender.address;
-              principalBn = (0, _classPrivateFieldGet2["default"])(this, _ethers).BigNumber.from(offer.terms.loan.principal.toLocaleString('fullwide', {
-                useGrouping: false
-              }));
+              _context13.prev = 15;
+              principal = (0, _classPrivateFieldGet6["default"])(this, _helper).toAmount(offer.terms.loan.principal, 'terms.loan.principal');
+              _context13.next = 23;
+              break;
+            case 19:
+              _context13.prev = 19;
+              _context13.t0 = _context13["catch"](15);
+              // No other check can be made against a principal that is not exact
+              this._addError('terms.loan.principal', 'invalid', 'amount', 'principal is not an exact amount', errors);
+              return _context13.abrupt("return", errors);
+            case 23:
+              principalBn = (0, _classPrivateFieldGet6["default"])(this, _ethers).BigNumber.from(principal);
               performAllChecks = !(options !== null && options !== void 0 && (_options$checks = options.checks) !== null && _options$checks !== void 0 && _options$checks.length) > 0;
               if (!performAllChecks && !(options !== null && options !== void 0 && (_options$checks2 = options.checks) !== null && _options$checks2 !== void 0 && _options$checks2.includes('signature')) || !offer.signature) {
                 isValidSignature = true;
@@ -293,7 +688,7 @@ var OffersValidator = /*#__PURE__*/function () {
               if (!performAllChecks && !(options !== null && options !== void 0 && (_options$checks3 = options.checks) !== null && _options$checks3 !== void 0 && _options$checks3.includes('lender.nonce'))) {
                 isValidNonce = true;
               } else {
-                isValidNonce = this._isValidNonce(offer);
+                isValidNonce = this._isValidNonce(offer, cache, options === null || options === void 0 ? void 0 : options.lookups);
               }
               if (!performAllChecks && !(options !== null && options !== void 0 && (_options$checks4 = options.checks) !== null && _options$checks4 !== void 0 && _options$checks4.includes('terms.principal'))) {
                 isValidAllowance = true;
@@ -313,7 +708,9 @@ var OffersValidator = /*#__PURE__*/function () {
                   },
                   gte: {
                     amount: principalBn
-                  }
+                  },
+                  cache: cache,
+                  lookups: options === null || options === void 0 ? void 0 : options.lookups
                 });
                 isValidBalance = this._isValidBalance({
                   nftfi: {
@@ -329,10 +726,15 @@ var OffersValidator = /*#__PURE__*/function () {
                   },
                   gte: {
                     amount: principalBn
-                  }
+                  },
+                  cache: cache,
+                  lookups: options === null || options === void 0 ? void 0 : options.lookups
                 });
               }
-              return _context5.abrupt("return", Promise.all([isValidAllowance, isValidBalance, isValidSignature, isValidNonce]).then(function (checks) {
+              optionalChecks = this._getOptionalChecks(offer, options === null || options === void 0 ? void 0 : options.checks);
+              return _context13.abrupt("return", Promise.all([isValidAllowance, isValidBalance, isValidSignature, isValidNonce].concat((0, _toConsumableArray2["default"])(optionalChecks.map(function (optionalCheck) {
+                return optionalCheck.check();
+              })))).then(function (checks) {
                 var msg = '';
                 var status = '';
                 var type = '';
@@ -340,39 +742,163 @@ var OffersValidator = /*#__PURE__*/function () {
                   type = 'erc20.allowance';
                   status = checks[0] ? 'error' : 'invalid';
                   msg = checks[0] ? 'failed to check allowance' : 'principal is greater than approved allowance on lender account';
-                  _this._addError('terms.principal', status, type, msg, errors);
+                  _this4._addError('terms.principal', status, type, msg, errors);
                 }
                 if (checks[1] !== true) {
                   type = 'erc20.balanceOf';
                   status = checks[1] ? 'error' : 'invalid';
                   msg = checks[1] ? 'failed to check balance' : 'principal is greater than available funds in lender account';
-                  _this._addError('terms.principal', status, type, msg, errors);
+                  _this4._addError('terms.principal', status, type, msg, errors);
                 }
                 if (checks[2] !== true) {
                   type = 'signingUtils.v2.isValidLenderSignature';
                   status = checks[2] ? 'error' : 'invalid';
                   msg = checks[2] ? 'failed to check signature' : 'signature is invalid or malformed';
-                  _this._addError('signature', status, type, msg, errors);
+                  _this4._addError('signature', status, type, msg, errors);
                 }
                 if (checks[3] !== true) {
                   type = offer.nftfi.contract.name + '.getWhetherNonceHasBeenUsedForUser';
                   status = checks[3] ? 'error' : 'invalid';
                   msg = checks[3] ? 'failed to check nonce' : 'lender nonce has already been used';
-                  _this._addError('lender.nonce', status, type, msg, errors);
+                  _this4._addError('lender.nonce', status, type, msg, errors);
+                }
+                optionalChecks.forEach(function (optionalCheck, i) {
+                  var check = checks[4 + i];
+                  if (check !== true) {
+                    status = check ? 'error' : 'invalid';
+                    msg = optionalCheck.msgs[status];
+                    _this4._addError(optionalCheck.key, status, optionalCheck.type, msg, errors);
+                  }
+                });
+                var result = Object.keys(errors).length > 0 ? errors : null;
+                // Checks that failed to run are retried on the next validation
+                var hasFailedChecks = Object.values(errors).some(function (keyErrors) {
+                  return keyErrors.some(function (e) {
+                    return e.status === 'error';
+                  });
+                });
+                if (resultKey && !hasFailedChecks) {
+                  (0, _classPrivateFieldGet6["default"])(_this4, _cache).set(resultKey, result, {
+                    blockNumber: cache.blockNumber
+                  });
                 }
-                return Object.keys(errors).length > 0 ? errors : null;
+                return result;
               }));
-            case 14:
+            case 30:
             case "end":
-              return _context5.stop();
+              return _context13.stop();
           }
-        }, _callee5, this);
+        }, _callee13, this, [[15, 19]]);
       }));
-      function validate(_x5) {
+      function validate(_x18) {
         return _validate.apply(this, arguments);
       }
       return validate;
     }()
+  }, {
+    key: "validateMany",
+    value: function () {
+      var _validateMany = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee15(options) {
+        var _this5 = this;
+        var offers, concurrency, lookups, validations, next, validateNext, results, summary;
+        return _regenerator["default"].wrap(function _callee15$(_context15) {
+          while (1) switch (_context15.prev = _context15.next) {
+            case 0:
+              offers = (options === null || options === void 0 ? void 0 : options.offers) || [];
+              concurrency = (options === null || options === void 0 ? void 0 : options.concurrency) || DEFAULT_CONCURRENCY;
+              lookups = new Map();
+              validations = new Array(offers.length);
+              next = 0;
+              validateNext = /*#__PURE__*/function () {
+                var _ref = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee14() {
+                  var i;
+                  return _regenerator["default"].wrap(function _callee14$(_context14) {
+                    while (1) switch (_context14.prev = _context14.next) {
+                      case 0:
+                        if (!(next < offers.length)) {
+                          _context14.next = 7;
+                          break;
+                        }
+                        i = next++;
+                        _context14.next = 4;
+                        return _this5.validate({
+                          offer: offers[i],
+                          checks: options === null || options === void 0 ? void 0 : options.checks,
+                          cache: options === null || options === void 0 ? void 0 : options.cache,
+                          lookups: lookups
+                        })["catch"](function () {
+                          return {
+                            offer: [{
+                              status: 'error',
+                              type: 'validation',
+                              msg: 'failed to validate offer'
+                            }]
+                          };
+                        });
+                      case 4:
+                        validations[i] = _context14.sent;
+                        _context14.next = 0;
+                        break;
+                      case 7:
+                      case "end":
+                        return _context14.stop();
+                    }
+                  }, _callee14);
+                }));
+                return function validateNext() {
+                  return _ref.apply(this, arguments);
+                };
+              }();
+              _context15.next = 8;
+              return Promise.all((0, _toConsumableArray2["default"])(Array(Math.min(concurrency, offers.length)).keys()).map(validateNext));
+            case 8:
+              results = {};
+              summary = {
+                total: offers.length,
+                valid: 0,
+                invalid: 0,
+                errors: {}
+              };
+              validations.forEach(function (warnings, i) {
+                var _offers$i$id;
+                results[(_offers$i$id = offers[i].id) !== null && _offers$i$id !== void 0 ? _offers$i$id : i] = warnings ? {
+                  valid: false,
+                  warnings: warnings
+                } : {
+                  valid: true
+                };
+                summary[warnings ? 'invalid' : 'valid']++;
+                for (var _i = 0, _Object$values = Object.values(warnings || {}); _i < _Object$values.length; _i++) {
+                  var keyErrors = _Object$values[_i];
+                  var _iterator = _createForOfIteratorHelper(keyErrors),
+                    _step;
+                  try {
+                    for (_iterator.s(); !(_step = _iterator.n()).done;) {
+                      var type = _step.value.type;
+                      summary.errors[type] = (summary.errors[type] || 0) + 1;
+                    }
+                  } catch (err) {
+                    _iterator.e(err);
+                  } finally {
+                    _iterator.f();
+                  }
+                }
+              });
+              return _context15.abrupt("return", {
+                results: results,
+                summary: summary
+              });
+            case 12:
+            case "end":
+              return _context15.stop();
+          }
+        }, _callee15);
+      }));
+      function validateMany(_x19) {
+        return _validateMany.apply(this, arguments);
+      }
+      return validateMany;
+    }()
   }]);
   return OffersValidator;
 }();
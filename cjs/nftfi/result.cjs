@@ -5,11 +5,27 @@ Object.defineProperty(exports, "__esModule", {
   value: true
 });
 exports["default"] = void 0;
+var _defineProperty2 = _interopRequireDefault(require("@babel/runtime/helpers/defineProperty"));
+var _typeof2 = _interopRequireDefault(require("@babel/runtime/helpers/typeof"));
 var _classCallCheck2 = _interopRequireDefault(require("@babel/runtime/helpers/classCallCheck"));
 var _createClass2 = _interopRequireDefault(require("@babel/runtime/helpers/createClass"));
+var _classPrivateFieldGet2 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldGet"));
+var _classPrivateFieldSet2 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldSet"));
+var _errors = require("./errors.cjs");
+function ownKeys(object, enumerableOnly) { var keys = Object.keys(object); if (Object.getOwnPropertySymbols) { var symbols = Object.getOwnPropertySymbols(object); enumerableOnly && (symbols = symbols.filter(function (sym) { return Object.getOwnPropertyDescriptor(object, sym).enumerable; })), keys.push.apply(keys, symbols); } return keys; }
+function _objectSpread(target) { for (var i = 1; i < arguments.length; i++) { var source = null != arguments[i] ? arguments[i] : {}; i % 2 ? ownKeys(Object(source), !0).forEach(function (key) { (0, _defineProperty2["default"])(target, key, source[key]); }) : Object.getOwnPropertyDescriptors ? Object.defineProperties(target, Object.getOwnPropertyDescriptors(source)) : ownKeys(Object(source)).forEach(function (key) { Object.defineProperty(target, key, Object.getOwnPropertyDescriptor(source, key)); }); } return target; }
+function _classPrivateFieldInitSpec(obj, privateMap, value) { _checkPrivateRedeclaration(obj, privateMap); privateMap.set(obj, value); }
+function _checkPrivateRedeclaration(obj, privateCollection) { if (privateCollection.has(obj)) { throw new TypeError("Cannot initialize the same private elements twice on an object"); } }
+var _error = /*#__PURE__*/new WeakMap();
 var Result = /*#__PURE__*/function () {
   function Result() {
+    var options = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : {};
     (0, _classCallCheck2["default"])(this, Result);
+    _classPrivateFieldInitSpec(this, _error, {
+      writable: true,
+      value: void 0
+    });
+    (0, _classPrivateFieldSet2["default"])(this, _error, options === null || options === void 0 ? void 0 : options.error);
   }
   (0, _createClass2["default"])(Result, [{
     key: "handle",
@@ -19,6 +35,122 @@ var Result = /*#__PURE__*/function () {
         error: null
       };
     }
+
+    /**
+     * Wraps the public methods of a module, and of its nested modules (eg. `nft.erc721`), so that they
+     * return the `v1` envelope: `{ data, error, pagination, meta }`. Used when `config.response.envelope` is `v1`.
+     *
+     * @param {object} module - The module, eg. `loans`
+     * @returns {object} A proxy of the module
+     */
+  }, {
+    key: "wrap",
+    value: function wrap(module) {
+      var _this = this;
+      var nested = {};
+      return new Proxy(module, {
+        get: function get(target, prop) {
+          var value = target[prop];
+          if (typeof prop !== 'string' || prop.startsWith('_') || prop === 'constructor') return value;
+          if (typeof value === 'function') {
+            return function () {
+              var _output;
+              for (var _len = arguments.length, args = new Array(_len), _key = 0; _key < _len; _key++) {
+                args[_key] = arguments[_key];
+              }
+              var output;
+              try {
+                output = value.apply(target, args);
+              } catch (e) {
+                return _this._fail(e);
+              }
+              // Iterators yield their items as they are
+              if ((_output = output) !== null && _output !== void 0 && _output[Symbol.asyncIterator]) return output;
+              return output instanceof Promise ? output.then(function (res) {
+                return _this.envelope(res, args[0]);
+              }, function (e) {
+                return _this._fail(e);
+              }) : _this.envelope(output, args[0]);
+            };
+          }
+          // Nested modules are class instances, unlike plain data objects and arrays
+          var prototype = value && (0, _typeof2["default"])(value) === 'object' ? Object.getPrototypeOf(value) : null;
+          if (prototype && prototype !== Object.prototype && prototype !== Array.prototype) {
+            nested[prop] = nested[prop] || _this.wrap(value);
+            return nested[prop];
+          }
+          return value;
+        }
+      });
+    }
+
+    /**
+     * Turns whatever a method returned (a `Result.handle` or `Error.handle` response, an array, a boolean, ...)
+     * into the `v1` envelope.
+     *
+     * @param {*} output - What the method returned
+     * @param {object} [options] - The options the method was called with
+     * @returns {object} The envelope: `data`, `error`, `pagination` and `meta` (with the transaction hash, if any)
+     */
+  }, {
+    key: "envelope",
+    value: function envelope(output, options) {
+      var _data, _data2, _data3, _data3$receipt, _data4, _data5, _data5$mined, _data6, _data6$replacement, _data7, _data8;
+      if (this._isFailed(output)) {
+        var _output$error;
+        // Messages that come with field errors keep both
+        var failure = typeof output.error === 'string' && output.errors ? new _errors.ValidationError(output.error, {
+          errors: output.errors
+        }) : (_output$error = output.error) !== null && _output$error !== void 0 ? _output$error : {
+          errors: output.errors
+        };
+        return this._fail(failure);
+      }
+      var data = this._isHandled(output) ? output.data : output;
+      var pagination = options !== null && options !== void 0 && options.pagination ? {
+        page: options.pagination.page,
+        limit: options.pagination.limit
+      } : null;
+      if ((_data = data) !== null && _data !== void 0 && _data.pagination && Array.isArray((_data2 = data) === null || _data2 === void 0 ? void 0 : _data2.results)) {
+        pagination = _objectSpread(_objectSpread({}, pagination), {}, {
+          total: data.pagination.total
+        });
+        data = data.results;
+      }
+      var hash = ((_data3 = data) === null || _data3 === void 0 ? void 0 : (_data3$receipt = _data3.receipt) === null || _data3$receipt === void 0 ? void 0 : _data3$receipt.transactionHash) || ((_data4 = data) === null || _data4 === void 0 ? void 0 : _data4.transactionHash) || ((_data5 = data) === null || _data5 === void 0 ? void 0 : (_data5$mined = _data5.mined) === null || _data5$mined === void 0 ? void 0 : _data5$mined.hash) || ((_data6 = data) === null || _data6 === void 0 ? void 0 : (_data6$replacement = _data6.replacement) === null || _data6$replacement === void 0 ? void 0 : _data6$replacement.hash) || ((_data7 = data) === null || _data7 === void 0 ? void 0 : _data7.wait) && ((_data8 = data) === null || _data8 === void 0 ? void 0 : _data8.hash) || null;
+      return {
+        data: data,
+        error: null,
+        pagination: pagination,
+        meta: hash ? {
+          transaction: {
+            hash: hash
+          }
+        } : {}
+      };
+    }
+  }, {
+    key: "_fail",
+    value: function _fail(e) {
+      return {
+        data: null,
+        error: (0, _classPrivateFieldGet2["default"])(this, _error).toTyped(e),
+        pagination: null,
+        meta: {}
+      };
+    }
+
+    // Any response with an `error` or `errors` failed, whether or not its error is typed
+  }, {
+    key: "_isFailed",
+    value: function _isFailed(output) {
+      return !!output && (0, _typeof2["default"])(output) === 'object' && !Array.isArray(output) && (output.error !== undefined && output.error !== null || output.errors !== undefined && output.errors !== null);
+    }
+  }, {
+    key: "_isHandled",
+    value: function _isHandled(output) {
+      return !!output && (0, _typeof2["default"])(output) === 'object' && 'data' in output && output.error === null;
+    }
   }]);
   return Result;
 }();
@@ -5,51 +5,165 @@ Object.defineProperty(exports, "__esModule", {
   value: true
 });
 exports["default"] = void 0;
+var _regenerator = _interopRequireDefault(require("@babel/runtime/regenerator"));
 var _slicedToArray2 = _interopRequireDefault(require("@babel/runtime/helpers/slicedToArray"));
-var _createClass2 = _interopRequireDefault(require("@babel/runtime/helpers/createClass"));
 var _classCallCheck2 = _interopRequireDefault(require("@babel/runtime/helpers/classCallCheck"));
+var _createClass2 = _interopRequireDefault(require("@babel/runtime/helpers/createClass"));
 var _defineProperty2 = _interopRequireDefault(require("@babel/runtime/helpers/defineProperty"));
 var _classPrivateFieldGet3 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldGet"));
 var _classPrivateFieldSet2 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldSet"));
+var _wrapAsyncGenerator2 = _interopRequireDefault(require("@babel/runtime/helpers/wrapAsyncGenerator"));
+var _awaitAsyncGenerator2 = _interopRequireDefault(require("@babel/runtime/helpers/awaitAsyncGenerator"));
+var _asyncGeneratorDelegate2 = _interopRequireDefault(require("@babel/runtime/helpers/asyncGeneratorDelegate"));
+var _errors2 = require("../errors.cjs");
 function ownKeys(object, enumerableOnly) { var keys = Object.keys(object); if (Object.getOwnPropertySymbols) { var symbols = Object.getOwnPropertySymbols(object); enumerableOnly && (symbols = symbols.filter(function (sym) { return Object.getOwnPropertyDescriptor(object, sym).enumerable; })), keys.push.apply(keys, symbols); } return keys; }
 function _objectSpread(target) { for (var i = 1; i < arguments.length; i++) { var source = null != arguments[i] ? arguments[i] : {}; i % 2 ? ownKeys(Object(source), !0).forEach(function (key) { (0, _defineProperty2["default"])(target, key, source[key]); }) : Object.getOwnPropertyDescriptors ? Object.defineProperties(target, Object.getOwnPropertyDescriptors(source)) : ownKeys(Object(source)).forEach(function (key) { Object.defineProperty(target, key, Object.getOwnPropertyDescriptor(source, key)); }); } return target; }
 function _classPrivateFieldInitSpec(obj, privateMap, value) { _checkPrivateRedeclaration(obj, privateMap); privateMap.set(obj, value); }
 function _checkPrivateRedeclaration(obj, privateCollection) { if (privateCollection.has(obj)) { throw new TypeError("Cannot initialize the same private elements twice on an object"); } }
-var _config = /*#__PURE__*/new WeakMap();
+function _asyncIterator(iterable) { var method, async, sync, retry = 2; for ("undefined" != typeof Symbol && (async = Symbol.asyncIterator, sync = Symbol.iterator); retry--;) { if (async && null != (method = iterable[async])) return method.call(iterable); if (sync && null != (method = iterable[sync])) return new AsyncFromSyncIterator(method.call(iterable)); async = "@@asyncIterator", sync = "@@iterator"; } throw new TypeError("Object is not async iterable"); }
+function AsyncFromSyncIterator(s) { function AsyncFromSyncIteratorContinuation(r) { if (Object(r) !== r) return Promise.reject(new TypeError(r + " is not an object.")); var done = r.done; return Promise.resolve(r.value).then(function (value) { return { value: value, done: done }; }); } return AsyncFromSyncIterator = function AsyncFromSyncIterator(s) { this.s = s, this.n = s.next; }, AsyncFromSyncIterator.prototype = { s: null, n: null, next: function next() { return AsyncFromSyncIteratorContinuation(this.n.apply(this.s, arguments)); }, "return": function _return(value) { var ret = this.s["return"]; return void 0 === ret ? Promise.resolve({ value: value, done: !0 }) : AsyncFromSyncIteratorContinuation(ret.apply(this.s, arguments)); }, "throw": function _throw(value) { var thr = this.s["return"]; return void 0 === thr ? Promise.reject(value) : AsyncFromSyncIteratorContinuation(thr.apply(this.s, arguments)); } }, new AsyncFromSyncIterator(s); }
 /**
  * @class
  * Class with helper methods.
  */
-var Helper = /*#__PURE__*/(0, _createClass2["default"])(function Helper() {
-  var _this = this;
-  var options = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : {};
-  (0, _classCallCheck2["default"])(this, Helper);
-  _classPrivateFieldInitSpec(this, _config, {
-    writable: true,
-    value: void 0
-  });
-  (0, _defineProperty2["default"])(this, "addCurrencyUnit", function (object) {
-    var _object$terms, _object$terms$loan, _object$terms2, _object$terms2$loan, _classPrivateFieldGet2;
-    var currency = (object === null || object === void 0 ? void 0 : (_object$terms = object.terms) === null || _object$terms === void 0 ? void 0 : (_object$terms$loan = _object$terms.loan) === null || _object$terms$loan === void 0 ? void 0 : _object$terms$loan.currency) || null;
-    var unit = (object === null || object === void 0 ? void 0 : (_object$terms2 = object.terms) === null || _object$terms2 === void 0 ? void 0 : (_object$terms2$loan = _object$terms2.loan) === null || _object$terms2$loan === void 0 ? void 0 : _object$terms2$loan.unit) || null;
-    if (currency && unit || !currency) {
-      return object;
-    }
-    var _Object$keys$filter = Object.keys((0, _classPrivateFieldGet3["default"])(_this, _config).erc20).filter(function (key) {
-        return (0, _classPrivateFieldGet3["default"])(_this, _config).erc20[key].address === currency;
-      }),
-      _Object$keys$filter2 = (0, _slicedToArray2["default"])(_Object$keys$filter, 1),
-      ticker = _Object$keys$filter2[0];
-    unit = (_classPrivateFieldGet2 = (0, _classPrivateFieldGet3["default"])(_this, _config).erc20[ticker]) === null || _classPrivateFieldGet2 === void 0 ? void 0 : _classPrivateFieldGet2.unit;
-    return _objectSpread(_objectSpread({}, object), {}, {
-      terms: _objectSpread(_objectSpread({}, object.terms), {}, {
-        loan: _objectSpread(_objectSpread({}, object.terms.loan), {}, {
-          unit: unit
+var _config = /*#__PURE__*/new WeakMap();
+var _ethers = /*#__PURE__*/new WeakMap();
+var Helper = /*#__PURE__*/function () {
+  function Helper() {
+    var _this2 = this;
+    var options = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : {};
+    (0, _classCallCheck2["default"])(this, Helper);
+    _classPrivateFieldInitSpec(this, _config, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _ethers, {
+      writable: true,
+      value: void 0
+    });
+    (0, _defineProperty2["default"])(this, "addCurrencyUnit", function (object) {
+      var _object$terms, _object$terms$loan, _object$terms2, _object$terms2$loan, _classPrivateFieldGet2;
+      var currency = (object === null || object === void 0 ? void 0 : (_object$terms = object.terms) === null || _object$terms === void 0 ? void 0 : (_object$terms$loan = _object$terms.loan) === null || _object$terms$loan === void 0 ? void 0 : _object$terms$loan.currency) || null;
+      var unit = (object === null || object === void 0 ? void 0 : (_object$terms2 = object.terms) === null || _object$terms2 === void 0 ? void 0 : (_object$terms2$loan = _object$terms2.loan) === null || _object$terms2$loan === void 0 ? void 0 : _object$terms2$loan.unit) || null;
+      if (currency && unit || !currency) {
+        return object;
+      }
+      var _Object$keys$filter = Object.keys((0, _classPrivateFieldGet3["default"])(_this2, _config).erc20).filter(function (key) {
+          return (0, _classPrivateFieldGet3["default"])(_this2, _config).erc20[key].address === currency;
+        }),
+        _Object$keys$filter2 = (0, _slicedToArray2["default"])(_Object$keys$filter, 1),
+        ticker = _Object$keys$filter2[0];
+      unit = (_classPrivateFieldGet2 = (0, _classPrivateFieldGet3["default"])(_this2, _config).erc20[ticker]) === null || _classPrivateFieldGet2 === void 0 ? void 0 : _classPrivateFieldGet2.unit;
+      return _objectSpread(_objectSpread({}, object), {}, {
+        terms: _objectSpread(_objectSpread({}, object.terms), {}, {
+          loan: _objectSpread(_objectSpread({}, object.terms.loan), {}, {
+            unit: unit
+          })
         })
-      })
+      });
     });
-  });
-  (0, _classPrivateFieldSet2["default"])(this, _config, options === null || options === void 0 ? void 0 : options.config);
-});
+    (0, _classPrivateFieldSet2["default"])(this, _config, options === null || options === void 0 ? void 0 : options.config);
+    (0, _classPrivateFieldSet2["default"])(this, _ethers, options === null || options === void 0 ? void 0 : options.ethers);
+  }
+
+  /**
+   * Normalises an amount in base units (eg. wei) into the exact decimal string sent to the contracts and the API.
+   * Amounts can be decimal or hex strings, bigints, ethers BigNumbers, or numbers up to `Number.MAX_SAFE_INTEGER`.
+   * Amounts that cannot be represented exactly, eg. fractions, exponents or larger numbers, are rejected.
+   *
+   * @param {string|bigint|BigNumber|number} value - The amount, in base units
+   * @param {string} [name='amount'] - Name of the amount, for the error message (optional)
+   * @returns {string} The amount, as a decimal string
+   */
+  (0, _createClass2["default"])(Helper, [{
+    key: "toAmount",
+    value: function toAmount(value) {
+      var name = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : 'amount';
+      var amount = null;
+      if (typeof value !== 'number' || Number.isSafeInteger(value)) {
+        try {
+          amount = (0, _classPrivateFieldGet3["default"])(this, _ethers).BigNumber.from(typeof value === 'bigint' ? value.toString() : value);
+        } catch (e) {
+          amount = null;
+        }
+      }
+      if (!amount || amount.isNegative()) {
+        throw new _errors2.ValidationError("".concat(name, " must be a whole, non-negative amount in base units, as a string, bigint or BigNumber; got ").concat(value), {
+          errors: (0, _defineProperty2["default"])({}, name, ["".concat(value, " is not an exact amount in base units")])
+        });
+      }
+      return amount.toString();
+    }
+  }, {
+    key: "paginate",
+    value:
+    /**
+     * Iterates over the results of a paginated API resource, fetching pages only as they are needed.
+     * Stops at the total number of results, or, when the total is unknown, at the first page that is not full.
+     *
+     * @param {Function} getPage - Fetches a page, given its number and size, and resolves to `{ results, total }`
+     * @param {object} [options] - Hashmap of config options for this method
+     * @param {number} [options.pagination.page] - Page to start from (optional)
+     * @param {number} [options.pagination.limit] - Page size (optional)
+     * @param {number} [options.concurrency=1] - How many pages are fetched at the same time (optional)
+     * @returns {AsyncGenerator<object>} Async iterator of the results
+     */
+    function paginate(getPage) {
+      var _this = this;
+      var options = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : {};
+      return (0, _wrapAsyncGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee() {
+        var _options$pagination, _options$pagination2, _first$total;
+        var limit, concurrency, page, first, total, isLastPage, pages, pending, _yield$_awaitAsyncGen, results;
+        return _regenerator["default"].wrap(function _callee$(_context) {
+          while (1) switch (_context.prev = _context.next) {
+            case 0:
+              limit = (options === null || options === void 0 ? void 0 : (_options$pagination = options.pagination) === null || _options$pagination === void 0 ? void 0 : _options$pagination.limit) || (0, _classPrivateFieldGet3["default"])(_this, _config).pagination.limit;
+              concurrency = Math.max(1, (options === null || options === void 0 ? void 0 : options.concurrency) || 1);
+              page = (options === null || options === void 0 ? void 0 : (_options$pagination2 = options.pagination) === null || _options$pagination2 === void 0 ? void 0 : _options$pagination2.page) || (0, _classPrivateFieldGet3["default"])(_this, _config).pagination.page; // The total is only known once the first page is fetched
+              _context.next = 5;
+              return (0, _awaitAsyncGenerator2["default"])(getPage(page++, limit));
+            case 5:
+              first = _context.sent;
+              total = (_first$total = first === null || first === void 0 ? void 0 : first.total) !== null && _first$total !== void 0 ? _first$total : null;
+              return _context.delegateYield((0, _asyncGeneratorDelegate2["default"])(_asyncIterator(first.results), _awaitAsyncGenerator2["default"]), "t0", 8);
+            case 8:
+              isLastPage = total === null ? first.results.length !== limit : (page - 1) * limit >= total;
+              pages = [];
+            case 10:
+              if (!(!isLastPage || pages.length > 0)) {
+                _context.next = 21;
+                break;
+              }
+              while (!isLastPage && pages.length < concurrency) {
+                pending = getPage(page++, limit); // Pages fetched ahead may fail after the iteration has stopped
+                pending["catch"](function () {});
+                pages.push(pending);
+                isLastPage = total !== null && (page - 1) * limit >= total;
+              }
+              _context.next = 14;
+              return (0, _awaitAsyncGenerator2["default"])(pages.shift());
+            case 14:
+              _yield$_awaitAsyncGen = _context.sent;
+              results = _yield$_awaitAsyncGen.results;
+              return _context.delegateYield((0, _asyncGeneratorDelegate2["default"])(_asyncIterator(results), _awaitAsyncGenerator2["default"]), "t1", 17);
+            case 17:
+              if (!(total === null && results.length !== limit)) {
+                _context.next = 19;
+                break;
+              }
+              return _context.abrupt("break", 21);
+            case 19:
+              _context.next = 10;
+              break;
+            case 21:
+            case "end":
+              return _context.stop();
+          }
+        }, _callee);
+      }))();
+    }
+  }]);
+  return Helper;
+}();
 var _default = Helper;
 exports["default"] = _default;
\ No newline at end of file
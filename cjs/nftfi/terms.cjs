@@ -0,0 +1,308 @@
+"use strict";
+
+var _interopRequireDefault = require("@babel/runtime/helpers/interopRequireDefault");
+Object.defineProperty(exports, "__esModule", {
+  value: true
+});
+exports["default"] = void 0;
+var _regenerator = _interopRequireDefault(require("@babel/runtime/regenerator"));
+var _slicedToArray2 = _interopRequireDefault(require("@babel/runtime/helpers/slicedToArray"));
+var _asyncToGenerator2 = _interopRequireDefault(require("@babel/runtime/helpers/asyncToGenerator"));
+var _classCallCheck2 = _interopRequireDefault(require("@babel/runtime/helpers/classCallCheck"));
+var _createClass2 = _interopRequireDefault(require("@babel/runtime/helpers/createClass"));
+var _classPrivateFieldGet3 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldGet"));
+var _classPrivateFieldSet2 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldSet"));
+var _errors = require("./errors.cjs");
+function _classPrivateFieldInitSpec(obj, privateMap, value) { _checkPrivateRedeclaration(obj, privateMap); privateMap.set(obj, value); }
+function _checkPrivateRedeclaration(obj, privateCollection) { if (privateCollection.has(obj)) { throw new TypeError("Cannot initialize the same private elements twice on an object"); } }
+var SECONDS = {
+  s: 1,
+  m: 60,
+  h: 3600,
+  d: 86400,
+  w: 604800
+};
+var YEAR = 365 * SECONDS.d;
+// APRs are percentages, computed to this many decimal places
+var APR_DECIMALS = 6;
+
+/**
+ * @class
+ * Class for building loan terms from human-readable amounts, rates and durations.
+ */
+var _config = /*#__PURE__*/new WeakMap();
+var _contractFactory = /*#__PURE__*/new WeakMap();
+var _ethers = /*#__PURE__*/new WeakMap();
+var _result = /*#__PURE__*/new WeakMap();
+var _error = /*#__PURE__*/new WeakMap();
+var Terms = /*#__PURE__*/function () {
+  function Terms() {
+    var options = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : {};
+    (0, _classCallCheck2["default"])(this, Terms);
+    _classPrivateFieldInitSpec(this, _config, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _contractFactory, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _ethers, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _result, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _error, {
+      writable: true,
+      value: void 0
+    });
+    (0, _classPrivateFieldSet2["default"])(this, _config, options === null || options === void 0 ? void 0 : options.config);
+    (0, _classPrivateFieldSet2["default"])(this, _contractFactory, options === null || options === void 0 ? void 0 : options.contractFactory);
+    (0, _classPrivateFieldSet2["default"])(this, _ethers, options === null || options === void 0 ? void 0 : options.ethers);
+    (0, _classPrivateFieldSet2["default"])(this, _result, options === null || options === void 0 ? void 0 : options.result);
+    (0, _classPrivateFieldSet2["default"])(this, _error, options === null || options === void 0 ? void 0 : options.error);
+  }
+
+  /**
+   * Builds loan terms, in base units of the currency, from a principal in whole tokens and either an APR or a repayment.
+   * All the math is done with BigNumbers, so that the amounts are exact. The terms returned are ready for
+   * `offers.create`, and the `desiredTerms` of `offers.requests.create`.
+   *
+   * @param {object} options - Hashmap of config options for this method
+   * @param {string} options.principal - Principal, in whole tokens (eg. `'1.5'`)
+   * @param {string} options.currency - Currency: a key of `config.erc20` (eg. `'weth'`), its symbol or an ERC20 address
+   * @param {number} [options.apr] - APR (yearly percentage rate) to compute the repayment from (eg. `35` for 35%)
+   * @param {string} [options.repayment] - Repayment, in whole tokens, to compute the APR from, if no APR is given (optional)
+   * @param {string|number} options.duration - Duration of the loan, in seconds or with a unit: `s`, `m`, `h`, `d` or `w` (eg. `'30d'`)
+   * @param {string|number} [options.expiry] - Time until the offer expires, in seconds or with a unit (eg. `'6h'`) (optional)
+   * @returns {object} Response object, with the `terms` (amounts in base units) and the `currency`, `apr`, `interest` and `lender` views
+   *
+   * @example
+   * // Build the terms of a 30 day loan of 1.5 wETH at 35% APR, for an offer valid for 6 hours
+   * const { data } = await nftfi.terms.build({
+   *   principal: '1.5',
+   *   currency: 'weth',
+   *   apr: 35,
+   *   duration: '30d',
+   *   expiry: '6h'
+   * });
+   * const offer = await nftfi.offers.create({
+   *   terms: data.terms,
+   *   nft: { address: '0x00000000', id: '42' },
+   *   borrower: { address: '0x00000000' },
+   *   nftfi: { contract: { name: 'v2-3.loan.fixed' } }
+   * });
+   *
+   * @example
+   * // Get the APR, interest and lender yield of a 7 day loan of 1000 USDC, repaying 1010 USDC
+   * const { data } = await nftfi.terms.build({
+   *   principal: '1000',
+   *   repayment: '1010',
+   *   currency: 'usdc',
+   *   duration: '7d'
+   * });
+   * // data.apr is 52.142857, data.interest is '10000000', data.lender.interest is '9500000'
+   */
+  (0, _createClass2["default"])(Terms, [{
+    key: "build",
+    value: function () {
+      var _build = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee(options) {
+        var currency, duration, _classPrivateFieldGet2, min, max, principal, repayment, interest, fee, terms;
+        return _regenerator["default"].wrap(function _callee$(_context) {
+          while (1) switch (_context.prev = _context.next) {
+            case 0:
+              _context.prev = 0;
+              _context.next = 3;
+              return this._getCurrency(options === null || options === void 0 ? void 0 : options.currency);
+            case 3:
+              currency = _context.sent;
+              duration = this._toSeconds(options === null || options === void 0 ? void 0 : options.duration, 'duration');
+              _classPrivateFieldGet2 = (0, _classPrivateFieldGet3["default"])(this, _config).loan.duration, min = _classPrivateFieldGet2.min, max = _classPrivateFieldGet2.max;
+              if (!(duration < min || duration > max)) {
+                _context.next = 8;
+                break;
+              }
+              throw new _errors.ValidationError("The duration must be between ".concat(min, " and ").concat(max, " seconds."));
+            case 8:
+              principal = this._parseAmount(options === null || options === void 0 ? void 0 : options.principal, currency, 'principal');
+              if (!principal.isZero()) {
+                _context.next = 11;
+                break;
+              }
+              throw new _errors.ValidationError('The principal must be greater than 0.');
+            case 11:
+              if (!((options === null || options === void 0 ? void 0 : options.apr) !== undefined)) {
+                _context.next = 15;
+                break;
+              }
+              repayment = principal.add(this._getInterest(principal, options.apr, duration));
+              _context.next = 20;
+              break;
+            case 15:
+              if (!((options === null || options === void 0 ? void 0 : options.repayment) !== undefined)) {
+                _context.next = 19;
+                break;
+              }
+              repayment = this._parseAmount(options.repayment, currency, 'repayment');
+              _context.next = 20;
+              break;
+            case 19:
+              throw new _errors.ValidationError('Please provide either the apr or the repayment.');
+            case 20:
+              if (!repayment.lt(principal)) {
+                _context.next = 22;
+                break;
+              }
+              throw new _errors.ValidationError('The repayment must be greater than or equal to the principal.');
+            case 22:
+              interest = repayment.sub(principal);
+              fee = interest.mul((0, _classPrivateFieldGet3["default"])(this, _config).loan.adminFeeInBasisPoints).div(10000);
+              terms = {
+                principal: principal.toString(),
+                repayment: repayment.toString(),
+                duration: duration,
+                currency: currency.address
+              };
+              if ((options === null || options === void 0 ? void 0 : options.expiry) !== undefined) {
+                terms.expiry = this._toSeconds(options.expiry, 'expiry');
+              }
+              return _context.abrupt("return", (0, _classPrivateFieldGet3["default"])(this, _result).handle({
+                terms: terms,
+                currency: currency,
+                apr: this._getApr(principal, interest, duration),
+                interest: interest.toString(),
+                lender: {
+                  fee: fee.toString(),
+                  interest: interest.sub(fee).toString(),
+                  apr: this._getApr(principal, interest.sub(fee), duration)
+                }
+              }));
+            case 29:
+              _context.prev = 29;
+              _context.t0 = _context["catch"](0);
+              return _context.abrupt("return", (0, _classPrivateFieldGet3["default"])(this, _error).handle(_context.t0));
+            case 32:
+            case "end":
+              return _context.stop();
+          }
+        }, _callee, this, [[0, 29]]);
+      }));
+      function build(_x) {
+        return _build.apply(this, arguments);
+      }
+      return build;
+    }()
+  }, {
+    key: "_getCurrency",
+    value: function () {
+      var _getCurrency2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee2(currency) {
+        var value, known, _known, erc20, _decimals, address, contract, decimals;
+        return _regenerator["default"].wrap(function _callee2$(_context2) {
+          while (1) switch (_context2.prev = _context2.next) {
+            case 0:
+              if (currency) {
+                _context2.next = 2;
+                break;
+              }
+              throw new _errors.ValidationError('Please provide a currency.');
+            case 2:
+              value = String(currency).toLowerCase();
+              known = Object.entries((0, _classPrivateFieldGet3["default"])(this, _config).erc20).find(function (_ref) {
+                var _erc20$symbol;
+                var _ref2 = (0, _slicedToArray2["default"])(_ref, 2),
+                  key = _ref2[0],
+                  erc20 = _ref2[1];
+                return (erc20 === null || erc20 === void 0 ? void 0 : erc20.address) && [key, (_erc20$symbol = erc20.symbol) === null || _erc20$symbol === void 0 ? void 0 : _erc20$symbol.toLowerCase(), erc20.address.toLowerCase()].includes(value);
+              });
+              if (!(known && known[1].unit)) {
+                _context2.next = 8;
+                break;
+              }
+              _known = (0, _slicedToArray2["default"])(known, 2), erc20 = _known[1];
+              _decimals = (0, _classPrivateFieldGet3["default"])(this, _ethers).utils.parseUnits('1', erc20.unit).toString().length - 1;
+              return _context2.abrupt("return", {
+                address: erc20.address,
+                symbol: erc20.symbol,
+                decimals: _decimals
+              });
+            case 8:
+              address = known ? known[1].address : currency;
+              if ((0, _classPrivateFieldGet3["default"])(this, _ethers).utils.isAddress(address)) {
+                _context2.next = 11;
+                break;
+              }
+              throw new _errors.ValidationError("".concat(currency, " is not a known currency."));
+            case 11:
+              contract = (0, _classPrivateFieldGet3["default"])(this, _contractFactory).create({
+                address: address,
+                abi: (0, _classPrivateFieldGet3["default"])(this, _config).erc20.abi
+              });
+              _context2.next = 14;
+              return contract.call({
+                "function": 'decimals'
+              });
+            case 14:
+              decimals = _context2.sent;
+              return _context2.abrupt("return", {
+                address: address,
+                symbol: known ? known[1].symbol : null,
+                decimals: Number(decimals)
+              });
+            case 16:
+            case "end":
+              return _context2.stop();
+          }
+        }, _callee2, this);
+      }));
+      function _getCurrency(_x2) {
+        return _getCurrency2.apply(this, arguments);
+      }
+      return _getCurrency;
+    }()
+  }, {
+    key: "_parseAmount",
+    value: function _parseAmount(amount, currency, field) {
+      try {
+        return (0, _classPrivateFieldGet3["default"])(this, _ethers).utils.parseUnits(String(amount), currency.decimals);
+      } catch (e) {
+        throw new _errors.ValidationError("The ".concat(field, " must be an amount of whole tokens, with at most ").concat(currency.decimals, " decimal places."));
+      }
+    }
+  }, {
+    key: "_toSeconds",
+    value: function _toSeconds(value, field) {
+      var match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([smhdw])?$/);
+      var seconds = match ? Number(match[1]) * SECONDS[match[2] || 's'] : NaN;
+      if (!Number.isInteger(seconds) || seconds <= 0) {
+        throw new _errors.ValidationError("The ".concat(field, " must be a whole number of seconds, eg. 86400, '24h' or '1d'."));
+      }
+      return seconds;
+    }
+
+    // interest = principal * apr / 100 * duration / year, rounded down as the repayment is a maximum
+  }, {
+    key: "_getInterest",
+    value: function _getInterest(principal, apr, duration) {
+      if (!Number.isFinite(Number(apr)) || Number(apr) < 0) {
+        throw new _errors.ValidationError('The apr must be a percentage, no lower than 0.');
+      }
+      var rate = (0, _classPrivateFieldGet3["default"])(this, _ethers).utils.parseUnits(Number(apr).toFixed(APR_DECIMALS), APR_DECIMALS);
+      return principal.mul(rate).mul(duration).div((0, _classPrivateFieldGet3["default"])(this, _ethers).BigNumber.from(10).pow(APR_DECIMALS).mul(100).mul(YEAR));
+    }
+
+    // apr = interest / principal * 100 * year / duration, rounded to the nearest
+  }, {
+    key: "_getApr",
+    value: function _getApr(principal, interest, duration) {
+      var divisor = principal.mul(duration);
+      var rate = interest.mul(100).mul(YEAR).mul((0, _classPrivateFieldGet3["default"])(this, _ethers).BigNumber.from(10).pow(APR_DECIMALS)).add(divisor.div(2)).div(divisor);
+      return Number((0, _classPrivateFieldGet3["default"])(this, _ethers).utils.formatUnits(rate, APR_DECIMALS));
+    }
+  }]);
+  return Terms;
+}();
+var _default = Terms;
+exports["default"] = _default;
\ No newline at end of file
@@ -0,0 +1,368 @@
+"use strict";
+
+var _interopRequireDefault = require("@babel/runtime/helpers/interopRequireDefault");
+Object.defineProperty(exports, "__esModule", {
+  value: true
+});
+exports["default"] = void 0;
+var _regenerator = _interopRequireDefault(require("@babel/runtime/regenerator"));
+var _defineProperty2 = _interopRequireDefault(require("@babel/runtime/helpers/defineProperty"));
+var _asyncToGenerator2 = _interopRequireDefault(require("@babel/runtime/helpers/asyncToGenerator"));
+var _classCallCheck2 = _interopRequireDefault(require("@babel/runtime/helpers/classCallCheck"));
+var _createClass2 = _interopRequireDefault(require("@babel/runtime/helpers/createClass"));
+var _classPrivateFieldGet3 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldGet"));
+var _classPrivateFieldSet2 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldSet"));
+var _errors = require("./errors.cjs");
+function ownKeys(object, enumerableOnly) { var keys = Object.keys(object); if (Object.getOwnPropertySymbols) { var symbols = Object.getOwnPropertySymbols(object); enumerableOnly && (symbols = symbols.filter(function (sym) { return Object.getOwnPropertyDescriptor(object, sym).enumerable; })), keys.push.apply(keys, symbols); } return keys; }
+function _objectSpread(target) { for (var i = 1; i < arguments.length; i++) { var source = null != arguments[i] ? arguments[i] : {}; i % 2 ? ownKeys(Object(source), !0).forEach(function (key) { (0, _defineProperty2["default"])(target, key, source[key]); }) : Object.getOwnPropertyDescriptors ? Object.defineProperties(target, Object.getOwnPropertyDescriptors(source)) : ownKeys(Object(source)).forEach(function (key) { Object.defineProperty(target, key, Object.getOwnPropertyDescriptor(source, key)); }); } return target; }
+function _classPrivateFieldInitSpec(obj, privateMap, value) { _checkPrivateRedeclaration(obj, privateMap); privateMap.set(obj, value); }
+function _checkPrivateRedeclaration(obj, privateCollection) { if (privateCollection.has(obj)) { throw new TypeError("Cannot initialize the same private elements twice on an object"); } }
+/**
+ * @class
+ * Class for working with pending transactions sent by your account.
+ */
+var _account = /*#__PURE__*/new WeakMap();
+var _provider = /*#__PURE__*/new WeakMap();
+var _ethers = /*#__PURE__*/new WeakMap();
+var _feePolicy = /*#__PURE__*/new WeakMap();
+var _assertion = /*#__PURE__*/new WeakMap();
+var _result = /*#__PURE__*/new WeakMap();
+var _error = /*#__PURE__*/new WeakMap();
+var Transactions = /*#__PURE__*/function () {
+  function Transactions() {
+    var options = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : {};
+    (0, _classCallCheck2["default"])(this, Transactions);
+    _classPrivateFieldInitSpec(this, _account, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _provider, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _ethers, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _feePolicy, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _assertion, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _result, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _error, {
+      writable: true,
+      value: void 0
+    });
+    (0, _classPrivateFieldSet2["default"])(this, _account, options === null || options === void 0 ? void 0 : options.account);
+    (0, _classPrivateFieldSet2["default"])(this, _provider, options === null || options === void 0 ? void 0 : options.provider);
+    (0, _classPrivateFieldSet2["default"])(this, _ethers, options === null || options === void 0 ? void 0 : options.ethers);
+    (0, _classPrivateFieldSet2["default"])(this, _feePolicy, options === null || options === void 0 ? void 0 : options.feePolicy);
+    (0, _classPrivateFieldSet2["default"])(this, _assertion, options === null || options === void 0 ? void 0 : options.assertion);
+    (0, _classPrivateFieldSet2["default"])(this, _result, options === null || options === void 0 ? void 0 : options.result);
+    (0, _classPrivateFieldSet2["default"])(this, _error, options === null || options === void 0 ? void 0 : options.error);
+  }
+
+  /**
+   * Speeds up a pending transaction, by resending it with the same nonce and a higher fee.
+   *
+   * @param {object} options - Hashmap of config options for this method
+   * @param {string} options.hash - Hash of the pending transaction
+   * @param {object} [options.fee] - Fee of the replacement: `maxFeePerGas`, `maxPriorityFeePerGas`, `multiplier` and `max`, as in the fee policy (optional)
+   * @param {object} [options.callbacks] - Transaction lifecycle callbacks of the replacement (optional)
+   * @param {boolean} [options.wait=true] - Wait for either transaction to be mined (optional)
+   * @returns {object} Response object, with the `original` and `replacement` transactions and the one that was `mined`
+   *
+   * @example
+   * // Speed up a stuck repayment, paying twice the current network fee
+   * const result = await nftfi.transactions.speedUp({
+   *   hash: '0x00000000',
+   *   fee: { multiplier: 2 }
+   * });
+   */
+  (0, _createClass2["default"])(Transactions, [{
+    key: "speedUp",
+    value: function () {
+      var _speedUp = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee(options) {
+        var original;
+        return _regenerator["default"].wrap(function _callee$(_context) {
+          while (1) switch (_context.prev = _context.next) {
+            case 0:
+              _context.prev = 0;
+              _context.next = 3;
+              return this._getPendingTransaction(options.hash);
+            case 3:
+              original = _context.sent;
+              _context.t0 = (0, _classPrivateFieldGet3["default"])(this, _result);
+              _context.next = 7;
+              return this._replace(original, {
+                to: original.to,
+                data: original.data,
+                value: original.value,
+                gasLimit: original.gasLimit
+              }, options);
+            case 7:
+              _context.t1 = _context.sent;
+              return _context.abrupt("return", _context.t0.handle.call(_context.t0, _context.t1));
+            case 11:
+              _context.prev = 11;
+              _context.t2 = _context["catch"](0);
+              return _context.abrupt("return", (0, _classPrivateFieldGet3["default"])(this, _error).handle(_context.t2));
+            case 14:
+            case "end":
+              return _context.stop();
+          }
+        }, _callee, this, [[0, 11]]);
+      }));
+      function speedUp(_x) {
+        return _speedUp.apply(this, arguments);
+      }
+      return speedUp;
+    }()
+    /**
+     * Cancels a pending transaction, by replacing it with an empty transfer to your own account, with the same nonce and a higher fee.
+     *
+     * @param {object} options - Hashmap of config options for this method
+     * @param {string} options.hash - Hash of the pending transaction
+     * @param {object} [options.fee] - Fee of the replacement: `maxFeePerGas`, `maxPriorityFeePerGas`, `multiplier` and `max`, as in the fee policy (optional)
+     * @param {object} [options.callbacks] - Transaction lifecycle callbacks of the replacement (optional)
+     * @param {boolean} [options.wait=true] - Wait for either transaction to be mined (optional)
+     * @returns {object} Response object, with the `original` and `replacement` transactions and the one that was `mined`
+     *
+     * @example
+     * // Cancel a pending transaction
+     * const result = await nftfi.transactions.cancel({
+     *   hash: '0x00000000'
+     * });
+     */
+  }, {
+    key: "cancel",
+    value: function () {
+      var _cancel = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee2(options) {
+        var original;
+        return _regenerator["default"].wrap(function _callee2$(_context2) {
+          while (1) switch (_context2.prev = _context2.next) {
+            case 0:
+              _context2.prev = 0;
+              _context2.next = 3;
+              return this._getPendingTransaction(options.hash);
+            case 3:
+              original = _context2.sent;
+              _context2.t0 = (0, _classPrivateFieldGet3["default"])(this, _result);
+              _context2.next = 7;
+              return this._replace(original, {
+                to: (0, _classPrivateFieldGet3["default"])(this, _account).getAddress(),
+                data: '0x',
+                value: 0,
+                gasLimit: 21000
+              }, options);
+            case 7:
+              _context2.t1 = _context2.sent;
+              return _context2.abrupt("return", _context2.t0.handle.call(_context2.t0, _context2.t1));
+            case 11:
+              _context2.prev = 11;
+              _context2.t2 = _context2["catch"](0);
+              return _context2.abrupt("return", (0, _classPrivateFieldGet3["default"])(this, _error).handle(_context2.t2));
+            case 14:
+            case "end":
+              return _context2.stop();
+          }
+        }, _callee2, this, [[0, 11]]);
+      }));
+      function cancel(_x2) {
+        return _cancel.apply(this, arguments);
+      }
+      return cancel;
+    }()
+  }, {
+    key: "_getPendingTransaction",
+    value: function () {
+      var _getPendingTransaction2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee3(hash) {
+        var _classPrivateFieldGet2;
+        var transaction;
+        return _regenerator["default"].wrap(function _callee3$(_context3) {
+          while (1) switch (_context3.prev = _context3.next) {
+            case 0:
+              (0, _classPrivateFieldGet3["default"])(this, _assertion).hasSigner();
+              (0, _classPrivateFieldGet3["default"])(this, _assertion).hasProvider();
+              if (!((_classPrivateFieldGet2 = (0, _classPrivateFieldGet3["default"])(this, _account).isMultisig()) !== null && _classPrivateFieldGet2 !== void 0 && _classPrivateFieldGet2.type)) {
+                _context3.next = 4;
+                break;
+              }
+              throw new _errors.ValidationError('pending transactions can only be replaced for EOA accounts');
+            case 4:
+              _context3.next = 6;
+              return (0, _classPrivateFieldGet3["default"])(this, _provider).getTransaction(hash);
+            case 6:
+              transaction = _context3.sent;
+              if (transaction) {
+                _context3.next = 9;
+                break;
+              }
+              throw new _errors.ValidationError("transaction ".concat(hash, " not found"));
+            case 9:
+              if (!(transaction.from.toLowerCase() !== (0, _classPrivateFieldGet3["default"])(this, _account).getAddress().toLowerCase())) {
+                _context3.next = 11;
+                break;
+              }
+              throw new _errors.ValidationError("transaction ".concat(hash, " was not sent by your account"));
+            case 11:
+              if (!transaction.blockNumber) {
+                _context3.next = 13;
+                break;
+              }
+              throw new _errors.ValidationError("transaction ".concat(hash, " is already mined"));
+            case 13:
+              return _context3.abrupt("return", transaction);
+            case 14:
+            case "end":
+              return _context3.stop();
+          }
+        }, _callee3, this);
+      }));
+      function _getPendingTransaction(_x3) {
+        return _getPendingTransaction2.apply(this, arguments);
+      }
+      return _getPendingTransaction;
+    }() // Nodes only accept a replacement whose fees are at least 10% above those of the transaction it replaces
+  }, {
+    key: "_bump",
+    value: function _bump(value) {
+      return (0, _classPrivateFieldGet3["default"])(this, _ethers).BigNumber.from(value).mul(110).div(100).add(1);
+    }
+  }, {
+    key: "_max",
+    value: function _max(a, b) {
+      return a && (0, _classPrivateFieldGet3["default"])(this, _ethers).BigNumber.from(a).gt(b) ? (0, _classPrivateFieldGet3["default"])(this, _ethers).BigNumber.from(a) : b;
+    }
+  }, {
+    key: "_getReplacementFees",
+    value: function () {
+      var _getReplacementFees2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee4(original, options) {
+        var fees, _replacement, replacement;
+        return _regenerator["default"].wrap(function _callee4$(_context4) {
+          while (1) switch (_context4.prev = _context4.next) {
+            case 0:
+              _context4.next = 2;
+              return (0, _classPrivateFieldGet3["default"])(this, _feePolicy).apply({}, {
+                fee: options === null || options === void 0 ? void 0 : options.fee
+              });
+            case 2:
+              fees = _context4.sent;
+              if (original.maxFeePerGas) {
+                _context4.next = 7;
+                break;
+              }
+              // A legacy transaction is replaced by one with a higher gas price
+              _replacement = {
+                gasPrice: this._max(fees.gasPrice || fees.maxFeePerGas, this._bump(original.gasPrice))
+              };
+              (0, _classPrivateFieldGet3["default"])(this, _feePolicy).check(_replacement, {
+                fee: options === null || options === void 0 ? void 0 : options.fee
+              });
+              return _context4.abrupt("return", _replacement);
+            case 7:
+              replacement = {
+                maxFeePerGas: this._max(fees.maxFeePerGas, this._bump(original.maxFeePerGas || original.gasPrice)),
+                maxPriorityFeePerGas: this._max(fees.maxPriorityFeePerGas, this._bump(original.maxPriorityFeePerGas || original.gasPrice))
+              };
+              (0, _classPrivateFieldGet3["default"])(this, _feePolicy).check(replacement, {
+                fee: options === null || options === void 0 ? void 0 : options.fee
+              });
+              return _context4.abrupt("return", replacement);
+            case 10:
+            case "end":
+              return _context4.stop();
+          }
+        }, _callee4, this);
+      }));
+      function _getReplacementFees(_x4, _x5) {
+        return _getReplacementFees2.apply(this, arguments);
+      }
+      return _getReplacementFees;
+    }()
+  }, {
+    key: "_replace",
+    value: function () {
+      var _replace2 = (0, _asyncToGenerator2["default"])( /*#__PURE__*/_regenerator["default"].mark(function _callee5(original, tx, options) {
+        var hash, receipt, fees, callbacks, isMined;
+        return _regenerator["default"].wrap(function _callee5$(_context5) {
+          while (1) switch (_context5.prev = _context5.next) {
+            case 0:
+              hash = null;
+              receipt = null;
+              _context5.next = 4;
+              return this._getReplacementFees(original, options);
+            case 4:
+              fees = _context5.sent;
+              callbacks = _objectSpread(_objectSpread({}, options === null || options === void 0 ? void 0 : options.callbacks), {}, {
+                onSubmitted: function onSubmitted(submitted) {
+                  var _options$callbacks, _options$callbacks$on;
+                  hash = submitted;
+                  options === null || options === void 0 ? void 0 : (_options$callbacks = options.callbacks) === null || _options$callbacks === void 0 ? void 0 : (_options$callbacks$on = _options$callbacks.onSubmitted) === null || _options$callbacks$on === void 0 ? void 0 : _options$callbacks$on.call(_options$callbacks, submitted);
+                }
+              });
+              _context5.prev = 6;
+              _context5.next = 9;
+              return (0, _classPrivateFieldGet3["default"])(this, _account).execTransaction(_objectSpread(_objectSpread(_objectSpread({}, tx), fees), {}, {
+                nonce: original.nonce
+              }), {
+                callbacks: callbacks,
+                wait: options === null || options === void 0 ? void 0 : options.wait
+              });
+            case 9:
+              receipt = _context5.sent;
+              _context5.next = 17;
+              break;
+            case 12:
+              _context5.prev = 12;
+              _context5.t0 = _context5["catch"](6);
+              if (!((_context5.t0 === null || _context5.t0 === void 0 ? void 0 : _context5.t0.code) !== 'TRANSACTION_REPLACED')) {
+                _context5.next = 16;
+                break;
+              }
+              throw _context5.t0;
+            case 16:
+              receipt = _context5.t0.receipt;
+            case 17:
+              isMined = (options === null || options === void 0 ? void 0 : options.wait) !== false;
+              return _context5.abrupt("return", {
+                original: {
+                  hash: original.hash
+                },
+                replacement: {
+                  hash: hash,
+                  fee: fees.gasPrice ? {
+                    gasPrice: fees.gasPrice.toString()
+                  } : {
+                    maxFeePerGas: fees.maxFeePerGas.toString(),
+                    maxPriorityFeePerGas: fees.maxPriorityFeePerGas.toString()
+                  }
+                },
+                mined: isMined ? {
+                  hash: receipt.transactionHash,
+                  status: receipt.status
+                } : null
+              });
+            case 19:
+            case "end":
+              return _context5.stop();
+          }
+        }, _callee5, this, [[6, 12]]);
+      }));
+      function _replace(_x6, _x7, _x8) {
+        return _replace2.apply(this, arguments);
+      }
+      return _replace;
+    }()
+  }]);
+  return Transactions;
+}();
+var _default = Transactions;
+exports["default"] = _default;
\ No newline at end of file
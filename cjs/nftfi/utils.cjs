@@ -10,7 +10,7 @@ var _slicedToArray2 = _interopRequireDefault(require("@babel/runtime/helpers/sli
 var _asyncToGenerator2 = _interopRequireDefault(require("@babel/runtime/helpers/asyncToGenerator"));
 var _classCallCheck2 = _interopRequireDefault(require("@babel/runtime/helpers/classCallCheck"));
 var _createClass2 = _interopRequireDefault(require("@babel/runtime/helpers/createClass"));
-var _classPrivateFieldGet2 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldGet"));
+var _classPrivateFieldGet3 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldGet"));
 var _classPrivateFieldSet2 = _interopRequireDefault(require("@babel/runtime/helpers/classPrivateFieldSet"));
 function _classPrivateFieldInitSpec(obj, privateMap, value) { _checkPrivateRedeclaration(obj, privateMap); privateMap.set(obj, value); }
 function _checkPrivateRedeclaration(obj, privateCollection) { if (privateCollection.has(obj)) { throw new TypeError("Cannot initialize the same private elements twice on an object"); } }
@@ -22,6 +22,8 @@ var _Math = /*#__PURE__*/new WeakMap();
 var _Number = /*#__PURE__*/new WeakMap();
 var _contractFactory = /*#__PURE__*/new WeakMap();
 var _config = /*#__PURE__*/new WeakMap();
+var _helper = /*#__PURE__*/new WeakMap();
+var _error = /*#__PURE__*/new WeakMap();
 /**
  * @class
  * Class with utility methods.
@@ -62,6 +64,14 @@ var Utils = /*#__PURE__*/function () {
       writable: true,
       value: void 0
     });
+    _classPrivateFieldInitSpec(this, _helper, {
+      writable: true,
+      value: void 0
+    });
+    _classPrivateFieldInitSpec(this, _error, {
+      writable: true,
+      value: void 0
+    });
     (0, _classPrivateFieldSet2["default"])(this, _ethers, options === null || options === void 0 ? void 0 : options.ethers);
     (0, _classPrivateFieldSet2["default"])(this, _web, options === null || options === void 0 ? void 0 : options.web3);
     (0, _classPrivateFieldSet2["default"])(this, _BN, options === null || options === void 0 ? void 0 : options.BN);
@@ -70,6 +80,8 @@ var Utils = /*#__PURE__*/function () {
     (0, _classPrivateFieldSet2["default"])(this, _Number, options === null || options === void 0 ? void 0 : options.Number);
     (0, _classPrivateFieldSet2["default"])(this, _contractFactory, options === null || options === void 0 ? void 0 : options.contractFactory);
     (0, _classPrivateFieldSet2["default"])(this, _config, options === null || options === void 0 ? void 0 : options.config);
+    (0, _classPrivateFieldSet2["default"])(this, _helper, options === null || options === void 0 ? void 0 : options.helper);
+    (0, _classPrivateFieldSet2["default"])(this, _error, options === null || options === void 0 ? void 0 : options.error);
   }
 
   /**
@@ -84,8 +96,8 @@ var Utils = /*#__PURE__*/function () {
   (0, _createClass2["default"])(Utils, [{
     key: "getNonce",
     value: function getNonce() {
-      var rand = (0, _classPrivateFieldGet2["default"])(this, _web).utils.randomHex(32).replace('0x', '');
-      var nonce = new ((0, _classPrivateFieldGet2["default"])(this, _BN))(rand, 16).toString();
+      var rand = (0, _classPrivateFieldGet3["default"])(this, _web).utils.randomHex(32).replace('0x', '');
+      var nonce = new ((0, _classPrivateFieldGet3["default"])(this, _BN))(rand, 16).toString();
       return nonce;
     }
 
@@ -101,7 +113,7 @@ var Utils = /*#__PURE__*/function () {
   }, {
     key: "getExpiry",
     value: function getExpiry(seconds) {
-      var currentTimestampSecs = (0, _classPrivateFieldGet2["default"])(this, _Math).floor((0, _classPrivateFieldGet2["default"])(this, _Date).now() / 1000);
+      var currentTimestampSecs = (0, _classPrivateFieldGet3["default"])(this, _Math).floor((0, _classPrivateFieldGet3["default"])(this, _Date).now() / 1000);
       var secondsIntoTheFuture = seconds || 24 * 60 * 60; // 24 hours
       var expiry = currentTimestampSecs + secondsIntoTheFuture;
       return expiry;
@@ -110,7 +122,7 @@ var Utils = /*#__PURE__*/function () {
     /**
      * Formats an amount of wei into a decimal string representing the amount of ether.
      *
-     * @param {number} wei - Wei denomination of the amount
+     * @param {string|bigint|BigNumber|number} wei - Wei denomination of the amount
      * @returns {string} Ether denomination of the amount
      *
      * @example
@@ -121,16 +133,13 @@ var Utils = /*#__PURE__*/function () {
   }, {
     key: "formatEther",
     value: function formatEther(wei) {
-      var weiString = wei.toLocaleString('fullwide', {
-        useGrouping: false
-      });
-      return (0, _classPrivateFieldGet2["default"])(this, _ethers).utils.formatEther(weiString);
+      return (0, _classPrivateFieldGet3["default"])(this, _ethers).utils.formatEther(this._toWei(wei));
     }
 
     /**
      * Formats an amount of wei into a decimal string representing the amount of unit.
      *
-     * @param {BigNumber} wei - Wei denomination of the amount
+     * @param {string|bigint|BigNumber|number} wei - Wei denomination of the amount
      * @param {string} unit - Unit denomination to format value
      * @returns {string} String representation of value formatted with unit digits
      *
@@ -147,16 +156,21 @@ var Utils = /*#__PURE__*/function () {
   }, {
     key: "formatUnits",
     value: function formatUnits(wei, unit) {
-      var weiString = wei.toLocaleString('fullwide', {
-        useGrouping: false
-      });
-      return (0, _classPrivateFieldGet2["default"])(this, _ethers).utils.formatUnits(weiString, unit);
+      return (0, _classPrivateFieldGet3["default"])(this, _ethers).utils.formatUnits(this._toWei(wei), unit);
+    }
+
+    // Amounts are only read here, so any whole number is exact enough, eg. an amount from the API above 2^53
+  }, {
+    key: "_toWei",
+    value: function _toWei(wei) {
+      var name = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : 'wei';
+      return (0, _classPrivateFieldGet3["default"])(this, _Number).isInteger(wei) ? BigInt(wei).toString() : (0, _classPrivateFieldGet3["default"])(this, _helper).toAmount(wei, name);
     }
 
     /**
      * Formats value into a BigNumber representing the value in wei from the unit specified.
      *
-     * @param {number} value - Value
+     * @param {string|number} value - Value, a decimal string keeps every digit
      * @param {string} unit - Unit denomination to format from
      * @returns {BigNumber} BigNumber representation of value parsed with unit digits
      *
@@ -173,23 +187,25 @@ var Utils = /*#__PURE__*/function () {
   }, {
     key: "formatWei",
     value: function formatWei(value, unit) {
-      var valueString = value.toLocaleString('fullwide', {
-        useGrouping: false
-      });
-      return (0, _classPrivateFieldGet2["default"])(this, _ethers).utils.parseUnits(valueString, unit);
+      var valueString = typeof value === 'number' ? value.toLocaleString('fullwide', {
+        useGrouping: false,
+        maximumFractionDigits: 20
+      }) : String(value);
+      return (0, _classPrivateFieldGet3["default"])(this, _ethers).utils.parseUnits(valueString, unit);
     }
 
     /**
      * Calculates the loan repayment amount given its other parameters.
      *
-     * @param {number} principal - The loan's principal amount, in base units (eg. 1000000000000000000 wei)
+     * @param {string|bigint|BigNumber|number} principal - The loan's principal amount, in base units (eg. '1000000000000000000' wei)
      * @param {number} apr - The APR (yearly percentage rate)
      * @param {number} duration - The duration of the loan denominated in days
-     * @returns {number} The result maximum repayment amount, in base units (eg. 1250000000000000000 wei)
+     * @returns {string} The result maximum repayment amount, in base units (eg. '1250000000000000000' wei), rounded down.
+     * It is a string rather than a number, as numbers lose precision above 2^53.
      *
      * @example
      * // Calculate the loan repayment amount
-     * const principal = 1000000000000000000;
+     * const principal = '1000000000000000000';
      * const apr = 32;
      * const duration = 30;
      * const amount = nftfi.utils.calcRepaymentAmount(principal, apr, duration);
@@ -197,8 +213,18 @@ var Utils = /*#__PURE__*/function () {
   }, {
     key: "calcRepaymentAmount",
     value: function calcRepaymentAmount(principal, apr, duration) {
-      var p = (0, _classPrivateFieldGet2["default"])(this, _Number).parseInt(principal);
-      return Math.floor(p * apr / 100 * (duration / 365) + p);
+      try {
+        var _classPrivateFieldGet2 = (0, _classPrivateFieldGet3["default"])(this, _ethers),
+          BigNumber = _classPrivateFieldGet2.BigNumber,
+          utils = _classPrivateFieldGet2.utils;
+        var p = BigNumber.from(this._toWei(principal, 'principal'));
+        // The APR is kept to 6 decimal places, and the duration to the second
+        var rate = utils.parseUnits((0, _classPrivateFieldGet3["default"])(this, _Number).call(this, apr).toFixed(6), 6);
+        var seconds = (0, _classPrivateFieldGet3["default"])(this, _Math).round(duration * 86400);
+        return p.add(p.mul(rate).mul(seconds).div(BigNumber.from(10).pow(6).mul(100).mul(365 * 86400))).toString();
+      } catch (e) {
+        return (0, _classPrivateFieldGet3["default"])(this, _error).handle(e);
+      }
     }
 
     /**
@@ -239,7 +265,7 @@ var Utils = /*#__PURE__*/function () {
         return _regenerator["default"].wrap(function _callee2$(_context2) {
           while (1) switch (_context2.prev = _context2.next) {
             case 0:
-              contract = (0, _classPrivateFieldGet2["default"])(this, _contractFactory).create({
+              contract = (0, _classPrivateFieldGet3["default"])(this, _contractFactory).create({
                 address: options.token.address,
                 abi: ['function supportsInterface(bytes4 interfaceId) view returns (bool)']
               });
@@ -254,7 +280,7 @@ var Utils = /*#__PURE__*/function () {
                         _context.next = 4;
                         return contract.call({
                           "function": 'supportsInterface',
-                          args: [(0, _classPrivateFieldGet2["default"])(_this, _config)[interfaceName].interfaceId]
+                          args: [(0, _classPrivateFieldGet3["default"])(_this, _config)[interfaceName].interfaceId]
                         });
                       case 4:
                         result = _context.sent;
@@ -62,8 +62,8 @@ async function run() {
     listing = {
       terms: {
         duration: 90,
-        principal: 1000000000000000000,
-        repayment: 1100000000000000000,
+        principal: '1000000000000000000',
+        repayment: '1100000000000000000',
         currency: borrower.config.erc20.weth.address
       },
       borrower: {
@@ -25,34 +25,22 @@ function randomAPR(min, max, float = 2) {
 }
 
 async function createOffer(sdk, context) {
-  const { id, desiredTerms, borrower, nft } = context;
+  const { desiredTerms } = context;
   const currency = desiredTerms.currency || sdk.config.erc20.weth.address;
   const apr = randomAPR(30, 50);
   const days = desiredTerms.duration ? Math.floor(desiredTerms.duration / 86400) : 30;
   const duration = desiredTerms.duration || 86400 * days; // Number of days (loan duration) in seconds
-  const principal = desiredTerms.principal || (await sdk.erc20.balanceOf({ token: { address: currency } })) / 2;
-  const repayment = Math.round(sdk.utils.calcRepaymentAmount(principal, apr, days)).toFixed(18);
+  const principal =
+    desiredTerms.principal || (await sdk.erc20.balanceOf({ token: { address: currency } })).div(2).toString();
+  const repayment = sdk.utils.calcRepaymentAmount(principal, apr, days);
   const terms = {
     principal,
     repayment,
     duration,
     currency
   };
-  const payload = {
-    terms,
-    nft,
-    borrower,
-    nftfi: {
-      contract: { name: desiredTerms.contract.name }
-    },
-    metadata: {
-      forEvent: {
-        id,
-        type: 'OfferRequest'
-      }
-    }
-  };
-  const result = await sdk.offers.create(payload);
+  // The offer is linked back to the offer request
+  const result = await sdk.offers.requests.respond({ request: context, terms });
   if (result.errors) {
     console.log(`[ERROR] could not create offer with the following: ${JSON.stringify(terms)};`);
     console.log(`[ERROR] validation errors are: ${JSON.stringify(result.errors)}.`);
@@ -33,19 +33,15 @@ async function run() {
   // Construct the loan terms
   const contractName = nftfi.config.loan.fixed.v2_3.name;
 
-  // Convert 1 USDC amount into wei
-  const principal = nftfi.utils.formatWei(1, nftfi.config.erc20.usdc.unit).toString();
-
-  const apr = 31.42;
-  const days = 30;
-  const repayment = nftfi.utils.calcRepaymentAmount(principal, apr, days);
-  const duration = 86400 * days; // Number of days (loan duration) in seconds
-  const terms = {
-    principal,
-    repayment,
-    duration,
-    currency
-  };
+  // Build the terms of a 30 day loan of 1 USDC at 31.42% APR, with exact amounts in wei
+  const built = await nftfi.terms.build({
+    principal: '1',
+    currency: 'usdc',
+    apr: 31.42,
+    duration: '30d'
+  });
+  const terms = built.data.terms;
+  const principal = terms.principal;
 
   // Approve principal with NFTfi contracts
   await nftfi.erc20.approve({
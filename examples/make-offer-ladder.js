@@ -0,0 +1,59 @@
+import NFTfi from '@nftfi/js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+async function run() {
+  // Init the NFTfi SDK
+  const nftfi = await NFTfi.init({
+    config: {
+      api: { key: process.env.NFTFI_SDK_API_KEY }
+    },
+    ethereum: {
+      account: { privateKey: process.env.NFTFI_SDK_ETHEREUM_LENDER_ACCOUNT_PRIVATE_KEY },
+      provider: { url: process.env.NFTFI_SDK_ETHEREUM_PROVIDER_URL }
+    }
+  });
+
+  // Define collection to make offers on
+  const nft = {
+    address: process.env.NFTFI_SDK_EXAMPLE_NFT_ADDRESS
+  };
+  // Approve the largest principal of the ladder with NFTfi contracts
+  const currency = nftfi.config.erc20.weth.address;
+  const contractName = nftfi.config.loan.fixed.collection.v2_3.name;
+  await nftfi.erc20.approve({
+    token: { address: currency },
+    nftfi: { contract: { name: contractName } },
+    amount: nftfi.utils.formatWei('0.03', 'ether').toString()
+  });
+  // Make one offer per tier, valid for 6 hours
+  const ladder = await nftfi.offers.createLadder({
+    nft,
+    currency: 'weth',
+    expiry: '6h',
+    tiers: [
+      { principal: '0.03', apr: 30, duration: '30d' },
+      { principal: '0.025', apr: 25, duration: '14d' },
+      { principal: '0.02', apr: 20, duration: '7d' }
+    ]
+  });
+  if (ladder.error) {
+    console.log(`[ERROR] could not create ladder: ${ladder.error.message}`);
+    return;
+  }
+  console.log(`[INFO] made ladder ${ladder.data.group.id}: ${JSON.stringify(ladder.data.summary)}`);
+  for (const tier of ladder.data.tiers) {
+    console.log(
+      `[INFO] principal: ${tier.terms.principal} wei; duration: ${tier.terms.duration / 86400} days; APR: ${tier.apr}%`
+    );
+  }
+  // Withdraw the whole ladder
+  const deleted = await nftfi.offers.deleteGroup({ group: ladder.data.group });
+  console.log(`[INFO] deleted ladder ${ladder.data.group.id}: ${JSON.stringify(deleted.data.summary)}`);
+}
+
+run().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -27,7 +27,7 @@ async function run() {
   });
   // Construct the loan terms
   const contractName = nftfi.config.loan.fixed.collection.v2_3.name;
-  const principal = balance / 3;
+  const principal = balance.div(3).toString();
   const apr = 31.42;
   const days = 30;
   const repayment = nftfi.utils.calcRepaymentAmount(principal, apr, days);
@@ -34,7 +34,7 @@ async function run() {
     });
     // Construct the loan terms
     const contractName = listing.nftfi.contract.name;
-    const principal = balance / 2;
+    const principal = balance.div(2).toString();
     const apr = 31.42;
     const days = listing?.terms?.loan?.duration == 90 ? 90 : 30; // Use 90 days if desired, else default to 30 days
     const repayment = nftfi.utils.calcRepaymentAmount(principal, apr, days);
@@ -31,7 +31,7 @@ async function run() {
   });
   // Construct the loan terms
   const contractName = nftfi.config.loan.fixed.v2_3.name;
-  const principal = balance / 2;
+  const principal = balance.div(2).toString();
   const apr = 31.42;
   const days = 30;
   const repayment = nftfi.utils.calcRepaymentAmount(principal, apr, days);
@@ -72,6 +72,24 @@ async function run() {
     }
   });
   console.log(`[INFO]: ${JSON.stringify(offerRequest3)}`);
+
+  // Make offer request for any of the candidate NFTs of a collection
+  const offerRequest4 = await nftfi.offers.requests.create({
+    desiredTerms: {
+      currency: nftfi.config.erc20.weth.address,
+      principal: '1000000000',
+      repayment: '2000000000',
+      duration: 86400 * 30,
+      contract: {
+        name: nftfi.config.loan.fixed.collection.v2_3.name
+      }
+    },
+    nft: {
+      ids: [NFTFI_SDK_EXAMPLE_NFT_ID],
+      address: NFTFI_SDK_EXAMPLE_NFT_ADDRESS
+    }
+  });
+  console.log(`[INFO]: ${JSON.stringify(offerRequest4)}`);
 }
 
 run().catch(error => {
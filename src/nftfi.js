@@ -7,13 +7,16 @@ import Websocket from './nftfi/websocket.js';
 import Auth from './nftfi/auth.js';
 import Api from './nftfi/api.js';
 import Listings from './nftfi/listings.js';
+import ListingsHelper from './nftfi/listings/helper.js';
 import Offers from './nftfi/offers.js';
 import OffersSignatures from './nftfi/offers/signatures.js';
 import OffersHelper from './nftfi/offers/helper.js';
 import OffersValidator from './nftfi/offers/validation.js';
+import OffersValidationCache from './nftfi/offers/cache.js';
 import OffersRequests from './nftfi/offers/requests.js';
 import Events from './nftfi/events.js';
 import Loans from './nftfi/loans.js';
+import LoansHelper from './nftfi/loans/helper.js';
 import LoansFixed from './nftfi/loans/fixed/index.js';
 import LoansFixedV1 from './nftfi/loans/fixed/v1/index.js';
 import LoansFixedV2 from './nftfi/loans/fixed/v2/index.js';
@@ -34,11 +37,25 @@ import EOA from './nftfi/account/eoa.js';
 import Multisig from './nftfi/account/multisig.js';
 import MultisigGnosis from './nftfi/account/multisig/gnosis.js';
 import MultisigGnosisOwner from './nftfi/account/multisig/gnosis/owner.js';
+import TransactionLifecycle from './nftfi/account/lifecycle.js';
+import NonceManager from './nftfi/account/nonce.js';
 import ContractFactory from './nftfi/contract/factory.js';
+import ContractRegistry from './nftfi/contract/registry.js';
+import ContractMulticall from './nftfi/contract/multicall.js';
+import ContractFeePolicy from './nftfi/contract/fee.js';
 import Contract from './nftfi/contract.js';
 import Helper from './nftfi/shared/helper.js';
 import Result from './nftfi/result.js';
 import Error from './nftfi/error.js';
+import {
+  NFTfiError,
+  ValidationError,
+  ApiError,
+  AuthError,
+  ContractRevertError,
+  UnsupportedContractError,
+  InsufficientFundsError
+} from './nftfi/errors.js';
 import NFTfi from './nftfi/index.js';
 import Storage from './nftfi/storage.js';
 
@@ -59,6 +76,18 @@ import RewardsOgAllocations from './nftfi/rewards/og/allocations/index.js';
 import RewardsEarnAllocations from './nftfi/rewards/earn/allocations/index.js';
 import RewardsEarnPoints from './nftfi/rewards/earn/points/index.js';
 import Rewards from './nftfi/rewards.js';
+import Transactions from './nftfi/transactions.js';
+import Terms from './nftfi/terms.js';
+
+export {
+  NFTfiError,
+  ValidationError,
+  ApiError,
+  AuthError,
+  ContractRevertError,
+  UnsupportedContractError,
+  InsufficientFundsError
+};
 
 export default {
   init: async function (options = {}) {
@@ -76,17 +105,21 @@ export default {
       typeof window !== 'undefined' && typeof window?.localStorage !== 'undefined' ? window.localStorage : null;
 
     if (!hasApiKey) {
-      throw 'Please provide a value for the api.key field in the options parameter.';
+      throw new ValidationError('Please provide a value for the api.key field in the options parameter.');
     }
     if (hasGnosisSafePks && !hasGnosisSafeAddress) {
-      throw 'Please provide a value for the ethereum.account.multisig.gnosis.safe.address field in the options parameter.';
+      throw new ValidationError(
+        'Please provide a value for the ethereum.account.multisig.gnosis.safe.address field in the options parameter.'
+      );
     }
     if (
       (hasGnosisSafePks && (hasWeb3Provider || hasAccountPk)) ||
       (hasWeb3Provider && (hasGnosisSafePks || hasAccountPk)) ||
       (hasAccountPk && (hasGnosisSafePks || hasWeb3Provider))
     ) {
-      throw 'Please supply values for either account.privateKey, account.web3.provider, or account.multisig.';
+      throw new ValidationError(
+        'Please supply values for either account.privateKey, account.web3.provider, or account.multisig.'
+      );
     }
 
     const ethers = options?.dependencies?.ethers || ethersjs;
@@ -98,7 +131,9 @@ export default {
       provider = new ethersjs.providers.Web3Provider(options?.ethereum?.web3?.provider);
     }
     if (!provider && !options?.ethereum?.chain?.id) {
-      throw 'Please provide a value for either ethereum.provider.url, ethereum.web3.provider or ethereum.chain.id.';
+      throw new ValidationError(
+        'Please provide a value for either ethereum.provider.url, ethereum.web3.provider or ethereum.chain.id.'
+      );
     }
 
     const network = (await provider?.getNetwork()) || { chainId: options?.ethereum?.chain?.id };
@@ -111,6 +146,7 @@ export default {
     });
 
     // Create an account, which is either an EOA or Multisig (Gnosis)
+    const lifecycle = new TransactionLifecycle();
     let account;
     let signer;
     let address;
@@ -142,7 +178,8 @@ export default {
         owners,
         signer: safeSigner,
         provider,
-        ethers
+        ethers,
+        lifecycle
       });
       const multisig = new Multisig({
         multisig: gnosis
@@ -155,14 +192,19 @@ export default {
       const address = options?.ethereum?.account?.address || ethersjs.utils.computeAddress(pk);
       //impersonate account in test mode
       signer = await provider.getSigner(address);
-      const eoa = new EOA({ address, signer, provider });
+      // Injected wallets (eg. MetaMask) manage their own nonces, and reject or override explicit ones
+      const nonceManager = pk ? new NonceManager({ address, provider, mutex: new Mutex() }) : null;
+      const eoa = new EOA({ address, signer, provider, lifecycle, nonceManager });
       account = new Account({ account: options?.dependencies?.account || eoa });
     }
 
+    const registry = options?.dependencies?.registry || new ContractRegistry({ config, contracts: options?.contracts });
     const mutex = new Mutex();
     const assertion = new Assertion({ account, provider });
     const websocket = new Websocket({ config, io });
     const http = new Http({ axios });
+    const feePolicy = new ContractFeePolicy({ config, provider, ethers });
+    const multicall = new ContractMulticall({ config, provider, ethers });
     const contractFactory =
       options?.dependencies?.contractFactory ||
       new ContractFactory({
@@ -171,54 +213,140 @@ export default {
         account,
         Contract,
         provider,
-        assertion
+        assertion,
+        feePolicy,
+        multicall
       });
+    const helper = new Helper({ config, ethers });
+    const error = new Error();
     const utils =
-      options?.dependencies?.utils || new Utils({ ethers, BN, Date, Math, Number, web3, contractFactory, config });
+      options?.dependencies?.utils ||
+      new Utils({ ethers, BN, Date, Math, Number, web3, contractFactory, config, helper, error });
     const storage = options?.dependencies?.storage || new Storage({ storage: localStorage, config });
     const auth = new Auth({ http, account, config, utils, storage });
     const api = options?.dependencies?.api || new Api({ config, auth, http, assertion, mutex });
-    const error = new Error();
-    const result = new Result();
-    const helper = new Helper({ config });
-    const listings = new Listings({ api, config, helper, error });
+    const result = new Result({ error });
 
-    const loanFixedV1 = new LoansFixedV1({ config, contractFactory });
-    const loanFixedV2 = new LoansFixedV2({ config, contractFactory });
-    const loanFixedV2_1 = new LoansFixedV2_1({ config, contractFactory });
-    const loanFixedV2_3 = new LoansFixedV2_3({ config, contractFactory });
-    const loanFixedCollectionV2 = new LoansFixedCollectionV2({ config, contractFactory });
-    const loanFixedCollectionV2_3 = new LoansFixedCollectionV2_3({ config, contractFactory });
+    const loanFixedV1 = new LoansFixedV1({ config, contractFactory, registry, helper });
+    const loanFixedV2 = new LoansFixedV2({ config, contractFactory, registry, helper });
+    const loanFixedV2_1 = new LoansFixedV2_1({ config, contractFactory, registry, helper });
+    const loanFixedV2_3 = new LoansFixedV2_3({ config, contractFactory, registry, helper });
+    const loanFixedCollectionV2 = new LoansFixedCollectionV2({ config, contractFactory, registry, helper });
+    const loanFixedCollectionV2_3 = new LoansFixedCollectionV2_3({ config, contractFactory, registry, helper });
     const loanFixedCollection = new LoansFixedCollection({ v2: loanFixedCollectionV2, v2_3: loanFixedCollectionV2_3 });
     const loanFixed = new LoansFixed({
       v1: loanFixedV1,
       v2: loanFixedV2,
       v2_1: loanFixedV2_1,
       v2_3: loanFixedV2_3,
-      collection: loanFixedCollection
+      collection: loanFixedCollection,
+      implementations: {
+        [config.loan.fixed.v1.name]: LoansFixedV1,
+        [config.loan.fixed.v2.name]: LoansFixedV2,
+        [config.loan.fixed.v2_1.name]: LoansFixedV2_1,
+        [config.loan.fixed.v2_3.name]: LoansFixedV2_3,
+        [config.loan.fixed.collection.v2.name]: LoansFixedCollectionV2,
+        [config.loan.fixed.collection.v2_3.name]: LoansFixedCollectionV2_3
+      },
+      config,
+      contractFactory,
+      registry,
+      helper
+    });
+    const erc20 = new Erc20({ config, utils, account, contractFactory, BN, error, assertion, registry, helper });
+    const erc721 = new Erc721({ config, contractFactory, account, error, assertion, registry });
+    const erc1155 = new Erc1155({ config, contractFactory, account, registry });
+    const cryptoPunks = new CryptoPunks({ config, utils, error, result, contractFactory, registry });
+    const nft = new Nft({
+      config,
+      result,
+      nft: { erc1155, cryptoPunks, erc721 },
+      ethers: ethersjs,
+      account,
+      contractFactory,
+      utils,
+      error,
+      assertion
+    });
+    const offersValidationCache = new OffersValidationCache({ config, provider, ethers });
+    const offersValidator = new OffersValidator({
+      erc20,
+      ethers,
+      config,
+      contractFactory,
+      registry,
+      nft,
+      helper,
+      cache: offersValidationCache
+    });
+    const loansHelper = new LoansHelper({ config, account, assertion });
+    const loans = new Loans({
+      api,
+      account,
+      loansHelper,
+      fixed: loanFixed,
+      config,
+      helper,
+      error,
+      result,
+      assertion,
+      registry,
+      nft,
+      offersValidator
+    });
+    const offersSignatures = new OffersSignatures({ account, ethers, config, registry, helper });
+    const offersHelper = new OffersHelper({
+      helper,
+      utils,
+      offersSignatures,
+      config,
+      account,
+      assertion,
+      registry
     });
-    const loans = new Loans({ api, account, fixed: loanFixed, config, helper, error, assertion });
-    const offersSignatures = new OffersSignatures({ account, ethers, config });
-    const erc20 = new Erc20({ config, utils, account, contractFactory, BN, error, assertion });
-    const offersHelper = new OffersHelper({ BN, Number, utils, offersSignatures, config, account, assertion });
-    const offersValidator = new OffersValidator({ erc20, ethers, config, contractFactory });
-    const offersRequests = new OffersRequests({ api, account, config, result, error });
+    const offersRequests = new OffersRequests({
+      api,
+      account,
+      config,
+      result,
+      error,
+      assertion,
+      offersHelper,
+      registry,
+      ethers,
+      helper
+    });
+    const terms = new Terms({ config, contractFactory, ethers, result, error });
     const offers = new Offers({
       api,
       account,
       offersHelper,
       offersValidator,
       offersRequests,
+      offersSignatures,
       loans,
       config,
       result,
       error,
       helper,
-      assertion
+      assertion,
+      terms,
+      utils
+    });
+    const listingsHelper = new ListingsHelper({ config, helper });
+    const listings = new Listings({
+      api,
+      config,
+      helper,
+      listingsHelper,
+      offers,
+      nft,
+      account,
+      registry,
+      assertion,
+      result,
+      error
     });
-    const erc721 = new Erc721({ config, contractFactory, account, error, assertion });
-    const erc1155 = new Erc1155({ config, contractFactory, account });
-    const cryptoPunks = new CryptoPunks({ config, utils, error, result, contractFactory });
     const immutables = new Immutables({ config, account, error, result, contractFactory, assertion });
     const bundlesHelper = new BundlesHelper({ config, contractFactory, ethers });
     const bundles = new Bundles({ config, account, error, result, helper: bundlesHelper, contractFactory, assertion });
@@ -229,31 +357,25 @@ export default {
     const pointsEarn = new RewardsEarnPoints({ api, result, error });
     const rewardsEarn = new RewardsEarn({ allocations: allocationsEarn, points: pointsEarn });
     const rewards = new Rewards({ og: rewardsOg, earn: rewardsEarn });
-    const nft = new Nft({
-      config,
-      result,
-      nft: { erc1155, cryptoPunks, erc721 },
-      ethers: ethersjs,
-      account,
-      contractFactory,
-      utils,
-      error,
-      assertion
-    });
+    const transactions = new Transactions({ account, provider, ethers, feePolicy, assertion, result, error });
 
+    // Opt-in envelope, so that every public method responds in the same shape
+    const envelope = config?.response?.envelope === 'v1' ? module => result.wrap(module) : module => module;
     const nftfi = new NFTfi({
       config,
       account,
-      listings,
-      offers,
-      loans,
-      erc20,
-      erc721,
-      bundles,
-      immutables,
+      listings: envelope(listings),
+      offers: envelope(offers),
+      loans: envelope(loans),
+      erc20: envelope(erc20),
+      erc721: envelope(erc721),
+      bundles: envelope(bundles),
+      immutables: envelope(immutables),
       events,
-      rewards,
-      nft,
+      rewards: envelope(rewards),
+      transactions: envelope(transactions),
+      terms: envelope(terms),
+      nft: envelope(nft),
       utils,
       api,
       offersSignatures
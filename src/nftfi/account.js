@@ -26,13 +26,17 @@ class Account {
     return signedMsg;
   }
 
+  async signMany(msgs) {
+    return this.#account.signMany(msgs);
+  }
+
   async authSign(msg) {
     const signedMsg = this.#account.authSign(msg);
     return signedMsg;
   }
 
-  async execTransaction(tx) {
-    return this.#account.execTransaction(tx);
+  async execTransaction(tx, options) {
+    return this.#account.execTransaction(tx, options);
   }
 }
 
@@ -2,11 +2,15 @@ class EOA {
   #address;
   #signer;
   #provider;
+  #lifecycle;
+  #nonceManager;
 
   constructor(options = {}) {
     this.#address = options?.address;
     this.#signer = options?.signer;
     this.#provider = options?.provider;
+    this.#lifecycle = options?.lifecycle;
+    this.#nonceManager = options?.nonceManager;
   }
 
   isMultisig() {
@@ -30,13 +34,35 @@ class EOA {
     return signedMsg;
   }
 
+  // Messages are signed one after the other, so that wallets prompt for them in order
+  async signMany(msgs) {
+    const signedMsgs = [];
+    for (const msg of msgs) {
+      signedMsgs.push(await this.sign(msg));
+    }
+    return signedMsgs;
+  }
+
   async authSign(msg) {
     return this.sign(msg);
   }
 
-  async execTransaction(tx) {
-    const receipt = await this.#signer.sendTransaction(tx);
-    return this.#provider.waitForTransaction(receipt.hash);
+  async execTransaction(tx, options = {}) {
+    let response;
+    // Transactions that come with a nonce (eg. replacements) are sent as they are
+    const isManaged = !!this.#nonceManager && tx.nonce === undefined;
+    const nonce = isManaged ? await this.#nonceManager.next() : tx.nonce;
+    try {
+      // Signing and broadcasting is a single step for JSON-RPC signers
+      response = await this.#signer.sendTransaction({ ...tx, nonce });
+    } catch (e) {
+      if (isManaged) this.#nonceManager.release(nonce);
+      this.#lifecycle.failed(e, options);
+      throw e;
+    }
+    if (isManaged) this.#nonceManager.submitted(nonce, response.hash);
+    this.#lifecycle.signed(response, options);
+    return this.#lifecycle.submitted(response, options);
   }
 }
 
@@ -0,0 +1,55 @@
+/**
+ * @class
+ * Reports the progress of a sent transaction through the lifecycle callbacks passed to `Contract.call`:
+ * `onSigned`, `onSubmitted(hash)`, `onConfirmed(receipt, confirmations)`, `onReplaced(replacement)` and `onFailed(reason)`.
+ */
+class TransactionLifecycle {
+  signed(transaction, options) {
+    options?.callbacks?.onSigned?.(transaction);
+  }
+
+  failed(e, options) {
+    options?.callbacks?.onFailed?.(e?.reason || e?.message || e);
+  }
+
+  // Waits for the broadcast transaction to be mined, or returns it straight away when `wait` is false.
+  async submitted(response, options) {
+    options?.callbacks?.onSubmitted?.(response.hash);
+    const mined = this._wait(response, options);
+    if (options?.wait === false) {
+      // Nobody awaits the receipt anymore, failures are reported through `onFailed` only
+      mined.catch(() => {});
+      return response;
+    }
+    return mined;
+  }
+
+  async _wait(response, options) {
+    const callbacks = options?.callbacks || {};
+    try {
+      const receipt = await response.wait(options?.confirmations || 1);
+      callbacks.onConfirmed?.(receipt, receipt.confirmations);
+      return receipt;
+    } catch (e) {
+      switch (e?.code) {
+        case 'TRANSACTION_REPLACED': {
+          callbacks.onReplaced?.({ hash: e.replacement?.hash, reason: e.reason, receipt: e.receipt });
+          // A repriced transaction is the same transaction with a higher fee, anything else did not go through
+          if (e.cancelled) break;
+          callbacks.onConfirmed?.(e.receipt, e.receipt.confirmations);
+          return e.receipt;
+        }
+        case 'CALL_EXCEPTION': {
+          // Reverted transactions are still mined, keep returning their receipt (with status 0)
+          if (!e?.receipt) break;
+          this.failed(e, options);
+          return e.receipt;
+        }
+      }
+      this.failed(e, options);
+      throw e;
+    }
+  }
+}
+
+export default TransactionLifecycle;
@@ -25,12 +25,16 @@ class Multisig {
     return this.#multisig.sign(msg);
   }
 
+  async signMany(msgs) {
+    return this.#multisig.signMany(msgs);
+  }
+
   async authSign(msg) {
     return this.#multisig.authSign(msg);
   }
 
-  async execTransaction(tx) {
-    return this.#multisig.execTransaction(tx);
+  async execTransaction(tx, options) {
+    return this.#multisig.execTransaction(tx, options);
   }
 }
 
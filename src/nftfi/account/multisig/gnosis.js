@@ -4,6 +4,7 @@ class MultisigGnosis {
   #signer;
   #provider;
   #ethers;
+  #lifecycle;
 
   constructor(options) {
     this.#address = options?.address;
@@ -11,6 +12,7 @@ class MultisigGnosis {
     this.#signer = options?.signer;
     this.#provider = options?.provider;
     this.#ethers = options?.ethers;
+    this.#lifecycle = options?.lifecycle;
   }
 
   isMultisig() {
@@ -34,25 +36,38 @@ class MultisigGnosis {
     return this.#signer;
   }
 
-  async execTransaction(tx) {
-    // Always make sure that value is never undefined
-    tx.value = tx.value || '0';
-    // Get all safe SDKs
-    const safeSDKs = await Promise.all(this.#owners.map(async owner => owner.getSafeSDK()));
-    const baseSafeSDK = safeSDKs[0];
-    const otherSafeSDKs = safeSDKs.slice(1);
-    // Create a safe transaction using the base safe sdk
-    const safeTransaction = await baseSafeSDK.createTransaction({ safeTransactionData: tx });
-    // Approve the safe transaction using other safe sdks
-    await Promise.all(
-      otherSafeSDKs.map(async safeSDK => {
-        return safeSDK.signTransaction(safeTransaction);
-      })
-    );
-    // Execute the transaction using the base sdk
-    const receipt = await baseSafeSDK.executeTransaction(safeTransaction);
-    const response = receipt.transactionResponse.wait();
-    return response;
+  async execTransaction(tx, options = {}) {
+    let receipt;
+    try {
+      // Fees apply to the execution of the safe transaction, not to the transaction it wraps.
+      // The gas limit is left to the safe sdk, as it was estimated for the wrapped transaction only.
+      // eslint-disable-next-line no-unused-vars
+      const { gasLimit, maxFeePerGas, maxPriorityFeePerGas, ...safeTransactionData } = tx;
+      // Always make sure that value is never undefined
+      safeTransactionData.value = safeTransactionData.value || '0';
+      // Get all safe SDKs
+      const safeSDKs = await Promise.all(this.#owners.map(async owner => owner.getSafeSDK()));
+      const baseSafeSDK = safeSDKs[0];
+      const otherSafeSDKs = safeSDKs.slice(1);
+      // Create a safe transaction using the base safe sdk
+      const safeTransaction = await baseSafeSDK.createTransaction({ safeTransactionData });
+      // Approve the safe transaction using other safe sdks
+      await Promise.all(
+        otherSafeSDKs.map(async safeSDK => {
+          return safeSDK.signTransaction(safeTransaction);
+        })
+      );
+      this.#lifecycle.signed(safeTransaction, options);
+      // Execute the transaction using the base sdk
+      receipt = await baseSafeSDK.executeTransaction(
+        safeTransaction,
+        maxFeePerGas ? { maxFeePerGas, maxPriorityFeePerGas } : undefined
+      );
+    } catch (e) {
+      this.#lifecycle.failed(e, options);
+      throw e;
+    }
+    return this.#lifecycle.submitted(receipt.transactionResponse, options);
   }
 
   async sign(message) {
@@ -61,6 +76,17 @@ class MultisigGnosis {
     return signature;
   }
 
+  // Each owner signs all the messages in one round, rather than all the owners signing one message at a time
+  async signMany(messages) {
+    const signatures = messages.map(() => []);
+    for (const owner of this.#owners) {
+      for (const [i, message] of messages.entries()) {
+        signatures[i].push({ address: owner.getAddress(), data: await owner.sign(message) });
+      }
+    }
+    return signatures.map(ownerSignatures => this._concatSignatures(ownerSignatures));
+  }
+
   async authSign(message) {
     const owner = this.#owners[0];
     const signer = new this.#ethers.Wallet(owner.getPrivateKey(), this.#provider);
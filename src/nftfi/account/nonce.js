@@ -0,0 +1,72 @@
+/**
+ * @class
+ * Hands out sequential nonces to the transactions sent by an EOA, so that concurrent calls don't collide.
+ * Nonces are tracked from the moment they are handed out until their transaction is mined, and the
+ * manager resyncs with the provider's pending nonce every time, so dropped and replaced transactions free up their nonce.
+ * A nonce is only handed out once the previous one was broadcast or released, so a failed send is refilled by the
+ * next transaction instead of leaving a gap that holds back the transactions sent after it.
+ */
+class NonceManager {
+  #address;
+  #provider;
+  #mutex;
+  // Nonces of the transactions in flight, mapped to their hash once broadcast
+  #inFlight = new Map();
+  // Settles once the last nonce handed out was either broadcast or released
+  #settled = Promise.resolve();
+  #settle = new Map();
+
+  constructor(options = {}) {
+    this.#address = options?.address;
+    this.#provider = options?.provider;
+    this.#mutex = options?.mutex;
+  }
+
+  async next() {
+    return this.#mutex.runExclusive(async () => {
+      await this.#settled;
+      const [latest, pending] = await Promise.all([
+        this.#provider.getTransactionCount(this.#address, 'latest'),
+        this.#provider.getTransactionCount(this.#address, 'pending')
+      ]);
+      for (const nonce of this.#inFlight.keys()) {
+        if (nonce < latest) this.#inFlight.delete(nonce);
+      }
+      await this._releaseDropped(pending);
+      let nonce = pending;
+      while (this.#inFlight.has(nonce)) nonce++;
+      this.#inFlight.set(nonce, null);
+      this.#settled = new Promise(resolve => this.#settle.set(nonce, resolve));
+      return nonce;
+    });
+  }
+
+  // The provider knows of every broadcast transaction below its pending nonce, so a transaction sent
+  // with the pending nonce or above that the provider doesn't know of has been dropped
+  async _releaseDropped(pending) {
+    const broadcast = [...this.#inFlight].filter(([nonce, hash]) => nonce >= pending && hash);
+    await Promise.all(
+      broadcast.map(async ([nonce, hash]) => {
+        if (!(await this.#provider.getTransaction(hash))) this.#inFlight.delete(nonce);
+      })
+    );
+  }
+
+  submitted(nonce, hash) {
+    if (this.#inFlight.has(nonce)) this.#inFlight.set(nonce, hash);
+    this._settle(nonce);
+  }
+
+  // Frees up the nonce of a transaction that failed to be sent, for the next transaction to reuse
+  release(nonce) {
+    this.#inFlight.delete(nonce);
+    this._settle(nonce);
+  }
+
+  _settle(nonce) {
+    this.#settle.get(nonce)?.();
+    this.#settle.delete(nonce);
+  }
+}
+
+export default NonceManager;
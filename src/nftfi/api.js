@@ -1,3 +1,5 @@
+import { ApiError, AuthError } from './errors.js';
+
 class API {
   #config;
   #auth;
@@ -43,7 +45,7 @@ class API {
     if (headers) opts = { headers, params };
 
     const result = await this.#http.get(uri, opts, httpOptions);
-    return result.data;
+    return this._getData(result);
   }
 
   async post(options) {
@@ -52,7 +54,16 @@ class API {
     const result = await this.#http.post(uri, options.payload, {
       headers
     });
-    return result.data;
+    return this._getData(result);
+  }
+
+  async put(options) {
+    const uri = this.concatUri(options.uri);
+    const headers = await this.getAuthHeader(options);
+    const result = await this.#http.put(uri, options.payload, {
+      headers
+    });
+    return this._getData(result);
   }
 
   async delete(options) {
@@ -61,6 +72,18 @@ class API {
     const result = await this.#http.delete(uri, {
       headers
     });
+    return this._getData(result);
+  }
+
+  // Error responses are returned by Http, rather than thrown
+  _getData(result) {
+    const status = result?.status || null;
+    if (!status || status >= 400) {
+      const body = result?.data || null;
+      const message = body?.message || (status ? `request failed with status ${status}` : 'request failed');
+      const ApiErrorType = status === 401 || status === 403 ? AuthError : ApiError;
+      throw new ApiErrorType(message, { status, body });
+    }
     return result.data;
   }
 
@@ -1,3 +1,5 @@
+import { AuthError, ValidationError } from './errors.js';
+
 class Assertion {
   #account;
   #provider;
@@ -9,7 +11,7 @@ class Assertion {
 
   hasSigner(message) {
     if (!this.#account?.getSigner()) {
-      throw new Error(
+      throw new AuthError(
         message ||
           'Authentication required, please provide values for either account.privateKey, account.multisig or web3.provider on initialization.'
       );
@@ -18,7 +20,7 @@ class Assertion {
 
   hasAddress(message) {
     if (!this.#account?.getAddress()) {
-      throw new Error(
+      throw new ValidationError(
         message ||
           'Account address required, please provide values for either account.address, account.privateKey, web3.provider or account.multisig on initialization.'
       );
@@ -27,7 +29,7 @@ class Assertion {
 
   hasProvider(message) {
     if (!this.#provider) {
-      throw new Error(
+      throw new ValidationError(
         message ||
           'Web3 provider required, please provide values for either options.ethereum.web3.provider or options.ethereum.provider.url on initialization.'
       );
@@ -1,13 +1,15 @@
-class ContractNameNotSupportedError extends Error {
+import { UnsupportedContractError } from './errors.js';
+
+class ContractNameNotSupportedError extends UnsupportedContractError {
   constructor(msg) {
-    super(msg);
+    super(msg, { errors: { 'nftfi.contract.name': [msg] } });
     this.name = 'ContractNameNotSupportedError';
   }
 }
 
-class MigrationNotSupportedError extends Error {
+class MigrationNotSupportedError extends UnsupportedContractError {
   constructor(msg) {
-    super(msg);
+    super(msg, { errors: { 'nftfi.contract.name': [msg] } });
     this.name = 'MigrationNotSupportedError';
   }
 }
@@ -98,6 +100,9 @@ class Bundles {
   /**
    * Mint a new bundle.
    *
+   * @param {Object} [options] - An object containing options for the mint operation.
+   * @param {boolean} [options.dryRun=false] - If true, returns the populated transaction, its gas estimate and revert reason (if any) instead of sending it.
+   *
    * @returns {Object} An object containing information about the minted bundle.
    *
    * @example
@@ -105,7 +110,7 @@ class Bundles {
    * // NOTE: v1 bundles have been deprecated, therefore this method wont mint a v1 bundle anymore.
    * const bundle = await nftfi.bundles.mint();
    */
-  async mint() {
+  async mint(options) {
     try {
       this.#assertion.hasSigner();
       let result;
@@ -115,8 +120,10 @@ class Bundles {
 
       result = await bundlerContract.call({
         function: 'safeMint',
-        args: [this.#account.getAddress()]
+        args: [this.#account.getAddress()],
+        dryRun: options?.dryRun
       });
+      if (options?.dryRun) return this.#result.handle(result);
       const transfer = result.logs.filter(function (log) {
         return log.name === 'Transfer';
       })[0];
@@ -140,6 +147,7 @@ class Bundles {
    * @param {Object} options.elements[].token - An object containing information about the token associated with the element.
    * @param {string} options.elements[].token.address - The address of the token contract associated with the element.
    * @param {Array<string>} options.elements[].token.ids - An array of token IDs associated with the element.
+   * @param {boolean} [options.dryRun=false] - If true, returns the populated transaction, its gas estimate and revert reason (if any) instead of sending it.
    *
    * @returns {Object} An object containing information about the updated bundle.
    *
@@ -192,7 +200,7 @@ class Bundles {
 
       // Handle any errors
       if (addressErrors.length) {
-        return this.#error.handle({ elements: { 'token.address': addressErrors } });
+        return this.#error.handle({ errors: { elements: { 'token.address': addressErrors } } });
       }
 
       // Parse the inputs for the contract call
@@ -206,10 +214,12 @@ class Bundles {
         })
       );
       // Call the contract
-      await bundlerContract.call({
+      const result = await bundlerContract.call({
         function: 'addBundleElements',
-        args: [options.bundle.id, elements]
+        args: [options.bundle.id, elements],
+        dryRun: options?.dryRun
       });
+      if (options?.dryRun) return this.#result.handle(result);
       // Handle the result
       return this.#result.handle({
         bundle: { id: options.bundle.id },
@@ -217,13 +227,7 @@ class Bundles {
         nftfi: { contract: { name: contractName } }
       });
     } catch (e) {
-      if (e instanceof ContractNameNotSupportedError) {
-        return this.#error.handle({
-          nftfi: { contract: { name: e.message } }
-        });
-      } else {
-        return this.#error.handle(e);
-      }
+      return this.#error.handle(e);
     }
   }
 
@@ -237,6 +241,7 @@ class Bundles {
    * @param {Object} options.elements[].token - An object containing information about the token associated with the element.
    * @param {string} options.elements[].token.address - The address of the token contract associated with the element.
    * @param {Array<string>} options.elements[].token.ids - An array of token IDs associated with the element.
+   * @param {boolean} [options.dryRun=false] - If true, returns the populated transaction, its gas estimate and revert reason (if any) instead of sending it.
    *
    * @returns {Object} An object containing information about the updated bundle.
    *
@@ -285,10 +290,12 @@ class Bundles {
         };
       }, this);
       // Call the contract
-      await bundlerContract.call({
+      const result = await bundlerContract.call({
         function: 'removeBundleElements',
-        args: [options.bundle.id, elements]
+        args: [options.bundle.id, elements],
+        dryRun: options?.dryRun
       });
+      if (options?.dryRun) return this.#result.handle(result);
       // Handle the result
       return this.#result.handle({
         bundle: { id: options.bundle.id },
@@ -296,13 +303,7 @@ class Bundles {
         nftfi: { contract: { name: contractName } }
       });
     } catch (e) {
-      if (e instanceof ContractNameNotSupportedError) {
-        return this.#error.handle({
-          nftfi: { contract: { name: e.message } }
-        });
-      } else {
-        return this.#error.handle(e);
-      }
+      return this.#error.handle(e);
     }
   }
 
@@ -312,6 +313,7 @@ class Bundles {
    * @param {Object} options - An object containing options for the seal operation.
    * @param {string} options.bundle.id - The ID of the bundle to be sealed.
    * @param {string} options.nftfi.contract.name - Name of the contract used for sealing the bundle.
+   * @param {boolean} [options.dryRun=false] - If true, returns the populated transaction, its gas estimate and revert reason (if any) instead of sending it.
    *
    * @returns {Object} A promise that resolves to an object containing information about the newly minted immutable object.
    *
@@ -336,21 +338,17 @@ class Bundles {
       const bundlerContract = this.#contractFactory.create(bundlerContractFactoryParams.bundler);
       const transferred = await bundlerContract.call({
         function: 'safeTransferFrom(address,address,uint256)',
-        args: [this.#account.getAddress(), bundlerContractFactoryParams.immutable.address, options.bundle.id]
+        args: [this.#account.getAddress(), bundlerContractFactoryParams.immutable.address, options.bundle.id],
+        dryRun: options?.dryRun
       });
+      if (options?.dryRun) return this.#result.handle(transferred);
       const log = transferred.logs.find(log => log.name === 'ImmutableMinted');
       return this.#result.handle({
         immutable: { id: log.args.immutableId.toString() },
         nftfi: { contract: { name: bundlerContractFactoryParams.immutable.name } }
       });
     } catch (e) {
-      if (e instanceof ContractNameNotSupportedError) {
-        return this.#error.handle({
-          nftfi: { contract: { name: e.message } }
-        });
-      } else {
-        return this.#error.handle(e);
-      }
+      return this.#error.handle(e);
     }
   }
 
@@ -360,6 +358,7 @@ class Bundles {
    * @param {Object} options - An object containing options for the empty operation.
    * @param {string} options.bundle.id - The ID of the bundle to be emptied.
    * @param {string} options.nftfi.contract.name - Name of the contract used for emptying the bundle.
+   * @param {boolean} [options.dryRun=false] - If true, returns the populated transaction, its gas estimate and revert reason (if any) instead of sending it.
    *
    * @returns {Object} An object containing the status of the empty operation.
    *
@@ -402,7 +401,8 @@ class Bundles {
           const contract = this.#contractFactory.create(contractFactoryParams.migrate);
           response = await contract.call({
             function: contractFactoryParams.migrate.empty.function,
-            args: [contractFactoryParams.bundler.address, options.bundle.id, this.#account.getAddress()]
+            args: [contractFactoryParams.bundler.address, options.bundle.id, this.#account.getAddress()],
+            dryRun: options?.dryRun
           });
           break;
         }
@@ -410,23 +410,19 @@ class Bundles {
           const contract = this.#contractFactory.create(contractFactoryParams.bundler);
           response = await contract.call({
             function: contractFactoryParams.bundler.empty.function,
-            args: [options.bundle.id, this.#account.getAddress()]
+            args: [options.bundle.id, this.#account.getAddress()],
+            dryRun: options?.dryRun
           });
           break;
         }
       }
+      if (options?.dryRun) return this.#result.handle(response);
       const result = {
         success: response?.status === 1 || false
       };
       return this.#result.handle(result);
     } catch (e) {
-      if (e instanceof ContractNameNotSupportedError) {
-        return this.#error.handle({
-          nftfi: { contract: { name: e.message } }
-        });
-      } else {
-        return this.#error.handle(e);
-      }
+      return this.#error.handle(e);
     }
   }
 
@@ -528,11 +524,7 @@ class Bundles {
           return this.#error.handle(e);
         });
     } catch (e) {
-      if (e instanceof ContractNameNotSupportedError) {
-        return this.#error.handle({
-          nftfi: { contract: { name: e.message } }
-        });
-      }
+      return this.#error.handle(e);
     }
   }
 
@@ -543,6 +535,7 @@ class Bundles {
    * @param {string} options.bundle.id - The ID of the bundle to be migrated.
    * @param {string} options.from.nftfi.contract.name - Name of the source contract.
    * @param {string} options.to.nftfi.contract.name - Name of the destination contract.
+   * @param {boolean} [options.dryRun=false] - If true, returns the populated transaction, its gas estimate and revert reason (if any) instead of sending it.
    *
    * @returns {Object} An object containing information about the migrated bundle.
    *
@@ -580,9 +573,11 @@ class Bundles {
       return migrateContract
         .call({
           function: 'migrateBundle',
-          args: [migrateContractParams.from.address, migrateContractParams.to.address, bundleId]
+          args: [migrateContractParams.from.address, migrateContractParams.to.address, bundleId],
+          dryRun: options?.dryRun
         })
         .then(result => {
+          if (options?.dryRun) return this.#result.handle(result);
           const log = result.logs.find(l => l.name === 'BundleMigrated');
           const newBundleId = log.args.newBundleId.toString();
           return this.#result.handle({
@@ -594,13 +589,7 @@ class Bundles {
           return this.#error.handle(e);
         });
     } catch (e) {
-      if (e instanceof MigrationNotSupportedError) {
-        return this.#error.handle({
-          nftfi: { contract: { name: e.message } }
-        });
-      } else {
-        return this.#error.handle(e);
-      }
+      return this.#error.handle(e);
     }
   }
 
@@ -639,13 +628,7 @@ class Bundles {
         nftfi: { contract: { name: contractFactoryParams.immutable.name } }
       });
     } catch (e) {
-      if (e instanceof ContractNameNotSupportedError) {
-        return this.#error.handle({
-          nftfi: { contract: { name: e.message } }
-        });
-      } else {
-        return this.#error.handle(e);
-      }
+      return this.#error.handle(e);
     }
   }
 }
@@ -9,6 +9,21 @@ const baseConfig = {
           }
         }
       }
+    },
+    // Fee policy of state-changing transactions, can be overridden per call with the `fee` and `gas` options.
+    // Fees are in wei; with no fixed fees, the provider-estimated fees are scaled by `multiplier`.
+    // Transactions whose maxFeePerGas is above `max` are not sent. Gas settings only apply to EOA accounts.
+    transaction: {
+      fee: {
+        maxFeePerGas: '',
+        maxPriorityFeePerGas: '',
+        multiplier: 1,
+        max: ''
+      },
+      gas: {
+        limit: '',
+        multiplier: 1
+      }
     }
   },
   registry: {
@@ -21,6 +36,20 @@ const baseConfig = {
   },
   loan: {
     adminFeeInBasisPoints: '',
+    hub: {
+      abi: ['function getContract(bytes32 _contractKey) view returns (address)']
+    },
+    coordinator: {
+      abi: [
+        'function getLoanData(uint32 _loanId) view returns (tuple(address loanContract, uint64 smartNftId, uint8 status))',
+        'function promissoryNoteToken() view returns (address)'
+      ]
+    },
+    // Loan duration limits (in seconds) of the loan contracts, the max being their `maximumLoanDuration` (53 weeks)
+    duration: {
+      min: 1,
+      max: 32054400
+    },
     fixed: {
       collection: {
         v2: {
@@ -142,6 +171,31 @@ const baseConfig = {
     limit: 20,
     page: 1
   },
+  // Set `envelope` to `v1` for every public method to return `{ data, error, pagination, meta }`
+  response: {
+    envelope: ''
+  },
+  // Validation results are cached until a new block is mined or `ttl` seconds pass. Used nonces are cached for good,
+  // and lender balances and allowances until the lender has ERC20 Transfer or Approval logs, or `blocks` blocks are mined.
+  validation: {
+    cache: {
+      enabled: false,
+      ttl: 12,
+      blocks: 5
+    }
+  },
+  // View calls are batched through Multicall3, set `address` to '' to make them one by one.
+  // A batch is sent `wait` ms after its first call, with at most `size` calls.
+  multicall: {
+    address: '0xcA11bde05977b3631167028862bE2a173976CA11',
+    abi: [
+      'function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) payable returns (tuple(bool success, bytes returnData)[] returnData)'
+    ],
+    batch: {
+      size: 100,
+      wait: 0
+    }
+  },
   signingUtils: {
     v2: {
       address: '',
@@ -180,7 +234,8 @@ mainnetConfig.erc1155.abi = [
 mainnetConfig.erc20.abi = [
   'function balanceOf(address owner) view returns (uint256)',
   'function approve(address spender, uint256 value) returns (bool)',
-  'function allowance(address owner, address spender) public view returns (uint256)'
+  'function allowance(address owner, address spender) public view returns (uint256)',
+  'function decimals() view returns (uint8)'
 ];
 mainnetConfig.erc20.weth.address = '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2';
 mainnetConfig.erc20.weth.symbol = 'wETH';
@@ -208,6 +263,14 @@ mainnetConfig.loan.fixed.collection.v2.abi = [
   'function payBackLoan(uint32 _loanId)',
   'function acceptOffer(tuple(uint256 loanPrincipalAmount, uint256 maximumRepaymentAmount, uint256 nftCollateralId, address nftCollateralContract, uint32 loanDuration, uint16 loanAdminFeeInBasisPoints, address loanERC20Denomination, address referrer) _offer, tuple(uint256 nonce, uint256 expiry, address signer, bytes signature) _signature, tuple(address revenueSharePartner, uint16 referralFeeInBasisPoints) _borrowerSettings)',
   'function getWhetherNonceHasBeenUsedForUser(address _user, uint256 _nonce) view returns (bool)',
+  'function getERC20Permit(address _erc20) view returns (bool)',
+  'function maximumLoanDuration() view returns (uint256)',
+  'function loanIdToLoan(uint32) view returns (uint256 loanPrincipalAmount, uint256 maximumRepaymentAmount, uint256 nftCollateralId, address loanERC20Denomination, uint32 loanDuration, uint16 loanInterestRateForDurationInBasisPoints, uint16 loanAdminFeeInBasisPoints, address nftCollateralWrapper, uint64 loanStartTime, address nftCollateralContract, address borrower)',
+  'function loanRepaidOrLiquidated(uint32) view returns (bool)',
+  'function hub() view returns (address)',
+  'function LOAN_COORDINATOR() view returns (bytes32)',
+  'event LoanRepaid(uint32 indexed loanId, address indexed borrower, address indexed lender, uint256 loanPrincipalAmount, uint256 nftCollateralId, uint256 amountPaidToLender, uint256 adminFee, uint256 revenueShare, address revenueSharePartner, address nftCollateralContract, address loanERC20Denomination)',
+  'event LoanLiquidated(uint32 indexed loanId, address indexed borrower, address indexed lender, uint256 loanPrincipalAmount, uint256 nftCollateralId, uint256 loanMaturityDate, uint256 loanLiquidationDate, address nftCollateralContract)',
   'event LoanStarted(uint32 indexed loanId, address indexed borrower, address indexed lender, tuple(uint256 loanPrincipalAmount, uint256 maximumRepaymentAmount, uint256 nftCollateralId, address loanERC20Denomination, uint32 loanDuration, uint16 loanInterestRateForDurationInBasisPoints, uint16 loanAdminFeeInBasisPoints, address nftCollateralWrapper, uint64 loanStartTime, address nftCollateralContract, address borrower) loanTerms, tuple(address revenueSharePartner, uint16 revenueShareInBasisPoints, uint16 referralFeeInBasisPoints) loanExtras)'
 ];
 mainnetConfig.loan.fixed.collection.v2_3.name = 'v2-3.loan.fixed.collection';
@@ -219,6 +282,14 @@ mainnetConfig.loan.fixed.collection.v2_3.abi = [
   'function acceptCollectionOffer(tuple(uint256 loanPrincipalAmount, uint256 maximumRepaymentAmount, uint256 nftCollateralId, address nftCollateralContract, uint32 loanDuration, uint16 loanAdminFeeInBasisPoints, address loanERC20Denomination, address referrer) _offer, tuple(uint256 nonce, uint256 expiry, address signer, bytes signature) _signature, tuple(address revenueSharePartner, uint16 referralFeeInBasisPoints) _borrowerSettings)',
   'function acceptOffer(tuple(uint256 loanPrincipalAmount, uint256 maximumRepaymentAmount, uint256 nftCollateralId, address nftCollateralContract, uint32 loanDuration, uint16 loanAdminFeeInBasisPoints, address loanERC20Denomination, address referrer), tuple(uint256 nonce, uint256 expiry, address signer, bytes signature), tuple(address revenueSharePartner, uint16 referralFeeInBasisPoints)) returns (uint32)',
   'function getWhetherNonceHasBeenUsedForUser(address _user, uint256 _nonce) view returns (bool)',
+  'function getERC20Permit(address _erc20) view returns (bool)',
+  'function maximumLoanDuration() view returns (uint256)',
+  'function loanIdToLoan(uint32) view returns (uint256 loanPrincipalAmount, uint256 maximumRepaymentAmount, uint256 nftCollateralId, address loanERC20Denomination, uint32 loanDuration, uint16 loanInterestRateForDurationInBasisPoints, uint16 loanAdminFeeInBasisPoints, address nftCollateralWrapper, uint64 loanStartTime, address nftCollateralContract, address borrower)',
+  'function loanRepaidOrLiquidated(uint32) view returns (bool)',
+  'function hub() view returns (address)',
+  'function LOAN_COORDINATOR() view returns (bytes32)',
+  'event LoanRepaid(uint32 indexed loanId, address indexed borrower, address indexed lender, uint256 loanPrincipalAmount, uint256 nftCollateralId, uint256 amountPaidToLender, uint256 adminFee, uint256 revenueShare, address revenueSharePartner, address nftCollateralContract, address loanERC20Denomination)',
+  'event LoanLiquidated(uint32 indexed loanId, address indexed borrower, address indexed lender, uint256 loanPrincipalAmount, uint256 nftCollateralId, uint256 loanMaturityDate, uint256 loanLiquidationDate, address nftCollateralContract)',
   'event LoanStarted(uint32 indexed loanId, address indexed borrower, address indexed lender, tuple(uint256 loanPrincipalAmount, uint256 maximumRepaymentAmount, uint256 nftCollateralId, address loanERC20Denomination, uint32 loanDuration, uint16 loanInterestRateForDurationInBasisPoints, uint16 loanAdminFeeInBasisPoints, address nftCollateralWrapper, uint64 loanStartTime, address nftCollateralContract, address borrower) loanTerms, tuple(address revenueSharePartner, uint16 revenueShareInBasisPoints, uint16 referralFeeInBasisPoints) loanExtras)'
 ];
 mainnetConfig.loan.fixed.v2.name = 'v2.loan.fixed';
@@ -229,6 +300,14 @@ mainnetConfig.loan.fixed.v2.abi = [
   'function payBackLoan(uint32 _loanId)',
   'function acceptOffer(tuple(uint256 loanPrincipalAmount, uint256 maximumRepaymentAmount, uint256 nftCollateralId, address nftCollateralContract, uint32 loanDuration, uint16 loanAdminFeeInBasisPoints, address loanERC20Denomination, address referrer) _offer, tuple(uint256 nonce, uint256 expiry, address signer, bytes signature) _signature, tuple(address revenueSharePartner, uint16 referralFeeInBasisPoints) _borrowerSettings)',
   'function getWhetherNonceHasBeenUsedForUser(address _user, uint256 _nonce) view returns (bool)',
+  'function getERC20Permit(address _erc20) view returns (bool)',
+  'function maximumLoanDuration() view returns (uint256)',
+  'function loanIdToLoan(uint32) view returns (uint256 loanPrincipalAmount, uint256 maximumRepaymentAmount, uint256 nftCollateralId, address loanERC20Denomination, uint32 loanDuration, uint16 loanInterestRateForDurationInBasisPoints, uint16 loanAdminFeeInBasisPoints, address nftCollateralWrapper, uint64 loanStartTime, address nftCollateralContract, address borrower)',
+  'function loanRepaidOrLiquidated(uint32) view returns (bool)',
+  'function hub() view returns (address)',
+  'function LOAN_COORDINATOR() view returns (bytes32)',
+  'event LoanRepaid(uint32 indexed loanId, address indexed borrower, address indexed lender, uint256 loanPrincipalAmount, uint256 nftCollateralId, uint256 amountPaidToLender, uint256 adminFee, uint256 revenueShare, address revenueSharePartner, address nftCollateralContract, address loanERC20Denomination)',
+  'event LoanLiquidated(uint32 indexed loanId, address indexed borrower, address indexed lender, uint256 loanPrincipalAmount, uint256 nftCollateralId, uint256 loanMaturityDate, uint256 loanLiquidationDate, address nftCollateralContract)',
   'event LoanStarted(uint32 indexed loanId, address indexed borrower, address indexed lender, tuple(uint256 loanPrincipalAmount, uint256 maximumRepaymentAmount, uint256 nftCollateralId, address loanERC20Denomination, uint32 loanDuration, uint16 loanInterestRateForDurationInBasisPoints, uint16 loanAdminFeeInBasisPoints, address nftCollateralWrapper, uint64 loanStartTime, address nftCollateralContract, address borrower) loanTerms, tuple(address revenueSharePartner, uint16 revenueShareInBasisPoints, uint16 referralFeeInBasisPoints) loanExtras)'
 ];
 mainnetConfig.loan.fixed.v2_1.name = 'v2-1.loan.fixed';
@@ -311,7 +390,8 @@ rinkebyConfig.erc721.abi = mainnetConfig.erc721.abi;
 rinkebyConfig.erc20.abi = [
   'function balanceOf(address owner) view returns (uint256)',
   'function approve(address spender, uint256 value) returns (bool)',
-  'function allowance(address owner, address spender) public view returns (uint256)'
+  'function allowance(address owner, address spender) public view returns (uint256)',
+  'function decimals() view returns (uint8)'
 ];
 rinkebyConfig.erc20.weth.address = '0xc778417e063141139fce010982780140aa0cd5ab';
 rinkebyConfig.erc20.weth.symbol = 'wETH';
@@ -332,6 +412,8 @@ rinkebyConfig.loan.fixed.collection.v2.abi = [
   'function payBackLoan(uint32 _loanId)',
   'function acceptOffer(tuple(uint256 loanPrincipalAmount, uint256 maximumRepaymentAmount, uint256 nftCollateralId, address nftCollateralContract, uint32 loanDuration, uint16 loanAdminFeeInBasisPoints, address loanERC20Denomination, address referrer) _offer, tuple(uint256 nonce, uint256 expiry, address signer, bytes signature) _signature, tuple(address revenueSharePartner, uint16 referralFeeInBasisPoints) _borrowerSettings)',
   'function getWhetherNonceHasBeenUsedForUser(address _user, uint256 _nonce) view returns (bool)',
+  'function getERC20Permit(address _erc20) view returns (bool)',
+  'function maximumLoanDuration() view returns (uint256)',
   'event LoanStarted(uint32 indexed loanId, address indexed borrower, address indexed lender, tuple(uint256 loanPrincipalAmount, uint256 maximumRepaymentAmount, uint256 nftCollateralId, address loanERC20Denomination, uint32 loanDuration, uint16 loanInterestRateForDurationInBasisPoints, uint16 loanAdminFeeInBasisPoints, address nftCollateralWrapper, uint64 loanStartTime, address nftCollateralContract, address borrower) loanTerms, tuple(address revenueSharePartner, uint16 revenueShareInBasisPoints, uint16 referralFeeInBasisPoints) loanExtras)'
 ];
 rinkebyConfig.loan.fixed.v2.name = 'v2.loan.fixed';
@@ -376,7 +458,8 @@ goerliConfig.erc20.abi = [
   'function transferFrom(address sender, address recipient, uint256 amount) returns (bool)',
   'function balanceOf(address owner) view returns (uint256)',
   'function approve(address spender, uint256 value) returns (bool)',
-  'function allowance(address owner, address spender) public view returns (uint256)'
+  'function allowance(address owner, address spender) public view returns (uint256)',
+  'function decimals() view returns (uint8)'
 ];
 goerliConfig.erc20.weth.address = '0xb4fbf271143f4fbf7b91a5ded31805e42b2208d6';
 goerliConfig.erc20.weth.symbol = 'wETH';
@@ -404,6 +487,14 @@ goerliConfig.loan.fixed.v2.abi = [
   'function payBackLoan(uint32 _loanId)',
   'function acceptOffer(tuple(uint256 loanPrincipalAmount, uint256 maximumRepaymentAmount, uint256 nftCollateralId, address nftCollateralContract, uint32 loanDuration, uint16 loanAdminFeeInBasisPoints, address loanERC20Denomination, address referrer) _offer, tuple(uint256 nonce, uint256 expiry, address signer, bytes signature) _signature, tuple(address revenueSharePartner, uint16 referralFeeInBasisPoints) _borrowerSettings)',
   'function getWhetherNonceHasBeenUsedForUser(address _user, uint256 _nonce) view returns (bool)',
+  'function getERC20Permit(address _erc20) view returns (bool)',
+  'function maximumLoanDuration() view returns (uint256)',
+  'function loanIdToLoan(uint32) view returns (uint256 loanPrincipalAmount, uint256 maximumRepaymentAmount, uint256 nftCollateralId, address loanERC20Denomination, uint32 loanDuration, uint16 loanInterestRateForDurationInBasisPoints, uint16 loanAdminFeeInBasisPoints, address nftCollateralWrapper, uint64 loanStartTime, address nftCollateralContract, address borrower)',
+  'function loanRepaidOrLiquidated(uint32) view returns (bool)',
+  'function hub() view returns (address)',
+  'function LOAN_COORDINATOR() view returns (bytes32)',
+  'event LoanRepaid(uint32 indexed loanId, address indexed borrower, address indexed lender, uint256 loanPrincipalAmount, uint256 nftCollateralId, uint256 amountPaidToLender, uint256 adminFee, uint256 revenueShare, address revenueSharePartner, address nftCollateralContract, address loanERC20Denomination)',
+  'event LoanLiquidated(uint32 indexed loanId, address indexed borrower, address indexed lender, uint256 loanPrincipalAmount, uint256 nftCollateralId, uint256 loanMaturityDate, uint256 loanLiquidationDate, address nftCollateralContract)',
   'event LoanStarted(uint32 indexed loanId, address indexed borrower, address indexed lender, tuple(uint256 loanPrincipalAmount, uint256 maximumRepaymentAmount, uint256 nftCollateralId, address loanERC20Denomination, uint32 loanDuration, uint16 loanInterestRateForDurationInBasisPoints, uint16 loanAdminFeeInBasisPoints, address nftCollateralWrapper, uint64 loanStartTime, address nftCollateralContract, address borrower) loanTerms, tuple(address revenueSharePartner, uint16 revenueShareInBasisPoints, uint16 referralFeeInBasisPoints) loanExtras)'
 ];
 goerliConfig.loan.fixed.v2_1.name = 'v2-1.loan.fixed';
@@ -420,6 +511,14 @@ goerliConfig.loan.fixed.collection.v2.abi = [
   'function payBackLoan(uint32 _loanId)',
   'function acceptOffer(tuple(uint256 loanPrincipalAmount, uint256 maximumRepaymentAmount, uint256 nftCollateralId, address nftCollateralContract, uint32 loanDuration, uint16 loanAdminFeeInBasisPoints, address loanERC20Denomination, address referrer) _offer, tuple(uint256 nonce, uint256 expiry, address signer, bytes signature) _signature, tuple(address revenueSharePartner, uint16 referralFeeInBasisPoints) _borrowerSettings)',
   'function getWhetherNonceHasBeenUsedForUser(address _user, uint256 _nonce) view returns (bool)',
+  'function getERC20Permit(address _erc20) view returns (bool)',
+  'function maximumLoanDuration() view returns (uint256)',
+  'function loanIdToLoan(uint32) view returns (uint256 loanPrincipalAmount, uint256 maximumRepaymentAmount, uint256 nftCollateralId, address loanERC20Denomination, uint32 loanDuration, uint16 loanInterestRateForDurationInBasisPoints, uint16 loanAdminFeeInBasisPoints, address nftCollateralWrapper, uint64 loanStartTime, address nftCollateralContract, address borrower)',
+  'function loanRepaidOrLiquidated(uint32) view returns (bool)',
+  'function hub() view returns (address)',
+  'function LOAN_COORDINATOR() view returns (bytes32)',
+  'event LoanRepaid(uint32 indexed loanId, address indexed borrower, address indexed lender, uint256 loanPrincipalAmount, uint256 nftCollateralId, uint256 amountPaidToLender, uint256 adminFee, uint256 revenueShare, address revenueSharePartner, address nftCollateralContract, address loanERC20Denomination)',
+  'event LoanLiquidated(uint32 indexed loanId, address indexed borrower, address indexed lender, uint256 loanPrincipalAmount, uint256 nftCollateralId, uint256 loanMaturityDate, uint256 loanLiquidationDate, address nftCollateralContract)',
   'event LoanStarted(uint32 indexed loanId, address indexed borrower, address indexed lender, tuple(uint256 loanPrincipalAmount, uint256 maximumRepaymentAmount, uint256 nftCollateralId, address loanERC20Denomination, uint32 loanDuration, uint16 loanInterestRateForDurationInBasisPoints, uint16 loanAdminFeeInBasisPoints, address nftCollateralWrapper, uint64 loanStartTime, address nftCollateralContract, address borrower) loanTerms, tuple(address revenueSharePartner, uint16 revenueShareInBasisPoints, uint16 referralFeeInBasisPoints) loanExtras)'
 ];
 goerliConfig.loan.fixed.collection.v2_3.name = 'v2-3.loan.fixed.collection';
@@ -1,10 +1,16 @@
+import { UnsupportedContractError } from './errors.js';
+
 class Contract {
   #account;
   #contract;
+  #feePolicy;
+  #multicall;
 
   constructor(options) {
     this.#account = options?.account;
     this.#contract = options?.contract;
+    this.#feePolicy = options?.feePolicy;
+    this.#multicall = options?.multicall;
   }
 
   _parseLogs(logs) {
@@ -36,15 +42,71 @@ class Contract {
     let result;
     const isViewFn = this._isViewFn(options.function);
     if (isViewFn) {
-      result = this.#contract[options.function](...options.args);
+      // Concurrent view calls are batched into a single request
+      result = this.#multicall
+        ? this.#multicall.call(this.#contract, options.function, options.args)
+        : this.#contract[options.function](...options.args);
+    } else if (options?.dryRun) {
+      result = await this._dryRun(options);
     } else {
-      const tx = await this.#contract.populateTransaction[options.function](...options.args);
-      result = await this.#account.execTransaction(tx);
-      result.logs = this._parseLogs(result?.logs);
+      const tx = await this._populateTransaction(options);
+      result = await this.#account.execTransaction(tx, {
+        callbacks: options?.callbacks,
+        wait: options?.wait,
+        confirmations: options?.confirmations
+      });
+      // Without waiting, the result is the pending transaction, which has no logs yet
+      if (options?.wait !== false) {
+        result.logs = this._parseLogs(result?.logs);
+      }
     }
     return result;
   }
 
+  // Simulates a state-changing function without sending a transaction, throwing if it would revert.
+  async callStatic(options) {
+    return this.#contract.callStatic[options.function](...options.args);
+  }
+
+  // Populates the transaction, with the fees and gas limit set by the fee policy.
+  async _populateTransaction(options) {
+    const tx = await this.#contract.populateTransaction[options.function](...options.args);
+    if (!this.#feePolicy) return tx;
+    return this.#feePolicy.apply(tx, {
+      fee: options?.fee,
+      gas: options?.gas,
+      estimateGas: () => this.#contract.estimateGas[options.function](...options.args)
+    });
+  }
+
+  // Simulates the transaction, then populates it and estimates its gas, without broadcasting anything.
+  // A call that would revert is reported in `revert` rather than thrown, along with the bare transaction.
+  async _dryRun(options) {
+    let revert = null;
+    try {
+      await this.#contract.callStatic[options.function](...options.args);
+    } catch (e) {
+      revert = { reason: e?.reason || e?.error?.reason || e?.error?.data?.message || e?.message || null };
+    }
+    let tx;
+    let gas = null;
+    if (revert) {
+      tx = {
+        to: this.#contract.address,
+        data: this.#contract.interface.encodeFunctionData(options.function, options.args)
+      };
+    } else {
+      tx = await this._populateTransaction(options);
+      gas = await this.#contract.estimateGas[options.function](...options.args);
+    }
+    return {
+      dryRun: true,
+      transaction: { ...tx, from: this.#account.getAddress() },
+      gas: { estimate: gas ? gas.toString() : null },
+      revert
+    };
+  }
+
   async events(options) {
     let events = [];
     try {
@@ -69,7 +131,7 @@ class Contract {
       const stateMutability = fragment.stateMutability;
       return stateMutability === 'view';
     } catch (e) {
-      throw `${fn} is not a function`;
+      throw new UnsupportedContractError(`${fn} is not a function`);
     }
   }
 
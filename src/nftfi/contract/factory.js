@@ -5,6 +5,8 @@ class ContractFactory {
   #Contract;
   #provider;
   #assertion;
+  #feePolicy;
+  #multicall;
 
   constructor(options) {
     this.#signer = options?.signer;
@@ -13,6 +15,8 @@ class ContractFactory {
     this.#Contract = options?.Contract;
     this.#provider = options?.provider;
     this.#assertion = options?.assertion;
+    this.#feePolicy = options?.feePolicy;
+    this.#multicall = options?.multicall;
   }
 
   create(options) {
@@ -25,7 +29,9 @@ class ContractFactory {
     }
     const contract = new this.#Contract({
       account: this.#account,
-      contract: ethersContract
+      contract: ethersContract,
+      feePolicy: this.#feePolicy,
+      multicall: this.#multicall
     });
     return contract;
   }
@@ -0,0 +1,107 @@
+import { NFTfiError } from '../errors.js';
+
+class FeeCeilingExceededError extends NFTfiError {
+  code = 'FEE_CEILING_EXCEEDED';
+
+  constructor(fee, max) {
+    super(`fee of ${fee} wei per gas is above the fee ceiling of ${max} wei`);
+  }
+}
+
+/**
+ * @class
+ * Sets the EIP-1559 fees and gas limit of state-changing transactions, following the `ethereum.transaction`
+ * config and the `fee` and `gas` options passed to `Contract.call`, which take precedence.
+ */
+class ContractFeePolicy {
+  #config;
+  #provider;
+  #ethers;
+
+  constructor(options = {}) {
+    this.#config = options?.config;
+    this.#provider = options?.provider;
+    this.#ethers = options?.ethers;
+  }
+
+  _getPolicy(options) {
+    const transaction = this.#config?.ethereum?.transaction;
+    return {
+      fee: { ...transaction?.fee, ...options?.fee },
+      gas: { ...transaction?.gas, ...options?.gas }
+    };
+  }
+
+  _multiply(value, multiplier) {
+    // BigNumbers only hold integers, so the multiplier is applied with a precision of 1/1000
+    return this.#ethers.BigNumber.from(value)
+      .mul(Math.round(Number(multiplier) * 1000))
+      .div(1000);
+  }
+
+  /**
+   * Throws a `FeeCeilingExceededError` if the `maxFeePerGas` (or `gasPrice`) of the transaction is above the fee ceiling.
+   *
+   * @param {object} tx - The transaction
+   * @param {object} [options] - Options
+   * @param {object} [options.fee] - Fee overrides, see `apply`
+   */
+  check(tx, options = {}) {
+    const { fee } = this._getPolicy(options);
+    const perGas = tx?.maxFeePerGas || tx?.gasPrice;
+    if (fee.max && perGas && this.#ethers.BigNumber.from(perGas).gt(fee.max)) {
+      throw new FeeCeilingExceededError(perGas.toString(), fee.max.toString());
+    }
+  }
+
+  /**
+   * Returns the transaction with its `maxFeePerGas`, `maxPriorityFeePerGas` and `gasLimit` set by the policy.
+   * On chains without EIP-1559 fees, the policy sets its `gasPrice` instead.
+   * When nothing is configured, the transaction is returned untouched and the signer picks the fees as usual.
+   *
+   * @param {object} tx - The populated transaction
+   * @param {object} [options] - Options
+   * @param {object} [options.fee] - Fee overrides: `maxFeePerGas`, `maxPriorityFeePerGas` (fixed fees, in wei), `multiplier` (applied to provider-estimated fees) and `max` (fee ceiling, in wei)
+   * @param {object} [options.gas] - Gas overrides: `limit` (fixed gas limit) and `multiplier` (applied to the estimated gas limit)
+   * @param {Function} [options.estimateGas] - Estimates the gas limit of the transaction, used when a gas multiplier is set
+   * @returns {object} The transaction
+   */
+  async apply(tx, options = {}) {
+    const { fee, gas } = this._getPolicy(options);
+    const isFixed = !!fee.maxFeePerGas && !!fee.maxPriorityFeePerGas;
+    const isMultiplied = !!fee.multiplier && Number(fee.multiplier) !== 1;
+    const isCapped = !!fee.max;
+    const result = { ...tx };
+
+    if (fee.maxFeePerGas || fee.maxPriorityFeePerGas || isMultiplied || isCapped) {
+      const estimated = isFixed ? {} : await this.#provider.getFeeData();
+      const multiplier = fee.multiplier || 1;
+      if (!isFixed && !estimated.maxFeePerGas) {
+        // Chains without EIP-1559 only estimate a gas price, which then stands in for the max fee
+        result.gasPrice = this.#ethers.BigNumber.from(
+          fee.maxFeePerGas || this._multiply(estimated.gasPrice, multiplier)
+        );
+      } else {
+        const maxFeePerGas = fee.maxFeePerGas || this._multiply(estimated.maxFeePerGas, multiplier);
+        const maxPriorityFeePerGas =
+          fee.maxPriorityFeePerGas || this._multiply(estimated.maxPriorityFeePerGas, multiplier);
+        result.maxFeePerGas = this.#ethers.BigNumber.from(maxFeePerGas);
+        // The priority fee can never be above the max fee, nodes reject such transactions
+        result.maxPriorityFeePerGas = this.#ethers.BigNumber.from(maxPriorityFeePerGas).gt(result.maxFeePerGas)
+          ? result.maxFeePerGas
+          : this.#ethers.BigNumber.from(maxPriorityFeePerGas);
+      }
+      this.check(result, options);
+    }
+
+    if (gas.limit) {
+      result.gasLimit = this.#ethers.BigNumber.from(gas.limit);
+    } else if (gas.multiplier && Number(gas.multiplier) !== 1 && options?.estimateGas) {
+      result.gasLimit = this._multiply(await options.estimateGas(), gas.multiplier);
+    }
+    return result;
+  }
+}
+
+export { FeeCeilingExceededError };
+export default ContractFeePolicy;
@@ -0,0 +1,139 @@
+// Selector of `Error(string)`, the revert reason of `require` and `revert`
+const ERROR_SELECTOR = '0x08c379a0';
+
+/**
+ * @class
+ * Batches the view calls made through `Contract.call` into Multicall3 `aggregate3` requests.
+ * Calls made while a batch is pending are queued and sent together, at most `batch.size` at a time.
+ * On chains without Multicall3 (no code at `multicall.address`), calls are made one by one instead.
+ */
+class ContractMulticall {
+  #config;
+  #provider;
+  #ethers;
+  #contract;
+  #queue = [];
+  #timer = null;
+  #isSupported = true;
+
+  constructor(options = {}) {
+    this.#config = options?.config;
+    this.#provider = options?.provider;
+    this.#ethers = options?.ethers;
+  }
+
+  get _contract() {
+    if (!this.#contract) {
+      const { address, abi } = this.#config.multicall;
+      this.#contract = new this.#ethers.Contract(address, abi, this.#provider);
+    }
+    return this.#contract;
+  }
+
+  _isEnabled() {
+    return this.#isSupported && !!this.#provider && !!this.#config?.multicall?.address;
+  }
+
+  /**
+   * Calls a view function, as part of the next batch.
+   *
+   * @param {object} contract - The ethers contract
+   * @param {string} fn - Name or signature of the function
+   * @param {Array} args - Arguments of the function
+   * @returns {Promise<*>} The decoded result, as the ethers contract would return it
+   */
+  async call(contract, fn, args = []) {
+    const fragment = contract.interface.getFunction(fn);
+    // Calls with overrides (eg. a block tag) can't be batched
+    if (!this._isEnabled() || args.length > fragment.inputs.length) {
+      return contract[fn](...args);
+    }
+    return new Promise((resolve, reject) => {
+      this.#queue.push({
+        contract,
+        fn,
+        args,
+        fragment,
+        callData: contract.interface.encodeFunctionData(fragment, args),
+        resolve,
+        reject
+      });
+      if (!this.#timer) {
+        this.#timer = setTimeout(() => this._flush(), this.#config.multicall.batch.wait);
+      }
+    });
+  }
+
+  _flush() {
+    const queue = this.#queue;
+    this.#queue = [];
+    this.#timer = null;
+    const size = this.#config.multicall.batch.size;
+    for (let i = 0; i < queue.length; i += size) {
+      this._aggregate(queue.slice(i, i + size));
+    }
+  }
+
+  async _aggregate(calls) {
+    let results;
+    try {
+      results = await this._contract.callStatic.aggregate3(
+        calls.map(call => ({ target: call.contract.address, allowFailure: true, callData: call.callData }))
+      );
+    } catch (e) {
+      await this._checkSupport();
+      return this._fallback(calls);
+    }
+    calls.forEach((call, i) => {
+      const { success, returnData } = results[i];
+      try {
+        if (!success) throw this._getRevertError(call, returnData);
+        const decoded = call.contract.interface.decodeFunctionResult(call.fragment, returnData);
+        // Like ethers contracts, unwrap functions with a single output
+        call.resolve(call.fragment.outputs.length === 1 ? decoded[0] : decoded);
+      } catch (e) {
+        call.reject(e);
+      }
+    });
+  }
+
+  // A failed batch may be down to the chain, or to a single call, so the calls are retried one by one
+  _fallback(calls) {
+    for (const call of calls) {
+      call.contract[call.fn](...call.args).then(call.resolve, call.reject);
+    }
+  }
+
+  async _checkSupport() {
+    try {
+      const code = await this.#provider.getCode(this.#config.multicall.address);
+      this.#isSupported = code !== '0x';
+    } catch (e) {
+      // Keep batching, the provider may just be unavailable for now
+    }
+  }
+
+  // Matches the errors thrown by ethers contracts for reverted calls
+  _getRevertError(call, data) {
+    let reason = null;
+    // Only `Error(string)` reverts have a reason, unlike custom errors and empty reverts
+    if (data?.startsWith(ERROR_SELECTOR)) {
+      try {
+        reason = this.#ethers.utils.defaultAbiCoder.decode(['string'], `0x${data.slice(10)}`)[0];
+      } catch (e) {
+        // Malformed reason
+      }
+    }
+    const error = new Error(reason ? `execution reverted: ${reason}` : 'call revert exception');
+    return Object.assign(error, {
+      code: 'CALL_EXCEPTION',
+      reason,
+      method: call.fragment.format(),
+      args: call.args,
+      data,
+      transaction: { to: call.contract.address, data: call.callData }
+    });
+  }
+}
+
+export default ContractMulticall;
@@ -0,0 +1,130 @@
+import { UnsupportedContractError, ValidationError } from '../errors.js';
+
+class ContractNotSupportedError extends UnsupportedContractError {
+  constructor(name, operation) {
+    const msg = operation ? `${name} does not support ${operation}` : `${name} not supported`;
+    super(msg, { errors: { 'nftfi.contract.name': [msg] } });
+    this.name = 'ContractNotSupportedError';
+  }
+}
+
+/**
+ * @class
+ * Registry of the NFTfi contracts the SDK can interact with, keyed by contract name (eg. `v2-3.loan.fixed`).
+ */
+class ContractRegistry {
+  #config;
+  #contracts = {};
+
+  constructor(options = {}) {
+    this.#config = options?.config;
+    this._registerDefaults();
+    for (const contract of options?.contracts || []) {
+      this.register(contract);
+    }
+  }
+
+  _registerDefaults() {
+    const loan = this.#config.loan.fixed;
+    const signingUtils = this.#config.signingUtils;
+    const signature = { scheme: 'keccak256' };
+    const operations = ['begin', 'liquidate', 'repay', 'revoke', 'offer', 'get'];
+    this._add({ ...loan.v1, implementation: loan.v1.name, operations: ['liquidate', 'repay', 'revoke'] });
+    this._add({ ...loan.v2, implementation: loan.v2.name, operations: ['liquidate', 'repay', 'revoke', 'get'] });
+    this._add({
+      ...loan.v2_1,
+      implementation: loan.v2_1.name,
+      signingUtils: signingUtils.v2,
+      offer: { type: 'nft' },
+      signature,
+      operations
+    });
+    this._add({
+      ...loan.v2_3,
+      implementation: loan.v2_3.name,
+      signingUtils: signingUtils.v2_3,
+      offer: { type: 'nft' },
+      signature,
+      operations
+    });
+    this._add({
+      ...loan.collection.v2,
+      implementation: loan.collection.v2.name,
+      signingUtils: signingUtils.v2,
+      offer: { type: 'collection' },
+      signature,
+      operations
+    });
+    this._add({
+      ...loan.collection.v2_3,
+      implementation: loan.collection.v2_3.name,
+      signingUtils: signingUtils.v2_3,
+      offer: { type: 'collection' },
+      signature,
+      operations
+    });
+    this._add({ ...this.#config.bundler.v1, operations: [] });
+    this._add({ ...this.#config.bundler.v1_1, operations: [] });
+    this._add({ ...this.#config.bundler.migrate.v1, operations: [] });
+  }
+
+  _add(contract) {
+    if (contract?.name && contract?.address) {
+      this.#contracts[contract.name] = contract;
+    }
+  }
+
+  /**
+   * Registers a contract, or replaces an existing one with the same name.
+   * Fields that are not provided are inherited from the contract named in `implementation`.
+   *
+   * @param {object} contract - The contract entry
+   * @param {string} contract.name - Name of the contract (eg. `v2-4.loan.fixed`)
+   * @param {string} contract.address - Address of the contract
+   * @param {Array} [contract.abi] - ABI of the contract (optional)
+   * @param {string} [contract.implementation] - Name of a registered contract that this one behaves like (optional)
+   * @param {object} [contract.signingUtils] - Address and ABI of the signing utils contract (optional)
+   * @param {Array<string>} [contract.operations] - Supported operations: `begin`, `liquidate`, `repay`, `revoke`, `offer`, `get` (optional)
+   * @param {object} [contract.signature] - Signature scheme used for offers, eg. `{ scheme: 'keccak256' }` (optional)
+   * @returns {ContractRegistry} The registry
+   *
+   * @example
+   * // Register a new loan contract version that behaves like `v2-3.loan.fixed`
+   * registry.register({
+   *   name: 'v2-4.loan.fixed',
+   *   address: '0x00000000',
+   *   implementation: 'v2-3.loan.fixed'
+   * });
+   */
+  register(contract) {
+    if (!contract?.name || !contract?.address) {
+      throw new ValidationError('Please provide a value for both the name and address fields of the contract.');
+    }
+    const base = contract?.implementation ? this.get(contract.implementation) : {};
+    this.#contracts[contract.name] = {
+      ...base,
+      ...contract,
+      implementation: base.implementation || contract.implementation || contract.name
+    };
+    return this;
+  }
+
+  has(name, operation) {
+    const contract = this.#contracts[name];
+    return !!contract && (!operation || contract.operations?.includes(operation));
+  }
+
+  get(name, operation) {
+    if (!this.has(name, operation)) {
+      throw new ContractNotSupportedError(name, this.#contracts[name] ? operation : undefined);
+    }
+    return this.#contracts[name];
+  }
+
+  names(operation) {
+    return Object.keys(this.#contracts).filter(name => this.has(name, operation));
+  }
+}
+
+export { ContractNotSupportedError };
+export default ContractRegistry;
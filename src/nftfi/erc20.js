@@ -9,6 +9,8 @@ class Erc20 {
   #BN;
   #error;
   #assertion;
+  #registry;
+  #helper;
 
   constructor(options) {
     this.#config = options?.config;
@@ -17,25 +19,12 @@ class Erc20 {
     this.#BN = options?.BN;
     this.#error = options?.error;
     this.#assertion = options?.assertion;
+    this.#registry = options?.registry;
+    this.#helper = options?.helper;
   }
 
   _getContractAddress(contractName) {
-    switch (contractName) {
-      case 'v1.loan.fixed':
-        return this.#config.loan.fixed.v1.address;
-      case 'v2.loan.fixed':
-        return this.#config.loan.fixed.v2.address;
-      case 'v2-1.loan.fixed':
-        return this.#config.loan.fixed.v2_1.address;
-      case 'v2-3.loan.fixed':
-        return this.#config.loan.fixed.v2_3.address;
-      case 'v1.bundler':
-        return this.#config.bundler.v1.address;
-      case 'v2.loan.fixed.collection':
-        return this.#config.loan.fixed.collection.v2.address;
-      case 'v2-3.loan.fixed.collection':
-        return this.#config.loan.fixed.collection.v2_3.address;
-    }
+    return this.#registry.get(contractName).address;
   }
 
   /**
@@ -83,12 +72,14 @@ class Erc20 {
    * @param {object} options - Hashmap of config options for this method
    * @param {string} options.token.address - The ERC20 token address
    * @param {string} options.nftfi.contract.name - The name of the contract NFTfi contract (eg. `v2-3.loan.fixed`, `v2-3.loan.fixed.collection`)
-   * @param {number} options.amount - The token amount to approve, in base units (eg. 1000000000000000000 wei)
+   * @param {string|bigint|BigNumber} options.amount - The token amount to approve, in base units (eg. '1000000000000000000' wei)
+   * @param {boolean} [options.dryRun=false] - Return the populated transaction, its gas estimate and revert reason (if any), without sending it (optional).
+   * The `transaction` is `null` when the allowance already covers the amount, as no approval would be sent.
    * @returns {boolean} Boolean value indicating whether the operation succeeded
    *
    * @example
    * const results = await nftfi.erc20.approve({
-   *   amount: 1000000000000000000,
+   *   amount: '1000000000000000000',
    *   token: { address: '0x00000000' },
    *   nftfi: { contract: { name: 'v2-3.loan.fixed' } }
    * });
@@ -106,15 +97,20 @@ class Erc20 {
       });
 
       const allowance = await this.allowance(options);
-      const amount = options.amount.toLocaleString('fullwide', { useGrouping: false });
+      const amount = this.#helper.toAmount(options.amount);
 
       if (allowance.lt(amount) || amount === '0') {
         this.#assertion.hasSigner();
         const result = await contract.call({
           function: 'approve',
-          args: [contractAddress, amount]
+          args: [contractAddress, amount],
+          dryRun: options?.dryRun
         });
+        if (options?.dryRun) return result;
         success = result?.status === 1;
+      } else if (options?.dryRun) {
+        // Nothing would be sent, so there is no transaction to populate or simulate
+        return { dryRun: true, transaction: null, gas: { estimate: null }, revert: null };
       } else {
         success = true;
       }
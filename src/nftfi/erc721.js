@@ -8,6 +8,7 @@ class Erc721 {
   #account;
   #assertion;
   #error;
+  #registry;
 
   constructor(options) {
     this.#config = options?.config;
@@ -15,29 +16,11 @@ class Erc721 {
     this.#account = options?.account;
     this.#assertion = options?.assertion;
     this.#error = options?.error;
+    this.#registry = options?.registry;
   }
 
   _getContractAddress(contractName) {
-    switch (contractName) {
-      case 'v1.loan.fixed':
-        return this.#config.loan.fixed.v1.address;
-      case 'v2.loan.fixed':
-        return this.#config.loan.fixed.v2.address;
-      case 'v2-1.loan.fixed':
-        return this.#config.loan.fixed.v2_1.address;
-      case 'v2-3.loan.fixed':
-        return this.#config.loan.fixed.v2_3.address;
-      case 'v1.bundler':
-        return this.#config.bundler.v1.address;
-      case 'v1-1.bundler':
-        return this.#config.bundler.v1_1.address;
-      case 'v2.loan.fixed.collection':
-        return this.#config.loan.fixed.collection.v2.address;
-      case 'v2-3.loan.fixed.collection':
-        return this.#config.loan.fixed.collection.v2_3.address;
-      case 'v1.bundler.migrate':
-        return this.#config.bundler.migrate.v1.address;
-    }
+    return this.#registry.get(contractName).address;
   }
 
   /**
@@ -80,6 +63,7 @@ class Erc721 {
    * @param {object} options - Options
    * @param {string} options.token.address - The ERC721 token address
    * @param {string} options.nftfi.contract.name - The name of the NFTfi contract (eg. `v2-3.loan.fixed`, `v2-3.loan.fixed.collection`)
+   * @param {boolean} [options.dryRun=false] - Return the populated transaction, its gas estimate and revert reason (if any), without sending it (optional)
    * @returns {boolean} Boolean value indicating whether the operation succeeded
    *
    * @example
@@ -102,8 +86,10 @@ class Erc721 {
       });
       const result = await contract.call({
         function: 'setApprovalForAll',
-        args: [contractAddress, true]
+        args: [contractAddress, true],
+        dryRun: options?.dryRun
       });
+      if (options?.dryRun) return result;
       return result?.status === 1;
     } catch (e) {
       if (options?.rethrow) throw e;
@@ -1,17 +1,79 @@
+import {
+  NFTfiError,
+  ValidationError,
+  ApiError,
+  AuthError,
+  ContractRevertError,
+  InsufficientFundsError
+} from './errors.js';
+
 class Error {
   constructor() {}
 
+  /**
+   * Turns a failure into the response object returned by the SDK methods: `{ error }`, where `error` is one of
+   * the typed errors (see `errors.js`). Field-level errors are also exposed as `errors`, as they used to be.
+   *
+   * @param {*} e - The failure, eg. a typed error, an ethers or axios error, a map of field errors or a message
+   * @param {string} [message] - Message of a `ValidationError` to return instead (optional)
+   * @returns {object} Response object
+   */
   handle(e, message) {
-    if (message) return { error: message };
-    if (e?.errors) return { errors: e?.errors };
-    if (e?.error?.reason) return { error: e?.error?.reason };
-    if (e?.response?.data?.message) return { error: e?.response?.data?.message };
-    if (e?.response?.data?.errors) return { error: e?.response?.data?.errors };
-    if (e?.error?.data?.originalError?.message) return { error: e?.error?.data?.originalError?.message };
-    if (e?.error?.data?.message) return { error: e.error.data.message };
-    if (e?.code) return { error: e.code };
-    if (e?.message) return { error: e.message };
-    return { error: e };
+    const error = message ? new ValidationError(message) : this.toTyped(e);
+    const errors = error?.errors || error?.body?.errors;
+    return errors ? { error, errors } : { error };
+  }
+
+  toTyped(e) {
+    if (e instanceof NFTfiError) return e;
+    if (typeof e === 'string') return new ValidationError(e);
+    if (e?.errors) return new ValidationError('validation failed', { errors: e.errors });
+    if (e?.isAxiosError || e?.response) return this._toApiError(e);
+    if (this._isInsufficientFunds(e)) {
+      return new InsufficientFundsError('insufficient funds for gas * price + value', {
+        transaction: e?.transaction || e?.tx,
+        cause: e
+      });
+    }
+    if (this._isRevert(e)) {
+      const reason = this._getRevertReason(e);
+      return new ContractRevertError(reason ? `transaction reverted: ${reason}` : 'transaction reverted', {
+        reason,
+        transaction: e?.transaction || e?.tx,
+        receipt: e?.receipt,
+        cause: e
+      });
+    }
+    return new NFTfiError(e?.message || e?.code || String(e), { cause: e });
+  }
+
+  _toApiError(e) {
+    const status = e?.response?.status || e?.status || null;
+    const body = e?.response?.data || e?.body || null;
+    const message = body?.message || e?.message || `request failed with status ${status}`;
+    const ApiErrorType = status === 401 || status === 403 ? AuthError : ApiError;
+    return new ApiErrorType(message, { status, body, cause: e });
+  }
+
+  _isInsufficientFunds(e) {
+    const message = e?.error?.message || e?.message || '';
+    return [e?.code, e?.error?.code].includes('INSUFFICIENT_FUNDS') || /insufficient funds/i.test(message);
+  }
+
+  _isRevert(e) {
+    const message = e?.error?.message || e?.message || '';
+    return ['CALL_EXCEPTION', 'UNPREDICTABLE_GAS_LIMIT'].includes(e?.code) || /revert/i.test(message);
+  }
+
+  _getRevertReason(e) {
+    const reason =
+      e?.reason ||
+      e?.error?.reason ||
+      e?.error?.data?.originalError?.message ||
+      e?.error?.data?.message ||
+      e?.error?.error?.message ||
+      null;
+    return reason ? reason.replace(/^execution reverted:\s*/, '') : null;
   }
 }
 
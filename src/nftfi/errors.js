@@ -0,0 +1,106 @@
+/**
+ * @class
+ * Base class of the errors returned and thrown by the SDK. Every error carries a stable `code` to branch on.
+ */
+class NFTfiError extends Error {
+  code = 'NFTFI_ERROR';
+
+  constructor(message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    if (options?.cause) this.cause = options.cause;
+  }
+
+  // Keeps the message when serialised, eg. when logged as JSON
+  toJSON() {
+    // eslint-disable-next-line no-unused-vars
+    const { cause, ...fields } = this;
+    return { name: this.name, message: this.message, ...fields };
+  }
+}
+
+/**
+ * @class
+ * Invalid input or configuration. `errors` maps the invalid fields to their messages, when known.
+ */
+class ValidationError extends NFTfiError {
+  code = 'VALIDATION_ERROR';
+
+  constructor(message, options = {}) {
+    super(message, options);
+    this.errors = options?.errors || null;
+  }
+}
+
+/**
+ * @class
+ * The NFTfi API responded with an error, or could not be reached (`status` is then null).
+ */
+class ApiError extends NFTfiError {
+  code = 'API_ERROR';
+
+  constructor(message, options = {}) {
+    super(message, options);
+    this.status = options?.status || null;
+    this.body = options?.body || null;
+  }
+}
+
+/**
+ * @class
+ * Authentication is required but missing, or was rejected by the NFTfi API.
+ */
+class AuthError extends ApiError {
+  code = 'AUTH_ERROR';
+}
+
+/**
+ * @class
+ * A contract call reverted, or would revert. `reason` is the decoded revert reason, when known.
+ */
+class ContractRevertError extends NFTfiError {
+  code = 'CONTRACT_REVERT';
+
+  constructor(message, options = {}) {
+    super(message, options);
+    this.reason = options?.reason || null;
+    this.transaction = options?.transaction || null;
+    this.receipt = options?.receipt || null;
+  }
+}
+
+/**
+ * @class
+ * The contract, or the operation on it, is not supported by the SDK.
+ */
+class UnsupportedContractError extends NFTfiError {
+  code = 'UNSUPPORTED_CONTRACT';
+
+  constructor(message, options = {}) {
+    super(message, options);
+    this.errors = options?.errors || null;
+  }
+}
+
+/**
+ * @class
+ * The account cannot pay for the value or the gas of a transaction.
+ */
+class InsufficientFundsError extends NFTfiError {
+  code = 'INSUFFICIENT_FUNDS';
+
+  constructor(message, options = {}) {
+    super(message, options);
+    this.transaction = options?.transaction || null;
+  }
+}
+
+export {
+  NFTfiError,
+  ValidationError,
+  ApiError,
+  AuthError,
+  ContractRevertError,
+  UnsupportedContractError,
+  InsufficientFundsError
+};
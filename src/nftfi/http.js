@@ -37,6 +37,16 @@ class Http {
     }
     return result;
   }
+
+  async put(uri, body, options = {}) {
+    let result;
+    try {
+      result = await this.#axios.put(uri, body, options);
+    } catch (e) {
+      result = e.response;
+    }
+    return result;
+  }
 }
 
 export default Http;
@@ -1,13 +1,15 @@
-class ContractNameNotSupportedError extends Error {
+import { UnsupportedContractError } from './errors.js';
+
+class ContractNameNotSupportedError extends UnsupportedContractError {
   constructor(msg) {
-    super(msg);
+    super(msg, { errors: { 'nftfi.contract.name': [msg] } });
     this.name = 'ContractNameNotSupportedError';
   }
 }
 
-class MigrationNotSupportedError extends Error {
+class MigrationNotSupportedError extends UnsupportedContractError {
   constructor(msg) {
-    super(msg);
+    super(msg, { errors: { 'nftfi.contract.name': [msg] } });
     this.name = 'MigrationNotSupportedError';
   }
 }
@@ -98,6 +100,7 @@ class Immutables {
    * @param {string} options.immutable.id - The ID of the immutable bundle to unseal.
    * @param {Object} options.nftfi.contract - An object containing information about the contract used to facilitate the bundle.
    * @param {string} options.nftfi.contract.name - Name of the contract used to facilitate the bundle: `v1.immutable.bundle` (deprecated), `v1-1.immutable.bundle`.
+   * @param {boolean} [options.dryRun=false] - If true, returns the populated transaction, its gas estimate and revert reason (if any) instead of sending it.
    *
    * @returns {Object} An object containing information about the bundle that was released from the immutable.
    *
@@ -126,9 +129,11 @@ class Immutables {
       return immutableContract
         .call({
           function: 'withdraw',
-          args: [options.immutable.id, this.#account.getAddress()]
+          args: [options.immutable.id, this.#account.getAddress()],
+          dryRun: options?.dryRun
         })
         .then(async result => {
+          if (options?.dryRun) return this.#result.handle(result);
           const transfer = result.logs.filter(function (log) {
             return (
               log.name === 'Transfer' &&
@@ -145,13 +150,7 @@ class Immutables {
           return this.#error.handle(e);
         });
     } catch (e) {
-      if (e instanceof ContractNameNotSupportedError) {
-        return this.#error.handle({
-          nftfi: { contract: { name: e.message } }
-        });
-      } else {
-        return this.#error.handle(e);
-      }
+      return this.#error.handle(e);
     }
   }
 
@@ -201,13 +200,7 @@ class Immutables {
         nftfi: { contract: { name: contractFactoryParams.bundler.name } }
       });
     } catch (e) {
-      if (e instanceof ContractNameNotSupportedError) {
-        return this.#error.handle({
-          nftfi: { contract: { name: e.message } }
-        });
-      } else {
-        return this.#error.handle(e);
-      }
+      return this.#error.handle(e);
     }
   }
 
@@ -217,6 +210,7 @@ class Immutables {
    * @param {Object} options - An object containing options for the empty operation.
    * @param {string} options.immutable.id - The ID of the immutable object to be emptied.
    * @param {string} options.nftfi.contract.name - Name of the contract used for emptying the immutable object: `v1.immutable.bundle`, `v1-1.immutable.bundle`.
+   * @param {boolean} [options.dryRun=false] - If true, returns the populated transaction, its gas estimate and revert reason (if any) instead of sending it.
    *
    * @returns {Object} An object containing the success status of the empty operation.
    *
@@ -259,7 +253,8 @@ class Immutables {
           const contract = this.#contractFactory.create(contractFactoryParams.migrate);
           response = await contract.call({
             function: contractFactoryParams.migrate.empty.function,
-            args: [contractFactoryParams.immutable.address, options.immutable.id, this.#account.getAddress()]
+            args: [contractFactoryParams.immutable.address, options.immutable.id, this.#account.getAddress()],
+            dryRun: options?.dryRun
           });
           break;
         }
@@ -267,23 +262,19 @@ class Immutables {
           const contract = this.#contractFactory.create(contractFactoryParams.immutable);
           response = await contract.call({
             function: contractFactoryParams.immutable.empty.function,
-            args: [options.immutable.id, this.#account.getAddress()]
+            args: [options.immutable.id, this.#account.getAddress()],
+            dryRun: options?.dryRun
           });
           break;
         }
       }
+      if (options?.dryRun) return this.#result.handle(response);
       const result = {
         success: response?.status === 1 || false
       };
       return this.#result.handle(result);
     } catch (e) {
-      if (e instanceof ContractNameNotSupportedError) {
-        return this.#error.handle({
-          nftfi: { contract: { name: e.message } }
-        });
-      } else {
-        return this.#error.handle(e);
-      }
+      return this.#error.handle(e);
     }
   }
 
@@ -294,6 +285,7 @@ class Immutables {
    * @param {string} options.immutable.id - The ID of the immutable object to be migrated.
    * @param {string} options.from.nftfi.contract.name - Name of the source immutable contract.
    * @param {string} options.to.nftfi.contract.name - Name of the destination immutable contract.
+   * @param {boolean} [options.dryRun=false] - If true, returns the populated transaction, its gas estimate and revert reason (if any) instead of sending it.
    *
    * @returns {Object} An object containing information about the migrated immutable object.
    *
@@ -333,9 +325,11 @@ class Immutables {
       return migrateContract
         .call({
           function: 'migrateImmutable',
-          args: [migrateContractParams.from.address, migrateContractParams.to.address, immutableId]
+          args: [migrateContractParams.from.address, migrateContractParams.to.address, immutableId],
+          dryRun: options?.dryRun
         })
         .then(result => {
+          if (options?.dryRun) return this.#result.handle(result);
           const log = result.logs.find(l => l.name === 'ImmutableMigrated');
           const newImmutableId = log.args.newImmutableId.toString();
           return this.#result.handle({
@@ -347,13 +341,7 @@ class Immutables {
           return this.#error.handle(e);
         });
     } catch (e) {
-      if (e instanceof MigrationNotSupportedError) {
-        return this.#error.handle({
-          nftfi: { contract: { name: e.message } }
-        });
-      } else {
-        return this.#error.handle(e);
-      }
+      return this.#error.handle(e);
     }
   }
 }
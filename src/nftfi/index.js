@@ -12,6 +12,8 @@ class NFTfi {
   utils;
   events;
   rewards;
+  transactions;
+  terms;
   api;
   offersSignatures;
 
@@ -29,6 +31,8 @@ class NFTfi {
     this.utils = options.utils;
     this.events = options.events;
     this.rewards = options.rewards;
+    this.transactions = options.transactions;
+    this.terms = options.terms;
     this.offersSignatures = options.offersSignatures;
     this.api = options.api;
   }
@@ -1,3 +1,8 @@
+import { ValidationError } from './errors.js';
+
+// Offers attached to each listing with `include: ['offers']`, unless specified
+const DEFAULT_OFFERS_LIMIT = 5;
+
 /**
  * @class
  * Class for working with listings.
@@ -6,12 +11,26 @@ class Listings {
   #api;
   #config;
   #helper;
+  #listingsHelper;
+  #offers;
+  #nft;
+  #account;
+  #registry;
+  #assertion;
+  #result;
   #error;
 
   constructor(options = {}) {
     this.#api = options?.api;
     this.#config = options?.config;
     this.#helper = options?.helper;
+    this.#listingsHelper = options?.listingsHelper;
+    this.#offers = options?.offers;
+    this.#nft = options?.nft;
+    this.#account = options?.account;
+    this.#registry = options?.registry;
+    this.#assertion = options?.assertion;
+    this.#result = options?.result;
     this.#error = options?.error;
   }
 
@@ -20,8 +39,18 @@ class Listings {
    *
    * @param {object} [options] - Hashmap of config options for this method
    * @param {Array<string>} [options.filters.nftAddresses] - NFT contract addresses (optional)
+   * @param {string} [options.filters.borrower.address.eq] - Borrower wallet address to filter by (optional)
+   * @param {string} [options.filters.nftfi.contract.name] - Contract name to filter by (optional)
+   * @param {string} [options.filters.desired.currency.address.eq] - Desired loan currency to filter by (optional)
+   * @param {string|bigint|BigNumber} [options.filters.desired.principal.gte] - Min desired principal to filter by, in base units (optional)
+   * @param {string|bigint|BigNumber} [options.filters.desired.principal.lte] - Max desired principal to filter by, in base units (optional)
+   * @param {number} [options.filters.desired.duration.eq] - Desired loan duration to filter by (optional)
    * @param {number} [options.pagination.page] - Pagination page (optional)
    * @param {number} [options.pagination.limit] - Pagination limit (optional)
+   * @param {'date.listed' | 'desired.principal'} [options.pagination.sort] - Field to sort by (optional)
+   * @param {'asc' | 'desc'} [options.pagination.direction] - Direction to sort by (optional)
+   * @param {Array<string>} [options.include] - Related data to attach to each listing: `offers`, the current offers on the listed NFT (optional)
+   * @param {object} [options.offers] - Options of `offers.get`, used to get the offers of each listing. By default, the first 5 offers. (optional)
    * @returns {Array<object>} Array of listings hashmaps
    *
    * @example
@@ -39,27 +68,263 @@ class Listings {
    *     limit: 20
    *   }
    * });
+   *
+   * @example
+   * // get the most recent listings asking for USDC, with the best 3 offers on each
+   * const listings = await nftfi.listings.get({
+   *   filters: {
+   *     desired: { currency: { address: { eq: nftfi.config.erc20.usdc.address } } }
+   *   },
+   *   pagination: {
+   *     sort: 'date.listed',
+   *     direction: 'desc'
+   *   },
+   *   include: ['offers'],
+   *   offers: {
+   *     pagination: { limit: 3 }
+   *   }
+   * });
    */
   async get(options = {}) {
     try {
-      let limit = options?.pagination?.limit || this.#config.pagination.limit;
-      let page = options?.pagination?.page || this.#config.pagination.page;
-      let nftAddresses = options?.filters?.nftAddresses || [];
-      let response = await this.#api.get({
+      const { results } = await this._getPage(options);
+      if (options?.include?.includes('offers')) {
+        return await this._addOffers(results, options?.offers);
+      }
+      return results;
+    } catch (e) {
+      return this.#error.handle(e);
+    }
+  }
+
+  /**
+   * Iterates over all current listings, fetching their pages as they are needed.
+   *
+   * @param {object} [options] - Hashmap of config options for this method, as in `listings.get`
+   * @param {number} [options.pagination.page] - Page to start from (optional)
+   * @param {number} [options.pagination.limit] - Page size (optional)
+   * @param {number} [options.concurrency=1] - How many pages are fetched at the same time (optional)
+   * @returns {AsyncGenerator<object>} Async iterator of listings
+   *
+   * @example
+   * // Iterate over the listings of a collection, 100 at a time
+   * for await (const listing of nftfi.listings.iterate({
+   *   filters: { nftAddresses: ['0x11111111'] },
+   *   pagination: { limit: 100 }
+   * })) {
+   *   console.log(listing);
+   * }
+   */
+  iterate(options = {}) {
+    return this.#helper.paginate(
+      (page, limit) => this._getPage({ ...options, pagination: { ...options?.pagination, page, limit } }),
+      options
+    );
+  }
+
+  /**
+   * Lists a NFT owned by your account, so that lenders can make offers on it.
+   *
+   * @param {object} options - Hashmap of config options for this method
+   * @param {string} options.nft.address - NFT contract address
+   * @param {string} options.nft.id - NFT id of the asset
+   * @param {string} [options.desiredTerms.currency] - Desired term currency (optional)
+   * @param {string|bigint|BigNumber} [options.desiredTerms.principal] - Desired term principal, in base units (optional)
+   * @param {string|bigint|BigNumber} [options.desiredTerms.repayment] - Desired term repayment, in base units (optional)
+   * @param {number} [options.desiredTerms.duration] - Desired term duration (optional)
+   * @param {string} [options.desiredTerms.contract.name] - Name of the contract to borrow with: `v2-3.loan.fixed` (optional)
+   * @param {boolean} [options.approve=false] - Also approve the NFT to the loan contract of the desired terms (optional)
+   * @returns {object} Response object, with the listing
+   *
+   * @example
+   * // List a NFT, asking for 1 WETH over 30 days, and approve it to the loan contract
+   * const listing = await nftfi.listings.create({
+   *   nft: {
+   *     address: '0x00000000',
+   *     id: '42'
+   *   },
+   *   desiredTerms: {
+   *     currency: nftfi.config.erc20.weth.address,
+   *     principal: '1000000000000000000',
+   *     duration: 86400 * 30, // 30 days (in seconds)
+   *     contract: {
+   *       name: 'v2-3.loan.fixed'
+   *     }
+   *   },
+   *   approve: true
+   * });
+   */
+  async create(options) {
+    try {
+      this.#assertion.hasSigner();
+      // Invalid desired terms are rejected before the NFT is approved
+      const payload = this._getPayload(options.nft, options?.desiredTerms);
+      await this._prepare(options.nft, options);
+      const response = await this.#api.post({
         uri: 'v0.1/listings',
-        params: {
-          nftAddresses: nftAddresses.join(),
-          page: page,
-          limit: limit
-        }
+        auth: { token: 'required' },
+        payload
       });
-      let listings = response['results'];
-      listings = listings.map(this.#helper.addCurrencyUnit);
-      return listings;
+      return this._handleResponse(response);
     } catch (e) {
       return this.#error.handle(e);
     }
   }
+
+  /**
+   * Updates the desired terms of a listing of your account.
+   *
+   * @param {object} options - Hashmap of config options for this method
+   * @param {object} options.listing - The listing, as returned by `listings.get`, with its `id` and `nft`
+   * @param {object} [options.desiredTerms] - Desired terms, as in `listings.create` (optional)
+   * @param {boolean} [options.approve=false] - Also approve the NFT to the loan contract of the desired terms (optional)
+   * @returns {object} Response object, with the listing
+   *
+   * @example
+   * // Ask for a longer loan
+   * const listing = await nftfi.listings.update({
+   *   listing,
+   *   desiredTerms: {
+   *     ...listing.desiredTerms,
+   *     duration: 86400 * 60 // 60 days (in seconds)
+   *   }
+   * });
+   */
+  async update(options) {
+    try {
+      this.#assertion.hasSigner();
+      const listing = options.listing;
+      const payload = this._getPayload(listing.nft, options?.desiredTerms);
+      await this._prepare(listing.nft, options);
+      const response = await this.#api.put({
+        uri: `v0.1/listings/${listing.id}`,
+        auth: { token: 'required' },
+        payload
+      });
+      return this._handleResponse(response);
+    } catch (e) {
+      return this.#error.handle(e);
+    }
+  }
+
+  /**
+   * Deletes a listing of your account, so that the NFT is no longer listed.
+   *
+   * @param {object} options - Hashmap of config options for this method
+   * @param {object} options.listing - The listing, as returned by `listings.get`, with its `id` and `nft`
+   * @returns {object} Response object
+   *
+   * @example
+   * // Delist a NFT
+   * const deleted = await nftfi.listings.delete({ listing });
+   */
+  async delete(options) {
+    try {
+      this.#assertion.hasSigner();
+      const listing = options.listing;
+      await this._assertOwner(listing.nft);
+      const response = await this.#api.delete({
+        uri: `v0.1/listings/${listing.id}`,
+        auth: { token: 'required' }
+      });
+      return this._handleResponse(response);
+    } catch (e) {
+      return this.#error.handle(e);
+    }
+  }
+
+  // Only the owner of a NFT can list it, who can also approve it to the loan contract in the same call
+  async _prepare(nft, options) {
+    await this._assertOwner(nft);
+    if (!options?.approve) return;
+    const contractName = options?.desiredTerms?.contract?.name;
+    if (!contractName) {
+      throw new ValidationError('Please provide a value for desiredTerms.contract.name to approve the nft to.');
+    }
+    const approval = await this.#nft.approve({
+      token: { address: nft.address, id: nft.id },
+      nftfi: { contract: { name: contractName } }
+    });
+    if (approval?.error) throw approval.error;
+  }
+
+  async _assertOwner(nft) {
+    const owner = await this.#nft.isOwner({ token: { address: nft.address, id: nft.id } });
+    if (owner?.error) throw owner.error;
+    if (owner?.data?.result !== true) {
+      throw new ValidationError(`nft ${nft.address} ${nft.id} is not owned by your account`);
+    }
+  }
+
+  _getPayload(nft, desiredTerms) {
+    const contractName = desiredTerms?.contract?.name;
+    const contract = contractName ? this.#registry.get(contractName, 'begin') : null;
+    return {
+      data: {
+        desiredTerms: desiredTerms && {
+          currency: desiredTerms.currency,
+          principal:
+            desiredTerms.principal === undefined
+              ? undefined
+              : this.#helper.toAmount(desiredTerms.principal, 'desiredTerms.principal'),
+          repayment:
+            desiredTerms.repayment === undefined
+              ? undefined
+              : this.#helper.toAmount(desiredTerms.repayment, 'desiredTerms.repayment'),
+          duration: desiredTerms.duration,
+          contract: contract && {
+            name: contract.name,
+            address: contract.address,
+            fee: { bps: this.#config.loan.adminFeeInBasisPoints }
+          }
+        },
+        nft: {
+          id: nft.id,
+          address: nft.address
+        },
+        borrower: {
+          address: this.#account.getAddress()
+        },
+        chain: {
+          id: this.#config.chainId
+        }
+      },
+      schema: {
+        version: '0.1'
+      }
+    };
+  }
+
+  _handleResponse(response) {
+    if (response?.errors) {
+      return this.#error.handle({ errors: response?.errors });
+    }
+    return this.#result.handle(response?.result);
+  }
+
+  async _getPage(options = {}) {
+    let response = await this.#api.get({
+      uri: 'v0.1/listings',
+      params: this.#listingsHelper.getParams(options)
+    });
+    let listings = response['results'];
+    listings = listings.map(this.#helper.addCurrencyUnit);
+    return { results: listings, total: response?.pagination?.total ?? null };
+  }
+
+  async _addOffers(listings, options = {}) {
+    return Promise.all(
+      listings.map(async listing => {
+        const response = await this.#offers.get({
+          ...options,
+          filters: { ...options?.filters, nft: { address: listing.nft.address, id: listing.nft.id } },
+          pagination: { page: 1, limit: DEFAULT_OFFERS_LIMIT, ...options?.pagination }
+        });
+        if (response?.error) throw response.error;
+        return { ...listing, offers: response.data.results };
+      })
+    );
+  }
 }
 
 export default Listings;
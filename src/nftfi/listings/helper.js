@@ -0,0 +1,71 @@
+class ListingsHelper {
+  #config;
+  #helper;
+
+  constructor(options = {}) {
+    this.#config = options?.config;
+    this.#helper = options?.helper;
+  }
+
+  _addNftAddresses(options, params) {
+    const nftAddresses = options?.filters?.nftAddresses || [];
+    return { ...params, nftAddresses: nftAddresses.join() };
+  }
+
+  _addBorrower(options, params) {
+    if (options?.filters?.borrower?.address?.eq) {
+      return { ...params, borrowerAddress: options.filters.borrower.address.eq };
+    }
+    return params;
+  }
+
+  _addContract(options, params) {
+    if (options?.filters?.nftfi?.contract?.name) {
+      return { ...params, contractName: options?.filters?.nftfi?.contract?.name };
+    }
+    return params;
+  }
+
+  // desired terms are the loan terms the borrower asks for when listing
+  _addFilters(options, params) {
+    if (options?.filters?.desired?.currency?.address?.eq) {
+      params = { ...params, desiredCurrencyAddress: options?.filters?.desired?.currency?.address?.eq };
+    }
+    if (options?.filters?.desired?.principal?.gte) {
+      const gte = this.#helper.toAmount(options.filters.desired.principal.gte, 'filters.desired.principal.gte');
+      params = { ...params, desiredPrincipalGte: gte };
+    }
+    if (options?.filters?.desired?.principal?.lte) {
+      const lte = this.#helper.toAmount(options.filters.desired.principal.lte, 'filters.desired.principal.lte');
+      params = { ...params, desiredPrincipalLte: lte };
+    }
+    if (options?.filters?.desired?.duration?.eq) {
+      params = { ...params, desiredDuration: options?.filters?.desired?.duration?.eq };
+    }
+    return params;
+  }
+
+  _addPagination(options, params) {
+    const limit = options?.pagination?.limit || this.#config.pagination.limit;
+    const page = options?.pagination?.page || this.#config.pagination.page;
+    const sort = options?.pagination?.sort || null;
+    const direction = options?.pagination?.direction || null;
+    if (sort && direction) {
+      return { ...params, page, limit, sort, direction };
+    }
+    return { ...params, page, limit };
+  }
+
+  getParams(options) {
+    let params = {};
+    params = this._addNftAddresses(options, params);
+    params = this._addBorrower(options, params);
+    params = this._addContract(options, params);
+    params = this._addFilters(options, params);
+    params = this._addPagination(options, params);
+
+    return params;
+  }
+}
+
+export default ListingsHelper;
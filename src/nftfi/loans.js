@@ -10,6 +10,11 @@ class Loans {
   #helper;
   #assertion;
   #error;
+  #result;
+  #registry;
+  #nft;
+  #validator;
+  #loansHelper;
 
   constructor(options = {}) {
     this.#api = options?.api;
@@ -19,15 +24,35 @@ class Loans {
     this.#helper = options?.helper;
     this.#assertion = options?.assertion;
     this.#error = options?.error;
+    this.#result = options?.result;
+    this.#registry = options?.registry;
+    this.#nft = options?.nft;
+    this.#validator = options?.offersValidator;
+    this.#loansHelper = options?.loansHelper;
   }
 
   /**
-   * Gets loans in which your account is a participant.
+   * Gets loans in which your account, or the accounts specified, is a participant.
    *
    * @param {object} options - Hashmap of config options for this method
    * @param {string} options.filters.counterparty - Loans where the counterparty is: `lender` or `borrower`
    * @param {string} options.filters.status - Loan status: `escrow`, `defaulted`, `repaid` or `liquidated`
-   * @returns {Array<object>} Array of listing objects
+   * @param {string|Array<string>} [options.filters.account.address] - Account address(es) to get the loans of, defaults to your account address (optional)
+   * @param {string} [options.filters.nft.address] - NFT contract address to filter by (optional)
+   * @param {string} [options.filters.nft.id] - NFT id of the asset to filter by (optional)
+   * @param {string} [options.filters.loan.currency.address.eq] - Loan currency to filter by (optional)
+   * @param {string} [options.filters.loan.principal.gte] - Min principal to filter by (optional)
+   * @param {string} [options.filters.loan.principal.lte] - Max principal to filter by (optional)
+   * @param {string} [options.filters.nftfi.contract.name] - Contract name to filter by (optional)
+   * @param {number} [options.filters.date.started.gte] - Earliest start date (timestamp in seconds) to filter by (optional)
+   * @param {number} [options.filters.date.started.lte] - Latest start date (timestamp in seconds) to filter by (optional)
+   * @param {number} [options.filters.date.due.gte] - Earliest due date (timestamp in seconds) to filter by (optional)
+   * @param {number} [options.filters.date.due.lte] - Latest due date (timestamp in seconds) to filter by (optional)
+   * @param {number} [options.pagination.page] - Pagination page (optional)
+   * @param {number} [options.pagination.limit] - Pagination limit (optional)
+   * @param {string} [options.pagination.sort] - Field to sort by, eg. `date.due` (optional)
+   * @param {'asc' | 'desc'} [options.pagination.direction] - Direction to sort by (optional)
+   * @returns {Array<object>} Array of loan objects, or a response object with the `results` and `pagination.total` when paginated
    *
    * @example
    * // Get loans in `escrow` where your account is the `lender`
@@ -37,21 +62,139 @@ class Loans {
    *     status: 'escrow'
    *   }
    * });
+   *
+   * @example
+   * // Get the loans of several accounts that are due in the next 48 hours, the soonest first
+   * const now = Math.floor(Date.now() / 1000);
+   * const loans = await nftfi.loans.get({
+   *   filters: {
+   *     account: { address: ['0x11111111', '0x22222222'] },
+   *     counterparty: 'lender',
+   *     status: 'escrow',
+   *     date: { due: { gte: now, lte: now + 48 * 60 * 60 } }
+   *   },
+   *   pagination: {
+   *     page: 1,
+   *     limit: 100,
+   *     sort: 'date.due',
+   *     direction: 'asc'
+   *   }
+   * });
    */
   async get(options) {
     try {
-      this.#assertion.hasAddress();
-      let response = await this.#api.get({
-        uri: 'v0.1/loans',
-        params: {
-          accountAddress: this.#account.getAddress(),
-          counterparty: options.filters.counterparty,
-          status: options.filters.status
+      const { results, total } = await this._getPage(options);
+      if (options?.pagination) {
+        return this.#result.handle({ pagination: { total }, results });
+      }
+      return results;
+    } catch (e) {
+      return this.#error.handle(e);
+    }
+  }
+
+  /**
+   * Iterates over the loans in which your account is a participant, fetching their pages as they are needed.
+   *
+   * @param {object} [options] - Hashmap of config options for this method, as in `loans.get`
+   * @param {number} [options.pagination.page] - Page to start from (optional)
+   * @param {number} [options.pagination.limit] - Page size (optional)
+   * @param {number} [options.concurrency=1] - How many pages are fetched at the same time (optional)
+   * @returns {AsyncGenerator<object>} Async iterator of loans
+   *
+   * @example
+   * // Iterate over the loans in `escrow` where your account is the `lender`
+   * for await (const loan of nftfi.loans.iterate({
+   *   filters: {
+   *     counterparty: 'lender',
+   *     status: 'escrow'
+   *   }
+   * })) {
+   *   console.log(loan);
+   * }
+   */
+  iterate(options = {}) {
+    return this.#helper.paginate(
+      (page, limit) => this._getPage({ ...options, pagination: { ...options?.pagination, page, limit } }),
+      options
+    );
+  }
+
+  async _getPage(options) {
+    let response = await this.#api.get({
+      uri: 'v0.1/loans',
+      params: this.#loansHelper.getParams(options)
+    });
+    let loans = response['results'];
+    loans = loans.map(this.#helper.addCurrencyUnit);
+    return { results: loans, total: response?.pagination?.total ?? null };
+  }
+
+  /**
+   * Gets a loan by reading its state directly from the loan contract, in the same shape as `loans.get`.
+   * Useful for cross-checking the loans returned by the API against the chain.
+   *
+   * @param {object} options - Hashmap of config options for this method
+   * @param {string} options.loan.id - The ID of the loan
+   * @param {string} options.nftfi.contract.name - Name of contract which facilitated the loan: `v2-3.loan.fixed`, `v2-3.loan.fixed.collection`
+   * @returns {object} Loan object, with `status` being one of `escrow`, `defaulted`, `repaid` or `liquidated`,
+   * and `lender` being the current holder of the promissory note, or the lender when the loan was resolved
+   *
+   * @example
+   * // Get a v2-3 fixed loan from the chain
+   * const loan = await nftfi.loans.getOnChain({
+   *   loan: { id: 2 },
+   *   nftfi: {
+   *     contract: {
+   *       name: 'v2-3.loan.fixed'
+   *     }
+   *   }
+   * });
+   */
+  async getOnChain(options) {
+    try {
+      this.#assertion.hasProvider();
+      const contractName = options.nftfi.contract.name;
+      const loan = this.#fixed.get(contractName, 'get');
+      const { terms, lender, repaid, liquidated } = await loan.getLoan({ loan: { id: options.loan.id } });
+      if ((repaid || liquidated) && !terms) {
+        return this.#error.handle(null, `could not read how loan ${options.loan.id} started on ${contractName}`);
+      }
+      if (!terms || Number(terms.loanStartTime) === 0) {
+        return this.#error.handle(null, `loan ${options.loan.id} not found on ${contractName}`);
+      }
+      const started = Number(terms.loanStartTime);
+      const due = started + Number(terms.loanDuration);
+      let status = 'escrow';
+      if (repaid) status = 'repaid';
+      else if (liquidated) status = 'liquidated';
+      else if (Math.floor(Date.now() / 1000) > due) status = 'defaulted';
+      return this.#helper.addCurrencyUnit({
+        id: String(options.loan.id),
+        status,
+        date: { started, due },
+        nft: {
+          address: terms.nftCollateralContract,
+          id: terms.nftCollateralId.toString()
+        },
+        borrower: { address: terms.borrower },
+        lender: { address: lender },
+        terms: {
+          loan: {
+            principal: terms.loanPrincipalAmount.toString(),
+            repayment: terms.maximumRepaymentAmount.toString(),
+            duration: Number(terms.loanDuration),
+            currency: terms.loanERC20Denomination.toLowerCase(),
+            interest: {
+              bps: Number(terms.loanInterestRateForDurationInBasisPoints)
+            }
+          }
+        },
+        nftfi: {
+          contract: { name: contractName },
+          fee: { bps: Number(terms.loanAdminFeeInBasisPoints) }
         }
       });
-      let loans = response['results'];
-      loans = loans.map(this.#helper.addCurrencyUnit);
-      return loans;
     } catch (e) {
       return this.#error.handle(e);
     }
@@ -64,8 +207,8 @@ class Loans {
    * @param {string} options.offer.nft.address - Address of the NFT being used as collateral
    * @param {string} options.offer.nft.id - ID of NFT being used as collateral
    * @param {string} options.offer.terms.loan.currency - Address of the ERC20 contract being used as principal/interest
-   * @param {number} options.offer.terms.loan.principal - Sum of money transferred from lender to borrower at the beginning of the loan
-   * @param {number} options.offer.terms.loan.repayment - Maximum amount of money that the borrower would be required to retrieve their collateral
+   * @param {string|bigint|BigNumber} options.offer.terms.loan.principal - Sum of money transferred from lender to borrower at the beginning of the loan, in base units
+   * @param {string|bigint|BigNumber} options.offer.terms.loan.repayment - Maximum amount of money that the borrower would be required to retrieve their collateral, in base units
    * @param {number} options.offer.terms.loan.duration - Amount of time (measured in seconds) that may elapse before the lender can liquidate the loan
    * @param {number} options.offer.terms.loan.expiry - Timestamp (in seconds) of when the signature expires
    * @param {string} options.offer.lender.address - Address of the lender that signed the offer
@@ -73,7 +216,13 @@ class Loans {
    * @param {string} options.offer.signature - ECDSA signature of the lender
    * @param {number} options.offer.nftfi.fee.bps - Percent (measured in basis points) of the interest earned that will be taken as a fee by the contract admins when the loan is repaid
    * @param {string} options.offer.nftfi.contract.name - Name of contract used to facilitate the loan: `v2-3.loan.fixed`, `v2-3.loan.fixed.collection`
-   * @returns {object} Response object
+   * @param {boolean} [options.preflight=true] - Run the `loans.preflight` checks first, and don't send the transaction if any of them fail (optional)
+   * @param {boolean} [options.dryRun=false] - Return the populated transaction, its gas estimate and revert reason (if any), without sending it (optional)
+   * @param {object} [options.callbacks] - Transaction lifecycle callbacks: `onSigned`, `onSubmitted(hash)`, `onConfirmed(receipt, confirmations)`, `onReplaced` and `onFailed(reason)` (optional)
+   * @param {boolean} [options.wait=true] - Wait for the transaction to be mined; if false, return the pending transaction as soon as it is broadcast (optional)
+   * @param {object} [options.fee] - Overrides the configured fee policy: `maxFeePerGas`, `maxPriorityFeePerGas`, `multiplier` and `max` (optional)
+   * @param {object} [options.gas] - Overrides the configured gas `limit` and `multiplier` (optional)
+   * @returns {object} Response object, or the list of blocking `errors` found by the pre-flight checks
    *
    * @example
    * // Begin a loan on a lender's offer.
@@ -89,8 +238,8 @@ class Loans {
    *     },
    *     terms: {
    *       loan: {
-   *         principal: 1000000000000000000,
-   *         repayment: 1100000000000000000,
+   *         principal: '1000000000000000000',
+   *         repayment: '1100000000000000000',
    *         duration: 86400 * 7, // 7 days (in seconds)
    *         currency: "0x00000000",
    *         expiry: 1690548548 // Friday, 28 July 2023 14:49:08 GMT+02:00
@@ -107,38 +256,102 @@ class Loans {
   async begin(options) {
     try {
       this.#assertion.hasSigner();
-      let errors;
-      let response;
-      const contractName = options.offer.nftfi.contract.name;
-      switch (contractName) {
-        case 'v2-1.loan.fixed': {
-          response = await this.#fixed.v2_1.acceptOffer(options);
-          break;
-        }
-        case 'v2-3.loan.fixed': {
-          response = await this.#fixed.v2_3.acceptOffer(options);
-          break;
-        }
-        case 'v2.loan.fixed.collection': {
-          response = await this.#fixed.collection.v2.acceptOffer(options);
-          break;
-        }
-        case 'v2-3.loan.fixed.collection': {
-          response = await this.#fixed.collection.v2_3.acceptOffer(options);
-          break;
-        }
-        default: {
-          errors = { 'nftfi.contract.name': [`${contractName} not supported`] };
-          response = { errors };
-          break;
+      const loan = this.#fixed.get(options.offer.nftfi.contract.name, 'begin');
+      if (options?.preflight !== false && !options?.dryRun) {
+        const problems = await this._getPreflightProblems(options);
+        if (problems.length > 0) {
+          return this.#error.handle({ errors: problems });
         }
       }
+      const response = await loan.acceptOffer(options);
       return response;
     } catch (e) {
       return this.#error.handle(e);
     }
   }
 
+  /**
+   * Runs the pre-flight checks for beginning a loan, without sending any transaction.
+   * Checks that your account owns the NFT and has approved it to the loan contract, that the offer has not expired,
+   * that the offer passes `offers.validate` (signature, nonce, lender balance and allowance), and that the transaction would not revert.
+   *
+   * @param {object} options - Hashmap of config options for this method
+   * @param {object} options.offer - The offer to begin a loan on, as passed to `loans.begin`
+   * @returns {object} Response object, with `valid` and the list of blocking `problems` (each with `key`, `status`, `type` and `msg`)
+   *
+   * @example
+   * // Check whether a loan can begin on an offer
+   * const offers = await nftfi.offers.get({
+   *   filters: {
+   *     nft: { address: '0x00000000', id: '42' }
+   *   }
+   * });
+   * const preflight = await nftfi.loans.preflight({ offer: offers[0] });
+   */
+  async preflight(options) {
+    try {
+      this.#assertion.hasSigner();
+      const problems = await this._getPreflightProblems(options);
+      return this.#result.handle({ valid: problems.length === 0, problems });
+    } catch (e) {
+      return this.#error.handle(e);
+    }
+  }
+
+  async _getPreflightProblems(options) {
+    const offer = options.offer;
+    const contractName = offer.nftfi.contract.name;
+    const contract = this.#registry.get(contractName, 'begin');
+    const loan = this.#fixed.get(contractName, 'begin');
+    const problems = [];
+    const addProblem = (key, status, type, msg) => problems.push({ key, status, type, msg });
+
+    // Early return if offer is expired, the remaining checks would fail anyway
+    if (Date.now() > offer.terms.loan.expiry * 1000) {
+      addProblem('terms.expiry', 'invalid', 'expiry', 'offer expiry is in the past');
+      return problems;
+    }
+
+    const token = { address: offer.nft.address, id: offer.nft.id };
+    const nftfi = { contract: { name: contractName } };
+    // Collection offers are signed without a specific NFT, so they are validated against the signed NFT id
+    const signedOffer = {
+      referrer: { address: '0x0000000000000000000000000000000000000000' },
+      ...offer,
+      nft: contract.offer?.type === 'collection' ? { ...offer.nft, id: 0 } : offer.nft
+    };
+    const [owner, approval, errors, revert] = await Promise.all([
+      this.#nft.isOwner({ token }),
+      this.#nft.isApproved({ token, nftfi }),
+      // The offer is about to be accepted, so it is validated against the chain rather than the cache
+      this.#validator.validate({ offer: signedOffer, cache: false }).catch(() => ({
+        offer: [{ status: 'error', type: 'validation', msg: 'failed to validate offer' }]
+      })),
+      loan.simulateAcceptOffer(options).then(
+        () => null,
+        e => e
+      )
+    ]);
+
+    if (owner?.data?.result !== true) {
+      const msg = owner?.error ? 'failed to check nft ownership' : 'nft is not owned by the borrower account';
+      addProblem('nft', owner?.error ? 'error' : 'invalid', 'nft.isOwner', msg);
+    }
+    if (approval?.data?.approved !== true) {
+      const msg = approval?.error ? 'failed to check nft approval' : 'nft is not approved to the loan contract';
+      addProblem('nft', approval?.error ? 'error' : 'invalid', 'nft.isApproved', msg);
+    }
+    for (const [key, keyErrors] of Object.entries(errors || {})) {
+      keyErrors.forEach(({ status, type, msg }) => addProblem(key, status, type, msg));
+    }
+    if (revert) {
+      const reason = this.#error.handle(revert).error?.reason;
+      const msg = reason ? `transaction would revert: ${reason}` : 'transaction would revert';
+      addProblem('transaction', 'invalid', `${contractName}.callStatic`, msg);
+    }
+    return problems;
+  }
+
   /**
    * Liquidate `defaulted` loans in which your account is a participant.
    * Can be called once a loan has finished its duration and the borrower still has not repaid.
@@ -146,6 +359,11 @@ class Loans {
    * @param {object} options - Hashmap of config options for this method
    * @param {string} options.loan.id - The ID of the loan being liquidated
    * @param {string} options.nftfi.contract.name - Name of contract used to facilitate the liquidation: `v2-3.loan.fixed`, `v2-3.loan.fixed.collection`
+   * @param {boolean} [options.dryRun=false] - Return the populated transaction, its gas estimate and revert reason (if any), without sending it (optional)
+   * @param {object} [options.callbacks] - Transaction lifecycle callbacks: `onSigned`, `onSubmitted(hash)`, `onConfirmed(receipt, confirmations)`, `onReplaced` and `onFailed(reason)` (optional)
+   * @param {boolean} [options.wait=true] - Wait for the transaction to be mined; if false, return the pending transaction as soon as it is broadcast (optional)
+   * @param {object} [options.fee] - Overrides the configured fee policy: `maxFeePerGas`, `maxPriorityFeePerGas`, `multiplier` and `max` (optional)
+   * @param {object} [options.gas] - Overrides the configured gas `limit` and `multiplier` (optional)
    * @returns {object} Response object
    *
    * @example
@@ -169,43 +387,32 @@ class Loans {
    *     }
    *   }
    * });
+   *
+   * @example
+   * // Liquidate a v2-3 fixed loan, outbidding on fees without paying more than 300 gwei per gas
+   * const result = await nftfi.loans.liquidate({
+   *   loan: { id: 2 },
+   *   nftfi: {
+   *     contract: {
+   *       name: 'v2-3.loan.fixed'
+   *     }
+   *   },
+   *   fee: { multiplier: 1.5, max: '300000000000' }
+   * });
    */
   async liquidate(options) {
     try {
       this.#assertion.hasSigner();
-      let success = false;
-      switch (options.nftfi.contract.name) {
-        case 'v1.loan.fixed':
-          success = await this.#fixed.v1.liquidateOverdueLoan({
-            loan: { id: options.loan.id }
-          });
-          break;
-        case 'v2.loan.fixed':
-          success = await this.#fixed.v2.liquidateOverdueLoan({
-            loan: { id: options.loan.id }
-          });
-          break;
-        case 'v2.loan.fixed.collection':
-          success = await this.#fixed.collection.v2.liquidateOverdueLoan({
-            loan: { id: options.loan.id }
-          });
-          break;
-        case 'v2-3.loan.fixed.collection':
-          success = await this.#fixed.collection.v2_3.liquidateOverdueLoan({
-            loan: { id: options.loan.id }
-          });
-          break;
-        case 'v2-1.loan.fixed':
-          success = await this.#fixed.v2_1.liquidateOverdueLoan({
-            loan: { id: options.loan.id }
-          });
-          break;
-        case 'v2-3.loan.fixed':
-          success = await this.#fixed.v2_3.liquidateOverdueLoan({
-            loan: { id: options.loan.id }
-          });
-          break;
-      }
+      const loan = this.#fixed.get(options.nftfi.contract.name, 'liquidate');
+      const success = await loan.liquidateOverdueLoan({
+        loan: { id: options.loan.id },
+        dryRun: options?.dryRun,
+        callbacks: options?.callbacks,
+        wait: options?.wait,
+        fee: options?.fee,
+        gas: options?.gas
+      });
+      if (options?.dryRun || options?.wait === false) return success;
       return {
         success
       };
@@ -220,6 +427,11 @@ class Loans {
    * @param {object} options - Hashmap of config options for this method
    * @param {string} options.loan.id - The ID of the loan being repaid
    * @param {string} options.nftfi.contract.name - Name of contract used to facilitate the repayment: `v2-3.loan.fixed`, `v2-3.loan.fixed.collection`
+   * @param {boolean} [options.dryRun=false] - Return the populated transaction, its gas estimate and revert reason (if any), without sending it (optional)
+   * @param {object} [options.callbacks] - Transaction lifecycle callbacks: `onSigned`, `onSubmitted(hash)`, `onConfirmed(receipt, confirmations)`, `onReplaced` and `onFailed(reason)` (optional)
+   * @param {boolean} [options.wait=true] - Wait for the transaction to be mined; if false, return the pending transaction as soon as it is broadcast (optional)
+   * @param {object} [options.fee] - Overrides the configured fee policy: `maxFeePerGas`, `maxPriorityFeePerGas`, `multiplier` and `max` (optional)
+   * @param {object} [options.gas] - Overrides the configured gas `limit` and `multiplier` (optional)
    * @returns {object} Response object
    *
    * @example
@@ -243,44 +455,37 @@ class Loans {
    *     }
    *   }
    * });
+   *
+   * @example
+   * // Repay a v2-3 fixed loan without waiting for it to be mined, following its progress through callbacks
+   * const pending = await nftfi.loans.repay({
+   *   loan: { id: 2 },
+   *   nftfi: {
+   *     contract: {
+   *       name: 'v2-3.loan.fixed'
+   *     }
+   *   },
+   *   wait: false,
+   *   callbacks: {
+   *     onSubmitted: hash => console.log(`Repayment pending: ${hash}`),
+   *     onConfirmed: receipt => console.log(`Repayment mined in block ${receipt.blockNumber}`),
+   *     onFailed: reason => console.log(`Repayment failed: ${reason}`)
+   *   }
+   * });
    */
   async repay(options) {
     try {
       this.#assertion.hasSigner();
-      let response;
-      switch (options.nftfi.contract.name) {
-        case 'v1.loan.fixed':
-          response = await this.#fixed.v1.payBackLoan({
-            loan: { id: options.loan.id }
-          });
-          break;
-        case 'v2.loan.fixed':
-          response = await this.#fixed.v2.payBackLoan({
-            loan: { id: options.loan.id }
-          });
-          break;
-        case 'v2-1.loan.fixed':
-          response = await this.#fixed.v2_1.payBackLoan({
-            loan: { id: options.loan.id }
-          });
-          break;
-        case 'v2-3.loan.fixed':
-          response = await this.#fixed.v2_3.payBackLoan({
-            loan: { id: options.loan.id }
-          });
-          break;
-        case 'v2.loan.fixed.collection':
-          response = await this.#fixed.collection.v2.payBackLoan({
-            loan: { id: options.loan.id }
-          });
-          break;
-        case 'v2-3.loan.fixed.collection':
-          response = await this.#fixed.collection.v2_3.payBackLoan({
-            loan: { id: options.loan.id }
-          });
-          break;
-      }
-      return response
+      const loan = this.#fixed.get(options.nftfi.contract.name, 'repay');
+      const response = await loan.payBackLoan({
+        loan: { id: options.loan.id },
+        dryRun: options?.dryRun,
+        callbacks: options?.callbacks,
+        wait: options?.wait,
+        fee: options?.fee,
+        gas: options?.gas
+      });
+      return response;
     } catch (e) {
       return this.#error.handle(e);
     }
@@ -292,6 +497,11 @@ class Loans {
    * @param {object} options - Hashmap of config options for this method
    * @param {object} options.offer.nonce - The nonce of the offer to be deleted
    * @param {string} options.nftfi.contract.name - Name of contract which the offer was created for: `v2-3.loan.fixed`, `v2-3.loan.fixed.collection`
+   * @param {boolean} [options.dryRun=false] - Return the populated transaction, its gas estimate and revert reason (if any), without sending it (optional)
+   * @param {object} [options.callbacks] - Transaction lifecycle callbacks: `onSigned`, `onSubmitted(hash)`, `onConfirmed(receipt, confirmations)`, `onReplaced` and `onFailed(reason)` (optional)
+   * @param {boolean} [options.wait=true] - Wait for the transaction to be mined; if false, return the pending transaction as soon as it is broadcast (optional)
+   * @param {object} [options.fee] - Overrides the configured fee policy: `maxFeePerGas`, `maxPriorityFeePerGas`, `multiplier` and `max` (optional)
+   * @param {object} [options.gas] - Overrides the configured gas `limit` and `multiplier` (optional)
    * @returns {object} Response object
    *
    * @example
@@ -310,39 +520,16 @@ class Loans {
   async revokeOffer(options) {
     try {
       this.#assertion.hasSigner();
-      let success = false;
-      switch (options.nftfi.contract.name) {
-        case 'v1.loan.fixed':
-          success = await this.#fixed.v1.cancelLoanCommitmentBeforeLoanHasBegun({
-            offer: { nonce: options.offer.nonce }
-          });
-          break;
-        case 'v2.loan.fixed':
-          success = await this.#fixed.v2.cancelLoanCommitmentBeforeLoanHasBegun({
-            offer: { nonce: options.offer.nonce }
-          });
-          break;
-        case 'v2-1.loan.fixed':
-          success = await this.#fixed.v2_1.cancelLoanCommitmentBeforeLoanHasBegun({
-            offer: { nonce: options.offer.nonce }
-          });
-          break;
-        case 'v2-3.loan.fixed':
-          success = await this.#fixed.v2_3.cancelLoanCommitmentBeforeLoanHasBegun({
-            offer: { nonce: options.offer.nonce }
-          });
-          break;
-        case 'v2.loan.fixed.collection':
-          success = await this.#fixed.collection.v2.cancelLoanCommitmentBeforeLoanHasBegun({
-            offer: { nonce: options.offer.nonce }
-          });
-          break;
-        case 'v2-3.loan.fixed.collection':
-          success = await this.#fixed.collection.v2_3.cancelLoanCommitmentBeforeLoanHasBegun({
-            offer: { nonce: options.offer.nonce }
-          });
-          break;
-      }
+      const loan = this.#fixed.get(options.nftfi.contract.name, 'revoke');
+      const success = await loan.cancelLoanCommitmentBeforeLoanHasBegun({
+        offer: { nonce: options.offer.nonce },
+        dryRun: options?.dryRun,
+        callbacks: options?.callbacks,
+        wait: options?.wait,
+        fee: options?.fee,
+        gas: options?.gas
+      });
+      if (options?.dryRun || options?.wait === false) return success;
       return {
         success
       };
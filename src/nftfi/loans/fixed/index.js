@@ -1,9 +1,17 @@
+import { ContractNotSupportedError } from '../../contract/registry.js';
+
 class LoansFixed {
   v1;
   v2;
   v2_1;
   v2_3;
   collection;
+  #config;
+  #contractFactory;
+  #registry;
+  #helper;
+  #implementations;
+  #loans;
 
   constructor(options) {
     this.v1 = options?.v1;
@@ -11,6 +19,39 @@ class LoansFixed {
     this.v2_1 = options?.v2_1;
     this.v2_3 = options?.v2_3;
     this.collection = options?.collection;
+    this.#config = options?.config;
+    this.#contractFactory = options?.contractFactory;
+    this.#registry = options?.registry;
+    this.#helper = options?.helper;
+    this.#implementations = options?.implementations || {};
+    const fixed = this.#config?.loan?.fixed;
+    this.#loans = {
+      [fixed?.v1?.name]: this.v1,
+      [fixed?.v2?.name]: this.v2,
+      [fixed?.v2_1?.name]: this.v2_1,
+      [fixed?.v2_3?.name]: this.v2_3,
+      [fixed?.collection?.v2?.name]: this.collection?.v2,
+      [fixed?.collection?.v2_3?.name]: this.collection?.v2_3
+    };
+  }
+
+  // Contracts registered at init time reuse the class of the contract named in their `implementation` field.
+  get(name, operation) {
+    const contract = this.#registry.get(name, operation);
+    if (!this.#loans[contract.name]) {
+      const Implementation = this.#implementations[contract.implementation];
+      if (!Implementation) {
+        throw new ContractNotSupportedError(name);
+      }
+      this.#loans[contract.name] = new Implementation({
+        config: this.#config,
+        contractFactory: this.#contractFactory,
+        registry: this.#registry,
+        helper: this.#helper,
+        name: contract.name
+      });
+    }
+    return this.#loans[contract.name];
   }
 }
 
@@ -1,63 +1,65 @@
 class LoansFixedV1 {
   #config;
   #contractFactory;
+  #registry;
+  #name;
   #contract;
 
   constructor(options) {
     this.#config = options?.config;
     this.#contractFactory = options?.contractFactory;
+    this.#registry = options?.registry;
+    this.#name = options?.name || this.#config.loan.fixed.v1.name;
   }
 
   get _contract() {
     if (!this.#contract) {
-      this.#contract = this.#contractFactory.create({
-        address: this.#config.loan.fixed.v1.address,
-        abi: this.#config.loan.fixed.v1.abi
-      });
+      const { address, abi } = this.#registry.get(this.#name);
+      this.#contract = this.#contractFactory.create({ address, abi });
     }
     return this.#contract;
   }
 
   async liquidateOverdueLoan(options) {
-    let success;
-    try {
-      const result = await this._contract.call({
-        function: 'liquidateOverdueLoan',
-        args: [options.loan.id]
-      });
-      success = result?.status === 1;
-    } catch (e) {
-      success = false;
-    }
-    return success;
+    const result = await this._contract.call({
+      function: 'liquidateOverdueLoan',
+      args: [options.loan.id],
+      dryRun: options?.dryRun,
+      callbacks: options?.callbacks,
+      wait: options?.wait,
+      fee: options?.fee,
+      gas: options?.gas
+    });
+    if (options?.dryRun || options?.wait === false) return result;
+    return result?.status === 1;
   }
 
   async payBackLoan(options) {
-    let success;
-    try {
-      const result = await this._contract.call({
-        function: 'payBackLoan',
-        args: [options.loan.id]
-      });
-      success = result?.status === 1;
-    } catch (e) {
-      success = false;
-    }
-    return success;
+    const result = await this._contract.call({
+      function: 'payBackLoan',
+      args: [options.loan.id],
+      dryRun: options?.dryRun,
+      callbacks: options?.callbacks,
+      wait: options?.wait,
+      fee: options?.fee,
+      gas: options?.gas
+    });
+    if (options?.dryRun || options?.wait === false) return result;
+    return result?.status === 1;
   }
 
   async cancelLoanCommitmentBeforeLoanHasBegun(options) {
-    let success;
-    try {
-      const result = await this._contract.call({
-        function: 'cancelLoanCommitmentBeforeLoanHasBegun',
-        args: [options.offer.nonce]
-      });
-      success = result?.status === 1;
-    } catch (e) {
-      success = false;
-    }
-    return success;
+    const result = await this._contract.call({
+      function: 'cancelLoanCommitmentBeforeLoanHasBegun',
+      args: [options.offer.nonce],
+      dryRun: options?.dryRun,
+      callbacks: options?.callbacks,
+      wait: options?.wait,
+      fee: options?.fee,
+      gas: options?.gas
+    });
+    if (options?.dryRun || options?.wait === false) return result;
+    return result?.status === 1;
   }
 }
 
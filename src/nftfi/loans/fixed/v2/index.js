@@ -1,63 +1,110 @@
 class LoansFixedV2 {
   #config;
   #contractFactory;
+  #registry;
+  #name;
   #contract;
 
   constructor(options) {
     this.#config = options?.config;
     this.#contractFactory = options?.contractFactory;
+    this.#registry = options?.registry;
+    this.#name = options?.name || this.#config.loan.fixed.v2.name;
   }
 
   get _contract() {
     if (!this.#contract) {
-      this.#contract = this.#contractFactory.create({
-        address: this.#config.loan.fixed.v2.address,
-        abi: this.#config.loan.fixed.v2.abi
-      });
+      const { address, abi } = this.#registry.get(this.#name);
+      this.#contract = this.#contractFactory.create({ address, abi });
     }
     return this.#contract;
   }
 
   async liquidateOverdueLoan(options) {
-    let success;
-    try {
-      const result = await this._contract.call({
-        function: 'liquidateOverdueLoan',
-        args: [options.loan.id]
-      });
-      success = result?.status === 1;
-    } catch (e) {
-      success = false;
-    }
-    return success;
+    const result = await this._contract.call({
+      function: 'liquidateOverdueLoan',
+      args: [options.loan.id],
+      dryRun: options?.dryRun,
+      callbacks: options?.callbacks,
+      wait: options?.wait,
+      fee: options?.fee,
+      gas: options?.gas
+    });
+    if (options?.dryRun || options?.wait === false) return result;
+    return result?.status === 1;
   }
 
   async payBackLoan(options) {
-    let success;
-    try {
-      const result = await this._contract.call({
-        function: 'payBackLoan',
-        args: [options.loan.id]
-      });
-      success = result?.status === 1;
-    } catch (e) {
-      success = false;
-    }
-    return success;
+    const result = await this._contract.call({
+      function: 'payBackLoan',
+      args: [options.loan.id],
+      dryRun: options?.dryRun,
+      callbacks: options?.callbacks,
+      wait: options?.wait,
+      fee: options?.fee,
+      gas: options?.gas
+    });
+    if (options?.dryRun || options?.wait === false) return result;
+    return result?.status === 1;
   }
 
   async cancelLoanCommitmentBeforeLoanHasBegun(options) {
-    let success;
-    try {
-      const result = await this._contract.call({
-        function: 'cancelLoanCommitmentBeforeLoanHasBegun',
-        args: [options.offer.nonce]
-      });
-      success = result?.status === 1;
-    } catch (e) {
-      success = false;
+    const result = await this._contract.call({
+      function: 'cancelLoanCommitmentBeforeLoanHasBegun',
+      args: [options.offer.nonce],
+      dryRun: options?.dryRun,
+      callbacks: options?.callbacks,
+      wait: options?.wait,
+      fee: options?.fee,
+      gas: options?.gas
+    });
+    if (options?.dryRun || options?.wait === false) return result;
+    return result?.status === 1;
+  }
+
+  async getLoan(options) {
+    const id = options.loan.id;
+    const [terms, repaidOrLiquidated, started] = await Promise.all([
+      this._contract.call({ function: 'loanIdToLoan', args: [id] }),
+      this._contract.call({ function: 'loanRepaidOrLiquidated', args: [id] }),
+      this._contract.events({ type: 'LoanStarted', args: [id] })
+    ]);
+    if (!repaidOrLiquidated) {
+      const exists = Number(terms?.loanStartTime) > 0;
+      return { terms, lender: exists ? await this._getNoteOwner(id) : null, repaid: false, liquidated: false };
     }
-    return success;
+    // The contract deletes the terms of a resolved loan, so they are read from the event that started it,
+    // and the lender, who may have bought the promissory note since, from the event that resolved it
+    const [repaid, liquidated] = await Promise.all([
+      this._contract.events({ type: 'LoanRepaid', args: [id] }),
+      this._contract.events({ type: 'LoanLiquidated', args: [id] })
+    ]);
+    const resolved = repaid[0] || liquidated[0];
+    return {
+      terms: started[0]?.args?.loanTerms || null,
+      lender: resolved?.args?.lender || started[0]?.args?.lender || null,
+      repaid: liquidated.length === 0,
+      liquidated: liquidated.length > 0
+    };
+  }
+
+  // The lender of an active loan is whoever holds its promissory note, as the note can change hands
+  async _getNoteOwner(loanId) {
+    const [hub, key] = await Promise.all([
+      this._contract.call({ function: 'hub', args: [] }),
+      this._contract.call({ function: 'LOAN_COORDINATOR', args: [] })
+    ]);
+    const registry = this.#contractFactory.create({ address: hub, abi: this.#config.loan.hub.abi });
+    const coordinator = this.#contractFactory.create({
+      address: await registry.call({ function: 'getContract', args: [key] }),
+      abi: this.#config.loan.coordinator.abi
+    });
+    const [loan, note] = await Promise.all([
+      coordinator.call({ function: 'getLoanData', args: [loanId] }),
+      coordinator.call({ function: 'promissoryNoteToken', args: [] })
+    ]);
+    const promissoryNote = this.#contractFactory.create({ address: note, abi: this.#config.erc721.abi });
+    return promissoryNote.call({ function: 'ownerOf', args: [loan.smartNftId] });
   }
 }
 
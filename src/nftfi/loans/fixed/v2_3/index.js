@@ -1,106 +1,163 @@
 class LoansFixedV2_3 {
   #config;
   #contractFactory;
+  #registry;
+  #helper;
+  #name;
   #contract;
 
   constructor(options) {
     this.#config = options?.config;
     this.#contractFactory = options?.contractFactory;
+    this.#registry = options?.registry;
+    this.#helper = options?.helper;
+    this.#name = options?.name || this.#config.loan.fixed.v2_3.name;
   }
 
   get _contract() {
     if (!this.#contract) {
-      this.#contract = this.#contractFactory.create({
-        address: this.#config.loan.fixed.v2_3.address,
-        abi: this.#config.loan.fixed.v2_3.abi
-      });
+      const { address, abi } = this.#registry.get(this.#name);
+      this.#contract = this.#contractFactory.create({ address, abi });
     }
     return this.#contract;
   }
 
+  _getAcceptOfferArgs(options) {
+    const offer = {
+      loanERC20Denomination: options.offer.terms.loan.currency,
+      loanPrincipalAmount: this.#helper.toAmount(options.offer.terms.loan.principal, 'offer.terms.loan.principal'),
+      maximumRepaymentAmount: this.#helper.toAmount(options.offer.terms.loan.repayment, 'offer.terms.loan.repayment'),
+      nftCollateralContract: options.offer.nft.address,
+      nftCollateralId: options.offer.nft.id,
+      referrer: '0x0000000000000000000000000000000000000000',
+      loanDuration: options.offer.terms.loan.duration,
+      loanAdminFeeInBasisPoints: options.offer.nftfi.fee.bps
+    };
+    const signature = {
+      signer: options.offer.lender.address,
+      nonce: options.offer.lender.nonce,
+      expiry: options.offer.terms.loan.expiry,
+      signature: options.offer.signature
+    };
+    const borrowerSettings = {
+      revenueSharePartner: '0x0000000000000000000000000000000000000000',
+      referralFeeInBasisPoints: 0
+    };
+    return [offer, signature, borrowerSettings];
+  }
+
   async acceptOffer(options) {
-    try {
-      const offer = {
-        loanERC20Denomination: options.offer.terms.loan.currency,
-        loanPrincipalAmount: options.offer.terms.loan.principal.toLocaleString('fullwide', { useGrouping: false }),
-        maximumRepaymentAmount: options.offer.terms.loan.repayment.toLocaleString('fullwide', { useGrouping: false }),
-        nftCollateralContract: options.offer.nft.address,
-        nftCollateralId: options.offer.nft.id,
-        referrer: '0x0000000000000000000000000000000000000000',
-        loanDuration: options.offer.terms.loan.duration,
-        loanAdminFeeInBasisPoints: options.offer.nftfi.fee.bps
-      };
-      const signature = {
-        signer: options.offer.lender.address,
-        nonce: options.offer.lender.nonce,
-        expiry: options.offer.terms.loan.expiry,
-        signature: options.offer.signature
-      };
-      const borrowerSettings = {
-        revenueSharePartner: '0x0000000000000000000000000000000000000000',
-        referralFeeInBasisPoints: 0
-      };
-      const result = await this._contract.call({
-        function: 'acceptOffer',
-        args: [offer, signature, borrowerSettings]
-      });
-      return {
-        receipt: result,
-        status: result?.status === 1,
-      }
-    } catch (e) {
-      return {
-        receipt: null,
-        status: false,
-      }
+    const result = await this._contract.call({
+      function: 'acceptOffer',
+      args: this._getAcceptOfferArgs(options),
+      dryRun: options?.dryRun,
+      callbacks: options?.callbacks,
+      wait: options?.wait,
+      fee: options?.fee,
+      gas: options?.gas
+    });
+    if (options?.dryRun || options?.wait === false) return result;
+    return {
+      receipt: result,
+      status: result?.status === 1,
     }
   }
 
+  async simulateAcceptOffer(options) {
+    return this._contract.callStatic({
+      function: 'acceptOffer',
+      args: this._getAcceptOfferArgs(options)
+    });
+  }
+
   async liquidateOverdueLoan(options) {
-    let success;
-    try {
-      const result = await this._contract.call({
-        function: 'liquidateOverdueLoan',
-        args: [options.loan.id]
-      });
-      success = result?.status === 1;
-    } catch (e) {
-      success = false;
-    }
-    return success;
+    const result = await this._contract.call({
+      function: 'liquidateOverdueLoan',
+      args: [options.loan.id],
+      dryRun: options?.dryRun,
+      callbacks: options?.callbacks,
+      wait: options?.wait,
+      fee: options?.fee,
+      gas: options?.gas
+    });
+    if (options?.dryRun || options?.wait === false) return result;
+    return result?.status === 1;
   }
 
   async payBackLoan(options) {
-    let success;
-    try {
-      const result = await this._contract.call({
-        function: 'payBackLoan',
-        args: [options.loan.id]
-      });
-      return {
-        receipt: result,
-        status: result?.status === 1,
-      }
-    } catch (e) {
-      return {
-        receipt: null,
-        status: false,
-      }
+    const result = await this._contract.call({
+      function: 'payBackLoan',
+      args: [options.loan.id],
+      dryRun: options?.dryRun,
+      callbacks: options?.callbacks,
+      wait: options?.wait,
+      fee: options?.fee,
+      gas: options?.gas
+    });
+    if (options?.dryRun || options?.wait === false) return result;
+    return {
+      receipt: result,
+      status: result?.status === 1,
     }
   }
 
   async cancelLoanCommitmentBeforeLoanHasBegun(options) {
-    let success;
-    try {
-      const result = await this._contract.call({
-        function: 'cancelLoanCommitmentBeforeLoanHasBegun',
-        args: [options.offer.nonce]
-      });
-      success = result?.status === 1;
-    } catch (e) {
-      success = false;
+    const result = await this._contract.call({
+      function: 'cancelLoanCommitmentBeforeLoanHasBegun',
+      args: [options.offer.nonce],
+      dryRun: options?.dryRun,
+      callbacks: options?.callbacks,
+      wait: options?.wait,
+      fee: options?.fee,
+      gas: options?.gas
+    });
+    if (options?.dryRun || options?.wait === false) return result;
+    return result?.status === 1;
+  }
+
+  async getLoan(options) {
+    const id = options.loan.id;
+    const [terms, repaidOrLiquidated, started] = await Promise.all([
+      this._contract.call({ function: 'loanIdToLoan', args: [id] }),
+      this._contract.call({ function: 'loanRepaidOrLiquidated', args: [id] }),
+      this._contract.events({ type: 'LoanStarted', args: [id] })
+    ]);
+    if (!repaidOrLiquidated) {
+      const exists = Number(terms?.loanStartTime) > 0;
+      return { terms, lender: exists ? await this._getNoteOwner(id) : null, repaid: false, liquidated: false };
     }
-    return success;
+    // The contract deletes the terms of a resolved loan, so they are read from the event that started it,
+    // and the lender, who may have bought the promissory note since, from the event that resolved it
+    const [repaid, liquidated] = await Promise.all([
+      this._contract.events({ type: 'LoanRepaid', args: [id] }),
+      this._contract.events({ type: 'LoanLiquidated', args: [id] })
+    ]);
+    const resolved = repaid[0] || liquidated[0];
+    return {
+      terms: started[0]?.args?.loanTerms || null,
+      lender: resolved?.args?.lender || started[0]?.args?.lender || null,
+      repaid: liquidated.length === 0,
+      liquidated: liquidated.length > 0
+    };
+  }
+
+  // The lender of an active loan is whoever holds its promissory note, as the note can change hands
+  async _getNoteOwner(loanId) {
+    const [hub, key] = await Promise.all([
+      this._contract.call({ function: 'hub', args: [] }),
+      this._contract.call({ function: 'LOAN_COORDINATOR', args: [] })
+    ]);
+    const registry = this.#contractFactory.create({ address: hub, abi: this.#config.loan.hub.abi });
+    const coordinator = this.#contractFactory.create({
+      address: await registry.call({ function: 'getContract', args: [key] }),
+      abi: this.#config.loan.coordinator.abi
+    });
+    const [loan, note] = await Promise.all([
+      coordinator.call({ function: 'getLoanData', args: [loanId] }),
+      coordinator.call({ function: 'promissoryNoteToken', args: [] })
+    ]);
+    const promissoryNote = this.#contractFactory.create({ address: note, abi: this.#config.erc721.abi });
+    return promissoryNote.call({ function: 'ownerOf', args: [loan.smartNftId] });
   }
 }
 
@@ -0,0 +1,100 @@
+class LoansHelper {
+  #config;
+  #account;
+  #assertion;
+
+  constructor(options = {}) {
+    this.#config = options?.config;
+    this.#account = options?.account;
+    this.#assertion = options?.assertion;
+  }
+
+  // if no account address is provided, we default to the account address of the sdk
+  _addAccount(options, params) {
+    const address = options?.filters?.account?.address;
+    if (address) {
+      return { ...params, accountAddress: Array.isArray(address) ? address.join(',') : address };
+    }
+    this.#assertion.hasAddress(
+      'Account address required, please provide a value in options.filters.account.address or on sdk initialization.'
+    );
+    return { ...params, accountAddress: this.#account.getAddress() };
+  }
+
+  _addCounterpartyAndStatus(options, params) {
+    return { ...params, counterparty: options?.filters?.counterparty, status: options?.filters?.status };
+  }
+
+  _addNft(options, params) {
+    if (options?.filters?.nft?.address) {
+      params = { ...params, nftAddress: options.filters.nft.address };
+    }
+    if (options?.filters?.nft?.address && options?.filters?.nft?.id) {
+      params = { ...params, nftId: options.filters.nft.id };
+    }
+    return params;
+  }
+
+  _addContract(options, params) {
+    if (options?.filters?.nftfi?.contract?.name) {
+      return { ...params, contractName: options?.filters?.nftfi?.contract?.name };
+    }
+    return params;
+  }
+
+  // date ranges are timestamps in seconds, like the `date` of loans
+  _addDates(options, params) {
+    const ranges = {
+      dateStartedGte: options?.filters?.date?.started?.gte,
+      dateStartedLte: options?.filters?.date?.started?.lte,
+      dateDueGte: options?.filters?.date?.due?.gte,
+      dateDueLte: options?.filters?.date?.due?.lte
+    };
+    for (const [param, value] of Object.entries(ranges)) {
+      if (value !== undefined) params = { ...params, [param]: value };
+    }
+    return params;
+  }
+
+  _addFilters(options, params) {
+    if (options?.filters?.loan?.currency?.address?.eq) {
+      params = { ...params, termsCurrencyAddress: options?.filters?.loan?.currency?.address?.eq };
+    }
+    if (options?.filters?.loan?.principal?.gte) {
+      params = { ...params, termsPrincipalGte: options?.filters?.loan?.principal?.gte };
+    }
+    if (options?.filters?.loan?.principal?.lte) {
+      params = { ...params, termsPrincipalLte: options?.filters?.loan?.principal?.lte };
+    }
+    return params;
+  }
+
+  _addPagination(options, params) {
+    if (options?.pagination) {
+      const limit = options?.pagination?.limit || this.#config.pagination.limit;
+      const page = options?.pagination?.page || this.#config.pagination.page;
+      const sort = options?.pagination?.sort || null;
+      const direction = options?.pagination?.direction || null;
+      if (sort && direction) {
+        return { ...params, page, limit, sort, direction };
+      }
+      return { ...params, page, limit };
+    }
+    return params;
+  }
+
+  getParams(options) {
+    let params = {};
+    params = this._addAccount(options, params);
+    params = this._addCounterpartyAndStatus(options, params);
+    params = this._addNft(options, params);
+    params = this._addContract(options, params);
+    params = this._addDates(options, params);
+    params = this._addFilters(options, params);
+    params = this._addPagination(options, params);
+
+    return params;
+  }
+}
+
+export default LoansHelper;
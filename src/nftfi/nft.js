@@ -1,3 +1,5 @@
+import { UnsupportedContractError } from './errors.js';
+
 export default class Nft {
   erc721;
   erc1155;
@@ -43,10 +45,11 @@ export default class Nft {
               success = await this.erc721.setApprovalForAll({ ...options, rethrow: true });
               break;
             default:
-              throw 'specified contract is not supported';
+              throw new UnsupportedContractError('specified contract is not supported');
           }
         }
       }
+      if (options?.dryRun) return this.#result.handle(success);
       return this.#result.handle({ success });
     } catch (e) {
       return this.#error.handle(e);
@@ -76,7 +79,7 @@ export default class Nft {
               approved = await this.erc721.isApprovedForAll({ ...options, rethrow: true });
               break;
             default:
-              throw 'specified contract is not supported';
+              throw new UnsupportedContractError('specified contract is not supported');
           }
         }
       }
@@ -102,7 +105,7 @@ export default class Nft {
               ownerAddress = await this.erc721.ownerOf({ ...options, rethrow: true });
               break;
             default:
-              throw 'specified contract is not supported';
+              throw new UnsupportedContractError('specified contract is not supported');
           }
         }
       }
@@ -144,7 +147,7 @@ export default class Nft {
               result = this.#ethers.utils.getAddress(ownerAddress) === accountAddress;
               break;
             default:
-              throw 'specified contract is not supported';
+              throw new UnsupportedContractError('specified contract is not supported');
           }
         }
       }
@@ -163,7 +166,7 @@ export default class Nft {
           balance = await this.erc1155.balanceOf(options);
           break;
         default:
-          throw 'specified contract is not supported';
+          throw new UnsupportedContractError('specified contract is not supported');
       }
       return this.#result.handle({ result: balance });
     } catch (e) {
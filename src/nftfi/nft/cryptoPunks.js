@@ -2,10 +2,12 @@ class CryptoPunks {
   #config;
   #contractFactory;
   #contract;
+  #registry;
 
   constructor(options) {
     this.#config = options?.config;
     this.#contractFactory = options?.contractFactory;
+    this.#registry = options?.registry;
   }
 
   get _contract() {
@@ -19,16 +21,7 @@ class CryptoPunks {
   }
 
   _getContractAddress(contractName) {
-    switch (contractName) {
-      case 'v2-1.loan.fixed':
-        return this.#config.loan.fixed.v2_1.address;
-      case 'v2-3.loan.fixed':
-        return this.#config.loan.fixed.v2_3.address;
-      case 'v2.loan.fixed.collection':
-        return this.#config.loan.fixed.collection.v2.address;
-      case 'v2-3.loan.fixed.collection':
-        return this.#config.loan.fixed.collection.v2_3.address;
-    }
+    return this.#registry.get(contractName).address;
   }
 
   async approve(options) {
@@ -37,8 +30,10 @@ class CryptoPunks {
     const toAddress = this._getContractAddress(options.nftfi.contract.name);
     const result = await this._contract.call({
       function: 'offerPunkForSaleToAddress',
-      args: [punkIndex, minSalePriceInWei, toAddress]
+      args: [punkIndex, minSalePriceInWei, toAddress],
+      dryRun: options?.dryRun
     });
+    if (options?.dryRun) return result;
     const success = result?.status === 1;
     return success;
   }
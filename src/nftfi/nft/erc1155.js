@@ -6,28 +6,17 @@ class Erc1155 {
   #config;
   #contractFactory;
   #account;
+  #registry;
 
   constructor(options) {
     this.#config = options?.config;
     this.#contractFactory = options?.contractFactory;
     this.#account = options?.account;
+    this.#registry = options?.registry;
   }
 
   _getContractAddress(contractName) {
-    switch (contractName) {
-      case 'v1.loan.fixed':
-        return this.#config.loan.fixed.v1.address;
-      case 'v2.loan.fixed':
-        return this.#config.loan.fixed.v2.address;
-      case 'v2-1.loan.fixed':
-        return this.#config.loan.fixed.v2_1.address;
-      case 'v2-3.loan.fixed':
-        return this.#config.loan.fixed.v2_3.address;
-      case 'v2.loan.fixed.collection':
-        return this.#config.loan.fixed.collection.v2.address;
-      case 'v2-3.loan.fixed.collection':
-        return this.#config.loan.fixed.collection.v2_3.address;
-    }
+    return this.#registry.get(contractName).address;
   }
 
   /**
@@ -37,6 +26,7 @@ class Erc1155 {
    * @param {object} options - Options
    * @param {string} options.token.address - The ERC1155 token address
    * @param {string} options.nftfi.contract.name - The name of the NFTfi contract (eg. `v2-3.loan.fixed`, `v2-3.loan.fixed.collection`)
+   * @param {boolean} [options.dryRun=false] - Return the populated transaction, its gas estimate and revert reason (if any), without sending it (optional)
    * @returns {boolean} Boolean value indicating whether the operation succeeded
    *
    * @example
@@ -57,8 +47,10 @@ class Erc1155 {
     });
     const result = await contract.call({
       function: 'setApprovalForAll',
-      args: [contractAddress, true]
+      args: [contractAddress, true],
+      dryRun: options?.dryRun
     });
+    if (options?.dryRun) return result;
     success = result?.status === 1;
     return success;
   }
@@ -1,3 +1,8 @@
+import { ValidationError } from './errors.js';
+
+// Offers posted at the same time by `createMany`, unless specified
+const DEFAULT_CONCURRENCY = 5;
+
 /**
  * @class
  * Class for working with offers.
@@ -10,10 +15,13 @@ class Offers {
   #config;
   #validator;
   #requests;
+  #signatures;
   #result;
   #error;
   #helper;
   #assertion;
+  #terms;
+  #utils;
 
   constructor(options = {}) {
     this.#account = options?.account;
@@ -23,10 +31,13 @@ class Offers {
     this.#config = options?.config;
     this.#validator = options?.offersValidator;
     this.#requests = options?.offersRequests;
+    this.#signatures = options?.offersSignatures;
     this.#error = options?.error;
     this.#result = options?.result;
     this.#helper = options?.helper;
     this.#assertion = options?.assertion;
+    this.#terms = options?.terms;
+    this.#utils = options?.utils;
   }
 
   /**
@@ -49,6 +60,7 @@ class Offers {
    * @param {string} [options.pagination.sort] - Field to sort by (optional)
    * @param {'asc' | 'desc'} [options.pagination.direction] - Direction to sort by (optional)
    * @param {boolean} [options.validation.check=true] - Validate offers and append error info (optional)
+   * @param {boolean} [options.validation.cache=true] - Reuse cached validation results, when `validation.cache.enabled` is set in config (optional)
    * @param {'required' | 'optional' | 'none'} [options.auth.token] - Specify if call to fetch offers should be authed, un-authed calls will always redact offers signature. By default, auth is optional. (optional)
    * @returns {Array<object>} Array of offers
    *
@@ -126,7 +138,7 @@ class Offers {
       if (!shouldNotValidate && results?.length > 0) {
         results = await Promise.all(
           results.map(async offer => {
-            const errors = await this.#validator.validate({ offer });
+            const errors = await this.#validator.validate({ offer, cache: options?.validation?.cache });
             return { ...offer, errors: errors };
           })
         );
@@ -140,11 +152,37 @@ class Offers {
     }
   }
 
+  /**
+   * Iterates over offers, fetching their pages as they are needed. Takes the same filters as `offers.get`.
+   *
+   * @param {object} [options] - Hashmap of config options for this method, as in `offers.get`
+   * @param {number} [options.pagination.page] - Page to start from (optional)
+   * @param {number} [options.pagination.limit] - Page size (optional)
+   * @param {number} [options.concurrency=1] - How many pages are fetched at the same time (optional)
+   * @returns {AsyncGenerator<object>} Async iterator of offers
+   *
+   * @example
+   * // Iterate over every offer on a collection, 100 at a time
+   * for await (const offer of nftfi.offers.iterate({
+   *   filters: { nft: { address: '0x00000000' } },
+   *   pagination: { limit: 100 }
+   * })) {
+   *   console.log(offer);
+   * }
+   */
+  iterate(options = {}) {
+    return this.#helper.paginate(async (page, limit) => {
+      const response = await this.get({ ...options, pagination: { ...options?.pagination, page, limit } });
+      if (response?.error) throw response.error;
+      return { results: response.data.results, total: response.data.pagination.total ?? null };
+    }, options);
+  }
+
   /**
    * Creates a new offer on a NFT or collection.
    *
    * @param {object} options - Config options for this method
-   * @param {object} options.terms - Terms of the offer
+   * @param {object} options.terms - Terms of the offer, with the `principal` and `repayment` in base units, as strings, bigints or BigNumbers
    * @param {object} options.nft - NFT to place an offer on
    * @param {object} options.borrower - Owner of the NFT
    * @param {object} options.nftfi - NFTfi options
@@ -154,8 +192,8 @@ class Offers {
    * // Create an offer on a NFT
    * const offer = await nftfi.offers.create({
    *   terms: {
-   *     principal: 1000000000000000000,
-   *     repayment: 1100000000000000000,
+   *     principal: '1000000000000000000',
+   *     repayment: '1100000000000000000',
    *     duration: 86400 * 7, // 7 days (in seconds)
    *     currency: "0x00000000",
    *     expiry: 21600 // 6 hours (in seconds)
@@ -178,49 +216,158 @@ class Offers {
     try {
       this.#assertion.hasSigner();
       options = { ...options.listing, ...options }; // copying options.listing fields onto the root, for backwards compatibility.
-      let errors;
-      let response;
-      const contractName = options.nftfi.contract.name;
-      switch (contractName) {
-        case 'v2-1.loan.fixed': {
-          let payload = await this.#offersHelper.constructV2Offer(options);
-          response = await this.#api.post({
-            uri: 'v0.1/offers',
-            payload
-          });
-          break;
-        }
-        case 'v2-3.loan.fixed': {
-          let payload = await this.#offersHelper.constructV2_3Offer(options);
-          response = await this.#api.post({
-            uri: 'v0.1/offers',
-            payload
-          });
-          break;
-        }
-        case 'v2.loan.fixed.collection': {
-          let payload = await this.#offersHelper.constructV2FixedCollectionOffer(options);
-          response = await this.#api.post({
-            uri: 'v0.1/offers',
-            payload
-          });
-          break;
-        }
-        case 'v2-3.loan.fixed.collection': {
-          let payload = await this.#offersHelper.constructV2_3FixedCollectionOffer(options);
-          response = await this.#api.post({
-            uri: 'v0.1/offers',
-            payload
-          });
-          break;
+      const payload = await this.#offersHelper.constructOffer(options);
+      const response = await this.#api.post({
+        uri: 'v0.1/offers',
+        payload
+      });
+      return response;
+    } catch (e) {
+      return this.#error.handle(e);
+    }
+  }
+
+  /**
+   * Creates many offers in one call, eg. to refresh the offers of a market-making strategy. The offers are all
+   * signed first, in one batch (one signing round of the owners, for multisig accounts), then posted.
+   *
+   * @param {object} options - Config options for this method
+   * @param {Array<object>} options.offers - The offers to create, each with the options of `offers.create`: `terms`, `nft`, `borrower` and `nftfi`
+   * @param {number} [options.concurrency=5] - How many offers are posted at the same time (optional)
+   * @param {boolean} [options.stopOnError=false] - Stop posting offers after the first one that fails (optional)
+   * @returns {object} Response object, with the `results` of each offer in the order given (as returned by `offers.create`, or null for the offers not posted), and a `summary` with the number of offers `created`, `failed` and `skipped`
+   *
+   * @example
+   * // Make the same offer on a few NFTs of a collection
+   * const terms = {
+   *   principal: '1000000000000000000',
+   *   repayment: '1100000000000000000',
+   *   duration: 86400 * 7, // 7 days (in seconds)
+   *   currency: nftfi.config.erc20.weth.address,
+   *   expiry: 21600 // 6 hours (in seconds)
+   * };
+   * const created = await nftfi.offers.createMany({
+   *   offers: listings.map(listing => ({
+   *     terms,
+   *     nft: listing.nft,
+   *     borrower: listing.borrower,
+   *     nftfi: { contract: { name: 'v2-3.loan.fixed' } }
+   *   })),
+   *   concurrency: 10
+   * });
+   * console.log(created.data.summary); // { total: 50, created: 50, failed: 0, skipped: 0 }
+   */
+  async createMany(options) {
+    try {
+      this.#assertion.hasSigner();
+      // copying the listing fields onto the root of each offer, as in `create`
+      const offers = (options?.offers || []).map(offer => ({ ...offer.listing, ...offer }));
+      const constructed = await this.#offersHelper.constructOffers(offers);
+      const results = constructed.map(({ error }) => (error ? this.#error.handle(error) : null));
+      const isFailed = result => !!(result?.error || result?.errors);
+      let isStopped = false;
+      let next = 0;
+      const postNext = async () => {
+        while (next < constructed.length && !isStopped) {
+          const i = next++;
+          if (!results[i]) {
+            results[i] = await this.#api
+              .post({ uri: 'v0.1/offers', payload: constructed[i].offer })
+              .catch(e => this.#error.handle(e));
+          }
+          if (isFailed(results[i]) && options?.stopOnError) isStopped = true;
         }
-        default: {
-          errors = { 'nftfi.contract.name': [`${contractName} not supported`] };
-          response = { errors };
-          break;
+      };
+      const concurrency = options?.concurrency || DEFAULT_CONCURRENCY;
+      await Promise.all([...Array(Math.min(concurrency, constructed.length)).keys()].map(postNext));
+
+      const summary = { total: results.length, created: 0, failed: 0, skipped: 0 };
+      results.forEach(result => summary[!result ? 'skipped' : isFailed(result) ? 'failed' : 'created']++);
+      return this.#result.handle({ results, summary });
+    } catch (e) {
+      return this.#error.handle(e);
+    }
+  }
+
+  /**
+   * Creates a ladder of offers on a NFT or collection: one offer per tier, each with its own trade-off between
+   * principal, APR and duration. The terms of each tier are built as in `terms.build`, and the offers are created
+   * with `createMany`, for `v2-3.loan.fixed` on a NFT or `v2-3.loan.fixed.collection` on a collection.
+   * The offers share a group id in their `metadata.group`, and the returned `group` lists the offers created,
+   * to delete or revoke them together.
+   *
+   * @param {object} options - Config options for this method
+   * @param {object} options.nft - NFT, or collection (without `id`), to place the offers on
+   * @param {object} [options.borrower] - Owner of the NFT, required for offers on a NFT
+   * @param {string} options.currency - Currency of the offers, as in `terms.build`: a key of `config.erc20` (eg. `'weth'`), its symbol or an address
+   * @param {Array<object>} options.tiers - Tiers of the ladder: `principal` (in whole tokens), `apr` (or `repayment`), `duration` and `expiry` (optional), as in `terms.build`
+   * @param {string|number} [options.expiry] - Expiry of the tiers that have none, as in `terms.build` (optional)
+   * @param {string} [options.group.id] - Group id of the offers, generated if not provided (optional)
+   * @param {string} [options.nftfi.contract.name] - Name of the contract to make the offers for, if not the default one (optional)
+   * @param {number} [options.concurrency=5] - How many offers are posted at the same time (optional)
+   * @param {boolean} [options.stopOnError=false] - Stop posting offers after the first one that fails (optional)
+   * @returns {object} Response object, with the `group` (its `id`, and the `id`, `lender.nonce` and contract of the `offers` created), the built `tiers`, and the `results` and `summary` of `createMany`
+   *
+   * @example
+   * // Ladder of two collection offers: 30 days at 30% APR and 14 days at 25% APR
+   * const ladder = await nftfi.offers.createLadder({
+   *   nft: { address: '0x00000000' },
+   *   currency: 'weth',
+   *   expiry: '1d',
+   *   tiers: [
+   *     { principal: '6', apr: 30, duration: '30d' },
+   *     { principal: '5', apr: 25, duration: '14d' }
+   *   ]
+   * });
+   * // Withdraw the whole ladder later on
+   * await nftfi.offers.deleteGroup({ group: ladder.data.group });
+   */
+  async createLadder(options) {
+    try {
+      this.#assertion.hasSigner();
+      const nft = options?.nft;
+      if (!nft?.address) {
+        throw new ValidationError('Please provide the address of the NFT, or collection, to make the offers on.');
+      }
+      if (nft?.id !== undefined && !options?.borrower?.address) {
+        throw new ValidationError('Please provide the address of the borrower, the owner of the NFT.');
+      }
+      if (!options?.tiers?.length) {
+        throw new ValidationError('Please provide at least one tier.');
+      }
+      const contractName =
+        options?.nftfi?.contract?.name ||
+        (nft?.id === undefined ? this.#config.loan.fixed.collection.v2_3.name : this.#config.loan.fixed.v2_3.name);
+      const group = { id: options?.group?.id || this.#utils.getNonce() };
+      const tiers = [];
+      for (const [i, tier] of options.tiers.entries()) {
+        const built = await this.#terms.build({ expiry: options?.expiry, ...tier, currency: options.currency });
+        if (built.error) {
+          throw new ValidationError(`tier ${i}: ${built.error.message}`, { errors: built.error.errors });
         }
+        tiers.push(built.data);
       }
-      return response;
+      const created = await this.createMany({
+        offers: tiers.map((tier, i) => ({
+          terms: tier.terms,
+          nft,
+          borrower: options?.borrower,
+          nftfi: { contract: { name: contractName } },
+          metadata: { group: { ...group, type: 'ladder', tier: i } }
+        })),
+        concurrency: options?.concurrency,
+        stopOnError: options?.stopOnError
+      });
+      if (created.error) return created;
+      // The API responds to each offer created with the offer, in `result`
+      const offers = created.data.results
+        .filter(response => response?.result)
+        .map(({ result: offer }) => ({
+          id: offer.id,
+          lender: { nonce: offer.lender?.nonce },
+          nftfi: { contract: { name: contractName } }
+        }));
+      return this.#result.handle({ group: { ...group, offers }, tiers, ...created.data });
     } catch (e) {
       return this.#error.handle(e);
     }
@@ -253,12 +400,46 @@ class Offers {
     }
   }
 
+  /**
+   * Deletes the active offers of a group made by your account, eg. a ladder made with `createLadder`.
+   *
+   * @param {object} options - Hashmap of config options for this method
+   * @param {string} options.group.id - The group id, from the `metadata.group` of the offers
+   * @param {Array<object>} [options.group.offers] - The offers of the group, as returned by `createLadder`; if not provided, they are looked up by their `metadata.group` (optional)
+   * @param {object} [options.filters] - Filters to narrow down the search for the offers of the group, as in `offers.get` (optional)
+   * @returns {object} Response object, with the `results` of deleting each offer of the group, and a `summary` with the number of offers `deleted` and `failed`
+   *
+   * @example
+   * // Delete a ladder of offers
+   * const deleted = await nftfi.offers.deleteGroup({
+   *   group: ladder.data.group
+   * });
+   */
+  async deleteGroup(options) {
+    try {
+      const offers = await this._getGroupOffers(options);
+      const results = await Promise.all(offers.map(offer => this.delete({ offer: { id: offer.id } })));
+      const failed = results.filter(result => result?.error || result?.errors).length;
+      return this.#result.handle({
+        results: results.map((result, i) => ({ offer: { id: offers[i].id }, result })),
+        summary: { total: offers.length, deleted: offers.length - failed, failed }
+      });
+    } catch (e) {
+      return this.#error.handle(e);
+    }
+  }
+
   /**
    * Revokes an active offer made by your account.
    *
    * @param {object} options - Hashmap of config options for this method
    * @param {object} options.offer.nonce - The nonce of the offer to be deleted
    * @param {string} options.nftfi.contract.name - Name of contract which the offer was created for: `v2-3.loan.fixed`, `v2-3.loan.fixed.collection`
+   * @param {boolean} [options.dryRun=false] - Return the populated transaction, its gas estimate and revert reason (if any), without sending it (optional)
+   * @param {object} [options.callbacks] - Transaction lifecycle callbacks: `onSigned`, `onSubmitted(hash)`, `onConfirmed(receipt, confirmations)`, `onReplaced` and `onFailed(reason)` (optional)
+   * @param {boolean} [options.wait=true] - Wait for the transaction to be mined; if false, return the pending transaction as soon as it is broadcast (optional)
+   * @param {object} [options.fee] - Overrides the configured fee policy: `maxFeePerGas`, `maxPriorityFeePerGas`, `multiplier` and `max` (optional)
+   * @param {object} [options.gas] - Overrides the configured gas `limit` and `multiplier` (optional)
    * @returns {object} Response object
    *
    * @example
@@ -276,12 +457,80 @@ class Offers {
     return await this.#loans.revokeOffer(options);
   }
 
+  /**
+   * Revokes the active offers of a group made by your account, eg. a ladder made with `createLadder`.
+   * Each offer is revoked with its own transaction, one after the other.
+   *
+   * @param {object} options - Hashmap of config options for this method
+   * @param {string} options.group.id - The group id, from the `metadata.group` of the offers
+   * @param {Array<object>} [options.group.offers] - The offers of the group, as returned by `createLadder`; if not provided, they are looked up by their `metadata.group` (optional)
+   * @param {object} [options.filters] - Filters to narrow down the search for the offers of the group, as in `offers.get` (optional)
+   * @param {object} [options.callbacks] - Transaction lifecycle callbacks, as in `offers.revoke`, called for each transaction (optional)
+   * @param {object} [options.fee] - Overrides the configured fee policy, as in `offers.revoke` (optional)
+   * @param {object} [options.gas] - Overrides the configured gas `limit` and `multiplier`, as in `offers.revoke` (optional)
+   * @returns {object} Response object, with the `results` of revoking each offer of the group, and a `summary` with the number of offers `revoked` and `failed`
+   *
+   * @example
+   * // Revoke a ladder of offers
+   * const revoked = await nftfi.offers.revokeGroup({
+   *   group: ladder.data.group
+   * });
+   */
+  async revokeGroup(options) {
+    try {
+      this.#assertion.hasSigner();
+      const offers = await this._getGroupOffers(options);
+      const results = [];
+      // One after the other, as each revocation is a transaction sent by your account
+      for (const offer of offers) {
+        results.push({
+          offer: { id: offer.id, nonce: offer.lender.nonce },
+          result: await this.revoke({
+            offer: { nonce: offer.lender.nonce },
+            nftfi: { contract: { name: offer.nftfi.contract.name } },
+            callbacks: options?.callbacks,
+            fee: options?.fee,
+            gas: options?.gas
+          })
+        });
+      }
+      const failed = results.filter(({ result }) => result?.error || !result?.success).length;
+      return this.#result.handle({
+        results,
+        summary: { total: offers.length, revoked: offers.length - failed, failed }
+      });
+    } catch (e) {
+      return this.#error.handle(e);
+    }
+  }
+
+  // Offers of a group are only looked up among the offers made by your account, unless they are given
+  async _getGroupOffers(options) {
+    if (!options?.group?.id) {
+      throw new ValidationError('Please provide the id of the group.');
+    }
+    this.#assertion.hasAddress();
+    let offers = options?.group?.offers;
+    if (!offers) {
+      offers = [];
+      const filters = { ...options?.filters, lender: { address: { eq: this.#account.getAddress() } } };
+      for await (const offer of this.iterate({ filters, validation: { check: false } })) {
+        if (String(offer?.metadata?.group?.id) === String(options.group.id)) offers.push(offer);
+      }
+    }
+    if (!offers.length) {
+      throw new ValidationError(`No active offers of your account were found in group ${options.group.id}.`);
+    }
+    return offers;
+  }
+
   /**
    * Validates an offer based on specified checks.
    *
    * @param {object} options - Parameters for the validation.
    * @param {object} options.offer - The offer object to validate.
-   * @param {string[]} [options.checks] - An array of checks to validate against. If not provided or empty, all supported checks are performed. (optional)
+   * @param {string[]} [options.checks] - An array of checks to validate against: `signature`, `terms.principal` and `lender.nonce`, which are performed by default, and the opt-in `nft.owner`, `nft.approval`, `terms.currency`, `terms.duration` and `nftfi.fee`. If not provided or empty, all default checks are performed. (optional)
+   * @param {boolean} [options.cache=true] - Reuse cached validation results, when `validation.cache.enabled` is set in config (optional)
    * @returns {object} Response object
    *
    * @example
@@ -290,8 +539,8 @@ class Offers {
    *   offer: {
    *     terms: {
    *       loan: {
-   *         principal: 2000000000000000000,
-   *         repayment: 1100000000000000000,
+   *         principal: '2000000000000000000',
+   *         repayment: '1100000000000000000',
    *         currency: "0x07865c6e87b9f70255377e024ace6630c1eaa37f",
    *         duration: 604800,
    *         expiry: 1760696014,
@@ -340,6 +589,54 @@ class Offers {
     }
   }
 
+  /**
+   * Validates many offers in one call, eg. to clean out an order book. Reads that offers have in common are made once:
+   * one balance and allowance read per lender and currency, and one nonce read per lender and nonce.
+   *
+   * @param {object} options - Parameters for the validation.
+   * @param {Array<object>} options.offers - The offers to validate.
+   * @param {string[]} [options.checks] - An array of checks to validate against, as in `offers.validate`. (optional)
+   * @param {number} [options.concurrency=20] - How many offers are validated at the same time. (optional)
+   * @param {boolean} [options.cache=true] - Reuse cached validation results, when `validation.cache.enabled` is set in config (optional)
+   * @returns {object} Response object, with the `results` of each offer keyed by offer id (or index, for offers without an id), and a `summary` with the number of `valid` and `invalid` offers and the count of each error type.
+   *
+   * @example
+   * // Validate the offers made by your account
+   * const offers = await nftfi.offers.get({ validation: { check: false } });
+   * const validation = await nftfi.offers.validateMany({ offers });
+   * const invalid = Object.entries(validation.data.results).filter(([, result]) => !result.valid);
+   */
+  async validateMany(options) {
+    try {
+      this.#assertion.hasProvider();
+      return this.#result.handle(await this.#validator.validateMany(options));
+    } catch (e) {
+      return this.#error.handle(e);
+    }
+  }
+
+  /**
+   * Verifies the signature of an offer offline, by recovering its signer locally, without calling the loan contract.
+   * Signatures of multisig lenders can only be verified on-chain, with `offers.validate`.
+   *
+   * @param {object} options - Hashmap of config options for this method
+   * @param {object} options.offer - The signed offer, as returned by `offers.get` or `offers.create`
+   * @param {string} [options.signer] - Expected signer, defaults to the lender of the offer (optional)
+   * @returns {object} Object with a `valid` boolean, true when the offer was signed by the expected signer
+   *
+   * @example
+   * // Verify the signature of an offer
+   * const { valid } = await nftfi.offers.verifySignature({ offer });
+   */
+  async verifySignature(options) {
+    try {
+      const valid = this.#signatures.verifyOfferSignature(options);
+      return this.#result.handle({ valid });
+    } catch (e) {
+      return this.#error.handle(e);
+    }
+  }
+
   get requests() {
     return this.#requests;
   }
@@ -0,0 +1,140 @@
+// Block numbers are fetched at most once a second, so that concurrent validations share a request
+const BLOCK_NUMBER_MAX_AGE = 1000;
+
+/**
+ * @class
+ * Caches the results of `OffersValidator`, when `validation.cache.enabled` is set.
+ * Entries have one of three scopes:
+ * - `block`: valid until a new block is mined, or `ttl` seconds pass
+ * - `lender`: valid until the lender has ERC20 Transfer or Approval logs (or WETH Deposit or Withdrawal logs)
+ *   for the token, or `blocks` blocks are mined
+ * - `permanent`: valid for good, eg. used nonces
+ */
+class OffersValidationCache {
+  #config;
+  #provider;
+  #ethers;
+  #entries = new Map();
+  #block = null;
+  #blockNumber = null;
+
+  constructor(options = {}) {
+    this.#config = options?.config;
+    this.#provider = options?.provider;
+    this.#ethers = options?.ethers;
+  }
+
+  isEnabled() {
+    return !!this.#config?.validation?.cache?.enabled && !!this.#provider;
+  }
+
+  get(key) {
+    const entry = this.#entries.get(key);
+    if (!entry) return undefined;
+    const { ttl, blocks } = this.#config.validation.cache;
+    const isExpired =
+      (entry.scope === 'block' &&
+        (entry.blockNumber !== this.#block?.number || Date.now() - entry.createdAt > ttl * 1000)) ||
+      (entry.scope === 'lender' && this.#block?.number - entry.blockNumber >= blocks);
+    if (isExpired) {
+      this.#entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  // `blockNumber` is the block the value was read at, defaults to the last synced block
+  set(key, value, options = {}) {
+    this.#entries.set(key, {
+      value,
+      scope: options?.scope || 'block',
+      lender: options?.lender?.toLowerCase(),
+      token: options?.token?.toLowerCase(),
+      blockNumber: options?.blockNumber ?? this.#block?.number,
+      createdAt: Date.now()
+    });
+  }
+
+  clear() {
+    this.#entries.clear();
+  }
+
+  /**
+   * Catches up with the chain, invalidating the lender balances and allowances that changed since the last sync.
+   * Called before every validation.
+   *
+   * @returns {number} The current block number
+   */
+  async sync() {
+    const number = await this._getBlockNumber();
+    const previous = this.#block?.number;
+    this.#block = { number };
+    if (previous === undefined || number <= previous) return number;
+    const lenders = [...new Set([...this.#entries.values()].map(entry => entry.lender).filter(Boolean))];
+    if (lenders.length > 0) await this._invalidateLenders(lenders, previous + 1, number);
+    return number;
+  }
+
+  async _invalidateLenders(lenders, fromBlock, toBlock) {
+    if (toBlock - fromBlock >= this.#config.validation.cache.blocks) {
+      return this._invalidate(() => true);
+    }
+    try {
+      const logs = await this._getLenderLogs(lenders, fromBlock, toBlock);
+      const changes = new Set(
+        logs.flatMap(log => this._getAddresses(log).map(address => `${log.address.toLowerCase()}:${address}`))
+      );
+      this._invalidate(entry => changes.has(`${entry.token}:${entry.lender}`));
+    } catch (e) {
+      // Without the logs, any lender may have changed
+      this._invalidate(() => true);
+    }
+  }
+
+  async _getBlockNumber() {
+    if (!this.#blockNumber || Date.now() - this.#blockNumber.fetchedAt > BLOCK_NUMBER_MAX_AGE) {
+      this.#blockNumber = { promise: this.#provider.getBlockNumber(), fetchedAt: Date.now() };
+      // Don't keep a failed request around
+      this.#blockNumber.promise.catch(() => (this.#blockNumber = null));
+    }
+    return this.#blockNumber.promise;
+  }
+
+  _getTopics() {
+    const id = this.#ethers.utils.id;
+    return {
+      transfer: id('Transfer(address,address,uint256)'),
+      approval: id('Approval(address,address,uint256)'),
+      deposit: id('Deposit(address,uint256)'),
+      withdrawal: id('Withdrawal(address,uint256)')
+    };
+  }
+
+  // Logs where the lender is the sender, owner or recipient
+  async _getLenderLogs(lenders, fromBlock, toBlock) {
+    const topics = this._getTopics();
+    const lenderTopics = lenders.map(lender => this.#ethers.utils.hexZeroPad(lender, 32));
+    const [fromLender, toLender] = await Promise.all([
+      this.#provider.getLogs({
+        fromBlock,
+        toBlock,
+        topics: [[topics.transfer, topics.approval, topics.deposit, topics.withdrawal], lenderTopics]
+      }),
+      this.#provider.getLogs({ fromBlock, toBlock, topics: [topics.transfer, null, lenderTopics] })
+    ]);
+    return [...fromLender, ...toLender];
+  }
+
+  // Indexed addresses of the log: sender and recipient, owner and spender, or the WETH account
+  _getAddresses(log) {
+    return log.topics.slice(1, 3).map(topic => `0x${topic.slice(26)}`.toLowerCase());
+  }
+
+  _invalidate(predicate) {
+    for (const [key, entry] of this.#entries) {
+      if (entry.scope === 'lender' && predicate(entry)) this.#entries.delete(key);
+    }
+  }
+}
+
+export default OffersValidationCache;
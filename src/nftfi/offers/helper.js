@@ -1,20 +1,20 @@
 class OffersHelper {
-  #BN;
-  #Number;
+  #helper;
   #utils;
   #signatures;
   #config;
   #account;
   #assertion;
+  #registry;
 
   constructor(options = {}) {
-    this.#BN = options?.BN;
-    this.#Number = options?.Number;
+    this.#helper = options?.helper;
     this.#utils = options?.utils;
     this.#signatures = options?.offersSignatures;
     this.#config = options?.config;
     this.#account = options?.account;
     this.#assertion = options?.assertion;
+    this.#registry = options?.registry;
   }
 
   _addCollectionAddress(options, params) {
@@ -113,60 +113,48 @@ class OffersHelper {
     return params;
   }
 
-  async constructV2Offer(options) {
-    const repayment = this.#Number(options.terms.repayment).toLocaleString('fullwide', { useGrouping: false });
-    const principal = this.#Number(options.terms.principal).toLocaleString('fullwide', { useGrouping: false });
-    const loanInterestRateForDurationInBasisPoints = 0;
-    const lenderNonce = this.#utils.getNonce();
-    const expiry = this.#utils.getExpiry(options?.terms?.expiry);
-    let offer = {
-      nft: {
-        id: options.nft.id,
-        address: options.nft.address
-      },
-      lender: {
-        address: this.#account.getAddress(),
-        nonce: lenderNonce
-      },
-      borrower: {
-        address: options.borrower.address
-      },
-      referrer: {
-        address: '0x0000000000000000000000000000000000000000'
-      },
-      terms: {
-        loan: {
-          duration: options.terms.duration,
-          repayment: repayment,
-          principal: principal,
-          currency: options.terms.currency,
-          expiry: expiry,
-          interest: {
-            prorated: false,
-            bps: loanInterestRateForDurationInBasisPoints
-          }
-        }
-      },
-      nftfi: {
-        contract: {
-          name: options.nftfi.contract.name
-        },
-        fee: {
-          bps: this.#config.loan.adminFeeInBasisPoints
-        }
-      },
-      metadata: options.metadata
-    };
-    offer['signature'] = await this.#signatures.getV2OfferSignature({
-      ...options,
-      offer
-    });
+  async constructOffer(options) {
+    const offer = this._getOffer(options);
+    offer.signature = await this.#signatures.getOfferSignature({ ...options, offer });
     return offer;
   }
 
-  async constructV2_3Offer(options) {
-    const repayment = this.#Number(options.terms.repayment).toLocaleString('fullwide', { useGrouping: false });
-    const principal = this.#Number(options.terms.principal).toLocaleString('fullwide', { useGrouping: false });
+  // Offers are all built before being signed together, so that the account signs them in one round
+  async constructOffers(optionsList) {
+    const built = optionsList.map(options => {
+      try {
+        return { offer: this._getOffer(options) };
+      } catch (error) {
+        return { error };
+      }
+    });
+    const signable = [...built.keys()].filter(i => built[i].offer);
+    const signatures = await this.#signatures.getOfferSignatures(
+      signable.map(i => ({ ...optionsList[i], offer: built[i].offer }))
+    );
+    signable.forEach((i, j) => {
+      if (signatures[j] instanceof Error) {
+        built[i] = { error: signatures[j] };
+      } else {
+        built[i].offer.signature = signatures[j];
+      }
+    });
+    return built;
+  }
+
+  _getOffer(options) {
+    const contract = this.#registry.get(options.nftfi.contract.name, 'offer');
+    switch (contract.offer?.type) {
+      case 'collection':
+        return this._getCollectionOffer(options);
+      default:
+        return this._getNftOffer(options);
+    }
+  }
+
+  _getNftOffer(options) {
+    const repayment = this.#helper.toAmount(options.terms.repayment, 'terms.repayment');
+    const principal = this.#helper.toAmount(options.terms.principal, 'terms.principal');
     const loanInterestRateForDurationInBasisPoints = 0;
     const lenderNonce = this.#utils.getNonce();
     const expiry = this.#utils.getExpiry(options?.terms?.expiry);
@@ -208,19 +196,16 @@ class OffersHelper {
       },
       metadata: options.metadata
     };
-    offer['signature'] = await this.#signatures.getV2_3OfferSignature({
-      ...options,
-      offer
-    });
     return offer;
   }
 
-  async constructV2FixedCollectionOffer(options) {
-    const repayment = this.#Number(options.terms.repayment).toLocaleString('fullwide', { useGrouping: false });
-    const principal = this.#Number(options.terms.principal).toLocaleString('fullwide', { useGrouping: false });
+  _getCollectionOffer(options) {
+    const repayment = this.#helper.toAmount(options.terms.repayment, 'terms.repayment');
+    const principal = this.#helper.toAmount(options.terms.principal, 'terms.principal');
     const loanInterestRateForDurationInBasisPoints = 0;
     const lenderNonce = this.#utils.getNonce();
-    const expiry = this.#utils.getExpiry(options?.terms?.expiry?.seconds);
+    // Collection offers used to take the expiry as `{ seconds }`
+    const expiry = this.#utils.getExpiry(options?.terms?.expiry?.seconds ?? options?.terms?.expiry);
     const nftId = 0;
     let offer = {
       nft: {
@@ -257,59 +242,6 @@ class OffersHelper {
       },
       metadata: options.metadata
     };
-    offer.signature = await this.#signatures.getV2FixedCollectionOfferSignature({
-      ...options,
-      offer
-    });
-    return offer;
-  }
-
-  async constructV2_3FixedCollectionOffer(options) {
-    const repayment = this.#Number(options.terms.repayment).toLocaleString('fullwide', { useGrouping: false });
-    const principal = this.#Number(options.terms.principal).toLocaleString('fullwide', { useGrouping: false });
-    const loanInterestRateForDurationInBasisPoints = 0;
-    const lenderNonce = this.#utils.getNonce();
-    const expiry = this.#utils.getExpiry(options?.terms?.expiry?.seconds);
-    const nftId = 0;
-    let offer = {
-      nft: {
-        id: nftId,
-        address: options.nft.address
-      },
-      lender: {
-        address: this.#account.getAddress(),
-        nonce: lenderNonce
-      },
-      referrer: {
-        address: '0x0000000000000000000000000000000000000000'
-      },
-      terms: {
-        loan: {
-          duration: options.terms.duration,
-          repayment: repayment,
-          principal: principal,
-          currency: options.terms.currency,
-          expiry: expiry,
-          interest: {
-            prorated: false,
-            bps: loanInterestRateForDurationInBasisPoints
-          }
-        }
-      },
-      nftfi: {
-        contract: {
-          name: options.nftfi.contract.name
-        },
-        fee: {
-          bps: this.#config.loan.adminFeeInBasisPoints
-        }
-      },
-      metadata: options.metadata
-    };
-    offer.signature = await this.#signatures.getV2_3FixedCollectionOfferSignature({
-      ...options,
-      offer
-    });
     return offer;
   }
 }
@@ -1,10 +1,16 @@
+import { ValidationError } from '../errors.js';
+
 class OffersRequests {
   #api;
   #account;
   #config;
   #result;
   #error;
-  #contractsAddresses;
+  #assertion;
+  #offersHelper;
+  #registry;
+  #ethers;
+  #helper;
 
   constructor(options = {}) {
     this.#api = options?.api;
@@ -12,24 +18,26 @@ class OffersRequests {
     this.#config = options?.config;
     this.#error = options?.error;
     this.#result = options?.result;
-    this.#contractsAddresses = {
-      [this.#config.loan.fixed.collection.v2.name]: this.#config.loan.fixed.collection.v2.address,
-      [this.#config.loan.fixed.v2_1.name]: this.#config.loan.fixed.v2_1.address,
-      [this.#config.loan.fixed.v2_3.name]: this.#config.loan.fixed.v2_3.address
-    };
+    this.#assertion = options?.assertion;
+    this.#offersHelper = options?.offersHelper;
+    this.#registry = options?.registry;
+    this.#ethers = options?.ethers;
+    this.#helper = options?.helper;
   }
 
   /**
-   * Creates a new offer request for a NFT.
+   * Creates a new offer request, for a NFT or for any of a list of candidate NFTs from a collection.
+   * The desired terms are validated locally before the request is sent.
    *
    * @param {object} [options] - Hashmap of config options for this method
    * @param {string} [options.nft.address] - NFT contract address
    * @param {string} [options.nft.id] - NFT id of the asset
+   * @param {Array<string>} [options.nft.ids] - NFT ids of the candidate assets, for a collection-level request made for a collection contract (optional)
    * @param {string} [options.desiredTerms.currency] - Desired term currency (optional)
-   * @param {string} [options.desiredTerms.principal] - Desired term principal (optional)
-   * @param {number} [options.desiredTerms.repayment] - Desired term repayment (optional)
-   * @param {string} [options.desiredTerms.duration] - Desired term duration (optional)
-   * @param {string} [options.desiredTerms.contract.name] - Name of contract which the offer was created for: `v2-3.loan.fixed`
+   * @param {string} [options.desiredTerms.principal] - Desired term principal, in base units (optional)
+   * @param {string} [options.desiredTerms.repayment] - Desired term repayment, in base units, no lower than the principal (optional)
+   * @param {string} [options.desiredTerms.duration] - Desired term duration, within `config.loan.duration` (optional)
+   * @param {string} [options.desiredTerms.contract.name] - Name of a contract offers can be created for, eg. `v2-3.loan.fixed` or `v2-3.loan.fixed.collection`
    * @returns {object} Offer request
    *
    * @example
@@ -49,29 +57,50 @@ class OffersRequests {
    *    id: "42"
    *  }
    * });
+   *
+   * @example
+   * // Create an Offer Request for any of three NFTs from a collection
+   * const offerRequest = await nftfi.offers.requests.create({
+   *  desiredTerms: {
+   *    currency: nftfi.config.erc20.weth.address,
+   *    principal: '1000000000000000000',
+   *    repayment: '1100000000000000000',
+   *    duration: 86400 * 30, // 30 days (in seconds)
+   *    contract: {
+   *      name: 'v2-3.loan.fixed.collection'
+   *    }
+   *  },
+   *  nft: {
+   *    address: "0x00000000",
+   *    ids: ["42", "43", "44"]
+   *  }
+   * });
    */
   async create({ desiredTerms, nft }) {
-    const contractAddress = this.#contractsAddresses[desiredTerms.contract.name];
-    if (!contractAddress) {
-      return this.#error.handle('Invalid contract name specified!');
+    let contract;
+    try {
+      contract = this.#registry.get(desiredTerms?.contract?.name, 'offer');
+    } catch (e) {
+      return this.#error.handle(e);
+    }
+    const errors = { ...this._getNftErrors(nft, contract), ...this._getDesiredTermsErrors(desiredTerms) };
+    if (Object.keys(errors).length > 0) {
+      return this.#error.handle({ errors });
     }
     const payload = {
       data: {
         desiredTerms: {
           currency: desiredTerms.currency,
-          principal: desiredTerms.principal,
-          repayment: desiredTerms.repayment,
+          principal: desiredTerms.principal === undefined ? undefined : this.#helper.toAmount(desiredTerms.principal),
+          repayment: desiredTerms.repayment === undefined ? undefined : this.#helper.toAmount(desiredTerms.repayment),
           duration: desiredTerms.duration,
           contract: {
-            name: desiredTerms.contract.name,
-            address: contractAddress,
+            name: contract.name,
+            address: contract.address,
             fee: { bps: this.#config.loan.adminFeeInBasisPoints }
           }
         },
-        nft: {
-          id: nft.id,
-          address: nft.address
-        },
+        nft: nft.ids ? { ids: nft.ids.map(String), address: nft.address } : { id: nft.id, address: nft.address },
         borrower: {
           address: this.#account.getAddress()
         },
@@ -97,6 +126,231 @@ class OffersRequests {
       return this.#error.handle(e);
     }
   }
+
+  /**
+   * Gets offer requests. When called without filters, gets the offer requests made by your account.
+   *
+   * @param {object} [options] - Hashmap of config options for this method
+   * @param {string} [options.filters.nft.address] - NFT contract address to filter by (optional)
+   * @param {string} [options.filters.nft.id] - NFT id of the asset to filter by (optional)
+   * @param {string} [options.filters.borrower.address.eq] - Borrower wallet address to filter by (optional)
+   * @param {string} [options.filters.desiredTerms.currency.address.eq] - Desired term currency to filter by (optional)
+   * @param {string} [options.filters.nftfi.contract.name] - Contract name to filter by (optional)
+   * @param {number} [options.pagination.page] - Pagination page (optional)
+   * @param {number} [options.pagination.limit] - Pagination limit (optional)
+   * @param {string} [options.pagination.sort] - Field to sort by (optional)
+   * @param {'asc' | 'desc'} [options.pagination.direction] - Direction to sort by (optional)
+   * @returns {Array<object>} Array of offer requests, or a response object with the `results` and `pagination.total` when paginated
+   *
+   * @example
+   * // Get the offer requests made by your account
+   * const offerRequests = await nftfi.offers.requests.get();
+   *
+   * @example
+   * // Get the first page of offer requests for WETH loans on a collection
+   * const offerRequests = await nftfi.offers.requests.get({
+   *   filters: {
+   *     nft: { address: '0x00000000' },
+   *     desiredTerms: { currency: { address: { eq: nftfi.config.erc20.weth.address } } }
+   *   },
+   *   pagination: {
+   *     page: 1,
+   *     limit: 20
+   *   }
+   * });
+   */
+  async get(options = {}) {
+    try {
+      const response = await this.#api.get({
+        uri: 'v0.1/offer-requests',
+        auth: { token: 'optional' },
+        params: this._getParams(options)
+      });
+      const results = response?.results || [];
+      if (options?.pagination) {
+        return this.#result.handle({ pagination: { total: response?.pagination?.total }, results });
+      }
+      return results;
+    } catch (e) {
+      return this.#error.handle(e);
+    }
+  }
+
+  /**
+   * Deletes an open offer request made by your account.
+   *
+   * @param {object} options - Hashmap of config options for this method
+   * @param {string} options.request.id - The Id of the offer request to be deleted
+   * @returns {object} Response object
+   *
+   * @example
+   * // Withdraw the first offer request made by your account
+   * const offerRequests = await nftfi.offers.requests.get();
+   * const deleted = await nftfi.offers.requests.delete({
+   *   request: {
+   *     id: offerRequests[0].id
+   *   }
+   * });
+   */
+  async delete(options) {
+    try {
+      const response = await this.#api.delete({
+        uri: `v0.1/offer-requests/${options.request.id}`,
+        auth: { token: 'required' }
+      });
+      return this.#result.handle(response?.result);
+    } catch (e) {
+      return this.#error.handle(e);
+    }
+  }
+
+  /**
+   * Makes an offer in response to an offer request. Terms that are not specified are the desired terms of the request.
+   * The offer is linked back to the request through its `metadata.forEvent`.
+   *
+   * @param {object} options - Hashmap of config options for this method
+   * @param {object} options.request - The offer request, as returned by `offers.requests.get` or sent with its websocket event
+   * @param {object} [options.terms] - Terms of the offer: `principal`, `repayment`, `duration`, `currency` and `expiry`, as in `offers.create` (optional)
+   * @param {string} [options.nftfi.contract.name] - Name of the contract to make the offer for, defaults to the one of the request (optional)
+   * @returns {object} Response object, with the offer
+   *
+   * @example
+   * // Make an offer on the desired terms of an offer request, valid for 6 hours
+   * const offer = await nftfi.offers.requests.respond({
+   *   request: offerRequest,
+   *   terms: {
+   *     expiry: 21600 // 6 hours (in seconds)
+   *   }
+   * });
+   */
+  async respond(options) {
+    try {
+      this.#assertion.hasSigner();
+      const request = options.request;
+      const terms = { ...request.desiredTerms, ...options?.terms };
+      delete terms.contract;
+      const contractName = options?.nftfi?.contract?.name || request.desiredTerms?.contract?.name;
+      if (!contractName) {
+        throw new ValidationError('Please provide a value for nftfi.contract.name, the offer request has none.');
+      }
+      if (!terms.principal || !terms.repayment || !terms.duration || !terms.currency) {
+        throw new ValidationError('Please provide the principal, repayment, duration and currency terms of the offer.');
+      }
+      // Requests for any NFT of a collection can only be answered with a collection offer
+      if (!request.nft?.id && this.#registry.get(contractName, 'offer').offer?.type !== 'collection') {
+        throw new ValidationError(
+          `The offer request is for a collection, ${contractName} is not a collection contract.`
+        );
+      }
+      const payload = await this.#offersHelper.constructOffer({
+        terms,
+        nft: request.nft,
+        borrower: request.borrower,
+        nftfi: { contract: { name: contractName } },
+        metadata: {
+          forEvent: {
+            id: request.id,
+            type: 'OfferRequest'
+          }
+        }
+      });
+      const response = await this.#api.post({
+        uri: 'v0.1/offers',
+        payload
+      });
+      if (response?.errors) {
+        return this.#error.handle({ errors: response?.errors });
+      }
+      return this.#result.handle(response);
+    } catch (e) {
+      return this.#error.handle(e);
+    }
+  }
+
+  _getNftErrors(nft, contract) {
+    if (!nft?.address) {
+      return { 'nft.address': ['Please provide the address of the NFT.'] };
+    }
+    if (nft?.ids === undefined) {
+      if (nft?.id === undefined) {
+        return { 'nft.id': ['Please provide the id of the NFT, or the ids of candidate NFTs.'] };
+      }
+      return {};
+    }
+    if (!Array.isArray(nft.ids) || nft.ids.length === 0) {
+      return { 'nft.ids': ['Please provide at least one candidate NFT id.'] };
+    }
+    if (contract.offer?.type !== 'collection') {
+      return { 'nft.ids': [`Requests for candidate NFTs need a collection contract, ${contract.name} is not one.`] };
+    }
+    return {};
+  }
+
+  _getDesiredTermsErrors(desiredTerms) {
+    const errors = {};
+    const { duration, currency } = desiredTerms;
+    const amounts = {};
+    for (const field of ['principal', 'repayment']) {
+      if (desiredTerms[field] === undefined) continue;
+      try {
+        amounts[field] = this.#helper.toAmount(desiredTerms[field]);
+      } catch (e) {
+        errors[`desiredTerms.${field}`] = [`The ${field} must be a whole amount in base units.`];
+      }
+    }
+    const { principal, repayment } = amounts;
+    if (principal && repayment && this.#ethers.BigNumber.from(repayment).lt(principal)) {
+      errors['desiredTerms.repayment'] = ['The repayment must be greater than or equal to the principal.'];
+    }
+    if (duration !== undefined) {
+      const { min, max } = this.#config.loan.duration;
+      if (!Number.isInteger(Number(duration)) || Number(duration) < min || Number(duration) > max) {
+        errors['desiredTerms.duration'] = [`The duration must be between ${min} and ${max} seconds.`];
+      }
+    }
+    if (currency !== undefined) {
+      const currencies = Object.values(this.#config.erc20)
+        .map(erc20 => erc20?.address?.toLowerCase())
+        .filter(Boolean);
+      if (!currencies.includes(String(currency).toLowerCase())) {
+        errors['desiredTerms.currency'] = [`${currency} is not a known currency.`];
+      }
+    }
+    return errors;
+  }
+
+  _getParams(options) {
+    const filters = options?.filters;
+    let params = {};
+    // if no filter is provided, we default to the offer requests made by the account
+    if (!filters?.nft?.address && !filters?.borrower?.address?.eq && !filters?.desiredTerms && !filters?.nftfi) {
+      this.#assertion.hasAddress('Please provide at least a filter, or an account address on sdk initialization.');
+      params = { borrowerAddress: this.#account.getAddress() };
+    }
+    if (filters?.nft?.address) {
+      params = { ...params, nftAddress: filters.nft.address };
+    }
+    if (filters?.nft?.address && filters?.nft?.id) {
+      params = { ...params, nftId: filters.nft.id };
+    }
+    if (filters?.borrower?.address?.eq) {
+      params = { ...params, borrowerAddress: filters.borrower.address.eq };
+    }
+    if (filters?.desiredTerms?.currency?.address?.eq) {
+      params = { ...params, desiredTermsCurrencyAddress: filters.desiredTerms.currency.address.eq };
+    }
+    if (filters?.nftfi?.contract?.name) {
+      params = { ...params, contractName: filters.nftfi.contract.name };
+    }
+    if (options?.pagination) {
+      const limit = options?.pagination?.limit || this.#config.pagination.limit;
+      const page = options?.pagination?.page || this.#config.pagination.page;
+      const sort = options?.pagination?.sort || null;
+      const direction = options?.pagination?.direction || null;
+      params = sort && direction ? { ...params, page, limit, sort, direction } : { ...params, page, limit };
+    }
+    return params;
+  }
 }
 
 export default OffersRequests;
@@ -1,170 +1,129 @@
+import { ContractNotSupportedError } from '../contract/registry.js';
+
 class OffersSignatures {
   #account;
   #ethers;
   #config;
+  #registry;
+  #helper;
 
   constructor(options = {}) {
     this.#account = options?.account;
     this.#ethers = options?.ethers;
     this.#config = options?.config;
+    this.#registry = options?.registry;
+    this.#helper = options?.helper;
+  }
+
+  async getOfferSignature(options) {
+    const contractName = options.offer.nftfi.contract.name;
+    const contract = this.#registry.get(contractName, 'offer');
+    switch (contract.signature?.scheme) {
+      case 'keccak256':
+        return this._getKeccak256OfferSignature(options, contract.address);
+      default:
+        throw new ContractNotSupportedError(contractName, 'offer signatures');
+    }
+  }
+
+  // Offers are signed in one batch, eg. in one signing round of the multisig owners.
+  // Offers that can't be signed get the error instead of a signature.
+  async getOfferSignatures(optionsList) {
+    const signatures = new Array(optionsList.length);
+    const messages = [];
+    for (const [i, options] of optionsList.entries()) {
+      try {
+        const contractName = options.offer.nftfi.contract.name;
+        const contract = this.#registry.get(contractName, 'offer');
+        switch (contract.signature?.scheme) {
+          case 'keccak256':
+            messages.push({
+              i,
+              message: this._getKeccak256OfferHash(options.offer, this.#account.getAddress(), contract.address)
+            });
+            break;
+          default:
+            throw new ContractNotSupportedError(contractName, 'offer signatures');
+        }
+      } catch (e) {
+        signatures[i] = e;
+      }
+    }
+    const signed = await this.#account.signMany(messages.map(({ message }) => message));
+    messages.forEach(({ i }, j) => (signatures[i] = signed[j]));
+    return signatures;
   }
 
   async getV2OfferSignature(options) {
-    const signature = this.#account.sign(
-      this.#ethers.utils.arrayify(
-        this.#ethers.utils.solidityKeccak256(
-          [
-            'address',
-            'uint256',
-            'uint256',
-            'address',
-            'uint256',
-            'address',
-            'uint32',
-            'uint16',
-            'address',
-            'uint256',
-            'uint256',
-            'address',
-            'uint256'
-          ],
-          [
-            options.offer.terms.loan.currency,
-            options.offer.terms.loan.principal,
-            options.offer.terms.loan.repayment,
-            options.offer.nft.address,
-            options.offer.nft.id,
-            options.offer.referrer.address,
-            options.offer.terms.loan.duration,
-            options.offer.nftfi.fee.bps,
-            this.#account.getAddress(),
-            options.offer.lender.nonce,
-            options.offer.terms.loan.expiry,
-            this.#config.loan.fixed.v2_1.address,
-            this.#config.chainId
-          ]
-        )
-      )
-    );
-    return signature;
+    return this._getKeccak256OfferSignature(options, this.#config.loan.fixed.v2_1.address);
   }
 
   async getV2FixedCollectionOfferSignature(options) {
-    const signature = this.#account.sign(
-      this.#ethers.utils.arrayify(
-        this.#ethers.utils.solidityKeccak256(
-          [
-            'address',
-            'uint256',
-            'uint256',
-            'address',
-            'uint256',
-            'address',
-            'uint32',
-            'uint16',
-            'address',
-            'uint256',
-            'uint256',
-            'address',
-            'uint256'
-          ],
-          [
-            options.offer.terms.loan.currency,
-            options.offer.terms.loan.principal,
-            options.offer.terms.loan.repayment,
-            options.offer.nft.address,
-            options.offer.nft.id,
-            options.offer.referrer.address,
-            options.offer.terms.loan.duration,
-            options.offer.nftfi.fee.bps,
-            this.#account.getAddress(),
-            options.offer.lender.nonce,
-            options.offer.terms.loan.expiry,
-            this.#config.loan.fixed.collection.v2.address,
-            this.#config.chainId
-          ]
-        )
-      )
-    );
-    return signature;
+    return this._getKeccak256OfferSignature(options, this.#config.loan.fixed.collection.v2.address);
   }
 
   async getV2_3OfferSignature(options) {
-    const signature = this.#account.sign(
-      this.#ethers.utils.arrayify(
-        this.#ethers.utils.solidityKeccak256(
-          [
-            'address',
-            'uint256',
-            'uint256',
-            'address',
-            'uint256',
-            'address',
-            'uint32',
-            'uint16',
-            'address',
-            'uint256',
-            'uint256',
-            'address',
-            'uint256'
-          ],
-          [
-            options.offer.terms.loan.currency,
-            options.offer.terms.loan.principal,
-            options.offer.terms.loan.repayment,
-            options.offer.nft.address,
-            options.offer.nft.id,
-            options.offer.referrer.address,
-            options.offer.terms.loan.duration,
-            options.offer.nftfi.fee.bps,
-            this.#account.getAddress(),
-            options.offer.lender.nonce,
-            options.offer.terms.loan.expiry,
-            this.#config.loan.fixed.v2_3.address,
-            this.#config.chainId
-          ]
-        )
+    return this._getKeccak256OfferSignature(options, this.#config.loan.fixed.v2_3.address);
+  }
+
+  async getV2_3FixedCollectionOfferSignature(options) {
+    return this._getKeccak256OfferSignature(options, this.#config.loan.fixed.collection.v2_3.address);
+  }
+
+  // Recovers the signer of an offer locally, without calling the loan contract, so only EOA signatures can be verified
+  verifyOfferSignature(options) {
+    const offer = options.offer;
+    const signer = options?.signer || offer.lender.address;
+    const contractName = offer.nftfi.contract.name;
+    const contract = this.#registry.get(contractName, 'offer');
+    if (contract.signature?.scheme !== 'keccak256') {
+      throw new ContractNotSupportedError(contractName, 'offer signatures');
+    }
+    let recovered;
+    try {
+      recovered = this.#ethers.utils.verifyMessage(
+        this._getKeccak256OfferHash(offer, signer, contract.address),
+        offer.signature
+      );
+    } catch (e) {
+      // Malformed signatures can't be recovered
+      return false;
+    }
+    return recovered.toLowerCase() === signer.toLowerCase();
+  }
+
+  // Fields that are signed, in the order the loan contracts hash them
+  _getOfferFields(offer, signer, loanContractAddress) {
+    return [
+      { name: 'loanERC20Denomination', type: 'address', value: offer.terms.loan.currency },
+      { name: 'loanPrincipalAmount', type: 'uint256', value: this.#helper.toAmount(offer.terms.loan.principal) },
+      { name: 'maximumRepaymentAmount', type: 'uint256', value: this.#helper.toAmount(offer.terms.loan.repayment) },
+      { name: 'nftCollateralContract', type: 'address', value: offer.nft.address },
+      { name: 'nftCollateralId', type: 'uint256', value: offer.nft.id },
+      { name: 'referrer', type: 'address', value: offer.referrer.address },
+      { name: 'loanDuration', type: 'uint32', value: offer.terms.loan.duration },
+      { name: 'loanAdminFeeInBasisPoints', type: 'uint16', value: offer.nftfi.fee.bps },
+      { name: 'signer', type: 'address', value: signer },
+      { name: 'nonce', type: 'uint256', value: offer.lender.nonce },
+      { name: 'expiry', type: 'uint256', value: offer.terms.loan.expiry },
+      { name: 'verifyingContract', type: 'address', value: loanContractAddress },
+      { name: 'chainId', type: 'uint256', value: this.#config.chainId }
+    ];
+  }
+
+  _getKeccak256OfferHash(offer, signer, loanContractAddress) {
+    const fields = this._getOfferFields(offer, signer, loanContractAddress);
+    return this.#ethers.utils.arrayify(
+      this.#ethers.utils.solidityKeccak256(
+        fields.map(field => field.type),
+        fields.map(field => field.value)
       )
     );
-    return signature;
   }
 
-  async getV2_3FixedCollectionOfferSignature(options) {
+  async _getKeccak256OfferSignature(options, loanContractAddress) {
     const signature = this.#account.sign(
-      this.#ethers.utils.arrayify(
-        this.#ethers.utils.solidityKeccak256(
-          [
-            'address',
-            'uint256',
-            'uint256',
-            'address',
-            'uint256',
-            'address',
-            'uint32',
-            'uint16',
-            'address',
-            'uint256',
-            'uint256',
-            'address',
-            'uint256'
-          ],
-          [
-            options.offer.terms.loan.currency,
-            options.offer.terms.loan.principal,
-            options.offer.terms.loan.repayment,
-            options.offer.nft.address,
-            options.offer.nft.id,
-            options.offer.referrer.address,
-            options.offer.terms.loan.duration,
-            options.offer.nftfi.fee.bps,
-            this.#account.getAddress(),
-            options.offer.lender.nonce,
-            options.offer.terms.loan.expiry,
-            this.#config.loan.fixed.collection.v2_3.address,
-            this.#config.chainId
-          ]
-        )
-      )
+      this._getKeccak256OfferHash(options.offer, this.#account.getAddress(), loanContractAddress)
     );
     return signature;
   }
@@ -1,52 +1,64 @@
+// Offers validated at the same time by `validateMany`, unless specified
+const DEFAULT_CONCURRENCY = 20;
+
 class OffersValidator {
   #erc20;
   #ethers;
   #config;
   #contractFactory;
+  #registry;
+  #cache;
+  #nft;
+  #helper;
 
   constructor(options = {}) {
     this.#erc20 = options?.erc20;
     this.#ethers = options?.ethers;
     this.#config = options?.config;
     this.#contractFactory = options?.contractFactory;
+    this.#registry = options?.registry;
+    this.#cache = options?.cache;
+    this.#nft = options?.nft;
+    this.#helper = options?.helper;
   }
 
   _getContractAddressAndAbi(contractName) {
-    switch (contractName) {
-      case 'v2-1.loan.fixed':
-        return { address: this.#config.loan.fixed.v2_1.address, abi: this.#config.loan.fixed.v2_1.abi };
-      case 'v2-3.loan.fixed':
-        return { address: this.#config.loan.fixed.v2_3.address, abi: this.#config.loan.fixed.v2_3.abi };
-      case 'v2.loan.fixed.collection':
-        return {
-          address: this.#config.loan.fixed.collection.v2.address,
-          abi: this.#config.loan.fixed.collection.v2.abi
-        };
-      case 'v2-3.loan.fixed.collection':
-        return {
-          address: this.#config.loan.fixed.collection.v2_3.address,
-          abi: this.#config.loan.fixed.collection.v2_3.abi
-        };
-    }
+    const { address, abi } = this.#registry.get(contractName);
+    return { address, abi };
   }
 
   _getSigningUtilsContractAddressAndAbi(contractName) {
-    switch (contractName) {
-      case 'v2.loan.fixed.collection':
-      case 'v2-1.loan.fixed':
-        return { address: this.#config.signingUtils.v2.address, abi: this.#config.signingUtils.v2.abi };
-      case 'v2-3.loan.fixed':
-      case 'v2-3.loan.fixed.collection':
-        return {
-          address: this.#config.signingUtils.v2_3.address,
-          abi: this.#config.signingUtils.v2_3.abi
-        };
+    const { address, abi } = this.#registry.get(contractName, 'offer').signingUtils;
+    return { address, abi };
+  }
+
+  // Shares the reads of a batch of validations, eg. one balance read per lender and currency
+  _share(lookups, key, read) {
+    if (!lookups) return read();
+    if (!lookups.has(key)) lookups.set(key, read());
+    return lookups.get(key);
+  }
+
+  // Reads a lender balance or allowance through the cache, which only keeps successful reads
+  async _getLenderValue(key, options, read) {
+    const cached = options?.cache ? this.#cache.get(key) : undefined;
+    if (cached !== undefined) return cached;
+    const value = await this._share(options?.lookups, key, read);
+    if (options?.cache && this.#ethers.BigNumber.isBigNumber(value)) {
+      this.#cache.set(key, value, {
+        scope: 'lender',
+        lender: options.account.address,
+        token: options.token.address,
+        blockNumber: options.cache.blockNumber
+      });
     }
+    return value;
   }
 
   async _isValidAllowance(options) {
     try {
-      const allowance = await this.#erc20.allowance(options);
+      const key = ['allowance', options.nftfi.contract.name, options.token.address, options.account.address].join(':');
+      const allowance = await this._getLenderValue(key.toLowerCase(), options, () => this.#erc20.allowance(options));
       return options?.gte?.amount && allowance.gte(options.gte.amount);
     } catch (error) {
       return error;
@@ -55,7 +67,8 @@ class OffersValidator {
 
   async _isValidBalance(options) {
     try {
-      const balance = await this.#erc20.balanceOf(options);
+      const key = ['balance', options.token.address, options.account.address].join(':');
+      const balance = await this._getLenderValue(key.toLowerCase(), options, () => this.#erc20.balanceOf(options));
       return !(options?.gte?.amount && !balance.gte(options.gte.amount));
     } catch (error) {
       return error;
@@ -74,8 +87,8 @@ class OffersValidator {
       });
 
       const offerTerms = {
-        loanPrincipalAmount: offer.terms.loan.principal.toLocaleString('fullwide', { useGrouping: false }),
-        maximumRepaymentAmount: offer.terms.loan.repayment.toLocaleString('fullwide', { useGrouping: false }),
+        loanPrincipalAmount: this.#helper.toAmount(offer.terms.loan.principal, 'terms.loan.principal'),
+        maximumRepaymentAmount: this.#helper.toAmount(offer.terms.loan.repayment, 'terms.loan.repayment'),
         nftCollateralId: offer.nft.id,
         nftCollateralContract: offer.nft.address,
         loanDuration: offer.terms.loan.duration,
@@ -99,24 +112,131 @@ class OffersValidator {
     }
   }
 
-  async _isValidNonce(offer) {
+  async _isValidNonce(offer, cache, lookups) {
     try {
+      // A used nonce never becomes unused, so it is cached for good
+      const key = ['nonce', offer.nftfi.contract.name, offer.lender.address, offer.lender.nonce].join(':');
+      if (cache && this.#cache.get(key.toLowerCase())) return false;
       const { address: loanContract, abi: loanContractAbi } = this._getContractAddressAndAbi(offer.nftfi.contract.name);
       const contract = this.#contractFactory.create({
         address: loanContract,
         abi: loanContractAbi
       });
 
-      const isUsedNonce = await contract.call({
-        function: 'getWhetherNonceHasBeenUsedForUser',
-        args: [offer.lender.address, offer.lender.nonce]
-      });
+      const isUsedNonce = await this._share(lookups, key.toLowerCase(), () =>
+        contract.call({
+          function: 'getWhetherNonceHasBeenUsedForUser',
+          args: [offer.lender.address, offer.lender.nonce]
+        })
+      );
+      if (cache && isUsedNonce === true) this.#cache.set(key.toLowerCase(), true, { scope: 'permanent' });
       return !isUsedNonce;
     } catch (error) {
       return error;
     }
   }
 
+  async _callLoanContract(offer, fn, args = []) {
+    const { address, abi } = this._getContractAddressAndAbi(offer.nftfi.contract.name);
+    const contract = this.#contractFactory.create({ address, abi });
+    return contract.call({ function: fn, args });
+  }
+
+  // Collection offers are made before there is a borrower, so their NFT can't be checked
+  _hasBorrowerNft(offer) {
+    const { offer: contractOffer } = this.#registry.get(offer.nftfi.contract.name);
+    return contractOffer?.type !== 'collection' && !!offer.borrower?.address;
+  }
+
+  async _isNftOwner(offer) {
+    if (!this._hasBorrowerNft(offer)) return true;
+    const owner = await this.#nft.isOwner({
+      token: { address: offer.nft.address, id: offer.nft.id },
+      account: { address: offer.borrower.address }
+    });
+    return owner?.error || owner?.data?.result;
+  }
+
+  async _isNftApproved(offer) {
+    if (!this._hasBorrowerNft(offer)) return true;
+    const approval = await this.#nft.isApproved({
+      token: { address: offer.nft.address, id: offer.nft.id },
+      account: { address: offer.borrower.address },
+      nftfi: { contract: { name: offer.nftfi.contract.name } }
+    });
+    return approval?.error || approval?.data?.approved;
+  }
+
+  async _isWhitelistedCurrency(offer) {
+    try {
+      return await this._callLoanContract(offer, 'getERC20Permit', [offer.terms.loan.currency]);
+    } catch (error) {
+      return error;
+    }
+  }
+
+  async _isValidDuration(offer) {
+    try {
+      const maximumLoanDuration = await this._callLoanContract(offer, 'maximumLoanDuration');
+      const duration = Number(offer.terms.loan.duration);
+      return duration > 0 && maximumLoanDuration.gte(duration);
+    } catch (error) {
+      return error;
+    }
+  }
+
+  async _isValidFee(offer) {
+    return String(offer.nftfi.fee.bps) === String(this.#config.loan.adminFeeInBasisPoints);
+  }
+
+  // Opt-in checks, only performed when listed in `options.checks`
+  _getOptionalChecks(offer, checks) {
+    const contract = offer.nftfi.contract.name;
+    return [
+      {
+        key: 'nft.owner',
+        type: 'nft.isOwner',
+        check: () => this._isNftOwner(offer),
+        msgs: { error: 'failed to check nft ownership', invalid: 'nft is no longer owned by the borrower' }
+      },
+      {
+        key: 'nft.approval',
+        type: 'nft.isApproved',
+        check: () => this._isNftApproved(offer),
+        msgs: { error: 'failed to check nft approval', invalid: 'nft is not approved to the loan contract' }
+      },
+      {
+        key: 'terms.currency',
+        type: contract + '.getERC20Permit',
+        check: () => this._isWhitelistedCurrency(offer),
+        msgs: { error: 'failed to check currency', invalid: 'currency is not whitelisted on the loan contract' }
+      },
+      {
+        key: 'terms.duration',
+        type: contract + '.maximumLoanDuration',
+        check: () => this._isValidDuration(offer),
+        msgs: { error: 'failed to check duration', invalid: 'duration is outside of the loan contract limits' }
+      },
+      {
+        key: 'nftfi.fee',
+        type: 'config.loan.adminFeeInBasisPoints',
+        check: () => this._isValidFee(offer),
+        msgs: { error: 'failed to check fee', invalid: 'fee does not match the nftfi admin fee' }
+      }
+    ].filter(optionalCheck => checks?.includes(optionalCheck.key));
+  }
+
+  // Returns the block the validation reads from, or null when the cache is disabled for this validation
+  async _syncCache(options) {
+    if (options?.cache === false || !this.#cache?.isEnabled()) return null;
+    try {
+      return { blockNumber: await this.#cache.sync() };
+    } catch (e) {
+      // Validate without the cache
+      return null;
+    }
+  }
+
   _addError(key, status, type, msg, errors) {
     if (errors[key]) {
       errors[key].push({ status, type, msg });
@@ -136,12 +256,23 @@ class OffersValidator {
       return errors;
     }
 
+    const cache = await this._syncCache(options);
+    const resultKey = cache && offer.id && ['result', offer.id, [...(options?.checks || [])].sort()].join(':');
+    const cachedResult = resultKey ? this.#cache.get(resultKey) : undefined;
+    if (cachedResult !== undefined) return cachedResult;
+
     const contract = offer.nftfi.contract.name;
     const currency = offer.terms.loan.currency;
     const lender = offer.lender.address;
-    const principalBn = this.#ethers.BigNumber.from(
-      offer.terms.loan.principal.toLocaleString('fullwide', { useGrouping: false })
-    );
+    let principal;
+    try {
+      principal = this.#helper.toAmount(offer.terms.loan.principal, 'terms.loan.principal');
+    } catch (e) {
+      // No other check can be made against a principal that is not exact
+      this._addError('terms.loan.principal', 'invalid', 'amount', 'principal is not an exact amount', errors);
+      return errors;
+    }
+    const principalBn = this.#ethers.BigNumber.from(principal);
 
     let isValidSignature;
     let performAllChecks = !options?.checks?.length > 0;
@@ -156,7 +287,7 @@ class OffersValidator {
     if (!performAllChecks && !options?.checks?.includes('lender.nonce')) {
       isValidNonce = true;
     } else {
-      isValidNonce = this._isValidNonce(offer);
+      isValidNonce = this._isValidNonce(offer, cache, options?.lookups);
     }
 
     let isValidAllowance;
@@ -169,17 +300,29 @@ class OffersValidator {
         nftfi: { contract: { name: contract } },
         account: { address: lender },
         token: { address: currency },
-        gte: { amount: principalBn }
+        gte: { amount: principalBn },
+        cache,
+        lookups: options?.lookups
       });
       isValidBalance = this._isValidBalance({
         nftfi: { contract: { name: contract } },
         account: { address: lender },
         token: { address: currency },
-        gte: { amount: principalBn }
+        gte: { amount: principalBn },
+        cache,
+        lookups: options?.lookups
       });
     }
 
-    return Promise.all([isValidAllowance, isValidBalance, isValidSignature, isValidNonce]).then(checks => {
+    const optionalChecks = this._getOptionalChecks(offer, options?.checks);
+
+    return Promise.all([
+      isValidAllowance,
+      isValidBalance,
+      isValidSignature,
+      isValidNonce,
+      ...optionalChecks.map(optionalCheck => optionalCheck.check())
+    ]).then(checks => {
       let msg = '';
       let status = '';
       let type = '';
@@ -213,8 +356,58 @@ class OffersValidator {
         msg = checks[3] ? 'failed to check nonce' : 'lender nonce has already been used';
         this._addError('lender.nonce', status, type, msg, errors);
       }
-      return Object.keys(errors).length > 0 ? errors : null;
+
+      optionalChecks.forEach((optionalCheck, i) => {
+        const check = checks[4 + i];
+        if (check !== true) {
+          status = check ? 'error' : 'invalid';
+          msg = optionalCheck.msgs[status];
+          this._addError(optionalCheck.key, status, optionalCheck.type, msg, errors);
+        }
+      });
+      const result = Object.keys(errors).length > 0 ? errors : null;
+      // Checks that failed to run are retried on the next validation
+      const hasFailedChecks = Object.values(errors).some(keyErrors => keyErrors.some(e => e.status === 'error'));
+      if (resultKey && !hasFailedChecks) {
+        this.#cache.set(resultKey, result, { blockNumber: cache.blockNumber });
+      }
+      return result;
+    });
+  }
+
+  async validateMany(options) {
+    const offers = options?.offers || [];
+    const concurrency = options?.concurrency || DEFAULT_CONCURRENCY;
+    const lookups = new Map();
+    const validations = new Array(offers.length);
+    let next = 0;
+    const validateNext = async () => {
+      while (next < offers.length) {
+        const i = next++;
+        validations[i] = await this.validate({
+          offer: offers[i],
+          checks: options?.checks,
+          cache: options?.cache,
+          lookups
+        }).catch(() => ({
+          offer: [{ status: 'error', type: 'validation', msg: 'failed to validate offer' }]
+        }));
+      }
+    };
+    await Promise.all([...Array(Math.min(concurrency, offers.length)).keys()].map(validateNext));
+
+    const results = {};
+    const summary = { total: offers.length, valid: 0, invalid: 0, errors: {} };
+    validations.forEach((warnings, i) => {
+      results[offers[i].id ?? i] = warnings ? { valid: false, warnings } : { valid: true };
+      summary[warnings ? 'invalid' : 'valid']++;
+      for (const keyErrors of Object.values(warnings || {})) {
+        for (const { type } of keyErrors) {
+          summary.errors[type] = (summary.errors[type] || 0) + 1;
+        }
+      }
     });
+    return { results, summary };
   }
 }
 
@@ -1,9 +1,108 @@
+import { ValidationError } from './errors.js';
+
 class Result {
-  constructor() {}
+  #error;
+
+  constructor(options = {}) {
+    this.#error = options?.error;
+  }
 
   handle(res) {
     return { data: res, error: null };
   }
+
+  /**
+   * Wraps the public methods of a module, and of its nested modules (eg. `nft.erc721`), so that they
+   * return the `v1` envelope: `{ data, error, pagination, meta }`. Used when `config.response.envelope` is `v1`.
+   *
+   * @param {object} module - The module, eg. `loans`
+   * @returns {object} A proxy of the module
+   */
+  wrap(module) {
+    const nested = {};
+    return new Proxy(module, {
+      get: (target, prop) => {
+        const value = target[prop];
+        if (typeof prop !== 'string' || prop.startsWith('_') || prop === 'constructor') return value;
+        if (typeof value === 'function') {
+          return (...args) => {
+            let output;
+            try {
+              output = value.apply(target, args);
+            } catch (e) {
+              return this._fail(e);
+            }
+            // Iterators yield their items as they are
+            if (output?.[Symbol.asyncIterator]) return output;
+            return output instanceof Promise
+              ? output.then(
+                  res => this.envelope(res, args[0]),
+                  e => this._fail(e)
+                )
+              : this.envelope(output, args[0]);
+          };
+        }
+        // Nested modules are class instances, unlike plain data objects and arrays
+        const prototype = value && typeof value === 'object' ? Object.getPrototypeOf(value) : null;
+        if (prototype && prototype !== Object.prototype && prototype !== Array.prototype) {
+          nested[prop] = nested[prop] || this.wrap(value);
+          return nested[prop];
+        }
+        return value;
+      }
+    });
+  }
+
+  /**
+   * Turns whatever a method returned (a `Result.handle` or `Error.handle` response, an array, a boolean, ...)
+   * into the `v1` envelope.
+   *
+   * @param {*} output - What the method returned
+   * @param {object} [options] - The options the method was called with
+   * @returns {object} The envelope: `data`, `error`, `pagination` and `meta` (with the transaction hash, if any)
+   */
+  envelope(output, options) {
+    if (this._isFailed(output)) {
+      // Messages that come with field errors keep both
+      const failure =
+        typeof output.error === 'string' && output.errors
+          ? new ValidationError(output.error, { errors: output.errors })
+          : output.error ?? { errors: output.errors };
+      return this._fail(failure);
+    }
+    let data = this._isHandled(output) ? output.data : output;
+    let pagination = options?.pagination ? { page: options.pagination.page, limit: options.pagination.limit } : null;
+    if (data?.pagination && Array.isArray(data?.results)) {
+      pagination = { ...pagination, total: data.pagination.total };
+      data = data.results;
+    }
+    const hash =
+      data?.receipt?.transactionHash ||
+      data?.transactionHash ||
+      data?.mined?.hash ||
+      data?.replacement?.hash ||
+      (data?.wait && data?.hash) ||
+      null;
+    return { data, error: null, pagination, meta: hash ? { transaction: { hash } } : {} };
+  }
+
+  _fail(e) {
+    return { data: null, error: this.#error.toTyped(e), pagination: null, meta: {} };
+  }
+
+  // Any response with an `error` or `errors` failed, whether or not its error is typed
+  _isFailed(output) {
+    return (
+      !!output &&
+      typeof output === 'object' &&
+      !Array.isArray(output) &&
+      ((output.error !== undefined && output.error !== null) || (output.errors !== undefined && output.errors !== null))
+    );
+  }
+
+  _isHandled(output) {
+    return !!output && typeof output === 'object' && 'data' in output && output.error === null;
+  }
 }
 
 export default Result;
@@ -1,12 +1,43 @@
+import { ValidationError } from '../errors.js';
+
 /**
  * @class
  * Class with helper methods.
  */
 class Helper {
   #config;
+  #ethers;
 
   constructor(options = {}) {
     this.#config = options?.config;
+    this.#ethers = options?.ethers;
+  }
+
+  /**
+   * Normalises an amount in base units (eg. wei) into the exact decimal string sent to the contracts and the API.
+   * Amounts can be decimal or hex strings, bigints, ethers BigNumbers, or numbers up to `Number.MAX_SAFE_INTEGER`.
+   * Amounts that cannot be represented exactly, eg. fractions, exponents or larger numbers, are rejected.
+   *
+   * @param {string|bigint|BigNumber|number} value - The amount, in base units
+   * @param {string} [name='amount'] - Name of the amount, for the error message (optional)
+   * @returns {string} The amount, as a decimal string
+   */
+  toAmount(value, name = 'amount') {
+    let amount = null;
+    if (typeof value !== 'number' || Number.isSafeInteger(value)) {
+      try {
+        amount = this.#ethers.BigNumber.from(typeof value === 'bigint' ? value.toString() : value);
+      } catch (e) {
+        amount = null;
+      }
+    }
+    if (!amount || amount.isNegative()) {
+      throw new ValidationError(
+        `${name} must be a whole, non-negative amount in base units, as a string, bigint or BigNumber; got ${value}`,
+        { errors: { [name]: [`${value} is not an exact amount in base units`] } }
+      );
+    }
+    return amount.toString();
   }
 
   addCurrencyUnit = object => {
@@ -24,6 +55,42 @@ class Helper {
       terms: { ...object.terms, loan: { ...object.terms.loan, unit } }
     };
   };
+
+  /**
+   * Iterates over the results of a paginated API resource, fetching pages only as they are needed.
+   * Stops at the total number of results, or, when the total is unknown, at the first page that is not full.
+   *
+   * @param {Function} getPage - Fetches a page, given its number and size, and resolves to `{ results, total }`
+   * @param {object} [options] - Hashmap of config options for this method
+   * @param {number} [options.pagination.page] - Page to start from (optional)
+   * @param {number} [options.pagination.limit] - Page size (optional)
+   * @param {number} [options.concurrency=1] - How many pages are fetched at the same time (optional)
+   * @returns {AsyncGenerator<object>} Async iterator of the results
+   */
+  async *paginate(getPage, options = {}) {
+    const limit = options?.pagination?.limit || this.#config.pagination.limit;
+    const concurrency = Math.max(1, options?.concurrency || 1);
+    let page = options?.pagination?.page || this.#config.pagination.page;
+    // The total is only known once the first page is fetched
+    const first = await getPage(page++, limit);
+    const total = first?.total ?? null;
+    yield* first.results;
+    let isLastPage = total === null ? first.results.length !== limit : (page - 1) * limit >= total;
+    const pages = [];
+    while (!isLastPage || pages.length > 0) {
+      while (!isLastPage && pages.length < concurrency) {
+        const pending = getPage(page++, limit);
+        // Pages fetched ahead may fail after the iteration has stopped
+        pending.catch(() => {});
+        pages.push(pending);
+        isLastPage = total !== null && (page - 1) * limit >= total;
+      }
+      const { results } = await pages.shift();
+      yield* results;
+      // Without a total, the first page that is not full is the last one
+      if (total === null && results.length !== limit) break;
+    }
+  }
 }
 
 export default Helper;
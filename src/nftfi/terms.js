@@ -0,0 +1,184 @@
+import { ValidationError } from './errors.js';
+
+const SECONDS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+const YEAR = 365 * SECONDS.d;
+// APRs are percentages, computed to this many decimal places
+const APR_DECIMALS = 6;
+
+/**
+ * @class
+ * Class for building loan terms from human-readable amounts, rates and durations.
+ */
+class Terms {
+  #config;
+  #contractFactory;
+  #ethers;
+  #result;
+  #error;
+
+  constructor(options = {}) {
+    this.#config = options?.config;
+    this.#contractFactory = options?.contractFactory;
+    this.#ethers = options?.ethers;
+    this.#result = options?.result;
+    this.#error = options?.error;
+  }
+
+  /**
+   * Builds loan terms, in base units of the currency, from a principal in whole tokens and either an APR or a repayment.
+   * All the math is done with BigNumbers, so that the amounts are exact. The terms returned are ready for
+   * `offers.create`, and the `desiredTerms` of `offers.requests.create`.
+   *
+   * @param {object} options - Hashmap of config options for this method
+   * @param {string} options.principal - Principal, in whole tokens (eg. `'1.5'`)
+   * @param {string} options.currency - Currency: a key of `config.erc20` (eg. `'weth'`), its symbol or an ERC20 address
+   * @param {number} [options.apr] - APR (yearly percentage rate) to compute the repayment from (eg. `35` for 35%)
+   * @param {string} [options.repayment] - Repayment, in whole tokens, to compute the APR from, if no APR is given (optional)
+   * @param {string|number} options.duration - Duration of the loan, in seconds or with a unit: `s`, `m`, `h`, `d` or `w` (eg. `'30d'`)
+   * @param {string|number} [options.expiry] - Time until the offer expires, in seconds or with a unit (eg. `'6h'`) (optional)
+   * @returns {object} Response object, with the `terms` (amounts in base units) and the `currency`, `apr`, `interest` and `lender` views
+   *
+   * @example
+   * // Build the terms of a 30 day loan of 1.5 wETH at 35% APR, for an offer valid for 6 hours
+   * const { data } = await nftfi.terms.build({
+   *   principal: '1.5',
+   *   currency: 'weth',
+   *   apr: 35,
+   *   duration: '30d',
+   *   expiry: '6h'
+   * });
+   * const offer = await nftfi.offers.create({
+   *   terms: data.terms,
+   *   nft: { address: '0x00000000', id: '42' },
+   *   borrower: { address: '0x00000000' },
+   *   nftfi: { contract: { name: 'v2-3.loan.fixed' } }
+   * });
+   *
+   * @example
+   * // Get the APR, interest and lender yield of a 7 day loan of 1000 USDC, repaying 1010 USDC
+   * const { data } = await nftfi.terms.build({
+   *   principal: '1000',
+   *   repayment: '1010',
+   *   currency: 'usdc',
+   *   duration: '7d'
+   * });
+   * // data.apr is 52.142857, data.interest is '10000000', data.lender.interest is '9500000'
+   */
+  async build(options) {
+    try {
+      const currency = await this._getCurrency(options?.currency);
+      const duration = this._toSeconds(options?.duration, 'duration');
+      const { min, max } = this.#config.loan.duration;
+      if (duration < min || duration > max) {
+        throw new ValidationError(`The duration must be between ${min} and ${max} seconds.`);
+      }
+      const principal = this._parseAmount(options?.principal, currency, 'principal');
+      if (principal.isZero()) {
+        throw new ValidationError('The principal must be greater than 0.');
+      }
+      let repayment;
+      if (options?.apr !== undefined) {
+        repayment = principal.add(this._getInterest(principal, options.apr, duration));
+      } else if (options?.repayment !== undefined) {
+        repayment = this._parseAmount(options.repayment, currency, 'repayment');
+      } else {
+        throw new ValidationError('Please provide either the apr or the repayment.');
+      }
+      if (repayment.lt(principal)) {
+        throw new ValidationError('The repayment must be greater than or equal to the principal.');
+      }
+      const interest = repayment.sub(principal);
+      const fee = interest.mul(this.#config.loan.adminFeeInBasisPoints).div(10000);
+      const terms = {
+        principal: principal.toString(),
+        repayment: repayment.toString(),
+        duration,
+        currency: currency.address
+      };
+      if (options?.expiry !== undefined) {
+        terms.expiry = this._toSeconds(options.expiry, 'expiry');
+      }
+      return this.#result.handle({
+        terms,
+        currency,
+        apr: this._getApr(principal, interest, duration),
+        interest: interest.toString(),
+        lender: {
+          fee: fee.toString(),
+          interest: interest.sub(fee).toString(),
+          apr: this._getApr(principal, interest.sub(fee), duration)
+        }
+      });
+    } catch (e) {
+      return this.#error.handle(e);
+    }
+  }
+
+  async _getCurrency(currency) {
+    if (!currency) {
+      throw new ValidationError('Please provide a currency.');
+    }
+    const value = String(currency).toLowerCase();
+    const known = Object.entries(this.#config.erc20).find(
+      ([key, erc20]) =>
+        erc20?.address && [key, erc20.symbol?.toLowerCase(), erc20.address.toLowerCase()].includes(value)
+    );
+    if (known && known[1].unit) {
+      const [, erc20] = known;
+      const decimals = this.#ethers.utils.parseUnits('1', erc20.unit).toString().length - 1;
+      return { address: erc20.address, symbol: erc20.symbol, decimals };
+    }
+    const address = known ? known[1].address : currency;
+    if (!this.#ethers.utils.isAddress(address)) {
+      throw new ValidationError(`${currency} is not a known currency.`);
+    }
+    const contract = this.#contractFactory.create({ address, abi: this.#config.erc20.abi });
+    const decimals = await contract.call({ function: 'decimals' });
+    return { address, symbol: known ? known[1].symbol : null, decimals: Number(decimals) };
+  }
+
+  _parseAmount(amount, currency, field) {
+    try {
+      return this.#ethers.utils.parseUnits(String(amount), currency.decimals);
+    } catch (e) {
+      throw new ValidationError(
+        `The ${field} must be an amount of whole tokens, with at most ${currency.decimals} decimal places.`
+      );
+    }
+  }
+
+  _toSeconds(value, field) {
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([smhdw])?$/);
+    const seconds = match ? Number(match[1]) * SECONDS[match[2] || 's'] : NaN;
+    if (!Number.isInteger(seconds) || seconds <= 0) {
+      throw new ValidationError(`The ${field} must be a whole number of seconds, eg. 86400, '24h' or '1d'.`);
+    }
+    return seconds;
+  }
+
+  // interest = principal * apr / 100 * duration / year, rounded down as the repayment is a maximum
+  _getInterest(principal, apr, duration) {
+    if (!Number.isFinite(Number(apr)) || Number(apr) < 0) {
+      throw new ValidationError('The apr must be a percentage, no lower than 0.');
+    }
+    const rate = this.#ethers.utils.parseUnits(Number(apr).toFixed(APR_DECIMALS), APR_DECIMALS);
+    return principal
+      .mul(rate)
+      .mul(duration)
+      .div(this.#ethers.BigNumber.from(10).pow(APR_DECIMALS).mul(100).mul(YEAR));
+  }
+
+  // apr = interest / principal * 100 * year / duration, rounded to the nearest
+  _getApr(principal, interest, duration) {
+    const divisor = principal.mul(duration);
+    const rate = interest
+      .mul(100)
+      .mul(YEAR)
+      .mul(this.#ethers.BigNumber.from(10).pow(APR_DECIMALS))
+      .add(divisor.div(2))
+      .div(divisor);
+    return Number(this.#ethers.utils.formatUnits(rate, APR_DECIMALS));
+  }
+}
+
+export default Terms;
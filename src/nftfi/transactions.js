@@ -0,0 +1,184 @@
+import { ValidationError } from './errors.js';
+
+/**
+ * @class
+ * Class for working with pending transactions sent by your account.
+ */
+class Transactions {
+  #account;
+  #provider;
+  #ethers;
+  #feePolicy;
+  #assertion;
+  #result;
+  #error;
+
+  constructor(options = {}) {
+    this.#account = options?.account;
+    this.#provider = options?.provider;
+    this.#ethers = options?.ethers;
+    this.#feePolicy = options?.feePolicy;
+    this.#assertion = options?.assertion;
+    this.#result = options?.result;
+    this.#error = options?.error;
+  }
+
+  /**
+   * Speeds up a pending transaction, by resending it with the same nonce and a higher fee.
+   *
+   * @param {object} options - Hashmap of config options for this method
+   * @param {string} options.hash - Hash of the pending transaction
+   * @param {object} [options.fee] - Fee of the replacement: `maxFeePerGas`, `maxPriorityFeePerGas`, `multiplier` and `max`, as in the fee policy (optional)
+   * @param {object} [options.callbacks] - Transaction lifecycle callbacks of the replacement (optional)
+   * @param {boolean} [options.wait=true] - Wait for either transaction to be mined (optional)
+   * @returns {object} Response object, with the `original` and `replacement` transactions and the one that was `mined`
+   *
+   * @example
+   * // Speed up a stuck repayment, paying twice the current network fee
+   * const result = await nftfi.transactions.speedUp({
+   *   hash: '0x00000000',
+   *   fee: { multiplier: 2 }
+   * });
+   */
+  async speedUp(options) {
+    try {
+      const original = await this._getPendingTransaction(options.hash);
+      return this.#result.handle(
+        await this._replace(
+          original,
+          {
+            to: original.to,
+            data: original.data,
+            value: original.value,
+            gasLimit: original.gasLimit
+          },
+          options
+        )
+      );
+    } catch (e) {
+      return this.#error.handle(e);
+    }
+  }
+
+  /**
+   * Cancels a pending transaction, by replacing it with an empty transfer to your own account, with the same nonce and a higher fee.
+   *
+   * @param {object} options - Hashmap of config options for this method
+   * @param {string} options.hash - Hash of the pending transaction
+   * @param {object} [options.fee] - Fee of the replacement: `maxFeePerGas`, `maxPriorityFeePerGas`, `multiplier` and `max`, as in the fee policy (optional)
+   * @param {object} [options.callbacks] - Transaction lifecycle callbacks of the replacement (optional)
+   * @param {boolean} [options.wait=true] - Wait for either transaction to be mined (optional)
+   * @returns {object} Response object, with the `original` and `replacement` transactions and the one that was `mined`
+   *
+   * @example
+   * // Cancel a pending transaction
+   * const result = await nftfi.transactions.cancel({
+   *   hash: '0x00000000'
+   * });
+   */
+  async cancel(options) {
+    try {
+      const original = await this._getPendingTransaction(options.hash);
+      return this.#result.handle(
+        await this._replace(
+          original,
+          {
+            to: this.#account.getAddress(),
+            data: '0x',
+            value: 0,
+            gasLimit: 21000
+          },
+          options
+        )
+      );
+    } catch (e) {
+      return this.#error.handle(e);
+    }
+  }
+
+  async _getPendingTransaction(hash) {
+    this.#assertion.hasSigner();
+    this.#assertion.hasProvider();
+    if (this.#account.isMultisig()?.type) {
+      throw new ValidationError('pending transactions can only be replaced for EOA accounts');
+    }
+    const transaction = await this.#provider.getTransaction(hash);
+    if (!transaction) {
+      throw new ValidationError(`transaction ${hash} not found`);
+    }
+    if (transaction.from.toLowerCase() !== this.#account.getAddress().toLowerCase()) {
+      throw new ValidationError(`transaction ${hash} was not sent by your account`);
+    }
+    if (transaction.blockNumber) {
+      throw new ValidationError(`transaction ${hash} is already mined`);
+    }
+    return transaction;
+  }
+
+  // Nodes only accept a replacement whose fees are at least 10% above those of the transaction it replaces
+  _bump(value) {
+    return this.#ethers.BigNumber.from(value).mul(110).div(100).add(1);
+  }
+
+  _max(a, b) {
+    return a && this.#ethers.BigNumber.from(a).gt(b) ? this.#ethers.BigNumber.from(a) : b;
+  }
+
+  async _getReplacementFees(original, options) {
+    const fees = await this.#feePolicy.apply({}, { fee: options?.fee });
+    if (!original.maxFeePerGas) {
+      // A legacy transaction is replaced by one with a higher gas price
+      const replacement = { gasPrice: this._max(fees.gasPrice || fees.maxFeePerGas, this._bump(original.gasPrice)) };
+      this.#feePolicy.check(replacement, { fee: options?.fee });
+      return replacement;
+    }
+    const replacement = {
+      maxFeePerGas: this._max(fees.maxFeePerGas, this._bump(original.maxFeePerGas || original.gasPrice)),
+      maxPriorityFeePerGas: this._max(
+        fees.maxPriorityFeePerGas,
+        this._bump(original.maxPriorityFeePerGas || original.gasPrice)
+      )
+    };
+    this.#feePolicy.check(replacement, { fee: options?.fee });
+    return replacement;
+  }
+
+  async _replace(original, tx, options) {
+    let hash = null;
+    let receipt = null;
+    const fees = await this._getReplacementFees(original, options);
+    const callbacks = {
+      ...options?.callbacks,
+      onSubmitted: submitted => {
+        hash = submitted;
+        options?.callbacks?.onSubmitted?.(submitted);
+      }
+    };
+    try {
+      receipt = await this.#account.execTransaction(
+        { ...tx, ...fees, nonce: original.nonce },
+        { callbacks, wait: options?.wait }
+      );
+    } catch (e) {
+      // Whichever transaction is mined first replaces the other one
+      if (e?.code !== 'TRANSACTION_REPLACED') throw e;
+      receipt = e.receipt;
+    }
+    const isMined = options?.wait !== false;
+    return {
+      original: { hash: original.hash },
+      replacement: {
+        hash,
+        fee: fees.gasPrice
+          ? { gasPrice: fees.gasPrice.toString() }
+          : {
+              maxFeePerGas: fees.maxFeePerGas.toString(),
+              maxPriorityFeePerGas: fees.maxPriorityFeePerGas.toString()
+            }
+      },
+      mined: isMined ? { hash: receipt.transactionHash, status: receipt.status } : null
+    };
+  }
+}
+
+export default Transactions;
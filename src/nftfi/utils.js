@@ -11,6 +11,8 @@ class Utils {
   #Number;
   #contractFactory;
   #config;
+  #helper;
+  #error;
 
   constructor(options = {}) {
     this.#ethers = options?.ethers;
@@ -21,6 +23,8 @@ class Utils {
     this.#Number = options?.Number;
     this.#contractFactory = options?.contractFactory;
     this.#config = options?.config;
+    this.#helper = options?.helper;
+    this.#error = options?.error;
   }
 
   /**
@@ -57,7 +61,7 @@ class Utils {
   /**
    * Formats an amount of wei into a decimal string representing the amount of ether.
    *
-   * @param {number} wei - Wei denomination of the amount
+   * @param {string|bigint|BigNumber|number} wei - Wei denomination of the amount
    * @returns {string} Ether denomination of the amount
    *
    * @example
@@ -66,14 +70,13 @@ class Utils {
    * const ether = nftfi.utils.formatEther(wei);
    */
   formatEther(wei) {
-    const weiString = wei.toLocaleString('fullwide', { useGrouping: false });
-    return this.#ethers.utils.formatEther(weiString);
+    return this.#ethers.utils.formatEther(this._toWei(wei));
   }
 
   /**
    * Formats an amount of wei into a decimal string representing the amount of unit.
    *
-   * @param {BigNumber} wei - Wei denomination of the amount
+   * @param {string|bigint|BigNumber|number} wei - Wei denomination of the amount
    * @param {string} unit - Unit denomination to format value
    * @returns {string} String representation of value formatted with unit digits
    *
@@ -88,14 +91,18 @@ class Utils {
    * const ether = nftfi.utils.formatUnits(wei, 'ether'); // 1 ether
    */
   formatUnits(wei, unit) {
-    const weiString = wei.toLocaleString('fullwide', { useGrouping: false });
-    return this.#ethers.utils.formatUnits(weiString, unit);
+    return this.#ethers.utils.formatUnits(this._toWei(wei), unit);
+  }
+
+  // Amounts are only read here, so any whole number is exact enough, eg. an amount from the API above 2^53
+  _toWei(wei, name = 'wei') {
+    return this.#Number.isInteger(wei) ? BigInt(wei).toString() : this.#helper.toAmount(wei, name);
   }
 
   /**
    * Formats value into a BigNumber representing the value in wei from the unit specified.
    *
-   * @param {number} value - Value
+   * @param {string|number} value - Value, a decimal string keeps every digit
    * @param {string} unit - Unit denomination to format from
    * @returns {BigNumber} BigNumber representation of value parsed with unit digits
    *
@@ -110,28 +117,40 @@ class Utils {
    * const wei = nftfi.utils.formatWei(value, 'ether'); // 100000000000000000000
    */
   formatWei(value, unit) {
-    const valueString = value.toLocaleString('fullwide', { useGrouping: false });
+    const valueString =
+      typeof value === 'number'
+        ? value.toLocaleString('fullwide', { useGrouping: false, maximumFractionDigits: 20 })
+        : String(value);
     return this.#ethers.utils.parseUnits(valueString, unit);
   }
 
   /**
    * Calculates the loan repayment amount given its other parameters.
    *
-   * @param {number} principal - The loan's principal amount, in base units (eg. 1000000000000000000 wei)
+   * @param {string|bigint|BigNumber|number} principal - The loan's principal amount, in base units (eg. '1000000000000000000' wei)
    * @param {number} apr - The APR (yearly percentage rate)
    * @param {number} duration - The duration of the loan denominated in days
-   * @returns {number} The result maximum repayment amount, in base units (eg. 1250000000000000000 wei)
+   * @returns {string} The result maximum repayment amount, in base units (eg. '1250000000000000000' wei), rounded down.
+   * It is a string rather than a number, as numbers lose precision above 2^53.
    *
    * @example
    * // Calculate the loan repayment amount
-   * const principal = 1000000000000000000;
+   * const principal = '1000000000000000000';
    * const apr = 32;
    * const duration = 30;
    * const amount = nftfi.utils.calcRepaymentAmount(principal, apr, duration);
    */
   calcRepaymentAmount(principal, apr, duration) {
-    const p = this.#Number.parseInt(principal);
-    return Math.floor(((p * apr) / 100) * (duration / 365) + p);
+    try {
+      const { BigNumber, utils } = this.#ethers;
+      const p = BigNumber.from(this._toWei(principal, 'principal'));
+      // The APR is kept to 6 decimal places, and the duration to the second
+      const rate = utils.parseUnits(this.#Number(apr).toFixed(6), 6);
+      const seconds = this.#Math.round(duration * 86400);
+      return p.add(p.mul(rate).mul(seconds).div(BigNumber.from(10).pow(6).mul(100).mul(365 * 86400))).toString();
+    } catch (e) {
+      return this.#error.handle(e);
+    }
   }
 
   /**